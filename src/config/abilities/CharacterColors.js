@@ -1,62 +1,60 @@
 /**
  * CharacterColors.js
  * 
- * Centralized character color definitions.
- * This is the single source of truth for character colors throughout the codebase.
+ * Character color lookups.
+ * Colors are defined in each character's manifest (see config/character/CharacterRegistry.js).
+ * A manifest may add a palette of named colours for its abilities (e.g. Warden's barrier
+ * and trap); roles missing from the palette use the character colour.
  */
 
-/**
- * Character Color Configuration
- * 
- * All character colors defined here to avoid duplication.
- */
-export const CHARACTER_COLORS = {
-  lucy: {
-    hex: 0x9c57b6,           // Purple color (hex number for Three.js)
-    css: '#9c57b6',          // CSS hex string
-    rgb: '156, 87, 182'      // RGB string for CSS rgba()
-  },
-  herald: {
-    hex: 0xf5ba0b,           // Gold color (hex number for Three.js)
-    css: '#f5ba0b',          // CSS hex string
-    rgb: '245, 186, 11'      // RGB string for CSS rgba()
-  }
-};
+import { getCharacterManifest } from '../character/CharacterRegistry.js';
 
 /**
  * Get character color as hex number (for Three.js)
- * @param {string} characterName - Character name ('lucy' or 'herald')
+ * @param {string} characterName - Character name
  * @returns {number} Color as hex number
  */
 export function getCharacterColorHex(characterName) {
-  return CHARACTER_COLORS[characterName]?.hex || CHARACTER_COLORS.lucy.hex;
+  return getCharacterManifest(characterName).colors.hex;
 }
 
 /**
  * Get character color as CSS hex string
- * @param {string} characterName - Character name ('lucy' or 'herald')
+ * @param {string} characterName - Character name
  * @returns {string} Color as CSS hex string
  */
 export function getCharacterColorCss(characterName) {
-  return CHARACTER_COLORS[characterName]?.css || CHARACTER_COLORS.lucy.css;
+  return getCharacterManifest(characterName).colors.css;
 }
 
 /**
  * Get character color as RGB string
- * @param {string} characterName - Character name ('lucy' or 'herald')
+ * @param {string} characterName - Character name
  * @returns {string} Color as RGB string (e.g., '156, 87, 182')
  */
 export function getCharacterColorRgb(characterName) {
-  return CHARACTER_COLORS[characterName]?.rgb || CHARACTER_COLORS.lucy.rgb;
+  return getCharacterManifest(characterName).colors.rgb;
+}
+
+/**
+ * Get a colour from a character's palette
+ * @param {string} characterName - Character name
+ * @param {string} role - Palette role (e.g. 'barrier', 'trap', 'accent')
+ * @returns {number} Color as hex number (the character color if the palette has no such role)
+ */
+export function getCharacterPaletteColor(characterName, role) {
+  const colors = getCharacterManifest(characterName).colors;
+  const color = colors.palette ? colors.palette[role] : undefined;
+  return typeof color === 'number' ? color : colors.hex;
 }
 
 /**
  * Get character color values object (for UI styling)
- * @param {string} characterName - Character name ('lucy' or 'herald')
+ * @param {string} characterName - Character name
  * @returns {{color: string, rgb: string}} Color hex and RGB values
  */
 export function getCharacterColorValues(characterName) {
-  const colors = CHARACTER_COLORS[characterName] || CHARACTER_COLORS.lucy;
+  const colors = getCharacterManifest(characterName).colors;
   return {
     color: colors.css,
     rgb: colors.rgb
@@ -0,0 +1,89 @@
+/**
+ * StatusEffectConfig.js
+ *
+ * Centralized configuration for status effects (poison, stun, shield).
+ * Shared by the client and the server: both simulate effects from these numbers.
+ *
+ * Stacking rules (what applying an effect that is already running does):
+ * - ignore: the running effect is kept as it is
+ * - refresh: the new effect replaces it (duration starts over)
+ * - extend: the new duration is added, up to maxDuration
+ */
+
+/**
+ * Status Effect Configuration
+ */
+export const STATUS_EFFECT_CONFIG = {
+  effects: {
+    poison: {
+      label: 'Poison',
+      icon: '☠',
+      color: 0xaa00ff,
+      stacking: 'ignore',
+      duration: 3.5,           // Seconds (character melee stats override this)
+      tickInterval: 0.5,       // Seconds between damage ticks
+      tickDamage: 1,           // Damage per tick
+      speedMultiplier: 0.6,    // Movement speed while poisoned
+      particle: 'poison',      // ParticleManager effect type
+      particleInterval: 0.2    // Seconds between overlay particles
+    },
+    stun: {
+      label: 'Stun',
+      icon: '✦',
+      color: 0xffee55,
+      stacking: 'extend',
+      duration: 1.0,
+      maxDuration: 2.0,        // A stun can't be extended past this
+      speedMultiplier: 0,
+      blocksAbilities: true,
+      particle: null,
+      particleInterval: 0.15
+    },
+    shield: {
+      label: 'Shield',
+      icon: '◈',
+      color: 0x88ddff,
+      stacking: 'refresh',
+      duration: 5.0,
+      absorb: 25,              // Damage absorbed before the shield breaks
+      beneficial: true,        // Only characters that grant it may apply it to themselves
+      particle: null,
+      particleInterval: 0.4
+    }
+  },
+
+  /**
+   * Per-socket rate limit for client-reported effects
+   */
+  rateLimit: {
+    capacity: 10,
+    refillPerSecond: 5
+  }
+};
+
+/**
+ * Get status effect configuration
+ * @returns {Object} Status effect configuration
+ */
+export function getStatusEffectStats() {
+  return STATUS_EFFECT_CONFIG;
+}
+
+/**
+ * Get the configuration of one status effect
+ * @param {string} type - Effect type ('poison', 'stun', 'shield')
+ * @returns {Object|null} Effect configuration or null if the type is unknown
+ */
+export function getStatusEffectConfig(type) {
+  return Object.prototype.hasOwnProperty.call(STATUS_EFFECT_CONFIG.effects, type)
+    ? STATUS_EFFECT_CONFIG.effects[type]
+    : null;
+}
+
+/**
+ * Get every status effect type
+ * @returns {Array<string>} Effect types
+ */
+export function getStatusEffectTypes() {
+  return Object.keys(STATUS_EFFECT_CONFIG.effects);
+}
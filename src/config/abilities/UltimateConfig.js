@@ -0,0 +1,49 @@
+/**
+ * UltimateConfig.js
+ *
+ * Centralized configuration for the ultimate meter.
+ * The meter fills from damage the player deals, kills and game mode objectives;
+ * when it is full the character's ultimate (its manifest's ultimate slot) can be used,
+ * which empties it. Each character's ultimate has its own config next to its other
+ * abilities.
+ */
+
+/**
+ * Ultimate Meter Configuration
+ */
+export const ULTIMATE_CONFIG = {
+  maxCharge: 100,              // Charge needed for an ultimate
+  chargePerDamage: 0.4,        // Charge per point of damage dealt
+  chargePerKill: 12,           // Charge per kill
+
+  /**
+   * Charge per completed objective
+   */
+  objectiveCharge: {
+    item: 4,                   // Gem collected
+    checkpoint: 8,             // Shrine activated (time trial)
+    hillPoint: 1,              // Point scored holding the shrine zone
+    crystalReturn: 10,         // Own crystal returned home
+    crystalCapture: 30,        // Enemy crystal captured
+    waveCleared: 20            // Co-op wave cleared
+  }
+};
+
+/**
+ * Get ultimate meter configuration
+ * @returns {Object} Ultimate meter configuration
+ */
+export function getUltimateStats() {
+  return ULTIMATE_CONFIG;
+}
+
+/**
+ * Get the charge an objective gives
+ * @param {string} type - Objective type ('item', 'checkpoint', 'hillPoint', ...)
+ * @returns {number} Charge (0 for unknown objectives)
+ */
+export function getObjectiveCharge(type) {
+  return Object.prototype.hasOwnProperty.call(ULTIMATE_CONFIG.objectiveCharge, type)
+    ? ULTIMATE_CONFIG.objectiveCharge[type]
+    : 0;
+}
@@ -0,0 +1,84 @@
+/**
+ * Herald Character Manifest
+ * 
+ * Everything that defines Herald: colours, movement, ability configs and slots,
+ * sprite sheet and sounds. Registered in config/character/CharacterRegistry.js.
+ */
+
+import { HERALD_BOLT_ATTACK_CONFIG } from './bolt/AttackConfig.js';
+import { HERALD_BOLT_PARTICLE_CONFIG } from './bolt/ParticleConfig.js';
+import { HERALD_MORTAR_ATTACK_CONFIG } from './mortar/AttackConfig.js';
+import { HERALD_MORTAR_PARTICLE_CONFIG } from './mortar/ParticleConfig.js';
+import { HERALD_MELEE_ATTACK_CONFIG } from './melee/AttackConfig.js';
+import { HERALD_MELEE_PARTICLE_CONFIG } from './melee/ParticleConfig.js';
+import { HERALD_BLAST_ATTACK_CONFIG } from './blast/AttackConfig.js';
+import { HERALD_ROLL_ATTACK_CONFIG } from './roll/AttackConfig.js';
+import { HERALD_GROUND_SLAM_ATTACK_CONFIG } from './groundSlam/AttackConfig.js';
+
+export const HERALD_CHARACTER_MANIFEST = {
+  name: 'herald',
+  displayName: 'Herald',
+
+  colors: {
+    hex: 0xf5ba0b,           // Gold color (hex number for Three.js)
+    css: '#f5ba0b',          // CSS hex string
+    rgb: '245, 186, 11'      // RGB string for CSS rgba()
+  },
+
+  sprites: {
+    basePath: '/assets/characters/herald/'  // Animations default to DEFAULT_SPRITE_ANIMATIONS
+  },
+
+  sounds: {
+    basePath: '/assets/characters/herald/'  // Missing sounds fall back to /assets/sounds
+  },
+
+  movement: {
+    runSpeedMultiplier: 2.1
+  },
+
+  abilities: {
+    bolt: HERALD_BOLT_ATTACK_CONFIG,
+    mortar: HERALD_MORTAR_ATTACK_CONFIG,
+    melee: HERALD_MELEE_ATTACK_CONFIG,
+    blast: HERALD_BLAST_ATTACK_CONFIG,
+    roll: HERALD_ROLL_ATTACK_CONFIG,
+    groundSlam: HERALD_GROUND_SLAM_ATTACK_CONFIG
+  },
+
+  particles: {
+    bolt: HERALD_BOLT_PARTICLE_CONFIG,
+    mortar: HERALD_MORTAR_PARTICLE_CONFIG,
+    melee: HERALD_MELEE_PARTICLE_CONFIG
+  },
+
+  slots: {
+    special: 'blast',        // Knockback blast on the special-ability cooldown
+    sprint: 'roll',          // Rolls while sprinting, knocking back whoever it touches
+    ultimate: 'groundSlam'   // Damaging blast when the ultimate meter is full
+  },
+
+  labels: {
+    bolt: 'Bolt',
+    mortar: 'Fireball',
+    special: 'Blast',
+    ultimate: 'Ground Slam'
+  },
+
+  traits: {
+    acceleratingBolts: true, // Bolts start slow and speed up
+    poisonMortar: false,
+    loopingMortarExplosion: true
+  },
+
+  statusEffects: {
+    inflicts: ['poison'],    // Melee swings poison
+    grants: []
+  },
+
+  effects: {
+    mortarHoldEmissive: 1.2,
+    mortarHoldLight: { intensity: 2.0, range: 5 },
+    splashLight: 'herald'    // SPLASH_AREA_CONFIG.light profile
+  }
+};
@@ -0,0 +1,13 @@
+/**
+ * Herald Ground Slam Attack Config
+ * Herald's ultimate: a much bigger blast that also damages everyone it throws.
+ */
+export const HERALD_GROUND_SLAM_ATTACK_CONFIG = {
+  radius: 4.5,              // Radius of the slam
+  horizontalVelocity: 26.0, // Horizontal velocity to push characters away
+  verticalVelocity: 14.0,   // Vertical velocity to launch characters up
+  damage: 30,               // Damage at the center (falls off to half at the edge)
+  statusEffect: null,       // Status effect inflicted on everyone hit (null for none)
+  cooldown: 30,             // Minimum seconds between slams (the ultimate meter is the real limit)
+  animationDuration: 1.0,   // Animation duration in seconds
+};
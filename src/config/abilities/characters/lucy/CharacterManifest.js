@@ -0,0 +1,83 @@
+/**
+ * Lucy Character Manifest
+ * 
+ * Everything that defines Lucy: colours, movement, ability configs and slots,
+ * sprite sheet and sounds. Registered in config/character/CharacterRegistry.js.
+ */
+
+import { LUCY_BOLT_ATTACK_CONFIG } from './bolt/AttackConfig.js';
+import { LUCY_BOLT_PARTICLE_CONFIG } from './bolt/ParticleConfig.js';
+import { LUCY_MORTAR_ATTACK_CONFIG } from './mortar/AttackConfig.js';
+import { LUCY_MORTAR_PARTICLE_CONFIG } from './mortar/ParticleConfig.js';
+import { LUCY_MELEE_ATTACK_CONFIG } from './melee/AttackConfig.js';
+import { LUCY_MELEE_PARTICLE_CONFIG } from './melee/ParticleConfig.js';
+import { LUCY_MULTI_PROJECTILE_ATTACK_CONFIG } from './multiProjectile/AttackConfig.js';
+import { LUCY_BOLT_STORM_ATTACK_CONFIG } from './boltStorm/AttackConfig.js';
+
+export const LUCY_CHARACTER_MANIFEST = {
+  name: 'lucy',
+  displayName: 'Lucy',
+
+  colors: {
+    hex: 0x9c57b6,           // Purple color (hex number for Three.js)
+    css: '#9c57b6',          // CSS hex string
+    rgb: '156, 87, 182'      // RGB string for CSS rgba()
+  },
+
+  sprites: {
+    basePath: '/assets/characters/lucy/'  // Animations default to DEFAULT_SPRITE_ANIMATIONS
+  },
+
+  sounds: {
+    basePath: '/assets/characters/lucy/', // Missing sounds fall back to /assets/sounds
+    boltVolume: 0.6                       // Lucy's bolt shots play quieter
+  },
+
+  movement: {
+    runSpeedMultiplier: 1.7
+  },
+
+  abilities: {
+    bolt: LUCY_BOLT_ATTACK_CONFIG,
+    mortar: LUCY_MORTAR_ATTACK_CONFIG,
+    melee: LUCY_MELEE_ATTACK_CONFIG,
+    multiProjectile: LUCY_MULTI_PROJECTILE_ATTACK_CONFIG,
+    boltStorm: LUCY_BOLT_STORM_ATTACK_CONFIG
+  },
+
+  particles: {
+    bolt: LUCY_BOLT_PARTICLE_CONFIG,
+    mortar: LUCY_MORTAR_PARTICLE_CONFIG,
+    melee: LUCY_MELEE_PARTICLE_CONFIG
+  },
+
+  slots: {
+    special: 'melee',        // Melee swing that also fires a ring of bolts
+    sprint: null,
+    ultimate: 'boltStorm'    // Homing bolt storm when the ultimate meter is full
+  },
+
+  labels: {
+    bolt: 'Shot',
+    mortar: 'Mortar',
+    special: 'Multi-Projectile',
+    ultimate: 'Bolt Storm'
+  },
+
+  traits: {
+    acceleratingBolts: false,
+    poisonMortar: true,      // Mortar hits and splash areas poison
+    loopingMortarExplosion: false
+  },
+
+  statusEffects: {
+    inflicts: ['poison'],    // Melee swings (and mortars, see traits) poison
+    grants: []
+  },
+
+  effects: {
+    mortarHoldEmissive: 0.8,
+    mortarHoldLight: { intensity: 1.2, range: 3 },
+    splashLight: 'lucy'      // SPLASH_AREA_CONFIG.light profile
+  }
+};
@@ -0,0 +1,15 @@
+/**
+ * Lucy Bolt Storm Attack Config
+ * Lucy's ultimate: a storm of bolts fired around her over a couple of seconds, each
+ * homing in on the nearest enemy.
+ */
+export const LUCY_BOLT_STORM_ATTACK_CONFIG = {
+  boltCount: 24,            // Bolts fired over the storm
+  duration: 2.0,            // Seconds the storm lasts (bolts are spread evenly over it)
+  damage: 12,               // Damage per bolt
+  projectileSpeed: 10,      // Speed of storm bolts
+  lifetime: 3.0,            // Seconds a storm bolt flies before fading
+  homingRange: 14,          // Bolts home in on the nearest enemy within this distance
+  homingStrength: 1.2,      // How hard bolts turn towards their target (bolt cursorFollowStrength)
+  cooldown: 30,             // Minimum seconds between storms (the ultimate meter is the real limit)
+};
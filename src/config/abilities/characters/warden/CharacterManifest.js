@@ -0,0 +1,87 @@
+/**
+ * Warden Character Manifest
+ *
+ * Everything that defines Warden: colours, movement, ability configs and slots,
+ * sprite sheet and sounds. Registered in config/character/CharacterRegistry.js.
+ */
+
+import { WARDEN_BOLT_ATTACK_CONFIG } from './bolt/AttackConfig.js';
+import { WARDEN_MORTAR_ATTACK_CONFIG } from './mortar/AttackConfig.js';
+import { WARDEN_MELEE_ATTACK_CONFIG } from './melee/AttackConfig.js';
+import { WARDEN_BARRIER_ATTACK_CONFIG } from './barrier/AttackConfig.js';
+import { WARDEN_TRAP_ATTACK_CONFIG } from './trap/AttackConfig.js';
+import { WARDEN_DASH_ATTACK_CONFIG } from './dash/AttackConfig.js';
+import { WARDEN_GROUND_SLAM_ATTACK_CONFIG } from './groundSlam/AttackConfig.js';
+
+export const WARDEN_CHARACTER_MANIFEST = {
+  name: 'warden',
+  displayName: 'Warden',
+
+  colors: {
+    hex: 0x2fa39a,           // Teal color (hex number for Three.js)
+    css: '#2fa39a',          // CSS hex string
+    rgb: '47, 163, 154',     // RGB string for CSS rgba()
+    palette: {
+      barrier: 0x7fe3d6,     // Pale teal barrier walls
+      trap: 0xd98c2b,        // Amber thorn traps
+      accent: 0xc9d6df       // Steel trim (dash trail)
+    }
+  },
+
+  sprites: {
+    basePath: '/assets/characters/herald/', // Herald's sprite sheet...
+    tint: 0x8fded5                          // ...multiplied to teal so Warden doesn't pass for Herald
+  },
+
+  sounds: {
+    basePath: '/assets/characters/herald/'  // Herald's sounds (missing ones fall back to /assets/sounds)
+  },
+
+  movement: {
+    runSpeedMultiplier: 1.8
+  },
+
+  abilities: {
+    bolt: WARDEN_BOLT_ATTACK_CONFIG,
+    mortar: WARDEN_MORTAR_ATTACK_CONFIG,
+    melee: WARDEN_MELEE_ATTACK_CONFIG,
+    barrier: WARDEN_BARRIER_ATTACK_CONFIG,
+    trap: WARDEN_TRAP_ATTACK_CONFIG,
+    dash: WARDEN_DASH_ATTACK_CONFIG,
+    groundSlam: WARDEN_GROUND_SLAM_ATTACK_CONFIG
+  },
+
+  particles: {},
+
+  slots: {
+    special: 'barrier',      // Raises a bolt-blocking wall in the aim direction
+    sprint: 'dash',          // Dashes when sprinting starts, ending in a shove
+    utility: 'trap',         // Drops a stun trap (LB / E)
+    ultimate: 'groundSlam'   // Stunning slam when the ultimate meter is full
+  },
+
+  labels: {
+    bolt: 'Bolt',
+    mortar: 'Mortar',
+    special: 'Barrier',
+    utility: 'Trap',
+    ultimate: 'Ground Slam'
+  },
+
+  traits: {
+    acceleratingBolts: false,
+    poisonMortar: false,
+    loopingMortarExplosion: false
+  },
+
+  statusEffects: {
+    inflicts: ['stun'],      // Traps and the ground slam stun
+    grants: ['shield']       // Raising a barrier shields Warden
+  },
+
+  effects: {
+    mortarHoldEmissive: 1.0,
+    mortarHoldLight: { intensity: 1.5, range: 4 },
+    splashLight: 'lucy'      // SPLASH_AREA_CONFIG.light profile
+  }
+};
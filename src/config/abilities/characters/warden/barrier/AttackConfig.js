@@ -0,0 +1,13 @@
+/**
+ * Warden Barrier Attack Config
+ * A wall raised in front of Warden that blocks bolts and movement until it expires,
+ * shielding Warden while it goes up.
+ */
+export const WARDEN_BARRIER_ATTACK_CONFIG = {
+  width: 3.0,               // Length of the wall across the aim direction
+  thickness: 0.4,           // Depth of the wall along the aim direction
+  distance: 1.4,            // Distance from Warden to the wall's center
+  duration: 4.0,            // Seconds before the wall comes down
+  casterStatusEffect: 'shield', // Status effect Warden gains when raising the wall (null for none)
+  cooldown: 10              // Cooldown in seconds
+};
@@ -0,0 +1,13 @@
+/**
+ * Warden Bolt Attack Config
+ * Warden-specific bolt ability stats and multipliers.
+ */
+export const WARDEN_BOLT_ATTACK_CONFIG = {
+  damage: 1.25,             // 125% of base (25 damage) - Solid hits
+  cooldown: 1.5,            // 150% of base (0.6s) - Steady fire rate
+  projectileSpeed: 1.25,    // 125% of base (5 units/s) - Slightly faster
+  size: 1.15,               // 115% of base (0.15 radius)
+  cursorFollowStrength: 0.5, // 50% of base (0.2) - Flies mostly straight
+  maxBullets: 0.8,          // 80% of base (8 bullets)
+  rechargeCooldown: 1.25    // 125% of base (2.5s)
+};
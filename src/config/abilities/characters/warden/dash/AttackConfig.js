@@ -0,0 +1,11 @@
+/**
+ * Warden Dash Attack Config
+ * A short burst of speed in the movement direction when Warden starts sprinting,
+ * ending in Warden's melee shove.
+ */
+export const WARDEN_DASH_ATTACK_CONFIG = {
+  speed: 18,                // Horizontal speed during the dash (units per second)
+  duration: 0.2,            // Seconds the dash lasts
+  cooldown: 3,              // Cooldown in seconds
+  finisher: 'melee'         // Ability fired when the dash ends (null for none)
+};
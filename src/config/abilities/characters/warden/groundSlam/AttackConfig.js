@@ -0,0 +1,14 @@
+/**
+ * Warden Ground Slam Attack Config
+ * Warden's ultimate: a slam that throws enemies back less far than Herald's but
+ * stuns everyone it hits.
+ */
+export const WARDEN_GROUND_SLAM_ATTACK_CONFIG = {
+  radius: 4.0,              // Radius of the slam
+  horizontalVelocity: 14.0, // Horizontal velocity to push characters away
+  verticalVelocity: 8.0,    // Vertical velocity to launch characters up
+  damage: 20,               // Damage at the center (falls off to half at the edge)
+  statusEffect: 'stun',     // Status effect inflicted on everyone hit (null for none)
+  cooldown: 30,             // Minimum seconds between slams (the ultimate meter is the real limit)
+  animationDuration: 1.0,   // Animation duration in seconds
+};
@@ -0,0 +1,15 @@
+/**
+ * Warden Melee Attack Config
+ * Warden-specific melee ability stats and multipliers.
+ * Warden's melee is a shove: a quick, light hit that throws enemies far back.
+ * It fires at the end of every dash (see dash/AttackConfig.js).
+ */
+export const WARDEN_MELEE_ATTACK_CONFIG = {
+  initialDamage: 8 / 15,    // Exactly 8 damage (base 15) - Light hit
+  damage: 0,                // No damage ticks - the shove is a single push
+  range: 1.8 / 1.4,         // Exactly 1.8 units (base 1.4) - Reaches a little further
+  animationDuration: 0.4 / 1.3, // Exactly 0.4s (base 1.3s) - Short animation
+  cooldown: 3 / 3.5,        // Exactly 3.0s (base 3.5s) - Matches the dash
+  horizontalVelocity: 2.5,  // 250% of base (20 units/s) - Strong push
+  verticalVelocity: 1.5     // 150% of base (3 units/s)
+};
@@ -0,0 +1,11 @@
+/**
+ * Warden Mortar Attack Config
+ * Warden-specific mortar ability stats and multipliers.
+ */
+export const WARDEN_MORTAR_ATTACK_CONFIG = {
+  damage: 0.857,            // 85.7% of base (30 damage)
+  areaDamage: 0.75,         // 75% of base (6 area damage)
+  cooldown: 1.5,            // 150% of base (4.5s)
+  maxRange: 0.875,          // 87.5% of base (7 units) - Holds the line rather than reaching far
+  splashRadius: 1.111       // 111.1% of base (1.0 radius)
+};
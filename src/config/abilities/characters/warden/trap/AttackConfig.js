@@ -0,0 +1,13 @@
+/**
+ * Warden Trap Attack Config
+ * A thorn trap dropped at Warden's feet that stuns and damages the first enemy to step near it.
+ */
+export const WARDEN_TRAP_ATTACK_CONFIG = {
+  size: 0.6,                // Thorn cluster size
+  triggerRadius: 1.0,       // Enemies this close set the trap off
+  armDelay: 0.75,           // Seconds before a dropped trap is armed
+  damage: 15,               // Damage dealt when the trap goes off
+  duration: 20,             // Seconds an untriggered trap stays
+  maxActive: 2,             // Traps Warden can have out at once (the oldest is removed)
+  cooldown: 8               // Cooldown in seconds
+};
@@ -14,12 +14,14 @@ export const ARENA_CONFIG = {
   'standard': {
     label: 'Forest Plaza (20x20)',
     size: 20,
+    maxBots: 10,
     description: 'A cozy forest clearing perfect for quick matches',
     image: '/assets/arenas/forest-plaza.png'
   },
   'large': {
     label: 'Ancient Grove (40x40)',
     size: 40,
+    maxBots: 25,
     description: 'A vast ancient forest for epic battles',
     image: '/assets/arenas/ancient grove.png'
   }
@@ -34,6 +36,15 @@ export function getArenaConfig(arenaKey) {
   return ARENA_CONFIG[arenaKey] || null;
 }
 
+/**
+ * Get the most bots an arena can hold
+ * @param {string} arenaKey - Arena key ('standard' or 'large')
+ * @returns {number} Maximum bot count (standard arena limit for unknown arenas)
+ */
+export function getArenaMaxBots(arenaKey) {
+  return (ARENA_CONFIG[arenaKey] || ARENA_CONFIG.standard).maxBots;
+}
+
 /**
  * Get all available arenas
  * @returns {Array<Object>} Array of arena objects with value, label, and image
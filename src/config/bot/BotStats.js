@@ -60,7 +60,8 @@ export const BOT_STATS = {
     
     // Movement behavior
     avoidanceDistance: 1,      // Distance to maintain from player when too close
-    followDistance: 10         // Maximum distance to follow player
+    followDistance: 10,        // Maximum distance to follow player
+    objectiveHoldRadius: 0.6   // Fraction of an objective zone's radius bots stay within
   },
   
   /**
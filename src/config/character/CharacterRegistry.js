@@ -0,0 +1,175 @@
+/**
+ * CharacterRegistry.js
+ *
+ * Registry of playable characters, built from character manifests.
+ * A manifest (config/abilities/characters/{name}/CharacterManifest.js) holds everything
+ * that defines a hero: colours, movement, ability configs and which ability each slot
+ * uses, labels, traits, status effects, sprite sheet and sounds. Character code looks characters up
+ * here instead of branching on names, so adding a hero means writing a manifest and
+ * listing it in BUILT_IN_MANIFESTS (or calling registerCharacter at startup).
+ *
+ * Shared by the client and the server (no three.js).
+ */
+
+import { GAME_CONSTANTS } from '../global/GameConstants.js';
+import { LUCY_CHARACTER_MANIFEST } from '../abilities/characters/lucy/CharacterManifest.js';
+import { HERALD_CHARACTER_MANIFEST } from '../abilities/characters/herald/CharacterManifest.js';
+import { WARDEN_CHARACTER_MANIFEST } from '../abilities/characters/warden/CharacterManifest.js';
+
+/**
+ * Manifests registered at load, in character-select order
+ */
+const BUILT_IN_MANIFESTS = [
+  LUCY_CHARACTER_MANIFEST,
+  HERALD_CHARACTER_MANIFEST,
+  WARDEN_CHARACTER_MANIFEST
+];
+
+/**
+ * Sprite animations loaded for every character unless its manifest overrides them
+ * Animations without a fallback are required; the rest fall back to the named animation.
+ */
+export const DEFAULT_SPRITE_ANIMATIONS = {
+  idle_front: { fps: 4, frames: 1 },
+  idle_back: { fps: 4, frames: 1 },
+  walk_front: { fps: 8, frames: 4 },
+  walk_back: { fps: 8, frames: 4 },
+  hit_front: { fps: 12, frames: 1, fallback: 'idle_front' },
+  hit_back: { fps: 12, frames: 1, fallback: 'idle_back' },
+  death_front: { fps: 8, frames: 1, fallback: 'idle_front' },
+  death_back: { fps: 8, frames: 1, fallback: 'idle_back' },
+  spawn_front: { fps: 8, frames: 1, fallback: 'idle_front' },
+  spawn_back: { fps: 8, frames: 1, fallback: 'idle_back' }
+};
+
+/**
+ * Manifest fields filled in when a manifest leaves them out
+ */
+const MANIFEST_DEFAULTS = {
+  movement: {},
+  abilities: {},
+  particles: {},
+  slots: { special: 'melee', sprint: null, utility: null, ultimate: null },
+  labels: { bolt: 'Bolt', mortar: 'Mortar', special: 'Melee', utility: null, ultimate: null },
+  traits: { acceleratingBolts: false, poisonMortar: false, loopingMortarExplosion: false },
+  statusEffects: { inflicts: [], grants: [] },
+  effects: { mortarHoldEmissive: 0.8, mortarHoldLight: { intensity: 1.2, range: 3 }, splashLight: 'lucy' }
+};
+
+const registry = new Map(); // name -> manifest (with defaults filled in)
+
+/**
+ * Register a character
+ * Registering a name again replaces its manifest.
+ * @param {Object} manifest - Character manifest ({name, displayName, colors} required)
+ * @returns {Object} Registered manifest with defaults filled in
+ */
+export function registerCharacter(manifest) {
+  if (!manifest || typeof manifest.name !== 'string' || !manifest.name) {
+    throw new Error('Character manifest needs a name');
+  }
+  if (!manifest.colors || typeof manifest.colors.hex !== 'number') {
+    throw new Error(`Character manifest "${manifest.name}" needs colors {hex, css, rgb}`);
+  }
+
+  const basePath = `/assets/characters/${manifest.name}/`;
+  const registered = {
+    ...manifest,
+    displayName: manifest.displayName || manifest.name.charAt(0).toUpperCase() + manifest.name.slice(1),
+    movement: { ...MANIFEST_DEFAULTS.movement, ...manifest.movement },
+    abilities: { ...MANIFEST_DEFAULTS.abilities, ...manifest.abilities },
+    particles: { ...MANIFEST_DEFAULTS.particles, ...manifest.particles },
+    slots: { ...MANIFEST_DEFAULTS.slots, ...manifest.slots },
+    labels: { ...MANIFEST_DEFAULTS.labels, ...manifest.labels },
+    traits: { ...MANIFEST_DEFAULTS.traits, ...manifest.traits },
+    statusEffects: { ...MANIFEST_DEFAULTS.statusEffects, ...manifest.statusEffects },
+    effects: { ...MANIFEST_DEFAULTS.effects, ...manifest.effects },
+    sprites: {
+      basePath,
+      tint: 0xffffff, // Colour multiplied over the sprite sheet (white leaves it as drawn)
+      ...manifest.sprites,
+      animations: { ...DEFAULT_SPRITE_ANIMATIONS, ...manifest.sprites?.animations }
+    },
+    sounds: { basePath, boltVolume: 1.0, ...manifest.sounds }
+  };
+  registry.set(manifest.name, registered);
+  return registered;
+}
+
+/**
+ * Get a character's manifest
+ * @param {string} characterName - Character name
+ * @returns {Object} Manifest (the default character's for unknown names)
+ */
+export function getCharacterManifest(characterName) {
+  return registry.get(characterName) || registry.get(GAME_CONSTANTS.DEFAULT_CHARACTER);
+}
+
+/**
+ * Check whether a character is registered
+ * @param {string} characterName - Character name
+ * @returns {boolean} True if registered
+ */
+export function isRegisteredCharacter(characterName) {
+  return registry.has(characterName);
+}
+
+/**
+ * Get every registered character name, in character-select order
+ * @returns {Array<string>} Character names
+ */
+export function getCharacterNames() {
+  return [...registry.keys()];
+}
+
+/**
+ * Get the character after this one (character swap), wrapping around
+ * @param {string} characterName - Current character name
+ * @returns {string} Next character name
+ */
+export function getNextCharacterName(characterName) {
+  const names = getCharacterNames();
+  return names[(names.indexOf(characterName) + 1) % names.length];
+}
+
+/**
+ * Get the ability a character uses in a slot
+ * @param {string} characterName - Character name
+ * @param {string} slot - Slot name ('special', 'sprint', 'utility' or 'ultimate')
+ * @returns {string|null} Ability name, or null if the slot is empty
+ */
+export function getAbilitySlot(characterName, slot) {
+  return getCharacterManifest(characterName).slots[slot] || null;
+}
+
+/**
+ * Check a character trait
+ * @param {string} characterName - Character name
+ * @param {string} trait - Trait name (e.g. 'poisonMortar')
+ * @returns {boolean} True if the character has the trait
+ */
+export function hasCharacterTrait(characterName, trait) {
+  return getCharacterManifest(characterName).traits[trait] === true;
+}
+
+/**
+ * Check whether a character's abilities put a status effect on others
+ * @param {string} characterName - Character name
+ * @param {string} type - Effect type (e.g. 'poison')
+ * @returns {boolean} True if the character inflicts the effect
+ */
+export function canCharacterInflict(characterName, type) {
+  return getCharacterManifest(characterName).statusEffects.inflicts.includes(type);
+}
+
+/**
+ * Check whether a character's abilities give it a beneficial status effect
+ * @param {string} characterName - Character name
+ * @param {string} type - Effect type (e.g. 'shield')
+ * @returns {boolean} True if the character grants itself the effect
+ */
+export function canCharacterGrant(characterName, type) {
+  return getCharacterManifest(characterName).statusEffects.grants.includes(type);
+}
+
+BUILT_IN_MANIFESTS.forEach(registerCharacter);
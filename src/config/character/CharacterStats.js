@@ -9,22 +9,14 @@
 
 import { BASE_ENTITY_STATS, getBaseEntityHealthStats, getBaseEntityMovementStats } from '../global/BaseEntityStats.js';
 import { getCharacterPhysicsStats } from './PhysicsConfig.js';
+import { getCharacterManifest } from './CharacterRegistry.js';
 
 /**
  * Player Character Configuration Stats
  * 
  * All stats related to player character behavior, health, movement, and physics.
- * Extends base entity stats with character-specific overrides.
+ * Extends base entity stats; per-character movement overrides live in the character manifests.
  */
-const CHARACTER_MOVEMENT_OVERRIDES = {
-  lucy: {
-    runSpeedMultiplier: 1.7
-  },
-  herald: {
-    runSpeedMultiplier: 2.1
-  }
-};
-
 export const CHARACTER_STATS = {
   /**
    * Health Configuration (inherits from base entity stats)
@@ -76,7 +68,7 @@ export { getCharacterPhysicsStats };
  */
 export function getCharacterMovementStatsFor(characterName) {
   const baseMovement = getCharacterMovementStats();
-  const overrides = CHARACTER_MOVEMENT_OVERRIDES[characterName] || {};
+  const overrides = getCharacterManifest(characterName).movement;
 
   return {
     ...baseMovement,
@@ -0,0 +1,100 @@
+/**
+ * CrystalConfig.js
+ *
+ * Centralized configuration for the capture-the-crystal mode.
+ * Shared by the client and the server so base positions and limits stay in sync.
+ */
+
+import { getTeamIds } from './TeamConfig.js';
+
+/**
+ * Crystal Mode Configuration
+ */
+export const CRYSTAL_CONFIG = {
+  /**
+   * Team bases (fraction of arena size from the center)
+   */
+  bases: {
+    red: { x: -0.35, z: 0 },
+    blue: { x: 0.35, z: 0 }
+  },
+
+  /**
+   * Interaction
+   */
+  touchRadius: 1.6,           // Distance at which crystals and bases can be touched
+  autoReturnSeconds: 20,      // Dropped crystals return home after this long
+  actionCooldownMs: 500,      // Minimum time between client crystal requests
+
+  /**
+   * Visuals
+   */
+  crystalScale: 3,            // Scale applied to the collectible gem
+  carryHeight: 2.4,           // Height above the carrier's feet
+
+  /**
+   * Capture Limit Configuration (captures needed to win a round)
+   */
+  captureLimit: {
+    default: 3,
+    min: 1,
+    max: 10
+  }
+};
+
+/**
+ * Get crystal mode stats
+ * @returns {Object} Crystal mode configuration
+ */
+export function getCrystalStats() {
+  return CRYSTAL_CONFIG;
+}
+
+/**
+ * Get a team's base position in world units
+ * @param {string} teamId - Team ID
+ * @param {number} arenaSize - Arena size
+ * @returns {Object|null} Position {x, z} or null if the team has no base
+ */
+export function getBasePosition(teamId, arenaSize) {
+  const base = CRYSTAL_CONFIG.bases[teamId];
+  if (!base) {
+    return null;
+  }
+  return {
+    x: base.x * arenaSize,
+    z: base.z * arenaSize
+  };
+}
+
+/**
+ * Clamp a requested capture limit to the allowed range
+ * @param {number} value - Requested capture limit
+ * @returns {number} Valid capture limit (default if value is not a number)
+ */
+export function clampCaptureLimit(value) {
+  const limits = CRYSTAL_CONFIG.captureLimit;
+  const number = Math.round(Number(value));
+  if (!Number.isFinite(number)) {
+    return limits.default;
+  }
+  return Math.max(limits.min, Math.min(limits.max, number));
+}
+
+/**
+ * Create crystal states with every crystal at home
+ * @returns {Object} Crystal states {teamId: {state, carrierId, x, z, droppedAt}}
+ */
+export function createCrystalStates() {
+  const crystals = {};
+  getTeamIds().forEach(teamId => {
+    crystals[teamId] = {
+      state: 'home',          // 'home', 'carried' or 'dropped'
+      carrierId: null,
+      x: null,                // Drop position (world units) when dropped
+      z: null,
+      droppedAt: null
+    };
+  });
+  return crystals;
+}
@@ -39,7 +39,44 @@ export const GAME_MODE_CONFIG = {
     name: 'Mystic Battle',
     description: 'Invite players and battle with magical projectiles',
     enabled: true,
-    image: '/assets/gamemodes/shooting.png'
+    image: '/assets/gamemodes/shooting.png',
+    combat: true,              // Health, abilities and multiplayer rooms
+    bots: true                 // Bots can be added from the menu
+  },
+  'team-deathmatch': {
+    name: 'Mystic Clash',
+    description: 'Two teams battle - first team to the kill limit wins',
+    enabled: true,
+    image: '/assets/gamemodes/shooting.png',
+    combat: true,
+    teams: true,               // Players are split into teams with no friendly fire
+    scoring: 'kills'           // Team score source: 'kills' or 'captures'
+  },
+  'capture-crystal': {
+    name: 'Crystal Heist',
+    description: 'Steal the enemy crystal and carry it to your shrine',
+    enabled: true,
+    image: '/assets/gamemodes/time-trial.png',
+    combat: true,
+    teams: true,
+    scoring: 'captures'
+  },
+  'king-of-the-hill': {
+    name: 'Shrine Keeper',
+    description: 'Hold the wandering shrine alone to earn points',
+    enabled: true,
+    image: '/assets/gamemodes/time-trial.png',
+    combat: true,
+    bots: true
+  },
+  'wave-survival': {
+    name: 'Shadow Siege',
+    description: 'Hold out together against growing waves of bots',
+    enabled: true,
+    image: '/assets/gamemodes/survival.png',
+    combat: true,
+    bots: true,
+    coop: true                 // Players fight bot waves together: no friendly fire, shared lives
   }
 };
 
@@ -70,3 +107,53 @@ export function isModeEnabled(modeKey) {
   return config ? config.enabled : false;
 }
 
+
+/**
+ * Check if a mode is a combat mode (health, abilities and multiplayer rooms)
+ * @param {string} modeKey - Mode key
+ * @returns {boolean} True if mode is a combat mode
+ */
+export function isCombatMode(modeKey) {
+  const config = GAME_MODE_CONFIG[modeKey];
+  return config ? !!config.combat : false;
+}
+
+/**
+ * Check if bots can play a mode
+ * @param {string} modeKey - Mode key
+ * @returns {boolean} True if bots are allowed
+ */
+export function allowsBots(modeKey) {
+  const config = GAME_MODE_CONFIG[modeKey];
+  return config ? !!config.bots : false;
+}
+
+/**
+ * Check if players fight bot waves together (bots are spawned by the mode, not the menu)
+ * @param {string} modeKey - Mode key
+ * @returns {boolean} True for co-op modes
+ */
+export function isCoopMode(modeKey) {
+  const config = GAME_MODE_CONFIG[modeKey];
+  return config ? !!config.coop : false;
+}
+
+/**
+ * Check if a mode splits players into teams
+ * @param {string} modeKey - Mode key
+ * @returns {boolean} True if mode is team-based
+ */
+export function isTeamMode(modeKey) {
+  const config = GAME_MODE_CONFIG[modeKey];
+  return config ? !!config.teams : false;
+}
+
+/**
+ * Get what earns team points in a team mode
+ * @param {string} modeKey - Mode key
+ * @returns {string|null} 'kills', 'captures', or null for non-team modes
+ */
+export function getTeamScoring(modeKey) {
+  const config = GAME_MODE_CONFIG[modeKey];
+  return config && config.teams ? (config.scoring || 'kills') : null;
+}
@@ -36,7 +36,9 @@ export const GAME_MODE_STATS = {
    */
   scoring: {
     itemCollected: 10,         // Points for collecting an item
-    checkpointActivated: 20     // Points for activating a checkpoint
+    checkpointActivated: 20,    // Points for activating a checkpoint
+    waveBotDefeated: 10,       // Points for defeating a wave bot (co-op survival)
+    waveCleared: 50            // Points for clearing a wave (co-op survival)
   },
   
   /**
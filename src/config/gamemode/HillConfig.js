@@ -0,0 +1,84 @@
+/**
+ * HillConfig.js
+ *
+ * Centralized configuration for the king-of-the-hill mode.
+ * The zone moves on a fixed schedule derived from the clock, so every client
+ * in a room places it at the same spot without extra network traffic.
+ */
+
+/**
+ * Hill Mode Configuration
+ */
+export const HILL_CONFIG = {
+  /**
+   * Zone spots (fraction of arena size from the center)
+   */
+  spots: [
+    { x: 0, z: 0 },
+    { x: -0.3, z: -0.3 },
+    { x: 0.3, z: 0.3 },
+    { x: 0.3, z: -0.3 },
+    { x: -0.3, z: 0.3 }
+  ],
+  spotStep: 2,                // Spots advanced per move (coprime with spot count, never repeats a spot)
+
+  /**
+   * Timing and scoring
+   */
+  moveIntervalSeconds: 30,    // How long the zone stays at one spot
+  pointsPerSecond: 1,         // Points earned while holding the zone alone
+
+  /**
+   * Zone
+   */
+  radius: 3.5,                // Players within this distance of the shrine are in the zone
+
+  /**
+   * Visuals
+   */
+  ringColor: 0xffd166,        // Ground ring when held or empty
+  contestedColor: 0xff6b6b,   // Ground ring when contested
+  ringOpacity: 0.35
+};
+
+/**
+ * Get hill mode stats
+ * @returns {Object} Hill mode configuration
+ */
+export function getHillStats() {
+  return HILL_CONFIG;
+}
+
+/**
+ * Get the zone schedule slot for a time
+ * @param {number} timeMs - Timestamp in milliseconds
+ * @returns {number} Slot index (changes every move interval)
+ */
+export function getHillSlot(timeMs) {
+  return Math.floor(timeMs / (HILL_CONFIG.moveIntervalSeconds * 1000));
+}
+
+/**
+ * Get seconds left before the zone moves
+ * @param {number} timeMs - Timestamp in milliseconds
+ * @returns {number} Seconds until the next move
+ */
+export function getHillSecondsRemaining(timeMs) {
+  const intervalMs = HILL_CONFIG.moveIntervalSeconds * 1000;
+  return (intervalMs - (timeMs % intervalMs)) / 1000;
+}
+
+/**
+ * Get the zone position for a schedule slot in world units
+ * @param {number} slot - Slot index from getHillSlot
+ * @param {number} arenaSize - Arena size
+ * @returns {Object} Position {x, z}
+ */
+export function getHillPosition(slot, arenaSize) {
+  const spots = HILL_CONFIG.spots;
+  const index = ((slot * HILL_CONFIG.spotStep) % spots.length + spots.length) % spots.length;
+  return {
+    x: spots[index].x * arenaSize,
+    z: spots[index].z * arenaSize
+  };
+}
@@ -0,0 +1,72 @@
+/**
+ * MatchConfig.js
+ *
+ * Centralized configuration for the online match lifecycle.
+ * Shared by the client and the server so phase names and timings stay in sync.
+ *
+ * Rooms move through: lobby → ready-check → countdown → playing → results → lobby.
+ */
+
+import { isCoopMode } from './GameModeConfig.js';
+
+/**
+ * Match phases
+ */
+export const MATCH_PHASES = {
+  LOBBY: 'lobby',               // Waiting for the host to start
+  READY_CHECK: 'ready-check',   // Host started, waiting for everyone to ready up
+  COUNTDOWN: 'countdown',       // Everyone is ready, match about to begin
+  PLAYING: 'playing',           // Match in progress
+  RESULTS: 'results'            // Match over, showing results
+};
+
+/**
+ * Match Configuration
+ */
+export const MATCH_CONFIG = {
+  /**
+   * Phase timings (seconds)
+   */
+  readyCheckSeconds: 20,        // Ready check falls back to the lobby after this
+  countdownSeconds: 5,          // Countdown before the match starts
+  matchSeconds: 300,            // Default match length (rooms can change it; co-op runs have no time limit)
+  resultsSeconds: 10,           // Results are shown this long before returning to the lobby
+
+  /**
+   * Phase names shown to players
+   */
+  phaseLabels: {
+    [MATCH_PHASES.LOBBY]: 'Lobby',
+    [MATCH_PHASES.READY_CHECK]: 'Ready Check',
+    [MATCH_PHASES.COUNTDOWN]: 'Starting',
+    [MATCH_PHASES.PLAYING]: 'In Progress',
+    [MATCH_PHASES.RESULTS]: 'Results'
+  }
+};
+
+/**
+ * Get match stats
+ * @returns {Object} Match configuration
+ */
+export function getMatchStats() {
+  return MATCH_CONFIG;
+}
+
+/**
+ * Get how long a match lasts in a mode
+ * @param {string} mode - Mode key
+ * @param {number} timeLimit - Room time limit in seconds
+ * @returns {number|null} Match length in seconds, or null if the match has no time limit
+ */
+export function getMatchSeconds(mode, timeLimit = MATCH_CONFIG.matchSeconds) {
+  return isCoopMode(mode) ? null : timeLimit;
+}
+
+/**
+ * Get the display name of a match phase
+ * @param {string} phase - Match phase
+ * @returns {string} Phase label
+ */
+export function getMatchPhaseLabel(phase) {
+  return MATCH_CONFIG.phaseLabels[phase] || phase;
+}
@@ -0,0 +1,210 @@
+/**
+ * RoomSettingsConfig.js
+ *
+ * Centralized configuration for host-controlled room settings.
+ * Shared by the client and the server: the server validates every change with these rules
+ * and pushes the result to everyone in the room.
+ */
+
+import { isCombatMode, isModeEnabled } from './GameModeConfig.js';
+import { clampKillLimit } from './TeamConfig.js';
+import { clampCaptureLimit } from './CrystalConfig.js';
+import { MATCH_CONFIG } from './MatchConfig.js';
+import { getArenaConfig, getArenaMaxBots } from '../arena/ArenaConfig.js';
+import { BOT_DIFFICULTY, getAvailableDifficulties } from '../bot/BotDifficultyConfig.js';
+
+/**
+ * Room Settings Configuration
+ */
+export const ROOM_SETTINGS_CONFIG = {
+  defaultGameMode: 'shooting',
+  defaultArena: 'standard',
+  defaultBotDifficulty: BOT_DIFFICULTY.BEGINNER,
+
+  /**
+   * Match time limit (seconds)
+   */
+  timeLimit: {
+    default: MATCH_CONFIG.matchSeconds,
+    min: 60,
+    max: 900,
+    step: 60
+  },
+
+  /**
+   * Bots added to the room (the maximum depends on the arena)
+   */
+  botCount: {
+    default: 0,
+    min: 0
+  },
+
+  /**
+   * Player slots (arrivals beyond this spectate and queue for a slot)
+   * Lowering the cap never removes anyone already playing.
+   */
+  maxPlayers: {
+    default: 8,
+    min: 2,
+    max: 16
+  },
+
+  maxSpectators: 8,            // Spectators (and queue) a room holds on top of its players
+
+  /**
+   * How long an emptied room is kept after an arena change (seconds)
+   * Every client reloads into the new arena and rejoins within this window.
+   */
+  arenaRejoinSeconds: 15,
+
+  /**
+   * How long a player whose connection dropped keeps their slot, team and stats (seconds)
+   * The client reconnects and resumes with the token it got on create/join.
+   */
+  reconnectGraceSeconds: 30
+};
+
+/**
+ * Settings the host can change with update-room
+ */
+export const ROOM_SETTING_KEYS = ['gameMode', 'arena', 'killLimit', 'captureLimit', 'timeLimit', 'botCount', 'botDifficulty', 'maxPlayers'];
+
+/**
+ * Get room settings configuration
+ * @returns {Object} Room settings configuration
+ */
+export function getRoomSettingsStats() {
+  return ROOM_SETTINGS_CONFIG;
+}
+
+/**
+ * Clamp a requested time limit to the allowed range
+ * @param {number} value - Requested time limit in seconds
+ * @returns {number} Valid time limit (default if value is not a number)
+ */
+export function clampTimeLimit(value) {
+  const limits = ROOM_SETTINGS_CONFIG.timeLimit;
+  const number = Math.round(Number(value));
+  if (!Number.isFinite(number)) {
+    return limits.default;
+  }
+  return Math.max(limits.min, Math.min(limits.max, number));
+}
+
+/**
+ * Clamp a requested player cap to the allowed range
+ * @param {number} value - Requested number of player slots
+ * @returns {number} Valid player cap (default if value is not a number)
+ */
+export function clampMaxPlayers(value) {
+  const limits = ROOM_SETTINGS_CONFIG.maxPlayers;
+  const number = Math.round(Number(value));
+  if (!Number.isFinite(number)) {
+    return limits.default;
+  }
+  return Math.max(limits.min, Math.min(limits.max, number));
+}
+
+/**
+ * Clamp a requested bot count to what the arena can hold
+ * @param {number} value - Requested bot count
+ * @param {string} arena - Arena key
+ * @returns {number} Valid bot count (default if value is not a number)
+ */
+export function clampBotCount(value, arena) {
+  const limits = ROOM_SETTINGS_CONFIG.botCount;
+  const number = Math.round(Number(value));
+  if (!Number.isFinite(number)) {
+    return limits.default;
+  }
+  return Math.max(limits.min, Math.min(getArenaMaxBots(arena), number));
+}
+
+/**
+ * Create a complete, valid set of room settings
+ * Unknown or missing values fall back to their defaults.
+ * @param {Object} settings - Requested settings {gameMode, arena, killLimit, captureLimit, timeLimit, botCount, botDifficulty, maxPlayers}
+ * @returns {Object} Room settings
+ */
+export function createRoomSettings(settings = {}) {
+  const arena = getArenaConfig(settings.arena) ? settings.arena : ROOM_SETTINGS_CONFIG.defaultArena;
+  return {
+    gameMode: isCombatMode(settings.gameMode) ? settings.gameMode : ROOM_SETTINGS_CONFIG.defaultGameMode,
+    arena,
+    killLimit: clampKillLimit(settings.killLimit),
+    captureLimit: clampCaptureLimit(settings.captureLimit),
+    timeLimit: clampTimeLimit(settings.timeLimit),
+    botCount: clampBotCount(settings.botCount, arena),
+    botDifficulty: getAvailableDifficulties().includes(settings.botDifficulty)
+      ? settings.botDifficulty
+      : ROOM_SETTINGS_CONFIG.defaultBotDifficulty,
+    maxPlayers: clampMaxPlayers(settings.maxPlayers)
+  };
+}
+
+/**
+ * Validate a host's settings change
+ * Numbers are clamped; unknown modes, arenas and difficulties are rejected.
+ * @param {Object} updates - Requested changes (other keys are ignored)
+ * @param {Object} current - Current room settings
+ * @returns {Object} {settings, error} - Validated changes, or an error message
+ */
+export function validateRoomSettings(updates, current) {
+  const settings = {};
+  const has = (key) => !!updates && Object.prototype.hasOwnProperty.call(updates, key);
+
+  if (has('gameMode')) {
+    if (!isCombatMode(updates.gameMode) || !isModeEnabled(updates.gameMode)) {
+      return { settings: {}, error: 'Rooms can only play enabled combat modes' };
+    }
+    settings.gameMode = updates.gameMode;
+  }
+  if (has('arena')) {
+    if (!getArenaConfig(updates.arena)) {
+      return { settings: {}, error: 'Unknown arena' };
+    }
+    settings.arena = updates.arena;
+  }
+  if (has('botDifficulty')) {
+    if (!getAvailableDifficulties().includes(updates.botDifficulty)) {
+      return { settings: {}, error: 'Unknown bot difficulty' };
+    }
+    settings.botDifficulty = updates.botDifficulty;
+  }
+  if (has('killLimit')) {
+    settings.killLimit = clampKillLimit(updates.killLimit);
+  }
+  if (has('captureLimit')) {
+    settings.captureLimit = clampCaptureLimit(updates.captureLimit);
+  }
+  if (has('timeLimit')) {
+    settings.timeLimit = clampTimeLimit(updates.timeLimit);
+  }
+  if (has('maxPlayers')) {
+    settings.maxPlayers = clampMaxPlayers(updates.maxPlayers);
+  }
+
+  // A smaller arena may no longer fit the current bots
+  const arena = settings.arena || current.arena;
+  if (has('botCount') || settings.arena) {
+    const botCount = clampBotCount(has('botCount') ? updates.botCount : current.botCount, arena);
+    if (has('botCount') || botCount !== current.botCount) {
+      settings.botCount = botCount;
+    }
+  }
+
+  return { settings, error: null };
+}
+
+/**
+ * Pick the room settings out of a room or server response
+ * @param {Object} source - Object holding the settings
+ * @returns {Object} Room settings {gameMode, arena, killLimit, captureLimit, timeLimit, botCount, botDifficulty, maxPlayers}
+ */
+export function pickRoomSettings(source = {}) {
+  const settings = {};
+  ROOM_SETTING_KEYS.forEach(key => {
+    settings[key] = source[key];
+  });
+  return settings;
+}
@@ -0,0 +1,87 @@
+/**
+ * TeamConfig.js
+ * 
+ * Centralized configuration for team-based game modes.
+ * Shared by the client and the server so team IDs and limits stay in sync.
+ */
+
+/**
+ * Team Configuration
+ */
+export const TEAM_CONFIG = {
+  /**
+   * Teams (order is used for assignment tie-breaks and display)
+   */
+  teams: {
+    red: {
+      name: 'Ember',
+      color: 0xe0574f,         // Health bar / minimap color
+      cssColor: '#e0574f'      // UI color
+    },
+    blue: {
+      name: 'Tide',
+      color: 0x4f8fe0,
+      cssColor: '#4f8fe0'
+    }
+  },
+  
+  /**
+   * Kill Limit Configuration (team kills needed to win a round)
+   */
+  killLimit: {
+    default: 25,
+    min: 5,
+    max: 100
+  }
+};
+
+/**
+ * Get all team IDs
+ * @returns {Array<string>} Team IDs
+ */
+export function getTeamIds() {
+  return Object.keys(TEAM_CONFIG.teams);
+}
+
+/**
+ * Get team configuration by ID
+ * @param {string} teamId - Team ID
+ * @returns {Object|null} Team configuration or null if not found
+ */
+export function getTeamConfig(teamId) {
+  return TEAM_CONFIG.teams[teamId] || null;
+}
+
+/**
+ * Get kill limit configuration
+ * @returns {Object} Kill limit configuration {default, min, max}
+ */
+export function getKillLimitStats() {
+  return TEAM_CONFIG.killLimit;
+}
+
+/**
+ * Clamp a requested kill limit to the allowed range
+ * @param {number} value - Requested kill limit
+ * @returns {number} Valid kill limit (default if value is not a number)
+ */
+export function clampKillLimit(value) {
+  const limits = TEAM_CONFIG.killLimit;
+  const number = Math.round(Number(value));
+  if (!Number.isFinite(number)) {
+    return limits.default;
+  }
+  return Math.max(limits.min, Math.min(limits.max, number));
+}
+
+/**
+ * Create a zeroed score object for all teams
+ * @returns {Object} Team scores {teamId: 0}
+ */
+export function createTeamScores() {
+  const scores = {};
+  getTeamIds().forEach(teamId => {
+    scores[teamId] = 0;
+  });
+  return scores;
+}
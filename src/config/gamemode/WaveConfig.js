@@ -0,0 +1,93 @@
+/**
+ * WaveConfig.js
+ *
+ * Centralized configuration for the wave co-op survival mode.
+ * Shared by the client and the server so wave sizes, intermissions and the
+ * shared life pool stay in sync.
+ */
+
+import { BOT_DIFFICULTY } from '../bot/BotDifficultyConfig.js';
+
+/**
+ * Wave Mode Configuration
+ */
+export const WAVE_CONFIG = {
+  /**
+   * Shared life pool (deaths allowed across all players before the run ends)
+   */
+  sharedLives: 5,
+
+  /**
+   * Timing
+   */
+  intermissionSeconds: 8,     // Break before each wave
+  gameOverSeconds: 5,         // Break after the pool runs out before wave 1 starts again
+
+  /**
+   * Wave size
+   */
+  firstWaveBots: 2,           // Bots in wave 1
+  botsPerWave: 1,             // Extra bots each wave (capped by the arena's bot limit)
+
+  /**
+   * Difficulty by wave (last entry whose fromWave has been reached applies)
+   */
+  difficultyByWave: [
+    { fromWave: 1, difficulty: BOT_DIFFICULTY.EASY },
+    { fromWave: 3, difficulty: BOT_DIFFICULTY.BEGINNER },
+    { fromWave: 6, difficulty: BOT_DIFFICULTY.MIDWAY },
+    { fromWave: 10, difficulty: BOT_DIFFICULTY.VETERAN }
+  ],
+
+  /**
+   * Spawning
+   */
+  spawnRadius: 0.4            // Bots spawn on a ring this fraction of the arena size from the center
+};
+
+/**
+ * Get wave mode stats
+ * @returns {Object} Wave mode configuration
+ */
+export function getWaveStats() {
+  return WAVE_CONFIG;
+}
+
+/**
+ * Get how many bots a wave has
+ * @param {number} wave - Wave number (1-based)
+ * @param {number} maxBots - Arena bot limit
+ * @returns {number} Bot count
+ */
+export function getWaveBotCount(wave, maxBots) {
+  const count = WAVE_CONFIG.firstWaveBots + (Math.max(1, wave) - 1) * WAVE_CONFIG.botsPerWave;
+  return Math.min(count, maxBots);
+}
+
+/**
+ * Get the bot difficulty for a wave
+ * @param {number} wave - Wave number (1-based)
+ * @returns {string} Difficulty level
+ */
+export function getWaveDifficulty(wave) {
+  let difficulty = WAVE_CONFIG.difficultyByWave[0].difficulty;
+  for (const step of WAVE_CONFIG.difficultyByWave) {
+    if (wave >= step.fromWave) {
+      difficulty = step.difficulty;
+    }
+  }
+  return difficulty;
+}
+
+/**
+ * Create wave state for a fresh run
+ * @returns {Object} Wave state {wave, phase, livesRemaining, intermissionRemaining}
+ */
+export function createWaveState() {
+  return {
+    wave: 1,
+    phase: 'intermission',                            // 'intermission', 'active' or 'waiting'
+    livesRemaining: WAVE_CONFIG.sharedLives,
+    intermissionRemaining: WAVE_CONFIG.intermissionSeconds
+  };
+}
@@ -0,0 +1,78 @@
+/**
+ * ChatConfig.js
+ *
+ * Centralized configuration for room chat and the quick-chat wheel.
+ * Shared by the client and the server: the server applies the same length limit
+ * and resolves quick-chat IDs to the preset text everyone sees.
+ */
+
+import { getBlockedWordPattern } from './PlayerNameConfig.js';
+
+/**
+ * Chat Configuration
+ */
+export const CHAT_CONFIG = {
+  maxLength: 120,              // Longest message (characters)
+  historySize: 30,             // Messages kept in the chat log
+  messageSeconds: 8,           // How long a message stays visible while chat is closed
+  wheelSeconds: 4,             // Quick-chat wheel closes if nothing is picked in time
+
+  /**
+   * Per-socket rate limit (token bucket)
+   */
+  rateLimit: {
+    capacity: 5,               // Burst of messages
+    refillPerSecond: 0.5       // One more message every 2 seconds
+  },
+
+  /**
+   * Quick-chat presets, one per D-pad direction
+   */
+  quickChat: [
+    { id: 'group-up', direction: 'up', text: 'Group up!' },
+    { id: 'nice-shot', direction: 'right', text: 'Nice shot!' },
+    { id: 'need-help', direction: 'down', text: 'Need help!' },
+    { id: 'good-game', direction: 'left', text: 'Good game!' }
+  ]
+};
+
+/**
+ * Get chat configuration
+ * @returns {Object} Chat configuration
+ */
+export function getChatStats() {
+  return CHAT_CONFIG;
+}
+
+/**
+ * Get a quick-chat preset by ID
+ * @param {string} quickChatId - Preset ID
+ * @returns {Object|null} Preset {id, direction, text} or null if unknown
+ */
+export function getQuickChat(quickChatId) {
+  return CHAT_CONFIG.quickChat.find(preset => preset.id === quickChatId) || null;
+}
+
+/**
+ * Get the quick-chat preset bound to a D-pad direction
+ * @param {string} direction - 'up', 'right', 'down' or 'left'
+ * @returns {Object|null} Preset {id, direction, text} or null if none
+ */
+export function getQuickChatForDirection(direction) {
+  return CHAT_CONFIG.quickChat.find(preset => preset.direction === direction) || null;
+}
+
+/**
+ * Clean up a typed chat message
+ * Whitespace is collapsed, the message is cut to the length limit and blocked words are starred out
+ * (whole words only, see getBlockedWordPattern).
+ * @param {string} text - Typed message
+ * @returns {string} Message to send (empty if there is nothing to send)
+ */
+export function normalizeChatMessage(text) {
+  if (typeof text !== 'string') {
+    return '';
+  }
+  const trimmed = text.replace(/\s+/g, ' ').trim().substring(0, CHAT_CONFIG.maxLength);
+  return trimmed.replace(getBlockedWordPattern({ flags: 'gi' }), word => '*'.repeat(word.length));
+}
@@ -8,6 +8,17 @@
 export const GAME_CONSTANTS = {
   // Timing constants
   SYNC_INTERVAL: 66, // Position sync interval in milliseconds (~15 times per second for ultra-smooth multiplayer with less jitter)
+  
+  // Remote player snapshot interpolation
+  INTERPOLATION_RENDER_DELAY: 100, // Render remote players this far in the past (ms) so two snapshots usually bracket render time
+  INTERPOLATION_MAX_EXTRAPOLATION: 150, // Max time to extrapolate past the newest snapshot when packets drop (ms)
+  INTERPOLATION_BUFFER_SIZE: 30, // Max snapshots kept per remote player
+  INTERPOLATION_TELEPORT_DISTANCE: 5, // Snapshots further apart than this are snapped instead of interpolated (respawns)
+  
+  // Local player prediction and reconciliation
+  PREDICTION_HISTORY_SIZE: 180, // Max unacknowledged input commands kept for replay (~3s at 60fps)
+  PREDICTION_ERROR_TOLERANCE: 0.05, // Server/predicted position difference that triggers a rewind and replay
+  PREDICTION_TELEPORT_DISTANCE: 3, // Out-of-band moves larger than this are flagged as teleports (respawns)
   ANIMATION_UPDATE_THROTTLE: 16, // Max update interval for animations in milliseconds
   STALE_PLAYER_CLEANUP: 5000, // Cleanup stale players every 5 seconds
   AUTO_JOIN_DELAY: 50, // Delay before attempting auto-join in milliseconds
@@ -37,8 +48,7 @@ export const GAME_CONSTANTS = {
   MUSHROOM_VISIBLE_MODE: 'free-play',
   
   // Character defaults
-  DEFAULT_CHARACTER: 'lucy',
-  AVAILABLE_CHARACTERS: ['lucy', 'herald'],
+  DEFAULT_CHARACTER: 'lucy', // Registered characters are listed in config/character/CharacterRegistry.js
   
   // Game mode defaults
   DEFAULT_GAME_MODE: 'free-play',
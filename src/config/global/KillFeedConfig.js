@@ -0,0 +1,93 @@
+/**
+ * KillFeedConfig.js
+ *
+ * Centralized configuration for the room-wide kill feed.
+ * Shared by the client and the server: the server maps damage attack types to the
+ * ability shown in the feed and names bots the same way every client does.
+ */
+
+/**
+ * Kill Feed Configuration
+ */
+export const KILL_FEED_CONFIG = {
+  maxEntries: 5,               // Entries shown at once (oldest drop off)
+  entrySeconds: 6,             // How long an entry stays on screen
+
+  /**
+   * Per-socket rate limit for client-reported kills (bots and falls)
+   */
+  rateLimit: {
+    capacity: 8,
+    refillPerSecond: 2
+  },
+
+  /**
+   * Abilities shown in the feed ("Lucy [bolt] → Herald")
+   */
+  abilities: {
+    bolt: { label: 'bolt' },
+    mortar: { label: 'mortar' },
+    melee: { label: 'melee' },
+    blast: { label: 'blast' },
+    roll: { label: 'roll' },
+    trap: { label: 'trap' },
+    groundSlam: { label: 'slam' },
+    fallout: { label: 'fallout' }
+  },
+
+  /**
+   * Damage attack types that are shown as another ability
+   */
+  attackTypeAbilities: {
+    splash: 'mortar',
+    poison: 'melee'
+  },
+
+  botIdPrefix: 'bot_'
+};
+
+/**
+ * Get kill feed configuration
+ * @returns {Object} Kill feed configuration
+ */
+export function getKillFeedStats() {
+  return KILL_FEED_CONFIG;
+}
+
+/**
+ * Map a damage attack type to the ability shown in the feed
+ * @param {string} attackType - Attack type ('bolt', 'splash', 'poison', 'blast', ...)
+ * @returns {string|null} Ability type, or null if the attack type is unknown
+ */
+export function getKillAbility(attackType) {
+  const abilityType = KILL_FEED_CONFIG.attackTypeAbilities[attackType] || attackType;
+  return KILL_FEED_CONFIG.abilities[abilityType] ? abilityType : null;
+}
+
+/**
+ * Get the feed label for an ability
+ * @param {string} abilityType - Ability type
+ * @returns {string|null} Label, or null if the ability is unknown
+ */
+export function getKillAbilityLabel(abilityType) {
+  return KILL_FEED_CONFIG.abilities[abilityType]?.label || null;
+}
+
+/**
+ * Check whether an entity ID belongs to a bot
+ * @param {string} entityId - Entity ID
+ * @returns {boolean} True for bot IDs (e.g. "bot_3", "bot_wave_12")
+ */
+export function isBotId(entityId) {
+  return typeof entityId === 'string' && entityId.startsWith(KILL_FEED_CONFIG.botIdPrefix);
+}
+
+/**
+ * Get the name a bot is shown with in the feed
+ * @param {string} botId - Bot ID
+ * @returns {string} Display name (e.g. "Bot 12")
+ */
+export function getBotDisplayName(botId) {
+  const number = String(botId).match(/(\d+)$/);
+  return number ? `Bot ${number[1]}` : 'Bot';
+}
@@ -0,0 +1,144 @@
+/**
+ * PlayerNameConfig.js
+ *
+ * Centralized configuration for player display names.
+ * Shared by the client and the server: the name field uses the same rules the server
+ * enforces when a player creates or joins a room.
+ */
+
+/**
+ * Player Name Configuration
+ */
+export const PLAYER_NAME_CONFIG = {
+  minLength: 2,
+  maxLength: 16,
+  allowedPattern: /^[A-Za-z0-9 _\-.]+$/, // Letters, digits, spaces and _ - .
+
+  /**
+   * Default names are picked from these and given a number (e.g. "Wisp 42")
+   */
+  defaultPrefixes: ['Wisp', 'Ember', 'Moth', 'Fern', 'Sprite', 'Rook'],
+
+  /**
+   * Words that may not appear in a name or chat message (see getBlockedWordPattern)
+   * Only whole words match, so names like "Scunthorpe" or "Dickens" are fine.
+   */
+  blockedWords: [
+    'fuck', 'shit', 'bitch', 'cunt', 'dick', 'cock', 'pussy', 'whore', 'slut',
+    'nigger', 'nigga', 'faggot', 'retard', 'nazi', 'rape'
+  ],
+
+  /**
+   * Endings a blocked word is still caught with ("nazis", "raped")
+   */
+  blockedWordSuffixes: ['s', 'es', 'ed', 'ing'],
+
+  /**
+   * Digits read as letters when checking for blocked words
+   */
+  lookalikeDigits: { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't' }
+};
+
+/**
+ * Get player name configuration
+ * @returns {Object} Player name configuration
+ */
+export function getPlayerNameStats() {
+  return PLAYER_NAME_CONFIG;
+}
+
+/**
+ * Trim a name and collapse repeated spaces
+ * @param {string} name - Requested name
+ * @returns {string} Normalized name (empty if name is not a string)
+ */
+export function normalizePlayerName(name) {
+  if (typeof name !== 'string') {
+    return '';
+  }
+  return name.trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Escape text for use inside a RegExp
+ * @param {string} text - Literal text
+ * @returns {string} Escaped text
+ * @private
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a pattern matching blocked words as whole words (with their endings)
+ * @param {Object} [options] - Pattern options
+ * @param {boolean} [options.wholeText=false] - Match only when the entire text is one blocked word
+ * @param {string} [options.flags='i'] - RegExp flags ('gi' to replace every match)
+ * @returns {RegExp} Blocked word pattern
+ */
+export function getBlockedWordPattern({ wholeText = false, flags = 'i' } = {}) {
+  const words = PLAYER_NAME_CONFIG.blockedWords.map(escapeRegExp).join('|');
+  const suffixes = PLAYER_NAME_CONFIG.blockedWordSuffixes.map(escapeRegExp).join('|');
+  const word = `(?:${words})(?:${suffixes})?`;
+  return new RegExp(wholeText ? `^${word}$` : `\\b${word}\\b`, flags);
+}
+
+/**
+ * Check whether a name contains a blocked word
+ * Look-alike digits are read as letters, so "sh1t" is still caught. Each word of the
+ * name is checked, and the whole name with its spaces and punctuation removed, so
+ * "f.u_c k" is caught while "Scunthorpe" and "Dickens" are not.
+ * @param {string} name - Name to check
+ * @returns {boolean} True if the name contains a blocked word
+ */
+export function containsBlockedWord(name) {
+  const readable = normalizePlayerName(name)
+    .toLowerCase()
+    .replace(/[013457]/g, digit => PLAYER_NAME_CONFIG.lookalikeDigits[digit]);
+  // Underscores count as word characters for \b, so every non-letter separates words
+  const words = readable.replace(/[^a-z]+/g, ' ');
+  const runTogether = readable.replace(/[^a-z]/g, '');
+  return getBlockedWordPattern().test(words) || getBlockedWordPattern({ wholeText: true }).test(runTogether);
+}
+
+/**
+ * Validate a display name
+ * Uniqueness within a room is checked by the server.
+ * @param {string} name - Requested name
+ * @returns {string|null} Error message, or null if the name is valid
+ */
+export function validatePlayerName(name) {
+  const normalized = normalizePlayerName(name);
+  const { minLength, maxLength, allowedPattern } = PLAYER_NAME_CONFIG;
+
+  if (normalized.length < minLength || normalized.length > maxLength) {
+    return `Names must be ${minLength}-${maxLength} characters`;
+  }
+  if (!allowedPattern.test(normalized)) {
+    return 'Names can only use letters, numbers, spaces and _ - .';
+  }
+  if (containsBlockedWord(normalized)) {
+    return 'That name is not allowed';
+  }
+  return null;
+}
+
+/**
+ * Check whether two names would be confused in the same room (case-insensitive)
+ * @param {string} nameA - First name
+ * @param {string} nameB - Second name
+ * @returns {boolean} True if the names match
+ */
+export function isSamePlayerName(nameA, nameB) {
+  return normalizePlayerName(nameA).toLowerCase() === normalizePlayerName(nameB).toLowerCase();
+}
+
+/**
+ * Create a random default name
+ * @returns {string} Default name (e.g. "Wisp 42")
+ */
+export function createDefaultPlayerName() {
+  const prefixes = PLAYER_NAME_CONFIG.defaultPrefixes;
+  const prefix = prefixes[Math.floor(Math.random() * prefixes.length)];
+  return `${prefix} ${Math.floor(Math.random() * 90) + 10}`;
+}
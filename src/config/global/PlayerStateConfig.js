@@ -0,0 +1,268 @@
+/**
+ * PlayerStateConfig.js
+ *
+ * Centralized configuration and binary encoding for player-state sync.
+ * Shared by the client and the server: clients upload their state as a delta against
+ * the last state the server acknowledged, and the server batches every player's state
+ * into one packet per client per tick, as a delta against the last tick that client
+ * acknowledged. Positions are quantised, animation keys are sent as an enum and the
+ * boolean flags are packed into one byte.
+ */
+
+/**
+ * Player State Configuration
+ */
+export const PLAYER_STATE_CONFIG = {
+  tickMs: 66,                  // Server batch interval (matches the client send rate)
+  historySize: 64,             // Ticks / uploads kept as delta baselines (~4 seconds)
+  positionScale: 100,          // Position units per world unit (1 cm; int16 covers ±327 world units)
+
+  /**
+   * Animation keys sent by index (0 means "not in this list" - receivers keep their animation)
+   */
+  animKeys: [
+    'idle_front', 'idle_back', 'walk_front', 'walk_back',
+    'hit_front', 'hit_back', 'death_front', 'death_back',
+    'spawn_front', 'spawn_back', 'idle', 'walk', 'run', 'jump'
+  ]
+};
+
+// Bits of the field mask: which fields follow (the rest are unchanged from the baseline)
+const FIELD_X = 1;
+const FIELD_Y = 2;
+const FIELD_Z = 4;
+const FIELD_ROTATION = 8;
+const FIELD_ANIM = 16;
+const FIELD_FLAGS = 32;
+const ALL_FIELDS = FIELD_X | FIELD_Y | FIELD_Z | FIELD_ROTATION | FIELD_ANIM | FIELD_FLAGS;
+
+// Bits of the flags byte
+const FLAG_FACING_BACK = 1;
+const FLAG_GROUNDED = 2;
+const FLAG_RUNNING = 4;
+const FLAG_ROLLING = 8;
+
+const UPLOAD_HEADER_BYTES = 12;  // seq, baseSeq, ackTick (uint32 each)
+const BATCH_HEADER_BYTES = 21;   // tick, baseTick (uint32), serverTime (float64), ackSeq (uint32), count (uint8)
+const MAX_STATE_BYTES = 11;      // mask + x, y, z, rotation (16 bits each) + anim + flags
+
+/**
+ * Get player-state configuration
+ * @returns {Object} Player-state configuration
+ */
+export function getPlayerStateStats() {
+  return PLAYER_STATE_CONFIG;
+}
+
+/**
+ * Quantise a player state for sending
+ * @param {Object} state - State {x, y, z, rotation, currentAnimKey, lastFacing, isGrounded, isRunning, isRolling}
+ * @returns {Object} Quantised state {x, y, z, rotation, anim, flags} (all integers)
+ */
+export function quantizePlayerState(state) {
+  const scale = PLAYER_STATE_CONFIG.positionScale;
+  const toInt16 = (value) => Math.max(-32768, Math.min(32767, Math.round((Number(value) || 0) * scale)));
+  const rotation = Number.isFinite(state.rotation) ? state.rotation : 0;
+  const turns = ((rotation / (Math.PI * 2)) % 1 + 1) % 1;
+
+  let flags = 0;
+  if (state.lastFacing === 'back') flags |= FLAG_FACING_BACK;
+  if (state.isGrounded !== false) flags |= FLAG_GROUNDED;
+  if (state.isRunning) flags |= FLAG_RUNNING;
+  if (state.isRolling) flags |= FLAG_ROLLING;
+
+  return {
+    x: toInt16(state.x),
+    y: toInt16(state.y),
+    z: toInt16(state.z),
+    rotation: Math.round(turns * 65536) % 65536,
+    anim: PLAYER_STATE_CONFIG.animKeys.indexOf(state.currentAnimKey) + 1,
+    flags
+  };
+}
+
+/**
+ * Turn a quantised state back into a player state
+ * @param {Object} quantized - Quantised state {x, y, z, rotation, anim, flags}
+ * @returns {Object} State {x, y, z, rotation, currentAnimKey, lastFacing, isGrounded, isRunning, isRolling}
+ *   (currentAnimKey is undefined for animations outside the enum)
+ */
+export function dequantizePlayerState(quantized) {
+  const scale = PLAYER_STATE_CONFIG.positionScale;
+  const rotation = (quantized.rotation / 65536) * Math.PI * 2;
+  return {
+    x: quantized.x / scale,
+    y: quantized.y / scale,
+    z: quantized.z / scale,
+    rotation: rotation > Math.PI ? rotation - Math.PI * 2 : rotation,
+    currentAnimKey: PLAYER_STATE_CONFIG.animKeys[quantized.anim - 1],
+    lastFacing: quantized.flags & FLAG_FACING_BACK ? 'back' : 'front',
+    isGrounded: (quantized.flags & FLAG_GROUNDED) !== 0,
+    isRunning: (quantized.flags & FLAG_RUNNING) !== 0,
+    isRolling: (quantized.flags & FLAG_ROLLING) !== 0
+  };
+}
+
+/**
+ * Encode a client's state upload
+ * @param {Object} upload - {seq, baseSeq, ackTick, state, base}
+ *   state/base are quantised (state null for an ack-only packet, base null for a full state)
+ * @returns {ArrayBuffer} Packet
+ */
+export function encodeStateUpload({ seq, baseSeq, ackTick, state, base }) {
+  const view = new DataView(new ArrayBuffer(UPLOAD_HEADER_BYTES + MAX_STATE_BYTES));
+  view.setUint32(0, state ? seq : 0, true);
+  view.setUint32(4, state && base ? baseSeq : 0, true);
+  view.setUint32(8, ackTick, true);
+  const length = state ? writeState(view, UPLOAD_HEADER_BYTES, state, base) : UPLOAD_HEADER_BYTES;
+  return view.buffer.slice(0, length);
+}
+
+/**
+ * Decode a client's state upload
+ * @param {ArrayBuffer|ArrayBufferView} data - Packet
+ * @param {Function} getBase - (baseSeq) => quantised state the delta is against, or null if unknown
+ * @returns {Object|null} {seq, baseSeq, ackTick, state} (state null for ack-only packets),
+ *   or null if the packet is malformed or its baseline is unknown
+ */
+export function decodeStateUpload(data, getBase) {
+  try {
+    const view = toDataView(data);
+    const seq = view.getUint32(0, true);
+    const baseSeq = view.getUint32(4, true);
+    const ackTick = view.getUint32(8, true);
+    if (seq === 0) {
+      return { seq, baseSeq, ackTick, state: null };
+    }
+    const base = baseSeq ? getBase(baseSeq) : null;
+    if (baseSeq && !base) {
+      return null;
+    }
+    const { state } = readState(view, UPLOAD_HEADER_BYTES, base);
+    return { seq, baseSeq, ackTick, state };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Encode one tick of player states for one client
+ * @param {Object} batch - {tick, baseTick, serverTime, ackSeq, entries}
+ *   entries: [{netId, state, base}] with quantised state/base (base null for a full state)
+ * @returns {ArrayBuffer} Packet
+ */
+export function encodeStateBatch({ tick, baseTick, serverTime, ackSeq, entries }) {
+  const count = Math.min(entries.length, 255);
+  const view = new DataView(new ArrayBuffer(BATCH_HEADER_BYTES + count * (2 + MAX_STATE_BYTES)));
+  view.setUint32(0, tick, true);
+  view.setUint32(4, baseTick, true);
+  view.setFloat64(8, serverTime, true);
+  view.setUint32(16, ackSeq, true);
+  view.setUint8(20, count);
+  let offset = BATCH_HEADER_BYTES;
+  for (let i = 0; i < count; i++) {
+    const entry = entries[i];
+    view.setUint16(offset, entry.netId, true);
+    offset = writeState(view, offset + 2, entry.state, baseTick ? entry.base : null);
+  }
+  return view.buffer.slice(0, offset);
+}
+
+/**
+ * Decode one tick of player states
+ * @param {ArrayBuffer|ArrayBufferView} data - Packet
+ * @param {Function} getBaseSnapshot - (baseTick) => Map netId -> quantised state, or null if unknown
+ * @returns {Object|null} {tick, baseTick, serverTime, ackSeq, states: Map netId -> quantised state},
+ *   or null if the packet is malformed or its baseline is unknown
+ */
+export function decodeStateBatch(data, getBaseSnapshot) {
+  try {
+    const view = toDataView(data);
+    const tick = view.getUint32(0, true);
+    const baseTick = view.getUint32(4, true);
+    const serverTime = view.getFloat64(8, true);
+    const ackSeq = view.getUint32(16, true);
+    const count = view.getUint8(20);
+    const baseSnapshot = baseTick ? getBaseSnapshot(baseTick) : null;
+    if (baseTick && !baseSnapshot) {
+      return null;
+    }
+
+    const states = new Map();
+    let offset = BATCH_HEADER_BYTES;
+    for (let i = 0; i < count; i++) {
+      const netId = view.getUint16(offset, true);
+      const result = readState(view, offset + 2, baseSnapshot ? baseSnapshot.get(netId) || null : null);
+      states.set(netId, result.state);
+      offset = result.offset;
+    }
+    return { tick, baseTick, serverTime, ackSeq, states };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Write the fields of a state that differ from its baseline
+ * @param {DataView} view - Packet being written
+ * @param {number} offset - Byte offset of the field mask
+ * @param {Object} state - Quantised state
+ * @param {Object|null} base - Quantised baseline (null writes every field)
+ * @returns {number} Offset after the state
+ */
+function writeState(view, offset, state, base) {
+  let mask = ALL_FIELDS;
+  if (base) {
+    mask = 0;
+    if (state.x !== base.x) mask |= FIELD_X;
+    if (state.y !== base.y) mask |= FIELD_Y;
+    if (state.z !== base.z) mask |= FIELD_Z;
+    if (state.rotation !== base.rotation) mask |= FIELD_ROTATION;
+    if (state.anim !== base.anim) mask |= FIELD_ANIM;
+    if (state.flags !== base.flags) mask |= FIELD_FLAGS;
+  }
+
+  view.setUint8(offset++, mask);
+  if (mask & FIELD_X) { view.setInt16(offset, state.x, true); offset += 2; }
+  if (mask & FIELD_Y) { view.setInt16(offset, state.y, true); offset += 2; }
+  if (mask & FIELD_Z) { view.setInt16(offset, state.z, true); offset += 2; }
+  if (mask & FIELD_ROTATION) { view.setUint16(offset, state.rotation, true); offset += 2; }
+  if (mask & FIELD_ANIM) { view.setUint8(offset++, state.anim); }
+  if (mask & FIELD_FLAGS) { view.setUint8(offset++, state.flags); }
+  return offset;
+}
+
+/**
+ * Read a state, filling fields that were not sent from its baseline
+ * A full state (no baseline) that leaves fields out is malformed.
+ * @param {DataView} view - Packet being read
+ * @param {number} offset - Byte offset of the field mask
+ * @param {Object|null} base - Quantised baseline
+ * @returns {Object} {state, offset} - Quantised state and the offset after it
+ */
+function readState(view, offset, base) {
+  const mask = view.getUint8(offset++);
+  if (!base && mask !== ALL_FIELDS) {
+    throw new RangeError('Delta state without a baseline');
+  }
+  const state = base ? { ...base } : {};
+  if (mask & FIELD_X) { state.x = view.getInt16(offset, true); offset += 2; }
+  if (mask & FIELD_Y) { state.y = view.getInt16(offset, true); offset += 2; }
+  if (mask & FIELD_Z) { state.z = view.getInt16(offset, true); offset += 2; }
+  if (mask & FIELD_ROTATION) { state.rotation = view.getUint16(offset, true); offset += 2; }
+  if (mask & FIELD_ANIM) { state.anim = view.getUint8(offset++); }
+  if (mask & FIELD_FLAGS) { state.flags = view.getUint8(offset++); }
+  return { state, offset };
+}
+
+/**
+ * Wrap received binary data (ArrayBuffer in browsers, Buffer in Node) in a DataView
+ * @param {ArrayBuffer|ArrayBufferView} data - Binary data
+ * @returns {DataView} View over the data
+ */
+function toDataView(data) {
+  if (ArrayBuffer.isView(data)) {
+    return new DataView(data.buffer, data.byteOffset, data.byteLength);
+  }
+  return new DataView(data);
+}
@@ -41,6 +41,12 @@ export const SOUND_CONFIG = {
     boltHit: true,               // Bolt hit sound
     meleeSwing: true,            // Melee swing sound
     meleeHit: true,              // Melee hit sound
+    barrierRaise: true,          // Barrier rising from the ground
+    trapArm: true,               // Trap placed
+    trapTrigger: true,           // Trap set off
+    dash: true,                  // Dash whoosh
+    boltStorm: true,             // Bolt storm ultimate
+    groundSlam: true,            // Ground slam ultimate
   },
 
   /**
@@ -0,0 +1,31 @@
+/**
+ * SpectatorConfig.js
+ *
+ * Centralized configuration for the spectator camera.
+ * Used by spectators waiting for a player slot and by players waiting to respawn.
+ */
+
+/**
+ * Spectator Configuration
+ */
+export const SPECTATOR_CONFIG = {
+  /**
+   * Free-fly camera (moves a focus point over the arena)
+   */
+  freeFly: {
+    speed: 10,                 // Units per second
+    sprintMultiplier: 2,       // Speed multiplier while holding run
+    height: 1.5,               // Focus point height above the ground
+    arenaMargin: 2             // How far past the arena edge the focus point may go
+  },
+
+  spectateWhileRespawning: true  // Watch other players while waiting out the respawn timer
+};
+
+/**
+ * Get spectator configuration
+ * @returns {Object} Spectator configuration
+ */
+export function getSpectatorStats() {
+  return SPECTATOR_CONFIG;
+}
@@ -5,6 +5,8 @@
  * This file provides a clear view of every health bar stat that can be edited.
  */
 
+import { getTeamConfig } from '../gamemode/TeamConfig.js';
+
 /**
  * Health Bar Configuration Stats
  * 
@@ -54,7 +56,9 @@ export const HEALTH_BAR_STATS = {
   rendering: {
     renderOrder: {
       background: 1000,        // Background render order
-      health: 1001             // Health bar render order
+      health: 1001,            // Health bar render order
+      label: 1002,             // Name label render order
+      statusIcons: 1003        // Status effect icons render order
     },
     billboard: {
       angleThreshold: 0.01,    // Minimum angle change to update (radians)
@@ -62,6 +66,34 @@ export const HEALTH_BAR_STATS = {
     }
   },
   
+  /**
+   * Name Label Configuration (remote players' display names)
+   */
+  label: {
+    offsetY: 0.25,             // Height above the health bar
+    height: 0.28,              // Label height in world units (width follows the text)
+    fontSize: 48,              // Canvas font size in pixels
+    fontFamily: 'sans-serif',
+    color: '#f4f1de',          // Text color
+    outlineColor: '#1a3008',   // Text outline (matches the bar background)
+    outlineWidth: 8            // Text outline width in pixels
+  },
+  
+  /**
+   * Status Effect Icons (poison, stun, shield)
+   */
+  statusIcons: {
+    offsetY: 0.25,             // Height above the health bar
+    offsetYWithLabel: 0.55,    // Height above the health bar when a name label is shown
+    size: 0.24,                // Icon size in world units
+    gap: 0.04,                 // Space between icons in world units
+    fontSize: 40,              // Canvas pixels per icon
+    fontFamily: 'sans-serif',
+    color: '#ffffff',          // Icon symbol color (the badge uses the effect color)
+    outlineColor: '#1a3008',   // Badge outline (matches the bar background)
+    outlineWidth: 4            // Badge outline width in pixels
+  },
+  
   /**
    * Health Thresholds
    */
@@ -103,6 +135,22 @@ export function getHealthBarPositionStats() {
   return HEALTH_BAR_STATS.position;
 }
 
+/**
+ * Get health bar name label stats
+ * @returns {Object} Label configuration
+ */
+export function getHealthBarLabelStats() {
+  return HEALTH_BAR_STATS.label;
+}
+
+/**
+ * Get health bar status effect icon stats
+ * @returns {Object} Status icon configuration
+ */
+export function getHealthBarStatusIconStats() {
+  return HEALTH_BAR_STATS.statusIcons;
+}
+
 /**
  * Get health bar rendering stats
  * @returns {Object} Rendering configuration
@@ -121,10 +169,17 @@ export function getHealthBarThresholds() {
 
 /**
  * Get color for health percentage
+ * In team modes the bar uses the team color instead of the health gradient.
  * @param {number} healthPercent - Health percentage (0-1)
+ * @param {string|null} team - Team ID of the target (optional)
  * @returns {number} Color hex value
  */
-export function getHealthColor(healthPercent) {
+export function getHealthColor(healthPercent, team = null) {
+  const teamConfig = team ? getTeamConfig(team) : null;
+  if (teamConfig) {
+    return teamConfig.color;
+  }
+  
   const colors = HEALTH_BAR_STATS.colors;
   const thresholds = HEALTH_BAR_STATS.thresholds;
   
@@ -31,7 +31,13 @@ export const INPUT_STATS = {
     characterSwap: ['c', 'C', 'KeyC'],      // C - Character Swap
     heal: ['h', 'H', 'KeyH'],               // H - Heal (hold)
     swordSwing: ['f', 'F', 'KeyF'],         // F - Melee/Sword Swing
-    speedBoost: ['e', 'E', 'KeyE']          // E - Speed Boost
+    speedBoost: ['e', 'E', 'KeyE'],         // E - Speed Boost
+    ultimate: ['g', 'G', 'KeyG'],           // G - Ultimate (LB + RB on controller)
+
+    // Spectator camera keys
+    spectatePrev: [',', '['],               // , or [ - Previous player
+    spectateNext: ['.', ']'],               // . or ] - Next player
+    spectateFreeFly: ['v', 'V', 'KeyV']     // V - Toggle free-fly camera
   }
 };
 
@@ -8,18 +8,22 @@
 import { getParam } from '../utils/UrlUtils.js';
 import { getLastCharacter, setLastCharacter, getLastGameMode, setLastGameMode } from '../utils/StorageUtils.js';
 import { GAME_CONSTANTS } from '../config/global/GameConstants.js';
+import { isCombatMode, isCoopMode, allowsBots } from '../config/gamemode/GameModeConfig.js';
 import { initializeManagers } from './ManagerInitializer.js';
 import { initializeUI } from './UIInitializer.js';
 import { sendPlayerState } from './MultiplayerHelpers.js';
 import { getLoadingProgressManager } from '../utils/LoadingProgressManager.js';
+import { isRegisteredCharacter } from '../config/character/CharacterRegistry.js';
 
 /**
  * Get initial game configuration from URL params and localStorage
  * @returns {Object} Configuration object
  */
 export function getInitialConfig() {
-  const urlCharacter = getParam('char', null);
-  const storedCharacter = getLastCharacter();
+  // Ignore characters that are no longer registered (old links, stale storage)
+  const urlParam = getParam('char', null);
+  const urlCharacter = isRegisteredCharacter(urlParam) ? urlParam : null;
+  const storedCharacter = isRegisteredCharacter(getLastCharacter()) ? getLastCharacter() : null;
   const characterName = urlCharacter || storedCharacter || GAME_CONSTANTS.DEFAULT_CHARACTER;
   
   if (urlCharacter) {
@@ -96,7 +100,7 @@ export function setupGameLoopWrapper(gameLoop, managers, uiComponents) {
     remotePlayerManager
   } = managers;
   
-  const { gameMenu, scoreboard, cooldownIndicator } = uiComponents;
+  const { gameMenu, scoreboard, cooldownIndicator, chatOverlay, spectatorHud } = uiComponents;
   
   let lastPositionSyncTime = 0;
   let lastAnimationUpdateTime = performance.now();
@@ -147,6 +151,16 @@ export function setupGameLoopWrapper(gameLoop, managers, uiComponents) {
       cooldownIndicator.update();
     }
     
+    // Follow the room and read D-pad quick chat
+    if (chatOverlay && !isMenuOpen) {
+      chatOverlay.update();
+    }
+    
+    // Show who the spectator camera is following
+    if (spectatorHud) {
+      spectatorHud.update();
+    }
+    
     // Update remote player animations
     if (remotePlayerManager) {
       const dt = (now - lastAnimationUpdateTime) / 1000;
@@ -168,13 +182,20 @@ export function setupGameLoopWrapper(gameLoop, managers, uiComponents) {
       }
     }
     
-    // Sync local player position with other players
-    if (multiplayerManager && multiplayerManager.isInRoom() && characterManager.getPlayer()) {
+    // Sync local player position with other players (spectators have no character)
+    if (multiplayerManager && multiplayerManager.isInRoom() && !multiplayerManager.isSpectating() && characterManager.getPlayer()) {
       const syncNow = Date.now();
       if (syncNow - lastPositionSyncTime >= syncInterval) {
         sendPlayerState(multiplayerManager, characterManager, sceneManager, inputManager, 0);
         lastPositionSyncTime = syncNow;
       }
+    } else if (multiplayerManager && multiplayerManager.isSpectating()) {
+      // Spectators only acknowledge the states they receive
+      const syncNow = Date.now();
+      if (syncNow - lastPositionSyncTime >= syncInterval) {
+        multiplayerManager.sendStateAck();
+        lastPositionSyncTime = syncNow;
+      }
     }
   };
 }
@@ -185,8 +206,9 @@ export function setupGameLoopWrapper(gameLoop, managers, uiComponents) {
  * @param {Object} roomManager - Room manager UI component
  * @param {string} roomCode - Room code from URL
  * @param {Function} getCurrentGameState - Function to get current game state
+ * @param {Function} onJoined - Called after joining (applies the room's settings)
  */
-export async function handleAutoJoinRoom(multiplayerManager, roomManager, roomCode, getCurrentGameState) {
+export async function handleAutoJoinRoom(multiplayerManager, roomManager, roomCode, getCurrentGameState, onJoined = null) {
   if (!roomCode) return;
   
   let retryCount = 0;
@@ -201,6 +223,9 @@ export async function handleAutoJoinRoom(multiplayerManager, roomManager, roomCo
       const gameState = getCurrentGameState();
       await multiplayerManager.joinRoom(roomCode.toUpperCase(), gameState);
       roomManager.update();
+      if (onJoined) {
+        onJoined();
+      }
     } catch (error) {
       const errorMessage = error.message || error.toString();
       
@@ -215,7 +240,19 @@ export async function handleAutoJoinRoom(multiplayerManager, roomManager, roomCo
         console.warn(`Room ${roomCode.toUpperCase()} is full. Auto-join cancelled.`);
         return;
       }
-      
+
+      // Don't retry if the host banned us from the room
+      if (errorMessage.includes('banned')) {
+        console.warn(`Banned from room ${roomCode.toUpperCase()}. Auto-join cancelled.`);
+        return;
+      }
+
+      // Don't retry if the display name was rejected - the player has to pick another one
+      if (/name/i.test(errorMessage)) {
+        console.warn(`Display name rejected for room ${roomCode.toUpperCase()}: ${errorMessage}. Auto-join cancelled.`);
+        return;
+      }
+
       // Don't retry if max retries exceeded
       if (retryCount >= maxRetries) {
         console.error(`Failed to auto-join room after ${maxRetries} attempts:`, error);
@@ -336,7 +373,7 @@ export async function initializeGame(managers, uiComponents, config) {
   } = managers;
   
   const { botControl } = uiComponents;
-  const { characterName, gameMode } = config;
+  const { characterName, gameMode, roomCode } = config;
   
   const progressManager = getLoadingProgressManager();
   
@@ -378,16 +415,16 @@ export async function initializeGame(managers, uiComponents, config) {
       healthBarManager.setCamera(sceneManager.getCamera());
     }
     
-    // Create health bar for player if in shooting mode
+    // Create health bar for player if in a combat mode
     const initialMode = gameModeManager ? gameModeManager.getMode() : 'free-play';
-    if (initialMode === 'shooting' && healthBarManager && characterManager.getPlayer()) {
+    if (isCombatMode(initialMode) && healthBarManager && characterManager.getPlayer()) {
       const player = characterManager.getPlayer();
       player.userData.health = characterManager.getHealth();
       player.userData.maxHealth = characterManager.getMaxHealth();
       healthBarManager.createHealthBar(player, true);
       
-      // Restore saved bot count when starting in shooting mode
-      if (botControl && typeof botControl.restoreSavedBots === 'function') {
+      // Restore saved bot count when starting in a mode with bots (co-op waves spawn their own, rooms set their own count)
+      if (allowsBots(initialMode) && !isCoopMode(initialMode) && !roomCode && botControl && typeof botControl.restoreSavedBots === 'function') {
         setTimeout(() => {
           botControl.restoreSavedBots();
         }, 200);
@@ -13,10 +13,12 @@ import { InputManager } from './systems/input/InputManager.js';
 import { CollisionManager } from './systems/collision/CollisionManager.js';
 import { LargeArenaCollisionManager } from './systems/collision/LargeArenaCollisionManager.js';
 import { GameModeManager } from './systems/gamemode/GameModeManager.js';
+import { WaveManager } from './systems/gamemode/WaveManager.js';
 import { EntityManager } from './systems/entity/EntityManager.js';
 import { ProjectileManager } from './systems/abilities/functions/ProjectileManager.js';
 import { MultiplayerManager } from './systems/multiplayer/MultiplayerManager.js';
 import { RemotePlayerManager } from './systems/multiplayer/RemotePlayerManager.js';
+import { SpectatorManager } from './systems/multiplayer/SpectatorManager.js';
 import { BotManager } from './systems/bot/BotManager.js';
 import { BotLearningManager } from './systems/bot/BotLearningManager.js';
 import { HealthBarManager } from './systems/healthbar/HealthBarManager.js';
@@ -27,9 +29,11 @@ import { ScreenShakeManager } from '../utils/ScreenShakeManager.js';
 import { DamageNumberManager } from '../utils/DamageNumberManager.js';
 import { ScreenFlashManager } from '../utils/ScreenFlashManager.js';
 import { KillStreakManager } from '../utils/KillStreakManager.js';
+import { UltimateMeter } from './systems/abilities/functions/ultimate/UltimateMeter.js';
 import { Scoreboard } from '../ui/components/Scoreboard/index.js';
 import { spawnRemotePlayerWithHealthBar, removeRemotePlayer, sendPlayerState, handleRemotePlayerStateUpdate } from './MultiplayerHelpers.js';
 import { getLastBotDifficulty } from '../utils/StorageUtils.js';
+import { isCombatMode, allowsBots } from '../config/gamemode/GameModeConfig.js';
 
 /**
  * Initialize all game managers
@@ -107,12 +111,17 @@ export function initializeManagers(canvas, arenaName, multiplayerCallbacks = {})
   // Initialize health bar manager
   const healthBarManager = new HealthBarManager(sceneManager.getScene(), null);
   
+  // Initialize wave manager (co-op survival spawns its waves through the bot manager)
+  const waveManager = new WaveManager(botManager, healthBarManager, sceneManager, arenaManager);
+  gameModeManager.setWaveManager(waveManager);
+  
   // Initialize visual effects managers
   const screenShakeManager = new ScreenShakeManager();
   const damageNumberManager = new DamageNumberManager(sceneManager.getScene(), sceneManager.getCamera());
   const screenFlashManager = new ScreenFlashManager();
   screenFlashManager.init();
   const killStreakManager = new KillStreakManager();
+  const ultimateMeter = new UltimateMeter();
   
   // Initialize multiplayer manager with callbacks
   // Note: Callbacks are created inline to capture managers in closure
@@ -173,7 +182,7 @@ export function initializeManagers(canvas, arenaName, multiplayerCallbacks = {})
         const characterName = data.characterName || 'lucy';
         
         if (data.projectileType === 'mortar') {
-          projectileManager.createMortar(
+          const mortar = projectileManager.createMortar(
             data.startX,
             data.startY,
             data.startZ,
@@ -182,6 +191,11 @@ export function initializeManagers(canvas, arenaName, multiplayerCallbacks = {})
             playerId,
             characterName
           );
+          
+          // Keep the shooter's projectile ID so the server's despawn can find it
+          if (mortar && data.projectileId) {
+            mortar.userData.projectileId = data.projectileId;
+          }
         } else {
           const projectile = projectileManager.createProjectile(
             data.startX,
@@ -218,8 +232,17 @@ export function initializeManagers(canvas, arenaName, multiplayerCallbacks = {})
           data.velocityZ
         );
       }
+    } else if (data.type === 'projectile-despawn') {
+      if (projectileManager) {
+        projectileManager.despawnProjectile(data.projectileId, data);
+      }
     } else if (data.type === 'player-damage') {
       if (playerId !== multiplayerManager.getLocalPlayerId()) {
+        // Damage the server confirmed the local player dealt charges the ultimate
+        if (data.attackerId && data.attackerId === multiplayerManager.getLocalPlayerId()) {
+          ultimateMeter.addDamage(data.damage);
+        }
+        
         const remotePlayer = remotePlayerManager.getRemotePlayer(playerId);
         if (remotePlayer && remotePlayer.mesh && healthBarManager) {
           // Update health immediately - don't let anything override this
@@ -231,13 +254,19 @@ export function initializeManagers(canvas, arenaName, multiplayerCallbacks = {})
           const healthBars = healthBarManager.getHealthBars();
           const healthBarContainer = healthBars.get(remotePlayer.mesh);
           if (healthBarContainer) {
-            healthBarManager.updateHealthBar(healthBarContainer, data.health, data.maxHealth);
+            healthBarManager.updateHealthBar(healthBarContainer, data.health, data.maxHealth, remotePlayer.mesh.userData.team || null);
           }
           
           // If player died (health went from >0 to 0), trigger death state
           if (previousHealth > 0 && data.health <= 0) {
             // Mark player as dead in userData
             remotePlayer.mesh.userData.isDead = true;
+            
+            // Server confirmed the local player landed the killing blow
+            if (data.attackerId && data.attackerId === multiplayerManager.getLocalPlayerId()) {
+              killStreakManager.registerKill(performance.now() / 1000, multiplayerManager.getDisplayName(playerId));
+              ultimateMeter.addKill();
+            }
           } else if (data.health > 0) {
             // Player is alive, clear death flag
             remotePlayer.mesh.userData.isDead = false;
@@ -264,9 +293,14 @@ export function initializeManagers(canvas, arenaName, multiplayerCallbacks = {})
   // Create multiplayer manager (will be assigned to variable above)
   multiplayerManager = new MultiplayerManager(onPlayerJoined, onPlayerLeft, onDataReceived);
   
+  // Online co-op runs follow the room's wave state
+  waveManager.setMultiplayerManager(multiplayerManager);
+  multiplayerManager.setWaveStateCallback((waves, event) => waveManager.applyServerState(waves, event));
+  
   // Set respawn callback for mode changes
   gameModeManager.setOnModeChangeCallback(() => {
     characterManager.respawn();
+    ultimateMeter.reset();
     collisionManager.updateWallsForMode();
     const currentMode = gameModeManager.getMode();
     sceneManager.setMushroomsVisible(currentMode === 'free-play');
@@ -275,9 +309,9 @@ export function initializeManagers(canvas, arenaName, multiplayerCallbacks = {})
       projectileManager.clearAll();
     }
     
-    if (currentMode !== 'shooting' && botManager) {
+    if (!allowsBots(currentMode) && botManager) {
       botManager.clearAll();
-      if (healthBarManager) {
+      if (healthBarManager && !isCombatMode(currentMode)) {
         healthBarManager.clearAll();
       }
     }
@@ -307,8 +341,28 @@ export function initializeManagers(canvas, arenaName, multiplayerCallbacks = {})
   gameLoop.setDamageNumberManager(damageNumberManager);
   gameLoop.setScreenFlashManager(screenFlashManager);
   gameLoop.setKillStreakManager(killStreakManager);
+  gameLoop.setUltimateMeter(ultimateMeter);
+  
+  // Objectives (gems, shrines, crystals, cleared waves) charge the ultimate
+  gameModeManager.setOnObjectiveCallback((type) => ultimateMeter.addObjective(type));
   gameLoop.setSceneManagerForShake(sceneManager);
   
+  // Spectator camera (room spectators and players waiting to respawn)
+  const spectatorManager = new SpectatorManager(sceneManager, inputManager, remotePlayerManager, multiplayerManager);
+  gameLoop.setSpectatorManager(spectatorManager);
+  
+  // Apply server-decided damage dealt to the local player (melee, projectiles, status effect ticks)
+  multiplayerManager.setLocalPlayerDamagedCallback((damageData) => gameLoop.applyServerDamage(damageData));
+  
+  // Play other players' ability activations (swings, blasts, ...) with the same ability code
+  multiplayerManager.setAbilityActivatedCallback((abilityData) => gameLoop.applyRemoteAbility(abilityData));
+  
+  // Show the status effects the server keeps for each player (poison, slows, shields, ...)
+  multiplayerManager.setStatusEffectsUpdatedCallback((effectData) => gameLoop.applyServerStatusEffects(effectData));
+  
+  // Rewind and replay local movement when the server corrects the position
+  multiplayerManager.setInputAckCallback((ack) => gameLoop.reconcileInputAck(ack));
+  
   // Connect screen shake manager to scene manager
   sceneManager.setScreenShakeManager(screenShakeManager);
   
@@ -347,14 +401,17 @@ export function initializeManagers(canvas, arenaName, multiplayerCallbacks = {})
     gameModeManager,
     particleManager,
     remotePlayerManager,
+    spectatorManager,
     projectileManager,
     botManager,
     learningManager,
     healthBarManager,
+    waveManager,
     screenShakeManager,
     damageNumberManager,
     screenFlashManager,
     killStreakManager,
+    ultimateMeter,
     multiplayerManager,
     gameLoop,
     scoreboard
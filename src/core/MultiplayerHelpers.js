@@ -71,7 +71,7 @@ export function sendPlayerState(multiplayerManager, characterManager, sceneManag
 }
 
 /**
- * Create health bar for remote player
+ * Create health bar for remote player (with the player's name above it)
  * @param {Object} healthBarManager - Health bar manager instance
  * @param {Object} remotePlayer - Remote player object
  * @param {Object} multiplayerManager - Multiplayer manager instance
@@ -89,14 +89,18 @@ export function createRemotePlayerHealthBar(healthBarManager, remotePlayer, mult
   // Import here to avoid circular dependencies
   import('../config/character/CharacterStats.js').then(({ getCharacterHealthStats }) => {
     const healthStats = getCharacterHealthStats();
+    mesh.userData.team = multiplayerManager.getPlayerTeam(playerId);
     mesh.userData.health = mesh.userData.health || healthStats.defaultHealth;
     mesh.userData.maxHealth = mesh.userData.maxHealth || healthStats.maxHealth;
     healthBarManager.createHealthBar(mesh, false);
+    healthBarManager.setHealthBarLabel(mesh, multiplayerManager.getDisplayName(playerId));
   }).catch(() => {
     // Fallback if import fails
+    mesh.userData.team = multiplayerManager.getPlayerTeam(playerId);
     mesh.userData.health = mesh.userData.health || 100;
     mesh.userData.maxHealth = mesh.userData.maxHealth || 100;
     healthBarManager.createHealthBar(mesh, false);
+    healthBarManager.setHealthBarLabel(mesh, multiplayerManager.getDisplayName(playerId));
   });
 }
 
@@ -152,6 +156,30 @@ export async function spawnRemotePlayerWithHealthBar(
   }
 }
 
+/**
+ * Copy team membership onto player meshes (used for team-colored health bars)
+ * Call after joining/leaving a room and whenever teams change.
+ * @param {Object} multiplayerManager - Multiplayer manager instance
+ * @param {Object} remotePlayerManager - Remote player manager instance
+ * @param {Object} characterManager - Character manager instance
+ */
+export function applyTeamsToPlayers(multiplayerManager, remotePlayerManager, characterManager) {
+  const inRoom = multiplayerManager.isInRoom();
+  
+  const player = characterManager ? characterManager.getPlayer() : null;
+  if (player && player.userData) {
+    player.userData.team = inRoom ? multiplayerManager.getLocalTeam() : null;
+  }
+  
+  if (remotePlayerManager) {
+    for (const [playerId, remotePlayer] of remotePlayerManager.getRemotePlayers()) {
+      if (remotePlayer && remotePlayer.mesh && remotePlayer.mesh.userData) {
+        remotePlayer.mesh.userData.team = inRoom ? multiplayerManager.getPlayerTeam(playerId) : null;
+      }
+    }
+  }
+}
+
 /**
  * Remove remote player and its health bar
  * @param {Object} remotePlayerManager - Remote player manager instance
@@ -215,7 +243,9 @@ export function handleRemotePlayerStateUpdate(remotePlayerManager, healthBarMana
           lastFacing: data.lastFacing,
           isGrounded: data.isGrounded,
           isRunning: data.isRunning,
-          isRolling: data.isRolling
+          isRolling: data.isRolling,
+          seq: data.seq,
+          serverTime: data.serverTime
         });
       } else {
         console.error(`[handleRemotePlayerStateUpdate] Failed to spawn remote player ${playerId} from state update`);
@@ -234,7 +264,9 @@ export function handleRemotePlayerStateUpdate(remotePlayerManager, healthBarMana
       lastFacing: data.lastFacing,
       isGrounded: data.isGrounded,
       isRunning: data.isRunning,
-      isRolling: data.isRolling
+      isRolling: data.isRolling,
+      seq: data.seq,
+      serverTime: data.serverTime
     });
   }
 }
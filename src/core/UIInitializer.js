@@ -17,12 +17,17 @@ import { initBotControl } from '../ui/components/BotControl/index.js';
 import { initLearningFeedback } from '../ui/components/LearningFeedback/index.js';
 import { initCooldownIndicator } from '../ui/components/CooldownIndicator/index.js';
 import { initConnectionStatus } from '../ui/components/ConnectionStatus/index.js';
+import { initChatOverlay } from '../ui/components/ChatOverlay/index.js';
+import { initKillFeed } from '../ui/components/KillFeed/index.js';
+import { initSpectatorHud } from '../ui/components/SpectatorHud/index.js';
 import { initMinimap } from '../ui/components/Minimap/index.js';
 import { initInputModeSwitcher } from '../ui/adapters/reactAdapters.jsx';
 import { getParam } from '../utils/UrlUtils.js';
 import { setLastCharacter, setLastGameMode, setLastInputMode, getLastInputMode, getSoundEffectsVolume, setSoundEffectsVolume, getBackgroundCinematicVolume, setBackgroundCinematicVolume, getVibrationIntensity, setVibrationIntensity, getControlsLegendVisible, setControlsLegendVisible } from '../utils/StorageUtils.js';
-import { sendPlayerState } from './MultiplayerHelpers.js';
-import { GAME_CONSTANTS } from '../config/global/GameConstants.js';
+import { sendPlayerState, applyTeamsToPlayers } from './MultiplayerHelpers.js';
+import { getCharacterNames } from '../config/character/CharacterRegistry.js';
+import { isCombatMode, isCoopMode, allowsBots } from '../config/gamemode/GameModeConfig.js';
+import { getPlayerNameStats } from '../config/global/PlayerNameConfig.js';
 
 /**
  * Initialize all UI components
@@ -43,6 +48,8 @@ export function initializeUI(managers, config) {
     healthBarManager,
     sceneManager,
     collisionManager,
+    spectatorManager,
+    ultimateMeter,
     gameLoop
   } = managers;
   
@@ -60,6 +67,9 @@ export function initializeUI(managers, config) {
   const learningFeedbackMount = document.getElementById('learning-feedback') || document.body;
   const cooldownMount = document.getElementById('cooldown-indicator') || document.body;
   const connectionStatusMount = document.getElementById('connection-status') || document.body;
+  const chatMount = document.getElementById('chat-overlay') || document.body;
+  const killFeedMount = document.getElementById('kill-feed') || document.body;
+  const spectatorHudMount = document.getElementById('spectator-hud') || document.body;
   const minimapMount = document.getElementById('minimap') || document.body;
   const legendMount = document.getElementById('controls-legend') || document.body;
   const legendWrapperMount = document.getElementById('controls-legend-wrapper') || document.body;
@@ -97,7 +107,8 @@ export function initializeUI(managers, config) {
     mount: cooldownMount,
     projectileManager: projectileManager,
     characterManager: characterManager,
-    inputManager: inputManager
+    inputManager: inputManager,
+    ultimateMeter: ultimateMeter
   });
   
   // Show cooldown indicator in all game modes
@@ -155,10 +166,33 @@ export function initializeUI(managers, config) {
     });
   }
   
+  // Initialize room chat (Enter to type, D-pad quick chat)
+  const chatOverlay = initChatOverlay({
+    mount: chatMount,
+    multiplayerManager: multiplayerManager,
+    inputManager: inputManager,
+    isMenuOpen: () => isMenuOpen
+  });
+  
+  // Initialize kill feed (room-wide via the server, local bot kills otherwise)
+  const killFeed = initKillFeed({
+    mount: killFeedMount,
+    multiplayerManager: multiplayerManager,
+    gameLoop: gameLoop
+  });
+  
+  // Initialize spectator HUD (who the spectator camera is following)
+  const spectatorHud = initSpectatorHud({
+    mount: spectatorHudMount,
+    spectatorManager: spectatorManager,
+    multiplayerManager: multiplayerManager,
+    inputManager: inputManager
+  });
+  
   // Initialize character switcher
   const characterSwitcher = initCharacterSwitcher({
     mount: charSwitcherMount,
-    options: GAME_CONSTANTS.AVAILABLE_CHARACTERS,
+    options: getCharacterNames(),
     value: characterName,
     onChange: async (val) => {
       await characterManager.loadCharacter(val);
@@ -292,6 +326,18 @@ export function initializeUI(managers, config) {
       return; // Already in this mode
     }
     
+    // The host changes the room's mode for everyone instead of leaving
+    const isRoomMode = mode === multiplayerManager.getRoomProperties().gameMode;
+    if (multiplayerManager.isInRoom() && multiplayerManager.isHost && isCombatMode(mode) && !isRoomMode) {
+      multiplayerManager.updateRoom({ gameMode: mode }).catch((error) => {
+        console.error('Failed to change room mode:', error);
+        if (gameModeSwitcher) {
+          gameModeSwitcher.setValue(gameModeManager.getMode());
+        }
+      });
+      return;
+    }
+    
     gameModeManager.setMode(mode);
     setLastGameMode(mode);
     
@@ -304,11 +350,12 @@ export function initializeUI(managers, config) {
       controlsLegend.update();
     }
     
-    if (mode !== 'shooting' && projectileManager) {
+    if (!isCombatMode(mode) && projectileManager) {
       projectileManager.clearAll();
     }
     
-    if (mode !== 'shooting' && multiplayerManager.isInRoom()) {
+    // Rooms are bound to one mode - switching to any other mode leaves the room
+    if (multiplayerManager.isInRoom() && mode !== multiplayerManager.getRoomProperties().gameMode) {
       multiplayerManager.leaveRoom();
       
       const url = new URL(window.location);
@@ -318,7 +365,11 @@ export function initializeUI(managers, config) {
     
     // Cooldown indicator is now shown in all game modes
     
-    if (mode === 'shooting') {
+    if (isCombatMode(mode)) {
+      // Bots only play modes that allow them
+      if (!allowsBots(mode) && botManager) {
+        botManager.clearAll();
+      }
       if (healthBarManager && characterManager.getPlayer()) {
         const player = characterManager.getPlayer();
         const existingBar = healthBarManager.healthBars.get(player);
@@ -354,23 +405,132 @@ export function initializeUI(managers, config) {
   });
   
   // Initialize arena switcher
-  initArenaSwitcher({
+  const arenaSwitcher = initArenaSwitcher({
     mount: arenaMount,
     options: arenaManager.getArenas(),
     value: arenaName,
     onChange: (arena) => {
+      if (multiplayerManager.isInRoom()) {
+        // The host moves the whole room; anyone else leaves it for the new arena
+        if (multiplayerManager.isHost) {
+          multiplayerManager.updateRoom({ arena }).catch((error) => {
+            console.error('Failed to change room arena:', error);
+            arenaSwitcher.setValue(arenaManager.getCurrentArena());
+          });
+          return;
+        }
+        multiplayerManager.leaveRoom();
+        const url = new URL(window.location);
+        url.searchParams.delete('room');
+        url.searchParams.set('arena', arena);
+        window.location.href = url.toString();
+        return;
+      }
       window.location.href = updateURLParam('arena', arena);
     }
   });
   
+  // Switch to the room's game mode after creating or joining a room
+  const applyRoomGameMode = () => {
+    const roomMode = multiplayerManager.getRoomProperties().gameMode || 'shooting';
+    // Follow the room's match first so the mode only runs while the match does
+    gameModeManager.setMatchState(multiplayerManager.getMatchState());
+    switchGameMode(roomMode);
+    gameModeManager.startMode();
+    applyTeamState();
+  };
+  
+  // Follow the room's settings after creating or joining a room, and whenever the host changes them
+  const applyRoomSettings = () => {
+    const settings = multiplayerManager.getRoomSettings();
+    
+    // Arenas are built at load time - reload into the room's arena and rejoin
+    if (settings.arena && settings.arena !== arenaManager.getCurrentArena()) {
+      const url = new URL(window.location);
+      url.searchParams.set('arena', settings.arena);
+      url.searchParams.set('room', multiplayerManager.getRoomCode());
+      // Leave rather than drop, so the server does not hold our old slot for a reconnect
+      multiplayerManager.leaveRoom();
+      window.location.href = url.toString();
+      return;
+    }
+    
+    applyRoomGameMode();
+    
+    if (botControl && settings.botDifficulty) {
+      botControl.setDifficulty(settings.botDifficulty, false);
+    }
+    // Co-op waves spawn their own bots
+    const roomMode = gameModeManager.getMode();
+    if (botControl && allowsBots(roomMode) && !isCoopMode(roomMode)) {
+      botControl.syncBotCount(settings.botCount || 0);
+    }
+  };
+  
+  // Mirror team membership and scores into the HUD, health bars and room UI
+  const applyTeamState = (event = null) => {
+    const roomProperties = multiplayerManager.getRoomProperties();
+    applyTeamsToPlayers(multiplayerManager, managers.remotePlayerManager, characterManager);
+    gameModeManager.setTeamState({
+      localPlayerId: multiplayerManager.getLocalPlayerId(),
+      localTeam: multiplayerManager.isInRoom() ? multiplayerManager.getLocalTeam() : null,
+      teamScores: roomProperties.teamScores || null,
+      scoreLimit: multiplayerManager.getScoreLimit() || null,
+      winningTeam: event && event.type === 'team-match-won' ? event.winningTeam : null
+    });
+    gameModeManager.setCrystalStates(multiplayerManager.getCrystalStates());
+  };
+  
+  // Capture-the-crystal: crystal requests go to the server, carried crystals follow their carrier
+  gameModeManager.setOnCrystalActionCallback((action, team) => {
+    multiplayerManager.sendCrystalAction(action, team);
+  });
+  gameModeManager.setCarrierMeshResolver((playerId) => {
+    if (playerId === multiplayerManager.getLocalPlayerId()) {
+      return characterManager.getPlayer();
+    }
+    const remotePlayer = managers.remotePlayerManager ? managers.remotePlayerManager.getRemotePlayer(playerId) : null;
+    return remotePlayer ? remotePlayer.mesh : null;
+  });
+  multiplayerManager.setCrystalStateCallback((crystals, event) => {
+    gameModeManager.setCrystalStates(crystals, event);
+  });
+
+  // King of the hill: the zone follows the server clock, occupants are everyone alive in the arena
+  gameModeManager.setClockResolver(() => {
+    return managers.remotePlayerManager ? managers.remotePlayerManager.getServerTime() : Date.now();
+  });
+  gameModeManager.setHillOccupantResolver(() => {
+    const occupants = [];
+    const player = characterManager.getPlayer();
+    if (player && characterManager.getHealth() > 0) {
+      occupants.push({ id: 'local', label: 'You', position: player.position });
+    }
+    if (managers.remotePlayerManager && multiplayerManager.isInRoom()) {
+      for (const [playerId, remotePlayer] of managers.remotePlayerManager.getRemotePlayers()) {
+        const health = remotePlayer.mesh ? remotePlayer.mesh.userData.health : 0;
+        if (remotePlayer.mesh && (health === undefined || health > 0)) {
+          occupants.push({ id: playerId, label: multiplayerManager.getDisplayName(playerId), position: remotePlayer.mesh.position });
+        }
+      }
+    }
+    if (botManager) {
+      botManager.getBots().forEach((bot, index) => {
+        const botName = bot.userData.characterName || 'Bot';
+        occupants.push({ id: bot.userData.id, label: `${botName} ${index + 1}`, position: bot.position });
+      });
+    }
+    return occupants;
+  });
+  
   // Initialize room manager
   const roomManager = initRoomManager({
     mount: roomMount,
     multiplayerManager: multiplayerManager,
-    onRoomCreated: async (roomCode, isPrivate = false) => {
+    onRoomCreated: async (roomCode, isPrivate = false, killLimit = null) => {
       const gameState = getCurrentGameState();
       try {
-        const options = { isPrivate };
+        const options = { isPrivate, killLimit };
         const actualRoomCode = await multiplayerManager.createRoom(gameState, options);
         
         const url = new URL(window.location);
@@ -385,13 +545,13 @@ export function initializeUI(managers, config) {
           }, 50);
         }
         
-        if (gameModeManager.getMode() !== 'shooting') {
-          gameModeManager.setMode('shooting');
-          setLastGameMode('shooting');
-        }
-        gameModeManager.startMode();
+        applyRoomSettings();
       } catch (error) {
         console.error('Failed to create room:', error);
+        // A rejected display name needs the player to pick another one
+        if (error.message && /name/i.test(error.message)) {
+          alert(`${error.message} - change it under Player Name`);
+        }
       }
     },
     onRoomJoined: async (roomCode) => {
@@ -415,15 +575,35 @@ export function initializeUI(managers, config) {
           });
         }, 100);
         
-        if (gameModeManager.getMode() !== 'shooting') {
-          gameModeManager.setMode('shooting');
-          setLastGameMode('shooting');
-        }
-        gameModeManager.startMode();
+        applyRoomSettings();
       } catch (error) {
         console.error('Failed to join room:', error);
+        // A rejected display name needs the player to pick another one
+        if (error.message && /name/i.test(error.message)) {
+          alert(`${error.message} - change it under Player Name`);
+        }
         roomManager.update();
       }
+    },
+    onRoomSettingsChanged: () => {
+      applyRoomSettings();
+    }
+  });
+  
+  // Match lifecycle: the mode starts and stops with the room's match
+  multiplayerManager.setMatchStateCallback((match) => {
+    gameModeManager.setMatchState(match);
+    if (match) {
+      applyTeamState();
+    }
+    roomManager.update();
+  });
+  
+  multiplayerManager.setTeamsUpdatedCallback((event) => {
+    applyTeamState(event);
+    roomManager.update();
+    if (managers.scoreboard && managers.scoreboard.isOpen()) {
+      managers.scoreboard.refreshData();
     }
   });
   
@@ -437,7 +617,30 @@ export function initializeUI(managers, config) {
     sceneManager: sceneManager,
     inputManager: inputManager,
     gameModeManager: gameModeManager,
-    switchGameMode: switchGameMode
+    switchGameMode: switchGameMode,
+    // In a room the host's bot changes go to the room, and nobody else can change them
+    onBotCountRequest: (count) => {
+      if (!multiplayerManager.isInRoom()) {
+        return false;
+      }
+      if (multiplayerManager.isHost) {
+        multiplayerManager.updateRoom({ botCount: count }).catch((error) => {
+          console.error('Failed to change room bots:', error);
+        });
+      }
+      return true;
+    },
+    onDifficultyRequest: (difficulty) => {
+      if (!multiplayerManager.isInRoom()) {
+        return false;
+      }
+      if (multiplayerManager.isHost) {
+        multiplayerManager.updateRoom({ botDifficulty: difficulty }).catch((error) => {
+          console.error('Failed to change room bot difficulty:', error);
+        });
+      }
+      return true;
+    }
   });
   
   // Initialize learning feedback
@@ -470,6 +673,10 @@ export function initializeUI(managers, config) {
     inputModeSwitcher,
     cooldownIndicator,
     roomManager,
+    applyRoomSettings,
+    chatOverlay,
+    killFeed,
+    spectatorHud,
     botControl,
     learningFeedback,
     minimap,
@@ -490,20 +697,13 @@ function updateMenuForMode(mode, gameMenu) {
   const botSection = gameMenu.getSection('multiplayer', 'game-menu__section--bot-control');
   const learningSection = gameMenu.getSection('multiplayer', 'game-menu__section--learning-feedback');
   
-  if (mode === 'shooting') {
-    if (botSection) {
-      botSection.style.display = 'block';
-    }
-    if (learningSection) {
-      learningSection.style.display = 'block';
-    }
-  } else {
-    if (botSection) {
-      botSection.style.display = 'none';
-    }
-    if (learningSection) {
-      learningSection.style.display = 'none';
-    }
+  if (botSection) {
+    // Co-op waves bring their own bots
+    botSection.style.display = allowsBots(mode) && !isCoopMode(mode) ? 'block' : 'none';
+  }
+  // Bot learning tracks Mystic Battle duels only
+  if (learningSection) {
+    learningSection.style.display = mode === 'shooting' ? 'block' : 'none';
   }
 }
 
@@ -766,6 +966,49 @@ function buildMenuStructure(gameMenu, mounts) {
     }
   }
   
+  // Player Name Section
+  const multiplayerManager = managers.multiplayerManager;
+  const nameSection = gameMenu.addSection('multiplayer', {
+    title: 'Player Name',
+    icon: MenuIcons.playerName,
+    className: 'game-menu__section--player-name'
+  });
+  if (nameSection && multiplayerManager) {
+    const nameContent = nameSection.querySelector('.game-menu__section-content');
+    if (nameContent) {
+      const nameContainer = document.createElement('div');
+      nameContainer.className = 'game-menu__control ui__control';
+
+      const nameLabel = document.createElement('label');
+      nameLabel.className = 'game-menu__label ui__label';
+      nameLabel.textContent = 'Shown to other players (applies when you next create or join a room)';
+      nameContainer.appendChild(nameLabel);
+
+      const nameInput = document.createElement('input');
+      nameInput.type = 'text';
+      nameInput.className = 'ui__input ui__input--name';
+      nameInput.maxLength = getPlayerNameStats().maxLength;
+      nameInput.value = multiplayerManager.getLocalName();
+      nameInput.tabIndex = 0;
+      nameContainer.appendChild(nameInput);
+
+      const nameError = document.createElement('div');
+      nameError.className = 'ui__name-error';
+      nameContainer.appendChild(nameError);
+
+      // Save on enter/blur; invalid names keep the old one
+      nameInput.addEventListener('change', () => {
+        const error = multiplayerManager.setLocalName(nameInput.value);
+        nameError.textContent = error || '';
+        if (!error) {
+          nameInput.value = multiplayerManager.getLocalName();
+        }
+      });
+
+      nameContent.appendChild(nameContainer);
+    }
+  }
+
   // Room Manager Section
   const roomSection = gameMenu.addSection('multiplayer', {
     title: 'Rooms',
@@ -794,7 +1037,7 @@ function buildMenuStructure(gameMenu, mounts) {
         botContent.appendChild(botControlMount.firstChild);
       }
     }
-    if (gameMode !== 'shooting') {
+    if (!allowsBots(gameMode) || isCoopMode(gameMode)) {
       botSection.style.display = 'none';
     }
   }
@@ -15,21 +15,14 @@
  * 2. CHARACTER-SPECIFIC STATS (affects one character):
  *    Edit: config/characters/{character}/{ability}/AttackConfig.js
  *    - Use multipliers (e.g., 0.5 = 50% of base, 1.5 = 150% of base)
+ *    - Configs are attached to the character in its CharacterManifest.js
  * 
  * ═══════════════════════════════════════════════════════════════════
  */
 
 import { GLOBAL_BASE_STATS } from '../../../../config/abilities/base/BaseStats.js';
 import { getCharacterColorHex } from '../../../../config/abilities/CharacterColors.js';
-import { LUCY_BOLT_ATTACK_CONFIG } from '../../../../config/abilities/characters/lucy/bolt/AttackConfig.js';
-import { LUCY_MORTAR_ATTACK_CONFIG } from '../../../../config/abilities/characters/lucy/mortar/AttackConfig.js';
-import { LUCY_MELEE_ATTACK_CONFIG } from '../../../../config/abilities/characters/lucy/melee/AttackConfig.js';
-import { LUCY_MULTI_PROJECTILE_ATTACK_CONFIG } from '../../../../config/abilities/characters/lucy/multiProjectile/AttackConfig.js';
-import { HERALD_BOLT_ATTACK_CONFIG } from '../../../../config/abilities/characters/herald/bolt/AttackConfig.js';
-import { HERALD_MORTAR_ATTACK_CONFIG } from '../../../../config/abilities/characters/herald/mortar/AttackConfig.js';
-import { HERALD_MELEE_ATTACK_CONFIG } from '../../../../config/abilities/characters/herald/melee/AttackConfig.js';
-import { HERALD_BLAST_ATTACK_CONFIG } from '../../../../config/abilities/characters/herald/blast/AttackConfig.js';
-import { HERALD_ROLL_ATTACK_CONFIG } from '../../../../config/abilities/characters/herald/roll/AttackConfig.js';
+import { getCharacterManifest } from '../../../../config/character/CharacterRegistry.js';
 
 /**
  * Deep merge function that applies multipliers or overrides
@@ -89,34 +82,23 @@ export function createCharacterStats(characterName, boltConfig, mortarConfig, me
   };
 }
 
-// Cache for CHARACTER_STATS to avoid circular dependency
-let _characterStatsCache = null;
+// Merged stats per character name (manifests do not change after registration)
+const _characterStatsCache = new Map();
 
 /**
  * Get character stats by name
- * @param {string} characterName - Character name ('lucy' or 'herald')
- * @returns {Object} Character stats object or defaults to Lucy
+ * @param {string} characterName - Character name
+ * @returns {Object} Character stats object (the default character's for unknown names)
  */
 export function getCharacterStats(characterName) {
-  // Lazy load CHARACTER_STATS from config to avoid circular dependency
-  if (!_characterStatsCache) {
-    _characterStatsCache = import('../../../../config/abilities/CharacterAbilityStatsConfig.js').then(m => m.CHARACTER_STATS);
-  }
-  
-  // If already loaded, use cache
-  if (_characterStatsCache && typeof _characterStatsCache.then !== 'function') {
-    return _characterStatsCache[characterName] || _characterStatsCache.lucy;
-  }
-  
-  // If still loading, compute on the fly
-  if (characterName === 'lucy') {
-    return createCharacterStats('lucy', LUCY_BOLT_ATTACK_CONFIG, LUCY_MORTAR_ATTACK_CONFIG, LUCY_MELEE_ATTACK_CONFIG);
-  } else if (characterName === 'herald') {
-    return createCharacterStats('herald', HERALD_BOLT_ATTACK_CONFIG, HERALD_MORTAR_ATTACK_CONFIG, HERALD_MELEE_ATTACK_CONFIG);
+  const manifest = getCharacterManifest(characterName);
+  let stats = _characterStatsCache.get(manifest.name);
+  if (!stats) {
+    const { bolt, mortar, melee } = manifest.abilities;
+    stats = createCharacterStats(manifest.name, bolt, mortar, melee);
+    _characterStatsCache.set(manifest.name, stats);
   }
-  
-  // Default to lucy
-  return createCharacterStats('lucy', LUCY_BOLT_ATTACK_CONFIG, LUCY_MORTAR_ATTACK_CONFIG, LUCY_MELEE_ATTACK_CONFIG);
+  return stats;
 }
 
 /**
@@ -160,33 +142,73 @@ export function getMeleeStats(characterName) {
 }
 
 /**
- * Get blast attack stats for Herald
+ * Get blast attack stats for a character
  * @param {string} characterName - Character name
- * @returns {Object} Blast ability stats or null if not Herald
+ * @returns {Object|null} Blast ability stats or null if the character has no blast
  */
 export function getBlastStats(characterName) {
-  if (characterName === 'herald') {
-    return HERALD_BLAST_ATTACK_CONFIG;
-  }
-  return null;
+  return getCharacterManifest(characterName).abilities.blast || null;
 }
 
 /**
- * Get Herald roll stats (knockback while sprinting)
- * @returns {Object} Roll knockback configuration
+ * Get roll stats for a character (knockback while sprinting)
+ * @param {string} characterName - Character name
+ * @returns {Object|null} Roll knockback configuration or null if the character has no roll
  */
-export function getHeraldRollStats() {
-  return HERALD_ROLL_ATTACK_CONFIG;
+export function getRollStats(characterName) {
+  return getCharacterManifest(characterName).abilities.roll || null;
 }
 
 /**
- * Get multi-projectile attack stats for Lucy
+ * Get multi-projectile attack stats for a character
  * @param {string} characterName - Character name
- * @returns {Object} Multi-projectile ability stats or null if not Lucy
+ * @returns {Object|null} Multi-projectile ability stats or null if the character has none
  */
 export function getMultiProjectileStats(characterName) {
-  if (characterName === 'lucy') {
-    return LUCY_MULTI_PROJECTILE_ATTACK_CONFIG;
-  }
-  return null;
+  return getCharacterManifest(characterName).abilities.multiProjectile || null;
+}
+
+/**
+ * Get barrier stats for a character
+ * @param {string} characterName - Character name
+ * @returns {Object|null} Barrier ability stats or null if the character has no barrier
+ */
+export function getBarrierStats(characterName) {
+  return getCharacterManifest(characterName).abilities.barrier || null;
+}
+
+/**
+ * Get trap stats for a character
+ * @param {string} characterName - Character name
+ * @returns {Object|null} Trap ability stats or null if the character has no trap
+ */
+export function getTrapStats(characterName) {
+  return getCharacterManifest(characterName).abilities.trap || null;
+}
+
+/**
+ * Get dash stats for a character
+ * @param {string} characterName - Character name
+ * @returns {Object|null} Dash ability stats or null if the character has no dash
+ */
+export function getDashStats(characterName) {
+  return getCharacterManifest(characterName).abilities.dash || null;
+}
+
+/**
+ * Get bolt storm stats for a character (ultimate)
+ * @param {string} characterName - Character name
+ * @returns {Object|null} Bolt storm ability stats or null if the character has no bolt storm
+ */
+export function getBoltStormStats(characterName) {
+  return getCharacterManifest(characterName).abilities.boltStorm || null;
+}
+
+/**
+ * Get ground slam stats for a character (ultimate)
+ * @param {string} characterName - Character name
+ * @returns {Object|null} Ground slam ability stats or null if the character has no ground slam
+ */
+export function getGroundSlamStats(characterName) {
+  return getCharacterManifest(characterName).abilities.groundSlam || null;
 }
@@ -110,7 +110,7 @@ export class ProjectileManager {
    * @param {number} directionX - Direction X component
    * @param {number} directionZ - Direction Z component
    * @param {string} playerId - Player ID ('local' or player identifier)
-   * @param {string} characterName - Character name ('lucy' or 'herald')
+   * @param {string} characterName - Character name
    * @param {number} targetX - Optional target X position for cursor following
    * @param {number} targetZ - Optional target Z position for cursor following
    * @returns {THREE.Mesh|null} Created projectile mesh or null if on cooldown or out of bullets
@@ -205,7 +205,7 @@ export class ProjectileManager {
    * @param {number} targetX - Target X position
    * @param {number} targetZ - Target Z position
    * @param {string} playerId - Player ID ('local' or player identifier)
-   * @param {string} characterName - Character name ('lucy' or 'herald')
+   * @param {string} characterName - Character name
    * @returns {THREE.Mesh|null} Created mortar mesh or null if on cooldown
    */
   createMortar(startX, startY, startZ, targetX, targetZ, playerId = 'local', characterName = 'lucy') {
@@ -711,6 +711,33 @@ export class ProjectileManager {
     }
   }
 
+  /**
+   * Remove a projectile the server's simulation despawned
+   * A mortar still in flight here lands where the server says it did.
+   * @param {string} projectileId - Projectile ID
+   * @param {Object} despawnData - Despawn data {reason, x, y, z} (reason: 'hit', 'blocked', 'expired' or 'impact')
+   */
+  despawnProjectile(projectileId, despawnData) {
+    const projectile = this.projectilesById.get(projectileId);
+    if (projectile) {
+      if (despawnData.reason === 'hit') {
+        // Removed (with its hit sound) on the next update
+        projectile.userData.hasHit = true;
+      } else {
+        this.removeProjectile(projectile);
+      }
+      return;
+    }
+
+    const mortar = this.mortars.find(m => m.userData.projectileId === projectileId);
+    if (mortar) {
+      if (despawnData.reason === 'impact') {
+        this.createSplash(despawnData.x, despawnData.y, despawnData.z, mortar.userData);
+      }
+      this.removeMortar(mortar);
+    }
+  }
+
   /**
    * Remove a mortar from the scene
    * @param {THREE.Mesh} mortar - Mortar mesh
@@ -871,7 +898,7 @@ export class ProjectileManager {
 
   /**
    * Set special ability cooldown for a player
-   * Called from GameLoop to sync special ability cooldown timer (Herald blast, Lucy multi-projectile)
+   * Called from GameLoop to sync special ability cooldown timer (Herald blast, Warden barrier)
    * @param {string} playerId - Player ID ('local' or player identifier)
    * @param {number} cooldown - Cooldown value in seconds
    */
@@ -886,6 +913,23 @@ export class ProjectileManager {
     return this.specialAbilityCooldowns?.get(playerId) || 0;
   }
 
+  /**
+   * Set utility ability cooldown for a player
+   * Called from GameLoop to sync the cooldown of the ability on LB (Warden trap)
+   * @param {string} playerId - Player ID ('local' or player identifier)
+   * @param {number} cooldown - Cooldown value in seconds
+   */
+  setUtilityAbilityCooldown(playerId, cooldown) {
+    if (!this.utilityAbilityCooldowns) {
+      this.utilityAbilityCooldowns = new Map();
+    }
+    this.utilityAbilityCooldowns.set(playerId, cooldown);
+  }
+
+  getUtilityAbilityCooldown(playerId) {
+    return this.utilityAbilityCooldowns?.get(playerId) || 0;
+  }
+
   /**
    * Get character stats (for external access if needed)
    * @param {string} characterName - Character name
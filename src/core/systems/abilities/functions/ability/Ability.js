@@ -0,0 +1,165 @@
+/**
+ * Ability.js
+ *
+ * Base class for character abilities (melee, blast, roll, ...).
+ * An ability instance belongs to one caster - the local player, a bot or a remote
+ * player - and runs the same code for all of them. What a hit does to a target
+ * (damage, knockback, kill credit) is decided by the ability world the caster runs in,
+ * so abilities never check who is casting.
+ *
+ * Casters are plain objects {id, characterName, mesh}; ids are 'local', a bot ID or a
+ * remote player ID.
+ */
+
+export class Ability {
+  /**
+   * Create an ability
+   * @param {string} name - Ability name (its key in the character manifest's abilities)
+   * @param {string} characterName - Character name
+   */
+  constructor(name, characterName) {
+    this.name = name;
+    this.characterName = characterName;
+    this.cooldownTimer = 0;
+    this.networked = true; // Activations are sent to remote players
+  }
+
+  /**
+   * Switch the character this ability reads its stats from (keeps cooldown and state)
+   * @param {string} characterName - Character name
+   */
+  setCharacter(characterName) {
+    this.characterName = characterName;
+  }
+
+  /**
+   * Get the ability's stats for its character
+   * @returns {Object|null} Stats, or null if the character has no such ability
+   */
+  getStats() {
+    return null;
+  }
+
+  /**
+   * Get the cooldown started by an activation
+   * @returns {number} Cooldown in seconds
+   */
+  getCooldown() {
+    return this.getStats()?.cooldown || 0;
+  }
+
+  /**
+   * Check whether the cooldown has run out
+   * @returns {boolean} True if ready
+   */
+  isReady() {
+    return this.cooldownTimer <= 0;
+  }
+
+  /**
+   * Check whether the ability can be activated now
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} world - Ability world
+   * @returns {boolean} True if it can be activated
+   */
+  canActivate(caster, world) {
+    return !!caster && !!caster.mesh && !!this.getStats() && this.isReady();
+  }
+
+  /**
+   * Activate the ability and start its cooldown
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} world - Ability world
+   * @param {Object} params - Activation parameters (from deserialize for remote casters)
+   * @returns {boolean} True if activated
+   */
+  activate(caster, world, params = {}) {
+    const stats = this.getStats();
+    if (!stats || !caster || !caster.mesh) {
+      return false;
+    }
+    this.cooldownTimer = this.getCooldown();
+    this.onActivate(caster, world, stats, params);
+    return true;
+  }
+
+  /**
+   * Advance cooldown and any running effect
+   * @param {number} dt - Delta time in seconds
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} world - Ability world
+   */
+  update(dt, caster, world) {
+    if (this.cooldownTimer > 0) {
+      this.cooldownTimer = Math.max(0, this.cooldownTimer - dt);
+    }
+    this.onUpdate(dt, caster, world);
+  }
+
+  /**
+   * Clear the cooldown (respawn)
+   */
+  resetCooldown() {
+    this.cooldownTimer = 0;
+  }
+
+  /**
+   * Ability-specific activation
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} world - Ability world
+   * @param {Object} stats - Ability stats
+   * @param {Object} params - Activation parameters
+   * @protected
+   */
+  onActivate(caster, world, stats, params) {}
+
+  /**
+   * Ability-specific per-frame update
+   * @param {number} dt - Delta time in seconds
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} world - Ability world
+   * @protected
+   */
+  onUpdate(dt, caster, world) {}
+
+  /**
+   * Build the network message for an activation
+   * Carries the caster's position so hits are checked where the caster really was.
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} params - Activation parameters
+   * @returns {Object} Message {ability, x, y, z}
+   */
+  serialize(caster, params = {}) {
+    const position = caster.mesh.position;
+    return { ability: this.name, x: position.x, y: position.y, z: position.z };
+  }
+
+  /**
+   * Read activation parameters from a network message
+   * @param {Object} data - Message from serialize
+   * @returns {Object} Activation parameters {origin}
+   */
+  deserialize(data) {
+    const params = {};
+    if (data && Number.isFinite(data.x) && Number.isFinite(data.y) && Number.isFinite(data.z)) {
+      params.origin = { x: data.x, y: data.y, z: data.z };
+    }
+    return params;
+  }
+
+  /**
+   * Remove any running effect (caster died, left or changed character)
+   * @param {Object} world - Ability world
+   */
+  dispose(world) {}
+}
+
+/**
+ * Get where an activation happened
+ * @param {Object} caster - Caster {id, characterName, mesh}
+ * @param {Object} params - Activation parameters
+ * @returns {Object} Position {x, y, z}
+ */
+export function getActivationOrigin(caster, params) {
+  return params && params.origin ? params.origin : caster.mesh.position;
+}
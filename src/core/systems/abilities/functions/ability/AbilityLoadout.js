@@ -0,0 +1,132 @@
+/**
+ * AbilityLoadout.js
+ *
+ * The set of ability instances one caster has. A character's loadout is every ability
+ * in its manifest that has a registered ability type (bolts are handled by
+ * ProjectileManager and have none); manifest slots pick which ability a button uses.
+ * New ability types are added with registerAbilityType.
+ */
+
+import { MeleeAbility } from '../melee/MeleeAbility.js';
+import { BlastAbility } from '../blast/BlastAbility.js';
+import { MultiProjectileAbility } from '../multiProjectile/MultiProjectileAbility.js';
+import { RollAbility } from '../roll/RollAbility.js';
+import { MortarHoldAbility } from '../mortar/MortarHoldAbility.js';
+import { BarrierAbility } from '../barrier/BarrierAbility.js';
+import { TrapAbility } from '../trap/TrapAbility.js';
+import { DashAbility } from '../dash/DashAbility.js';
+import { BoltStormAbility } from '../boltStorm/BoltStormAbility.js';
+import { GroundSlamAbility } from '../groundSlam/GroundSlamAbility.js';
+import { getCharacterManifest, getAbilitySlot } from '../../../../../config/character/CharacterRegistry.js';
+
+const abilityTypes = new Map(); // Ability name -> Ability subclass
+
+/**
+ * Register an ability type
+ * Registering a name again replaces its class.
+ * @param {string} name - Ability name (its key in character manifests' abilities)
+ * @param {Function} AbilityClass - Ability subclass, constructed with (characterName)
+ */
+export function registerAbilityType(name, AbilityClass) {
+  abilityTypes.set(name, AbilityClass);
+}
+
+registerAbilityType('melee', MeleeAbility);
+registerAbilityType('blast', BlastAbility);
+registerAbilityType('multiProjectile', MultiProjectileAbility);
+registerAbilityType('roll', RollAbility);
+registerAbilityType('mortar', MortarHoldAbility);
+registerAbilityType('barrier', BarrierAbility);
+registerAbilityType('trap', TrapAbility);
+registerAbilityType('dash', DashAbility);
+registerAbilityType('boltStorm', BoltStormAbility);
+registerAbilityType('groundSlam', GroundSlamAbility);
+
+export class AbilityLoadout {
+  /**
+   * Create a loadout for a character
+   * @param {string} characterName - Character name
+   */
+  constructor(characterName) {
+    this.characterName = null;
+    this.abilities = new Map(); // Ability name -> Ability
+    this.setCharacter(characterName);
+  }
+
+  /**
+   * Switch character
+   * Abilities both characters have keep their cooldowns; the rest are disposed.
+   * @param {string} characterName - Character name
+   * @param {Object} world - Ability world (for disposing removed abilities)
+   */
+  setCharacter(characterName, world = null) {
+    if (characterName === this.characterName) {
+      return;
+    }
+    this.characterName = characterName;
+
+    const names = Object.keys(getCharacterManifest(characterName).abilities)
+      .filter(name => abilityTypes.has(name));
+
+    for (const [name, ability] of this.abilities) {
+      if (!names.includes(name)) {
+        ability.dispose(world);
+        this.abilities.delete(name);
+      }
+    }
+
+    for (const name of names) {
+      const existing = this.abilities.get(name);
+      if (existing) {
+        existing.setCharacter(characterName);
+      } else {
+        const AbilityClass = abilityTypes.get(name);
+        this.abilities.set(name, new AbilityClass(characterName));
+      }
+    }
+  }
+
+  /**
+   * Get an ability by name
+   * @param {string} name - Ability name
+   * @returns {Ability|null} Ability or null if not in the loadout
+   */
+  get(name) {
+    return this.abilities.get(name) || null;
+  }
+
+  /**
+   * Get the ability in a manifest slot
+   * @param {string} slot - Slot name ('special', 'sprint', 'utility' or 'ultimate')
+   * @returns {Ability|null} Ability or null if the slot is empty
+   */
+  getSlot(slot) {
+    const name = getAbilitySlot(this.characterName, slot);
+    return name ? this.get(name) : null;
+  }
+
+  /**
+   * Advance every ability's cooldown and running effect
+   * @param {number} dt - Delta time in seconds
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} world - Ability world
+   */
+  update(dt, caster, world) {
+    this.abilities.forEach(ability => ability.update(dt, caster, world));
+  }
+
+  /**
+   * Clear every cooldown (respawn)
+   */
+  resetCooldowns() {
+    this.abilities.forEach(ability => ability.resetCooldown());
+  }
+
+  /**
+   * Remove every running effect
+   * @param {Object} world - Ability world
+   */
+  dispose(world) {
+    this.abilities.forEach(ability => ability.dispose(world));
+  }
+}
@@ -0,0 +1,56 @@
+/**
+ * AbilityVisuals.js
+ *
+ * Ground rings shown around a caster while an area ability plays.
+ */
+
+import * as THREE from 'https://unpkg.com/three@0.160.1/build/three.module.js';
+
+/**
+ * Create a flat ring under a caster and add it to the scene
+ * @param {Object} scene - THREE.js scene
+ * @param {Object} position - Caster position {x, y, z}
+ * @param {number} innerRadius - Inner radius (0 for a filled disc)
+ * @param {number} outerRadius - Outer radius
+ * @param {number} color - Ring color (hex number)
+ * @param {number} opacity - Starting opacity
+ * @returns {THREE.Mesh} Ring mesh
+ */
+export function createGroundRing(scene, position, innerRadius, outerRadius, color, opacity) {
+  const geometry = new THREE.RingGeometry(innerRadius, outerRadius, 32);
+  const material = new THREE.MeshBasicMaterial({
+    color,
+    transparent: true,
+    opacity,
+    side: THREE.DoubleSide
+  });
+
+  const ring = new THREE.Mesh(geometry, material);
+  ring.rotation.x = -Math.PI / 2; // Lay flat on ground
+  followCaster(ring, position);
+  scene.add(ring);
+  return ring;
+}
+
+/**
+ * Keep a ring under its caster
+ * @param {THREE.Mesh} ring - Ring mesh
+ * @param {Object} position - Caster position {x, y, z}
+ */
+export function followCaster(ring, position) {
+  ring.position.set(position.x, position.y + 0.2, position.z);
+}
+
+/**
+ * Remove a ring from the scene and dispose of it
+ * @param {Object} scene - THREE.js scene
+ * @param {THREE.Mesh} ring - Ring mesh
+ */
+export function removeGroundRing(scene, ring) {
+  if (!ring) return;
+  if (scene) {
+    scene.remove(ring);
+  }
+  ring.geometry.dispose();
+  ring.material.dispose();
+}
@@ -0,0 +1,79 @@
+/**
+ * ProjectileRing.js
+ *
+ * Fires bolts evenly spread in 360 degrees around a caster (Lucy's melee and
+ * multi-projectile), and single ability bolts (Lucy's bolt storm).
+ */
+
+/**
+ * Fire a ring of bolts at character height
+ * Bolts skip the bolt cooldown and get the ring's own speed and damage.
+ * @param {Object} projectileManager - Projectile manager
+ * @param {Object} caster - Caster {id, characterName, mesh}
+ * @param {Object} origin - Ring center {x, y, z}
+ * @param {number} count - Number of bolts
+ * @param {number} speed - Bolt speed
+ * @param {number} damage - Damage per bolt
+ * @returns {Array<THREE.Mesh>} Created bolts
+ */
+export function fireProjectileRing(projectileManager, caster, origin, count, speed, damage) {
+  const projectiles = [];
+  if (!projectileManager || count <= 0) {
+    return projectiles;
+  }
+
+  for (let i = 0; i < count; i++) {
+    const angle = (i / count) * Math.PI * 2;
+    const projectile = launchBolt(projectileManager, caster, origin, Math.cos(angle), Math.sin(angle), speed, damage);
+    if (projectile) {
+      projectiles.push(projectile);
+    }
+  }
+  return projectiles;
+}
+
+/**
+ * Fire one ability bolt from a caster, slightly offset in its direction
+ * Skips the bolt cooldown and starts at the given speed and damage.
+ * @param {Object} projectileManager - Projectile manager
+ * @param {Object} caster - Caster {id, characterName, mesh}
+ * @param {Object} origin - Where the caster fires from {x, y, z}
+ * @param {number} directionX - X direction (normalized)
+ * @param {number} directionZ - Z direction (normalized)
+ * @param {number} speed - Bolt speed
+ * @param {number} damage - Bolt damage
+ * @returns {THREE.Mesh|null} Created bolt, or null if none was created
+ */
+export function launchBolt(projectileManager, caster, origin, directionX, directionZ, speed, damage) {
+  // Spawn slightly offset from the character
+  const projectile = projectileManager.createProjectile(
+    origin.x + directionX * 0.5,
+    origin.y,
+    origin.z + directionZ * 0.5,
+    directionX,
+    directionZ,
+    caster.id,
+    caster.characterName,
+    null,
+    null,
+    { forceCreate: true }
+  );
+  if (!projectile || !projectile.userData) {
+    return null;
+  }
+
+  projectile.userData.customSpeed = speed;
+  projectile.userData.damage = damage;
+
+  // Start at the given speed right away
+  const currentSpeed = Math.sqrt(
+    projectile.userData.velocityX * projectile.userData.velocityX +
+    projectile.userData.velocityZ * projectile.userData.velocityZ
+  );
+  if (currentSpeed > 0.001) {
+    const speedRatio = speed / currentSpeed;
+    projectile.userData.velocityX *= speedRatio;
+    projectile.userData.velocityZ *= speedRatio;
+  }
+  return projectile;
+}
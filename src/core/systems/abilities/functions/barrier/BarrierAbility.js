@@ -0,0 +1,125 @@
+/**
+ * BarrierAbility.js
+ *
+ * Warden's barrier: raises a wall in the aim direction that blocks bolts, melee and
+ * movement until it comes down, and gives Warden its caster status effect (a shield).
+ * The wall is a real arena wall (CollisionManager.addWall), so bolts stop at it on every
+ * client; the server keeps its own copy of the box (see roomDeployables) for the bolts
+ * it simulates.
+ */
+
+import { Ability, getActivationOrigin } from '../ability/Ability.js';
+import { getBarrierBounds } from './BarrierBounds.js';
+import { getBarrierStats } from '../CharacterAbilityStats.js';
+import { getCharacterPaletteColor } from '../../../../../config/abilities/CharacterColors.js';
+
+const FADE_TIME = 0.5; // Seconds the wall takes to fade before it comes down
+
+export class BarrierAbility extends Ability {
+  /**
+   * Create a barrier ability
+   * @param {string} characterName - Character name
+   */
+  constructor(characterName) {
+    super('barrier', characterName);
+    this.barrier = null; // Standing barrier {wall, collisionManager, timeLeft}
+  }
+
+  /**
+   * Get barrier stats
+   * @returns {Object|null} Barrier stats or null if the character has no barrier
+   */
+  getStats() {
+    return getBarrierStats(this.characterName);
+  }
+
+  /**
+   * Raise the wall (replacing one still standing)
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} world - Ability world
+   * @param {Object} stats - Barrier stats
+   * @param {Object} params - Activation parameters {origin, direction}
+   * @protected
+   */
+  onActivate(caster, world, stats, params) {
+    const collisionManager = world.collisionManager;
+    const bounds = params.direction
+      ? getBarrierBounds(getActivationOrigin(caster, params), params.direction, stats)
+      : null;
+    if (!collisionManager || !bounds) {
+      return;
+    }
+
+    world.vibrate(caster, 'heavy');
+    world.playSound(caster, 'playBarrierRaise');
+    if (stats.casterStatusEffect) {
+      world.grantStatusEffect(caster, stats.casterStatusEffect);
+    }
+
+    this.dispose(world);
+    const wall = collisionManager.addWall(bounds.x, bounds.z, bounds.sizeX, bounds.sizeZ, getCharacterPaletteColor(this.characterName, 'barrier'));
+    wall.material.transparent = true;
+    wall.material.opacity = 0.85;
+    this.barrier = { wall, collisionManager, timeLeft: stats.duration };
+  }
+
+  /**
+   * Fade the wall out and take it down when its time is up
+   * @param {number} dt - Delta time in seconds
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} world - Ability world
+   * @protected
+   */
+  onUpdate(dt, caster, world) {
+    const barrier = this.barrier;
+    if (!barrier) {
+      return;
+    }
+
+    barrier.timeLeft -= dt;
+    if (barrier.timeLeft <= 0) {
+      this.dispose(world);
+    } else if (barrier.timeLeft < FADE_TIME) {
+      barrier.wall.material.opacity = 0.85 * (barrier.timeLeft / FADE_TIME);
+    }
+  }
+
+  /**
+   * Build the network message, adding the aim direction
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} params - Activation parameters {direction}
+   * @returns {Object} Message {ability, x, y, z, directionX, directionZ}
+   */
+  serialize(caster, params = {}) {
+    const message = super.serialize(caster, params);
+    if (params.direction) {
+      message.directionX = params.direction.x;
+      message.directionZ = params.direction.z;
+    }
+    return message;
+  }
+
+  /**
+   * Read activation parameters, including the aim direction
+   * @param {Object} data - Message from serialize
+   * @returns {Object} Activation parameters {origin, direction}
+   */
+  deserialize(data) {
+    const params = super.deserialize(data);
+    if (data && Number.isFinite(data.directionX) && Number.isFinite(data.directionZ)) {
+      params.direction = { x: data.directionX, z: data.directionZ };
+    }
+    return params;
+  }
+
+  /**
+   * Take the wall down
+   * @param {Object} world - Ability world
+   */
+  dispose(world) {
+    if (this.barrier) {
+      this.barrier.collisionManager.removeWall(this.barrier.wall);
+      this.barrier = null;
+    }
+  }
+}
@@ -0,0 +1,31 @@
+/**
+ * BarrierBounds.js
+ *
+ * Where a barrier stands, from its caster's position and aim.
+ * Walls are axis-aligned boxes (like every arena wall), so a barrier faces whichever
+ * axis is closer to the aim direction.
+ * Shared by the client and the server (no three.js).
+ */
+
+/**
+ * Get a barrier's box on the ground
+ * @param {Object} origin - Caster position {x, z}
+ * @param {Object} direction - Aim direction {x, z} (need not be normalized)
+ * @param {Object} stats - Barrier stats {width, thickness, distance}
+ * @returns {Object|null} Box {x, z, sizeX, sizeZ} or null for a zero direction
+ */
+export function getBarrierBounds(origin, direction, stats) {
+  const length = Math.sqrt(direction.x * direction.x + direction.z * direction.z);
+  if (!(length > 0.001)) {
+    return null;
+  }
+  const dirX = direction.x / length;
+  const dirZ = direction.z / length;
+  const facesX = Math.abs(dirX) >= Math.abs(dirZ);
+  return {
+    x: origin.x + dirX * stats.distance,
+    z: origin.z + dirZ * stats.distance,
+    sizeX: facesX ? stats.thickness : stats.width,
+    sizeZ: facesX ? stats.width : stats.thickness
+  };
+}
@@ -0,0 +1,127 @@
+/**
+ * BlastAbility.js
+ *
+ * Herald's blast: launches everyone in a radius away from the caster, harder the
+ * closer they stand. Deals no damage - kills come from knocking targets out of the arena.
+ * Subclasses (the ground slam ultimate) reuse the knockback and add to each hit with onBlastHit.
+ */
+
+import * as THREE from 'https://unpkg.com/three@0.160.1/build/three.module.js';
+import { Ability, getActivationOrigin } from '../ability/Ability.js';
+import { createGroundRing, followCaster, removeGroundRing } from '../ability/AbilityVisuals.js';
+import { getBlastStats } from '../CharacterAbilityStats.js';
+import { getCharacterColorHex } from '../../../../../config/abilities/CharacterColors.js';
+
+export class BlastAbility extends Ability {
+  /**
+   * Create a blast ability
+   * @param {string} characterName - Character name
+   * @param {string} name - Ability name (subclasses pass their own)
+   */
+  constructor(characterName, name = 'blast') {
+    super(name, characterName);
+    this.soundMethod = 'playMeleeSwing'; // SoundManager method played on activation
+    this.ring = null; // Expanding ring following the caster
+    this.animationTime = 0;
+    this.animationDuration = 0;
+  }
+
+  /**
+   * Get blast stats
+   * @returns {Object|null} Blast stats or null if the character has no blast
+   */
+  getStats() {
+    return getBlastStats(this.characterName);
+  }
+
+  /**
+   * Blast everyone in range away
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} world - Ability world
+   * @param {Object} stats - Blast stats
+   * @param {Object} params - Activation parameters
+   * @protected
+   */
+  onActivate(caster, world, stats, params) {
+    world.vibrate(caster, 'veryHeavy');
+    world.playSound(caster, this.soundMethod);
+
+    const origin = getActivationOrigin(caster, params);
+    const radius = stats.radius;
+    const characterColor = getCharacterColorHex(this.characterName);
+
+    removeGroundRing(world.scene, this.ring);
+    this.ring = createGroundRing(world.scene, caster.mesh.position, 0, radius, characterColor, 0.9);
+    this.animationTime = stats.animationDuration;
+    this.animationDuration = stats.animationDuration;
+
+    if (world.particleManager) {
+      const position = new THREE.Vector3(origin.x, origin.y, origin.z);
+      world.particleManager.spawnSwordSwingParticles(position, characterColor, radius, stats.animationDuration);
+    }
+
+    const radiusSq = radius * radius;
+    const minDistanceSq = 0.01;
+    for (const target of world.getTargets(caster)) {
+      const dx = target.mesh.position.x - origin.x;
+      const dz = target.mesh.position.z - origin.z;
+      const distanceSq = dx * dx + dz * dz;
+      if (distanceSq > radiusSq || distanceSq <= minDistanceSq) {
+        continue;
+      }
+
+      // Stronger when closer
+      const distance = Math.sqrt(distanceSq);
+      const distanceMultiplier = 1 - distance / radius;
+      world.knockTarget(caster, target, {
+        velocityX: (dx / distance) * stats.horizontalVelocity * distanceMultiplier,
+        velocityZ: (dz / distance) * stats.horizontalVelocity * distanceMultiplier,
+        velocityY: stats.verticalVelocity
+      }, this.name);
+      this.onBlastHit(caster, world, target, stats, distanceMultiplier);
+    }
+  }
+
+  /**
+   * Extra effect on each target the blast throws (none for the blast itself)
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} world - Ability world
+   * @param {Object} target - Target from getTargets
+   * @param {Object} stats - Blast stats
+   * @param {number} distanceMultiplier - 1 at the center, 0 at the edge
+   * @protected
+   */
+  onBlastHit(caster, world, target, stats, distanceMultiplier) {}
+
+  /**
+   * Fade the ring out
+   * @param {number} dt - Delta time in seconds
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} world - Ability world
+   * @protected
+   */
+  onUpdate(dt, caster, world) {
+    if (!this.ring || !caster || !caster.mesh) {
+      return;
+    }
+
+    this.animationTime -= dt;
+    followCaster(this.ring, caster.mesh.position);
+    const progress = 1 - (this.animationTime / this.animationDuration);
+    this.ring.material.opacity = 0.9 * (1 - progress);
+
+    if (this.animationTime <= 0) {
+      this.dispose(world);
+    }
+  }
+
+  /**
+   * Remove the ring
+   * @param {Object} world - Ability world
+   */
+  dispose(world) {
+    removeGroundRing(world?.scene, this.ring);
+    this.ring = null;
+    this.animationTime = 0;
+  }
+}
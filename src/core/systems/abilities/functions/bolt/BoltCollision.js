@@ -1,16 +1,16 @@
 /**
  * BoltCollision.js
  * 
- * Handles collision detection between bolt projectiles and players.
+ * Handles collision detection between bolt projectiles and players or barriers.
+ * Plain box math (no three.js), shared with the server's projectile simulation.
  */
 
-import * as THREE from 'https://unpkg.com/three@0.160.1/build/three.module.js';
 import { getBaseEntityMovementStats } from '../../../../../config/global/BaseEntityStats.js';
 
 /**
  * Check if bolt collides with a player
- * @param {THREE.Mesh} projectile - Projectile mesh
- * @param {THREE.Vector3} playerPos - Player position (sprite center)
+ * @param {THREE.Mesh|Object} projectile - Projectile mesh (or any {position, userData})
+ * @param {THREE.Vector3|Object} playerPos - Player position (sprite center)
  * @param {number} playerSize - Player size (horizontal collision size)
  * @param {string} playerId - Player ID to check against
  * @returns {Object} Collision result with hit, damage, and projectile info
@@ -26,15 +26,17 @@ export function checkBoltPlayerCollision(projectile, playerPos, playerSize, play
   const halfHeight = playerHeight / 2; // 0.6 units (sprite center to top/bottom)
   const halfSize = playerSize / 2;
   
-  // Create hitbox matching actual sprite dimensions
+  // Hitbox matching actual sprite dimensions
   // Sprite center is at playerPos.y, sprite extends from playerPos.y - halfHeight to playerPos.y + halfHeight
-  const playerBox = new THREE.Box3(
-    new THREE.Vector3(playerPos.x - halfSize, playerPos.y - halfHeight, playerPos.z - halfSize),
-    new THREE.Vector3(playerPos.x + halfSize, playerPos.y + halfHeight, playerPos.z + halfSize)
-  );
+  // The bolt is a sphere, so its box is its position +/- its radius
+  const radius = projectile.userData.size || 0.1;
+  const position = projectile.position;
+  const overlaps =
+    position.x + radius >= playerPos.x - halfSize && position.x - radius <= playerPos.x + halfSize &&
+    position.y + radius >= playerPos.y - halfHeight && position.y - radius <= playerPos.y + halfHeight &&
+    position.z + radius >= playerPos.z - halfSize && position.z - radius <= playerPos.z + halfSize;
   
-  const projectileBox = new THREE.Box3().setFromObject(projectile);
-  if (playerBox.intersectsBox(projectileBox)) {
+  if (overlaps) {
     // Mark as hit to prevent multiple damage applications
     projectile.userData.hasHit = true;
     const damage = projectile.userData.damage;
@@ -44,3 +46,18 @@ export function checkBoltPlayerCollision(projectile, playerPos, playerSize, play
   return { hit: false };
 }
 
+/**
+ * Check if a bolt is inside a barrier
+ * Clients see barriers as walls (CollisionManager.addWall); the server, which has no
+ * walls, checks its barriers with this.
+ * @param {Object} position - Bolt position {x, y, z}
+ * @param {number} size - Bolt collision size
+ * @param {Object} barrier - Barrier box {x, z, sizeX, sizeZ, height}
+ * @returns {boolean} True if the bolt touches the barrier
+ */
+export function checkBoltBarrierCollision(position, size, barrier) {
+  const half = size / 2;
+  return Math.abs(position.x - barrier.x) <= barrier.sizeX / 2 + half &&
+    Math.abs(position.z - barrier.z) <= barrier.sizeZ / 2 + half &&
+    position.y <= barrier.height; // Boxes start at their position's height, as in willCollide
+}
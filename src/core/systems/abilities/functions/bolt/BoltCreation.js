@@ -12,6 +12,7 @@ import { createSphereGeometry, createProjectileMesh } from '../utils/GeometryUti
 import { getMaterialCache } from '../utils/MaterialCache.js';
 import { createTrailLight } from '../utils/LightUtils.js';
 import { normalize2D } from '../utils/VectorUtils.js';
+import { getBoltLaunchSpeeds } from './BoltLaunchSpeed.js';
 
 /**
  * Create a bolt projectile
@@ -22,7 +23,7 @@ import { normalize2D } from '../utils/VectorUtils.js';
  * @param {number} directionX - Direction X component
  * @param {number} directionZ - Direction Z component
  * @param {string} playerId - Player ID ('local' or player identifier)
- * @param {string} characterName - Character name ('lucy' or 'herald')
+ * @param {string} characterName - Character name
  * @param {number} targetX - Optional target X position for cursor following
  * @param {number} targetZ - Optional target Z position for cursor following
  * @param {Object} particleManager - Optional particle manager for projectile effects
@@ -44,12 +45,7 @@ export function createBolt(scene, startX, startY, startZ, directionX, directionZ
   const trailLight = null; // Trail lights disabled for performance
   // if (trailLight) scene.add(trailLight);
   
-  const baseSpeed = stats.projectileSpeed;
-  const minSpeed = (stats.minSpeed ?? 1.0) * baseSpeed;
-  const maxSpeed = (stats.maxSpeed ?? 1.0) * baseSpeed;
-  const isHerald = characterName === 'herald';
-  const startSpeed = isHerald ? minSpeed : maxSpeed;
-  const endSpeed = isHerald ? maxSpeed * BOLT_ATTACK_CONFIG.physics.heraldAccelerationMultiplier : minSpeed;
+  const { baseSpeed, startSpeed, endSpeed } = getBoltLaunchSpeeds(characterName);
   
   const ambientParticles = particleManager ? particleManager.spawnProjectileAmbientParticles(
     startPos, characterColor, stats.size, 6, characterName, 'bolt'
@@ -17,8 +17,9 @@ import { normalize2D, calculateSpeed2D } from '../utils/VectorUtils.js';
  * @param {number} dt - Delta time in seconds
  */
 export function applyCursorFollowing(projectile, dt) {
-  // Skip cursor following for remote projectiles (they sync position from owner)
-  if (projectile.userData.playerId !== 'local') {
+  // Skip cursor following for remote projectiles (they sync position from owner);
+  // homing bolts steer themselves whoever fired them
+  if (projectile.userData.playerId !== 'local' && !projectile.userData.homingTarget) {
     return;
   }
   
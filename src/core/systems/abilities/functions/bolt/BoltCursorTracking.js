@@ -3,6 +3,7 @@
  * 
  * Handles cursor/joystick tracking for bolt projectiles.
  * Extracted from BoltUpdate.js for better organization.
+ * Homing bolts (Lucy's bolt storm) track their target instead, for any owner.
  */
 
 import * as THREE from 'https://unpkg.com/three@0.160.1/build/three.module.js';
@@ -18,6 +19,11 @@ import { normalize2D, distance2D } from '../utils/VectorUtils.js';
  * @param {Object} playerPosition - Player position vector
  */
 export function updateCursorTracking(projectile, camera, inputManager, playerPosition) {
+  // Homing bolts follow their target until it is gone, then fall back to the cursor
+  if (projectile.userData.homingTarget && updateHomingTracking(projectile)) {
+    return;
+  }
+  
   // Skip cursor tracking for remote projectiles (they sync position from owner)
   if (projectile.userData.playerId !== 'local') {
     return;
@@ -55,6 +61,23 @@ export function updateCursorTracking(projectile, camera, inputManager, playerPos
   }
 }
 
+/**
+ * Track a homing bolt's target
+ * @param {THREE.Mesh} projectile - Projectile mesh with userData.homingTarget
+ * @returns {boolean} True if the target is still there to follow
+ */
+function updateHomingTracking(projectile) {
+  const target = projectile.userData.homingTarget;
+  const targetData = target.userData || {};
+  if (!target.parent || targetData.isDying || targetData.isDead || targetData.health <= 0) {
+    projectile.userData.homingTarget = null;
+    return false;
+  }
+  projectile.userData.targetX = target.position.x;
+  projectile.userData.targetZ = target.position.z;
+  return true;
+}
+
 /**
  * Get target position from joystick input
  * @param {Object} camera - THREE.js camera
@@ -0,0 +1,30 @@
+/**
+ * BoltLaunchSpeed.js
+ * 
+ * Handles launch speed calculation for bolt projectiles.
+ * Extracted from BoltCreation.js so the server's projectile simulation launches
+ * bolts at the same speed (no three.js).
+ */
+
+import { getBoltStats } from '../CharacterAbilityStats.js';
+import { BOLT_ATTACK_CONFIG } from '../../../../../config/abilities/base/BoltAttackConfig.js';
+import { hasCharacterTrait } from '../../../../../config/character/CharacterRegistry.js';
+
+/**
+ * Get bolt launch speeds for a character
+ * Characters with accelerating bolts (Herald) start slow and speed up; everyone else's start fast and slow down.
+ * @param {string} characterName - Character name
+ * @returns {Object} Speeds {baseSpeed, startSpeed, endSpeed}
+ */
+export function getBoltLaunchSpeeds(characterName) {
+  const stats = getBoltStats(characterName);
+  const baseSpeed = stats.projectileSpeed;
+  const minSpeed = (stats.minSpeed ?? 1.0) * baseSpeed;
+  const maxSpeed = (stats.maxSpeed ?? 1.0) * baseSpeed;
+  const accelerates = hasCharacterTrait(characterName, 'acceleratingBolts');
+  return {
+    baseSpeed,
+    startSpeed: accelerates ? minSpeed : maxSpeed,
+    endSpeed: accelerates ? maxSpeed * BOLT_ATTACK_CONFIG.physics.heraldAccelerationMultiplier : minSpeed
+  };
+}
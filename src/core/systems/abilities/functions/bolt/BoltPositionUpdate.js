@@ -3,16 +3,17 @@
  * 
  * Handles position updates and collision checking for bolt projectiles.
  * Extracted from BoltUpdate.js for better organization.
+ * Works on plain {position, userData} objects too (no three.js), so the server's
+ * projectile simulation runs the same step.
  */
 
-import * as THREE from 'https://unpkg.com/three@0.160.1/build/three.module.js';
 import { BOLT_ATTACK_CONFIG } from '../../../../../config/abilities/base/BoltAttackConfig.js';
 
 /**
  * Update projectile position and check collisions
- * @param {THREE.Mesh} projectile - Projectile mesh
+ * @param {THREE.Mesh|Object} projectile - Projectile mesh (or any {position, userData})
  * @param {number} dt - Delta time in seconds
- * @param {Object} collisionManager - Collision manager
+ * @param {Object} collisionManager - Collision manager (anything with willCollide)
  * @param {Object} playerPosition - Player position vector (for fallback Y calculation)
  * @returns {boolean} True if projectile should be removed
  */
@@ -33,7 +34,7 @@ export function updatePosition(projectile, dt, collisionManager, playerPosition)
   let shouldRemove = false;
   if (collisionManager) {
     const projectileSize = projectile.userData.size || 0.1;
-    const nextPos = new THREE.Vector3(newX, newY, newZ);
+    const nextPos = { x: newX, y: newY, z: newZ };
     
     if (collisionManager.willCollide(nextPos, projectileSize)) {
       shouldRemove = true;
@@ -9,6 +9,7 @@ import * as THREE from 'https://unpkg.com/three@0.160.1/build/three.module.js';
 import { BOLT_ATTACK_CONFIG } from '../../../../../config/abilities/base/BoltAttackConfig.js';
 import { calculateSpeed2D } from '../utils/VectorUtils.js';
 import { getBoltStats } from '../CharacterAbilityStats.js';
+import { hasCharacterTrait } from '../../../../../config/character/CharacterRegistry.js';
 
 /**
  * Update projectile speed based on character type
@@ -45,6 +46,7 @@ export function updateSpeed(projectile, camera, inputManager, playerPosition) {
   const characterName = projectile.userData.characterName || 'lucy';
   const boltStats = getBoltStats(characterName);
   const joystickConfig = boltStats?.joystickSpeedMultiplier || {};
+  const accelerates = hasCharacterTrait(characterName, 'acceleratingBolts');
   
   // Speed scaling range for joystick control (from config, with fallback defaults)
   const MIN_SPEED_MULTIPLIER = joystickConfig.minSpeedMultiplier ?? 0.7;
@@ -62,8 +64,8 @@ export function updateSpeed(projectile, camera, inputManager, playerPosition) {
       // Further joystick push = faster bolt
       const speedMultiplier = MIN_SPEED_MULTIPLIER + (joystickMagnitude * (MAX_SPEED_MULTIPLIER - MIN_SPEED_MULTIPLIER));
       
-      if (projectile.userData.characterName === 'herald') {
-        // Herald: Use existing acceleration pattern which already accounts for joystick
+      if (accelerates) {
+        // Accelerating bolts (Herald): Use existing acceleration pattern which already accounts for joystick
         // The existing system uses minSpeed + (speedRange * joystickMagnitude)
         // So we just use that directly without additional scaling
         targetSpeed = calculateHeraldSpeed(projectile, camera, inputManager, playerPosition);
@@ -73,19 +75,19 @@ export function updateSpeed(projectile, camera, inputManager, playerPosition) {
       }
     } else {
       // Joystick not pushed or too small - use minimum speed from config
-      if (projectile.userData.characterName === 'herald') {
-        // Herald: Use minimum speed from existing system
+      if (accelerates) {
+        // Accelerating bolts: Use minimum speed from existing system
         targetSpeed = projectile.userData.startSpeed;
       } else {
         // Other characters: Use minimum speed multiplier from config
         targetSpeed = projectile.userData.baseSpeed * MIN_SPEED_MULTIPLIER;
       }
     }
-  } else if (projectile.userData.characterName === 'herald' && inputManager) {
-    // Herald: Speed controlled by input method (keyboard/mouse)
+  } else if (accelerates && inputManager) {
+    // Accelerating bolts: Speed controlled by input method (keyboard/mouse)
     targetSpeed = calculateHeraldSpeed(projectile, camera, inputManager, playerPosition);
   } else {
-    // Default: Use base speed (keyboard/mouse for non-Herald characters)
+    // Default: Use base speed (keyboard/mouse for other characters)
     targetSpeed = projectile.userData.baseSpeed;
   }
   
@@ -0,0 +1,145 @@
+/**
+ * BoltStormAbility.js
+ *
+ * Lucy's ultimate: fires bolts all around her for a couple of seconds, each homing in
+ * on one of the nearest enemies (see BoltCursorTracking). Used from the ultimate slot
+ * when the ultimate meter is full. Remote players' storms only show the ring here -
+ * their bolts arrive from their own client like any other bolt.
+ */
+
+import { Ability } from '../ability/Ability.js';
+import { createGroundRing, followCaster, removeGroundRing } from '../ability/AbilityVisuals.js';
+import { getBoltStormStats } from '../CharacterAbilityStats.js';
+import { getCharacterColorHex } from '../../../../../config/abilities/CharacterColors.js';
+
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5)); // Spreads successive bolts evenly around the caster
+
+export class BoltStormAbility extends Ability {
+  /**
+   * Create a bolt storm ability
+   * @param {string} characterName - Character name
+   */
+  constructor(characterName) {
+    super('boltStorm', characterName);
+    this.storm = null; // Running storm {elapsed, fired}
+    this.ring = null; // Ring under the caster while the storm lasts
+  }
+
+  /**
+   * Get bolt storm stats
+   * @returns {Object|null} Bolt storm stats or null if the character has no bolt storm
+   */
+  getStats() {
+    return getBoltStormStats(this.characterName);
+  }
+
+  /**
+   * Start the storm
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} world - Ability world
+   * @param {Object} stats - Bolt storm stats
+   * @param {Object} params - Activation parameters
+   * @protected
+   */
+  onActivate(caster, world, stats, params) {
+    world.vibrate(caster, 'veryHeavy');
+    world.playSound(caster, 'playBoltStorm');
+
+    this.dispose(world);
+    this.storm = { elapsed: 0, fired: 0 };
+    this.ring = createGroundRing(world.scene, caster.mesh.position, 0.6, 1.2, getCharacterColorHex(this.characterName), 0.8);
+  }
+
+  /**
+   * Fire the bolts that are due and end the storm when they are all out
+   * @param {number} dt - Delta time in seconds
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} world - Ability world
+   * @protected
+   */
+  onUpdate(dt, caster, world) {
+    const storm = this.storm;
+    if (!storm) {
+      return;
+    }
+    const stats = this.getStats();
+    if (!stats || !caster || !caster.mesh) {
+      this.dispose(world);
+      return;
+    }
+
+    storm.elapsed += dt;
+    const due = Math.min(stats.boltCount, Math.floor((storm.elapsed / stats.duration) * stats.boltCount) + 1);
+    if (storm.fired < due) {
+      const targets = this._getHomingTargets(caster, world, stats);
+      while (storm.fired < due) {
+        this._fireBolt(caster, world, stats, targets);
+      }
+    }
+
+    followCaster(this.ring, caster.mesh.position);
+    this.ring.rotation.z += dt * 4;
+    if (storm.fired >= stats.boltCount) {
+      this.dispose(world);
+    }
+  }
+
+  /**
+   * End the storm and remove the ring
+   * @param {Object} world - Ability world
+   */
+  dispose(world) {
+    removeGroundRing(world?.scene, this.ring);
+    this.ring = null;
+    this.storm = null;
+  }
+
+  /**
+   * Get the enemies in homing range, nearest first
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} world - Ability world
+   * @param {Object} stats - Bolt storm stats
+   * @returns {Array<Object>} Targets from getTargets
+   * @private
+   */
+  _getHomingTargets(caster, world, stats) {
+    const position = caster.mesh.position;
+    const rangeSq = stats.homingRange * stats.homingRange;
+    const distanceSq = (target) => {
+      const dx = target.mesh.position.x - position.x;
+      const dz = target.mesh.position.z - position.z;
+      return dx * dx + dz * dz;
+    };
+    return world.getTargets(caster)
+      .filter(target => world.isTargetActive(target) && distanceSq(target) <= rangeSq)
+      .sort((a, b) => distanceSq(a) - distanceSq(b));
+  }
+
+  /**
+   * Fire the storm's next bolt, homing on the next target in turn
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} world - Ability world
+   * @param {Object} stats - Bolt storm stats
+   * @param {Array<Object>} targets - Targets in homing range, nearest first
+   * @private
+   */
+  _fireBolt(caster, world, stats, targets) {
+    const index = this.storm.fired++;
+    const angle = index * GOLDEN_ANGLE;
+    const projectile = world.fireBolt(caster, caster.mesh.position, { x: Math.cos(angle), z: Math.sin(angle) }, {
+      ability: this.name,
+      speed: stats.projectileSpeed,
+      damage: stats.damage,
+      lifetime: stats.lifetime
+    });
+    if (!projectile || targets.length === 0) {
+      return;
+    }
+
+    const target = targets[index % targets.length];
+    projectile.userData.homingTarget = target.mesh;
+    projectile.userData.cursorFollowStrength = stats.homingStrength;
+    projectile.userData.targetX = target.mesh.position.x;
+    projectile.userData.targetZ = target.mesh.position.z;
+  }
+}
@@ -0,0 +1,102 @@
+/**
+ * DashAbility.js
+ *
+ * Warden's dash: a short burst of speed in the movement direction, used when the
+ * caster starts sprinting, ending in the ability named by the dash's finisher (Warden's
+ * shove). Never sent over the network - like rolls, remote players' dashes arrive as
+ * movement in their player state (the finisher is sent on its own).
+ */
+
+import { Ability } from '../ability/Ability.js';
+import { createGroundRing, followCaster, removeGroundRing } from '../ability/AbilityVisuals.js';
+import { getDashStats } from '../CharacterAbilityStats.js';
+import { getCharacterPaletteColor } from '../../../../../config/abilities/CharacterColors.js';
+
+export class DashAbility extends Ability {
+  /**
+   * Create a dash ability
+   * @param {string} characterName - Character name
+   */
+  constructor(characterName) {
+    super('dash', characterName);
+    this.networked = false;
+    this.dash = null; // Running dash {timeLeft, duration, velocityX, velocityZ}
+    this.ring = null; // Ring trailing the caster during the dash
+  }
+
+  /**
+   * Get dash stats
+   * @returns {Object|null} Dash stats or null if the character has no dash
+   */
+  getStats() {
+    return getDashStats(this.characterName);
+  }
+
+  /**
+   * Start dashing
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} world - Ability world
+   * @param {Object} stats - Dash stats
+   * @param {Object} params - Activation parameters {direction}
+   * @protected
+   */
+  onActivate(caster, world, stats, params) {
+    const direction = params.direction;
+    const length = direction ? Math.sqrt(direction.x * direction.x + direction.z * direction.z) : 0;
+    if (!(length > 0.001)) {
+      return;
+    }
+
+    world.vibrate(caster, 'light');
+    world.playSound(caster, 'playDash');
+
+    this.dispose(world);
+    this.dash = {
+      timeLeft: stats.duration,
+      duration: stats.duration,
+      velocityX: (direction.x / length) * stats.speed,
+      velocityZ: (direction.z / length) * stats.speed
+    };
+    this.ring = createGroundRing(world.scene, caster.mesh.position, 0.3, 0.5, getCharacterPaletteColor(this.characterName, 'accent'), 0.8);
+    world.pushCaster(caster, this.dash.velocityX, this.dash.velocityZ);
+  }
+
+  /**
+   * Keep the caster moving until the dash ends, then stop it (so the dash covers the
+   * same distance for players and bots, whose knockback decays differently)
+   * @param {number} dt - Delta time in seconds
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} world - Ability world
+   * @protected
+   */
+  onUpdate(dt, caster, world) {
+    const dash = this.dash;
+    if (!dash || !caster || !caster.mesh) {
+      return;
+    }
+
+    dash.timeLeft -= dt;
+    if (dash.timeLeft <= 0) {
+      this.dispose(world);
+      world.pushCaster(caster, 0, 0);
+      const finisher = this.getStats()?.finisher;
+      if (finisher) {
+        world.activateAbility(caster, finisher);
+      }
+      return;
+    }
+    world.pushCaster(caster, dash.velocityX, dash.velocityZ);
+    followCaster(this.ring, caster.mesh.position);
+    this.ring.material.opacity = 0.8 * (dash.timeLeft / dash.duration);
+  }
+
+  /**
+   * End the dash and remove the ring
+   * @param {Object} world - Ability world
+   */
+  dispose(world) {
+    removeGroundRing(world?.scene, this.ring);
+    this.ring = null;
+    this.dash = null;
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * GroundSlamAbility.js
+ *
+ * Herald's (and Warden's) ultimate: a blast with a much bigger radius that also
+ * damages everyone it throws, harder the closer they stand, and inflicts the slam's
+ * status effect for characters that have one. Used from the ultimate slot when the
+ * ultimate meter is full.
+ */
+
+import { BlastAbility } from '../blast/BlastAbility.js';
+import { getGroundSlamStats } from '../CharacterAbilityStats.js';
+import { canCharacterInflict } from '../../../../../config/character/CharacterRegistry.js';
+
+const EDGE_DAMAGE = 0.5; // Share of the slam's damage dealt at the edge of its radius
+
+export class GroundSlamAbility extends BlastAbility {
+  /**
+   * Create a ground slam ability
+   * @param {string} characterName - Character name
+   */
+  constructor(characterName) {
+    super(characterName, 'groundSlam');
+    this.soundMethod = 'playGroundSlam';
+  }
+
+  /**
+   * Get ground slam stats
+   * @returns {Object|null} Ground slam stats or null if the character has no ground slam
+   */
+  getStats() {
+    return getGroundSlamStats(this.characterName);
+  }
+
+  /**
+   * Damage a thrown target and inflict the slam's status effect
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} world - Ability world
+   * @param {Object} target - Target from getTargets
+   * @param {Object} stats - Ground slam stats
+   * @param {number} distanceMultiplier - 1 at the center, 0 at the edge
+   * @protected
+   */
+  onBlastHit(caster, world, target, stats, distanceMultiplier) {
+    if (!world.isTargetActive(target)) {
+      return;
+    }
+    const damage = Math.round(stats.damage * (EDGE_DAMAGE + (1 - EDGE_DAMAGE) * distanceMultiplier));
+    const died = world.damageTarget(caster, target, damage, 'groundSlam');
+    if (!died && stats.statusEffect && canCharacterInflict(this.characterName, stats.statusEffect)) {
+      world.applyStatusEffect(caster, target, stats.statusEffect);
+    }
+  }
+}
@@ -0,0 +1,235 @@
+/**
+ * MeleeAbility.js
+ *
+ * 360 degree melee swing: an initial hit with knockback, damage ticks while the swing
+ * animation plays and poison on everyone it touched once it ends. Characters whose
+ * melee config has a projectileCount (Lucy) also fire a ring of bolts.
+ * Walls block the swing (line of sight from the caster).
+ */
+
+import * as THREE from 'https://unpkg.com/three@0.160.1/build/three.module.js';
+import { Ability, getActivationOrigin } from '../ability/Ability.js';
+import { createGroundRing, followCaster, removeGroundRing } from '../ability/AbilityVisuals.js';
+import { fireProjectileRing } from '../ability/ProjectileRing.js';
+import { getMeleeStats } from '../CharacterAbilityStats.js';
+import { getCharacterColorHex } from '../../../../../config/abilities/CharacterColors.js';
+import { canCharacterInflict } from '../../../../../config/character/CharacterRegistry.js';
+
+export class MeleeAbility extends Ability {
+  /**
+   * Create a melee ability
+   * @param {string} characterName - Character name
+   */
+  constructor(characterName) {
+    super('melee', characterName);
+    this.swing = null; // Running swing {timeLeft, tickTimer, radius, damagePerTick, ...}
+    this.ring = null; // Ground ring following the caster during the swing
+    this.affected = new Map(); // Target key -> target hit during the swing (poisoned at the end)
+  }
+
+  /**
+   * Get melee stats
+   * @returns {Object} Melee stats
+   */
+  getStats() {
+    return getMeleeStats(this.characterName);
+  }
+
+  /**
+   * Start a swing
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} world - Ability world
+   * @param {Object} stats - Melee stats
+   * @param {Object} params - Activation parameters
+   * @protected
+   */
+  onActivate(caster, world, stats, params) {
+    world.vibrate(caster, 'swordSwing');
+    world.playSound(caster, 'playMeleeSwing');
+
+    this._clearSwing(world);
+    const origin = getActivationOrigin(caster, params);
+    const radius = stats.range;
+    const animationDuration = stats.animationDuration;
+    this.swing = {
+      timeLeft: animationDuration,
+      tickTimer: 0,
+      radius,
+      damagePerTick: stats.damage,
+      tickInterval: stats.tickInterval
+    };
+
+    // Ring scales with range (inner edge at 87.5% of it)
+    const characterColor = getCharacterColorHex(this.characterName);
+    this.ring = createGroundRing(world.scene, caster.mesh.position, radius * 0.875, radius, characterColor, 0.8);
+
+    if (world.particleManager) {
+      const position = new THREE.Vector3(origin.x, origin.y, origin.z);
+      world.particleManager.spawnSwordSwingParticles(position, characterColor, radius, animationDuration);
+    }
+
+    const projectileCount = stats.projectileCount || 0;
+    if (projectileCount > 0) {
+      fireProjectileRing(world.projectileManager, caster, origin, projectileCount, stats.projectileSpeed || 6, stats.projectileDamage || 8);
+    }
+
+    this._applyInitialHit(caster, world, origin, stats);
+  }
+
+  /**
+   * Follow the caster and tick damage while the swing plays
+   * @param {number} dt - Delta time in seconds
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} world - Ability world
+   * @protected
+   */
+  onUpdate(dt, caster, world) {
+    const swing = this.swing;
+    if (!swing || !caster || !caster.mesh) {
+      return;
+    }
+
+    swing.timeLeft -= dt;
+    if (this.ring) {
+      followCaster(this.ring, caster.mesh.position);
+    }
+
+    if (swing.damagePerTick && swing.tickInterval && swing.radius) {
+      swing.tickTimer += dt;
+      if (swing.tickTimer >= swing.tickInterval) {
+        swing.tickTimer = 0;
+        this._applyDamageTick(caster, world, swing);
+      }
+    }
+
+    if (swing.timeLeft <= 0) {
+      this._finishSwing(caster, world);
+    }
+  }
+
+  /**
+   * Remove a running swing without poisoning
+   * @param {Object} world - Ability world
+   */
+  dispose(world) {
+    this._clearSwing(world);
+  }
+
+  /**
+   * Hit everyone in range with the initial damage and knock them back
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} world - Ability world
+   * @param {Object} origin - Swing center {x, y, z}
+   * @param {Object} stats - Melee stats
+   * @private
+   */
+  _applyInitialHit(caster, world, origin, stats) {
+    const initialDamage = stats.initialDamage;
+    if (!(initialDamage > 0)) {
+      return;
+    }
+
+    const radius = stats.range;
+    const radiusSq = radius * radius;
+    const horizontalVelocity = stats.horizontalVelocity || 8;
+    const verticalVelocity = stats.verticalVelocity || 2;
+    let hitSoundPlayed = false; // Only play the hit sound once per swing
+
+    for (const target of world.getTargets(caster)) {
+      const dx = target.mesh.position.x - origin.x;
+      const dz = target.mesh.position.z - origin.z;
+      const distanceSq = dx * dx + dz * dz;
+      if (distanceSq > radiusSq) {
+        continue;
+      }
+      // Don't hit through walls
+      if (!world.hasLineOfSight(origin, target.mesh.position, radius, 0.3).clear) {
+        continue;
+      }
+
+      if (!hitSoundPlayed) {
+        world.playSound(caster, 'playMeleeHit');
+        hitSoundPlayed = true;
+      }
+
+      const died = world.damageTarget(caster, target, initialDamage, 'melee');
+      if (died) {
+        continue;
+      }
+
+      if (distanceSq > 0.01) {
+        const distance = Math.sqrt(distanceSq);
+        const distanceMultiplier = 1 - distance / radius;
+        world.knockTarget(caster, target, {
+          velocityX: (dx / distance) * horizontalVelocity * distanceMultiplier,
+          velocityZ: (dz / distance) * horizontalVelocity * distanceMultiplier,
+          velocityY: verticalVelocity
+        }, 'melee');
+      }
+
+      // Track for damage ticks and poison
+      this.affected.set(target.key, target);
+    }
+  }
+
+  /**
+   * Damage everyone still in range (line of sight is only checked when a target enters)
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} world - Ability world
+   * @param {Object} swing - Running swing
+   * @private
+   */
+  _applyDamageTick(caster, world, swing) {
+    const position = caster.mesh.position;
+    const radiusSq = swing.radius * swing.radius;
+
+    for (const target of world.getTargets(caster)) {
+      const dx = target.mesh.position.x - position.x;
+      const dz = target.mesh.position.z - position.z;
+      if (dx * dx + dz * dz > radiusSq) {
+        this.affected.delete(target.key);
+        continue;
+      }
+
+      if (!this.affected.has(target.key)) {
+        if (!world.hasLineOfSight(position, target.mesh.position, swing.radius, 0.3).clear) {
+          continue;
+        }
+        this.affected.set(target.key, target);
+      }
+
+      if (world.damageTarget(caster, target, swing.damagePerTick, 'melee')) {
+        this.affected.delete(target.key);
+      }
+    }
+  }
+
+  /**
+   * End the swing and poison everyone it touched
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} world - Ability world
+   * @private
+   */
+  _finishSwing(caster, world) {
+    if (canCharacterInflict(this.characterName, 'poison')) {
+      this.affected.forEach(target => {
+        world.applyStatusEffect(caster, target, 'poison');
+      });
+    }
+    this._clearSwing(world);
+  }
+
+  /**
+   * Clear swing state and remove the ring
+   * @param {Object} world - Ability world
+   * @private
+   */
+  _clearSwing(world) {
+    this.swing = null;
+    this.affected.clear();
+    if (this.ring) {
+      removeGroundRing(world?.scene, this.ring);
+      this.ring = null;
+    }
+  }
+}
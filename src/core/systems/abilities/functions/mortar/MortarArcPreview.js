@@ -26,7 +26,7 @@ const ARC_TUBE_SEGMENTS = ARC_CONFIG.tubeSegments;
  * @param {number} targetX - Target X position
  * @param {number} targetY - Target Y position (ground height at target)
  * @param {number} targetZ - Target Z position
- * @param {string} characterName - Character name ('lucy' or 'herald')
+ * @param {string} characterName - Character name
  * @param {number} numPoints - Number of points to generate for the arc (default: 50)
  * @returns {Array<THREE.Vector3>} Array of points along the trajectory
  */
@@ -133,7 +133,7 @@ function calculateTrajectoryPoints(startX, startY, startZ, targetX, targetY, tar
  * @param {number} startZ - Starting Z position
  * @param {number} targetX - Target X position
  * @param {number} targetZ - Target Z position
- * @param {string} characterName - Character name ('lucy' or 'herald')
+ * @param {string} characterName - Character name
  * @param {Object} collisionManager - Collision manager for ground height checks
  * @returns {THREE.Mesh|null} Tube mesh representing the arc preview, or null if too few points
  */
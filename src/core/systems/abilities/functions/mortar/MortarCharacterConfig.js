@@ -5,8 +5,7 @@
  * This is an implementation helper that merges configs from the config/ folder.
  */
 
-import { LUCY_MORTAR_ATTACK_CONFIG } from '../../../../../config/abilities/characters/lucy/mortar/AttackConfig.js';
-import { HERALD_MORTAR_ATTACK_CONFIG } from '../../../../../config/abilities/characters/herald/mortar/AttackConfig.js';
+import { getCharacterManifest } from '../../../../../config/character/CharacterRegistry.js';
 import { DEFAULT_MORTAR_CONFIG } from '../../../../../config/abilities/base/MortarDefaultConfig.js';
 
 /**
@@ -16,9 +15,7 @@ import { DEFAULT_MORTAR_CONFIG } from '../../../../../config/abilities/base/Mort
  * @returns {Object} Merged configuration
  */
 export function getMortarCharacterConfig(characterName) {
-  const characterConfig = characterName === 'herald' 
-    ? HERALD_MORTAR_ATTACK_CONFIG 
-    : LUCY_MORTAR_ATTACK_CONFIG || {};
+  const characterConfig = getCharacterManifest(characterName).abilities.mortar || {};
   
   // Start with base config
   const baseConfig = DEFAULT_MORTAR_CONFIG;
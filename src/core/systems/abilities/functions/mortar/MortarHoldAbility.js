@@ -0,0 +1,330 @@
+/**
+ * MortarHoldAbility.js
+ *
+ * Mortar hold mode: the caster holds a glowing mortar spell above its head (RB toggles
+ * it, RT releases the mortar). The orb pulses when the mortar is ready; while the
+ * mortar is cooling down it shrinks, dims and shows a rotating ring.
+ * Holding is the caster's own aiming state, so it is not sent over the network.
+ */
+
+import * as THREE from 'https://unpkg.com/three@0.160.1/build/three.module.js';
+import { Ability } from '../ability/Ability.js';
+import { getMortarStats } from '../CharacterAbilityStats.js';
+import { getCharacterColorHex } from '../../../../../config/abilities/CharacterColors.js';
+import { getCharacterManifest } from '../../../../../config/character/CharacterRegistry.js';
+
+export class MortarHoldAbility extends Ability {
+  /**
+   * Create a mortar hold ability (loadout key 'mortar')
+   * @param {string} characterName - Character name
+   */
+  constructor(characterName) {
+    super('mortar', characterName);
+    this.networked = false;
+    this.holding = false;
+    this.visual = null; // Group {orb, glow light, cooldown ring}
+  }
+
+  /**
+   * Get mortar stats
+   * @returns {Object} Mortar stats
+   */
+  getStats() {
+    return getMortarStats(this.characterName);
+  }
+
+  /**
+   * Holding has no cooldown (releasing is gated by the mortar cooldown)
+   * @returns {number} Always 0
+   */
+  getCooldown() {
+    return 0;
+  }
+
+  /**
+   * Check whether the caster can start holding
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} world - Ability world
+   * @returns {boolean} True if not already holding
+   */
+  canActivate(caster, world) {
+    return !this.holding && super.canActivate(caster, world);
+  }
+
+  /**
+   * Check whether the spell is held
+   * @returns {boolean} True while holding
+   */
+  isHolding() {
+    return this.holding;
+  }
+
+  /**
+   * Start holding the spell
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} world - Ability world
+   * @protected
+   */
+  onActivate(caster, world) {
+    this.holding = true;
+    this._createVisual(caster, world);
+  }
+
+  /**
+   * Stop holding (spell dropped or released)
+   * @param {Object} world - Ability world
+   */
+  cancel(world) {
+    this.holding = false;
+    this._removeVisual(world);
+  }
+
+  /**
+   * Remove the held spell
+   * @param {Object} world - Ability world
+   */
+  dispose(world) {
+    this.cancel(world);
+  }
+
+  /**
+   * Keep the orb above the caster and animate it by mortar cooldown
+   * @param {number} dt - Delta time in seconds
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} world - Ability world
+   * @protected
+   */
+  onUpdate(dt, caster, world) {
+    if (!this.holding || !this.visual || !caster || !caster.mesh) {
+      return;
+    }
+
+    // Character switched while holding - recreate with the new color
+    const orb = this.visual.children[0];
+    if (orb.userData.characterColor !== getCharacterColorHex(this.characterName)) {
+      this._createVisual(caster, world);
+      return;
+    }
+
+    const position = caster.mesh.position;
+    this.visual.position.set(position.x, position.y + 0.5, position.z);
+
+    if (!world.projectileManager) {
+      return;
+    }
+    const cooldownInfo = world.projectileManager.getMortarCooldownInfo(caster.id, this.characterName);
+    const isOnCooldown = !cooldownInfo.canShoot;
+    this._updateOrbAnimation(dt, isOnCooldown, cooldownInfo.percentage);
+    this._updateCooldownRing(dt, isOnCooldown, cooldownInfo.percentage);
+  }
+
+  /**
+   * Create the held spell visual (replacing any existing one)
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} world - Ability world
+   * @private
+   */
+  _createVisual(caster, world) {
+    this._removeVisual(world);
+
+    const characterColor = getCharacterColorHex(this.characterName);
+    const effects = getCharacterManifest(this.characterName).effects;
+
+    // Create container group for visual effects
+    const visualGroup = new THREE.Group();
+
+    // Create main glowing orb/sphere effect with reflection and glow (like fireball/bolt)
+    const geometry = new THREE.SphereGeometry(0.3, 16, 16);
+    const material = new THREE.MeshStandardMaterial({
+      color: characterColor,
+      emissive: characterColor,
+      emissiveIntensity: effects.mortarHoldEmissive,
+      metalness: 0.7,
+      roughness: 0.2,
+      transparent: true,
+      opacity: 0.6
+    });
+
+    const orb = new THREE.Mesh(geometry, material);
+    orb.castShadow = true;
+
+    // Add glow effect with point light (like fireball/bolt)
+    const glowLight = new THREE.PointLight(characterColor, effects.mortarHoldLight.intensity, effects.mortarHoldLight.range);
+    glowLight.position.set(0, 0, 0); // Position relative to visualGroup
+
+    // Create cooldown ring indicator (torus ring around the sphere)
+    const ringGeometry = new THREE.TorusGeometry(0.4, 0.03, 8, 32);
+    const ringMaterial = new THREE.MeshBasicMaterial({
+      color: characterColor, // Use character color
+      transparent: true,
+      opacity: 0.8,
+      side: THREE.DoubleSide
+    });
+    const cooldownRing = new THREE.Mesh(ringGeometry, ringMaterial);
+    cooldownRing.rotation.x = Math.PI / 2; // Rotate to be horizontal
+    cooldownRing.visible = false; // Hidden by default when ready
+
+    // Add orb first (so it's children[0]), then light, then ring
+    visualGroup.add(orb);
+    visualGroup.add(glowLight);
+    visualGroup.add(cooldownRing);
+
+    const position = caster.mesh.position;
+    visualGroup.position.set(position.x, position.y + 0.5, position.z);
+
+    // Store animation data and references
+    orb.userData.pulseSpeed = 2.0; // Pulses per second when ready
+    orb.userData.pulseSpeedCooldown = 0.8; // Slower pulse when on cooldown
+    orb.userData.pulsePhase = 0;
+    orb.userData.baseScale = 1.0;
+    orb.userData.characterColor = characterColor;
+    orb.userData.cooldownRing = cooldownRing;
+    orb.userData.rotationPhase = 0; // For rotating ring animation
+    orb.userData.glowLight = glowLight; // Store light reference for updates
+    orb.userData.baseLightIntensity = effects.mortarHoldLight.intensity; // Store base light intensity
+
+    this.visual = visualGroup;
+    world.scene.add(visualGroup);
+  }
+
+  /**
+   * Remove the held spell visual
+   * @param {Object} world - Ability world
+   * @private
+   */
+  _removeVisual(world) {
+    if (!this.visual) {
+      return;
+    }
+    // Dispose of all children geometries and materials
+    this.visual.traverse((child) => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+    if (world?.scene) {
+      world.scene.remove(this.visual);
+    }
+    this.visual = null;
+  }
+
+  /**
+   * Update the orb animation based on cooldown status
+   * @param {number} dt - Delta time in seconds
+   * @param {boolean} isOnCooldown - Whether the mortar is on cooldown
+   * @param {number} cooldownPercentage - Cooldown remaining (0-1)
+   * @private
+   */
+  _updateOrbAnimation(dt, isOnCooldown, cooldownPercentage) {
+    const orb = this.visual.children[0];
+    const pulseData = orb.userData;
+    const glowLight = pulseData.glowLight;
+
+    if (isOnCooldown) {
+      // On cooldown: character color (darker/brighter), slower pulse, growing opacity
+      const characterColorBase = new THREE.Color(pulseData.characterColor);
+      const darkerCharacterColor = characterColorBase.clone().multiplyScalar(0.6); // Darker shade for pulsing
+
+      // Calculate cooldown progress (0 = just started, 1 = almost ready)
+      const progress = 1 - cooldownPercentage;
+
+      // Sphere grows from 0.3x scale to full baseScale (1.0x) when ready
+      const minScale = 0.3;
+      const maxScale = pulseData.baseScale;
+      const growthScale = minScale + (maxScale - minScale) * progress;
+
+      // Opacity grows from low to high as cooldown progresses
+      const minOpacity = 0.2;
+      const maxOpacity = 0.7;
+      const growthOpacity = minOpacity + (maxOpacity - minOpacity) * progress;
+
+      // Pulse between darker and brighter character color (smaller pulse during cooldown)
+      pulseData.pulsePhase += dt * pulseData.pulseSpeedCooldown * Math.PI * 2;
+      const pulseVariation = Math.sin(pulseData.pulsePhase) * 0.1; // Smaller pulse variation
+      const pulseScale = growthScale + pulseVariation;
+      orb.scale.set(pulseScale, pulseScale, pulseScale);
+
+      // Color transition between character color shades
+      const colorMix = (Math.sin(pulseData.pulsePhase) + 1) * 0.5;
+      const currentColor = new THREE.Color().lerpColors(
+        darkerCharacterColor,
+        characterColorBase,
+        colorMix
+      );
+      orb.material.color.copy(currentColor);
+      orb.material.emissive.copy(currentColor); // Update emissive for glow
+
+      // Update light color and intensity based on progress
+      if (glowLight) {
+        glowLight.color.copy(currentColor);
+        const lightIntensity = pulseData.baseLightIntensity * 0.3 * progress; // Grow light intensity with progress
+        glowLight.intensity = lightIntensity + Math.sin(pulseData.pulsePhase) * lightIntensity * 0.2;
+      }
+
+      // Base opacity grows with progress, with small pulsing variation
+      const pulseOpacityVariation = Math.sin(pulseData.pulsePhase) * 0.1;
+      orb.material.opacity = growthOpacity + pulseOpacityVariation;
+    } else {
+      // Ready: bright character color, smooth pulsing at full size
+      pulseData.pulsePhase += dt * pulseData.pulseSpeed * Math.PI * 2;
+      const pulseScale = pulseData.baseScale + Math.sin(pulseData.pulsePhase) * 0.2;
+      orb.scale.set(pulseScale, pulseScale, pulseScale);
+
+      // Bright character color with emissive glow
+      orb.material.color.setHex(pulseData.characterColor);
+      orb.material.emissive.setHex(pulseData.characterColor); // Update emissive for glow
+      orb.material.opacity = 0.6 + Math.sin(pulseData.pulsePhase) * 0.2; // Smooth pulsing opacity
+
+      // Update light color and intensity (pulsing)
+      if (glowLight) {
+        glowLight.color.setHex(pulseData.characterColor);
+        const pulseLightIntensity = pulseData.baseLightIntensity + Math.sin(pulseData.pulsePhase) * pulseData.baseLightIntensity * 0.3;
+        glowLight.intensity = pulseLightIntensity;
+      }
+    }
+  }
+
+  /**
+   * Update the cooldown ring indicator
+   * @param {number} dt - Delta time in seconds
+   * @param {boolean} isOnCooldown - Whether the mortar is on cooldown
+   * @param {number} cooldownPercentage - Cooldown remaining (0-1)
+   * @private
+   */
+  _updateCooldownRing(dt, isOnCooldown, cooldownPercentage) {
+    const orb = this.visual.children[0];
+    const cooldownRing = orb.userData.cooldownRing;
+    if (!cooldownRing) {
+      return;
+    }
+
+    if (!isOnCooldown) {
+      // Hide ring when ready
+      cooldownRing.visible = false;
+      return;
+    }
+
+    // Show ring and rotate it slowly
+    cooldownRing.visible = true;
+    orb.userData.rotationPhase += dt * 2.0; // Rotations per second
+    cooldownRing.rotation.z = orb.userData.rotationPhase;
+
+    // Lerp from darker to brighter character color as the cooldown progresses
+    const progress = 1 - cooldownPercentage; // Invert so 0 = just started, 1 = almost ready
+    const characterColor = orb.userData.characterColor;
+    const darkerCharacterColor = new THREE.Color(characterColor).multiplyScalar(0.6);
+    const brighterCharacterColor = new THREE.Color(characterColor).multiplyScalar(1.2);
+    const ringColor = new THREE.Color().lerpColors(
+      darkerCharacterColor,
+      brighterCharacterColor,
+      progress
+    );
+    cooldownRing.material.color.copy(ringColor);
+
+    // Pulse ring opacity based on progress
+    cooldownRing.material.opacity = 0.6 + Math.sin(orb.userData.rotationPhase * 4) * 0.2;
+
+    // Scale ring slightly based on progress (grows as cooldown progresses)
+    const scale = 0.9 + progress * 0.1;
+    cooldownRing.scale.set(scale, scale, scale);
+  }
+}
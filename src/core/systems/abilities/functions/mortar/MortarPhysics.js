@@ -0,0 +1,282 @@
+/**
+ * MortarPhysics.js
+ * 
+ * Flight, impact and hit checks for mortar projectiles.
+ * Extracted from BaseMortar.js and index.js without three.js: everything here works
+ * on any {position, userData} object, so the server's projectile simulation runs the
+ * same physics as the client.
+ */
+
+import { MORTAR_ATTACK_CONFIG } from '../../../../../config/abilities/base/MortarAttackConfig.js';
+import { MORTAR_GRAVITY, MORTAR_LIFETIME, EXPLOSION_RADIUS, DIRECT_HIT_RADIUS } from '../../../../../config/abilities/base/MortarDefaultConfig.js';
+
+/**
+ * Calculate mortar trajectory
+ * @param {Object} startPos - Starting position {x, y, z}
+ * @param {Object} targetPos - Target position {x, y, z}
+ * @param {number} arcHeight - Maximum arc height
+ * @returns {Object|null} { launchVelocity: {x, y, z}, horizontalDistance, totalTime }, or null if the target is too close
+ */
+export function calculateMortarTrajectory(startPos, targetPos, arcHeight) {
+  const dx = targetPos.x - startPos.x;
+  const dz = targetPos.z - startPos.z;
+  const horizontalDistance = Math.sqrt(dx * dx + dz * dz);
+  
+  if (horizontalDistance < 0.1) return null;
+  
+  // Calculate trajectory physics to hit exact target with specified arc height
+  const gravity = Math.abs(MORTAR_GRAVITY);
+  const timeToPeak = Math.sqrt(2 * arcHeight / gravity);
+  const totalTime = timeToPeak * 2; // Time to go up and down
+  const horizontalSpeed = horizontalDistance / totalTime;
+  const verticalSpeed = gravity * timeToPeak; // Initial vertical velocity
+  
+  const launchVelocity = {
+    x: (dx / horizontalDistance) * horizontalSpeed,
+    y: verticalSpeed,
+    z: (dz / horizontalDistance) * horizontalSpeed
+  };
+  
+  return {
+    launchVelocity,
+    horizontalDistance,
+    totalTime
+  };
+}
+
+/**
+ * Create mortar userData object
+ * @param {string} playerId - Player ID
+ * @param {string} characterName - Character name
+ * @param {number} characterColor - Character color
+ * @param {Object} stats - Mortar stats
+ * @param {Object} launchVelocity - Launch velocity {x, y, z}
+ * @param {Object} targetPos - Target position {x, z}
+ * @param {THREE.PointLight|null} trailLight - Trail light object
+ * @returns {Object} UserData object
+ */
+export function createMortarUserData(
+  playerId,
+  characterName,
+  characterColor,
+  stats,
+  launchVelocity,
+  targetPos,
+  trailLight
+) {
+  return {
+    type: 'mortar',
+    projectileId: `mortar_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    playerId: playerId,
+    characterName: characterName,
+    characterColor: characterColor,
+    velocityX: launchVelocity.x,
+    velocityY: launchVelocity.y,
+    velocityZ: launchVelocity.z,
+    lifetime: 0,
+    maxLifetime: MORTAR_LIFETIME,
+    trailLight: trailLight,
+    damage: stats.damage,
+    areaDamage: stats.areaDamage,
+    size: stats.size,
+    hasExploded: false,
+    hitPlayer: false,
+    targetX: targetPos.x,
+    targetZ: targetPos.z,
+    splashRadius: stats.splashRadius,
+    fireDuration: stats.fireDuration
+  };
+}
+
+/**
+ * Advance a mortar along its arc and check for ground impact
+ * Moves the mortar unless it landed or expired.
+ * @param {THREE.Mesh|Object} mortar - Mortar mesh (or any {position, userData})
+ * @param {number} dt - Delta time in seconds
+ * @param {Object} collisionManager - Collision manager for ground height checks (ground is y = 0 without one)
+ * @returns {Object|null} {shouldRemove} when expired, {shouldRemove, impact: {x, y, z, mortarData}} when
+ *   landed, null while still in flight
+ */
+export function stepMortarFlight(mortar, dt, collisionManager) {
+  // Update lifetime
+  mortar.userData.lifetime += dt;
+  
+  // Remove if lifetime exceeded
+  if (mortar.userData.lifetime >= mortar.userData.maxLifetime) {
+    return { shouldRemove: true };
+  }
+  
+  // Update velocity (apply gravity)
+  mortar.userData.velocityY += MORTAR_GRAVITY * dt;
+  
+  // Calculate new position
+  const newX = mortar.position.x + mortar.userData.velocityX * dt;
+  const newY = mortar.position.y + mortar.userData.velocityY * dt;
+  const newZ = mortar.position.z + mortar.userData.velocityZ * dt;
+  
+  // Calculate the bottom of the mortar sphere at new position
+  const mortarBottom = newY - mortar.userData.size;
+  
+  // Get ground height at the mortar's NEW position (to prevent falling through map)
+  const currentGroundHeight = collisionManager 
+    ? collisionManager.getGroundHeight(newX, newZ, mortar.userData.size)
+    : 0;
+  
+  // Get target position (where user clicked)
+  const targetX = mortar.userData.targetX;
+  const targetZ = mortar.userData.targetZ;
+  
+  // Get ground height at TARGET position (where splash should appear)
+  const targetGroundHeight = collisionManager 
+    ? collisionManager.getGroundHeight(targetX, targetZ, mortar.userData.size)
+    : 0;
+  
+  // Check if mortar has hit the ground at target position
+  const distanceToTarget = Math.sqrt(
+    (newX - targetX) ** 2 + 
+    (newZ - targetZ) ** 2
+  );
+  const isMovingDownward = mortar.userData.velocityY < 0;
+  const isNearTarget = distanceToTarget < MORTAR_ATTACK_CONFIG.physics.nearTargetDistance;
+  
+  // First, check if mortar hits ground at CURRENT position (prevents falling through map)
+  // This is critical when launched from high in the sky (e.g., while levitating)
+  if (mortarBottom <= currentGroundHeight && isMovingDownward) {
+    // Hit ground at current position - return impact data for splash creation
+    // Use target position if we're near it, otherwise use current position
+    const impactX = isNearTarget ? targetX : newX;
+    const impactZ = isNearTarget ? targetZ : newZ;
+    const impactY = isNearTarget ? targetGroundHeight : currentGroundHeight;
+    
+    return {
+      shouldRemove: true,
+      impact: {
+        x: impactX,
+        y: impactY,
+        z: impactZ,
+        mortarData: mortar.userData
+      }
+    };
+  }
+  
+  // Also check if mortar has hit the ground at target position (for precision targeting)
+  // This ensures splash happens at target location when close to target
+  if (mortarBottom <= targetGroundHeight && isMovingDownward && isNearTarget) {
+    // Hit ground at target - return impact data for splash creation
+    return {
+      shouldRemove: true,
+      impact: {
+        x: targetX,  // Always use target position, not current position
+        y: targetGroundHeight,
+        z: targetZ,  // Always use target position, not current position
+        mortarData: mortar.userData
+      }
+    };
+  }
+  
+  // Update position
+  mortar.position.x = newX;
+  mortar.position.y = newY;
+  mortar.position.z = newZ;
+  
+  return null;
+}
+
+/**
+ * Check if mortar collides with a player (mid-air explosion)
+ * @param {THREE.Mesh|Object} mortar - Mortar mesh (or any {position, userData})
+ * @param {THREE.Vector3|Object} playerPos - Player position
+ * @param {string} playerId - Player ID to check against
+ * @param {Object} collisionManager - Collision manager for ground height checks (optional)
+ * @returns {Object} Collision result with hit, damage, and mortar info
+ */
+export function checkMortarCollision(mortar, playerPos, playerId, collisionManager = null) {
+  // Don't hit yourself or if already exploded/hit
+  if (mortar.userData.playerId === playerId || mortar.userData.hasExploded) {
+    return { hit: false };
+  }
+  
+  // Check if mortar is near player (explosion radius)
+  const dx = playerPos.x - mortar.position.x;
+  const dy = playerPos.y - mortar.position.y;
+  const dz = playerPos.z - mortar.position.z;
+  const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+  
+  if (distance < EXPLOSION_RADIUS) {
+    // Mark as exploded to prevent multiple hits
+    mortar.userData.hasExploded = true;
+    // Mark as hit player so mortar continues to target for splash
+    mortar.userData.hitPlayer = true;
+    
+    // Don't create splash here - let mortar continue to target position
+    // The splash will be created at target when mortar hits ground
+    const damage = mortar.userData.damage;
+    return { hit: true, damage: damage, projectile: mortar, isMortar: true };
+  }
+  
+  return { hit: false };
+}
+
+/**
+ * Check if player is hit by mortar projectile (direct hit damage)
+ * Only checks when mortar is close to impact (actually traveling)
+ * @param {THREE.Mesh|Object} mortar - Mortar mesh (or any {position, userData})
+ * @param {THREE.Vector3|Object} playerPos - Player position
+ * @param {string} playerId - Player ID to check against
+ * @param {Object} collisionManager - Collision manager for ground height checks
+ * @returns {Object} Collision result with hit, damage, and mortar info
+ */
+export function checkMortarGroundCollision(mortar, playerPos, playerId, collisionManager = null) {
+  // Skip if already exploded or same player
+  if (mortar.userData.hasExploded || mortar.userData.playerId === playerId) {
+    return { hit: false };
+  }
+  
+  // Only check for direct hit when mortar is actually close to impact
+  // Get ground height at mortar's current position
+  const currentGroundHeight = collisionManager 
+    ? collisionManager.getGroundHeight(mortar.position.x, mortar.position.z, mortar.userData.size)
+    : 0;
+  
+  // Calculate the bottom of the mortar sphere
+  const mortarBottom = mortar.position.y - mortar.userData.size;
+  
+  // Only check for direct hit when mortar is:
+  // 1. Close to ground AND moving downward
+  // 2. This ensures we only check when the ball is actually about to hit
+  const isCloseToGround = mortarBottom <= currentGroundHeight + MORTAR_ATTACK_CONFIG.physics.closeToGroundDistance;
+  const isMovingDownward = mortar.userData.velocityY < 0;
+  
+  if (!isCloseToGround || !isMovingDownward) {
+    return { hit: false };
+  }
+  
+  // Check if player is within direct hit radius of the mortar's ACTUAL position (not target)
+  const dx = playerPos.x - mortar.position.x;
+  const dy = playerPos.y - mortar.position.y;
+  const dz = playerPos.z - mortar.position.z;
+  const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+  
+  // Use mortar size + a small buffer for direct hit detection
+  const hitRadius = mortar.userData.size + DIRECT_HIT_RADIUS;
+  
+  if (distance < hitRadius) {
+    // Direct hit - full damage (ball actually hit the player)
+    // Mark as hit but don't create splash here - let it continue to target for splash
+    const damage = mortar.userData.damage;
+    mortar.userData.hitPlayer = true; // Track that it hit a player
+    mortar.userData.hasExploded = true; // Mark as exploded to prevent multiple hits
+    
+    // Return hit but don't create splash yet - mortar will continue to target
+    return { 
+      hit: true, 
+      damage: damage, 
+      projectile: mortar, 
+      isMortar: true, 
+      isDirectHit: true
+    };
+  }
+  
+  return { hit: false };
+}
+
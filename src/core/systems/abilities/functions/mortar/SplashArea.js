@@ -7,13 +7,14 @@
 
 import * as THREE from 'https://unpkg.com/three@0.160.1/build/three.module.js';
 import { getCharacterColor } from '../CharacterAbilityStats.js';
+import { getCharacterManifest } from '../../../../../config/character/CharacterRegistry.js';
 import { SPLASH_AREA_CONFIG } from '../../../../../config/abilities/base/MortarAttackConfig.js';
 import { createCircleGeometry, createEmissiveMaterial } from '../utils/GeometryUtils.js';
 import { createTrailLight } from '../utils/LightUtils.js';
 import { removeFromScene } from '../utils/CleanupUtils.js';
 import { distance2D } from '../utils/VectorUtils.js';
 import { createSplashParticles, updateSplashParticles } from './SplashAreaParticles.js';
-import { updateSplashAnimation } from './SplashAreaAnimation.js';
+import { updateSplashAnimation, getSplashTiming } from './SplashAreaAnimation.js';
 
 /**
  * Create a splash area at impact point
@@ -26,12 +27,9 @@ import { updateSplashAnimation } from './SplashAreaAnimation.js';
  */
 export function createSplashArea(scene, x, y, z, mortarData) {
   const splashRadius = mortarData.splashRadius || 1.0;
-  const fireDuration = mortarData.fireDuration || 1.5;
-  const shrinkDelay = mortarData.mortarShrinkDelay || 0.5;
+  const timing = getSplashTiming(mortarData);
   const areaDamage = mortarData.areaDamage || 10;
-  const characterColor = mortarData.characterName === 'herald' 
-    ? getCharacterColor('herald') 
-    : getCharacterColor('lucy');
+  const characterColor = getCharacterColor(mortarData.characterName);
   
   // Create splash effect container
   const splashContainer = new THREE.Object3D();
@@ -61,13 +59,9 @@ export function createSplashArea(scene, x, y, z, mortarData) {
   splashContainer.add(particles);
   
   // Add point light for splash glow - positioned at exact impact point
-  const isHeraldSplash = mortarData.characterName === 'herald';
-  const splashLightIntensity = isHeraldSplash 
-    ? SPLASH_AREA_CONFIG.light.heraldIntensity 
-    : SPLASH_AREA_CONFIG.light.lucyIntensity;
-  const splashLightRange = isHeraldSplash 
-    ? splashRadius * SPLASH_AREA_CONFIG.light.heraldRangeMultiplier 
-    : splashRadius * SPLASH_AREA_CONFIG.light.lucyRangeMultiplier;
+  const lightProfile = getCharacterManifest(mortarData.characterName).effects.splashLight;
+  const splashLightIntensity = SPLASH_AREA_CONFIG.light[`${lightProfile}Intensity`];
+  const splashLightRange = splashRadius * SPLASH_AREA_CONFIG.light[`${lightProfile}RangeMultiplier`];
   const splashLightPosition = new THREE.Vector3(x, y + SPLASH_AREA_CONFIG.visual.lightHeightOffset, z);
   const splashLight = createTrailLight({
     color: characterColor,
@@ -80,14 +74,17 @@ export function createSplashArea(scene, x, y, z, mortarData) {
   // Store splash area data with initial radius for shrinking
   splashContainer.userData = {
     type: 'splashArea',
+    playerId: mortarData.playerId, // Shooter, for damage attribution
+    characterName: mortarData.characterName,
+    projectileId: mortarData.projectileId,
     damagePerTick: areaDamage,
     initialRadius: splashRadius,
     radius: splashRadius, // Current radius (will shrink)
     lifetime: 0,
-    duration: fireDuration,
-    shrinkDelay: shrinkDelay,
-    shrinkDuration: fireDuration - shrinkDelay,
-    expandDuration: SPLASH_AREA_CONFIG.timing.expandDuration,
+    duration: timing.duration,
+    shrinkDelay: timing.shrinkDelay,
+    shrinkDuration: timing.shrinkDuration,
+    expandDuration: timing.expandDuration,
     position: new THREE.Vector3(x, y, z), // Exact impact position
     splashLight: splashLight,
     splashLightIntensity: splashLightIntensity,
@@ -34,6 +34,51 @@ export function updateSplashAnimation(splashArea, dt) {
   else {
     updateShrinkingPhase(splashArea, splashBase, shrinkDelay, expandDuration, shrinkDuration);
   }
+  
+  // Damage radius follows the phases
+  splashArea.userData.radius = splashArea.userData.initialRadius * getSplashRadiusFactor(splashArea.userData.lifetime, {
+    expandDuration,
+    shrinkDelay,
+    shrinkDuration
+  });
+}
+
+/**
+ * Get the timing of a splash area from the mortar that made it
+ * @param {Object} mortarData - Mortar userData containing stats
+ * @returns {Object} Timing {duration, expandDuration, shrinkDelay, shrinkDuration} in seconds
+ */
+export function getSplashTiming(mortarData) {
+  const duration = mortarData.fireDuration || 1.5;
+  const shrinkDelay = mortarData.mortarShrinkDelay || 0.5;
+  return {
+    duration,
+    expandDuration: SPLASH_AREA_CONFIG.timing.expandDuration,
+    shrinkDelay,
+    shrinkDuration: duration - shrinkDelay
+  };
+}
+
+/**
+ * Get a splash area's damage radius as a fraction of its full radius
+ * Grows during expansion, holds, then shrinks to nothing. Also used by the server simulation.
+ * @param {number} lifetime - Seconds since impact
+ * @param {Object} timing - Timing {expandDuration, shrinkDelay, shrinkDuration}
+ * @returns {number} Radius factor (0-1)
+ */
+export function getSplashRadiusFactor(lifetime, timing) {
+  const expandDuration = timing.expandDuration || 0.2;
+  const shrinkDelay = timing.shrinkDelay || 0.5;
+  const shrinkDuration = timing.shrinkDuration || 1.0;
+  
+  if (lifetime < expandDuration) {
+    return Math.min(lifetime / expandDuration, 1.0);
+  }
+  if (lifetime < shrinkDelay + expandDuration) {
+    return 1.0;
+  }
+  const timeSinceShrinkStart = lifetime - (shrinkDelay + expandDuration);
+  return 1.0 - Math.min(timeSinceShrinkStart / shrinkDuration, 1.0);
 }
 
 /**
@@ -54,9 +99,6 @@ function updateExpansionPhase(splashArea, splashBase, expandDuration) {
   
   // Light intensity increases during expansion
   updateLightIntensity(splashArea, expandFactor);
-  
-  // Damage radius expands
-  splashArea.userData.radius = splashArea.userData.initialRadius * expandFactor;
 }
 
 /**
@@ -69,7 +111,6 @@ function updateHoldPhase(splashArea, splashBase) {
   splashBase.scale.set(1.0, 1.0, 1.0);
   splashBase.material.opacity = 1.0;
   updateLightIntensity(splashArea, 1.0);
-  splashArea.userData.radius = splashArea.userData.initialRadius;
 }
 
 /**
@@ -91,9 +132,6 @@ function updateShrinkingPhase(splashArea, splashBase, shrinkDelay, expandDuratio
   // Fade opacity while shrinking
   splashBase.material.opacity = shrinkFactor;
   
-  // Update damage radius to shrink as well
-  splashArea.userData.radius = splashArea.userData.initialRadius * shrinkFactor;
-  
   // Fade out light
   updateLightIntensity(splashArea, shrinkFactor);
 }
@@ -3,6 +3,7 @@
  * 
  * Handles creation, update, and removal of mortar projectiles.
  * Mortars are arc-projectiles that explode on impact creating splash areas.
+ * Flight and hit checks live in MortarPhysics.js (shared with the server).
  */
 
 import * as THREE from 'https://unpkg.com/three@0.160.1/build/three.module.js';
@@ -11,15 +12,12 @@ import { calculateMortarParticles } from '../particles/ParticleCalculation.js';
 import { MORTAR_ATTACK_CONFIG } from '../../../../../config/abilities/base/MortarAttackConfig.js';
 import { getProjectileParticleConfig } from '../particles/ParticleConfigHelper.js';
 import {
-  MORTAR_GRAVITY,
-  MORTAR_LIFETIME,
-  EXPLOSION_RADIUS,
-  DIRECT_HIT_RADIUS,
   calculateMortarTrajectory,
   createMortarMesh,
   createMortarTrailLight,
   createMortarUserData
 } from './BaseMortar.js';
+import { stepMortarFlight } from './MortarPhysics.js';
 import { getMortarCharacterConfig } from './MortarCharacterConfig.js';
 import { updateTrailLightPosition } from '../utils/LightUtils.js';
 import { removeFromScene } from '../utils/CleanupUtils.js';
@@ -33,7 +31,7 @@ import { removeFromScene } from '../utils/CleanupUtils.js';
  * @param {number} targetX - Target X position
  * @param {number} targetZ - Target Z position
  * @param {string} playerId - Player ID ('local' or player identifier)
- * @param {string} characterName - Character name ('lucy' or 'herald')
+ * @param {string} characterName - Character name
  * @param {Object} particleManager - Optional particle manager for projectile effects
  * @returns {THREE.Mesh|null} Created mortar mesh or null if on cooldown
  */
@@ -97,85 +95,12 @@ export function createMortar(scene, startX, startY, startZ, targetX, targetZ, pl
  * @returns {Object|null} Impact data if hit ground, null otherwise
  */
 export function updateMortar(mortar, dt, collisionManager) {
-  // Update lifetime
-  mortar.userData.lifetime += dt;
-  
-  // Remove if lifetime exceeded
-  if (mortar.userData.lifetime >= mortar.userData.maxLifetime) {
-    return { shouldRemove: true };
+  // Move along the arc (shared with the server simulation)
+  const result = stepMortarFlight(mortar, dt, collisionManager);
+  if (result) {
+    return result;
   }
   
-  // Update velocity (apply gravity)
-  mortar.userData.velocityY += MORTAR_GRAVITY * dt;
-  
-  // Calculate new position
-  const newX = mortar.position.x + mortar.userData.velocityX * dt;
-  const newY = mortar.position.y + mortar.userData.velocityY * dt;
-  const newZ = mortar.position.z + mortar.userData.velocityZ * dt;
-  
-  // Calculate the bottom of the mortar sphere at new position
-  const mortarBottom = newY - mortar.userData.size;
-  
-  // Get ground height at the mortar's NEW position (to prevent falling through map)
-  const currentGroundHeight = collisionManager 
-    ? collisionManager.getGroundHeight(newX, newZ, mortar.userData.size)
-    : 0;
-  
-  // Get target position (where user clicked)
-  const targetX = mortar.userData.targetX;
-  const targetZ = mortar.userData.targetZ;
-  
-  // Get ground height at TARGET position (where splash should appear)
-  const targetGroundHeight = collisionManager 
-    ? collisionManager.getGroundHeight(targetX, targetZ, mortar.userData.size)
-    : 0;
-  
-  // Check if mortar has hit the ground at target position
-  const distanceToTarget = Math.sqrt(
-    (newX - targetX) ** 2 + 
-    (newZ - targetZ) ** 2
-  );
-  const isMovingDownward = mortar.userData.velocityY < 0;
-  const isNearTarget = distanceToTarget < MORTAR_ATTACK_CONFIG.physics.nearTargetDistance;
-  
-  // First, check if mortar hits ground at CURRENT position (prevents falling through map)
-  // This is critical when launched from high in the sky (e.g., while levitating)
-  if (mortarBottom <= currentGroundHeight && isMovingDownward) {
-    // Hit ground at current position - return impact data for splash creation
-    // Use target position if we're near it, otherwise use current position
-    const impactX = isNearTarget ? targetX : newX;
-    const impactZ = isNearTarget ? targetZ : newZ;
-    const impactY = isNearTarget ? targetGroundHeight : currentGroundHeight;
-    
-    return {
-      shouldRemove: true,
-      impact: {
-        x: impactX,
-        y: impactY,
-        z: impactZ,
-        mortarData: mortar.userData
-      }
-    };
-  }
-  
-  // Also check if mortar has hit the ground at target position (for precision targeting)
-  // This ensures splash happens at target location when close to target
-  if (mortarBottom <= targetGroundHeight && isMovingDownward && isNearTarget) {
-    // Hit ground at target - return impact data for splash creation
-    return {
-      shouldRemove: true,
-      impact: {
-        x: targetX,  // Always use target position, not current position
-        y: targetGroundHeight,
-        z: targetZ,  // Always use target position, not current position
-        mortarData: mortar.userData
-      }
-    };
-  }
-  
-  // Update position
-  mortar.position.set(newX, newY, newZ);
-  
   // Update trail light position
   if (mortar.userData.trailLight) {
     updateTrailLightPosition(mortar.userData.trailLight, mortar.position);
@@ -274,101 +199,4 @@ export function removeMortar(mortar, scene, particleManager = null) {
   removeFromScene(mortar, scene);
 }
 
-/**
- * Check if mortar collides with a player (mid-air explosion)
- * @param {THREE.Mesh} mortar - Mortar mesh
- * @param {THREE.Vector3} playerPos - Player position
- * @param {string} playerId - Player ID to check against
- * @param {Object} collisionManager - Collision manager for ground height checks (optional)
- * @returns {Object} Collision result with hit, damage, and mortar info
- */
-export function checkMortarCollision(mortar, playerPos, playerId, collisionManager = null) {
-  // Don't hit yourself or if already exploded/hit
-  if (mortar.userData.playerId === playerId || mortar.userData.hasExploded) {
-    return { hit: false };
-  }
-  
-  // Check if mortar is near player (explosion radius)
-  const dx = playerPos.x - mortar.position.x;
-  const dy = playerPos.y - mortar.position.y;
-  const dz = playerPos.z - mortar.position.z;
-  const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
-  
-  if (distance < EXPLOSION_RADIUS) {
-    // Mark as exploded to prevent multiple hits
-    mortar.userData.hasExploded = true;
-    // Mark as hit player so mortar continues to target for splash
-    mortar.userData.hitPlayer = true;
-    
-    // Don't create splash here - let mortar continue to target position
-    // The splash will be created at target when mortar hits ground
-    const damage = mortar.userData.damage;
-    return { hit: true, damage: damage, projectile: mortar, isMortar: true };
-  }
-  
-  return { hit: false };
-}
-
-/**
- * Check if player is hit by mortar projectile (direct hit damage)
- * Only checks when mortar is close to impact (actually traveling)
- * @param {THREE.Mesh} mortar - Mortar mesh
- * @param {THREE.Vector3} playerPos - Player position
- * @param {string} playerId - Player ID to check against
- * @param {Object} collisionManager - Collision manager for ground height checks
- * @returns {Object} Collision result with hit, damage, and mortar info
- */
-export function checkMortarGroundCollision(mortar, playerPos, playerId, collisionManager = null) {
-  // Skip if already exploded or same player
-  if (mortar.userData.hasExploded || mortar.userData.playerId === playerId) {
-    return { hit: false };
-  }
-  
-  // Only check for direct hit when mortar is actually close to impact
-  // Get ground height at mortar's current position
-  const currentGroundHeight = collisionManager 
-    ? collisionManager.getGroundHeight(mortar.position.x, mortar.position.z, mortar.userData.size)
-    : 0;
-  
-  // Calculate the bottom of the mortar sphere
-  const mortarBottom = mortar.position.y - mortar.userData.size;
-  
-  // Only check for direct hit when mortar is:
-  // 1. Close to ground AND moving downward
-  // 2. This ensures we only check when the ball is actually about to hit
-  const isCloseToGround = mortarBottom <= currentGroundHeight + MORTAR_ATTACK_CONFIG.physics.closeToGroundDistance;
-  const isMovingDownward = mortar.userData.velocityY < 0;
-  
-  if (!isCloseToGround || !isMovingDownward) {
-    return { hit: false };
-  }
-  
-  // Check if player is within direct hit radius of the mortar's ACTUAL position (not target)
-  const dx = playerPos.x - mortar.position.x;
-  const dy = playerPos.y - mortar.position.y;
-  const dz = playerPos.z - mortar.position.z;
-  const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
-  
-  // Use mortar size + a small buffer for direct hit detection
-  const hitRadius = mortar.userData.size + DIRECT_HIT_RADIUS;
-  
-  if (distance < hitRadius) {
-    // Direct hit - full damage (ball actually hit the player)
-    // Mark as hit but don't create splash here - let it continue to target for splash
-    const damage = mortar.userData.damage;
-    mortar.userData.hitPlayer = true; // Track that it hit a player
-    mortar.userData.hasExploded = true; // Mark as exploded to prevent multiple hits
-    
-    // Return hit but don't create splash yet - mortar will continue to target
-    return { 
-      hit: true, 
-      damage: damage, 
-      projectile: mortar, 
-      isMortar: true, 
-      isDirectHit: true
-    };
-  }
-  
-  return { hit: false };
-}
-
+export { checkMortarCollision, checkMortarGroundCollision } from './MortarPhysics.js';
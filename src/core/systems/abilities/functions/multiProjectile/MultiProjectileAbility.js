@@ -0,0 +1,94 @@
+/**
+ * MultiProjectileAbility.js
+ *
+ * Lucy's multi-projectile: a ring of bolts fired in every direction at character height.
+ */
+
+import * as THREE from 'https://unpkg.com/three@0.160.1/build/three.module.js';
+import { Ability, getActivationOrigin } from '../ability/Ability.js';
+import { createGroundRing, followCaster, removeGroundRing } from '../ability/AbilityVisuals.js';
+import { fireProjectileRing } from '../ability/ProjectileRing.js';
+import { getMultiProjectileStats } from '../CharacterAbilityStats.js';
+import { getCharacterColorHex } from '../../../../../config/abilities/CharacterColors.js';
+
+export class MultiProjectileAbility extends Ability {
+  /**
+   * Create a multi-projectile ability
+   * @param {string} characterName - Character name
+   */
+  constructor(characterName) {
+    super('multiProjectile', characterName);
+    this.ring = null; // Ring following the caster while it fades
+    this.animationTime = 0;
+    this.animationDuration = 0;
+  }
+
+  /**
+   * Get multi-projectile stats
+   * @returns {Object|null} Multi-projectile stats or null if the character has none
+   */
+  getStats() {
+    return getMultiProjectileStats(this.characterName);
+  }
+
+  /**
+   * Fire the ring of bolts
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} world - Ability world
+   * @param {Object} stats - Multi-projectile stats
+   * @param {Object} params - Activation parameters
+   * @protected
+   */
+  onActivate(caster, world, stats, params) {
+    world.vibrate(caster, 'heavy');
+    world.playSound(caster, 'playMeleeSwing');
+
+    const origin = getActivationOrigin(caster, params);
+    const spreadRadius = stats.spreadRadius;
+    const characterColor = getCharacterColorHex(this.characterName);
+
+    removeGroundRing(world.scene, this.ring);
+    this.ring = createGroundRing(world.scene, caster.mesh.position, spreadRadius * 0.8, spreadRadius, characterColor, 0.8);
+    this.animationTime = stats.animationDuration;
+    this.animationDuration = stats.animationDuration;
+
+    if (world.particleManager) {
+      const position = new THREE.Vector3(origin.x, origin.y, origin.z);
+      world.particleManager.spawnSwordSwingParticles(position, characterColor, spreadRadius, stats.animationDuration);
+    }
+
+    fireProjectileRing(world.projectileManager, caster, origin, stats.projectileCount || 8, stats.projectileSpeed, stats.damage);
+  }
+
+  /**
+   * Fade the ring out
+   * @param {number} dt - Delta time in seconds
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} world - Ability world
+   * @protected
+   */
+  onUpdate(dt, caster, world) {
+    if (!this.ring || !caster || !caster.mesh) {
+      return;
+    }
+
+    this.animationTime -= dt;
+    followCaster(this.ring, caster.mesh.position);
+    const progress = 1 - (this.animationTime / this.animationDuration);
+    this.ring.material.opacity = 0.8 * (1 - progress);
+
+    if (this.animationTime <= 0) {
+      this.dispose(world);
+    }
+  }
+
+  /**
+   * Remove the ring
+   * @param {Object} world - Ability world
+   */
+  dispose(world) {
+    removeGroundRing(world?.scene, this.ring);
+    this.ring = null;
+    this.animationTime = 0;
+  }
+}
@@ -7,14 +7,11 @@
 
 import { BOLT_PARTICLE_BASE } from '../../../../../config/abilities/base/BoltParticleConfig.js';
 import { MORTAR_PARTICLE_BASE } from '../../../../../config/abilities/base/MortarParticleConfig.js';
-import { LUCY_BOLT_PARTICLE_CONFIG } from '../../../../../config/abilities/characters/lucy/bolt/ParticleConfig.js';
-import { LUCY_MORTAR_PARTICLE_CONFIG } from '../../../../../config/abilities/characters/lucy/mortar/ParticleConfig.js';
-import { HERALD_BOLT_PARTICLE_CONFIG } from '../../../../../config/abilities/characters/herald/bolt/ParticleConfig.js';
-import { HERALD_MORTAR_PARTICLE_CONFIG } from '../../../../../config/abilities/characters/herald/mortar/ParticleConfig.js';
+import { getCharacterManifest } from '../../../../../config/character/CharacterRegistry.js';
 
 /**
  * Get projectile particle config for a character and ability
- * @param {string} characterName - Character name ('lucy' or 'herald')
+ * @param {string} characterName - Character name
  * @param {string} abilityName - Ability name ('bolt' or 'mortar')
  * @param {string} particleType - Particle type ('ambient' or 'trail')
  * @returns {Object} Merged particle configuration
@@ -30,21 +27,8 @@ export function getProjectileParticleConfig(characterName, abilityName, particle
   }
   
   // Get character-specific config
-  let characterConfig = {};
-  let fullCharacterConfig = {};
-  if (characterName === 'lucy' && abilityName === 'bolt') {
-    characterConfig = LUCY_BOLT_PARTICLE_CONFIG[particleType] || {};
-    fullCharacterConfig = LUCY_BOLT_PARTICLE_CONFIG;
-  } else if (characterName === 'lucy' && abilityName === 'mortar') {
-    characterConfig = LUCY_MORTAR_PARTICLE_CONFIG[particleType] || {};
-    fullCharacterConfig = LUCY_MORTAR_PARTICLE_CONFIG;
-  } else if (characterName === 'herald' && abilityName === 'bolt') {
-    characterConfig = HERALD_BOLT_PARTICLE_CONFIG[particleType] || {};
-    fullCharacterConfig = HERALD_BOLT_PARTICLE_CONFIG;
-  } else if (characterName === 'herald' && abilityName === 'mortar') {
-    characterConfig = HERALD_MORTAR_PARTICLE_CONFIG[particleType] || {};
-    fullCharacterConfig = HERALD_MORTAR_PARTICLE_CONFIG;
-  }
+  const fullCharacterConfig = getCharacterManifest(characterName).particles[abilityName] || {};
+  const characterConfig = fullCharacterConfig[particleType] || {};
   
   // Merge base with character-specific overrides
   const merged = { ...base };
@@ -0,0 +1,155 @@
+/**
+ * RollAbility.js
+ *
+ * Herald's roll: while the caster sprints, anyone it rolls into is knocked away.
+ * Passive - it runs whenever the ability world reports the caster as rolling, so it
+ * is never activated or sent over the network (remote players' sprinting arrives
+ * with their player state).
+ */
+
+import { Ability } from '../ability/Ability.js';
+import { getRollStats } from '../CharacterAbilityStats.js';
+
+export class RollAbility extends Ability {
+  /**
+   * Create a roll ability
+   * @param {string} characterName - Character name
+   */
+  constructor(characterName) {
+    super('roll', characterName);
+    this.networked = false;
+    this.knockTimes = new Map(); // Target key -> last knockback time (ms)
+    this.lastPosition = null; // Caster position last frame {x, z}
+  }
+
+  /**
+   * Get roll stats
+   * @returns {Object|null} Roll stats or null if the character has no roll
+   */
+  getStats() {
+    return getRollStats(this.characterName);
+  }
+
+  /**
+   * Rolls have no cooldown of their own (each target has a knockback cooldown)
+   * @returns {number} Always 0
+   */
+  getCooldown() {
+    return 0;
+  }
+
+  /**
+   * Rolls are driven by sprinting, never activated
+   * @returns {boolean} Always false
+   */
+  canActivate() {
+    return false;
+  }
+
+  /**
+   * Knock back targets the rolling caster touches this frame
+   * @param {number} dt - Delta time in seconds
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} world - Ability world
+   * @protected
+   */
+  onUpdate(dt, caster, world) {
+    const position = caster?.mesh?.position;
+    if (!position) {
+      this.lastPosition = null;
+      return;
+    }
+
+    const last = this.lastPosition;
+    this.lastPosition = { x: position.x, z: position.z };
+    if (!last || !world.isRolling(caster)) {
+      return;
+    }
+
+    // Require meaningful movement to avoid triggering while idle
+    const moveX = position.x - last.x;
+    const moveZ = position.z - last.z;
+    if (moveX * moveX + moveZ * moveZ <= 1e-6) {
+      return;
+    }
+
+    const rollStats = this.getStats();
+    if (!rollStats) {
+      return;
+    }
+
+    const radius = rollStats.radius !== undefined
+      ? rollStats.radius
+      : world.getCasterSize(caster) * (rollStats.radiusMultiplier || 1.0);
+    if (radius <= 0) {
+      return;
+    }
+
+    const horizontalVelocity = rollStats.horizontalVelocity ?? 10.0;
+    const verticalVelocity = rollStats.verticalVelocity ?? 0;
+    const cooldownMs = rollStats.cooldownMs ?? 300;
+    const minDistance = rollStats.minDistance ?? 0.05;
+    const radiusSq = radius * radius;
+    const now = performance.now();
+
+    this._cleanupKnockTimes(now, cooldownMs);
+
+    let registeredHit = false;
+    for (const target of world.getTargets(caster)) {
+      if (!world.isTargetActive(target)) {
+        continue;
+      }
+
+      const dx = target.mesh.position.x - position.x;
+      const dz = target.mesh.position.z - position.z;
+      const distanceSq = dx * dx + dz * dz;
+      if (distanceSq > radiusSq) {
+        continue;
+      }
+
+      const lastHit = this.knockTimes.get(target.key);
+      if (lastHit && now - lastHit < cooldownMs) {
+        continue;
+      }
+
+      const distance = Math.max(Math.sqrt(distanceSq), minDistance);
+      world.knockTarget(caster, target, {
+        velocityX: (dx / distance) * horizontalVelocity,
+        velocityZ: (dz / distance) * horizontalVelocity,
+        velocityY: verticalVelocity > 0 ? verticalVelocity : undefined,
+        raiseOnly: true
+      }, 'roll');
+      this.knockTimes.set(target.key, now);
+      registeredHit = true;
+    }
+
+    if (registeredHit) {
+      world.vibrate(caster, 'medium');
+      world.playSound(caster, 'playMeleeHit');
+    }
+  }
+
+  /**
+   * Forget knockback times and the last position
+   * @param {Object} world - Ability world
+   */
+  dispose(world) {
+    this.knockTimes.clear();
+    this.lastPosition = null;
+  }
+
+  /**
+   * Remove stale knockback cooldown entries
+   * @param {number} now - Current timestamp
+   * @param {number} cooldownMs - Cooldown duration in ms
+   * @private
+   */
+  _cleanupKnockTimes(now, cooldownMs) {
+    const maxAge = Math.max(cooldownMs * 3, 1500);
+    for (const [key, timestamp] of this.knockTimes) {
+      if (!timestamp || now - timestamp > maxAge) {
+        this.knockTimes.delete(key);
+      }
+    }
+  }
+}
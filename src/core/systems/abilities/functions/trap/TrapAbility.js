@@ -0,0 +1,151 @@
+/**
+ * TrapAbility.js
+ *
+ * Warden's trap: drops a thorn cluster (a Hazard that stays put) at the caster's feet.
+ * Once armed, the first enemy to come near sets it off, taking damage and, for
+ * characters that inflict it, a stun. Each client runs the caster's traps; only the
+ * caster's own client deals the damage (the server checks it against the traps it
+ * was told about, see roomDeployables).
+ */
+
+import * as THREE from 'https://unpkg.com/three@0.160.1/build/three.module.js';
+import { Ability, getActivationOrigin } from '../ability/Ability.js';
+import { getTrapStats } from '../CharacterAbilityStats.js';
+import { createHazard, removeHazard } from '../../../entity/Hazard.js';
+import { getCharacterPaletteColor } from '../../../../../config/abilities/CharacterColors.js';
+import { canCharacterInflict } from '../../../../../config/character/CharacterRegistry.js';
+
+const UNARMED_SCALE = 0.6; // Traps grow to full size when they arm
+
+export class TrapAbility extends Ability {
+  /**
+   * Create a trap ability
+   * @param {string} characterName - Character name
+   */
+  constructor(characterName) {
+    super('trap', characterName);
+    this.traps = []; // Placed traps, oldest first {mesh, x, z, armTime, timeLeft}
+    this.placedCount = 0; // Traps placed so far (for hazard IDs)
+  }
+
+  /**
+   * Get trap stats
+   * @returns {Object|null} Trap stats or null if the character has no trap
+   */
+  getStats() {
+    return getTrapStats(this.characterName);
+  }
+
+  /**
+   * Drop a trap, removing the oldest one past the limit
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} world - Ability world
+   * @param {Object} stats - Trap stats
+   * @param {Object} params - Activation parameters
+   * @protected
+   */
+  onActivate(caster, world, stats, params) {
+    world.vibrate(caster, 'light');
+    world.playSound(caster, 'playTrapArm');
+
+    const origin = getActivationOrigin(caster, params);
+    const mesh = createHazard(world.scene, origin.x, origin.z, `trap_${caster.id}_${this.placedCount++}`, stats.size);
+    mesh.userData.speed = 0;
+    mesh.scale.setScalar(UNARMED_SCALE);
+    const trapColor = getCharacterPaletteColor(this.characterName, 'trap');
+    mesh.traverse(child => {
+      if (child.material && child.material.emissive) {
+        child.material.emissive.setHex(trapColor);
+      }
+    });
+
+    this.traps.push({ mesh, x: origin.x, z: origin.z, armTime: stats.armDelay, timeLeft: stats.duration });
+    while (this.traps.length > Math.max(1, stats.maxActive || 1)) {
+      removeHazard(world.scene, this.traps.shift().mesh);
+    }
+  }
+
+  /**
+   * Arm traps, set off the ones an enemy walked into and remove expired ones
+   * @param {number} dt - Delta time in seconds
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} world - Ability world
+   * @protected
+   */
+  onUpdate(dt, caster, world) {
+    if (this.traps.length === 0) {
+      return;
+    }
+    const stats = this.getStats();
+    if (!stats) {
+      this.dispose(world);
+      return;
+    }
+
+    const targets = world.getTargets(caster);
+    const radiusSq = stats.triggerRadius * stats.triggerRadius;
+    this.traps = this.traps.filter(trap => {
+      trap.timeLeft -= dt;
+      if (trap.timeLeft <= 0) {
+        removeHazard(world.scene, trap.mesh);
+        return false;
+      }
+      if (trap.armTime > 0) {
+        trap.armTime -= dt;
+        if (trap.armTime <= 0) {
+          trap.mesh.scale.setScalar(1);
+        }
+        return true;
+      }
+
+      const target = targets.find(candidate => {
+        if (!world.isTargetActive(candidate)) {
+          return false;
+        }
+        const dx = candidate.mesh.position.x - trap.x;
+        const dz = candidate.mesh.position.z - trap.z;
+        return dx * dx + dz * dz <= radiusSq;
+      });
+      if (!target) {
+        return true;
+      }
+
+      this._trigger(caster, world, trap, target, stats);
+      return false;
+    });
+  }
+
+  /**
+   * Remove every trap
+   * @param {Object} world - Ability world
+   */
+  dispose(world) {
+    this.traps.forEach(trap => removeHazard(world?.scene, trap.mesh));
+    this.traps = [];
+  }
+
+  /**
+   * Set a trap off on a target and remove it
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} world - Ability world
+   * @param {Object} trap - Placed trap
+   * @param {Object} target - Target from getTargets
+   * @param {Object} stats - Trap stats
+   * @private
+   */
+  _trigger(caster, world, trap, target, stats) {
+    world.vibrate(caster, 'medium');
+    world.playSound(caster, 'playTrapTrigger');
+
+    if (world.particleManager) {
+      const position = new THREE.Vector3(trap.x, trap.mesh.position.y + 0.3, trap.z);
+      world.particleManager.spawnImpactParticles(position, getCharacterPaletteColor(this.characterName, 'trap'), 16, stats.triggerRadius);
+    }
+    removeHazard(world.scene, trap.mesh);
+
+    const died = world.damageTarget(caster, target, stats.damage, 'trap');
+    if (!died && canCharacterInflict(this.characterName, 'stun')) {
+      world.applyStatusEffect(caster, target, 'stun');
+    }
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * UltimateMeter.js
+ *
+ * The local player's ultimate charge. Damage dealt, kills and objectives fill it
+ * (amounts from UltimateConfig); using the ultimate empties it. Charge is kept across
+ * deaths and character swaps.
+ */
+
+import { getUltimateStats, getObjectiveCharge } from '../../../../../config/abilities/UltimateConfig.js';
+
+export class UltimateMeter {
+  constructor() {
+    this.charge = 0;
+  }
+
+  /**
+   * Add charge, up to the maximum
+   * @param {number} amount - Charge to add
+   */
+  addCharge(amount) {
+    if (!(amount > 0)) {
+      return;
+    }
+    this.charge = Math.min(getUltimateStats().maxCharge, this.charge + amount);
+  }
+
+  /**
+   * Charge from damage dealt
+   * @param {number} damage - Damage dealt
+   */
+  addDamage(damage) {
+    this.addCharge(damage * getUltimateStats().chargePerDamage);
+  }
+
+  /**
+   * Charge from a kill
+   */
+  addKill() {
+    this.addCharge(getUltimateStats().chargePerKill);
+  }
+
+  /**
+   * Charge from a completed objective
+   * @param {string} type - Objective type ('item', 'checkpoint', 'hillPoint', ...)
+   */
+  addObjective(type) {
+    this.addCharge(getObjectiveCharge(type));
+  }
+
+  /**
+   * Get how full the meter is
+   * @returns {number} Fill from 0 to 1
+   */
+  getPercent() {
+    return this.charge / getUltimateStats().maxCharge;
+  }
+
+  /**
+   * Check whether the ultimate can be used
+   * @returns {boolean} True if full
+   */
+  isFull() {
+    return this.charge >= getUltimateStats().maxCharge;
+  }
+
+  /**
+   * Empty the meter for an ultimate
+   * @returns {boolean} True if it was full
+   */
+  consume() {
+    if (!this.isFull()) {
+      return false;
+    }
+    this.charge = 0;
+    return true;
+  }
+
+  /**
+   * Empty the meter (game mode change)
+   */
+  reset() {
+    this.charge = 0;
+  }
+}
@@ -8,8 +8,6 @@
 import * as THREE from 'https://unpkg.com/three@0.160.1/build/three.module.js';
 import { getBotAIStats, getBotMovementStats } from '../../../config/bot/BotStats.js';
 import { getDifficultyConfig } from '../../../config/bot/BotDifficultyConfig.js';
-import { getMeleeStats, getBlastStats, getMultiProjectileStats } from '../abilities/functions/CharacterAbilityStats.js';
-import { getCharacterColorHex } from '../../../config/abilities/CharacterColors.js';
 
 /**
  * Update bot AI direction change timer
@@ -39,17 +37,18 @@ export function updateDirectionChangeTimer(userData, dt) {
  * @param {number} dt - Delta time in seconds
  * @param {Object} collisionManager - Collision manager
  * @param {Object} learningManager - Optional learning manager for adaptive AI
+ * @param {Object|null} objective - Optional zone to hold {x, z, radius}; overrides movement while outside it
  * @returns {Object} Movement result with moveX, moveZ, and direction
  */
-export function calculateBotMovement(bot, userData, playerPosition, dt, collisionManager, learningManager = null) {
+export function calculateBotMovement(bot, userData, playerPosition, dt, collisionManager, learningManager = null, objective = null) {
   const movementStats = getBotMovementStats();
   const aiStats = getBotAIStats();
   const difficulty = userData.difficulty || 'beginner';
   const difficultyConfig = getDifficultyConfig(difficulty);
   
-  // Apply poison slow effect if bot is poisoned
-  const poisonSpeedMultiplier = userData.poisonSpeedMultiplier !== undefined ? userData.poisonSpeedMultiplier : 1.0;
-  const speed = movementStats.moveSpeed * poisonSpeedMultiplier * difficultyConfig.movementIntelligence;
+  // Apply slows and stuns from status effects (set by StatusEffectManager)
+  const statusSpeedMultiplier = userData.statusSpeedMultiplier !== undefined ? userData.statusSpeedMultiplier : 1.0;
+  const speed = movementStats.moveSpeed * statusSpeedMultiplier * difficultyConfig.movementIntelligence;
   
   let moveX = 0;
   let moveZ = 0;
@@ -229,6 +228,18 @@ export function calculateBotMovement(bot, userData, playerPosition, dt, collisio
     moveZ = Math.sin(userData.direction) * speed * dt;
   }
   
+  // Head for the objective zone; once inside, tactical movement plays out within it
+  if (objective) {
+    const ox = objective.x - bot.position.x;
+    const oz = objective.z - bot.position.z;
+    const objectiveDist = Math.sqrt(ox * ox + oz * oz);
+    if (objectiveDist > objective.radius * aiStats.objectiveHoldRadius) {
+      moveX = (ox / objectiveDist) * speed * dt;
+      moveZ = (oz / objectiveDist) * speed * dt;
+      userData.direction = Math.atan2(moveZ, moveX);
+    }
+  }
+  
   // Check collision and adjust movement
   const nextPos = new THREE.Vector3(
     bot.position.x + moveX,
@@ -249,25 +260,35 @@ export function calculateBotMovement(bot, userData, playerPosition, dt, collisio
 }
 
 /**
- * Update bot abilities (shooting, mortar, melee, blast, multiProjectile)
+ * Update bot abilities (shooting, mortar, melee, blast, multiProjectile, barrier, trap, dash)
  * @param {Object} bot - Bot mesh
  * @param {Object} userData - Bot userData object
  * @param {THREE.Vector3|null} playerPosition - Player position or null
  * @param {Object} projectileManager - Projectile manager
  * @param {number} dt - Delta time in seconds
  * @param {Object} learningManager - Optional learning manager for adaptive AI
- * @param {Object} context - Optional context object with {botManager, scene, player, characterManager, particleManager}
- * @returns {Object} Result with ability used: {shot: boolean, usedMortar: boolean, usedMelee: boolean, usedBlast: boolean, usedMultiProjectile: boolean}
+ * @param {Object} context - Optional context object with {botManager, scene, player, characterManager, particleManager, abilityWorld}
+ * @returns {Object} Result with ability used: {shot: boolean, usedMortar: boolean, usedMelee: boolean, usedBlast: boolean, usedMultiProjectile: boolean, usedBarrier: boolean, usedTrap: boolean, usedDash: boolean}
  */
 export function updateBotAbilities(bot, userData, playerPosition, projectileManager, dt, learningManager = null, context = null) {
-  const result = { shot: false, usedMortar: false, usedMelee: false, usedBlast: false, usedMultiProjectile: false };
+  const result = { shot: false, usedMortar: false, usedMelee: false, usedBlast: false, usedMultiProjectile: false, usedBarrier: false, usedTrap: false, usedDash: false };
+  const characterName = userData.characterName || 'herald';
+  
+  // Melee, blast, multiProjectile, barrier, trap and dash run through the bot's ability loadout (same code as players)
+  const loadout = userData.abilityLoadout || null;
+  const abilityWorld = context ? context.abilityWorld : null;
+  const caster = { id: userData.id, characterName, mesh: bot };
+  if (loadout && abilityWorld) {
+    // Advance cooldowns and running effects even while idle
+    loadout.update(dt, caster, abilityWorld);
+  }
   
-  if (!projectileManager || !playerPosition) {
+  // Stunned bots can't use abilities
+  if (!projectileManager || !playerPosition || userData.isStunned) {
     return result;
   }
   
   const aiStats = getBotAIStats();
-  const characterName = userData.characterName || 'herald';
   const difficulty = userData.difficulty || 'beginner';
   const difficultyConfig = getDifficultyConfig(difficulty);
   
@@ -281,15 +302,11 @@ export function updateBotAbilities(bot, userData, playerPosition, projectileMana
     userData.idleDuration = 0;
     userData.lastAbilityTime = 0;
     userData.mortarCooldown = 0;
-    userData.meleeCooldown = 0;
-    userData.specialAbilityCooldown = 0; // For blast/multiProjectile
     userData.abilitySelectionTimer = 0;
   }
   
   // Update cooldowns
   userData.mortarCooldown = Math.max(0, userData.mortarCooldown - dt);
-  userData.meleeCooldown = Math.max(0, userData.meleeCooldown - dt);
-  userData.specialAbilityCooldown = Math.max(0, userData.specialAbilityCooldown - dt);
   userData.abilitySelectionTimer += dt;
   
   // Handle idle state (bot stops all abilities)
@@ -316,50 +333,72 @@ export function updateBotAbilities(bot, userData, playerPosition, projectileMana
   const mortarRange = aiStats.shootRange * 1.5; // Mortar has longer range
   const boltRange = aiStats.shootRange;
   
-  // Check for special abilities (blast for Herald, multiProjectile for Lucy)
-  if (userData.specialAbilityCooldown <= 0) {
-    if (characterName === 'herald') {
-      const blastStats = getBlastStats(characterName);
-      if (blastStats && dist <= blastStats.radius * 1.2) {
-        // Use blast when player is within range (20% chance per check)
-        if (Math.random() < 0.2) {
-          const blastResult = _useBlastAbility(bot, userData, playerPosition, blastStats, context);
-          if (blastResult) {
-            userData.specialAbilityCooldown = blastStats.cooldown;
-            userData.lastAbilityTime = Date.now() / 1000;
-            result.usedBlast = true;
-            return result;
-          }
-        }
-      }
-    } else if (characterName === 'lucy') {
-      const multiProjectileStats = getMultiProjectileStats(characterName);
-      if (multiProjectileStats && dist <= boltRange * 1.5) {
-        // Use multiProjectile when player is within range (15% chance per check)
-        if (Math.random() < 0.15) {
-          const multiResult = _useMultiProjectileAbility(bot, userData, playerPosition, multiProjectileStats, projectileManager, characterName);
-          if (multiResult) {
-            userData.specialAbilityCooldown = multiProjectileStats.cooldown;
-            userData.lastAbilityTime = Date.now() / 1000;
-            result.usedMultiProjectile = true;
-            return result;
-          }
-        }
-      }
+  // Check for special abilities (blast knocks the player away, multiProjectile fires a ring of bolts)
+  const canUseAbility = (name) => {
+    const ability = loadout && abilityWorld ? loadout.get(name) : null;
+    return ability && ability.canActivate(caster, abilityWorld) ? ability : null;
+  };
+  
+  const blast = canUseAbility('blast');
+  if (blast && dist <= blast.getStats().radius * 1.2) {
+    // Use blast when player is within range (20% chance per check)
+    if (Math.random() < 0.2 && blast.activate(caster, abilityWorld)) {
+      userData.lastAbilityTime = Date.now() / 1000;
+      result.usedBlast = true;
+      return result;
     }
   }
   
-  // Check melee range (close combat)
-  if (dist <= meleeRange && userData.meleeCooldown <= 0) {
-    const meleeResult = _useMeleeAbility(bot, userData, playerPosition, meleeStats, context);
-    if (meleeResult) {
-      userData.meleeCooldown = meleeStats.cooldown || 1.5;
+  const multiProjectile = canUseAbility('multiProjectile');
+  if (multiProjectile && dist <= boltRange * 1.5) {
+    // Use multiProjectile when player is within range (15% chance per check)
+    if (Math.random() < 0.15 && multiProjectile.activate(caster, abilityWorld)) {
+      userData.lastAbilityTime = Date.now() / 1000;
+      result.usedMultiProjectile = true;
+      return result;
+    }
+  }
+  
+  // Barrier, trap and dash (Warden)
+  const toPlayer = dist > 0.001 ? { x: dx / dist, z: dz / dist } : null;
+  const barrier = toPlayer ? canUseAbility('barrier') : null;
+  if (barrier && dist > meleeRange && dist <= boltRange) {
+    // Raise a barrier between the bot and the player (10% chance per check)
+    if (Math.random() < 0.1 && barrier.activate(caster, abilityWorld, { direction: toPlayer })) {
       userData.lastAbilityTime = Date.now() / 1000;
-      result.usedMelee = true;
+      result.usedBarrier = true;
       return result;
     }
   }
   
+  const trap = canUseAbility('trap');
+  if (trap && dist <= meleeRange * 2.5) {
+    // Drop a trap when the player is close (10% chance per check)
+    if (Math.random() < 0.1 && trap.activate(caster, abilityWorld)) {
+      userData.lastAbilityTime = Date.now() / 1000;
+      result.usedTrap = true;
+      return result;
+    }
+  }
+  
+  const dash = toPlayer ? canUseAbility('dash') : null;
+  if (dash && dist > meleeRange && dist <= meleeRange * 3) {
+    // Dash in to shove the player when just out of melee range (10% chance per check)
+    if (Math.random() < 0.1 && dash.activate(caster, abilityWorld, { direction: toPlayer })) {
+      userData.lastAbilityTime = Date.now() / 1000;
+      result.usedDash = true;
+      return result;
+    }
+  }
+  
+  // Check melee range (close combat)
+  const melee = dist <= meleeRange ? canUseAbility('melee') : null;
+  if (melee && melee.activate(caster, abilityWorld)) {
+    userData.lastAbilityTime = Date.now() / 1000;
+    result.usedMelee = true;
+    return result;
+  }
+  
   // Select ability based on distance and cooldowns (every 1-2 seconds)
   if (userData.abilitySelectionTimer > (1.0 + Math.random())) {
     userData.abilitySelectionTimer = 0;
@@ -563,243 +602,10 @@ export function initializeBotAI(userData, startX, startZ, difficulty = 'beginner
   userData.movementPauseDuration = 0;
   userData.lastAbilityTime = 0;
   userData.mortarCooldown = 0;
-  userData.meleeCooldown = 0;
-  userData.specialAbilityCooldown = 0;
   userData.abilitySelectionTimer = 0;
-}
-
-/**
- * Use melee ability (damage nearby entities)
- * @param {Object} bot - Bot mesh
- * @param {Object} userData - Bot userData object
- * @param {THREE.Vector3} playerPosition - Player position
- * @param {Object} meleeStats - Melee stats
- * @param {Object} context - Context with {botManager, scene, player, characterManager}
- * @returns {boolean} True if melee was used
- * @private
- */
-function _useMeleeAbility(bot, userData, playerPosition, meleeStats, context) {
-  if (!context || !meleeStats) return false;
-  
-  const radius = meleeStats.range || 2.5;
-  const initialDamage = meleeStats.initialDamage || meleeStats.damage || 5;
-  const horizontalVelocity = meleeStats.horizontalVelocity || 8;
-  const verticalVelocity = meleeStats.verticalVelocity || 2;
-  const botPos = bot.position;
-  const radiusSq = radius * radius;
-  
-  // Check if player is in range
-  const dx = playerPosition.x - botPos.x;
-  const dz = playerPosition.z - botPos.z;
-  const distSq = dx * dx + dz * dz;
-  
-  if (distSq <= radiusSq) {
-    // Damage player if available
-    if (context.characterManager && context.player) {
-      context.characterManager.takeDamage(initialDamage);
-      
-      // Apply knockback to player
-      if (distSq > 0.01 && context.player.userData) {
-        const distance = Math.sqrt(distSq);
-        const dirX = dx / distance;
-        const dirZ = dz / distance;
-        const distanceMultiplier = 1 - distance / radius;
-        
-        // Apply velocity to player (store in userData for GameLoop to process)
-        context.player.userData.velocityX = dirX * horizontalVelocity * distanceMultiplier;
-        context.player.userData.velocityZ = dirZ * horizontalVelocity * distanceMultiplier;
-        context.player.userData.isKnockedBack = true;
-        
-        // Apply vertical velocity to characterData (handled by CharacterPhysics)
-        if (context.characterManager && context.characterManager.characterData) {
-          const currentVelocityY = context.characterManager.characterData.velocityY || 0;
-          context.characterManager.characterData.velocityY = Math.max(currentVelocityY, verticalVelocity);
-        }
-      }
-    }
-    
-    // Damage other bots in range
-    if (context.botManager) {
-      const bots = context.botManager.getAllBots();
-      for (let i = 0; i < bots.length; i++) {
-        const otherBot = bots[i];
-        if (otherBot === bot || !otherBot.userData) continue;
-        
-        const botDx = otherBot.position.x - botPos.x;
-        const botDz = otherBot.position.z - botPos.z;
-        const botDistSq = botDx * botDx + botDz * botDz;
-        
-        if (botDistSq <= radiusSq) {
-          context.botManager.damageBot(otherBot, initialDamage, userData.id);
-          
-          // Apply knockback to other bot
-          if (botDistSq > 0.01) {
-            const botDistance = Math.sqrt(botDistSq);
-            const botDirX = botDx / botDistance;
-            const botDirZ = botDz / botDistance;
-            const botDistanceMultiplier = 1 - botDistance / radius;
-            
-            otherBot.userData.velocityX = botDirX * horizontalVelocity * botDistanceMultiplier;
-            otherBot.userData.velocityZ = botDirZ * horizontalVelocity * botDistanceMultiplier;
-            otherBot.userData.velocityY = verticalVelocity;
-            otherBot.userData.isKnockedBack = true;
-          }
-        }
-      }
-    }
-    
-    return true;
-  }
   
-  return false;
-}
-
-/**
- * Use blast ability (Herald only - knockback nearby entities)
- * @param {Object} bot - Bot mesh
- * @param {Object} userData - Bot userData object
- * @param {THREE.Vector3} playerPosition - Player position
- * @param {Object} blastStats - Blast stats
- * @param {Object} context - Context with {botManager, scene, player}
- * @returns {boolean} True if blast was used
- * @private
- */
-function _useBlastAbility(bot, userData, playerPosition, blastStats, context) {
-  if (!context || !blastStats) return false;
-  
-  const radius = blastStats.radius;
-  const horizontalVelocity = blastStats.horizontalVelocity;
-  const verticalVelocity = blastStats.verticalVelocity;
-  const botPos = bot.position;
-  const radiusSq = radius * radius;
-  const minDistanceSq = 0.01;
-  
-  // Apply knockback to player
-  if (context.player && context.player.userData) {
-    const dx = playerPosition.x - botPos.x;
-    const dz = playerPosition.z - botPos.z;
-    const distSq = dx * dx + dz * dz;
-    
-    if (distSq <= radiusSq && distSq > minDistanceSq) {
-      const distance = Math.sqrt(distSq);
-      const dirX = dx / distance;
-      const dirZ = dz / distance;
-      const distanceMultiplier = 1 - distance / radius;
-      
-      // Apply velocity to player (if player has velocity properties)
-      if (context.player.userData.velocityX !== undefined) {
-        context.player.userData.velocityX = dirX * horizontalVelocity * distanceMultiplier;
-        context.player.userData.velocityZ = dirZ * horizontalVelocity * distanceMultiplier;
-        context.player.userData.velocityY = verticalVelocity;
-        context.player.userData.isKnockedBack = true;
-      }
-    }
+  // Respawned bots start with every ability ready
+  if (userData.abilityLoadout) {
+    userData.abilityLoadout.resetCooldowns();
   }
-  
-  // Apply knockback to other bots
-  if (context.botManager) {
-    const bots = context.botManager.getAllBots();
-    for (let i = 0; i < bots.length; i++) {
-      const otherBot = bots[i];
-      if (otherBot === bot || !otherBot.userData) continue;
-      
-      const botDx = otherBot.position.x - botPos.x;
-      const botDz = otherBot.position.z - botPos.z;
-      const botDistSq = botDx * botDx + botDz * botDz;
-      
-      if (botDistSq <= radiusSq && botDistSq > minDistanceSq) {
-        const distance = Math.sqrt(botDistSq);
-        const dirX = botDx / distance;
-        const dirZ = botDz / distance;
-        const distanceMultiplier = 1 - distance / radius;
-        
-        otherBot.userData.velocityX = dirX * horizontalVelocity * distanceMultiplier;
-        otherBot.userData.velocityZ = dirZ * horizontalVelocity * distanceMultiplier;
-        otherBot.userData.velocityY = verticalVelocity;
-        otherBot.userData.isKnockedBack = true;
-      }
-    }
-  }
-  
-  // Create visual effect if scene is available
-  if (context.scene) {
-    const segments = 32;
-    const geometry = new THREE.RingGeometry(0, radius, segments);
-    const characterColor = getCharacterColorHex('herald');
-    const material = new THREE.MeshBasicMaterial({
-      color: characterColor,
-      transparent: true,
-      opacity: 0.9,
-      side: THREE.DoubleSide
-    });
-    
-    const circle = new THREE.Mesh(geometry, material);
-    circle.rotation.x = -Math.PI / 2;
-    circle.position.set(botPos.x, botPos.y + 0.2, botPos.z);
-    context.scene.add(circle);
-    
-    // Remove circle after animation
-    setTimeout(() => {
-      if (circle.parent) {
-        context.scene.remove(circle);
-        circle.geometry.dispose();
-        circle.material.dispose();
-      }
-    }, blastStats.animationDuration * 1000);
-  }
-  
-  return true;
 }
-
-/**
- * Use multiProjectile ability (Lucy only - shoot projectiles in all directions)
- * @param {Object} bot - Bot mesh
- * @param {Object} userData - Bot userData object
- * @param {THREE.Vector3} playerPosition - Player position
- * @param {Object} multiProjectileStats - MultiProjectile stats
- * @param {Object} projectileManager - Projectile manager
- * @param {string} characterName - Character name
- * @returns {boolean} True if multiProjectile was used
- * @private
- */
-function _useMultiProjectileAbility(bot, userData, playerPosition, multiProjectileStats, projectileManager, characterName) {
-  if (!multiProjectileStats || !projectileManager) return false;
-  
-  const projectileCount = multiProjectileStats.projectileCount || 8;
-  const projectileSpeed = multiProjectileStats.projectileSpeed;
-  const damage = multiProjectileStats.damage;
-  const botPos = bot.position;
-  
-  // Shoot projectiles in all directions
-  for (let i = 0; i < projectileCount; i++) {
-    const angle = (i / projectileCount) * Math.PI * 2;
-    const directionX = Math.cos(angle);
-    const directionZ = Math.sin(angle);
-    
-    const offsetX = directionX * 0.5;
-    const offsetZ = directionZ * 0.5;
-    
-    const projectile = projectileManager.createProjectile(
-      botPos.x + offsetX,
-      botPos.y,
-      botPos.z + offsetZ,
-      directionX,
-      directionZ,
-      userData.id,
-      characterName
-    );
-    
-    // Override projectile speed and damage if needed
-    if (projectile && projectile.userData) {
-      if (projectileSpeed) {
-        projectile.userData.customSpeed = projectileSpeed;
-      }
-      if (damage) {
-        projectile.userData.damage = damage;
-      }
-    }
-  }
-  
-  return true;
-}
-
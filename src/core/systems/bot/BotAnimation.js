@@ -5,21 +5,27 @@
  */
 
 import { loadAnimationSmart } from '../../../utils/TextureLoader.js';
+import { getCharacterManifest } from '../../../config/character/CharacterRegistry.js';
+
+/**
+ * Animations loaded for bots
+ */
+const BOT_ANIMATIONS = ['idle_front', 'idle_back', 'walk_front', 'walk_back'];
 
 /**
  * Load bot animations for a character
- * @param {string} characterName - Character name ('lucy' or 'herald')
+ * Bots only use the idle and walk animations from the character's sprite sheet.
+ * @param {string} characterName - Character name
  * @returns {Promise<Object>} Loaded animations object
  */
 export async function loadBotAnimations(characterName) {
-  const baseSpritePath = `/assets/characters/${characterName}/`;
+  const { basePath, animations } = getCharacterManifest(characterName).sprites;
   
-  const loaded = {
-    idle_front: await loadAnimationSmart(baseSpritePath + 'idle_front', 4, 1),
-    idle_back: await loadAnimationSmart(baseSpritePath + 'idle_back', 4, 1),
-    walk_front: await loadAnimationSmart(baseSpritePath + 'walk_front', 8, 4),
-    walk_back: await loadAnimationSmart(baseSpritePath + 'walk_back', 8, 4)
-  };
+  const loaded = {};
+  for (const name of BOT_ANIMATIONS) {
+    const { fps, frames } = animations[name];
+    loaded[name] = await loadAnimationSmart(basePath + name, fps, frames);
+  }
   
   return loaded;
 }
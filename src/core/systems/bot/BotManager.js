@@ -18,7 +18,8 @@ import { loadBotAnimations, setBotAnimation, updateBotAnimation, updateBotAnimat
 import { initializeBotPhysics, updateBotPhysics } from './BotPhysics.js';
 import { getCharacterColorHex } from '../../../config/abilities/CharacterColors.js';
 import { startDeathFade, updateDeathFade, DEATH_FADE_CONFIG } from '../../../utils/DeathFadeUtils.js';
-import { createSpriteAtPosition } from '../../../utils/SpriteUtils.js';
+import { createSpriteAtPosition, applyCharacterTint } from '../../../utils/SpriteUtils.js';
+import { AbilityLoadout } from '../abilities/functions/ability/AbilityLoadout.js';
 import { HERALD_BLAST_ATTACK_CONFIG } from '../../../config/abilities/characters/herald/blast/AttackConfig.js';
 import { getRespawnStats } from '../../../config/collision/CollisionStats.js';
 
@@ -39,6 +40,12 @@ export class BotManager {
     this.learningManager = learningManager;
     this.bots = [];
     this.difficulty = 'beginner'; // Default difficulty
+    this.objective = null; // Zone bots try to hold {x, z, radius} (objective modes)
+    this.respawnEnabled = true; // When false, dead bots are removed instead of respawning (wave modes)
+    this.onBotRemovedCallback = null;
+    this.onBotKilledCallback = null;
+    this.onBotDamagedCallback = null;
+    this.abilityWorld = null; // What bots' abilities hit (set by GameLoop)
     
     // Get stats from config
     const movementStats = getBotMovementStats();
@@ -72,6 +79,14 @@ export class BotManager {
     }
   }
 
+  /**
+   * Set the zone bots should seek and hold
+   * @param {Object|null} objective - Zone {x, z, radius} or null for normal combat movement
+   */
+  setObjective(objective) {
+    this.objective = objective;
+  }
+
   /**
    * Set the collision manager (can be set after construction)
    * @param {Object} collisionManager - Collision manager instance
@@ -88,6 +103,38 @@ export class BotManager {
     this.onBotDeathCallback = callback;
   }
 
+  /**
+   * Set callback for the moment a bot is killed (before the death fade)
+   * @param {Function} callback - Callback function({killerId, victimId, attackType})
+   */
+  setOnBotKilledCallback(callback) {
+    this.onBotKilledCallback = callback;
+  }
+
+  /**
+   * Set callback for damage dealt to a living bot
+   * @param {Function} callback - Callback function({attackerId, victimId, damage})
+   */
+  setOnBotDamagedCallback(callback) {
+    this.onBotDamagedCallback = callback;
+  }
+
+  /**
+   * Set whether dead bots respawn
+   * @param {boolean} enabled - False to remove bots once they die or fall out
+   */
+  setRespawnEnabled(enabled) {
+    this.respawnEnabled = enabled;
+  }
+
+  /**
+   * Set callback for bots removed after dying while respawning is disabled
+   * @param {Function} callback - Callback function called with the removed bot mesh
+   */
+  setOnBotRemovedCallback(callback) {
+    this.onBotRemovedCallback = callback;
+  }
+
   /**
    * Set the projectile manager (can be set after construction)
    * @param {Object} projectileManager - Projectile manager instance
@@ -112,6 +159,14 @@ export class BotManager {
     this.characterManager = characterManager;
   }
 
+  /**
+   * Set the ability world bots' abilities run in (targets, damage, knockback)
+   * @param {Object} abilityWorld - Ability world instance
+   */
+  setAbilityWorld(abilityWorld) {
+    this.abilityWorld = abilityWorld;
+  }
+
   /**
    * Set the player mesh (for bot abilities that target player)
    * @param {THREE.Mesh} player - Player mesh
@@ -123,7 +178,7 @@ export class BotManager {
   /**
    * Create a new bot
    * @param {string} botId - Unique bot identifier
-   * @param {string} characterName - Character name ('lucy' or 'herald')
+   * @param {string} characterName - Character name
    * @param {number} startX - Starting X position
    * @param {number} startZ - Starting Z position
    * @param {string} difficulty - Difficulty level (optional, uses manager default)
@@ -132,6 +187,7 @@ export class BotManager {
   async createBot(botId, characterName = 'herald', startX = 0, startZ = 0, difficulty = null) {
     // Create bot sprite
     const bot = createSpriteAtPosition(this.playerHeight, startX, startZ);
+    applyCharacterTint(bot, characterName);
     this.scene.add(bot);
 
     // Load character animations
@@ -163,7 +219,10 @@ export class BotManager {
 
       // Stats for scoreboard
       kills: 0,
-      deaths: 0
+      deaths: 0,
+
+      // Abilities (melee, blast, multiProjectile, ...) - same code as players'
+      abilityLoadout: new AbilityLoadout(characterName)
     };
 
     // Initialize physics
@@ -187,6 +246,8 @@ export class BotManager {
    * @param {THREE.Camera} camera - Camera reference for billboarding
    */
   update(dt, playerPosition = null, camera = null) {
+    const retiredBots = []; // Removed after the loop when respawning is disabled
+    
     for (const bot of this.bots) {
       const userData = bot.userData;
       
@@ -197,8 +258,12 @@ export class BotManager {
           // Store killer ID before respawning (will be cleared in respawnBot)
           const killerId = userData.killerId;
           
-          // Fade complete - respawn bot
-          this.respawnBot(bot);
+          // Fade complete - respawn bot (or retire it for good)
+          if (this.respawnEnabled) {
+            this.respawnBot(bot);
+          } else {
+            retiredBots.push(bot);
+          }
           
           // Return killer ID so caller can track kills
           if (killerId && this.onBotDeathCallback) {
@@ -223,7 +288,11 @@ export class BotManager {
       if (bot.position.y < respawnStats.fallThreshold) {
         // Bot fell out - respawn immediately
         userData.deaths = (userData.deaths || 0) + 1;
-        this.respawnBot(bot);
+        if (this.respawnEnabled) {
+          this.respawnBot(bot);
+        } else {
+          retiredBots.push(bot);
+        }
         continue;
       }
 
@@ -259,7 +328,7 @@ export class BotManager {
       let moveZ = 0;
       
       if (!hasKnockback) {
-        const movementResult = calculateBotMovement(bot, userData, playerPosition, dt, this.collisionManager, this.learningManager);
+        const movementResult = calculateBotMovement(bot, userData, playerPosition, dt, this.collisionManager, this.learningManager, this.objective);
         
         // Apply movement
         moveX = movementResult.moveX;
@@ -288,10 +357,18 @@ export class BotManager {
         scene: this.scene,
         player: this.player,
         characterManager: this.characterManager,
-        particleManager: this.particleManager
+        particleManager: this.particleManager,
+        abilityWorld: this.abilityWorld
       };
       updateBotAbilities(bot, userData, playerPosition, this.projectileManager, dt, this.learningManager, context);
     }
+    
+    for (const bot of retiredBots) {
+      this.removeBot(bot);
+      if (this.onBotRemovedCallback) {
+        this.onBotRemovedCallback(bot);
+      }
+    }
   }
 
   /**
@@ -300,6 +377,8 @@ export class BotManager {
    * @private
    */
   _startBotDeathFade(bot) {
+    // Stop running ability effects (swing rings, blasts)
+    bot.userData.abilityLoadout.dispose(this.abilityWorld);
     startDeathFade(bot, bot.userData, bot.userData.characterName, this.particleManager);
   }
 
@@ -335,6 +414,8 @@ export class BotManager {
    * @param {THREE.Mesh} bot - Bot mesh to remove
    */
   removeBot(bot) {
+    bot.userData.abilityLoadout.dispose(this.abilityWorld);
+    
     // Remove health bar
     if (bot.userData.healthBar) {
       this.scene.remove(bot.userData.healthBar);
@@ -369,17 +450,26 @@ export class BotManager {
    * @param {THREE.Mesh} bot - Bot mesh
    * @param {number} damage - Damage amount
    * @param {string} killerId - Optional player ID who caused the damage
+   * @param {string} attackType - Optional attack type ('bolt', 'mortar', 'melee', ...) for the kill feed
    * @returns {boolean} True if bot is dead
    */
-  damageBot(bot, damage, killerId = null) {
+  damageBot(bot, damage, killerId = null, attackType = null) {
     if (!bot || !bot.userData) return false;
     const wasAlive = bot.userData.health > 0;
+    const previousHealth = bot.userData.health;
     bot.userData.health = Math.max(0, bot.userData.health - damage);
     const isDead = bot.userData.health <= 0;
     
+    if (wasAlive && killerId && this.onBotDamagedCallback) {
+      this.onBotDamagedCallback({ attackerId: killerId, victimId: bot.userData.id, damage: previousHealth - bot.userData.health });
+    }
+    
     // Store killer ID when bot dies
     if (isDead && wasAlive && killerId) {
       bot.userData.killerId = killerId;
+      if (this.onBotKilledCallback) {
+        this.onBotKilledCallback({ killerId, victimId: bot.userData.id, attackType });
+      }
     }
     
     return isDead;
@@ -7,19 +7,23 @@
 import { loadAnimationSmart } from '../../../utils/TextureLoader.js';
 import { getRunningSmokeConfig } from '../../../config/abilities/base/SmokeParticleConfig.js';
 import { getLoadingProgressManager } from '../../../utils/LoadingProgressManager.js';
+import { getCharacterManifest } from '../../../config/character/CharacterRegistry.js';
 
 /**
  * Load character animations
- * @param {string} characterName - Character name ('lucy' or 'herald')
+ * Animations come from the character manifest's sprite sheet (sprites.animations).
+ * Animations without a fallback are required; the rest fall back to the named animation.
+ * @param {string} characterName - Character name
  * @param {Function} onProgress - Optional progress callback
  * @returns {Promise<Object>} Loaded animations object
  */
 export async function loadCharacterAnimations(characterName, onProgress = null) {
-  const baseSpritePath = `/assets/characters/${characterName}/`;
+  const { basePath, animations } = getCharacterManifest(characterName).sprites;
   const progressManager = getLoadingProgressManager();
   
   // Total animations to load
-  const totalAnimations = 10;
+  const animationNames = Object.keys(animations);
+  const totalAnimations = animationNames.length;
   let loadedCount = 0;
   
   const updateProgress = (animationName) => {
@@ -32,101 +36,26 @@ export async function loadCharacterAnimations(characterName, onProgress = null)
     }
   };
   
-  // Load base animations first (declare outside try blocks for fallback access)
-  let idle_front, idle_back, walk_front, walk_back;
+  const loaded = {};
   
-  try {
-    idle_front = await loadAnimationSmart(baseSpritePath + 'idle_front', 4, 1);
-    updateProgress('idle_front');
-  } catch (error) {
-    throw error; // Critical animation, fail fast
+  // Load required animations first so fallbacks can point at them
+  for (const name of animationNames.filter(name => !animations[name].fallback)) {
+    const { fps, frames } = animations[name];
+    loaded[name] = await loadAnimationSmart(basePath + name, fps, frames); // Critical animation, fail fast
+    updateProgress(name);
   }
   
-  try {
-    idle_back = await loadAnimationSmart(baseSpritePath + 'idle_back', 4, 1);
-    updateProgress('idle_back');
-  } catch (error) {
-    throw error; // Critical animation, fail fast
-  }
-  
-  try {
-    walk_front = await loadAnimationSmart(baseSpritePath + 'walk_front', 8, 4);
-    updateProgress('walk_front');
-  } catch (error) {
-    throw error; // Critical animation, fail fast
-  }
-  
-  try {
-    walk_back = await loadAnimationSmart(baseSpritePath + 'walk_back', 8, 4);
-    updateProgress('walk_back');
-  } catch (error) {
-    throw error; // Critical animation, fail fast
-  }
-  
-  // Try to load new animations, fallback to idle if not found
-  let hit_front, hit_back, death_front, death_back, spawn_front, spawn_back;
-  
-  try {
-    hit_front = await loadAnimationSmart(baseSpritePath + 'hit_front', 12, 1);
-    updateProgress('hit_front');
-  } catch (error) {
-    hit_front = idle_front;
-    updateProgress('hit_front');
-  }
-  
-  try {
-    hit_back = await loadAnimationSmart(baseSpritePath + 'hit_back', 12, 1);
-    updateProgress('hit_back');
-  } catch (error) {
-    hit_back = idle_back;
-    updateProgress('hit_back');
-  }
-  
-  try {
-    death_front = await loadAnimationSmart(baseSpritePath + 'death_front', 8, 1);
-    updateProgress('death_front');
-  } catch (error) {
-    death_front = idle_front;
-    updateProgress('death_front');
-  }
-  
-  try {
-    death_back = await loadAnimationSmart(baseSpritePath + 'death_back', 8, 1);
-    updateProgress('death_back');
-  } catch (error) {
-    death_back = idle_back;
-    updateProgress('death_back');
-  }
-  
-  try {
-    spawn_front = await loadAnimationSmart(baseSpritePath + 'spawn_front', 8, 1);
-    updateProgress('spawn_front');
-  } catch (error) {
-    spawn_front = idle_front;
-    updateProgress('spawn_front');
-  }
-  
-  try {
-    spawn_back = await loadAnimationSmart(baseSpritePath + 'spawn_back', 8, 1);
-    updateProgress('spawn_back');
-  } catch (error) {
-    spawn_back = idle_back;
-    updateProgress('spawn_back');
+  // Try to load optional animations, fallback if not found
+  for (const name of animationNames.filter(name => animations[name].fallback)) {
+    const { fps, frames, fallback } = animations[name];
+    try {
+      loaded[name] = await loadAnimationSmart(basePath + name, fps, frames);
+    } catch (error) {
+      loaded[name] = loaded[fallback];
+    }
+    updateProgress(name);
   }
   
-  const loaded = {
-    idle_front,
-    idle_back,
-    walk_front,
-    walk_back,
-    hit_front,
-    hit_back,
-    death_front,
-    death_back,
-    spawn_front,
-    spawn_back
-  };
-  
   return loaded;
 }
 
@@ -31,8 +31,9 @@ import {
 } from './CharacterPhysics.js';
 import { loadAllCharacterSounds } from './CharacterSound.js';
 import { getCharacterColorHex } from '../../../config/abilities/CharacterColors.js';
+import { getAbilitySlot } from '../../../config/character/CharacterRegistry.js';
 import { startDeathFade, updateDeathFade, resetDeathFade, DEATH_FADE_CONFIG } from '../../../utils/DeathFadeUtils.js';
-import { createSpriteMesh } from '../../../utils/SpriteUtils.js';
+import { createSpriteMesh, applyCharacterTint } from '../../../utils/SpriteUtils.js';
 import { isUsing3DModels } from '../../../config/character/CharacterRenderMode.js';
 import { loadCharacterModel, configureCharacter3DModel, updateCharacter3DAnimation } from '../../../utils/Character3DLoader.js';
 
@@ -93,6 +94,9 @@ export class CharacterManager {
     this.deathFadeTimer = 0;
     this.deathFadeDuration = DEATH_FADE_CONFIG.duration;
     
+    // Spectators have no character in the scene
+    this._isSpectating = false;
+    
     // Smoke particle spawn timer
     this.smokeSpawnTimer = 0;
     const smokeConfig = getRunningSmokeConfig();
@@ -201,7 +205,7 @@ export class CharacterManager {
 
   /**
    * Load character animations and sounds
-   * @param {string} name - Character name ('lucy' or 'herald')
+   * @param {string} name - Character name (see CharacterRegistry)
    * @param {Function} onProgress - Optional progress callback (step, total, task)
    */
   async loadCharacter(name, onProgress = null) {
@@ -235,7 +239,7 @@ export class CharacterManager {
       };
       this.player = sprite;
       if (currentParent) currentParent.add(this.player);
-      else if (this.scene) this.scene.add(this.player);
+      else if (this.scene && !this._isSpectating) this.scene.add(this.player);
     }
 
     if (this.is3DMode) {
@@ -289,7 +293,7 @@ export class CharacterManager {
         if (currentParent) {
           currentParent.add(this.player);
           console.log(`[3D Model] Added to existing parent`);
-        } else if (this.scene) {
+        } else if (this.scene && !this._isSpectating) {
           this.scene.add(this.player);
           console.log(`[3D Model] Added to scene`);
         } else {
@@ -341,6 +345,7 @@ export class CharacterManager {
     this.currentAnimKey = 'idle_front';
     this.lastFacing = 'front';
     this.setCurrentAnim(this.currentAnimKey, true);
+    applyCharacterTint(this.player, name);
     
     // Force immediate texture update to ensure character image changes right away
     if (this.player && this.player.material) {
@@ -532,6 +537,38 @@ export class CharacterManager {
     return this.player;
   }
 
+  /**
+   * Remove the character from the scene for the spectator role, or bring it back
+   * Leaving the spectator role respawns the character.
+   * @param {boolean} spectating - True to remove the character, false to respawn it
+   * @param {string} gameMode - Optional game mode (combat modes use a random spawn)
+   * @param {Object} collisionManager - Optional collision manager for ground height checks
+   */
+  setSpectating(spectating, gameMode = null, collisionManager = null) {
+    if (!this.player || this._isSpectating === spectating) return;
+    
+    this._isSpectating = spectating;
+    if (spectating) {
+      this._resetRollingVisual();
+      if (this.player.parent) {
+        this.player.parent.remove(this.player);
+      }
+    } else {
+      if (this.scene) {
+        this.scene.add(this.player);
+      }
+      this.respawn(gameMode, collisionManager);
+    }
+  }
+
+  /**
+   * Check if the character is removed for the spectator role
+   * @returns {boolean} True while spectating
+   */
+  isSpectating() {
+    return this._isSpectating;
+  }
+
   /**
    * Get player size
    * @returns {number} Player size
@@ -637,7 +674,7 @@ export class CharacterManager {
 
   /**
    * Respawn character
-   * @param {string} gameMode - Optional game mode ('shooting' for random spawn)
+   * @param {string} gameMode - Optional game mode (combat modes use a random spawn)
    * @param {Object} collisionManager - Optional collision manager for ground height checks
    */
   respawn(gameMode = null, collisionManager = null) {
@@ -1003,7 +1040,7 @@ export class CharacterManager {
     if (!this.rollMesh || !this.player) return;
     
     const shouldRoll = isRunning &&
-                       this.characterName === 'herald' &&
+                       getAbilitySlot(this.characterName, 'sprint') === 'roll' &&
                        !this.isPlayingSpecialAnimation();
     
     if (!shouldRoll) {
@@ -1058,7 +1095,7 @@ export class CharacterManager {
    * @private
    */
   _shouldMuteFootsteps(isRunning) {
-    return this.characterName === 'herald' && isRunning;
+    return getAbilitySlot(this.characterName, 'sprint') === 'roll' && isRunning;
   }
 }
 
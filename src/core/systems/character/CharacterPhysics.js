@@ -6,6 +6,7 @@
 
 import { getCharacterPhysicsStats } from '../../../config/character/PhysicsConfig.js';
 import { getCharacterMovementStats, getCharacterHealthStats } from '../../../config/character/CharacterStats.js';
+import { isCombatMode } from '../../../config/gamemode/GameModeConfig.js';
 
 /**
  * Update character jump physics and ground collision
@@ -224,7 +225,7 @@ export function initializeCharacterPhysics(characterData) {
  * Respawn character physics
  * @param {THREE.Mesh} player - Player mesh
  * @param {Object} characterData - Character data object
- * @param {string} gameMode - Optional game mode ('shooting' for random spawn)
+ * @param {string} gameMode - Optional game mode (combat modes use a random spawn)
  * @param {Object} collisionManager - Optional collision manager for ground height checks
  */
 export function respawnCharacterPhysics(player, characterData, gameMode = null, collisionManager = null) {
@@ -234,8 +235,8 @@ export function respawnCharacterPhysics(player, characterData, gameMode = null,
   let spawnX = 0;
   let spawnZ = 0;
   
-  // For shooting mode (Mystic Battle), spawn at random position
-  if (gameMode === 'shooting' && collisionManager) {
+  // For combat modes (Mystic Battle, Mystic Clash), spawn at random position
+  if (isCombatMode(gameMode) && collisionManager) {
     // Get arena size (try to get from collision manager or use default)
     const arenaSize = collisionManager.arenaSize || 20;
     const halfArena = arenaSize / 2 - 2; // Leave margin from edges
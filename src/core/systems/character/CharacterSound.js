@@ -6,6 +6,7 @@
 
 import { getLoadingProgressManager } from '../../../utils/LoadingProgressManager.js';
 import { tryLoadAudio, getAudioPath } from '../../../utils/AudioLoader.js';
+import { getCharacterManifest } from '../../../config/character/CharacterRegistry.js';
 
 /**
  * Sound file extensions to try
@@ -43,11 +44,11 @@ async function tryLoadSound(path) {
  * @returns {Promise<string|null>} Path to sound file if found, null otherwise
  */
 export async function loadCharacterSound(characterName, soundName) {
-  const baseSpritePath = `/assets/characters/${characterName}/`;
+  const baseSoundPath = getCharacterManifest(characterName).sounds.basePath;
   const genericSoundPath = '/assets/sounds';
   
   // Try character-specific sound first
-  const characterSoundPath = `${baseSpritePath}${soundName}`;
+  const characterSoundPath = `${baseSoundPath}${soundName}`;
   const characterSound = await tryLoadSound(characterSoundPath);
   
   if (characterSound) {
@@ -130,6 +131,7 @@ export async function loadAllCharacterSounds(characterName, soundManager, onProg
  */
 async function preloadAbilitySounds(characterName, onProgress = null) {
   const normalizedCharacterName = characterName.toLowerCase();
+  const baseSoundPath = getCharacterManifest(normalizedCharacterName).sounds.basePath;
   
   // List of ability sounds to preload
   const abilitySounds = [
@@ -137,7 +139,7 @@ async function preloadAbilitySounds(characterName, onProgress = null) {
       name: 'bolt_shot',
       paths: [
         // Character-specific paths (without extension)
-        `/assets/characters/${normalizedCharacterName}/bolt_shot`,
+        `${baseSoundPath}bolt_shot`,
         // Abilities folder paths (getAudioPath returns .wav, so we'll try other extensions too)
         getAudioPath('abilities', 'bolt', 'bolt_shot', normalizedCharacterName),
         // Generic fallback
@@ -147,7 +149,7 @@ async function preloadAbilitySounds(characterName, onProgress = null) {
     {
       name: 'mortar_launch',
       paths: [
-        `/assets/characters/${normalizedCharacterName}/mortar_launch`,
+        `${baseSoundPath}mortar_launch`,
         getAudioPath('abilities', 'mortar', 'mortar_launch', normalizedCharacterName),
         getAudioPath('abilities', 'mortar', 'mortar_launch')
       ]
@@ -155,8 +157,8 @@ async function preloadAbilitySounds(characterName, onProgress = null) {
     {
       name: 'mortar_explosion',
       paths: [
-        `/assets/characters/${normalizedCharacterName}/mortar_explosion`,
-        `/assets/characters/${normalizedCharacterName}/mortar_splash`,
+        `${baseSoundPath}mortar_explosion`,
+        `${baseSoundPath}mortar_splash`,
         getAudioPath('abilities', 'mortar', 'mortar_explosion', normalizedCharacterName),
         getAudioPath('abilities', 'mortar', 'mortar_explosion')
       ]
@@ -164,8 +166,8 @@ async function preloadAbilitySounds(characterName, onProgress = null) {
     {
       name: 'melee_swing',
       paths: [
-        `/assets/characters/${normalizedCharacterName}/melee_swing`,
-        `/assets/characters/${normalizedCharacterName}/melee`,
+        `${baseSoundPath}melee_swing`,
+        `${baseSoundPath}melee`,
         getAudioPath('abilities', 'melee', 'melee_swing', normalizedCharacterName),
         getAudioPath('abilities', 'melee', 'melee_swing')
       ]
@@ -173,8 +175,8 @@ async function preloadAbilitySounds(characterName, onProgress = null) {
     {
       name: 'melee_hit',
       paths: [
-        `/assets/characters/${normalizedCharacterName}/melee_hit`,
-        `/assets/characters/${normalizedCharacterName}/melee`,
+        `${baseSoundPath}melee_hit`,
+        `${baseSoundPath}melee`,
         getAudioPath('abilities', 'melee', 'melee_hit', normalizedCharacterName),
         getAudioPath('abilities', 'melee', 'melee_hit')
       ]
@@ -100,15 +100,7 @@ export class CollisionManager {
   _updateInnerWalls() {
     // Remove existing inner walls
     for (const wall of this.innerWalls) {
-      this.scene.remove(wall);
-      const index = this.walls.indexOf(wall);
-      if (index > -1) {
-        this.walls.splice(index, 1);
-      }
-      
-      // Clean up
-      if (wall.geometry) wall.geometry.dispose();
-      if (wall.material) wall.material.dispose();
+      this.removeWall(wall);
     }
     this.innerWalls = [];
 
@@ -139,6 +131,24 @@ export class CollisionManager {
     return wall;
   }
 
+  /**
+   * Remove a wall from the scene and dispose of it
+   * Used for inner walls when the mode changes and for walls abilities raise at runtime.
+   * @param {THREE.Mesh} wall - Wall mesh from addWall
+   */
+  removeWall(wall) {
+    if (!wall) return;
+    this.scene.remove(wall);
+    const index = this.walls.indexOf(wall);
+    if (index > -1) {
+      this.walls.splice(index, 1);
+    }
+    
+    // Clean up
+    if (wall.geometry) wall.geometry.dispose();
+    if (wall.material) wall.material.dispose();
+  }
+
   /**
    * Get AABB for a mesh
    * @param {THREE.Mesh} mesh - Mesh to get AABB for
@@ -273,6 +283,14 @@ export class CollisionManager {
     return this.updateRespawnSystem(playerPos.x, playerPos.z, playerPos.y, 0, dt);
   }
 
+  /**
+   * Check if the player is out of the arena and the respawn timer is running
+   * @returns {boolean} True while waiting to respawn
+   */
+  isAwaitingRespawn() {
+    return this.isFallingOutside;
+  }
+
   /**
    * Reset respawn state
    */
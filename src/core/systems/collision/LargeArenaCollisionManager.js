@@ -52,15 +52,7 @@ export class LargeArenaCollisionManager extends CollisionManager {
   _updateInnerWalls() {
     // Remove existing inner walls
     for (const wall of this.innerWalls) {
-      this.scene.remove(wall);
-      const index = this.walls.indexOf(wall);
-      if (index > -1) {
-        this.walls.splice(index, 1);
-      }
-      
-      // Clean up
-      if (wall.geometry) wall.geometry.dispose();
-      if (wall.material) wall.material.dispose();
+      this.removeWall(wall);
     }
     this.innerWalls = [];
 
@@ -13,9 +13,11 @@ import * as THREE from 'https://unpkg.com/three@0.160.1/build/three.module.js';
  * @param {Array<THREE.Mesh>} collectibles - Array of collectible meshes
  * @param {Array<THREE.Group>} hazards - Array of hazard groups
  * @param {Array<THREE.Group>} checkpoints - Array of checkpoint groups
- * @returns {Object} Collision results with collectible, hazard, and checkpoint
+ * @param {Array<THREE.Mesh>} crystals - Array of team crystal meshes (capture-the-crystal)
+ * @param {Array<THREE.Group>} crystalBases - Array of team base groups (capture-the-crystal)
+ * @returns {Object} Collision results with collectible, hazard, checkpoint, crystal, and crystalBase
  */
-export function checkPlayerCollision(playerPos, playerSize, collectibles, hazards, checkpoints) {
+export function checkPlayerCollision(playerPos, playerSize, collectibles, hazards, checkpoints, crystals = [], crystalBases = []) {
   const halfSize = playerSize / 2;
   const playerBox = new THREE.Box3(
     new THREE.Vector3(playerPos.x - halfSize, playerPos.y - 0.5, playerPos.z - halfSize),
@@ -25,7 +27,9 @@ export function checkPlayerCollision(playerPos, playerSize, collectibles, hazard
   const results = {
     collectible: null,
     hazard: null,
-    checkpoint: null
+    checkpoint: null,
+    crystal: null,
+    crystalBase: null
   };
 
   // Check collectibles
@@ -60,6 +64,26 @@ export function checkPlayerCollision(playerPos, playerSize, collectibles, hazard
     }
   }
 
+  // Check team crystals (carried crystals follow their carrier and can't be touched)
+  for (const crystal of crystals) {
+    if (crystal.userData.carried) continue;
+    
+    const crystalBox = new THREE.Box3().setFromObject(crystal);
+    if (playerBox.intersectsBox(crystalBox)) {
+      results.crystal = crystal;
+      break;
+    }
+  }
+
+  // Check team bases
+  for (const base of crystalBases) {
+    const baseBox = new THREE.Box3().setFromObject(base);
+    if (playerBox.intersectsBox(baseBox)) {
+      results.crystalBase = base;
+      break;
+    }
+  }
+
   return results;
 }
 
@@ -8,7 +8,7 @@
  * - EntityStats.js: Entity stats configuration
  * - Collectible.js: Collectible creation and management
  * - Hazard.js: Hazard creation and movement
- * - Checkpoint.js: Checkpoint creation and activation
+ * - Checkpoint.js: Checkpoint creation and activation (also used for crystal bases and the shrine zone)
  * - Confetti.js: Confetti effect handling
  * - EntityAnimation.js: Entity animation updates
  * - CollisionDetector.js: Collision detection logic
@@ -17,8 +17,11 @@
 
 import * as THREE from 'https://unpkg.com/three@0.160.1/build/three.module.js';
 import { getSpawnStats } from '../../../config/entity/EntityStats.js';
+import { getTeamIds, getTeamConfig } from '../../../config/gamemode/TeamConfig.js';
+import { getCrystalStats, getBasePosition } from '../../../config/gamemode/CrystalConfig.js';
+import { getHillStats } from '../../../config/gamemode/HillConfig.js';
 import { createCollectible, collectItem, updateCollectible } from './Collectible.js';
-import { createHazard, updateHazard } from './Hazard.js';
+import { createHazard, updateHazard, removeHazard } from './Hazard.js';
 import { createCheckpoint, activateCheckpoint, updateCheckpoint } from './Checkpoint.js';
 import { createConfettiBurst, updateConfetti, removeConfetti } from './Confetti.js';
 import { updateCollectibleAnimation, updateCheckpointAnimation } from './EntityAnimation.js';
@@ -40,6 +43,9 @@ export class EntityManager {
     this.collectibles = [];
     this.hazards = [];
     this.checkpoints = [];
+    this.crystals = []; // Team crystals (capture-the-crystal)
+    this.crystalBases = []; // Team bases (capture-the-crystal)
+    this.hillZone = null; // Wandering shrine zone (king-of-the-hill)
     this.collectedIds = new Set();
     this.confettiEffects = []; // Store active confetti bursts
     this.totalCollectiblesCount = 0; // Track initial total count for display
@@ -105,7 +111,9 @@ export class EntityManager {
       playerSize,
       this.collectibles,
       this.hazards,
-      this.checkpoints
+      this.checkpoints,
+      this.crystals,
+      this.crystalBases
     );
   }
 
@@ -202,6 +210,148 @@ export class EntityManager {
     });
   }
 
+  /**
+   * Spawn team bases and crystals for capture-the-crystal mode
+   * Bases are shrines and crystals are gems, both tinted in their team's color.
+   */
+  spawnCrystalsForCapture() {
+    this.clearAll();
+    
+    const crystalStats = getCrystalStats();
+    getTeamIds().forEach(teamId => {
+      const position = getBasePosition(teamId, this.arenaSize);
+      const teamColor = getTeamConfig(teamId).color;
+      
+      const base = createCheckpoint(this.scene, position.x, position.z, `base_${teamId}`);
+      base.userData.team = teamId;
+      base.userData.crystal.material.color.setHex(teamColor);
+      base.userData.crystal.material.emissive.setHex(teamColor);
+      base.userData.ring.material.color.setHex(teamColor);
+      base.userData.ring.material.emissive.setHex(teamColor);
+      base.userData.glowLight.color.setHex(teamColor);
+      this.crystalBases.push(base);
+      
+      const crystal = createCollectible(this.scene, position.x, position.z, `crystal_${teamId}`);
+      crystal.userData.team = teamId;
+      crystal.userData.carried = false;
+      crystal.userData.baseHeight = crystal.userData.baseHeight * crystalStats.crystalScale;
+      crystal.scale.setScalar(crystalStats.crystalScale);
+      crystal.material.color.setHex(teamColor);
+      crystal.material.emissive.setHex(teamColor);
+      crystal.userData.glowLight.color.setHex(teamColor);
+      this.crystals.push(crystal);
+    });
+  }
+
+  /**
+   * Place team crystals to match their server state
+   * @param {Object} crystalStates - Crystal states {teamId: {state, carrierId, x, z}}
+   * @param {Function} getCarrierMesh - Returns the mesh for a carrier player ID (or null)
+   */
+  updateCrystals(crystalStates, getCarrierMesh) {
+    if (!crystalStates) return;
+    
+    const crystalStats = getCrystalStats();
+    for (const crystal of this.crystals) {
+      const teamId = crystal.userData.team;
+      const state = crystalStates[teamId];
+      if (!state) continue;
+      
+      const carrier = state.state === 'carried' ? getCarrierMesh(state.carrierId) : null;
+      crystal.userData.carried = state.state === 'carried';
+      
+      if (carrier) {
+        crystal.position.set(carrier.position.x, carrier.position.y + crystalStats.carryHeight, carrier.position.z);
+      } else if (state.state === 'dropped') {
+        crystal.position.x = state.x;
+        crystal.position.z = state.z;
+      } else if (state.state === 'home') {
+        const home = getBasePosition(teamId, this.arenaSize);
+        crystal.position.x = home.x;
+        crystal.position.z = home.z;
+      }
+      
+      if (crystal.userData.glowLight) {
+        crystal.userData.glowLight.position.copy(crystal.position);
+      }
+    }
+  }
+
+  /**
+   * Spawn the shrine zone for king-of-the-hill mode
+   * The zone is a shrine with a ground ring showing how far the zone reaches.
+   * @param {Object} position - Zone position {x, z}
+   */
+  spawnHillZone(position) {
+    this.clearAll();
+    
+    const hillStats = getHillStats();
+    const zone = createCheckpoint(this.scene, position.x, position.z, 'hill_zone');
+    
+    const ringGeo = new THREE.RingGeometry(hillStats.radius - 0.15, hillStats.radius, 48);
+    const ringMat = new THREE.MeshBasicMaterial({
+      color: hillStats.ringColor,
+      transparent: true,
+      opacity: hillStats.ringOpacity,
+      side: THREE.DoubleSide,
+      depthWrite: false
+    });
+    const groundRing = new THREE.Mesh(ringGeo, ringMat);
+    groundRing.rotation.x = -Math.PI / 2;
+    groundRing.position.y = 0.05;
+    zone.add(groundRing);
+    
+    zone.userData.type = 'hillZone';
+    zone.userData.radius = hillStats.radius;
+    zone.userData.groundRing = groundRing;
+    zone.userData.contested = false;
+    this.hillZone = zone;
+  }
+
+  /**
+   * Move the shrine zone
+   * @param {Object} position - New zone position {x, z}
+   */
+  moveHillZone(position) {
+    if (!this.hillZone) return;
+    
+    this.hillZone.position.x = position.x;
+    this.hillZone.position.z = position.z;
+    if (this.hillZone.userData.glowLight) {
+      this.hillZone.userData.glowLight.position.x = position.x;
+      this.hillZone.userData.glowLight.position.z = position.z;
+    }
+  }
+
+  /**
+   * Show whether the shrine zone is contested
+   * @param {boolean} contested - True if more than one player is in the zone
+   */
+  setHillZoneContested(contested) {
+    if (!this.hillZone || this.hillZone.userData.contested === contested) return;
+    
+    const hillStats = getHillStats();
+    this.hillZone.userData.contested = contested;
+    this.hillZone.userData.groundRing.material.color.setHex(contested ? hillStats.contestedColor : hillStats.ringColor);
+  }
+
+  /**
+   * Get the shrine zone
+   * @returns {THREE.Group|null} Zone group or null outside king-of-the-hill
+   */
+  getHillZone() {
+    return this.hillZone;
+  }
+
+  /**
+   * Get the crystal mesh for a team
+   * @param {string} teamId - Team ID
+   * @returns {THREE.Mesh|null} Crystal mesh or null
+   */
+  getCrystal(teamId) {
+    return this.crystals.find(crystal => crystal.userData.team === teamId) || null;
+  }
+
   /**
    * Generate random positions for spawning entities
    * @param {number} count - Number of positions to generate
@@ -349,6 +499,23 @@ export class EntityManager {
     for (const checkpoint of this.checkpoints) {
       updateCheckpointAnimation(checkpoint, dt, currentTime);
     }
+    
+    // Update team crystals and bases (carried crystals are placed by updateCrystals)
+    for (const crystal of this.crystals) {
+      if (crystal.userData.carried) {
+        crystal.rotation.y += dt * 1.2;
+        continue;
+      }
+      updateCollectibleAnimation(crystal, dt, null, currentTime);
+    }
+    for (const base of this.crystalBases) {
+      updateCheckpointAnimation(base, dt, currentTime);
+    }
+    
+    // Update shrine zone
+    if (this.hillZone) {
+      updateCheckpointAnimation(this.hillZone, dt, currentTime);
+    }
   }
 
   /**
@@ -380,19 +547,7 @@ export class EntityManager {
     
     // Remove hazards - release geometries to pool
     for (const hazard of this.hazards) {
-      this.scene.remove(hazard);
-      // Release geometries to pool instead of disposing
-      pool.releaseFromGroup(hazard, 1);
-      // Dispose materials
-      hazard.traverse((child) => {
-        if (child.material) {
-          if (Array.isArray(child.material)) {
-            child.material.forEach(material => material.dispose());
-          } else {
-            child.material.dispose();
-          }
-        }
-      });
+      removeHazard(this.scene, hazard);
     }
     
     // Remove checkpoints
@@ -408,6 +563,44 @@ export class EntityManager {
       });
     }
     
+    // Remove team crystals - release geometries to pool
+    for (const crystal of this.crystals) {
+      if (crystal.userData.glowLight) {
+        this.scene.remove(crystal.userData.glowLight);
+      }
+      this.scene.remove(crystal);
+      if (crystal.geometry) {
+        pool.releaseFromMesh(crystal, 1);
+      }
+      if (crystal.material) {
+        crystal.material.dispose();
+      }
+    }
+    
+    // Remove team bases
+    for (const base of this.crystalBases) {
+      if (base.userData.glowLight) {
+        this.scene.remove(base.userData.glowLight);
+      }
+      this.scene.remove(base);
+      base.traverse((child) => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+      });
+    }
+    
+    // Remove shrine zone
+    if (this.hillZone) {
+      if (this.hillZone.userData.glowLight) {
+        this.scene.remove(this.hillZone.userData.glowLight);
+      }
+      this.scene.remove(this.hillZone);
+      this.hillZone.traverse((child) => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) child.material.dispose();
+      });
+    }
+    
     // Clean up confetti effects
     for (const effect of this.confettiEffects) {
       removeConfetti(this.scene, effect);
@@ -417,6 +610,9 @@ export class EntityManager {
     this.collectibles = [];
     this.hazards = [];
     this.checkpoints = [];
+    this.crystals = [];
+    this.crystalBases = [];
+    this.hillZone = null;
     this.collectedIds.clear();
     this.confettiEffects = [];
     this.totalCollectiblesCount = 0;
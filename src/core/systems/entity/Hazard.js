@@ -1,7 +1,8 @@
 /**
  * Hazard.js
  * 
- * Handles hazard (thorn) creation, movement, and updates.
+ * Handles hazard (thorn) creation, movement, updates and removal.
+ * Also used for thorn traps that abilities drop (see TrapAbility).
  */
 
 import * as THREE from 'https://unpkg.com/three@0.160.1/build/three.module.js';
@@ -146,3 +147,26 @@ export function updateHazard(hazard, dt, collisionManager, arenaSize) {
   }
 }
 
+/**
+ * Remove a hazard from the scene
+ * Geometries go back to the pool; materials are disposed.
+ * @param {Object} scene - THREE.js scene
+ * @param {THREE.Group} hazard - Hazard group
+ */
+export function removeHazard(scene, hazard) {
+  if (!hazard) return;
+  if (scene) {
+    scene.remove(hazard);
+  }
+  hazard.userData.active = false;
+  getGeometryPool().releaseFromGroup(hazard, 1);
+  hazard.traverse((child) => {
+    if (child.material) {
+      if (Array.isArray(child.material)) {
+        child.material.forEach(material => material.dispose());
+      } else {
+        child.material.dispose();
+      }
+    }
+  });
+}
@@ -6,8 +6,9 @@
  */
 
 import * as THREE from 'https://unpkg.com/three@0.160.1/build/three.module.js';
-import { getCharacterColor, getMeleeStats, getMortarStats, getBlastStats, getMultiProjectileStats, getHeraldRollStats } from '../abilities/functions/CharacterAbilityStats.js';
-import { LUCY_MELEE_ATTACK_CONFIG } from '../../../config/abilities/characters/lucy/melee/AttackConfig.js';
+import { getCharacterColor, getMeleeStats, getMortarStats } from '../abilities/functions/CharacterAbilityStats.js';
+import { AbilityLoadout } from '../abilities/functions/ability/AbilityLoadout.js';
+import { getAbilitySlot, hasCharacterTrait, getNextCharacterName } from '../../../config/character/CharacterRegistry.js';
 import { setLastCharacter } from '../../../utils/StorageUtils.js';
 import { createMortarArcPreview, updateMortarArcPreview, removeMortarArcPreview } from '../abilities/functions/mortar/MortarArcPreview.js';
 import { checkSplashAreaCollision } from '../abilities/functions/mortar/SplashArea.js';
@@ -15,6 +16,13 @@ import { VibrationManager } from '../../../utils/VibrationManager.js';
 import { getHealingVibrationInterval } from '../../../config/global/VibrationConfig.js';
 import { getVibrationIntensity } from '../../../utils/StorageUtils.js';
 import { getRespawnStats } from '../../../config/collision/CollisionStats.js';
+import { InputPredictionManager, applyMovementWithSliding } from '../multiplayer/InputPredictionManager.js';
+import { isCombatMode, isTeamMode, isCoopMode, allowsBots } from '../../../config/gamemode/GameModeConfig.js';
+import { getSpectatorStats } from '../../../config/global/SpectatorConfig.js';
+import { AbilityWorld } from './handlers/AbilityWorld.js';
+import { StatusEffectManager } from '../statusEffects/StatusEffectManager.js';
+import { getStatusEffectOptions } from '../statusEffects/StatusEffects.js';
+import { isBotId } from '../../../config/global/KillFeedConfig.js';
 
 export class GameLoop {
   /**
@@ -46,6 +54,9 @@ export class GameLoop {
     this.remotePlayerManager = remotePlayerManager;
     this.learningManager = learningManager;
     
+    // Client-side prediction for the local player (only records while in a room)
+    this.inputPrediction = multiplayerManager ? new InputPredictionManager(multiplayerManager, collisionManager) : null;
+    
     // Set up bot death callback to track kills
     if (this.botManager) {
       this.botManager.setOnBotDeathCallback((killerId) => {
@@ -62,6 +73,21 @@ export class GameLoop {
           }
         }
       });
+      
+      // Bots are simulated here, so their deaths are reported for the kill feed
+      this.botManager.setOnBotKilledCallback(({ killerId, victimId, attackType }) => {
+        this._reportKill(killerId, victimId, attackType);
+        if (killerId === 'local' && this.ultimateMeter) {
+          this.ultimateMeter.addKill();
+        }
+      });
+      
+      // Damage the local player deals to bots charges the ultimate
+      this.botManager.setOnBotDamagedCallback(({ attackerId, damage }) => {
+        if (attackerId === 'local' && this.ultimateMeter) {
+          this.ultimateMeter.addDamage(damage);
+        }
+      });
     }
     
     this.lastTime = performance.now();
@@ -70,60 +96,50 @@ export class GameLoop {
     this.lastMortarInput = false;
     this.lastCharacterSwapInput = false;
     this.lastSwordSwingInput = false;
+    this.lastSprintInput = false;
     this.lastSpeedBoostInput = false;
+    this.lastUltimateInput = false;
     this.lastHealInput = false;
     
+    this.ultimateMeter = null; // Local player's ultimate charge (set by setUltimateMeter)
+    
     // Healing hold duration tracking
     this.healHoldDuration = 0; // Time in seconds that heal button has been held
     
-    // Sword swing animation tracking
-    this.swordSwingAnimationTime = 0;
-    this.swordSwingAnimationDuration = 0.5; // Default duration (will be updated per character)
     this.lastCharacterPositionForParticles = null; // Track character position for particles that follow
-    this.swordSwingCircle = null; // Reference to the sword swing circle visual effect
-    
-    // Blast animation tracking (Herald)
-    this.blastAnimationTime = 0;
-    this.blastAnimationDuration = 0.8; // Default duration
-    this.blastCircle = null; // Reference to the blast circle visual effect
-    
-    // Multi-projectile animation tracking (Lucy)
-    this.multiProjectileAnimationTime = 0;
-    this.multiProjectileAnimationDuration = 0.6; // Default duration
-    this.multiProjectileCircle = null; // Reference to the multi-projectile circle visual effect
-    this.meleeDamageTickTimer = 0; // Timer for damage over time ticks
-    this.meleeAffectedEntities = new Set(); // Track entities in range for damage over time
-    this.meleeDamagePerTick = null; // Damage per tick (set during attack)
-    this.meleeTickInterval = null; // Tick interval (set during attack)
-    this.meleeRange = null; // Attack range (set during attack)
-    this.meleeCooldownTimer = 0; // Cooldown timer for melee attacks
-    this.specialAbilityCooldownTimer = 0; // Cooldown timer for special abilities (Herald blast, Lucy multi-projectile)
-    this.meleePoisonDamage = null; // Poison damage per tick (set during attack)
-    this.meleePoisonTickInterval = null; // Poison tick interval (set during attack)
-    this.meleePoisonDuration = null; // Poison duration (set during attack)
-    this.meleeInitialDamage = null; // Initial damage on first hit (set during attack)
-    this.meleeSlowSpeedMultiplier = null; // Speed multiplier when poisoned (set during attack)
-    this.poisonedEntities = new Map(); // Track poisoned entities: Map<entity, {timeLeft, tickTimer, damage, tickInterval, speedMultiplier}>
-    this.heraldRollKnockCooldowns = new Map(); // Track last knockback time per entity during Herald roll
-    this.pushedByTracker = new Map(); // Track who pushed each entity: Map<entityId, {pusherId, timestamp}>
+    
+    // Abilities (melee, blast, roll, mortar hold, ...) for the local player and each remote player
+    this.abilityWorld = new AbilityWorld(this);
+    this.abilityLoadout = new AbilityLoadout(characterManager.getCharacterName());
+    this.remoteAbilityLoadouts = new Map(); // Remote player ID -> AbilityLoadout
+    if (this.botManager) {
+      this.botManager.setAbilityWorld(this.abilityWorld);
+    }
+    
+    this.statusEffects = new StatusEffectManager(healthBarManager); // Poison, stun and shield on every entity
+    this.pushedByTracker = new Map(); // Track who pushed each entity: Map<entityId, {pusherId, timestamp, abilityType}>
     
     // Callback to update character UI when character changes via controller
     this.characterUIUpdateCallback = null;
     
+    // Callback for kill feed entries seen while not in a room (in a room they go through the server)
+    this.localKillCallback = null;
+    
     // Mortar arc preview visualization
     this.mortarArcPreview = null; // Reference to arc preview line
     this._lastArcPreviewUpdate = 0; // Timestamp of last arc preview update
     this._arcPreviewUpdateInterval = 16; // Update every ~16ms (60fps max)
     
     // Mortar hold state tracking
-    this.mortarHoldActive = false; // True when in mortar hold mode (toggled with RB)
-    this.mortarHoldVisual = null; // Visual effect for holding mortar spell
     this.lastMortarHoldInput = false; // Track RB press for toggle detection
     this.lastLeftTriggerInput = false; // Track LT press/release
     this.lastRightTriggerInput = false; // Track RT press/release
     this.mortarReleaseCooldown = 0; // Cooldown timer after releasing mortar (prevents immediate bolt)
     this.healingActive = false; // Track if healing is currently active
     
+    // Spectator camera (room spectators and players waiting to respawn)
+    this.spectatorManager = null;
+    
     // Visual effects managers
     this.screenShakeManager = null;
     this.damageNumberManager = null;
@@ -196,6 +212,22 @@ export class GameLoop {
   setKillStreakManager(killStreakManager) {
     this.killStreakManager = killStreakManager;
   }
+
+  /**
+   * Set ultimate meter
+   * @param {UltimateMeter} ultimateMeter - Local player's ultimate meter
+   */
+  setUltimateMeter(ultimateMeter) {
+    this.ultimateMeter = ultimateMeter;
+  }
+  
+  /**
+   * Set spectator manager
+   * @param {Object} spectatorManager - Spectator manager instance
+   */
+  setSpectatorManager(spectatorManager) {
+    this.spectatorManager = spectatorManager;
+  }
   
   /**
    * Set scene manager for shake effects
@@ -229,23 +261,24 @@ export class GameLoop {
     }
     
     // Clean up mortar hold visual when stopping
-      if (this.mortarHoldVisual) {
-        this._removeMortarHoldVisual();
-      }
+    this._cancelMortarHold();
+    
+    this.statusEffects.clearAll();
   }
 
   /**
-   * Reset all cooldowns (melee and mortar release cooldown)
+   * Reset all cooldowns (abilities and mortar release cooldown)
    * Called on death/respawn to ensure all abilities are ready
    */
   resetCooldowns() {
-    this.meleeCooldownTimer = 0;
+    this.abilityLoadout.resetCooldowns();
     this.mortarReleaseCooldown = 0;
     
-    // Sync melee cooldown reset to ProjectileManager
+    // Sync cooldown reset to ProjectileManager
     if (this.projectileManager) {
       const playerId = 'local';
       this.projectileManager.setMeleeCooldown(playerId, 0);
+      this.projectileManager.setSpecialAbilityCooldown(playerId, 0);
     }
   }
 
@@ -302,6 +335,13 @@ export class GameLoop {
     // Update gamepad input state (polling each frame)
     this.inputManager.updateGamepad(dt);
     
+    // Room spectators have no character: only watch the room
+    if (this._updateSpectatorRole()) {
+      this._updateSpectating(dt);
+      return;
+    }
+    this._updateRespawnSpectating();
+    
     const input = this.inputManager.getInputVector();
     const mode = this.gameModeManager ? this.gameModeManager.getMode() : 'free-play';
     const requiresStart = mode === 'time-trial' || mode === 'survival';
@@ -341,12 +381,10 @@ export class GameLoop {
       this.learningManager.updateLearning();
     }
     
-    const heraldAbilitiesBlocked = this._isHeraldSprinting();
-    this.inputManager.setAbilityInputsBlocked(heraldAbilitiesBlocked);
-    if (heraldAbilitiesBlocked) {
-      if (this.mortarHoldActive) {
-        this._cancelMortarHold();
-      }
+    const abilitiesBlocked = this._areAbilitiesBlocked();
+    this.inputManager.setAbilityInputsBlocked(abilitiesBlocked);
+    if (abilitiesBlocked) {
+      this._cancelMortarHold();
       if (this.healingActive) {
         this.healingActive = false;
         this.inputManager.setHealingActive(false);
@@ -354,6 +392,7 @@ export class GameLoop {
       this.healHoldDuration = 0;
       this.lastShootInput = false;
       this.lastSpeedBoostInput = false;
+      this.lastUltimateInput = false;
       this.lastMortarInput = false;
     }
     
@@ -375,19 +414,13 @@ export class GameLoop {
         removeMortarArcPreview(this.mortarArcPreview, this.sceneManager.getScene());
         this.mortarArcPreview = null;
       }
-      // Clean up mortar hold visual when projectile manager is not available
-      if (this.mortarHoldVisual) {
-        this._removeMortarHoldVisual();
-      }
-      // Reset mortar hold state
-      if (this.mortarHoldActive) {
-        this.mortarHoldActive = false;
-        this.inputManager.setMortarHoldActive(false);
-      }
+      // Drop the held mortar spell when projectile manager is not available
+      this._cancelMortarHold();
     }
     
-    // Handle jump input - check double jump first, then regular jump
-    if (canMove && this.inputManager.isJumpPressed()) {
+    // Handle jump input - check double jump first, then regular jump (not while stunned)
+    const canJump = canMove && !this.statusEffects.isStunned(player);
+    if (canJump && this.inputManager.isJumpPressed()) {
       // If double jump is detected, try double jump first
       if (this.inputManager.isDoubleJumpDetected()) {
         this.characterManager.doubleJump();
@@ -417,62 +450,35 @@ export class GameLoop {
     }
     this._wasGrounded = isGrounded || false;
     
-    // Handle character swap (Y button)
+    // Handle character swap (Y button, which toggles free-fly while spectating)
     const characterSwapInput = this.inputManager.isCharacterSwapPressed();
-    if (characterSwapInput && !this.lastCharacterSwapInput) {
+    const isRespawnSpectating = !!this.spectatorManager && this.spectatorManager.isActive();
+    if (characterSwapInput && !this.lastCharacterSwapInput && !isRespawnSpectating) {
       this._handleCharacterSwap();
     }
     this.lastCharacterSwapInput = characterSwapInput;
-    // Handle sword swing (B button) - now used for special abilities
+    // Handle special ability (B button) - the ability in the character's special slot
     const swordSwingInput = this.inputManager.isSwordSwingPressed();
-    if (!heraldAbilitiesBlocked && swordSwingInput && !this.lastSwordSwingInput) {
-      const characterName = this.characterManager.getCharacterName();
-      if (characterName === 'herald') {
-        // Check special ability cooldown for Herald's blast
-        if (this.specialAbilityCooldownTimer <= 0) {
-          this._handleHeraldBlast(player);
-        }
-      } else if (characterName === 'lucy') {
-        // Lucy's melee attack fires projectiles in 360-degree pattern
-        // Use melee cooldown instead of special ability cooldown
-        if (this.meleeCooldownTimer <= 0) {
-          this._handleSwordSwing(player);
-        }
-      } else {
-        // Fallback to melee for other characters
-        if (this.meleeCooldownTimer <= 0) {
-          this._handleSwordSwing(player);
-        }
-      }
+    if (!abilitiesBlocked && swordSwingInput && !this.lastSwordSwingInput) {
+      const aim = this._getAimDirection(player);
+      this._activateLocalAbility(this.abilityLoadout.getSlot('special'), player, {
+        direction: { x: aim.directionX, z: aim.directionZ }
+      });
     }
     this.lastSwordSwingInput = swordSwingInput;
     
-    // Update special ability cooldown timer
-    if (this.specialAbilityCooldownTimer > 0) {
-      this.specialAbilityCooldownTimer -= dt;
-      if (this.specialAbilityCooldownTimer < 0) {
-        this.specialAbilityCooldownTimer = 0;
-      }
-    }
-    
-    // Update melee cooldown timer
-    if (this.meleeCooldownTimer > 0) {
-      this.meleeCooldownTimer -= dt;
-      if (this.meleeCooldownTimer < 0) {
-        this.meleeCooldownTimer = 0;
+    // Dash when sprinting starts (characters with a dash in their sprint slot)
+    const sprintInput = this.inputManager.isRunning();
+    if (!abilitiesBlocked && sprintInput && !this.lastSprintInput) {
+      const dash = this.abilityLoadout.getSlot('sprint');
+      if (dash && dash.name === 'dash') {
+        this._activateLocalAbility(dash, player, { direction: this._getDashDirection(player) });
       }
     }
-    
-    // Sync melee cooldown to ProjectileManager for UI display
-    if (this.projectileManager) {
-      const playerId = 'local';
-      this.projectileManager.setMeleeCooldown(playerId, this.meleeCooldownTimer);
-      // Sync special ability cooldown for UI display
-      this.projectileManager.setSpecialAbilityCooldown(playerId, this.specialAbilityCooldownTimer);
-    }
+    this.lastSprintInput = sprintInput;
     
     // Handle heal/reload (X button)
-    const healInput = heraldAbilitiesBlocked ? false : this.inputManager.isHealPressed();
+    const healInput = abilitiesBlocked ? false : this.inputManager.isHealPressed();
 
     // Track heal button press/release to reset hold duration
     if (healInput && !this.lastHealInput) {
@@ -487,8 +493,8 @@ export class GameLoop {
     let isHealingActive = false;
     
 
-    // In shooting mode, X button is for reload (tap) or heal (hold)
-    if (mode === 'shooting' && this.projectileManager) {
+    // In combat modes, X button is for reload (tap) or heal (hold)
+    if (isCombatMode(mode) && this.projectileManager) {
       // Define threshold for tap vs hold (in seconds)
       const tapThreshold = 0.3; // 300ms
 
@@ -554,8 +560,19 @@ export class GameLoop {
       
       this.characterManager.respawn(currentMode, this.collisionManager);
       
-      // Clear push tracking for local player
+      // Clear push tracking and status effects for local player
       this.pushedByTracker.delete('local');
+      this.statusEffects.clear(this.characterManager.getPlayer());
+      
+      // Sync full health after falling out (server allows this only below the fall threshold)
+      if (this.multiplayerManager && this.multiplayerManager.isInRoom()) {
+        this.multiplayerManager.sendPlayerDamage({
+          damage: 0,
+          health: this.characterManager.getHealth(),
+          maxHealth: this.characterManager.getMaxHealth(),
+          isRespawn: true
+        });
+      }
       
       // Vibration for respawn
       if (this.vibrationManager) {
@@ -564,7 +581,17 @@ export class GameLoop {
     }
     
     // Handle movement
-    this._handleMovement(dt, player, input, canMove);
+    const movementStart = { x: player.position.x, z: player.position.z };
+    const appliedMovement = this._handleMovement(dt, player, input, canMove);
+    
+    // Record this frame's input for server reconciliation
+    if (this.inputPrediction) {
+      this.inputPrediction.recordCommand({
+        dt,
+        ...appliedMovement,
+        jump: canJump && this.inputManager.isJumpPressed()
+      }, movementStart, player.position);
+    }
     
     // Update character animation
     // isRunning() already checks mortarHoldActive internally
@@ -579,6 +606,7 @@ export class GameLoop {
       // Death fade complete - respawn
       if (this.gameModeManager && this.gameModeManager.modeState) {
         this.gameModeManager.modeState.deaths++;
+        this.gameModeManager.handleLocalDeath();
       }
       const currentMode = this.gameModeManager ? this.gameModeManager.getMode() : null;
       
@@ -597,8 +625,9 @@ export class GameLoop {
       
       this.characterManager.respawn(currentMode, this.collisionManager);
       
-      // Clear push tracking for local player
+      // Clear push tracking and status effects for local player
       this.pushedByTracker.delete('local');
+      this.statusEffects.clear(this.characterManager.getPlayer());
       
       // Update userData after respawn
       const player = this.characterManager.getPlayer();
@@ -613,7 +642,8 @@ export class GameLoop {
           this.multiplayerManager.sendPlayerDamage({
             damage: 0, // No damage, just health update
             health: currentHealth,
-            maxHealth: maxHealth
+            maxHealth: maxHealth,
+            isRespawn: true
           });
         }
       }
@@ -642,423 +672,107 @@ export class GameLoop {
       }
     }
 
-    // Update sword swing animation timer and circle position
-    if (this.swordSwingAnimationTime > 0 && player) {
-      this.swordSwingAnimationTime -= dt;
-      
-      // Update circle position to follow character
-      if (this.swordSwingCircle) {
-        this.swordSwingCircle.position.set(
-          player.position.x,
-          player.position.y + 0.2,
-          player.position.z
-        );
-      }
-      
-      // Apply damage over time during animation
-      if (this.meleeDamagePerTick && this.meleeTickInterval && this.meleeRange) {
-        this.meleeDamageTickTimer += dt;
-        
-        // Check if it's time for a damage tick
-        if (this.meleeDamageTickTimer >= this.meleeTickInterval) {
-          this.meleeDamageTickTimer = 0; // Reset timer
-          
-          const playerPos = player.position;
-          const radius = this.meleeRange;
-          const radiusSq = radius * radius; // Pre-calculate squared radius for distance comparison
-          const damagePerTick = this.meleeDamagePerTick;
-          
-          // Damage bots in range - optimized with distance squared comparison
-          if (this.botManager) {
-            const bots = this.botManager.getAllBots();
-            for (let i = 0; i < bots.length; i++) {
-              const bot = bots[i];
-              const dx = bot.position.x - playerPos.x;
-              const dz = bot.position.z - playerPos.z;
-              const distanceSq = dx * dx + dz * dz; // Use squared distance to avoid sqrt
-              
-              if (distanceSq <= radiusSq) {
-                // Only check line of sight if not already tracked (optimization)
-                // If already in affected entities, skip expensive line of sight check
-                if (!this.meleeAffectedEntities.has(bot)) {
-                  const sightCheck = this._hasLineOfSight(
-                    playerPos, 
-                    bot.position, 
-                    radius, 
-                    0.3
-                  );
-                  
-                  if (!sightCheck.clear) {
-                    continue; // Skip this bot - wall is blocking
-                  }
-                  
-                  // Track this bot as affected
-                  this.meleeAffectedEntities.add(bot);
-                }
-                
-                // Apply damage per tick
-                const wasAlive = bot.userData.health > 0;
-                const botDied = this.botManager.damageBot(bot, damagePerTick, 'local');
-                
-                // Trigger kill feedback immediately when bot dies (local player kill)
-                if (botDied && wasAlive && this.killStreakManager) {
-                  const currentTime = performance.now() / 1000; // Convert to seconds
-                  this.killStreakManager.registerKill(currentTime);
-                }
-                
-                // Show damage number for melee damage over time
-                if (this.damageNumberManager) {
-                  this.damageNumberManager.showDamage(damagePerTick, bot.position, 0xff8800);
-                }
-                
-                if (botDied) {
-                  this.meleeAffectedEntities.delete(bot);
-                  // Don't respawn immediately - death fade will handle it
-                }
-              } else {
-                // Remove from tracking if out of range
-                this.meleeAffectedEntities.delete(bot);
-              }
-            }
-          }
-          
-          // Damage remote players in multiplayer mode - optimized
-          if (this.remotePlayerManager && this.multiplayerManager && this.multiplayerManager.isInRoom()) {
-            const remotePlayers = this.remotePlayerManager.getRemotePlayers();
-            for (const [playerId, remotePlayer] of remotePlayers) {
-              const mesh = remotePlayer.mesh;
-              if (!mesh) continue;
-              
-              const dx = mesh.position.x - playerPos.x;
-              const dz = mesh.position.z - playerPos.z;
-              const distanceSq = dx * dx + dz * dz; // Use squared distance to avoid sqrt
-              const entityKey = `remote_${playerId}`;
-              
-              if (distanceSq <= radiusSq) {
-                // Only check line of sight if not already tracked (optimization)
-                if (!this.meleeAffectedEntities.has(entityKey)) {
-                  const sightCheck = this._hasLineOfSight(
-                    playerPos,
-                    mesh.position,
-                    radius,
-                    0.3
-                  );
-                  
-                  if (!sightCheck.clear) {
-                    continue; // Skip this remote player - wall is blocking
-                  }
-                  
-                  // Track this remote player as affected
-                  this.meleeAffectedEntities.add(entityKey);
-                }
-                
-                // Apply damage per tick to remote player (server will sync)
-                // Initialize health if not set (fallback to default values)
-                if (!mesh.userData) {
-                  mesh.userData = {};
-                }
-                if (mesh.userData.health === undefined) {
-                  mesh.userData.health = 100; // Default health
-                }
-                if (mesh.userData.maxHealth === undefined) {
-                  mesh.userData.maxHealth = 100; // Default max health
-                }
-                
-                // Apply damage
-                mesh.userData.health = Math.max(0, mesh.userData.health - damagePerTick);
-                
-                // Show damage number for melee damage over time on remote player
-                if (this.damageNumberManager) {
-                  this.damageNumberManager.showDamage(damagePerTick, mesh.position, 0xff8800);
-                }
-                
-                // Send updated health to server for sync
-                this.multiplayerManager.sendPlayerDamage({
-                  damage: damagePerTick,
-                  health: mesh.userData.health,
-                  maxHealth: mesh.userData.maxHealth
-                });
-              } else {
-                // Remove from tracking if out of range
-                this.meleeAffectedEntities.delete(entityKey);
-              }
-            }
-          }
-        }
-      }
-      
-      // Clean up when animation ends
-      if (this.swordSwingAnimationTime <= 0) {
-        this.swordSwingAnimationTime = 0;
-        this.meleeDamageTickTimer = 0;
-        
-        // Apply poison to all entities that were affected during the attack
-        if (this.meleePoisonDamage !== null && this.meleePoisonDamage > 0 && 
-            this.meleePoisonDuration !== null && this.meleePoisonDuration > 0 && 
-            this.meleePoisonTickInterval !== null && this.meleePoisonTickInterval > 0) {
-          const poisonDamage = this.meleePoisonDamage;
-          const poisonDuration = this.meleePoisonDuration;
-          const poisonTickInterval = this.meleePoisonTickInterval;
-          const slowSpeedMultiplier = this.meleeSlowSpeedMultiplier !== null ? this.meleeSlowSpeedMultiplier : 0.6;
-          
-          // Apply poison to bots that were affected
-          if (this.botManager) {
-            this.meleeAffectedEntities.forEach(entity => {
-              if (entity && typeof entity === 'object' && entity.position) {
-                // It's a bot entity
-                this.poisonedEntities.set(entity, {
-                  timeLeft: poisonDuration,
-                  tickTimer: 0,
-                  damage: poisonDamage,
-                  tickInterval: poisonTickInterval,
-                  speedMultiplier: slowSpeedMultiplier,
-                  type: 'bot'
-                });
-                // Store speed multiplier in bot's userData for BotAI to use
-                if (entity.userData) {
-                  entity.userData.poisonSpeedMultiplier = slowSpeedMultiplier;
-                }
-              }
-            });
-          }
-          
-          // Apply poison to remote players that were affected
-          if (this.remotePlayerManager && this.multiplayerManager && this.multiplayerManager.isInRoom()) {
-            const remotePlayers = this.remotePlayerManager.getRemotePlayers();
-            for (const [playerId, remotePlayer] of remotePlayers) {
-              const key = `remote_${playerId}`;
-              if (this.meleeAffectedEntities.has(key)) {
-                const mesh = remotePlayer.mesh;
-                if (mesh) {
-                  this.poisonedEntities.set(mesh, {
-                    timeLeft: poisonDuration,
-                    tickTimer: 0,
-                    damage: poisonDamage,
-                    tickInterval: poisonTickInterval,
-                    speedMultiplier: slowSpeedMultiplier,
-                    type: 'remote',
-                    playerId: playerId
-                  });
-                  // Store speed multiplier in remote player's userData (for tracking/visual effects)
-                  if (mesh.userData) {
-                    mesh.userData.poisonSpeedMultiplier = slowSpeedMultiplier;
-                  }
-                }
-              }
-            }
-          }
-        }
-        
-        this.meleeAffectedEntities.clear();
-        this.meleeDamagePerTick = null;
-        this.meleeTickInterval = null;
-        this.meleeRange = null;
-        this.meleePoisonDamage = null;
-        this.meleePoisonTickInterval = null;
-        this.meleePoisonDuration = null;
-        this.meleeInitialDamage = null;
-        this.meleeSlowSpeedMultiplier = null;
-        
-        // Remove and dispose of circle
-        if (this.swordSwingCircle) {
-          this.sceneManager.getScene().remove(this.swordSwingCircle);
-          this.swordSwingCircle.geometry.dispose();
-          this.swordSwingCircle.material.dispose();
-          this.swordSwingCircle = null;
-        }
-      }
-    }
+    // Update abilities (cooldowns, running swings and blasts, rolls, held mortar spell)
+    this._updateAbilities(dt, player);
+    
+    // Update status effects (poison, stuns, shields)
+    this._updateStatusEffects(dt, player);
 
-    // Update blast animation timer and circle position
-    if (this.blastAnimationTime > 0 && player) {
-      this.blastAnimationTime -= dt;
-      
-      // Update circle position to follow character
-      if (this.blastCircle) {
-        this.blastCircle.position.set(
-          player.position.x,
-          player.position.y + 0.2,
-          player.position.z
-        );
-        
-        // Animate circle expanding and fading
-        const progress = 1 - (this.blastAnimationTime / this.blastAnimationDuration);
-        if (this.blastCircle.material) {
-          this.blastCircle.material.opacity = 0.9 * (1 - progress);
-        }
-      }
-      
-      // Clean up when animation ends
-      if (this.blastAnimationTime <= 0) {
-        this.blastAnimationTime = 0;
-        
-        // Remove and dispose of circle
-        if (this.blastCircle) {
-          this.sceneManager.getScene().remove(this.blastCircle);
-          this.blastCircle.geometry.dispose();
-          this.blastCircle.material.dispose();
-          this.blastCircle = null;
-        }
-      }
+    // Update magical particle animations
+    this.sceneManager.updateParticles(dt);
+    
+    // Update blinking eyes animation
+    this.sceneManager.updateBlinkingEyes(dt);
+
+    // Camera follows player (or another player while waiting to respawn)
+    // isRunning() already checks mortarHoldActive internally
+    if (!this.spectatorManager || !this.spectatorManager.update(dt)) {
+      const isRunningForCamera = this.inputManager.isRunning();
+      this.sceneManager.updateCamera(player.position, isRunningForCamera);
     }
+  }
 
-    // Update multi-projectile animation timer and circle position
-    if (this.multiProjectileAnimationTime > 0 && player) {
-      this.multiProjectileAnimationTime -= dt;
-      
-      // Update circle position to follow character
-      if (this.multiProjectileCircle) {
-        this.multiProjectileCircle.position.set(
-          player.position.x,
-          player.position.y + 0.2,
-          player.position.z
-        );
-        
-        // Animate circle fading
-        const progress = 1 - (this.multiProjectileAnimationTime / this.multiProjectileAnimationDuration);
-        if (this.multiProjectileCircle.material) {
-          this.multiProjectileCircle.material.opacity = 0.8 * (1 - progress);
-        }
-      }
-      
-      // Clean up when animation ends
-      if (this.multiProjectileAnimationTime <= 0) {
-        this.multiProjectileAnimationTime = 0;
-        
-        // Remove and dispose of circle
-        if (this.multiProjectileCircle) {
-          this.sceneManager.getScene().remove(this.multiProjectileCircle);
-          this.multiProjectileCircle.geometry.dispose();
-          this.multiProjectileCircle.material.dispose();
-          this.multiProjectileCircle = null;
-        }
-      }
+  /**
+   * Follow the room's spectator role: remove the local character while spectating
+   * and respawn it once the server gives us a player slot
+   * @returns {boolean} True while the local player is a room spectator
+   * @private
+   */
+  _updateSpectatorRole() {
+    const isSpectator = !!this.multiplayerManager && this.multiplayerManager.isInRoom() && this.multiplayerManager.isSpectating();
+    if (isSpectator === this.characterManager.isSpectating()) {
+      return isSpectator;
     }
     
-    // Update poison damage over time (continues after animation ends)
-    if (this.poisonedEntities.size > 0) {
-      const entitiesToRemove = [];
-      
-      for (const [entity, poisonData] of this.poisonedEntities.entries()) {
-        // Update poison timer
-        poisonData.timeLeft -= dt;
-        poisonData.tickTimer += dt;
-        
-        // Apply poison damage at intervals
-        if (poisonData.tickTimer >= poisonData.tickInterval) {
-          poisonData.tickTimer = 0;
-          
-          if (poisonData.type === 'bot' && this.botManager) {
-            // Update speed multiplier in bot's userData (in case it changed)
-            if (entity.userData && poisonData.speedMultiplier !== undefined) {
-              entity.userData.poisonSpeedMultiplier = poisonData.speedMultiplier;
-            }
-            const botDied = this.botManager.damageBot(entity, poisonData.damage, 'local');
-            
-            // Show poison damage number (purple color for poison)
-            if (this.damageNumberManager) {
-              this.damageNumberManager.showDamage(poisonData.damage, entity.position, 0xaa00ff);
-            }
-            
-            if (botDied) {
-              entitiesToRemove.push(entity);
-              // Don't respawn immediately - death fade will handle it
-            }
-          } else if (poisonData.type === 'player') {
-            // Apply poison damage to local player
-            const isDead = this.characterManager.takeDamage(poisonData.damage);
-            const currentHealth = this.characterManager.getHealth();
-            const maxHealth = this.characterManager.getMaxHealth();
-            
-            // Update player userData for health bar
-            if (entity && entity.userData) {
-              entity.userData.health = currentHealth;
-              entity.userData.maxHealth = maxHealth;
-            }
-            
-            // Show poison damage number (purple color for poison)
-            if (this.damageNumberManager && entity) {
-              this.damageNumberManager.showDamage(poisonData.damage, entity.position, 0xaa00ff);
-            }
-            
-            // Send damage event to other players via multiplayer
-            if (this.multiplayerManager && this.multiplayerManager.isInRoom()) {
-              this.multiplayerManager.sendPlayerDamage({
-                damage: poisonData.damage,
-                health: currentHealth,
-                maxHealth: maxHealth
-              });
-            }
-            
-            if (isDead) {
-              entitiesToRemove.push(entity);
-            }
-          } else if (poisonData.type === 'remote' && this.remotePlayerManager && this.multiplayerManager) {
-            const mesh = entity;
-            // Initialize userData if not set
-            if (!mesh.userData) {
-              mesh.userData = {};
-            }
-            // Update speed multiplier in remote player's userData (in case it changed)
-            if (poisonData.speedMultiplier !== undefined) {
-              mesh.userData.poisonSpeedMultiplier = poisonData.speedMultiplier;
-            }
-            // Initialize health if not set (fallback to default values)
-            if (mesh.userData.health === undefined) {
-              mesh.userData.health = 100; // Default health
-            }
-            if (mesh.userData.maxHealth === undefined) {
-              mesh.userData.maxHealth = 100; // Default max health
-            }
-            
-            // Apply poison damage
-            mesh.userData.health = Math.max(0, mesh.userData.health - poisonData.damage);
-            
-            // Show poison damage number (purple color for poison)
-            if (this.damageNumberManager) {
-              this.damageNumberManager.showDamage(poisonData.damage, mesh.position, 0xaa00ff);
-            }
-            
-            // Send updated health to server for sync
-            this.multiplayerManager.sendPlayerDamage({
-              damage: poisonData.damage,
-              health: mesh.userData.health,
-              maxHealth: mesh.userData.maxHealth
-            });
-            
-            // Remove if dead
-            if (mesh.userData.health <= 0) {
-              entitiesToRemove.push(entity);
-            }
-          }
-        }
-        
-        // Remove poison if duration expired
-        if (poisonData.timeLeft <= 0) {
-          entitiesToRemove.push(entity);
-        }
+    const currentMode = this.gameModeManager ? this.gameModeManager.getMode() : null;
+    if (isSpectator) {
+      this._cancelMortarHold();
+      this.collisionManager.resetRespawn();
+      this.pushedByTracker.delete('local');
+      this.characterManager.setSpectating(true);
+      if (this.spectatorManager) {
+        this.spectatorManager.start('spectator');
+      }
+    } else {
+      this.resetCooldowns();
+      this.characterManager.setSpectating(false, currentMode, this.collisionManager);
+      if (this.spectatorManager) {
+        this.spectatorManager.stop();
       }
-      
-      // Remove expired or dead entities
-      entitiesToRemove.forEach(entity => {
-        this.poisonedEntities.delete(entity);
-        // Clear speed multiplier from bot/remote player userData when poison expires
-        if (entity && typeof entity === 'object' && entity.userData && entity.userData.poisonSpeedMultiplier !== undefined) {
-          entity.userData.poisonSpeedMultiplier = undefined;
-        }
-      });
     }
+    return isSpectator;
+  }
 
-    // Update magical particle animations
-    this.sceneManager.updateParticles(dt);
+  /**
+   * Update the world a room spectator sees (remote players, projectiles and effects)
+   * without simulating a local character
+   * @param {number} dt - Delta time in seconds
+   * @private
+   */
+  _updateSpectating(dt) {
+    const mode = this.gameModeManager ? this.gameModeManager.getMode() : 'free-play';
     
-    // Update blinking eyes animation
+    if (this.projectileManager) {
+      this.projectileManager.update(dt);
+    }
+    if (isCombatMode(mode) && this.healthBarManager) {
+      this.healthBarManager.update(dt);
+    }
+    if (this.damageNumberManager) {
+      this.damageNumberManager.update(dt);
+    }
+    if (this.characterManager.particleManager) {
+      this.characterManager.particleManager.update(dt);
+      this.characterManager.particleManager.billboardToCamera(this.sceneManager.getCamera());
+    }
+    this.sceneManager.updateParticles(dt);
     this.sceneManager.updateBlinkingEyes(dt);
+    
+    if (this.spectatorManager) {
+      this.spectatorManager.update(dt);
+    }
+  }
 
-    // Camera follows player
-    // isRunning() already checks mortarHoldActive internally
-    const isRunningForCamera = this.inputManager.isRunning();
-    this.sceneManager.updateCamera(player.position, isRunningForCamera);
+  /**
+   * Watch other players while waiting out the respawn timer after falling out
+   * Starts on whoever knocked us out, if they can be watched.
+   * @private
+   */
+  _updateRespawnSpectating() {
+    if (!this.spectatorManager) {
+      return;
+    }
+    
+    const isRespawning = getSpectatorStats().spectateWhileRespawning &&
+      this.collisionManager.isAwaitingRespawn() &&
+      !!this.multiplayerManager && this.multiplayerManager.isInRoom();
+    
+    if (isRespawning && !this.spectatorManager.isActive() && this.spectatorManager.hasTargets()) {
+      const pushInfo = this.pushedByTracker.get('local');
+      this.spectatorManager.start('respawn', pushInfo ? pushInfo.pusherId : null);
+    } else if (!isRespawning && this.spectatorManager.getReason() === 'respawn') {
+      this.spectatorManager.stop();
+    }
   }
 
   /**
@@ -1112,13 +826,13 @@ export class GameLoop {
       }
     }
     
-    const heraldAbilitiesBlocked = this._isHeraldSprinting();
+    const abilitiesBlocked = this._areAbilitiesBlocked();
     
     // Handle shooting input (left mouse click / RT) - auto-fire on hold
     // Don't allow shooting when mortar hold is active (RT is used for mortar release)
     // Also prevent shooting immediately after releasing mortar (cooldown period)
-    if (!heraldAbilitiesBlocked) {
-      if (!this.mortarHoldActive && this.mortarReleaseCooldown <= 0) {
+    if (!abilitiesBlocked) {
+      if (!this._isMortarHolding() && this.mortarReleaseCooldown <= 0) {
         const shootInput = this.inputManager.isShootPressed();
         if (shootInput) {
           this._handleShootingInput(player);
@@ -1132,10 +846,13 @@ export class GameLoop {
       this.lastShootInput = false;
     }
     
-    // Handle speed boost input (LB button) - Lucy only
-    if (!heraldAbilitiesBlocked) {
+    // Handle LB button - the character's utility ability if it has one, otherwise speed boost
+    if (!abilitiesBlocked) {
       const speedBoostInput = this.inputManager.isSpeedBoostPressed();
-      if (speedBoostInput && !this.lastSpeedBoostInput) {
+      const utility = this.abilityLoadout.getSlot('utility');
+      if (speedBoostInput && !this.lastSpeedBoostInput && utility) {
+        this._activateLocalAbility(utility, player);
+      } else if (speedBoostInput && !this.lastSpeedBoostInput) {
         const characterName = this.characterManager.getCharacterName();
         const playerId = 'local';
         console.log('[SpeedBoost] Button pressed, activating for:', characterName);
@@ -1149,12 +866,27 @@ export class GameLoop {
       this.lastSpeedBoostInput = false;
     }
     
+    // Handle LB + RB - the character's ultimate once the meter is full
+    if (!abilitiesBlocked) {
+      const ultimateInput = this.inputManager.isUltimatePressed();
+      if (ultimateInput && !this.lastUltimateInput && this.ultimateMeter && this.ultimateMeter.isFull()) {
+        const aim = this._getAimDirection(player);
+        const ultimate = this.abilityLoadout.getSlot('ultimate');
+        if (this._activateLocalAbility(ultimate, player, { direction: { x: aim.directionX, z: aim.directionZ } })) {
+          this.ultimateMeter.consume();
+        }
+      }
+      this.lastUltimateInput = ultimateInput;
+    } else {
+      this.lastUltimateInput = false;
+    }
+    
     // Handle mortar hold system (RB hold, LT preview, RT release)
     // Allow mortar activation even while running - running will automatically stop when mortar is activated
     this._handleMortarHoldSystem(player, dt);
     
     // Legacy mortar input (right mouse click) - only if not using gamepad hold system
-    if (!this.mortarHoldActive) {
+    if (!this._isMortarHolding()) {
       const mortarInput = this.inputManager.isMortarPressed();
       if (mortarInput && !this.lastMortarInput) {
         // Only handle mouse click if not holding RB
@@ -1170,8 +902,8 @@ export class GameLoop {
     // Check projectile collisions
     this._handleProjectileCollisions(player);
     
-    // Update bots (only in shooting mode)
-    if (mode === 'shooting' && this.botManager) {
+    // Update bots (only in modes that allow them)
+    if (allowsBots(mode) && this.botManager) {
       // Check for bots falling out before updating
       const bots = this.botManager.getAllBots();
       const respawnStats = getRespawnStats();
@@ -1183,14 +915,16 @@ export class GameLoop {
         }
       }
       
+      // Objective modes send bots to the zone instead of just chasing the player
+      this.botManager.setObjective(this.gameModeManager ? this.gameModeManager.getHillObjective() : null);
       this.botManager.update(dt, player.position, this.sceneManager.getCamera());
     }
     
     // Clean up stale push tracking entries periodically
     this._cleanupPushTracking(10000);
     
-    // Update health bars (only in shooting mode)
-    if (mode === 'shooting' && this.healthBarManager) {
+    // Update health bars (only in combat modes)
+    if (isCombatMode(mode) && this.healthBarManager) {
       this.healthBarManager.update(dt);
     }
     
@@ -1235,6 +969,77 @@ export class GameLoop {
       return;
     }
     
+    const { directionX, directionZ, targetX, targetZ } = this._getAimDirection(player);
+    
+    // Create projectile
+    const projectile = this.projectileManager.createProjectile(
+      playerPos.x,
+      playerPos.y,
+      playerPos.z,
+      directionX,
+      directionZ,
+      playerId,
+      characterName,
+      targetX,
+      targetZ
+    );
+    
+    // Track player shot for learning system
+    if (projectile && this.learningManager) {
+      const playerPosVec = new THREE.Vector3(playerPos.x, playerPos.y, playerPos.z);
+      const targetPosVec = targetX !== null && targetZ !== null 
+        ? new THREE.Vector3(targetX, playerPos.y, targetZ)
+        : null;
+      this.learningManager.trackPlayerShot(playerPosVec, targetPosVec);
+    }
+    
+    // Vibration for shooting bolt
+    if (projectile && this.vibrationManager) {
+      this.vibrationManager.shoot();
+    }
+    
+    // Send projectile to other players via multiplayer
+    if (projectile && this.multiplayerManager && this.multiplayerManager.isInRoom()) {
+      this.multiplayerManager.sendProjectileCreate({
+        projectileType: 'bolt',
+        startX: playerPos.x,
+        startY: playerPos.y,
+        startZ: playerPos.z,
+        directionX: directionX,
+        directionZ: directionZ,
+        characterName: characterName,
+        targetX: targetX,
+        targetZ: targetZ,
+        projectileId: projectile.userData.projectileId
+      });
+    }
+  }
+
+  /**
+   * Get the direction the local player dashes in: where they are moving, or where
+   * they aim when standing still
+   * @param {THREE.Mesh} player - Player mesh
+   * @returns {Object} Direction {x, z}
+   * @private
+   */
+  _getDashDirection(player) {
+    const input = this.inputManager.getInputVector();
+    if (input.x !== 0 || input.y !== 0) {
+      return { x: input.x, z: -input.y };
+    }
+    const aim = this._getAimDirection(player);
+    return { x: aim.directionX, z: aim.directionZ };
+  }
+
+  /**
+   * Get the local player's aim direction (mouse in keyboard mode, right stick on
+   * controller, otherwise the way the character is facing)
+   * @param {THREE.Mesh} player - Player mesh
+   * @returns {Object} Aim {directionX, directionZ, targetX, targetZ} (targets are null when not aiming at a point)
+   * @private
+   */
+  _getAimDirection(player) {
+    const playerPos = player.position;
     const inputMode = this.inputManager.getInputMode();
     const camera = this.sceneManager.getCamera();
     
@@ -1351,48 +1156,7 @@ export class GameLoop {
       }
     }
     
-    // Create projectile
-    const projectile = this.projectileManager.createProjectile(
-      playerPos.x,
-      playerPos.y,
-      playerPos.z,
-      directionX,
-      directionZ,
-      playerId,
-      characterName,
-      targetX,
-      targetZ
-    );
-    
-    // Track player shot for learning system
-    if (projectile && this.learningManager) {
-      const playerPosVec = new THREE.Vector3(playerPos.x, playerPos.y, playerPos.z);
-      const targetPosVec = targetX !== null && targetZ !== null 
-        ? new THREE.Vector3(targetX, playerPos.y, targetZ)
-        : null;
-      this.learningManager.trackPlayerShot(playerPosVec, targetPosVec);
-    }
-    
-    // Vibration for shooting bolt
-    if (projectile && this.vibrationManager) {
-      this.vibrationManager.shoot();
-    }
-    
-    // Send projectile to other players via multiplayer
-    if (projectile && this.multiplayerManager && this.multiplayerManager.isInRoom()) {
-      this.multiplayerManager.sendProjectileCreate({
-        projectileType: 'bolt',
-        startX: playerPos.x,
-        startY: playerPos.y,
-        startZ: playerPos.z,
-        directionX: directionX,
-        directionZ: directionZ,
-        characterName: characterName,
-        targetX: targetX,
-        targetZ: targetZ,
-        projectileId: projectile.userData.projectileId
-      });
-    }
+    return { directionX, directionZ, targetX, targetZ };
   }
 
   /**
@@ -1408,69 +1172,34 @@ export class GameLoop {
     
     // Handle RB toggle to enter/exit mortar hold mode
     // Note: Mortar can be activated while running - running will automatically stop when mortar is activated
+    // (the held spell's visual is animated by the mortar hold ability in _updateAbilities)
     if (mortarHoldInput && !this.lastMortarHoldInput) {
       // RB just pressed - toggle mortar hold mode
-      if (this.mortarHoldActive) {
+      if (this._isMortarHolding()) {
         // Already holding - drop the spell (exit hold mode)
-        this.mortarHoldActive = false;
-        this.inputManager.setMortarHoldActive(false);
-        this._removeMortarHoldVisual();
-        // Remove preview if active
-        if (this.mortarArcPreview) {
-          removeMortarArcPreview(this.mortarArcPreview, this.sceneManager.getScene());
-          this.mortarArcPreview = null;
-        }
+        this._dropMortarHold();
       } else {
         // Not holding - enter mortar hold mode (works even while running)
-        this.mortarHoldActive = true;
-        this.inputManager.setMortarHoldActive(true);
-        this._createMortarHoldVisual(player);
-        // Reset cooldown when entering mortar hold mode (so canceling doesn't block shooting)
-        this.mortarReleaseCooldown = 0;
-      }
-    }
-    
-    // Update mortar hold visual position and animation if active
-    if (this.mortarHoldActive && this.mortarHoldVisual) {
-      const characterName = this.characterManager.getCharacterName();
-      const playerId = 'local';
-      
-      // Check if character color has changed (character was switched)
-      const visual = this.mortarHoldVisual.children[0];
-      const currentCharacterColor = this._getCharacterColorForParticles(characterName);
-      if (visual && visual.userData.characterColor !== currentCharacterColor) {
-        // Character changed - recreate visual with new color
-        this._createMortarHoldVisual(player);
-      } else {
-        // Normal update - character hasn't changed
-        // Check cooldown status
-        const cooldownInfo = this.projectileManager.getMortarCooldownInfo(playerId, characterName);
-        const isOnCooldown = !cooldownInfo.canShoot;
-        
-        this.mortarHoldVisual.position.set(
-          player.position.x,
-          player.position.y + 0.5,
-          player.position.z
-        );
-        
-        // Update visual based on cooldown status
-        this._updateMortarHoldVisualAnimation(dt, isOnCooldown, cooldownInfo.percentage);
-        
-        // Update cooldown ring if it exists
-        if (visual && visual.userData.cooldownRing) {
-          this._updateCooldownRing(dt, isOnCooldown, cooldownInfo.percentage);
+        const mortarHold = this.abilityLoadout.get('mortar');
+        const caster = this._getLocalCaster(player);
+        if (mortarHold && mortarHold.canActivate(caster, this.abilityWorld)) {
+          mortarHold.activate(caster, this.abilityWorld);
+          this.inputManager.setMortarHoldActive(true);
+          // Reset cooldown when entering mortar hold mode (so canceling doesn't block shooting)
+          this.mortarReleaseCooldown = 0;
         }
       }
     }
     
     // Handle preview - show when right joystick is used in mortar hold mode
     const isRightJoystickPushed = this.inputManager.isRightJoystickPushed();
-    if (this.mortarHoldActive && isRightJoystickPushed) {
+    const isHolding = this._isMortarHolding();
+    if (isHolding && isRightJoystickPushed) {
       // Show preview while right joystick is used
       this._updateMortarArcPreview(player);
     } else {
       // Hide preview when joystick is not being used
-      if (this.mortarArcPreview && (!isRightJoystickPushed || !this.mortarHoldActive)) {
+      if (this.mortarArcPreview && (!isRightJoystickPushed || !isHolding)) {
         removeMortarArcPreview(this.mortarArcPreview, this.sceneManager.getScene());
         this.mortarArcPreview = null;
       }
@@ -1478,7 +1207,7 @@ export class GameLoop {
     
     // Handle release (RT) - release mortar when RT is pressed while in mortar hold mode
     // Only allow release if not on cooldown (RT should not drop the spell when on cooldown)
-    if (this.mortarHoldActive && rightTriggerInput && !this.lastRightTriggerInput) {
+    if (isHolding && rightTriggerInput && !this.lastRightTriggerInput) {
       // Check cooldown status before allowing release
       const characterName = this.characterManager.getCharacterName();
       const playerId = 'local';
@@ -1491,14 +1220,7 @@ export class GameLoop {
         // RT just pressed - release mortar
         this._handleMortarInput(player);
         // Exit mortar hold mode after release
-        this.mortarHoldActive = false;
-        this.inputManager.setMortarHoldActive(false);
-        this._removeMortarHoldVisual();
-        // Remove preview
-        if (this.mortarArcPreview) {
-          removeMortarArcPreview(this.mortarArcPreview, this.sceneManager.getScene());
-          this.mortarArcPreview = null;
-        }
+        this._dropMortarHold();
         // Set cooldown to prevent immediate bolt shooting (0.3 seconds)
         this.mortarReleaseCooldown = 0.3;
         // Reset lastRightTriggerInput to prevent immediate shooting after release
@@ -1514,97 +1236,29 @@ export class GameLoop {
   }
   
   /**
-   * Create visual effect for holding mortar spell
-   * @param {THREE.Mesh} player - Player mesh
+   * Check if the mortar spell is held (RB hold mode)
+   * @returns {boolean} True while holding
    * @private
    */
-  _createMortarHoldVisual(player) {
-    if (this.mortarHoldVisual) {
-      // Already exists, remove old one
-      this._removeMortarHoldVisual();
-    }
-    
-    const characterName = this.characterManager.getCharacterName();
-    const characterColor = this._getCharacterColorForParticles(characterName);
-    const isHerald = characterName === 'herald';
-    
-    // Create container group for visual effects
-    const visualGroup = new THREE.Group();
-    
-    // Create main glowing orb/sphere effect with reflection and glow (like fireball/bolt)
-    const geometry = new THREE.SphereGeometry(0.3, 16, 16);
-    const material = new THREE.MeshStandardMaterial({
-      color: characterColor,
-      emissive: characterColor,
-      emissiveIntensity: isHerald ? 1.2 : 0.8,
-      metalness: 0.7,
-      roughness: 0.2,
-      transparent: true,
-      opacity: 0.6
-    });
-    
-    const visual = new THREE.Mesh(geometry, material);
-    visual.castShadow = true;
-    
-    // Add glow effect with point light (like fireball/bolt)
-    const lightIntensity = isHerald ? 2.0 : 1.2;
-    const lightRange = isHerald ? 5 : 3;
-    const glowLight = new THREE.PointLight(characterColor, lightIntensity, lightRange);
-    glowLight.position.set(0, 0, 0); // Position relative to visualGroup
-    
-    // Create cooldown ring indicator (torus ring around the sphere)
-    const ringGeometry = new THREE.TorusGeometry(0.4, 0.03, 8, 32);
-    const ringMaterial = new THREE.MeshBasicMaterial({
-      color: characterColor, // Use character color
-      transparent: true,
-      opacity: 0.8,
-      side: THREE.DoubleSide
-    });
-    const cooldownRing = new THREE.Mesh(ringGeometry, ringMaterial);
-    cooldownRing.rotation.x = Math.PI / 2; // Rotate to be horizontal
-    cooldownRing.visible = false; // Hidden by default when ready
-    
-    // Add visual first (so it's children[0]), then light, then ring
-    visualGroup.add(visual);
-    visualGroup.add(glowLight);
-    visualGroup.add(cooldownRing);
-    
-    visualGroup.position.set(
-      player.position.x,
-      player.position.y + 0.5,
-      player.position.z
-    );
-    
-    // Store animation data and references
-    visual.userData.pulseSpeed = 2.0; // Pulses per second when ready
-    visual.userData.pulseSpeedCooldown = 0.8; // Slower pulse when on cooldown
-    visual.userData.pulsePhase = 0;
-    visual.userData.baseScale = 1.0;
-    visual.userData.characterColor = characterColor;
-    visual.userData.cooldownRing = cooldownRing;
-    visual.userData.rotationPhase = 0; // For rotating ring animation
-    visual.userData.glowLight = glowLight; // Store light reference for updates
-    visual.userData.baseLightIntensity = lightIntensity; // Store base light intensity
-    
-    this.mortarHoldVisual = visualGroup;
-    this.sceneManager.getScene().add(visualGroup);
+  _isMortarHolding() {
+    const mortarHold = this.abilityLoadout.get('mortar');
+    return !!mortarHold && mortarHold.isHolding();
   }
   
   /**
-   * Remove visual effect for holding mortar spell
+   * Drop the held mortar spell and remove the arc preview
    * @private
    */
-  _removeMortarHoldVisual() {
-    if (this.mortarHoldVisual) {
-      // Dispose of all children geometries and materials
-      this.mortarHoldVisual.traverse((child) => {
-        if (child.geometry) child.geometry.dispose();
-        if (child.material) child.material.dispose();
-      });
-      
-      // Remove from scene before disposing
-      this.sceneManager.getScene().remove(this.mortarHoldVisual);
-      this.mortarHoldVisual = null;
+  _dropMortarHold() {
+    const mortarHold = this.abilityLoadout.get('mortar');
+    if (mortarHold) {
+      mortarHold.cancel(this.abilityWorld);
+    }
+    this.inputManager.setMortarHoldActive(false);
+    
+    if (this.mortarArcPreview) {
+      removeMortarArcPreview(this.mortarArcPreview, this.sceneManager.getScene());
+      this.mortarArcPreview = null;
     }
   }
   
@@ -1613,18 +1267,11 @@ export class GameLoop {
    * @private
    */
   _cancelMortarHold() {
-    if (!this.mortarHoldActive) {
+    if (!this._isMortarHolding()) {
       return;
     }
     
-    this.mortarHoldActive = false;
-    this.inputManager.setMortarHoldActive(false);
-    this._removeMortarHoldVisual();
-    
-    if (this.mortarArcPreview) {
-      removeMortarArcPreview(this.mortarArcPreview, this.sceneManager.getScene());
-      this.mortarArcPreview = null;
-    }
+    this._dropMortarHold();
     
     this.lastMortarHoldInput = false;
     this.lastLeftTriggerInput = false;
@@ -1633,141 +1280,31 @@ export class GameLoop {
   }
   
   /**
-   * Check if Herald is currently sprinting (abilities should be blocked)
-   * @returns {boolean} True if Herald is sprinting
+   * Check if ability inputs are blocked this frame
+   * Rolling characters (Herald) can't use abilities while sprinting, stunned characters can't use
+   * them at all, and the bumpers and Y drive the spectator camera while waiting to respawn.
+   * @returns {boolean} True if abilities are blocked
    * @private
    */
-  _isHeraldSprinting() {
-    if (!this.characterManager || !this.inputManager) {
-      return false;
-    }
-    if (this.characterManager.getCharacterName() !== 'herald') {
-      return false;
-    }
-    return this.inputManager.isRunning();
+  _areAbilitiesBlocked() {
+    const isRespawnSpectating = !!this.spectatorManager && this.spectatorManager.isActive();
+    const isStunned = this.statusEffects.isStunned(this.characterManager.getPlayer());
+    return this._isRolling() || isStunned || isRespawnSpectating;
   }
   
   /**
-   * Update mortar hold visual animation based on cooldown status
-   * @param {number} dt - Delta time in seconds
-   * @param {boolean} isOnCooldown - Whether spell is on cooldown
-   * @param {number} cooldownPercentage - Cooldown progress (0-1)
+   * Check if the character is rolling (sprinting with a roll in its sprint slot)
+   * @returns {boolean} True if rolling
    * @private
    */
-  _updateMortarHoldVisualAnimation(dt, isOnCooldown, cooldownPercentage) {
-    const visual = this.mortarHoldVisual.children[0]; // Main sphere
-    const pulseData = visual.userData;
-    const glowLight = pulseData.glowLight;
-    
-    if (isOnCooldown) {
-      // On cooldown: character color (darker/brighter), slower pulse, growing opacity
-      const characterColorBase = new THREE.Color(pulseData.characterColor);
-      const darkerCharacterColor = characterColorBase.clone().multiplyScalar(0.6); // Darker shade for pulsing
-
-      // Calculate cooldown progress (0 = just started, 1 = almost ready)
-      const progress = 1 - cooldownPercentage;
-
-      // Sphere grows from small to full size as cooldown progresses
-      // Start at 0.3x scale, grow to full baseScale (1.0x) when ready
-      const minScale = 0.3;
-      const maxScale = pulseData.baseScale;
-      const growthScale = minScale + (maxScale - minScale) * progress;
-
-      // Opacity grows from low to high as cooldown progresses
-      const minOpacity = 0.2;
-      const maxOpacity = 0.7;
-      const growthOpacity = minOpacity + (maxOpacity - minOpacity) * progress;
-
-      // Pulse between darker and brighter character color (smaller pulse during cooldown)
-      pulseData.pulsePhase += dt * pulseData.pulseSpeedCooldown * Math.PI * 2;
-      const pulseVariation = Math.sin(pulseData.pulsePhase) * 0.1; // Smaller pulse variation
-      const pulseScale = growthScale + pulseVariation;
-      visual.scale.set(pulseScale, pulseScale, pulseScale);
-
-      // Color transition between character color shades
-      const colorMix = (Math.sin(pulseData.pulsePhase) + 1) * 0.5;
-      const currentColor = new THREE.Color().lerpColors(
-        darkerCharacterColor,
-        characterColorBase,
-        colorMix
-      );
-      visual.material.color.copy(currentColor);
-      visual.material.emissive.copy(currentColor); // Update emissive for glow
-      
-      // Update light color and intensity based on progress
-      if (glowLight) {
-        glowLight.color.copy(currentColor);
-        const lightIntensity = pulseData.baseLightIntensity * 0.3 * progress; // Grow light intensity with progress
-        glowLight.intensity = lightIntensity + Math.sin(pulseData.pulsePhase) * lightIntensity * 0.2;
-      }
-      
-      // Base opacity grows with progress, with small pulsing variation
-      const pulseOpacityVariation = Math.sin(pulseData.pulsePhase) * 0.1;
-      visual.material.opacity = growthOpacity + pulseOpacityVariation;
-    } else {
-      // Ready: bright character color, smooth pulsing at full size
-      pulseData.pulsePhase += dt * pulseData.pulseSpeed * Math.PI * 2;
-      const pulseScale = pulseData.baseScale + Math.sin(pulseData.pulsePhase) * 0.2;
-      visual.scale.set(pulseScale, pulseScale, pulseScale);
-      
-      // Bright character color with emissive glow
-      visual.material.color.setHex(pulseData.characterColor);
-      visual.material.emissive.setHex(pulseData.characterColor); // Update emissive for glow
-      visual.material.opacity = 0.6 + Math.sin(pulseData.pulsePhase) * 0.2; // Smooth pulsing opacity
-      
-      // Update light color and intensity (pulsing)
-      if (glowLight) {
-        glowLight.color.setHex(pulseData.characterColor);
-        const pulseLightIntensity = pulseData.baseLightIntensity + Math.sin(pulseData.pulsePhase) * pulseData.baseLightIntensity * 0.3;
-        glowLight.intensity = pulseLightIntensity;
-      }
+  _isRolling() {
+    if (!this.characterManager || !this.inputManager) {
+      return false;
     }
-  }
-  
-  /**
-   * Update cooldown ring indicator
-   * @param {number} dt - Delta time in seconds
-   * @param {boolean} isOnCooldown - Whether spell is on cooldown
-   * @param {number} cooldownPercentage - Cooldown progress (0-1)
-   * @private
-   */
-  _updateCooldownRing(dt, isOnCooldown, cooldownPercentage) {
-    const visual = this.mortarHoldVisual.children[0];
-    const cooldownRing = visual.userData.cooldownRing;
-    
-    if (isOnCooldown) {
-      // Show ring and animate it
-      cooldownRing.visible = true;
-      
-      // Rotate ring slowly
-      visual.userData.rotationPhase += dt * 2.0; // Rotations per second
-      cooldownRing.rotation.z = visual.userData.rotationPhase;
-      
-      // Update ring color based on cooldown progress (darker -> brighter character color as it charges)
-      const progress = 1 - cooldownPercentage; // Invert so 0 = just started, 1 = almost ready
-      const characterColor = visual.userData.characterColor;
-      const darkerCharacterColor = new THREE.Color(characterColor).multiplyScalar(0.6); // Darker version
-      const brighterCharacterColor = new THREE.Color(characterColor).multiplyScalar(1.2); // Brighter version
-
-      // Lerp from darker to brighter character color as cooldown progresses
-      const ringColor = new THREE.Color().lerpColors(
-        darkerCharacterColor,
-        brighterCharacterColor,
-        progress
-      );
-      cooldownRing.material.color.copy(ringColor);
-      
-      // Pulse ring opacity based on progress
-      const pulseOpacity = 0.6 + Math.sin(visual.userData.rotationPhase * 4) * 0.2;
-      cooldownRing.material.opacity = pulseOpacity;
-      
-      // Scale ring slightly based on progress (grows as cooldown progresses)
-      const scale = 0.9 + progress * 0.1;
-      cooldownRing.scale.set(scale, scale, scale);
-    } else {
-      // Hide ring when ready
-      cooldownRing.visible = false;
+    if (getAbilitySlot(this.characterManager.getCharacterName(), 'sprint') !== 'roll') {
+      return false;
     }
+    return this.inputManager.isRunning();
   }
   
   /**
@@ -1783,7 +1320,7 @@ export class GameLoop {
       ? this.inputManager.isRightJoystickPushed() 
       : this.inputManager.isMortarPressed(); // In keyboard mode, show preview when right-clicking
     
-    if (!this.mortarHoldActive || !hasAimingInput) {
+    if (!this._isMortarHolding() || !hasAimingInput) {
       return;
     }
     
@@ -2055,7 +1592,8 @@ export class GameLoop {
         startZ: playerPos.z,
         targetX: targetX,
         targetZ: targetZ,
-        characterName: characterName
+        characterName: characterName,
+        projectileId: mortar.userData.projectileId
       });
     }
   }
@@ -2073,11 +1611,17 @@ export class GameLoop {
       'local'
     );
 
-    if (projectileCollision.hit) {
-      const shooterId = projectileCollision.projectile?.userData?.playerId;
-      
+    // Splash area hits carry their source on the splash area instead of a projectile
+    const projectileSource = projectileCollision.projectile || projectileCollision.splashArea;
+    const projectileShooterId = projectileSource?.userData?.playerId;
+    
+    // Another player's projectile: the server decides the hit and sends the damage
+    if (projectileCollision.hit && !this._isServerSimulatedHit(projectileShooterId)) {
       // Shake will be applied in _applyDamageToPlayer based on actual damage
-      this._applyDamageToPlayer(projectileCollision.damage, player, shooterId);
+      this._applyDamageToPlayer(projectileCollision.damage, player, projectileShooterId, {
+        attackType: projectileCollision.isSplashArea ? 'splash' : (projectileCollision.isMortar ? 'mortar' : 'bolt'),
+        projectileId: projectileSource?.userData?.projectileId
+      });
 
       // Note: For mortars, splash will be created at target location when mortar hits ground
       // No need to create splash here - mortar continues to target
@@ -2090,7 +1634,8 @@ export class GameLoop {
       'local'
     );
 
-    if (mortarCollision.hit) {
+    // Another player's mortar: the server decides the hit and the poison
+    if (mortarCollision.hit && !this._isServerSimulatedHit(mortarCollision.projectile?.userData?.playerId)) {
       const shooterId = mortarCollision.projectile?.userData?.playerId;
       
       // Note: Distance-based vibration is now handled in _handleShootingMode
@@ -2098,18 +1643,17 @@ export class GameLoop {
       // all explosions, not just when player is hit.
       
       // Shake will be applied in _applyDamageToPlayer based on actual damage
-      this._applyDamageToPlayer(mortarCollision.damage, player, shooterId);
+      this._applyDamageToPlayer(mortarCollision.damage, player, shooterId, {
+        attackType: 'mortar',
+        projectileId: mortarCollision.projectile?.userData?.projectileId
+      });
 
       // Note: Splash will be created at target location when mortar hits ground
       // No need to create splash here - mortar continues to target
       
-      // Apply poison damage for Lucy's mortar or extra damage for Herald's mortar
-      if (mortarCollision.projectile?.userData?.characterName === 'lucy') {
-        // Apply poison effect from Lucy's mortar splash
-        this._applyMortarPoison(player, mortarCollision.projectile.userData);
-      } else if (mortarCollision.projectile?.userData?.characterName === 'herald') {
-        // Herald's mortar splash does extra damage - already applied via areaDamage
-        // But we need to ensure it's applied when walking in splash
+      // Apply poison for poison mortars (Lucy); Herald's extra damage is already in areaDamage
+      if (hasCharacterTrait(mortarCollision.projectile?.userData?.characterName, 'poisonMortar')) {
+        this._applyLocalStatusEffect('poison', mortarCollision.projectile.userData);
       }
     }
     
@@ -2122,24 +1666,24 @@ export class GameLoop {
           'local'
         );
         
-        if (splashCollision.hit) {
+        if (splashCollision.hit && !this._isServerSimulatedHit(splashArea.userData.playerId)) {
           const mortarData = splashArea.userData;
           const characterName = mortarData.characterName;
           
           // Apply splash area damage
-          this._applyDamageToPlayer(splashCollision.damage, player, mortarData.playerId);
+          this._applyDamageToPlayer(splashCollision.damage, player, mortarData.playerId, {
+            attackType: 'splash',
+            projectileId: mortarData.projectileId
+          });
           
           // Show damage number for splash area
           if (this.damageNumberManager) {
             this.damageNumberManager.showDamage(splashCollision.damage, player.position, 0xff6600);
           }
           
-          // Apply poison for Lucy's mortar or extra damage for Herald's mortar
-          if (characterName === 'lucy') {
-            // Apply poison effect from Lucy's mortar splash
-            this._applyMortarPoison(player, mortarData);
-          } else if (characterName === 'herald') {
-            // Herald's mortar does extra damage - already in areaDamage, but ensure it's applied
+          // Apply poison for poison mortars (Lucy); Herald's extra damage is already in areaDamage
+          if (hasCharacterTrait(characterName, 'poisonMortar')) {
+            this._applyLocalStatusEffect('poison', mortarData);
           }
         }
       }
@@ -2150,6 +1694,7 @@ export class GameLoop {
       const remotePlayers = this.remotePlayerManager.getRemotePlayers();
       for (const [playerId, remotePlayer] of remotePlayers) {
         const mesh = remotePlayer.mesh;
+        if (!mesh || this._isTeammate(playerId)) continue;
         
         // Check projectile collisions
         const remoteCollision = this.projectileManager.checkPlayerCollision(
@@ -2228,7 +1773,12 @@ export class GameLoop {
           // Get killer playerId from projectile
           const killerId = botCollision.projectile?.userData?.playerId || 'local';
           const wasAlive = bot.userData.health > 0;
-          const botDied = this.botManager.damageBot(bot, botCollision.damage, killerId);
+          const botDied = this.botManager.damageBot(
+            bot,
+            botCollision.damage,
+            killerId,
+            botCollision.isSplashArea ? 'splash' : (botCollision.isMortar ? 'mortar' : 'bolt')
+          );
           
           // Trigger kill feedback immediately when bot dies (local player kill)
           if (botDied && wasAlive && killerId === 'local' && this.killStreakManager) {
@@ -2260,7 +1810,7 @@ export class GameLoop {
           // Get killer playerId from mortar
           const killerId = botMortarCollision.projectile?.userData?.playerId || 'local';
           const wasAlive = bot.userData.health > 0;
-          const botDied = this.botManager.damageBot(bot, botMortarCollision.damage, killerId);
+          const botDied = this.botManager.damageBot(bot, botMortarCollision.damage, killerId, 'mortar');
           
           // Trigger kill feedback immediately when bot dies (local player kill)
           if (botDied && wasAlive && killerId === 'local' && this.killStreakManager) {
@@ -2295,14 +1845,63 @@ export class GameLoop {
     }
   }
 
+  /**
+   * Check if a hit on the local player comes from another player's bolt, mortar or splash
+   * Those are simulated by the server, which sends the damage (see applyServerDamage).
+   * @param {string} shooterId - Projectile owner ID
+   * @returns {boolean} True if the server decides this hit
+   * @private
+   */
+  _isServerSimulatedHit(shooterId) {
+    if (!shooterId || shooterId === 'local' || !this.multiplayerManager || !this.multiplayerManager.isInRoom()) {
+      return false;
+    }
+    return !!this.multiplayerManager.getPlayerInfo(shooterId);
+  }
+
+  /**
+   * Check if a remote player is on the local player's team
+   * In co-op modes every remote player is a teammate; otherwise always false outside team modes.
+   * @param {string} playerId - Remote player ID
+   * @returns {boolean} True if the player is a teammate
+   * @private
+   */
+  _isTeammate(playerId) {
+    if (!playerId || playerId === 'local' || !this.multiplayerManager || !this.gameModeManager) {
+      return false;
+    }
+    const mode = this.gameModeManager.getMode();
+    if (isCoopMode(mode)) {
+      return !!this.remotePlayerManager && !!this.remotePlayerManager.getRemotePlayer(playerId);
+    }
+    return isTeamMode(mode) && this.multiplayerManager.isTeammate(playerId);
+  }
+
   /**
    * Apply damage to player
    * @param {number} damage - Damage amount
    * @param {THREE.Mesh} player - Player mesh
    * @param {string} shooterId - Optional ID of the shooter
+   * @param {Object} hitInfo - Optional hit details for server validation {attackType, projectileId, broadcast}
    * @private
    */
-  _applyDamageToPlayer(damage, player, shooterId = null) {
+  _applyDamageToPlayer(damage, player, shooterId = null, hitInfo = {}) {
+    // No friendly fire in team modes
+    if (this._isTeammate(shooterId)) {
+      return;
+    }
+    
+    // Shields take the hit first (damage from the server already went through them there).
+    // The server is told the damage before shields so it wears down its copy of the shield too.
+    const reportedDamage = damage;
+    if (hitInfo.broadcast !== false) {
+      damage = this.statusEffects.absorbDamage(player, damage);
+      if (damage <= 0) {
+        this._reportPlayerDamage(reportedDamage, shooterId, hitInfo);
+        return;
+      }
+    }
+    
     if (this.characterManager) {
       // Play take damage sound
       const soundManager = this.characterManager.getSoundManager();
@@ -2349,12 +1948,9 @@ export class GameLoop {
       }
 
       // Send damage event to other players via multiplayer
-      if (this.multiplayerManager && this.multiplayerManager.isInRoom()) {
-        this.multiplayerManager.sendPlayerDamage({
-          damage: damage,
-          health: currentHealth,
-          maxHealth: maxHealth
-        });
+      // (skipped when the damage came from the server in the first place)
+      if (hitInfo.broadcast !== false) {
+        this._reportPlayerDamage(reportedDamage, shooterId, hitInfo);
       }
 
       if (isDead) {
@@ -2377,6 +1973,11 @@ export class GameLoop {
           if (this.screenShakeManager) {
             this.screenShakeManager.shake(0.15, 0.4, 0.85);
           }
+
+          // In a room the server announces this death from the damage report
+          if (!this.multiplayerManager || !this.multiplayerManager.isInRoom()) {
+            this._reportKill(shooterId || null, 'local', hitInfo.attackType);
+          }
         }
 
         // Track kills for bots (local player deaths are tracked in GameModeManager)
@@ -2394,20 +1995,90 @@ export class GameLoop {
     }
   }
 
+  /**
+   * Report damage the local player took to the server
+   * @param {number} damage - Damage before shields
+   * @param {string} shooterId - Optional ID of the shooter
+   * @param {Object} hitInfo - Hit details {attackType, projectileId}
+   * @private
+   */
+  _reportPlayerDamage(damage, shooterId, hitInfo) {
+    if (!this.multiplayerManager || !this.multiplayerManager.isInRoom()) {
+      return;
+    }
+    this.multiplayerManager.sendPlayerDamage({
+      damage: damage,
+      health: this.characterManager.getHealth(),
+      maxHealth: this.characterManager.getMaxHealth(),
+      attackerId: shooterId && shooterId !== 'local' ? shooterId : null,
+      attackType: hitInfo.attackType || null,
+      projectileId: hitInfo.projectileId || null
+    });
+  }
+
+  /**
+   * Apply damage the server decided for another player's attack
+   * (melee is simulated by the attacker; bolts, mortars, splash areas and status effects
+   * other players inflicted by the server, so the victim learns about them here)
+   * @param {Object} damageData - Damage data {damage, attackerId, attackType}
+   */
+  applyServerDamage(damageData) {
+    const player = this.characterManager.getPlayer();
+    if (!player || this.characterManager.isDying() || !(damageData.damage > 0)) {
+      return;
+    }
+    this._applyDamageToPlayer(damageData.damage, player, damageData.attackerId || null, {
+      attackType: damageData.attackType,
+      broadcast: false
+    });
+  }
+
+  /**
+   * Apply a player's status effects sent by the server
+   * @param {Object} data - Effect data {playerId, effects}
+   */
+  applyServerStatusEffects(data) {
+    if (!data || !data.playerId) {
+      return;
+    }
+    let entity = null;
+    if (data.playerId === this.multiplayerManager?.getLocalPlayerId()) {
+      entity = this.characterManager.getPlayer();
+    } else if (this.remotePlayerManager) {
+      entity = this.remotePlayerManager.getRemotePlayer(data.playerId)?.mesh || null;
+    }
+    this.statusEffects.setEffects(entity, data.effects);
+  }
+
+  /**
+   * Reconcile the local player with a server input acknowledgement
+   * @param {Object} ack - Server acknowledgement {seq, x, z}
+   */
+  reconcileInputAck(ack) {
+    const player = this.characterManager.getPlayer();
+    if (!this.inputPrediction || !player) {
+      return;
+    }
+    this.inputPrediction.reconcile(ack, player, this.characterManager.getPlayerSize());
+  }
+
   /**
    * Handle movement updates
    * @param {number} dt - Delta time
    * @param {THREE.Mesh} player - Player mesh
    * @param {THREE.Vector2} input - Input vector
    * @param {boolean} canMove - Whether player can move
+   * @returns {Object} Movement applied {inputX, inputY, speed, run, knockbackX, knockbackZ} for input prediction
    * @private
    */
   _handleMovement(dt, player, input, canMove) {
+    const applied = { inputX: 0, inputY: 0, speed: 0, run: false, knockbackX: 0, knockbackZ: 0 };
+    
     // Don't allow movement during death fade
     if (this.characterManager.isDying()) {
       // Keep character idle during death fade
       this.characterManager.updateMovement(new THREE.Vector2(0, 0), new THREE.Vector3(0, 0, 0), this.sceneManager.getCamera(), false);
-      return;
+      return applied;
     }
     
     // Handle player knockback velocity (from melee attacks, blast, etc.)
@@ -2435,37 +2106,19 @@ export class GameLoop {
       const knockbackMoveZ = (player.userData.velocityZ || 0) * dt;
       
       if (Math.abs(knockbackMoveX) > 0.001 || Math.abs(knockbackMoveZ) > 0.001) {
-        const playerSize = this.characterManager.getPlayerSize();
-        const knockbackPos = new THREE.Vector3(
-          player.position.x + knockbackMoveX,
-          player.position.y,
-          player.position.z + knockbackMoveZ
+        const beforeX = player.position.x;
+        const beforeZ = player.position.z;
+        
+        // Check collision before applying knockback movement (slides along walls)
+        applyMovementWithSliding(
+          player.position,
+          new THREE.Vector3(knockbackMoveX, 0, knockbackMoveZ),
+          this.characterManager.getPlayerSize(),
+          this.collisionManager
         );
         
-        // Check collision before applying knockback movement
-        if (!this.collisionManager.willCollide(knockbackPos, playerSize)) {
-          player.position.x += knockbackMoveX;
-          player.position.z += knockbackMoveZ;
-        } else {
-          // Try sliding along each axis independently
-          const knockbackPosX = new THREE.Vector3(
-            player.position.x + knockbackMoveX,
-            player.position.y,
-            player.position.z
-          );
-          const knockbackPosZ = new THREE.Vector3(
-            player.position.x,
-            player.position.y,
-            player.position.z + knockbackMoveZ
-          );
-          
-          if (!this.collisionManager.willCollide(knockbackPosX, playerSize)) {
-            player.position.x += knockbackMoveX;
-          }
-          if (!this.collisionManager.willCollide(knockbackPosZ, playerSize)) {
-            player.position.z += knockbackMoveZ;
-          }
-        }
+        applied.knockbackX = player.position.x - beforeX;
+        applied.knockbackZ = player.position.z - beforeZ;
       }
     }
     
@@ -2479,32 +2132,10 @@ export class GameLoop {
       if (!hasKnockback) {
         const currentSpeed = this.inputManager.getCurrentSpeed();
         const velocity = new THREE.Vector3(input.x, 0, -input.y).multiplyScalar(currentSpeed * dt);
-        const nextPos = player.position.clone().add(velocity);
         const playerSize = this.characterManager.getPlayerSize();
 
-        // Try full movement first
-        if (!this.collisionManager.willCollide(nextPos, playerSize)) {
-          // Full movement works - apply both axes
-          player.position.x = nextPos.x;
-          player.position.z = nextPos.z;
-        } else {
-          // Full movement blocked - try sliding along each axis independently
-          // Try X-axis movement only
-          const nextPosX = new THREE.Vector3(nextPos.x, player.position.y, player.position.z);
-          const canMoveX = !this.collisionManager.willCollide(nextPosX, playerSize);
-          
-          // Try Z-axis movement only
-          const nextPosZ = new THREE.Vector3(player.position.x, player.position.y, nextPos.z);
-          const canMoveZ = !this.collisionManager.willCollide(nextPosZ, playerSize);
-          
-          // Apply movement along whichever axis is free (or both if both are free)
-          if (canMoveX) {
-            player.position.x = nextPos.x;
-          }
-          if (canMoveZ) {
-            player.position.z = nextPos.z;
-          }
-        }
+        // Try full movement, sliding along walls when blocked
+        applyMovementWithSliding(player.position, velocity, playerSize, this.collisionManager);
 
         // Track player movement for learning system
         if (this.learningManager) {
@@ -2517,10 +2148,11 @@ export class GameLoop {
         const isRunning = this.inputManager.isRunning();
         this.characterManager.updateMovement(input, velocity, this.sceneManager.getCamera(), isRunning);
         this.characterManager.updateSmokeSpawnTimer(dt);
-
-        if (this.characterManager.getCharacterName() === 'herald' && isRunning) {
-          this._applyHeraldRollKnockback(player, velocity);
-        }
+        
+        applied.inputX = input.x;
+        applied.inputY = input.y;
+        applied.speed = currentSpeed;
+        applied.run = isRunning;
       } else {
         // Player is being knocked back - still update animation but with reduced/no input
         const isRunning = this.inputManager.isRunning();
@@ -2530,8 +2162,11 @@ export class GameLoop {
       // Before game starts, keep character idle
       this.characterManager.updateMovement(new THREE.Vector2(0, 0), new THREE.Vector3(0, 0, 0), this.sceneManager.getCamera(), false);
     }
+    
+    return applied;
   }
 
+
   /**
    * Handle character swap input (Y button)
    * @private
@@ -2549,7 +2184,7 @@ export class GameLoop {
     }
     
     const currentChar = this.characterManager.getCharacterName();
-    const newChar = currentChar === 'lucy' ? 'herald' : 'lucy';
+    const newChar = getNextCharacterName(currentChar);
     
     // Trigger fast smoke particle burst
     const player = this.characterManager.getPlayer();
@@ -2593,173 +2228,9 @@ export class GameLoop {
       if (this.characterUIUpdateCallback) {
         this.characterUIUpdateCallback(newChar);
       }
-      
-      // Update mortar hold visual if active (recreate with new character color)
-      if (this.mortarHoldActive && this.mortarHoldVisual && player) {
-        this._createMortarHoldVisual(player);
-      }
     });
   }
 
-  /**
-   * Apply knockback to nearby entities while Herald is rolling
-   * @param {THREE.Mesh} player - Player mesh
-  * @param {THREE.Vector3} velocity - Current frame movement delta
-   * @private
-   */
-  _applyHeraldRollKnockback(player, velocity) {
-    if (!player || !velocity) {
-      return;
-    }
-
-    // Require meaningful movement to avoid triggering while idle
-    if (velocity.lengthSq() <= 1e-6) {
-      return;
-    }
-
-    const rollStats = getHeraldRollStats();
-    if (!rollStats) {
-      return;
-    }
-
-    const playerSize = typeof this.characterManager.getPlayerSize === 'function'
-      ? this.characterManager.getPlayerSize()
-      : 0.5;
-
-    const radius = rollStats.radius !== undefined
-      ? rollStats.radius
-      : playerSize * (rollStats.radiusMultiplier || 1.0);
-
-    if (radius <= 0) {
-      return;
-    }
-
-    const horizontalVelocity = rollStats.horizontalVelocity ?? 10.0;
-    const verticalVelocity = rollStats.verticalVelocity ?? 0;
-    const cooldownMs = rollStats.cooldownMs ?? 300;
-    const minDistance = rollStats.minDistance ?? 0.05;
-
-    const radiusSq = radius * radius;
-    const minDistanceSq = minDistance * minDistance;
-    const now = performance.now();
-
-    this._cleanupHeraldRollCooldowns(now, cooldownMs);
-
-    const playerPos = player.position;
-    let registeredHit = false;
-
-    const applyKnockback = (key, dx, dz, applyVelocity) => {
-      const distanceSq = dx * dx + dz * dz;
-      if (distanceSq > radiusSq) {
-        return false;
-      }
-
-      if (this.heraldRollKnockCooldowns.has(key)) {
-        const lastHit = this.heraldRollKnockCooldowns.get(key);
-        if (lastHit && now - lastHit < cooldownMs) {
-          return false;
-        }
-      }
-
-      let distance = Math.sqrt(Math.max(distanceSq, minDistanceSq));
-      if (distance < minDistance) {
-        distance = minDistance;
-      }
-
-      const dirX = dx / distance;
-      const dirZ = dz / distance;
-
-      applyVelocity(dirX, dirZ);
-      this.heraldRollKnockCooldowns.set(key, now);
-      registeredHit = true;
-      return true;
-    };
-
-    // Knockback bots
-    if (this.botManager) {
-      const bots = this.botManager.getAllBots();
-      for (let i = 0; i < bots.length; i++) {
-        const bot = bots[i];
-        if (!bot || !bot.userData || bot.userData.health <= 0 || bot.userData.isDying) {
-          continue;
-        }
-
-        const dx = bot.position.x - playerPos.x;
-        const dz = bot.position.z - playerPos.z;
-        const key = bot.userData.id ? `bot_${bot.userData.id}` : `bot_${bot.uuid}`;
-
-        applyKnockback(key, dx, dz, (dirX, dirZ) => {
-          bot.userData.velocityX = dirX * horizontalVelocity;
-          bot.userData.velocityZ = dirZ * horizontalVelocity;
-          if (verticalVelocity > 0) {
-            const currentVelocityY = bot.userData.velocityY || 0;
-            bot.userData.velocityY = Math.max(currentVelocityY, verticalVelocity);
-          }
-          bot.userData.isKnockedBack = true;
-          
-          // Track who pushed this bot (for arena fallout kills)
-          this.pushedByTracker.set(key, {
-            pusherId: 'local',
-            timestamp: performance.now()
-          });
-        });
-      }
-    }
-
-    // Knockback remote players (visual-only on local client)
-    if (this.remotePlayerManager && this.multiplayerManager && this.multiplayerManager.isInRoom()) {
-      const remotePlayers = this.remotePlayerManager.getRemotePlayers();
-      for (const [playerId, remotePlayer] of remotePlayers) {
-        if (!remotePlayer || !remotePlayer.mesh) {
-          continue;
-        }
-
-        const mesh = remotePlayer.mesh;
-        if (mesh.userData && mesh.userData.isDying) {
-          continue;
-        }
-
-        const dx = mesh.position.x - playerPos.x;
-        const dz = mesh.position.z - playerPos.z;
-        const key = `remote_${playerId}`;
-
-        applyKnockback(key, dx, dz, (dirX, dirZ) => {
-          remotePlayer.velocityX = dirX * horizontalVelocity;
-          remotePlayer.velocityZ = dirZ * horizontalVelocity;
-
-          if (!mesh.userData) {
-            mesh.userData = {};
-          }
-          if (!mesh.userData.characterData) {
-            mesh.userData.characterData = {};
-          }
-          if (verticalVelocity > 0) {
-            const currentVelocityY = mesh.userData.characterData.velocityY || 0;
-            mesh.userData.characterData.velocityY = Math.max(currentVelocityY, verticalVelocity);
-          }
-          mesh.userData.characterData.isKnockedBack = true;
-          
-          // Track who pushed this remote player (for arena fallout kills)
-          this.pushedByTracker.set(key, {
-            pusherId: 'local',
-            timestamp: performance.now()
-          });
-        });
-      }
-    }
-
-    if (registeredHit) {
-      if (this.vibrationManager) {
-        this.vibrationManager.medium();
-      }
-      const soundManager = this.characterManager.getSoundManager();
-      if (soundManager && typeof soundManager.playMeleeHit === 'function') {
-        const characterName = this.characterManager.getCharacterName();
-        soundManager.playMeleeHit(characterName);
-      }
-    }
-  }
-
   /**
    * Handle arena fallout kill - award kill to pusher when entity falls out
    * @param {string} entityId - Entity ID ('local', 'bot_<id>', or 'remote_<id>')
@@ -2768,8 +2239,17 @@ export class GameLoop {
   _handleArenaFalloutKill(entityId) {
     if (!this.pushedByTracker || !entityId) return;
     
+    // Kill feed victim ID ('bot_<id>' keys wrap the bot's own ID)
+    const victimId = entityId.startsWith('bot_') ? entityId.substring('bot_'.length) : entityId;
+    
     const pushInfo = this.pushedByTracker.get(entityId);
-    if (!pushInfo) return;
+    if (!pushInfo) {
+      // Bots are checked every frame while falling, so only the local player's own fall is reported
+      if (entityId === 'local') {
+        this._reportKill(null, victimId, 'fallout');
+      }
+      return;
+    }
     
     const now = performance.now();
     const timeSincePush = now - pushInfo.timestamp;
@@ -2788,6 +2268,14 @@ export class GameLoop {
         this.killStreakManager.registerKill(currentTime);
       }
       
+      // Credit the push that sent them over the edge
+      if (!entityId.startsWith('remote_')) {
+        this._reportKill('local', victimId, pushInfo.abilityType || 'fallout');
+        if (this.ultimateMeter) {
+          this.ultimateMeter.addKill();
+        }
+      }
+      
       // Update bot kills if entity is a bot
       if (entityId.startsWith('bot_')) {
         const botId = entityId.replace('bot_', '');
@@ -2802,12 +2290,42 @@ export class GameLoop {
           }
         }
       }
+    } else if (timeSincePush <= maxTimeWindow && !entityId.startsWith('remote_')) {
+      // Pushed over the edge by a bot or another player (own falls are always reported as fallout)
+      const abilityType = entityId === 'local' ? 'fallout' : (pushInfo.abilityType || 'fallout');
+      this._reportKill(pushInfo.pusherId, victimId, abilityType);
+      const killerBot = this.botManager ? this.botManager.getAllBots().find(bot => bot.userData.id === pushInfo.pusherId) : null;
+      if (killerBot) {
+        killerBot.userData.kills = (killerBot.userData.kills || 0) + 1;
+      }
+    } else if (!entityId.startsWith('remote_')) {
+      this._reportKill(null, victimId, 'fallout');
     }
     
     // Clean up tracking entry
     this.pushedByTracker.delete(entityId);
   }
 
+  /**
+   * Report a kill simulated on this client (bots and arena falls) to the kill feed
+   * In a room the server relays it to everyone, but only kills the local player made
+   * or suffered (the server refuses the rest); otherwise it is shown locally.
+   * @param {string|null} killerId - Killer ID ('local', player ID or bot ID)
+   * @param {string} victimId - Victim ID ('local' or bot ID)
+   * @param {string} attackType - Attack or ability type
+   * @private
+   */
+  _reportKill(killerId, victimId, attackType) {
+    const kill = { killerId, victimId, abilityType: attackType };
+    if (this.multiplayerManager && this.multiplayerManager.isInRoom()) {
+      if (killerId === 'local' || victimId === 'local') {
+        this.multiplayerManager.sendPlayerKilled(kill);
+      }
+    } else if (this.localKillCallback) {
+      this.localKillCallback(kill);
+    }
+  }
+
   /**
    * Clean up stale push tracking entries
    * @param {number} maxAge - Maximum age in milliseconds
@@ -2825,21 +2343,26 @@ export class GameLoop {
   }
 
   /**
-   * Remove stale cooldown entries for Herald roll knockback
-   * @param {number} now - Current timestamp
-   * @param {number} cooldownMs - Cooldown duration in ms
+   * Put a status effect on the local player from a hit this client decided (a bot's or, offline, any
+   * mortar) or from one of its own abilities (see AbilityWorld.grantStatusEffect)
+   * In a room the effect is also reported so the server and other players know about it.
+   * @param {string} type - Effect type
+   * @param {Object} sourceData - Attack source {playerId, characterName} (projectile or splash userData)
    * @private
    */
-  _cleanupHeraldRollCooldowns(now, cooldownMs) {
-    if (!this.heraldRollKnockCooldowns) {
+  _applyLocalStatusEffect(type, sourceData) {
+    const player = this.characterManager.getPlayer();
+    const sourceId = sourceData.playerId || null;
+    const options = { ...getStatusEffectOptions(type, sourceData.characterName), sourceId };
+    if (!this.statusEffects.apply(player, type, options)) {
       return;
     }
-
-    const maxAge = Math.max(cooldownMs * 3, 1500);
-    for (const [key, timestamp] of this.heraldRollKnockCooldowns) {
-      if (!timestamp || now - timestamp > maxAge) {
-        this.heraldRollKnockCooldowns.delete(key);
-      }
+    if (this.multiplayerManager && this.multiplayerManager.isInRoom()) {
+      this.multiplayerManager.sendStatusEffect({
+        type,
+        sourceId: isBotId(sourceId) ? sourceId : null,
+        characterName: sourceData.characterName || null
+      });
     }
   }
 
@@ -2850,40 +2373,6 @@ export class GameLoop {
    * @param {number} dt - Delta time
    * @private
    */
-  /**
-   * Apply poison effect from Lucy's mortar splash
-   * @param {THREE.Mesh} player - Player mesh
-   * @param {Object} mortarData - Mortar userData
-   * @private
-   */
-  _applyMortarPoison(player, mortarData) {
-    // Apply poison similar to melee poison
-    // Use Lucy's melee poison stats for consistency
-    const characterName = mortarData.characterName || 'lucy';
-    const meleeStats = getMeleeStats(characterName);
-    const poisonDamage = meleeStats.poisonDamage || 1;
-    const poisonTickInterval = meleeStats.poisonTickInterval || 0.5;
-    const poisonDuration = meleeStats.poisonDuration || 3.0;
-    const slowSpeedMultiplier = meleeStats.slowSpeedMultiplier || 0.6;
-    
-    // Apply poison to player
-    if (!this.poisonedEntities.has(player)) {
-      this.poisonedEntities.set(player, {
-        timeLeft: poisonDuration,
-        tickTimer: 0,
-        damage: poisonDamage,
-        tickInterval: poisonTickInterval,
-        speedMultiplier: slowSpeedMultiplier,
-        type: 'player'
-      });
-      
-      // Store speed multiplier in player's userData
-      if (player.userData) {
-        player.userData.poisonSpeedMultiplier = slowSpeedMultiplier;
-      }
-    }
-  }
-
   async _handleHeal(player, dt) {
     // Base heal rate per second
     const baseHealRate = 5; // HP per second
@@ -3037,579 +2526,153 @@ export class GameLoop {
   }
   
   /**
-   * Handle sword swing input (B button)
+   * Get the local player as an ability caster
    * @param {THREE.Mesh} player - Player mesh
+   * @returns {Object} Caster {id, characterName, mesh}
    * @private
    */
-  _handleSwordSwing(player) {
-    // Vibration for sword swing
-    if (this.vibrationManager) {
-      this.vibrationManager.swordSwing();
+  _getLocalCaster(player) {
+    return { id: 'local', characterName: this.characterManager.getCharacterName(), mesh: player };
+  }
+
+  /**
+   * Activate one of the local player's abilities and tell the other players
+   * @param {Ability|null} ability - Ability from the local loadout
+   * @param {THREE.Mesh} player - Player mesh
+   * @param {Object} params - Activation parameters (e.g. {direction})
+   * @returns {boolean} True if the ability activated
+   * @private
+   */
+  _activateLocalAbility(ability, player, params = {}) {
+    if (!ability || !player) {
+      return false;
     }
-    
-    // Get character-specific melee stats
-    const characterName = this.characterManager.getCharacterName();
-    
-    // Play melee swing sound
-    const soundManager = this.characterManager.getSoundManager();
-    if (soundManager) {
-      soundManager.playMeleeSwing(characterName);
-    }
-    const meleeStats = getMeleeStats(characterName);
-    const radius = meleeStats.range;
-    const initialDamage = meleeStats.initialDamage;
-    const damagePerTick = meleeStats.damage;
-    const tickInterval = meleeStats.tickInterval;
-    const animationDuration = meleeStats.animationDuration;
-    const cooldown = meleeStats.cooldown;
-    const poisonDamage = meleeStats.poisonDamage;
-    const poisonTickInterval = meleeStats.poisonTickInterval;
-    const poisonDuration = meleeStats.poisonDuration;
-    const slowSpeedMultiplier = meleeStats.slowSpeedMultiplier;
-    const horizontalVelocity = meleeStats.horizontalVelocity || 8;
-    const verticalVelocity = meleeStats.verticalVelocity || 2;
-    
-    // Set cooldown timer
-    this.meleeCooldownTimer = cooldown;
-    
-    // Sync melee cooldown to ProjectileManager for UI display
-    if (this.projectileManager) {
-      const playerId = 'local';
-      this.projectileManager.setMeleeCooldown(playerId, cooldown);
-    }
-    
-    // Update animation duration based on character
-    this.swordSwingAnimationDuration = animationDuration;
-    
-    // Store melee stats for damage over time
-    this.meleeInitialDamage = initialDamage;
-    this.meleeDamagePerTick = damagePerTick;
-    this.meleeTickInterval = tickInterval;
-    this.meleeRange = radius;
-    this.meleePoisonDamage = poisonDamage;
-    this.meleePoisonTickInterval = poisonTickInterval;
-    this.meleePoisonDuration = poisonDuration;
-    this.meleeSlowSpeedMultiplier = slowSpeedMultiplier;
-    
-    // Create 360 degree damage circle visual effect
-    // Inner radius scales with range (87.5% of range for visual effect)
-    const segments = 32;
-    const innerRadius = radius * 0.875; // Scale relative to range variable
-    const outerRadius = radius; // Use exact range for outer edge
-    const geometry = new THREE.RingGeometry(innerRadius, outerRadius, segments);
-    // Use character color for sword swing
-    const characterColor = this._getCharacterColorForParticles(characterName);
-    const material = new THREE.MeshBasicMaterial({
-      color: characterColor,
-      transparent: true,
-      opacity: 0.8,
-      side: THREE.DoubleSide
-    });
-    
-    const circle = new THREE.Mesh(geometry, material);
-    circle.rotation.x = -Math.PI / 2; // Lay flat on ground
-    circle.position.set(player.position.x, player.position.y + .2, player.position.z);
-    
-    // Store reference to circle for following character during animation
-    this.swordSwingCircle = circle;
-    
-    // Add to scene
-    this.sceneManager.getScene().add(circle);
-    
-    // Spawn character-colored sword swing particles
-    // Pass animationDuration so particles match the animation duration
-    if (this.characterManager.particleManager) {
-      const playerPos = new THREE.Vector3(player.position.x, player.position.y, player.position.z);
-      this.characterManager.particleManager.spawnSwordSwingParticles(playerPos, characterColor, radius, animationDuration);
+    const caster = this._getLocalCaster(player);
+    if (!ability.canActivate(caster, this.abilityWorld) || !ability.activate(caster, this.abilityWorld, params)) {
+      return false;
     }
-    
-    // Fire projectiles in 360-degree pattern for Lucy's melee
-    // Check for projectileCount property (use config directly if not in merged stats)
-    const projectileCount = characterName === 'lucy' 
-      ? (meleeStats.projectileCount || LUCY_MELEE_ATTACK_CONFIG.projectileCount || 16)
-      : 0;
-    
-    if (characterName === 'lucy' && projectileCount && projectileCount > 0) {
-      const projectileSpeed = meleeStats.projectileSpeed || LUCY_MELEE_ATTACK_CONFIG.projectileSpeed || 6;
-      const projectileDamage = meleeStats.projectileDamage || LUCY_MELEE_ATTACK_CONFIG.projectileDamage || 8;
-      const playerPos = player.position;
-      const playerHeight = playerPos.y;
-      
-      // Debug: Log projectile creation
-      console.log('[Lucy Melee] Firing', projectileCount, 'projectiles at speed', projectileSpeed);
-      
-      for (let i = 0; i < projectileCount; i++) {
-        // Calculate angle for this projectile (360 degrees evenly distributed)
-        const angle = (i / projectileCount) * Math.PI * 2;
-        
-        // Calculate direction vector
-        const directionX = Math.cos(angle);
-        const directionZ = Math.sin(angle);
-        
-        // Spawn position slightly offset from character
-        const offsetX = directionX * 0.5;
-        const offsetZ = directionZ * 0.5;
-        
-        // Create projectile (forceCreate bypasses cooldown for multiple projectiles)
-        if (this.projectileManager) {
-          const playerId = 'local';
-          const projectile = this.projectileManager.createProjectile(
-            playerPos.x + offsetX,
-            playerHeight,
-            playerPos.z + offsetZ,
-            directionX,
-            directionZ,
-            playerId,
-            characterName,
-            null,
-            null,
-            { forceCreate: true }
-          );
-          
-          // Override projectile speed and damage if needed
-          if (projectile && projectile.userData) {
-            projectile.userData.customSpeed = projectileSpeed;
-            projectile.userData.damage = projectileDamage;
-            // Set initial velocity immediately with custom speed
-            const currentSpeed = Math.sqrt(
-              projectile.userData.velocityX * projectile.userData.velocityX +
-              projectile.userData.velocityZ * projectile.userData.velocityZ
-            );
-            if (currentSpeed > 0.001) {
-              const speedRatio = projectileSpeed / currentSpeed;
-              projectile.userData.velocityX *= speedRatio;
-              projectile.userData.velocityZ *= speedRatio;
-            }
-          }
-        }
-      }
+    if (ability.networked && this.multiplayerManager && this.multiplayerManager.isInRoom()) {
+      this.multiplayerManager.sendAbilityActivate(ability.serialize(caster, params));
     }
-    
-    // Start sword swing animation tracking
-    this.swordSwingAnimationTime = animationDuration;
-    this.meleeDamageTickTimer = 0; // Reset damage tick timer
-    
-    // Clear previous affected entities - will be populated as damage is applied over time
-    this.meleeAffectedEntities.clear();
-    
-    // Apply immediate damage on first hit
-    const playerPos = player.position;
-    const radiusSq = radius * radius; // Pre-calculate squared radius
-    
-    // Damage bots in range immediately - optimized
-    if (this.botManager && initialDamage > 0) {
-      const bots = this.botManager.getAllBots();
-      let hitSoundPlayed = false; // Only play sound once per swing
-      for (let i = 0; i < bots.length; i++) {
-        const bot = bots[i];
-        const dx = bot.position.x - playerPos.x;
-        const dz = bot.position.z - playerPos.z;
-        const distanceSq = dx * dx + dz * dz; // Use squared distance to avoid sqrt
-        
-        if (distanceSq <= radiusSq) {
-          // Check line of sight - don't damage through walls
-          const sightCheck = this._hasLineOfSight(playerPos, bot.position, radius, 0.3);
-          
-          if (sightCheck.clear) {
-            // Play melee hit sound (once per swing)
-            if (!hitSoundPlayed) {
-              const soundManager = this.characterManager.getSoundManager();
-              if (soundManager) {
-                const characterName = this.characterManager.getCharacterName();
-                soundManager.playMeleeHit(characterName);
-                hitSoundPlayed = true;
-              }
-            }
-            
-            // Apply immediate damage
-            const wasAlive = bot.userData.health > 0;
-            const botDied = this.botManager.damageBot(bot, initialDamage, 'local');
-            
-            // Trigger kill feedback immediately when bot dies (local player kill)
-            if (botDied && wasAlive && this.killStreakManager) {
-              const currentTime = performance.now() / 1000; // Convert to seconds
-              this.killStreakManager.registerKill(currentTime);
-            }
-            
-            // Show damage number for melee initial hit
-            if (this.damageNumberManager) {
-              this.damageNumberManager.showDamage(initialDamage, bot.position, 0xff8800);
-            }
-            
-            // Apply knockback to bot
-            if (!botDied && distanceSq > 0.01) {
-              const distance = Math.sqrt(distanceSq);
-              const dirX = dx / distance;
-              const dirZ = dz / distance;
-              const distanceMultiplier = 1 - distance / radius;
-              
-              // Apply velocity to bot
-              bot.userData.velocityX = dirX * horizontalVelocity * distanceMultiplier;
-              bot.userData.velocityZ = dirZ * horizontalVelocity * distanceMultiplier;
-              bot.userData.velocityY = verticalVelocity;
-              bot.userData.isKnockedBack = true;
-              
-              // Track who pushed this bot (for arena fallout kills)
-              const botId = bot.userData.id || `bot_${bot.uuid}`;
-              this.pushedByTracker.set(botId, {
-                pusherId: 'local',
-                timestamp: performance.now()
-              });
-            }
-            
-            if (!botDied) {
-              // Track this bot as affected for poison effect
-              this.meleeAffectedEntities.add(bot);
-            }
-          }
-        }
-      }
+    return true;
+  }
+
+  /**
+   * Update the local and remote players' abilities
+   * @param {number} dt - Delta time in seconds
+   * @param {THREE.Mesh} player - Player mesh
+   * @private
+   */
+  _updateAbilities(dt, player) {
+    this.abilityLoadout.setCharacter(this.characterManager.getCharacterName(), this.abilityWorld);
+    if (player) {
+      this.abilityLoadout.update(dt, this._getLocalCaster(player), this.abilityWorld);
     }
     
-    // Damage remote players in multiplayer mode immediately - optimized
-    if (this.remotePlayerManager && this.multiplayerManager && this.multiplayerManager.isInRoom() && initialDamage > 0) {
-      const remotePlayers = this.remotePlayerManager.getRemotePlayers();
-      let hitSoundPlayed = false; // Only play sound once per swing (may be set by bots above)
-      for (const [playerId, remotePlayer] of remotePlayers) {
-        const mesh = remotePlayer.mesh;
-        if (!mesh) continue;
-        
-        const dx = mesh.position.x - playerPos.x;
-        const dz = mesh.position.z - playerPos.z;
-        const distanceSq = dx * dx + dz * dz; // Use squared distance to avoid sqrt
-        
-        if (distanceSq <= radiusSq) {
-          // Check line of sight - don't damage through walls
-          const sightCheck = this._hasLineOfSight(playerPos, mesh.position, radius, 0.3);
-          
-          if (sightCheck.clear) {
-            // Play melee hit sound (once per swing)
-            if (!hitSoundPlayed) {
-              const soundManager = this.characterManager.getSoundManager();
-              if (soundManager) {
-                const characterName = this.characterManager.getCharacterName();
-                soundManager.playMeleeHit(characterName);
-                hitSoundPlayed = true;
-              }
-            }
-            
-            // Apply immediate damage to remote player (server will sync)
-            // Initialize health if not set (fallback to default values)
-            if (!mesh.userData) {
-              mesh.userData = {};
-            }
-            if (mesh.userData.health === undefined) {
-              mesh.userData.health = 100; // Default health
-            }
-            if (mesh.userData.maxHealth === undefined) {
-              mesh.userData.maxHealth = 100; // Default max health
-            }
-            
-            // Apply damage
-            mesh.userData.health = Math.max(0, mesh.userData.health - initialDamage);
-            
-            // Show damage number for melee initial hit on remote player
-            if (this.damageNumberManager) {
-              this.damageNumberManager.showDamage(initialDamage, mesh.position, 0xff8800);
-            }
-            
-            // Apply knockback to remote player
-            if (mesh.userData.health > 0 && distanceSq > 0.01) {
-              const distance = Math.sqrt(distanceSq);
-              const dirX = dx / distance;
-              const dirZ = dz / distance;
-              const distanceMultiplier = 1 - distance / radius;
-              
-              // Apply velocity to remote player
-              remotePlayer.velocityX = dirX * horizontalVelocity * distanceMultiplier;
-              remotePlayer.velocityZ = dirZ * horizontalVelocity * distanceMultiplier;
-              
-              // Initialize characterData if needed
-              if (!mesh.userData.characterData) {
-                mesh.userData.characterData = {};
-              }
-              mesh.userData.characterData.velocityY = verticalVelocity;
-              mesh.userData.characterData.isKnockedBack = true;
-              
-              // Track who pushed this remote player (for arena fallout kills)
-              this.pushedByTracker.set(`remote_${playerId}`, {
-                pusherId: 'local',
-                timestamp: performance.now()
-              });
-            }
-            
-            // Send updated health to server for sync
-            this.multiplayerManager.sendPlayerDamage({
-              damage: initialDamage,
-              health: mesh.userData.health,
-              maxHealth: mesh.userData.maxHealth
-            });
-            
-            // Track this remote player as affected for poison effect (if not dead)
-            if (mesh.userData.health > 0) {
-              this.meleeAffectedEntities.add(`remote_${playerId}`);
-            }
-          }
-        }
-      }
+    // Sync cooldowns to ProjectileManager for UI display
+    if (this.projectileManager) {
+      const playerId = 'local';
+      const melee = this.abilityLoadout.get('melee');
+      const special = this.abilityLoadout.getSlot('special');
+      const utility = this.abilityLoadout.getSlot('utility');
+      this.projectileManager.setMeleeCooldown(playerId, melee ? melee.cooldownTimer : 0);
+      this.projectileManager.setSpecialAbilityCooldown(playerId, special && special !== melee ? special.cooldownTimer : 0);
+      this.projectileManager.setUtilityAbilityCooldown(playerId, utility ? utility.cooldownTimer : 0);
     }
     
-    // Damage will be applied over time during the animation duration
+    this._updateRemoteAbilities(dt);
   }
 
   /**
-   * Handle Herald's blast ability - blows all characters in radius far away
+   * Update status effects on every entity and deal their damage ticks
+   * The local player's movement speed follows their slows and stuns.
+   * @param {number} dt - Delta time in seconds
    * @param {THREE.Mesh} player - Player mesh
    * @private
    */
-  _handleHeraldBlast(player) {
-    // Vibration for blast
-    if (this.vibrationManager) {
-      this.vibrationManager.veryHeavy();
-    }
-    
-    // Play blast sound
-    const characterName = this.characterManager.getCharacterName();
-    const soundManager = this.characterManager.getSoundManager();
-    if (soundManager) {
-      // Try to play custom blast sound, fallback to melee swing
-      soundManager.playMeleeSwing(characterName);
-    }
-    
-    // Get blast stats (Herald's ability)
-    const blastStats = getBlastStats(characterName);
-    if (!blastStats) return;
-    
-    const radius = blastStats.radius;
-    const horizontalVelocity = blastStats.horizontalVelocity;
-    const verticalVelocity = blastStats.verticalVelocity;
-    const velocityDecay = blastStats.velocityDecay;
-    const bounceRestitution = blastStats.bounceRestitution;
-    const minBounceVelocity = blastStats.minBounceVelocity;
-    const cooldown = blastStats.cooldown;
-    const animationDuration = blastStats.animationDuration;
-    
-    // Set cooldown timer
-    this.specialAbilityCooldownTimer = cooldown;
-    
-    // Create visual effect (expanding circle)
-    const segments = 32;
-    const geometry = new THREE.RingGeometry(0, radius, segments);
-    const characterColor = this._getCharacterColorForParticles('herald');
-    const material = new THREE.MeshBasicMaterial({
-      color: characterColor,
-      transparent: true,
-      opacity: 0.9,
-      side: THREE.DoubleSide
+  _updateStatusEffects(dt, player) {
+    const ticks = this.statusEffects.update(dt, this.characterManager.particleManager);
+    ticks.forEach(tick => {
+      this.abilityWorld.applyStatusTick(tick.entity, tick.type, tick.damage, tick.sourceId);
     });
     
-    const circle = new THREE.Mesh(geometry, material);
-    circle.rotation.x = -Math.PI / 2; // Lay flat on ground
-    circle.position.set(player.position.x, player.position.y + 0.2, player.position.z);
-    
-    // Store reference to circle for animation
-    this.blastCircle = circle;
-    this.blastAnimationTime = animationDuration;
-    this.blastAnimationDuration = animationDuration;
-    
-    // Add to scene
-    this.sceneManager.getScene().add(circle);
-    
-    // Spawn particles
-    if (this.characterManager.particleManager) {
-      const playerPos = new THREE.Vector3(player.position.x, player.position.y, player.position.z);
-      this.characterManager.particleManager.spawnSwordSwingParticles(playerPos, characterColor, radius, animationDuration);
+    const speedMultiplier = player ? this.statusEffects.getMovementMultiplier(player) : 1;
+    if (speedMultiplier !== this.inputManager.speedMultiplier) {
+      this.inputManager.applyCharacterMovementStats(this.characterManager.getCharacterName(), speedMultiplier);
     }
+  }
+
+  /**
+   * Update remote players' abilities (running effects and rolls) and drop loadouts of players who left
+   * @param {number} dt - Delta time in seconds
+   * @private
+   */
+  _updateRemoteAbilities(dt) {
+    const inRoom = !!this.remotePlayerManager && !!this.multiplayerManager && this.multiplayerManager.isInRoom();
+    const remotePlayers = inRoom ? this.remotePlayerManager.getRemotePlayers() : null;
     
-    // Push all characters away
-    const playerPos = player.position;
-    const radiusSq = radius * radius; // Pre-calculate squared radius
-    const minDistanceSq = 0.01; // 0.1^2 for minimum distance check
-    
-    // Blast bots away with velocity - optimized
-    if (this.botManager) {
-      const bots = this.botManager.getAllBots();
-      for (let i = 0; i < bots.length; i++) {
-        const bot = bots[i];
-        const dx = bot.position.x - playerPos.x;
-        const dz = bot.position.z - playerPos.z;
-        const distanceSq = dx * dx + dz * dz;
-        
-        if (distanceSq <= radiusSq && distanceSq > minDistanceSq) {
-          const distance = Math.sqrt(distanceSq); // Only calculate sqrt when needed
-          // Normalize direction
-          const dirX = dx / distance;
-          const dirZ = dz / distance;
-          
-          // Calculate velocity based on distance (stronger when closer)
-          const distanceMultiplier = 1 - distance / radius;
-          const velX = dirX * horizontalVelocity * distanceMultiplier;
-          const velZ = dirZ * horizontalVelocity * distanceMultiplier;
-          
-          // Apply horizontal velocity
-          bot.userData.velocityX = velX;
-          bot.userData.velocityZ = velZ;
-          
-          // Apply vertical velocity (launch up)
-          bot.userData.velocityY = verticalVelocity;
-          
-          // Mark as knocked back for bounce physics
-          bot.userData.isKnockedBack = true;
-          
-          // Track who pushed this bot (for arena fallout kills)
-          const botId = bot.userData.id || `bot_${bot.uuid}`;
-          this.pushedByTracker.set(botId, {
-            pusherId: 'local',
-            timestamp: performance.now()
-          });
-        }
+    for (const [playerId, loadout] of this.remoteAbilityLoadouts) {
+      if (!remotePlayers || !remotePlayers.has(playerId)) {
+        loadout.dispose(this.abilityWorld);
+        this.remoteAbilityLoadouts.delete(playerId);
       }
     }
+    if (!remotePlayers) {
+      return;
+    }
     
-    // Blast remote players away with velocity - optimized
-    if (this.remotePlayerManager && this.multiplayerManager && this.multiplayerManager.isInRoom()) {
-      const remotePlayers = this.remotePlayerManager.getRemotePlayers();
-      for (const [playerId, remotePlayer] of remotePlayers) {
-        const mesh = remotePlayer.mesh;
-        if (!mesh) continue;
-        
-        const dx = mesh.position.x - playerPos.x;
-        const dz = mesh.position.z - playerPos.z;
-        const distanceSq = dx * dx + dz * dz;
-        
-        if (distanceSq <= radiusSq && distanceSq > minDistanceSq) {
-          const distance = Math.sqrt(distanceSq); // Only calculate sqrt when needed
-          // Normalize direction
-          const dirX = dx / distance;
-          const dirZ = dz / distance;
-          
-          // Calculate velocity based on distance (stronger when closer)
-          const distanceMultiplier = 1 - distance / radius;
-          const velX = dirX * horizontalVelocity * distanceMultiplier;
-          const velZ = dirZ * horizontalVelocity * distanceMultiplier;
-          
-          // Apply horizontal velocity (store in remote player data)
-          remotePlayer.velocityX = velX;
-          remotePlayer.velocityZ = velZ;
-          
-          // Apply vertical velocity (launch up) - store in mesh userData if available
-          if (mesh.userData) {
-            if (!mesh.userData.characterData) {
-              mesh.userData.characterData = {};
-            }
-            mesh.userData.characterData.velocityY = verticalVelocity;
-            mesh.userData.characterData.isKnockedBack = true; // Mark as knocked back for bounce physics
-          }
-          
-          // Track who pushed this remote player (for arena fallout kills)
-          this.pushedByTracker.set(`remote_${playerId}`, {
-            pusherId: 'local',
-            timestamp: performance.now()
-          });
-        }
-      }
+    for (const [playerId, remotePlayer] of remotePlayers) {
+      if (!remotePlayer.mesh) continue;
+      const caster = this._getRemoteCaster(playerId, remotePlayer);
+      this._getRemoteLoadout(caster).update(dt, caster, this.abilityWorld);
     }
   }
 
   /**
-   * Handle Lucy's multi-projectile ability - shoots multiple projectiles around her at character height
-   * @param {THREE.Mesh} player - Player mesh
+   * Get a remote player as an ability caster
+   * @param {string} playerId - Remote player ID
+   * @param {Object} remotePlayer - Remote player data
+   * @returns {Object} Caster {id, characterName, mesh}
    * @private
    */
-  _handleLucyMultiProjectile(player) {
-    // Vibration for multi-projectile
-    if (this.vibrationManager) {
-      this.vibrationManager.heavy();
-    }
-    
-    // Play multi-projectile sound
-    const characterName = this.characterManager.getCharacterName();
-    const soundManager = this.characterManager.getSoundManager();
-    if (soundManager) {
-      // Try to play custom sound, fallback to melee swing
-      soundManager.playMeleeSwing(characterName);
-    }
-    
-    // Get multi-projectile stats (Lucy's ability)
-    const multiProjectileStats = getMultiProjectileStats(characterName);
-    if (!multiProjectileStats) return;
-    
-    const projectileCount = multiProjectileStats.projectileCount;
-    const damage = multiProjectileStats.damage;
-    const cooldown = multiProjectileStats.cooldown;
-    const animationDuration = multiProjectileStats.animationDuration;
-    const projectileSpeed = multiProjectileStats.projectileSpeed;
-    const spreadRadius = multiProjectileStats.spreadRadius;
-    
-    // Set cooldown timer
-    this.specialAbilityCooldownTimer = cooldown;
-    
-    // Create visual effect (circle)
-    const segments = 32;
-    const geometry = new THREE.RingGeometry(spreadRadius * 0.8, spreadRadius, segments);
-    const characterColor = this._getCharacterColorForParticles('lucy');
-    const material = new THREE.MeshBasicMaterial({
-      color: characterColor,
-      transparent: true,
-      opacity: 0.8,
-      side: THREE.DoubleSide
-    });
-    
-    const circle = new THREE.Mesh(geometry, material);
-    circle.rotation.x = -Math.PI / 2; // Lay flat on ground
-    circle.position.set(player.position.x, player.position.y + 0.2, player.position.z);
-    
-    // Store reference to circle for animation
-    this.multiProjectileCircle = circle;
-    this.multiProjectileAnimationTime = animationDuration;
-    this.multiProjectileAnimationDuration = animationDuration;
-    
-    // Add to scene
-    this.sceneManager.getScene().add(circle);
-    
-    // Spawn particles
-    if (this.characterManager.particleManager) {
-      const playerPos = new THREE.Vector3(player.position.x, player.position.y, player.position.z);
-      this.characterManager.particleManager.spawnSwordSwingParticles(playerPos, characterColor, spreadRadius, animationDuration);
+  _getRemoteCaster(playerId, remotePlayer) {
+    const mesh = remotePlayer.mesh;
+    return { id: playerId, characterName: mesh.userData?.characterName || 'lucy', mesh };
+  }
+
+  /**
+   * Get (or create) a remote player's loadout, following their character
+   * @param {Object} caster - Remote caster {id, characterName, mesh}
+   * @returns {AbilityLoadout} Loadout
+   * @private
+   */
+  _getRemoteLoadout(caster) {
+    let loadout = this.remoteAbilityLoadouts.get(caster.id);
+    if (!loadout) {
+      loadout = new AbilityLoadout(caster.characterName);
+      this.remoteAbilityLoadouts.set(caster.id, loadout);
+    }
+    loadout.setCharacter(caster.characterName, this.abilityWorld);
+    return loadout;
+  }
+
+  /**
+   * Play another player's ability activation (relayed by the server)
+   * Runs the same ability code as the caster's client; their hits on us are knockback
+   * only, since the caster reports damage to the server.
+   * @param {Object} data - Activation {playerId, ability, x, y, z}
+   */
+  applyRemoteAbility(data) {
+    const remotePlayer = this.remotePlayerManager?.getRemotePlayer(data.playerId);
+    if (!remotePlayer || !remotePlayer.mesh) {
+      return;
     }
-    
-    // Shoot projectiles in all directions around character
-    const playerPos = player.position;
-    const playerHeight = playerPos.y;
-    
-    for (let i = 0; i < projectileCount; i++) {
-      // Calculate angle for this projectile
-      const angle = (i / projectileCount) * Math.PI * 2;
-      
-      // Calculate direction vector
-      const directionX = Math.cos(angle);
-      const directionZ = Math.sin(angle);
-      
-      // Spawn position slightly offset from character
-      const offsetX = directionX * 0.5;
-      const offsetZ = directionZ * 0.5;
-      
-      // Create projectile
-      if (this.projectileManager) {
-        const playerId = 'local';
-        const projectile = this.projectileManager.createProjectile(
-          playerPos.x + offsetX,
-          playerHeight,
-          playerPos.z + offsetZ,
-          directionX,
-          directionZ,
-          playerId,
-          'lucy'
-        );
-        
-        // Override projectile speed if needed
-        if (projectile && projectile.userData) {
-          projectile.userData.customSpeed = projectileSpeed;
-          // Set custom damage
-          projectile.userData.damage = damage;
-        }
-      }
+    const caster = this._getRemoteCaster(data.playerId, remotePlayer);
+    const ability = this._getRemoteLoadout(caster).get(data.ability);
+    if (!ability || !ability.networked) {
+      return;
     }
+    ability.activate(caster, this.abilityWorld, ability.deserialize(data));
   }
 
   /**
@@ -3620,6 +2683,14 @@ export class GameLoop {
     this.characterUIUpdateCallback = callback;
   }
 
+  /**
+   * Set callback for kill feed entries while not in a room
+   * @param {Function} callback - Callback function({killerId, victimId, abilityType})
+   */
+  setLocalKillCallback(callback) {
+    this.localKillCallback = callback;
+  }
+
   /**
    * Get character color for particles/effects
    * @param {string} characterName - Character name
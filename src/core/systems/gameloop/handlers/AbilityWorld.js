@@ -0,0 +1,471 @@
+/**
+ * AbilityWorld.js
+ *
+ * The game as seen by abilities: who a caster can hit and what hitting them does.
+ * Abilities run the same code for the local player, bots and remote players; this
+ * decides the consequences for each caster:
+ * - Local player: damages bots and (reported to the server) remote players, inflicts status effects
+ * - Bots: damage the local player and other bots
+ * - Remote players: knock the local player back; their damage arrives from the server
+ */
+
+import { getAbilitySlot, canCharacterGrant } from '../../../../config/character/CharacterRegistry.js';
+import { getStatusEffectConfig } from '../../../../config/abilities/StatusEffectConfig.js';
+import { getStatusEffectOptions } from '../../statusEffects/StatusEffects.js';
+import { launchBolt } from '../../abilities/functions/ability/ProjectileRing.js';
+
+/**
+ * Ability world for game loop
+ */
+export class AbilityWorld {
+  constructor(gameLoop) {
+    this.gameLoop = gameLoop;
+  }
+
+  /**
+   * Scene that ability visuals are added to
+   * @returns {THREE.Scene} Scene
+   */
+  get scene() {
+    return this.gameLoop.sceneManager.getScene();
+  }
+
+  /**
+   * Particle manager for ability particles (may be null)
+   * @returns {Object|null} Particle manager
+   */
+  get particleManager() {
+    return this.gameLoop.characterManager.particleManager || null;
+  }
+
+  /**
+   * Projectile manager for projectile-firing abilities (may be null)
+   * @returns {Object|null} Projectile manager
+   */
+  get projectileManager() {
+    return this.gameLoop.projectileManager;
+  }
+
+  /**
+   * Collision manager that ability walls (barriers) are added to (may be null)
+   * @returns {Object|null} Collision manager
+   */
+  get collisionManager() {
+    return this.gameLoop.collisionManager || null;
+  }
+
+  /**
+   * Get everyone a caster's abilities can hit
+   * Targets are {key, kind, id, mesh, remotePlayer?}; keys match pushedByTracker
+   * ('local', 'bot_<id>', 'remote_<id>').
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @returns {Array<Object>} Targets
+   */
+  getTargets(caster) {
+    const gameLoop = this.gameLoop;
+    const targets = [];
+    const kind = this._getCasterKind(caster);
+    const isInRoom = !!gameLoop.multiplayerManager && gameLoop.multiplayerManager.isInRoom();
+
+    if (kind === 'remote') {
+      // Other clients simulate their own bots and players
+      const player = gameLoop.characterManager.getPlayer();
+      if (player && isInRoom && !gameLoop._isTeammate(caster.id)) {
+        targets.push({ key: 'local', kind: 'local', id: 'local', mesh: player });
+      }
+      return targets;
+    }
+
+    if (kind === 'bot') {
+      const player = gameLoop.characterManager.getPlayer();
+      if (player) {
+        targets.push({ key: 'local', kind: 'local', id: 'local', mesh: player });
+      }
+    }
+
+    if (gameLoop.botManager) {
+      const bots = gameLoop.botManager.getAllBots();
+      for (let i = 0; i < bots.length; i++) {
+        const bot = bots[i];
+        if (bot === caster.mesh || !bot.userData) continue;
+        targets.push({ key: `bot_${bot.userData.id}`, kind: 'bot', id: bot.userData.id, mesh: bot });
+      }
+    }
+
+    if (kind === 'local' && isInRoom && gameLoop.remotePlayerManager) {
+      for (const [playerId, remotePlayer] of gameLoop.remotePlayerManager.getRemotePlayers()) {
+        if (!remotePlayer.mesh || gameLoop._isTeammate(playerId)) continue;
+        targets.push({ key: `remote_${playerId}`, kind: 'remote', id: playerId, mesh: remotePlayer.mesh, remotePlayer });
+      }
+    }
+
+    return targets;
+  }
+
+  /**
+   * Check whether a target is alive and not fading out
+   * @param {Object} target - Target from getTargets
+   * @returns {boolean} True if active
+   */
+  isTargetActive(target) {
+    if (target.kind === 'local') {
+      return !this.gameLoop.characterManager.isDying();
+    }
+    const userData = target.mesh.userData;
+    if (!userData || userData.isDying) {
+      return false;
+    }
+    return target.kind !== 'bot' || userData.health > 0;
+  }
+
+  /**
+   * Check line of sight between two points (walls block abilities)
+   * @param {THREE.Vector3|Object} start - Start position
+   * @param {THREE.Vector3|Object} target - Target position
+   * @param {number} radius - Attack radius
+   * @param {number} threshold - Blockage threshold
+   * @returns {Object} Line of sight result {clear, ...}
+   */
+  hasLineOfSight(start, target, radius, threshold) {
+    return this.gameLoop._hasLineOfSight(start, target, radius, threshold);
+  }
+
+  /**
+   * Damage a target
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} target - Target from getTargets
+   * @param {number} damage - Damage amount
+   * @param {string} attackType - Attack type ('melee', ...)
+   * @returns {boolean} True if the target died
+   */
+  damageTarget(caster, target, damage, attackType) {
+    const gameLoop = this.gameLoop;
+    const kind = this._getCasterKind(caster);
+
+    // Remote players' hits are applied by the server
+    if (kind === 'remote') {
+      return false;
+    }
+
+    if (target.kind === 'local') {
+      gameLoop._applyDamageToPlayer(damage, target.mesh, caster.id, { attackType });
+      return gameLoop.characterManager.isDying();
+    }
+
+    if (target.kind === 'bot') {
+      const bot = target.mesh;
+      const wasAlive = bot.userData.health > 0;
+      const botDied = gameLoop.botManager.damageBot(bot, damage, caster.id, attackType);
+      if (kind === 'local') {
+        // Trigger kill feedback immediately when bot dies (local player kill)
+        if (botDied && wasAlive && gameLoop.killStreakManager) {
+          gameLoop.killStreakManager.registerKill(performance.now() / 1000);
+        }
+        if (gameLoop.damageNumberManager) {
+          gameLoop.damageNumberManager.showDamage(damage, bot.position, 0xff8800);
+        }
+      }
+      return botDied;
+    }
+
+    // Remote player hit by the local player (server validates and syncs)
+    const mesh = target.mesh;
+    if (!mesh.userData) {
+      mesh.userData = {};
+    }
+    if (mesh.userData.health === undefined) {
+      mesh.userData.health = 100; // Default health
+    }
+    if (mesh.userData.maxHealth === undefined) {
+      mesh.userData.maxHealth = 100; // Default max health
+    }
+    mesh.userData.health = Math.max(0, mesh.userData.health - damage);
+
+    if (gameLoop.damageNumberManager) {
+      gameLoop.damageNumberManager.showDamage(damage, mesh.position, 0xff8800);
+    }
+
+    gameLoop.multiplayerManager.sendPlayerDamage({
+      targetId: target.id,
+      attackType,
+      damage,
+      health: mesh.userData.health,
+      maxHealth: mesh.userData.maxHealth
+    });
+    return mesh.userData.health <= 0;
+  }
+
+  /**
+   * Knock a target back and remember who pushed it (arena fallout kills)
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} target - Target from getTargets
+   * @param {Object} knockback - {velocityX, velocityZ, velocityY, raiseOnly}; raiseOnly keeps a higher upward velocity
+   * @param {string} abilityType - Ability type credited for a fallout kill
+   */
+  knockTarget(caster, target, knockback, abilityType) {
+    const gameLoop = this.gameLoop;
+    const { velocityX, velocityZ, velocityY, raiseOnly } = knockback;
+    const resolveVelocityY = (current) => {
+      if (velocityY === undefined) return current;
+      return raiseOnly ? Math.max(current || 0, velocityY) : velocityY;
+    };
+
+    if (target.kind === 'bot') {
+      const userData = target.mesh.userData;
+      userData.velocityX = velocityX;
+      userData.velocityZ = velocityZ;
+      userData.velocityY = resolveVelocityY(userData.velocityY);
+      userData.isKnockedBack = true;
+    } else if (target.kind === 'remote') {
+      // Visual only - the remote player's own client moves them
+      const mesh = target.mesh;
+      target.remotePlayer.velocityX = velocityX;
+      target.remotePlayer.velocityZ = velocityZ;
+      if (!mesh.userData) {
+        mesh.userData = {};
+      }
+      if (!mesh.userData.characterData) {
+        mesh.userData.characterData = {};
+      }
+      mesh.userData.characterData.velocityY = resolveVelocityY(mesh.userData.characterData.velocityY);
+      mesh.userData.characterData.isKnockedBack = true;
+    } else {
+      const player = target.mesh;
+      player.userData.velocityX = velocityX;
+      player.userData.velocityZ = velocityZ;
+      player.userData.isKnockedBack = true;
+      // Vertical velocity lives in characterData (handled by CharacterPhysics)
+      const characterData = gameLoop.characterManager.characterData;
+      if (characterData && velocityY !== undefined) {
+        characterData.velocityY = Math.max(characterData.velocityY || 0, velocityY);
+      }
+    }
+
+    gameLoop.pushedByTracker.set(target.key, {
+      pusherId: caster.id,
+      abilityType,
+      timestamp: performance.now()
+    });
+  }
+
+  /**
+   * Move a caster with a burst of horizontal velocity (dashes)
+   * Uses the same velocity as knockback, so normal movement pauses while it lasts;
+   * pushing with zero velocity stops the caster.
+   * Remote players move themselves; their position arrives with their player state.
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {number} velocityX - X velocity (units per second)
+   * @param {number} velocityZ - Z velocity (units per second)
+   */
+  pushCaster(caster, velocityX, velocityZ) {
+    if (this._getCasterKind(caster) === 'remote' || !caster.mesh.userData) {
+      return;
+    }
+    const userData = caster.mesh.userData;
+    userData.velocityX = velocityX;
+    userData.velocityZ = velocityZ;
+    userData.isKnockedBack = velocityX !== 0 || velocityZ !== 0;
+  }
+
+  /**
+   * Activate another of the caster's abilities (e.g. a dash finishing with a shove)
+   * Remote casters' follow-ups arrive over the network like any other activation.
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {string} name - Ability name in the caster's loadout
+   */
+  activateAbility(caster, name) {
+    const kind = this._getCasterKind(caster);
+    if (kind === 'local') {
+      this.gameLoop._activateLocalAbility(this.gameLoop.abilityLoadout.get(name), caster.mesh);
+    } else if (kind === 'bot') {
+      const ability = caster.mesh.userData.abilityLoadout?.get(name);
+      if (ability && ability.canActivate(caster, this)) {
+        ability.activate(caster, this);
+      }
+    }
+  }
+
+  /**
+   * Fire a bolt for an ability (bolt storm)
+   * Remote players fire their ability bolts on their own client and send them like
+   * any other bolt, so nothing is fired for them here. The local player's are sent to
+   * the server, which simulates their hits on other players.
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} origin - Where the caster fires from {x, y, z}
+   * @param {Object} direction - Direction {x, z} (normalized)
+   * @param {Object} bolt - Bolt {ability, speed, damage, lifetime}
+   * @returns {THREE.Mesh|null} The bolt, or null if none was fired here
+   */
+  fireBolt(caster, origin, direction, bolt) {
+    const kind = this._getCasterKind(caster);
+    const projectileManager = this.projectileManager;
+    if (kind === 'remote' || !projectileManager) {
+      return null;
+    }
+    const projectile = launchBolt(projectileManager, caster, origin, direction.x, direction.z, bolt.speed, bolt.damage);
+    if (!projectile) {
+      return null;
+    }
+    projectile.userData.maxLifetime = bolt.lifetime;
+
+    const multiplayerManager = this.gameLoop.multiplayerManager;
+    if (kind === 'local' && multiplayerManager && multiplayerManager.isInRoom()) {
+      multiplayerManager.sendProjectileCreate({
+        projectileType: 'bolt',
+        ability: bolt.ability,
+        startX: projectile.position.x,
+        startY: projectile.position.y,
+        startZ: projectile.position.z,
+        directionX: direction.x,
+        directionZ: direction.z,
+        characterName: caster.characterName,
+        targetX: null,
+        targetZ: null,
+        projectileId: projectile.userData.projectileId
+      });
+    }
+    return projectile;
+  }
+
+  /**
+   * Put a status effect on a target
+   * Only the local player's abilities inflict effects here: bots are tuned without
+   * them and remote players' effects arrive from the server. Effects on remote players
+   * are shown at once and sent to the server, which simulates them for everyone.
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {Object} target - Target from getTargets
+   * @param {string} type - Effect type ('poison', 'stun', ...)
+   */
+  applyStatusEffect(caster, target, type) {
+    const gameLoop = this.gameLoop;
+    if (this._getCasterKind(caster) !== 'local' || target.kind === 'local') {
+      return;
+    }
+
+    const options = { ...getStatusEffectOptions(type, caster.characterName), sourceId: caster.id };
+    gameLoop.statusEffects.apply(target.mesh, type, options);
+    if (target.kind === 'remote' && gameLoop.multiplayerManager) {
+      gameLoop.multiplayerManager.sendStatusEffect({ targetId: target.id, type });
+    }
+  }
+
+  /**
+   * Give the caster a beneficial status effect its character grants (Warden's barrier shield)
+   * Only the local player's grants are applied here and reported to the server; remote
+   * players' effects arrive from the server and bots are tuned without them.
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {string} type - Effect type ('shield')
+   */
+  grantStatusEffect(caster, type) {
+    if (this._getCasterKind(caster) !== 'local' || !canCharacterGrant(caster.characterName, type)) {
+      return;
+    }
+    this.gameLoop._applyLocalStatusEffect(type, { playerId: null, characterName: caster.characterName });
+  }
+
+  /**
+   * Deal a status effect's damage tick
+   * This client ticks effects on what it simulates (the local player and bots); the
+   * server ticks effects that other players put on anyone, including the local player.
+   * @param {THREE.Object3D} entity - Entity with the effect
+   * @param {string} type - Effect type
+   * @param {number} damage - Tick damage
+   * @param {string|null} sourceId - Who inflicted the effect ('local', a bot ID, a player ID or null)
+   */
+  applyStatusTick(entity, type, damage, sourceId) {
+    const gameLoop = this.gameLoop;
+    if (gameLoop._isServerSimulatedHit(sourceId)) {
+      return;
+    }
+
+    const player = gameLoop.characterManager.getPlayer();
+    if (entity === player) {
+      gameLoop._applyDamageToPlayer(damage, player, sourceId, { attackType: type });
+      return;
+    }
+    if (entity.userData?.type !== 'bot' || !gameLoop.botManager) {
+      return;
+    }
+
+    const wasAlive = entity.userData.health > 0;
+    const botDied = gameLoop.botManager.damageBot(entity, damage, sourceId, type);
+    if (sourceId === 'local' && botDied && wasAlive && gameLoop.killStreakManager) {
+      gameLoop.killStreakManager.registerKill(performance.now() / 1000);
+    }
+    if (gameLoop.damageNumberManager) {
+      gameLoop.damageNumberManager.showDamage(damage, entity.position, getStatusEffectConfig(type).color);
+    }
+  }
+
+  /**
+   * Play a character sound for the local player's abilities
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {string} method - SoundManager method ('playMeleeSwing', 'playMeleeHit', ...)
+   */
+  playSound(caster, method) {
+    if (this._getCasterKind(caster) !== 'local') {
+      return;
+    }
+    const soundManager = this.gameLoop.characterManager.getSoundManager();
+    if (soundManager && typeof soundManager[method] === 'function') {
+      soundManager[method](caster.characterName);
+    }
+  }
+
+  /**
+   * Vibrate the controller for the local player's abilities
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @param {string} pattern - VibrationManager method ('swordSwing', 'heavy', ...)
+   */
+  vibrate(caster, pattern) {
+    const vibrationManager = this.gameLoop.vibrationManager;
+    if (this._getCasterKind(caster) !== 'local' || !vibrationManager) {
+      return;
+    }
+    if (typeof vibrationManager[pattern] === 'function') {
+      vibrationManager[pattern]();
+    }
+  }
+
+  /**
+   * Check whether a caster is rolling (sprinting with a roll in its sprint slot)
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @returns {boolean} True if rolling
+   */
+  isRolling(caster) {
+    const kind = this._getCasterKind(caster);
+    if (kind === 'local') {
+      return this.gameLoop._isRolling();
+    }
+    if (kind === 'remote' && getAbilitySlot(caster.characterName, 'sprint') === 'roll') {
+      const remotePlayer = this.gameLoop.remotePlayerManager?.getRemotePlayer(caster.id);
+      return !!remotePlayer && !!remotePlayer.isRunning;
+    }
+    return false;
+  }
+
+  /**
+   * Get a caster's collision size
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @returns {number} Size
+   */
+  getCasterSize(caster) {
+    const characterManager = this.gameLoop.characterManager;
+    return typeof characterManager.getPlayerSize === 'function'
+      ? characterManager.getPlayerSize()
+      : 0.5;
+  }
+
+  /**
+   * Get what kind of caster this is
+   * @param {Object} caster - Caster {id, characterName, mesh}
+   * @returns {string} 'local', 'bot' or 'remote'
+   * @private
+   */
+  _getCasterKind(caster) {
+    if (caster.id === 'local') {
+      return 'local';
+    }
+    return caster.mesh?.userData?.type === 'bot' ? 'bot' : 'remote';
+  }
+}
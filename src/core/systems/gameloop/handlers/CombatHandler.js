@@ -196,7 +196,7 @@ export class CombatHandler {
           );
           
           if (sightCheck.clear) {
-            this.gameLoop.botManager.damageBot(bot, meleeStats.initialDamage, 'local');
+            this.gameLoop.botManager.damageBot(bot, meleeStats.initialDamage, 'local', 'melee');
           }
         }
       });
@@ -208,7 +208,7 @@ export class CombatHandler {
       const remotePlayers = this.gameLoop.remotePlayerManager.getRemotePlayers();
       for (const [playerId, remotePlayer] of remotePlayers) {
         const mesh = remotePlayer.mesh;
-        if (!mesh) continue;
+        if (!mesh || this.gameLoop._isTeammate(playerId)) continue;
         
         const distance = Math.sqrt(
           Math.pow(mesh.position.x - playerPos.x, 2) + 
@@ -9,9 +9,13 @@
  * - GameModeStats.js: Game mode stats and scoring
  */
 
-import { getHighScore, setHighScore, getBestTime, setBestTime } from '../../../utils/StorageUtils.js';
-import { getModeConfig, isModeEnabled, getAllEnabledModes } from '../../../config/gamemode/GameModeConfig.js';
+import { getHighScore, setHighScore, getBestTime, setBestTime, getBestWave, setWaveRecord } from '../../../utils/StorageUtils.js';
+import { getModeConfig, isModeEnabled, getAllEnabledModes, isCombatMode, isTeamMode, isCoopMode, getTeamScoring } from '../../../config/gamemode/GameModeConfig.js';
 import { getDefaultModeState, getScoringConfig, getSpawnCounts, formatTime } from '../../../config/gamemode/GameModeStats.js';
+import { getTeamConfig, getTeamIds } from '../../../config/gamemode/TeamConfig.js';
+import { getCrystalStats } from '../../../config/gamemode/CrystalConfig.js';
+import { getHillStats, getHillSlot, getHillSecondsRemaining, getHillPosition } from '../../../config/gamemode/HillConfig.js';
+import { MATCH_PHASES, getMatchPhaseLabel } from '../../../config/gamemode/MatchConfig.js';
 
 export class GameModeManager {
   /**
@@ -25,6 +29,33 @@ export class GameModeManager {
     this.entityManager = entityManager;
     this.onModeChangeCallback = null;
     this.onRestartCallback = null;
+    this.onObjectiveCallback = null;
+    
+    // Team match state (team modes only, mirrored from the server)
+    this.teamState = {
+      localPlayerId: null,
+      localTeam: null,
+      teamScores: null,
+      scoreLimit: null,
+      winningTeam: null
+    };
+    
+    // Crystal state (capture-the-crystal, mirrored from the server)
+    this.crystalStates = null;
+    this.onCrystalActionCallback = null;
+    this.carrierMeshResolver = null;
+    this.lastCrystalActionTime = 0;
+    
+    // Shrine zone state (king-of-the-hill, scored locally)
+    this.hillState = this._createHillState();
+    this.hillOccupantResolver = null;
+    this.clockResolver = null;
+    
+    // Wave co-op survival (run by the wave manager)
+    this.waveManager = null;
+    
+    // Online match lifecycle (null outside a room, mirrored from the server)
+    this.matchState = null;
     
     // Initialize mode state
     this.modeState = getDefaultModeState();
@@ -78,6 +109,150 @@ export class GameModeManager {
     this.onRestartCallback = callback;
   }
 
+  /**
+   * Set callback for objectives the local player completes (charges the ultimate)
+   * @param {Function} callback - Callback function(type) with 'item', 'checkpoint', 'hillPoint', 'crystalReturn', 'crystalCapture' or 'waveCleared'
+   */
+  setOnObjectiveCallback(callback) {
+    this.onObjectiveCallback = callback;
+  }
+
+  /**
+   * Report an objective the local player completed
+   * @param {string} type - Objective type
+   * @private
+   */
+  _completeObjective(type) {
+    if (this.onObjectiveCallback) {
+      this.onObjectiveCallback(type);
+    }
+  }
+
+  /**
+   * Set callback for crystal requests (pickup, return, capture)
+   * @param {Function} callback - Callback function(action, team)
+   */
+  setOnCrystalActionCallback(callback) {
+    this.onCrystalActionCallback = callback;
+  }
+
+  /**
+   * Set the function used to find a crystal carrier's mesh
+   * @param {Function} resolver - Function(playerId) returning a mesh or null
+   */
+  setCarrierMeshResolver(resolver) {
+    this.carrierMeshResolver = resolver;
+  }
+
+  /**
+   * Set the function that lists everyone who could be standing in the shrine zone
+   * @param {Function} resolver - Function() returning [{id, label, position}] for living players and bots
+   */
+  setHillOccupantResolver(resolver) {
+    this.hillOccupantResolver = resolver;
+  }
+
+  /**
+   * Set the clock used to schedule shrine zone moves
+   * Using the server clock keeps the zone in the same place for everyone in a room.
+   * @param {Function} resolver - Function() returning a timestamp in milliseconds
+   */
+  setClockResolver(resolver) {
+    this.clockResolver = resolver;
+  }
+
+  /**
+   * Set the wave manager used by co-op survival
+   * @param {Object} waveManager - Wave manager instance
+   */
+  setWaveManager(waveManager) {
+    this.waveManager = waveManager;
+    if (this.waveManager) {
+      this.waveManager.setOnWaveEventCallback((event) => this._handleWaveEvent(event));
+    }
+  }
+
+  /**
+   * Follow the room's match lifecycle
+   * In a room the mode only runs while the server says the match is playing:
+   * a new match restarts the mode, and the lobby and results phases stop it.
+   * Leaving the room (null) goes back to playing locally.
+   * @param {Object|null} matchState - Match state {phase, phaseEndsAt, readyIds, playerCount, results} or null
+   */
+  setMatchState(matchState) {
+    const previousPhase = this.matchState ? this.matchState.phase : null;
+    this.matchState = matchState;
+    
+    if (!matchState) {
+      if (previousPhase !== null) {
+        this._beginRun();
+      }
+      return;
+    }
+    
+    if (matchState.phase === MATCH_PHASES.PLAYING) {
+      if (previousPhase !== MATCH_PHASES.PLAYING) {
+        this._beginRun();
+      }
+    } else if (previousPhase === null || previousPhase === MATCH_PHASES.PLAYING) {
+      this._stopRun();
+    }
+  }
+
+  /**
+   * Get the room's match state
+   * @returns {Object|null} Match state or null outside a room
+   */
+  getMatchState() {
+    return this.matchState;
+  }
+
+  /**
+   * Check if the mode may run
+   * Always true offline; in a room only while the match is playing.
+   * @returns {boolean} True if the mode may run
+   * @private
+   */
+  _canRunMode() {
+    return !this.matchState || this.matchState.phase === MATCH_PHASES.PLAYING;
+  }
+
+  /**
+   * Reset and start the current mode for a new match (or for local play after leaving a room)
+   * @private
+   */
+  _beginRun() {
+    this.resetModeState();
+    
+    // Reload high score and best time from storage after reset
+    this.modeState.highScore = getHighScore(this.currentMode, this.currentArena);
+    const savedBestTime = getBestTime(this.currentMode, this.currentArena);
+    if (savedBestTime !== null) {
+      this.modeState.bestTime = savedBestTime;
+    }
+    
+    // Combat modes start as their entities spawn; timed modes still wait for movement
+    if (this.entityManager) {
+      this._spawnModeEntities();
+    }
+    
+    // Everyone starts the match from a spawn point
+    if (this.onModeChangeCallback) {
+      this.onModeChangeCallback();
+    }
+  }
+
+  /**
+   * Stop the current mode until the next match starts
+   * @private
+   */
+  _stopRun() {
+    this.modeState.isStarted = false;
+    if (this.waveManager && isCoopMode(this.currentMode)) {
+      this.waveManager.stop();
+    }
+  }
+
   /**
    * Set the current game mode
    * @param {string} mode - Mode key
@@ -98,6 +273,11 @@ export class GameModeManager {
     this.currentMode = mode;
     this.resetModeState();
     
+    // Leaving co-op survival hands bots back to normal play
+    if (this.waveManager && isCoopMode(previousMode)) {
+      this.waveManager.stop();
+    }
+    
     // Load high score and best time for the new mode and current arena
     this.modeState.highScore = getHighScore(this.currentMode, this.currentArena);
     const savedBestTime = getBestTime(this.currentMode, this.currentArena);
@@ -142,17 +322,50 @@ export class GameModeManager {
         this.modeState.timer = 0;
         break;
       }
-      case 'shooting':
-        // Shooting mode - no entities needed, just start the mode
+      case 'capture-crystal':
+        this.entityManager.spawnCrystalsForCapture();
+        this.startMode();
+        if (this.modeState) {
+          this.modeState.health = 100;
+        }
+        break;
+      case 'king-of-the-hill': {
+        this.hillState = this._createHillState();
+        this.hillState.slot = getHillSlot(this._getClockTime());
+        this.hillState.position = getHillPosition(this.hillState.slot, this.entityManager.arenaSize);
+        this.entityManager.spawnHillZone(this.hillState.position);
+        this.startMode();
+        if (this.modeState) {
+          this.modeState.health = 100;
+        }
+        break;
+      }
+      case 'wave-survival':
         this.entityManager.clearAll();
-        this.startMode(); // Auto-start shooting mode
-        // Reset health when entering shooting mode
+        this.startMode();
         if (this.modeState) {
           this.modeState.health = 100;
+          this.modeState.bestWave = getBestWave(this.currentMode, this.currentArena);
+        }
+        if (this.waveManager) {
+          // In a room, waves wait for the match to start
+          if (this._canRunMode()) {
+            this.waveManager.start();
+          } else {
+            this.waveManager.stop();
+          }
         }
         break;
       default:
         this.entityManager.clearAll();
+        if (isCombatMode(this.currentMode)) {
+          // Combat modes - no entities needed, just start the mode
+          this.startMode();
+          // Reset health when entering a combat mode
+          if (this.modeState) {
+            this.modeState.health = 100;
+          }
+        }
         break;
     }
   }
@@ -181,6 +394,11 @@ export class GameModeManager {
    * Restart the current mode
    */
   restartMode() {
+    // In a room, matches are restarted by the server
+    if (this.matchState) {
+      return;
+    }
+    
     // Reset mode state
     this.resetModeState();
     
@@ -249,6 +467,11 @@ export class GameModeManager {
    * Start the current mode
    */
   startMode() {
+    // In a room, the mode only starts when the match does
+    if (!this._canRunMode()) {
+      return;
+    }
+    
     this.modeState.isStarted = true;
     this.modeState.isPaused = false;
     
@@ -305,10 +528,36 @@ export class GameModeManager {
         }
         break;
       case 'shooting':
+      case 'team-deathmatch':
         if (this.modeState.isStarted && !this.modeState.isPaused) {
           this.modeState.timer += dt;
         }
         break;
+      case 'capture-crystal':
+        if (this.modeState.isStarted && !this.modeState.isPaused) {
+          this.modeState.timer += dt;
+        }
+        // Carried crystals follow their carrier every frame
+        if (entityManager && this.crystalStates) {
+          entityManager.updateCrystals(this.crystalStates, (playerId) => {
+            return this.carrierMeshResolver ? this.carrierMeshResolver(playerId) : null;
+          });
+        }
+        break;
+      case 'king-of-the-hill':
+        if (this.modeState.isStarted && !this.modeState.isPaused) {
+          this.modeState.timer += dt;
+          this._updateHill(dt, entityManager);
+        }
+        break;
+      case 'wave-survival':
+        if (this.modeState.isStarted && !this.modeState.isPaused) {
+          this.modeState.timer += dt;
+          if (this.waveManager) {
+            this.waveManager.update(dt);
+          }
+        }
+        break;
       case 'collection':
         if (entityManager) {
           const collected = entityManager.getAllCollectibles() - entityManager.getRemainingCollectibles();
@@ -326,9 +575,78 @@ export class GameModeManager {
 
   /**
    * Get display information for the current mode
-   * @returns {Object} Display info with mode, primary, and secondary text
+   * @returns {Object} Display info with mode, primary, secondary and match text (match is null outside a room)
    */
   getDisplayInfo() {
+    return {
+      ...this._getModeDisplayInfo(),
+      match: this._getMatchStatusText()
+    };
+  }
+
+  /**
+   * Get the room's match status line
+   * @returns {string|null} Match status text or null outside a room
+   * @private
+   */
+  _getMatchStatusText() {
+    if (!this.matchState) {
+      return null;
+    }
+    
+    const { phase, phaseEndsAt, readyIds, playerCount, results } = this.matchState;
+    const label = getMatchPhaseLabel(phase);
+    const seconds = phaseEndsAt !== null ? Math.max(0, Math.ceil((phaseEndsAt - Date.now()) / 1000)) : null;
+    const readyText = `Ready ${readyIds.length}/${playerCount}`;
+    
+    switch (phase) {
+      case MATCH_PHASES.LOBBY:
+        return `${label} | ${readyText}`;
+      case MATCH_PHASES.READY_CHECK:
+        return `${label} ${seconds}s | ${readyText}`;
+      case MATCH_PHASES.COUNTDOWN:
+        return `Match starts in ${seconds}`;
+      case MATCH_PHASES.PLAYING:
+        return seconds !== null
+          ? `Time left ${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`
+          : label;
+      case MATCH_PHASES.RESULTS:
+        return `${label} | ${this._getMatchResultText(results)}`;
+      default:
+        return label;
+    }
+  }
+
+  /**
+   * Summarize match results in one line
+   * @param {Object|null} results - Results {reason, winningTeam, teamScores, wave, players: [{playerId, name, kills, deaths}]}
+   * @returns {string} Result text
+   * @private
+   */
+  _getMatchResultText(results) {
+    if (!results) {
+      return 'Match over';
+    }
+    if (results.winningTeam) {
+      return `${getTeamConfig(results.winningTeam).name} wins!`;
+    }
+    if (results.reason === 'wave-lost') {
+      return `Fell at wave ${results.wave}`;
+    }
+    const top = results.players[0];
+    if (!top || top.kills === 0) {
+      return 'Draw';
+    }
+    const name = top.playerId === this.teamState.localPlayerId ? 'You' : top.name;
+    return `${name} won with ${top.kills} kills`;
+  }
+
+  /**
+   * Get display information for the current mode's own stats
+   * @returns {Object} Display info with mode, primary, and secondary text
+   * @private
+   */
+  _getModeDisplayInfo() {
     const mode = this.currentMode;
     const config = getModeConfig(mode);
     
@@ -376,6 +694,71 @@ export class GameModeManager {
           primary: `Health: ${Math.max(0, this.modeState.health)}`,
           secondary: `Kills: ${this.modeState.kills} | Deaths: ${this.modeState.deaths}`
         };
+      case 'team-deathmatch': {
+        const { localTeam, teamScores, scoreLimit, winningTeam } = this.teamState;
+        const scoreText = teamScores
+          ? getTeamIds().map(teamId => `${getTeamConfig(teamId).name} ${teamScores[teamId] || 0}`).join(' – ')
+          : 'Join a room to play';
+        const limitText = scoreLimit ? ` | First to ${scoreLimit}` : '';
+        const winnerText = winningTeam ? ` | ${getTeamConfig(winningTeam).name} wins!` : '';
+        const teamText = localTeam ? `${getTeamConfig(localTeam).name} | ` : '';
+        return {
+          mode: config.name,
+          primary: scoreText + limitText + winnerText,
+          secondary: `${teamText}Health: ${Math.max(0, this.modeState.health)} | Kills: ${this.modeState.kills} | Deaths: ${this.modeState.deaths}`
+        };
+      }
+      case 'capture-crystal': {
+        const { localTeam, teamScores, scoreLimit, winningTeam } = this.teamState;
+        const scoreText = teamScores
+          ? getTeamIds().map(teamId => `${getTeamConfig(teamId).name} ${teamScores[teamId] || 0}`).join(' – ')
+          : 'Join a room to play';
+        const limitText = scoreLimit ? ` | First to ${scoreLimit}` : '';
+        const winnerText = winningTeam ? ` | ${getTeamConfig(winningTeam).name} wins!` : '';
+        return {
+          mode: config.name,
+          primary: scoreText + limitText + winnerText,
+          secondary: this._getCrystalStatusText(localTeam)
+        };
+      }
+      case 'king-of-the-hill': {
+        const { occupantIds, contested, points, labels } = this.hillState;
+        let zoneText = 'Shrine empty';
+        if (contested) {
+          zoneText = 'Shrine contested!';
+        } else if (occupantIds.length === 1) {
+          zoneText = occupantIds[0] === 'local' ? 'Holding the shrine' : `${labels[occupantIds[0]]} holds the shrine`;
+        }
+        const movesIn = Math.ceil(getHillSecondsRemaining(this._getClockTime()));
+        const leaderId = Object.keys(points).reduce((best, id) => (best === null || points[id] > points[best] ? id : best), null);
+        const leaderText = leaderId ? ` | Leader: ${labels[leaderId]} ${Math.floor(points[leaderId])}` : '';
+        return {
+          mode: config.name,
+          primary: `Points: ${this.modeState.score} | ${zoneText} | Moves in ${movesIn}s`,
+          secondary: `Health: ${Math.max(0, this.modeState.health)}${leaderText}`
+        };
+      }
+      case 'wave-survival': {
+        const waves = this.waveManager ? this.waveManager.getState() : null;
+        let waveText = 'Waiting for waves';
+        if (waves) {
+          if (waves.phase === 'intermission') {
+            waveText = `Wave ${waves.wave} in ${Math.ceil(waves.intermissionRemaining)}s`;
+          } else if (waves.phase === 'waiting') {
+            waveText = `Wave ${waves.wave} cleared | Waiting for allies`;
+          } else {
+            waveText = `Wave ${waves.wave} | Bots: ${waves.botsRemaining}`;
+          }
+        }
+        const livesText = waves ? ` | Team Lives: ${waves.livesRemaining}` : '';
+        const bestWaveText = this.modeState.bestWave ? ` | Best: Wave ${this.modeState.bestWave}` : '';
+        const lastWaveText = this.modeState.lastWave ? ` | Last: Wave ${this.modeState.lastWave}` : '';
+        return {
+          mode: config.name,
+          primary: waveText + livesText,
+          secondary: `Health: ${Math.max(0, this.modeState.health)} | Score: ${this.modeState.score}${bestWaveText}${lastWaveText}`
+        };
+      }
       default:
         return {
           mode: null,
@@ -385,6 +768,261 @@ export class GameModeManager {
     }
   }
 
+  /**
+   * Handle the local player dying
+   * In co-op survival this spends a life from the shared pool.
+   */
+  handleLocalDeath() {
+    if (this.waveManager && isCoopMode(this.currentMode)) {
+      this.waveManager.handleLocalDeath();
+    }
+  }
+
+  /**
+   * Score and record wave events
+   * @param {Object} event - Wave event from the wave manager
+   * @private
+   */
+  _handleWaveEvent(event) {
+    const scoringConfig = getScoringConfig();
+    switch (event.type) {
+      case 'wave-started':
+        if (setWaveRecord(this.currentMode, event.wave, this.currentArena)) {
+          this.modeState.bestWave = event.wave;
+        }
+        break;
+      case 'bot-defeated':
+        if (event.killerId === 'local') {
+          this.addScore(scoringConfig.waveBotDefeated);
+        }
+        break;
+      case 'wave-cleared':
+        this.addScore(scoringConfig.waveCleared);
+        this._completeObjective('waveCleared');
+        break;
+      case 'game-over':
+        this.modeState.lastWave = event.wave;
+        this.modeState.score = 0;
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Create empty shrine zone state
+   * @returns {Object} Hill state {slot, position, occupantIds, contested, points, labels}
+   * @private
+   */
+  _createHillState() {
+    return {
+      slot: null,
+      position: null,
+      occupantIds: [],
+      contested: false,
+      points: {},       // Occupant ID -> points earned (fractional)
+      labels: {}        // Occupant ID -> display label
+    };
+  }
+
+  /**
+   * Get the current time on the zone schedule clock
+   * @returns {number} Timestamp in milliseconds
+   * @private
+   */
+  _getClockTime() {
+    return this.clockResolver ? this.clockResolver() : Date.now();
+  }
+
+  /**
+   * Move the shrine zone on schedule and award points to a lone occupant
+   * Every client scores from its own view of the arena; a contested zone scores nobody.
+   * @param {number} dt - Delta time in seconds
+   * @param {Object} entityManager - Entity manager
+   * @private
+   */
+  _updateHill(dt, entityManager) {
+    if (!entityManager) return;
+    
+    const hillStats = getHillStats();
+    const slot = getHillSlot(this._getClockTime());
+    if (slot !== this.hillState.slot) {
+      this.hillState.slot = slot;
+      this.hillState.position = getHillPosition(slot, entityManager.arenaSize);
+      entityManager.moveHillZone(this.hillState.position);
+    }
+    
+    const { x, z } = this.hillState.position;
+    const occupants = (this.hillOccupantResolver ? this.hillOccupantResolver() : []).filter(occupant => {
+      const dx = occupant.position.x - x;
+      const dz = occupant.position.z - z;
+      return dx * dx + dz * dz <= hillStats.radius * hillStats.radius;
+    });
+    
+    this.hillState.occupantIds = occupants.map(occupant => occupant.id);
+    this.hillState.contested = occupants.length > 1;
+    entityManager.setHillZoneContested(this.hillState.contested);
+    
+    if (occupants.length !== 1) return;
+    
+    const holder = occupants[0];
+    this.hillState.labels[holder.id] = holder.label;
+    const previousPoints = this.hillState.points[holder.id] || 0;
+    this.hillState.points[holder.id] = previousPoints + hillStats.pointsPerSecond * dt;
+    if (holder.id === 'local') {
+      this.modeState.score = Math.floor(this.hillState.points.local);
+      for (let point = Math.floor(previousPoints); point < this.modeState.score; point++) {
+        this._completeObjective('hillPoint');
+      }
+    }
+  }
+
+  /**
+   * Get the shrine zone for bots to seek
+   * @returns {Object|null} Zone {x, z, radius} or null outside king-of-the-hill
+   */
+  getHillObjective() {
+    if (this.currentMode !== 'king-of-the-hill' || !this.hillState.position) {
+      return null;
+    }
+    return {
+      x: this.hillState.position.x,
+      z: this.hillState.position.z,
+      radius: getHillStats().radius
+    };
+  }
+
+  /**
+   * Request crystal pickups, returns and captures when touching crystals or bases
+   * The server decides whether the request is valid; requests are throttled
+   * since the player touches the same entity for many frames.
+   * @param {Object} collision - Collision data
+   * @private
+   */
+  _handleCrystalCollision(collision) {
+    const { localTeam, localPlayerId } = this.teamState;
+    if (!localTeam || !this.crystalStates || !this.onCrystalActionCallback || this.modeState.health <= 0) {
+      return;
+    }
+    
+    const now = Date.now();
+    if (now - this.lastCrystalActionTime < getCrystalStats().actionCooldownMs) {
+      return;
+    }
+    
+    let action = null;
+    let team = null;
+    if (collision.crystal) {
+      team = collision.crystal.userData.team;
+      const state = this.crystalStates[team];
+      if (team !== localTeam && state && state.state !== 'carried') {
+        action = 'pickup';
+      } else if (team === localTeam && state && state.state === 'dropped') {
+        action = 'return';
+      }
+    }
+    if (!action && collision.crystalBase && collision.crystalBase.userData.team === localTeam) {
+      const isCarrying = Object.values(this.crystalStates).some(state => state.carrierId === localPlayerId);
+      if (isCarrying && this.crystalStates[localTeam]?.state === 'home') {
+        action = 'capture';
+        team = null;
+      }
+    }
+    
+    if (action) {
+      this.lastCrystalActionTime = now;
+      this.onCrystalActionCallback(action, team);
+    }
+  }
+
+  /**
+   * Get the crystal status line for the HUD
+   * @param {string|null} localTeam - Local player's team
+   * @returns {string} Status text
+   * @private
+   */
+  _getCrystalStatusText(localTeam) {
+    if (!localTeam || !this.crystalStates) {
+      return `Health: ${Math.max(0, this.modeState.health)}`;
+    }
+    
+    const carried = getTeamIds().find(teamId => this.crystalStates[teamId]?.carrierId === this.teamState.localPlayerId);
+    if (carried) {
+      return `Carrying the ${getTeamConfig(carried).name} crystal - bring it home!`;
+    }
+    
+    const ownState = this.crystalStates[localTeam]?.state;
+    const ownText = ownState === 'carried' ? 'stolen!' : (ownState === 'dropped' ? 'dropped - touch it to return' : 'safe');
+    return `${getTeamConfig(localTeam).name} crystal: ${ownText} | Health: ${Math.max(0, this.modeState.health)}`;
+  }
+
+  /**
+   * Update crystal state from the server
+   * @param {Object|null} crystalStates - Crystal states {teamId: {state, carrierId, x, z}}
+   * @param {Object|null} event - What changed {type, team, playerId}
+   */
+  setCrystalStates(crystalStates, event = null) {
+    this.crystalStates = crystalStates;
+    if (event && event.playerId && event.playerId === this.teamState.localPlayerId) {
+      if (event.type === 'capture') {
+        this._completeObjective('crystalCapture');
+      } else if (event.type === 'return') {
+        this._completeObjective('crystalReturn');
+      }
+    }
+    if (this.entityManager && crystalStates && this.currentMode === 'capture-crystal') {
+      this.entityManager.updateCrystals(crystalStates, (playerId) => {
+        return this.carrierMeshResolver ? this.carrierMeshResolver(playerId) : null;
+      });
+    }
+  }
+
+  /**
+   * Get crystal state
+   * @returns {Object|null} Crystal states or null outside crystal rooms
+   */
+  getCrystalStates() {
+    return this.crystalStates;
+  }
+
+  /**
+   * Update team match state from the server
+   * Only the provided fields are changed.
+   * @param {Object} teamState - Partial team state
+   * @param {string|null} [teamState.localPlayerId] - Local player's multiplayer ID
+   * @param {string|null} [teamState.localTeam] - Local player's team
+   * @param {Object|null} [teamState.teamScores] - Points per team
+   * @param {number|null} [teamState.scoreLimit] - Points needed to win
+   * @param {string|null} [teamState.winningTeam] - Team that won the last match
+   */
+  setTeamState(teamState) {
+    this.teamState = { ...this.teamState, ...teamState };
+  }
+
+  /**
+   * Get team match state
+   * @returns {Object} Team state {localPlayerId, localTeam, teamScores, scoreLimit, winningTeam}
+   */
+  getTeamState() {
+    return this.teamState;
+  }
+
+  /**
+   * Check if the current mode is played in teams
+   * @returns {boolean} True for team modes
+   */
+  isTeamMode() {
+    return isTeamMode(this.currentMode);
+  }
+
+  /**
+   * Check if the current mode is a player-vs-player combat mode
+   * @returns {boolean} True for combat modes
+   */
+  isCombatMode() {
+    return isCombatMode(this.currentMode);
+  }
+
   /**
    * Format time in MM:SS.ms format
    * @param {number} seconds - Time in seconds
@@ -418,6 +1056,7 @@ export class GameModeManager {
     if (!this.modeState.items.includes(itemId)) {
       this.modeState.items.push(itemId);
       this.addScore(scoringConfig.itemCollected);
+      this._completeObjective('item');
       return true;
     }
     return false;
@@ -447,10 +1086,15 @@ export class GameModeManager {
         if (this.entityManager) {
           this.entityManager.activateCheckpoint(collision.checkpoint);
           this.addScore(scoringConfig.checkpointActivated);
+          this._completeObjective('checkpoint');
         }
       }
     }
 
+    if ((collision.crystal || collision.crystalBase) && getTeamScoring(this.currentMode) === 'captures') {
+      this._handleCrystalCollision(collision);
+    }
+
     if (collision.hazard) {
       if (this.currentMode === 'survival') {
         // In survival mode, touching a hazard stops timer, saves time, and restarts
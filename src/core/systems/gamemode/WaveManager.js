@@ -0,0 +1,324 @@
+/**
+ * WaveManager.js
+ *
+ * Runs wave co-op survival: escalating bot waves with intermissions and a shared life pool.
+ *
+ * Offline (and in splitscreen, where every player is on this client) the wave state lives here.
+ * In an online room the server owns the wave number, the intermission and the life pool:
+ * each client fights its own copy of the wave, reports when it has cleared it, and follows
+ * the state the server broadcasts.
+ */
+
+import { getWaveStats, getWaveBotCount, getWaveDifficulty, createWaveState } from '../../../config/gamemode/WaveConfig.js';
+import { getMaxBotCount } from '../../../utils/StorageUtils.js';
+import { getCharacterNames } from '../../../config/character/CharacterRegistry.js';
+
+export class WaveManager {
+  /**
+   * Create a new WaveManager
+   * @param {Object} botManager - Bot manager that spawns and updates wave bots
+   * @param {Object} healthBarManager - Health bar manager for bot health bars
+   * @param {Object} sceneManager - Scene manager (arena size)
+   * @param {Object} arenaManager - Arena manager (bot limit)
+   * @param {Object} multiplayerManager - Optional multiplayer manager for online rooms
+   */
+  constructor(botManager, healthBarManager = null, sceneManager = null, arenaManager = null, multiplayerManager = null) {
+    this.botManager = botManager;
+    this.healthBarManager = healthBarManager;
+    this.sceneManager = sceneManager;
+    this.arenaManager = arenaManager;
+    this.multiplayerManager = multiplayerManager;
+    this.onWaveEventCallback = null;
+
+    this.waveState = createWaveState();
+    this.isRunning = false;
+    this.isSpawning = false;
+    this.runId = 0; // Bumped whenever a run starts or ends so stale spawns are discarded
+    this.botCounter = 0;
+  }
+
+  /**
+   * Set the multiplayer manager (can be set after construction)
+   * @param {Object} multiplayerManager - Multiplayer manager instance
+   */
+  setMultiplayerManager(multiplayerManager) {
+    this.multiplayerManager = multiplayerManager;
+  }
+
+  /**
+   * Set callback for wave events
+   * Events: {type: 'wave-started' | 'wave-cleared' | 'life-lost' | 'game-over', wave}
+   * and {type: 'bot-defeated', killerId}.
+   * @param {Function} callback - Callback function(event)
+   */
+  setOnWaveEventCallback(callback) {
+    this.onWaveEventCallback = callback;
+  }
+
+  /**
+   * Start a run (or join the room's run when online)
+   */
+  start() {
+    this.runId++;
+    this.isRunning = true;
+    this._clearBots();
+
+    if (this.botManager) {
+      this.botManager.setRespawnEnabled(false);
+      this.botManager.setOnBotRemovedCallback((bot) => this._handleBotRemoved(bot));
+    }
+
+    const serverState = this._isOnline() ? this.multiplayerManager.getWaveState() : null;
+    this.waveState = createWaveState();
+    if (serverState) {
+      this._applyServerFields(serverState);
+    }
+  }
+
+  /**
+   * Stop the run and hand bots back to normal respawning
+   */
+  stop() {
+    if (!this.isRunning) return;
+
+    this.runId++;
+    this.isRunning = false;
+    this._clearBots();
+
+    if (this.botManager) {
+      this.botManager.setRespawnEnabled(true);
+      this.botManager.setOnBotRemovedCallback(null);
+    }
+    this.waveState = createWaveState();
+  }
+
+  /**
+   * Update intermission timers and check for cleared waves
+   * @param {number} dt - Delta time in seconds
+   */
+  update(dt) {
+    if (!this.isRunning) return;
+
+    const state = this.waveState;
+    switch (state.phase) {
+      case 'intermission':
+        state.intermissionRemaining = Math.max(0, state.intermissionRemaining - dt);
+        if (state.intermissionRemaining <= 0) {
+          state.phase = 'active';
+          this._spawnWave();
+          this._emit({ type: 'wave-started', wave: state.wave });
+        }
+        break;
+      case 'active':
+        if (!this.isSpawning && this.botManager && this.botManager.getAllBots().length === 0) {
+          this._handleWaveCleared();
+        }
+        break;
+      case 'waiting':
+        // Cleared locally, waiting for the rest of the room - carry on alone after leaving it
+        if (!this._isOnline()) {
+          this._startIntermission(state.wave + 1);
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Spend a shared life when a local player dies during a wave
+   * Online rooms ignore this - the server counts deaths from its damage ledger.
+   */
+  handleLocalDeath() {
+    if (!this.isRunning || this._isOnline() || this.waveState.phase !== 'active') {
+      return;
+    }
+
+    this.waveState.livesRemaining = Math.max(0, this.waveState.livesRemaining - 1);
+    if (this.waveState.livesRemaining > 0) {
+      this._emit({ type: 'life-lost', wave: this.waveState.wave });
+      return;
+    }
+
+    const reachedWave = this.waveState.wave;
+    this.runId++;
+    this._clearBots();
+    this.waveState = createWaveState();
+    this.waveState.intermissionRemaining += getWaveStats().gameOverSeconds;
+    this._emit({ type: 'game-over', wave: reachedWave });
+  }
+
+  /**
+   * Follow a wave state broadcast by the server
+   * @param {Object|null} waves - Wave state {wave, livesRemaining, intermissionRemaining}
+   * @param {Object|null} event - What changed {type, wave}
+   */
+  applyServerState(waves, event = null) {
+    if (!this.isRunning || !waves) return;
+
+    if (event && event.type === 'game-over') {
+      this.runId++;
+      this._clearBots();
+      this.waveState = createWaveState();
+    }
+
+    this._applyServerFields(waves);
+
+    if (event && (event.type === 'life-lost' || event.type === 'game-over')) {
+      this._emit({ type: event.type, wave: event.wave });
+    }
+  }
+
+  /**
+   * Get wave state for display
+   * @returns {Object} Wave state {wave, phase, livesRemaining, intermissionRemaining, botsRemaining, isRunning}
+   */
+  getState() {
+    return {
+      ...this.waveState,
+      botsRemaining: this.botManager ? this.botManager.getBots().length : 0,
+      isRunning: this.isRunning
+    };
+  }
+
+  /**
+   * Copy server wave fields, restarting the countdown when the server moved to another wave
+   * @param {Object} waves - Server wave state
+   * @private
+   */
+  _applyServerFields(waves) {
+    const state = this.waveState;
+    state.livesRemaining = waves.livesRemaining;
+
+    const isNewWave = waves.wave !== state.wave || state.phase === 'intermission';
+    if (isNewWave) {
+      state.wave = waves.wave;
+      state.phase = 'intermission';
+      state.intermissionRemaining = waves.intermissionRemaining;
+    }
+  }
+
+  /**
+   * Handle the last bot of a wave going down
+   * @private
+   */
+  _handleWaveCleared() {
+    const state = this.waveState;
+    this._emit({ type: 'wave-cleared', wave: state.wave });
+
+    if (this._isOnline()) {
+      state.phase = 'waiting';
+      this.multiplayerManager.sendWaveCleared(state.wave);
+      return;
+    }
+
+    this._startIntermission(state.wave + 1);
+  }
+
+  /**
+   * Start the break before a wave
+   * @param {number} wave - Wave that starts after the break
+   * @private
+   */
+  _startIntermission(wave) {
+    this.waveState.wave = wave;
+    this.waveState.phase = 'intermission';
+    this.waveState.intermissionRemaining = getWaveStats().intermissionSeconds;
+  }
+
+  /**
+   * Spawn the current wave's bots on a ring around the arena center
+   * @private
+   */
+  async _spawnWave() {
+    if (!this.botManager) return;
+
+    const runId = this.runId;
+    const waveStats = getWaveStats();
+    const arena = this.arenaManager ? this.arenaManager.getCurrentArena() : 'standard';
+    const arenaSize = this.sceneManager ? this.sceneManager.getArenaSize() : 20;
+    const count = getWaveBotCount(this.waveState.wave, getMaxBotCount(arena));
+    const difficulty = getWaveDifficulty(this.waveState.wave);
+    const radius = arenaSize * waveStats.spawnRadius;
+    const angleOffset = Math.random() * Math.PI * 2;
+    const characterNames = getCharacterNames();
+
+    this.isSpawning = true;
+    try {
+      for (let i = 0; i < count; i++) {
+        const angle = angleOffset + (i / count) * Math.PI * 2;
+        const characterName = characterNames[this.botCounter % characterNames.length];
+        const bot = await this.botManager.createBot(
+          `bot_wave_${this.botCounter++}`,
+          characterName,
+          Math.cos(angle) * radius,
+          Math.sin(angle) * radius,
+          difficulty
+        );
+
+        // The run ended while this bot was loading
+        if (runId !== this.runId) {
+          this.botManager.removeBot(bot);
+          return;
+        }
+        if (this.healthBarManager) {
+          this.healthBarManager.createHealthBar(bot, false);
+        }
+      }
+    } catch (err) {
+      console.error('Error spawning wave:', err);
+    } finally {
+      if (runId === this.runId) {
+        this.isSpawning = false;
+      }
+    }
+  }
+
+  /**
+   * Clean up after a wave bot is removed
+   * @param {THREE.Mesh} bot - Removed bot mesh
+   * @private
+   */
+  _handleBotRemoved(bot) {
+    if (this.healthBarManager) {
+      this.healthBarManager.removeHealthBar(bot);
+    }
+    this._emit({ type: 'bot-defeated', killerId: bot.userData.killerId || null });
+  }
+
+  /**
+   * Remove all bots and their health bars
+   * @private
+   */
+  _clearBots() {
+    this.isSpawning = false;
+    if (!this.botManager) return;
+
+    for (const bot of [...this.botManager.getAllBots()]) {
+      if (this.healthBarManager) {
+        this.healthBarManager.removeHealthBar(bot);
+      }
+      this.botManager.removeBot(bot);
+    }
+  }
+
+  /**
+   * Check if the run is shared with an online room
+   * @returns {boolean} True when in a multiplayer room
+   * @private
+   */
+  _isOnline() {
+    return !!this.multiplayerManager && this.multiplayerManager.isInRoom();
+  }
+
+  /**
+   * Notify the wave event callback
+   * @param {Object} event - Wave event
+   * @private
+   */
+  _emit(event) {
+    if (this.onWaveEventCallback) {
+      this.onWaveEventCallback(event);
+    }
+  }
+}
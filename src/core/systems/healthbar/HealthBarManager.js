@@ -15,6 +15,8 @@ import {
   getHealthBarOpacityStats,
   getHealthBarPositionStats,
   getHealthBarRenderingStats,
+  getHealthBarLabelStats,
+  getHealthBarStatusIconStats,
   getHealthColor 
 } from '../../../config/healthbar/HealthBarStats.js';
 
@@ -100,6 +102,141 @@ export class HealthBarManager {
     return container;
   }
 
+  /**
+   * Show a name label above a target's health bar
+   * The label is drawn to a canvas texture and turns with the bar to face the camera.
+   * @param {THREE.Object3D} target - Target object with a health bar
+   * @param {string|null} text - Label text (null or empty removes the label)
+   */
+  setHealthBarLabel(target, text) {
+    const healthBarContainer = this.healthBars.get(target);
+    if (!healthBarContainer) return;
+
+    const existing = healthBarContainer.userData.label;
+    if (existing) {
+      if (existing.userData.text === text) return;
+      healthBarContainer.remove(existing);
+      existing.geometry.dispose();
+      existing.material.map.dispose();
+      existing.material.dispose();
+      healthBarContainer.userData.label = null;
+      this._positionStatusIcons(healthBarContainer);
+    }
+    if (!text) return;
+
+    const labelStats = getHealthBarLabelStats();
+    const renderingStats = getHealthBarRenderingStats();
+    const font = `bold ${labelStats.fontSize}px ${labelStats.fontFamily}`;
+
+    // Size the canvas to the text, then draw outlined text
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    context.font = font;
+    const padding = labelStats.outlineWidth;
+    canvas.width = Math.ceil(context.measureText(text).width) + padding * 2;
+    canvas.height = Math.ceil(labelStats.fontSize * 1.3) + padding * 2;
+    context.font = font;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.lineJoin = 'round';
+    context.lineWidth = labelStats.outlineWidth;
+    context.strokeStyle = labelStats.outlineColor;
+    context.strokeText(text, canvas.width / 2, canvas.height / 2);
+    context.fillStyle = labelStats.color;
+    context.fillText(text, canvas.width / 2, canvas.height / 2);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    const labelWidth = labelStats.height * (canvas.width / canvas.height);
+    const label = new THREE.Mesh(
+      new THREE.PlaneGeometry(labelWidth, labelStats.height),
+      new THREE.MeshBasicMaterial({ map: texture, transparent: true, depthWrite: false })
+    );
+    label.position.set(0, labelStats.offsetY, 0);
+    label.renderOrder = renderingStats.renderOrder.label;
+    label.userData.text = text;
+    healthBarContainer.add(label);
+    healthBarContainer.userData.label = label;
+    this._positionStatusIcons(healthBarContainer);
+  }
+
+  /**
+   * Show status effect icons above a target's health bar (above the name label if any)
+   * Icons are badges in the effect's color, drawn to one canvas texture.
+   * @param {THREE.Object3D} target - Target object with a health bar
+   * @param {Array<Object>} icons - Icons [{icon, color}] (empty removes them)
+   */
+  setHealthBarStatusIcons(target, icons) {
+    const healthBarContainer = this.healthBars.get(target);
+    if (!healthBarContainer) return;
+
+    const key = icons.map(icon => `${icon.icon}:${icon.color}`).join('|');
+    const existing = healthBarContainer.userData.statusIcons;
+    if (existing) {
+      if (existing.userData.key === key) return;
+      healthBarContainer.remove(existing);
+      existing.geometry.dispose();
+      existing.material.map.dispose();
+      existing.material.dispose();
+      healthBarContainer.userData.statusIcons = null;
+    }
+    if (icons.length === 0) return;
+
+    const iconStats = getHealthBarStatusIconStats();
+    const renderingStats = getHealthBarRenderingStats();
+    const cell = iconStats.fontSize + iconStats.outlineWidth * 2;
+    const gapPixels = Math.round(cell * (iconStats.gap / iconStats.size));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = icons.length * cell + (icons.length - 1) * gapPixels;
+    canvas.height = cell;
+    const context = canvas.getContext('2d');
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+
+    icons.forEach((icon, index) => {
+      const centerX = index * (cell + gapPixels) + cell / 2;
+      const centerY = cell / 2;
+      const radius = cell / 2 - iconStats.outlineWidth;
+
+      // Badge in the effect color
+      context.beginPath();
+      context.arc(centerX, centerY, radius, 0, Math.PI * 2);
+      context.fillStyle = `#${icon.color.toString(16).padStart(6, '0')}`;
+      context.fill();
+      context.lineWidth = iconStats.outlineWidth;
+      context.strokeStyle = iconStats.outlineColor;
+      context.stroke();
+
+      context.fillStyle = iconStats.color;
+      context.font = `bold ${Math.round(iconStats.fontSize * 0.6)}px ${iconStats.fontFamily}`;
+      context.fillText(icon.icon, centerX, centerY);
+    });
+
+    const texture = new THREE.CanvasTexture(canvas);
+    const width = iconStats.size * (canvas.width / canvas.height);
+    const iconRow = new THREE.Mesh(
+      new THREE.PlaneGeometry(width, iconStats.size),
+      new THREE.MeshBasicMaterial({ map: texture, transparent: true, depthWrite: false })
+    );
+    iconRow.renderOrder = renderingStats.renderOrder.statusIcons;
+    iconRow.userData.key = key;
+    healthBarContainer.add(iconRow);
+    healthBarContainer.userData.statusIcons = iconRow;
+    this._positionStatusIcons(healthBarContainer);
+  }
+
+  /**
+   * Place status icons above the bar, or above the name label when there is one
+   * @param {THREE.Object3D} healthBarContainer - Health bar container
+   * @private
+   */
+  _positionStatusIcons(healthBarContainer) {
+    const iconRow = healthBarContainer.userData.statusIcons;
+    if (!iconRow) return;
+    const iconStats = getHealthBarStatusIconStats();
+    iconRow.position.set(0, healthBarContainer.userData.label ? iconStats.offsetYWithLabel : iconStats.offsetY, 0);
+  }
+
   /**
    * Update health bar position above target
    * @param {THREE.Object3D} healthBarContainer - Health bar container
@@ -120,8 +257,9 @@ export class HealthBarManager {
    * @param {THREE.Object3D} healthBarContainer - Health bar container
    * @param {number} currentHealth - Current health value
    * @param {number} maxHealth - Maximum health value
+   * @param {string|null} team - Team ID for team-colored bars (optional)
    */
-  updateHealthBar(healthBarContainer, currentHealth, maxHealth) {
+  updateHealthBar(healthBarContainer, currentHealth, maxHealth, team = null) {
     if (!healthBarContainer || !healthBarContainer.userData) return;
 
     const healthBar = healthBarContainer.userData.healthBar;
@@ -137,8 +275,8 @@ export class HealthBarManager {
     healthBar.scale.x = healthPercent;
     healthBar.position.x = positionStats.healthOffsetX + (width * 0.5); // Keep left-aligned as it shrinks
 
-    // Update color based on health percentage
-    const targetColor = getHealthColor(healthPercent);
+    // Update color based on health percentage (or team in team modes)
+    const targetColor = getHealthColor(healthPercent, team);
     
     // Only update if color actually changed (to avoid unnecessary updates)
     const currentColor = healthBar.material.color.getHex();
@@ -217,7 +355,12 @@ export class HealthBarManager {
       // Update health display
       const currentHealth = target.userData.health || 0;
       const maxHealth = target.userData.maxHealth || 100;
-      this.updateHealthBar(healthBarContainer, currentHealth, maxHealth);
+      this.updateHealthBar(healthBarContainer, currentHealth, maxHealth, target.userData.team || null);
+      
+      // Targets outside the scene (a spectator's removed character) show no bar
+      if (!target.parent) {
+        healthBarContainer.visible = false;
+      }
     }
   }
 
@@ -234,6 +377,7 @@ export class HealthBarManager {
       if (healthBarContainer.children) {
         healthBarContainer.children.forEach(child => {
           if (child.geometry) child.geometry.dispose();
+          if (child.material && child.material.map) child.material.map.dispose();
           if (child.material) child.material.dispose();
         });
       }
@@ -32,7 +32,8 @@ export class InputManager {
       swordSwing: false,
       doubleJump: false,
       fly: false,
-      speedBoost: false
+      speedBoost: false,
+      ultimate: false
     };
     
     this.mousePosition = { x: 0, y: 0 };
@@ -48,6 +49,12 @@ export class InputManager {
     this.swordSwingPressed = false;
     this.scoreboardPressed = false;
     this.speedBoostPressed = false;
+    this.ultimatePressed = false;
+    this._bumperChordHeld = false; // LB + RB held together for the ultimate (the bumpers' own actions wait until both are released)
+    this._dpadPressed = { up: false, down: false, left: false, right: false };
+    this._quickChatDirection = null; // D-pad direction pressed since the quick-chat wheel last read it
+    this._spectatorButtonsPressed = { prev: false, next: false, freeFly: false };
+    this._spectatorAction = null; // Spectator camera action pressed since the spectator camera last read it
 
     // Gamepad state
     this.gamepad = null;
@@ -89,6 +96,7 @@ export class InputManager {
     this._simulatedControllerType = null;
 
     const defaultCharacter = GAME_CONSTANTS?.DEFAULT_CHARACTER || 'lucy';
+    this.speedMultiplier = 1; // Status effect slow (set by GameLoop)
     this.applyCharacterMovementStats(defaultCharacter);
     
     // Input mode: 'keyboard' or 'controller'
@@ -155,10 +163,12 @@ export class InputManager {
       this.inputState.heal = false;
       this.inputState.swordSwing = false;
       this.inputState.speedBoost = false;
+      this.inputState.ultimate = false;
       this.characterSwapPressed = false;
       this.healPressed = false;
       this.swordSwingPressed = false;
       this.speedBoostPressed = false;
+      this.ultimatePressed = false;
       
       return true;
     }
@@ -168,12 +178,14 @@ export class InputManager {
   /**
    * Apply movement stats for the active character
    * @param {string} characterName - Character identifier
+   * @param {number} speedMultiplier - Status effect speed multiplier (defaults to the current one)
    */
-  applyCharacterMovementStats(characterName) {
+  applyCharacterMovementStats(characterName, speedMultiplier = this.speedMultiplier) {
     const stats = getCharacterMovementStatsFor(characterName);
+    this.speedMultiplier = speedMultiplier;
     
     if (typeof stats.moveSpeed === 'number') {
-      this.moveSpeed = stats.moveSpeed;
+      this.moveSpeed = stats.moveSpeed * speedMultiplier;
     }
     
     if (typeof stats.runSpeedMultiplier === 'number') {
@@ -219,12 +231,28 @@ export class InputManager {
     return false;
   }
 
+  /**
+   * Check if a key event comes from a text field (chat, player name, room code)
+   * @param {Event} e - Keyboard event
+   * @returns {boolean} True if the player is typing
+   * @private
+   */
+  _isTypingTarget(e) {
+    const target = e.target;
+    return !!target && (target.tagName === 'TEXTAREA' || (target.tagName === 'INPUT' && target.type === 'text'));
+  }
+
   /**
    * Setup event listeners for keyboard and mouse
    * @private
    */
   _setupEventListeners() {
     window.addEventListener('keydown', (e) => {
+      // Typing never moves the character (key releases still go through)
+      if (this._isTypingTarget(e)) {
+        return;
+      }
+
       // Tab key for scoreboard (works in both keyboard and controller mode)
       if (e.key === 'Tab') {
         if (!this.scoreboardPressed) {
@@ -482,6 +510,7 @@ export class InputManager {
         this.inputState.doubleJump = false;
         this.inputState.fly = false;
         this.inputState.speedBoost = false;
+        this.inputState.ultimate = false;
         
         // Reset mortar hold state
         this.mortarHoldPressed = false;
@@ -642,6 +671,7 @@ export class InputManager {
       this.inputState.heal = false;
       this.inputState.swordSwing = false;
       this.inputState.speedBoost = false;
+      this.inputState.ultimate = false;
       this.gamepadMovementVector.x = 0;
       this.gamepadMovementVector.y = 0;
       this._gamepadMovementActive = false;
@@ -656,6 +686,7 @@ export class InputManager {
       this.characterSwapPressed = false;
       this.healPressed = false;
       this.speedBoostPressed = false;
+      this.ultimatePressed = false;
       this._previousJumpButtonState = false;
       this._previousKeyboardJumpState = false;
       this._gamepadJumpState = false;
@@ -685,6 +716,7 @@ export class InputManager {
       this.characterSwapPressed = false;
       this.healPressed = false;
       this.speedBoostPressed = false;
+      this.ultimatePressed = false;
       this._previousJumpButtonState = false;
       this._previousKeyboardJumpState = false;
       this._gamepadJumpState = false;
@@ -839,6 +871,12 @@ export class InputManager {
       return;
     }
 
+    // D-pad (buttons 12-15) drives the quick-chat wheel
+    this._updateDpad(gamepad);
+
+    // LB/RB/Y switch the spectator camera (read only while spectating)
+    this._updateSpectatorButtons(gamepad);
+
     // Check for keyboard state (only relevant if somehow keyboard was used, but should be cleared in controller mode)
     const hadKeyboardMovement = this.inputState.up || this.inputState.down || 
                                   this.inputState.left || this.inputState.right;
@@ -1012,10 +1050,35 @@ export class InputManager {
       }
     }
 
+    // Ultimate (LB button 4 + RB button 5 together) - while both bumpers are down, and
+    // until both are released again, neither bumper triggers its own action
+    const leftBumperDown = !!(gamepad.buttons[4] && gamepad.buttons[4].pressed);
+    const rightBumperDown = !!(gamepad.buttons[5] && gamepad.buttons[5].pressed);
+    const ultimatePressed = leftBumperDown && rightBumperDown;
+    if (ultimatePressed) {
+      this._bumperChordHeld = true;
+    } else if (!leftBumperDown && !rightBumperDown) {
+      this._bumperChordHeld = false;
+    }
+    
+    if (this.abilityInputsBlocked) {
+      this.ultimatePressed = false;
+      this.inputState.ultimate = false;
+    } else if (ultimatePressed && !this.ultimatePressed) {
+      this.ultimatePressed = true;
+      this.inputState.ultimate = true;
+      if (this._loggingEnabled) {
+        this._logInput('🌟 ULTIMATE', 'pressed', gamepad);
+      }
+    } else if (!ultimatePressed && this.ultimatePressed) {
+      this.ultimatePressed = false;
+      this.inputState.ultimate = false;
+    }
+    
     // Mortar Toggle (RB button 5) - press once to enter hold mode, press again to drop
     // Allow mortar activation even when abilities are blocked (e.g., while running)
     // Running will automatically stop when mortar is activated
-    const mortarHoldPressed = gamepad.buttons[5] && gamepad.buttons[5].pressed; // Right bumper (RB) only
+    const mortarHoldPressed = rightBumperDown && !this._bumperChordHeld; // Right bumper (RB) only
     
     if (mortarHoldPressed && !this.mortarHoldPressed) {
       this.mortarHoldPressed = true;
@@ -1103,7 +1166,7 @@ export class InputManager {
     }
 
     // Speed Boost (LB button 4) - Attack speed boost for Lucy
-    const speedBoostPressed = gamepad.buttons[4] && gamepad.buttons[4].pressed; // LB button only
+    const speedBoostPressed = leftBumperDown && !this._bumperChordHeld; // LB button only
 
     if (this.abilityInputsBlocked) {
       this.speedBoostPressed = false;
@@ -1305,6 +1368,8 @@ export class InputManager {
     this.inputState.swordSwing = false;
     this.speedBoostPressed = false;
     this.inputState.speedBoost = false;
+    this.ultimatePressed = false;
+    this.inputState.ultimate = false;
   }
 
   /**
@@ -1326,6 +1391,17 @@ export class InputManager {
   setKeyState(e, pressed) {
     const keys = getKeyBindings();
     
+    // Spectator camera keys - press detection
+    if (pressed && !e.repeat) {
+      if (keys.spectatePrev.includes(e.key)) {
+        this._spectatorAction = 'prev';
+      } else if (keys.spectateNext.includes(e.key)) {
+        this._spectatorAction = 'next';
+      } else if (keys.spectateFreeFly.includes(e.key)) {
+        this._spectatorAction = 'free-fly';
+      }
+    }
+    
     // Movement keys (only processed in keyboard mode)
     if (keys.up.includes(e.key)) {
       this.inputState.up = pressed;
@@ -1409,6 +1485,22 @@ export class InputManager {
         this.inputState.speedBoost = false;
       }
     }
+    
+    // Ultimate (G key) - press detection
+    if (keys.ultimate && keys.ultimate.includes(e.key)) {
+      if (this.abilityInputsBlocked) {
+        this.ultimatePressed = false;
+        this.inputState.ultimate = false;
+        return;
+      }
+      if (pressed && !this.ultimatePressed) {
+        this.ultimatePressed = true;
+        this.inputState.ultimate = true;
+      } else if (!pressed && this.ultimatePressed) {
+        this.ultimatePressed = false;
+        this.inputState.ultimate = false;
+      }
+    }
   }
 
   /**
@@ -1687,6 +1779,59 @@ export class InputManager {
     return this.inputState.fly;
   }
 
+  /**
+   * Track D-pad presses for the quick-chat wheel
+   * @param {Gamepad} gamepad - Gamepad state
+   * @private
+   */
+  _updateDpad(gamepad) {
+    const buttons = { up: 12, down: 13, left: 14, right: 15 };
+    for (const [direction, index] of Object.entries(buttons)) {
+      const pressed = !!(gamepad.buttons[index] && gamepad.buttons[index].pressed);
+      if (pressed && !this._dpadPressed[direction]) {
+        this._quickChatDirection = direction;
+      }
+      this._dpadPressed[direction] = pressed;
+    }
+  }
+
+  /**
+   * Get the D-pad direction pressed since the last call (quick-chat wheel)
+   * @returns {string|null} 'up', 'down', 'left', 'right', or null if none was pressed
+   */
+  consumeQuickChatDirection() {
+    const direction = this._quickChatDirection;
+    this._quickChatDirection = null;
+    return direction;
+  }
+
+  /**
+   * Track LB/RB/Y presses for the spectator camera
+   * @param {Gamepad} gamepad - Gamepad state
+   * @private
+   */
+  _updateSpectatorButtons(gamepad) {
+    const buttons = { prev: 4, next: 5, freeFly: 3 };
+    const actions = { prev: 'prev', next: 'next', freeFly: 'free-fly' };
+    for (const [button, index] of Object.entries(buttons)) {
+      const pressed = !!(gamepad.buttons[index] && gamepad.buttons[index].pressed);
+      if (pressed && !this._spectatorButtonsPressed[button]) {
+        this._spectatorAction = actions[button];
+      }
+      this._spectatorButtonsPressed[button] = pressed;
+    }
+  }
+
+  /**
+   * Get the spectator camera action pressed since the last call
+   * @returns {string|null} 'prev', 'next', 'free-fly', or null if none was pressed
+   */
+  consumeSpectatorAction() {
+    const action = this._spectatorAction;
+    this._spectatorAction = null;
+    return action;
+  }
+
   /**
    * Check if scoreboard button is pressed
    * @returns {boolean} True if scoreboard button is pressed
@@ -1705,5 +1850,16 @@ export class InputManager {
     }
     return this.inputState.speedBoost;
   }
+
+  /**
+   * Check if the ultimate binding is pressed (LB + RB together, or G)
+   * @returns {boolean} True if the ultimate binding is pressed
+   */
+  isUltimatePressed() {
+    if (this.abilityInputsBlocked) {
+      return false;
+    }
+    return this.inputState.ultimate;
+  }
 }
 
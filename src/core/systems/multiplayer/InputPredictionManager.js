@@ -0,0 +1,207 @@
+/**
+ * InputPredictionManager.js
+ *
+ * Client-side prediction and reconciliation for the local player.
+ * Records each frame's movement input as a numbered command, sends commands to the
+ * server in batches and, when the server acknowledges a different position than the
+ * one predicted, rewinds to the server position and replays unacknowledged commands.
+ *
+ * Only horizontal movement (X/Z) is reconciled; jump physics stay client-side.
+ */
+
+import * as THREE from 'https://unpkg.com/three@0.160.1/build/three.module.js';
+import { GAME_CONSTANTS } from '../../../config/global/GameConstants.js';
+
+/**
+ * Move a position by a velocity step, sliding along whichever axis is free when blocked
+ * Shared by live movement and replay so both resolve collisions identically.
+ * @param {THREE.Vector3} position - Position to move (mutated)
+ * @param {THREE.Vector3} velocity - Displacement for this step
+ * @param {number} playerSize - Player collision size
+ * @param {Object} collisionManager - Collision manager instance
+ */
+export function applyMovementWithSliding(position, velocity, playerSize, collisionManager) {
+  const nextPos = new THREE.Vector3(position.x + velocity.x, position.y, position.z + velocity.z);
+
+  // Try full movement first
+  if (!collisionManager.willCollide(nextPos, playerSize)) {
+    position.x = nextPos.x;
+    position.z = nextPos.z;
+    return;
+  }
+
+  // Full movement blocked - try sliding along each axis independently
+  const nextPosX = new THREE.Vector3(nextPos.x, position.y, position.z);
+  const canMoveX = !collisionManager.willCollide(nextPosX, playerSize);
+  const nextPosZ = new THREE.Vector3(position.x, position.y, nextPos.z);
+  const canMoveZ = !collisionManager.willCollide(nextPosZ, playerSize);
+
+  // Apply movement along whichever axis is free (or both if both are free)
+  if (canMoveX) {
+    position.x = nextPos.x;
+  }
+  if (canMoveZ) {
+    position.z = nextPos.z;
+  }
+}
+
+export class InputPredictionManager {
+  /**
+   * Create a new InputPredictionManager
+   * @param {Object} multiplayerManager - Multiplayer manager instance
+   * @param {Object} collisionManager - Collision manager instance
+   */
+  constructor(multiplayerManager, collisionManager) {
+    this.multiplayerManager = multiplayerManager;
+    this.collisionManager = collisionManager;
+    this.sequence = 0;
+    this.history = []; // Commands not yet acknowledged by the server (replayable)
+    this.pendingCommands = []; // Commands not yet sent
+    this.lastSendTime = 0;
+    this.lastPosition = null; // Position {x, z} after the last recorded command
+  }
+
+  /**
+   * Check if prediction is active (connected and in a room)
+   * @returns {boolean} True if commands should be recorded
+   */
+  isActive() {
+    return !!this.multiplayerManager &&
+      this.multiplayerManager.isInRoom() &&
+      this.multiplayerManager.isConnected();
+  }
+
+  /**
+   * Record the movement applied this frame and send batched commands to the server
+   * @param {Object} movement - Movement applied this frame
+   * @param {number} movement.dt - Delta time in seconds
+   * @param {number} movement.inputX - Input vector X
+   * @param {number} movement.inputY - Input vector Y
+   * @param {number} movement.speed - Movement speed used for the input
+   * @param {number} movement.knockbackX - Knockback displacement applied on X
+   * @param {number} movement.knockbackZ - Knockback displacement applied on Z
+   * @param {boolean} movement.run - Whether running
+   * @param {boolean} movement.jump - Whether jump was pressed
+   * @param {Object} startPosition - Position {x, z} before movement this frame
+   * @param {Object} endPosition - Position {x, z} after movement this frame
+   */
+  recordCommand(movement, startPosition, endPosition) {
+    if (!this.isActive()) {
+      this.reset();
+      return;
+    }
+
+    // Anything that moved the player between frames (respawn, pushes, blasts on the local player)
+    const externalX = this.lastPosition ? startPosition.x - this.lastPosition.x : 0;
+    const externalZ = this.lastPosition ? startPosition.z - this.lastPosition.z : 0;
+    const isTeleport = Math.sqrt(externalX * externalX + externalZ * externalZ) > GAME_CONSTANTS.PREDICTION_TELEPORT_DISTANCE;
+
+    this.sequence += 1;
+    const command = {
+      seq: this.sequence,
+      dt: movement.dt,
+      inputX: movement.inputX,
+      inputY: movement.inputY,
+      speed: movement.speed,
+      run: movement.run,
+      jump: movement.jump,
+      externalX,
+      externalZ,
+      knockbackX: movement.knockbackX,
+      knockbackZ: movement.knockbackZ,
+      teleport: isTeleport,
+      x: endPosition.x,
+      z: endPosition.z
+    };
+
+    this.history.push(command);
+    if (this.history.length > GAME_CONSTANTS.PREDICTION_HISTORY_SIZE) {
+      this.history.shift();
+    }
+
+    // Only inputs and the predicted result are sent - the server derives speed limits itself
+    this.pendingCommands.push({
+      seq: command.seq,
+      dt: command.dt,
+      inputX: command.inputX,
+      inputY: command.inputY,
+      run: command.run,
+      jump: command.jump,
+      teleport: command.teleport,
+      x: command.x,
+      z: command.z
+    });
+    this.lastPosition = { x: endPosition.x, z: endPosition.z };
+
+    this._flush();
+  }
+
+  /**
+   * Send pending commands at the position sync rate
+   * @private
+   */
+  _flush() {
+    const now = Date.now();
+    if (this.pendingCommands.length === 0 || now - this.lastSendTime < GAME_CONSTANTS.SYNC_INTERVAL) {
+      return;
+    }
+    this.multiplayerManager.sendPlayerInput(this.pendingCommands);
+    this.pendingCommands = [];
+    this.lastSendTime = now;
+  }
+
+  /**
+   * Reconcile with a server acknowledgement
+   * Drops acknowledged commands; if the server position differs from the prediction
+   * for that command, rewinds to the server position and replays the remaining commands.
+   * @param {Object} ack - Server acknowledgement {seq, x, z}
+   * @param {THREE.Mesh} player - Local player mesh
+   * @param {number} playerSize - Player collision size
+   * @returns {boolean} True if the player position was corrected
+   */
+  reconcile(ack, player, playerSize) {
+    if (!ack || !player || !Number.isFinite(ack.x) || !Number.isFinite(ack.z)) {
+      return false;
+    }
+
+    const ackedCommand = this.history.find(command => command.seq === ack.seq);
+    this.history = this.history.filter(command => command.seq > ack.seq);
+    if (!ackedCommand) {
+      // Already reconciled past this command (or history was reset)
+      return false;
+    }
+
+    const errorX = ack.x - ackedCommand.x;
+    const errorZ = ack.z - ackedCommand.z;
+    if (Math.sqrt(errorX * errorX + errorZ * errorZ) <= GAME_CONSTANTS.PREDICTION_ERROR_TOLERANCE) {
+      return false;
+    }
+
+    // Rewind to the server position and replay unacknowledged commands
+    const position = new THREE.Vector3(ack.x, player.position.y, ack.z);
+    for (const command of this.history) {
+      position.x += command.externalX + command.knockbackX;
+      position.z += command.externalZ + command.knockbackZ;
+
+      const velocity = new THREE.Vector3(command.inputX, 0, -command.inputY).multiplyScalar(command.speed * command.dt);
+      applyMovementWithSliding(position, velocity, playerSize, this.collisionManager);
+
+      command.x = position.x;
+      command.z = position.z;
+    }
+
+    player.position.x = position.x;
+    player.position.z = position.z;
+    this.lastPosition = { x: position.x, z: position.z };
+    return true;
+  }
+
+  /**
+   * Clear history (e.g. when leaving a room)
+   */
+  reset() {
+    this.history = [];
+    this.pendingCommands = [];
+    this.lastPosition = null;
+  }
+}
@@ -6,6 +6,14 @@
  */
 
 import { WEBSOCKET_SERVER_URL, PRODUCTION_DOMAINS } from '../../../config/global/multiplayer.js';
+import { pickRoomSettings, getRoomSettingsStats } from '../../../config/gamemode/RoomSettingsConfig.js';
+import { validatePlayerName, normalizePlayerName } from '../../../config/global/PlayerNameConfig.js';
+import { getClientId, getPlayerName, setPlayerName } from '../../../utils/StorageUtils.js';
+import { dequantizePlayerState } from '../../../config/global/PlayerStateConfig.js';
+import { PlayerStateSync } from './PlayerStateSync.js';
+
+// Debug logging gated behind window.HIFE_DEBUG_MP — quiet by default in production.
+const dbg = (...args) => { if (typeof window !== 'undefined' && window.HIFE_DEBUG_MP) console.log('[MultiplayerManager]', ...args); };
 
 export class MultiplayerManager {
   /**
@@ -17,12 +25,30 @@ export class MultiplayerManager {
   constructor(onPlayerJoined, onPlayerLeft, onDataReceived) {
     this.isHost = false;
     this.roomCode = null;
+    this.isSpectator = false; // Joined a full room: watching and queued for a player slot
+    this.queuedLocalPlayer = null; // Local player info added to the room once a slot frees up
     this.connectedPlayers = new Map();
-    this.localPlayerId = this._generatePlayerId();
+    this.killCounts = new Map(); // playerId -> kills in the kill feed this match (spectator HUD)
+    this.clientId = getClientId(); // Persists across reloads (the socket ID does not)
+    this.reconnectToken = null; // Lets us take our room slot back after the connection drops
+    this.resumeDeadline = null; // When the server gives our slot away (ms timestamp), while reconnecting
+    this.localPlayerId = this.clientId; // Replaced by the socket ID once connected
+    this.localName = getPlayerName();
     this.onPlayerJoined = onPlayerJoined;
     this.onPlayerLeft = onPlayerLeft;
     this.onDataReceived = onDataReceived;
     this.onRoomUpdated = null;
+    this.onLocalPlayerDamaged = null;
+    this.onAbilityActivated = null;
+    this.onStatusEffectsUpdated = null;
+    this.onInputAck = null;
+    this.onTeamsUpdated = null;
+    this.onCrystalStateUpdated = null;
+    this.onWaveStateUpdated = null;
+    this.onMatchStateUpdated = null;
+    this.onChatMessage = null;
+    this.onPlayerKilled = null;
+    this.onRemovedFromRoom = null;
     this.socket = null;
     this.serverUrl = this._getServerUrl();
     this.roomProperties = {}; // Store room properties like isPrivate
@@ -36,16 +62,10 @@ export class MultiplayerManager {
     this.onLatencyChange = null;
     this._pingTimer = null;
 
-    this._setupSocket();
-  }
+    // Binary player-state sync (delta baselines for uploads and received batches)
+    this.stateSync = new PlayerStateSync();
 
-  /**
-   * Generate a unique player ID
-   * @returns {string} Player ID
-   * @private
-   */
-  _generatePlayerId() {
-    return 'player_' + Math.random().toString(36).substr(2, 9);
+    this._setupSocket();
   }
 
   /**
@@ -104,7 +124,8 @@ export class MultiplayerManager {
       if (!this.socket || !this.socket.connected) return;
       const start = performance.now();
       // volatile so probes never queue up if the socket is briefly unhealthy
-      this.socket.volatile.emit('ping-probe', () => {
+      // (the last RTT goes along so the server knows how far to rewind our hits)
+      this.socket.volatile.emit('ping-probe', { latency: this.latency }, () => {
         const rtt = Math.round(performance.now() - start);
         // simple low-pass filter to avoid jitter
         this.latency = this.latency == null ? rtt : Math.round(this.latency * 0.7 + rtt * 0.3);
@@ -163,7 +184,9 @@ export class MultiplayerManager {
     });
     
     this.socket.on('connect', () => {
+      const previousId = this.localPlayerId;
       this.localPlayerId = this.socket.id;
+      this.stateSync.reset();
       this._updateConnectionState('connected');
       this._startLatencyProbe();
 
@@ -171,6 +194,11 @@ export class MultiplayerManager {
       if (this.onConnected) {
         this.onConnected();
       }
+
+      // The connection dropped while we were in a room
+      if (this.roomCode) {
+        this._resumeRoom(previousId);
+      }
     });
     
     this.socket.on('disconnect', (reason) => {
@@ -179,7 +207,10 @@ export class MultiplayerManager {
       if (reason === 'io server disconnect' || reason === 'io client disconnect') {
         this._updateConnectionState('disconnected');
       } else {
-        // Otherwise, Socket.io will attempt to reconnect
+        // Otherwise, Socket.io will attempt to reconnect - the server holds our player slot meanwhile
+        if (this.roomCode && this.reconnectToken && !this.isSpectator) {
+          this.resumeDeadline = Date.now() + getRoomSettingsStats().reconnectGraceSeconds * 1000;
+        }
         this._updateConnectionState('reconnecting');
       }
     });
@@ -212,9 +243,6 @@ export class MultiplayerManager {
       this._updateConnectionState('disconnected');
     });
     
-    // Debug logging gated behind window.HIFE_DEBUG_MP — quiet by default in production.
-    const dbg = (...args) => { if (typeof window !== 'undefined' && window.HIFE_DEBUG_MP) console.log('[MultiplayerManager]', ...args); };
-
     // Handle player joined
     this.socket.on('player-joined', (data) => {
       dbg(`player-joined ${data.playerId}`);
@@ -222,16 +250,26 @@ export class MultiplayerManager {
       if (data.playerId === this.localPlayerId) return;
       if (this.connectedPlayers.has(data.playerId)) return;
 
+      // A player reconnected under a new socket ID
+      if (data.previousId && this.killCounts.has(data.previousId)) {
+        this.killCounts.set(data.playerId, this.killCounts.get(data.previousId));
+        this.killCounts.delete(data.previousId);
+      }
+
       this.connectedPlayers.set(data.playerId, {
         id: data.playerId,
+        netId: data.netId || null,
         isLocal: false,
+        name: data.gameState?.name || null,
         characterName: data.gameState?.characterName || 'lucy',
         arena: data.gameState?.arena,
-        gameMode: data.gameState?.gameMode
+        gameMode: data.gameState?.gameMode,
+        team: data.team || null
       });
 
       if (this.onPlayerJoined) {
         this.onPlayerJoined(data.playerId, {
+          name: data.gameState?.name,
           characterName: data.gameState?.characterName,
           arena: data.gameState?.arena,
           gameMode: data.gameState?.gameMode
@@ -250,15 +288,21 @@ export class MultiplayerManager {
       }
     });
     
-    // Handle player state updates — hot path, no logging.
-    this.socket.on('player-state', (data) => {
-      if (data.playerId === this.localPlayerId) return;
-      if (this.onDataReceived) {
-        this.onDataReceived(data.playerId, {
+    // Handle one server tick of everyone else's state — hot path, no logging.
+    this.socket.on('player-states', (data) => {
+      const batch = this.stateSync.decodeBatch(data);
+      if (!batch || !this.onDataReceived) return;
+      batch.states.forEach((state, netId) => {
+        const playerId = this._getPlayerIdByNetId(netId);
+        if (!playerId || playerId === this.localPlayerId) return;
+        // The tick orders packets for receivers (drops duplicates and out-of-order ones)
+        this.onDataReceived(playerId, {
           type: 'player-state',
-          ...data.state
+          ...dequantizePlayerState(state),
+          seq: batch.tick,
+          serverTime: batch.serverTime
         });
-      }
+      });
     });
     
     // Handle projectile creation
@@ -281,9 +325,26 @@ export class MultiplayerManager {
       }
     });
     
+    // Handle projectiles the server's simulation removed (hit, blocked, expired or landed)
+    this.socket.on('projectile-despawn', (data) => {
+      if (this.onDataReceived) {
+        this.onDataReceived(data.playerId, {
+          type: 'projectile-despawn',
+          ...data
+        });
+      }
+    });
+
     // Handle player damage
     this.socket.on('player-damage', (data) => {
-      if (data.playerId !== this.localPlayerId && this.onDataReceived) {
+      if (data.playerId === this.localPlayerId) {
+        // Damage decided by the server: attacker-reported melee, simulated projectile hits and status effect ticks
+        if (data.attackerId && data.attackerId !== this.localPlayerId && this.onLocalPlayerDamaged) {
+          this.onLocalPlayerDamaged(data);
+        }
+        return;
+      }
+      if (this.onDataReceived) {
         this.onDataReceived(data.playerId, {
           type: 'player-damage',
           ...data
@@ -291,26 +352,39 @@ export class MultiplayerManager {
       }
     });
     
+    // Handle another player's ability activation (melee swing, blast, ...)
+    this.socket.on('ability-activate', (data) => {
+      if (data.playerId !== this.localPlayerId && this.onAbilityActivated) {
+        this.onAbilityActivated(data);
+      }
+    });
+    
+    // Handle a player's status effects changing (the local player's included)
+    this.socket.on('status-effects', (data) => {
+      if (this.onStatusEffectsUpdated) {
+        this.onStatusEffectsUpdated(data);
+      }
+    });
+    
+    // Handle server acknowledgement of local input commands
+    this.socket.on('input-ack', (ack) => {
+      if (ack.corrected) {
+        dbg(`input-ack corrected at seq ${ack.seq}`);
+      }
+      if (this.onInputAck) {
+        this.onInputAck(ack);
+      }
+    });
+    
+    // Handle rejected damage reports
+    this.socket.on('damage-rejected', (data) => {
+      dbg(`damage-rejected: ${data.reason}${data.targetId ? ` (target ${data.targetId})` : ''}`);
+    });
+    
     // Handle existing players response
     this.socket.on('existing-players', (players) => {
       dbg(`existing-players (${players.length})`);
-      players.forEach(playerData => {
-        if (this.connectedPlayers.has(playerData.playerId)) return;
-        this.connectedPlayers.set(playerData.playerId, {
-          id: playerData.playerId,
-          isLocal: false,
-          characterName: playerData.gameState?.characterName || 'lucy',
-          arena: playerData.gameState?.arena,
-          gameMode: playerData.gameState?.gameMode
-        });
-        if (this.onPlayerJoined) {
-          this.onPlayerJoined(playerData.playerId, {
-            characterName: playerData.gameState?.characterName,
-            arena: playerData.gameState?.arena,
-            gameMode: playerData.gameState?.gameMode
-          });
-        }
-      });
+      this._addExistingPlayers(players);
     });
     
     // Handle character change
@@ -332,27 +406,134 @@ export class MultiplayerManager {
       }
     });
 
-    // Handle room property updates
+    // Handle team changes (team modes)
+    this.socket.on('team-changed', (data) => {
+      const playerInfo = this.connectedPlayers.get(data.playerId);
+      if (playerInfo) {
+        playerInfo.team = data.team;
+      }
+      this._notifyTeamsUpdated({ type: 'team-changed', ...data });
+    });
+    
+    // Handle team score updates (server-confirmed kills)
+    this.socket.on('team-score', (data) => {
+      this.roomProperties.teamScores = data.teamScores;
+      this._notifyTeamsUpdated({ type: 'team-score', ...data });
+    });
+    
+    // Handle a team reaching the kill limit (scores reset for the next round)
+    this.socket.on('team-match-won', (data) => {
+      dbg(`team-match-won ${data.winningTeam}`);
+      const resetScores = {};
+      Object.keys(data.teamScores || {}).forEach(teamId => {
+        resetScores[teamId] = 0;
+      });
+      this.roomProperties.teamScores = resetScores;
+      this._notifyTeamsUpdated({ type: 'team-match-won', ...data });
+    });
+
+    // Handle crystal state changes (capture-the-crystal mode)
+    this.socket.on('crystal-state', (data) => {
+      this.roomProperties.crystals = data.crystals;
+      if (data.event) {
+        dbg(`crystal ${data.event.type} ${data.event.team} by ${data.event.playerId}`);
+      }
+      if (this.onCrystalStateUpdated) {
+        this.onCrystalStateUpdated(data.crystals, data.event || null);
+      }
+    });
+
+    // Handle wave changes (wave co-op survival)
+    this.socket.on('wave-state', (data) => {
+      this.roomProperties.waves = data.waves;
+      if (data.event) {
+        dbg(`wave ${data.event.type} (wave ${data.event.wave})`);
+      }
+      if (this.onWaveStateUpdated) {
+        this.onWaveStateUpdated(data.waves, data.event || null);
+      }
+    });
+
+    // Handle match lifecycle changes (lobby, ready check, countdown, playing, results)
+    this.socket.on('match-state', (data) => {
+      // A new match resets scores, crystals and waves
+      this.roomProperties.match = this._toLocalMatch(data.match);
+      this.roomProperties.teamScores = data.teamScores || {};
+      this.roomProperties.crystals = data.crystals || null;
+      this.roomProperties.waves = data.waves || null;
+      if (data.event) {
+        dbg(`match ${data.event.type} (${data.match.phase})`);
+        if (data.event.type === 'match-started') {
+          this.killCounts.clear();
+        }
+      }
+      this._notifyMatchUpdated(data.event || null);
+    });
+
+    // Handle chat messages and quick chat (including our own, in server order)
+    this.socket.on('chat-message', (data) => {
+      if (this.onChatMessage) {
+        this.onChatMessage({ ...data, isLocal: data.playerId === this.localPlayerId });
+      }
+    });
+
+    // Handle kill feed entries (server-confirmed deaths and relayed bot kills)
+    this.socket.on('player-killed', (data) => {
+      if (data.killerId && data.killerId !== data.victimId) {
+        this.killCounts.set(data.killerId, (this.killCounts.get(data.killerId) || 0) + 1);
+      }
+      if (this.onPlayerKilled) {
+        this.onPlayerKilled(data);
+      }
+    });
+
+    // Handle a player slot freeing up while we were spectating
+    this.socket.on('spectator-promoted', (data) => {
+      if (data.roomCode !== this.roomCode || !this.isSpectator) {
+        return;
+      }
+      dbg(`promoted from spectator in ${data.roomCode}`);
+      this.isSpectator = false;
+      this.connectedPlayers.set(this.localPlayerId, { ...this.queuedLocalPlayer, team: data.team || null });
+      this.queuedLocalPlayer = null;
+      this._notifyMatchUpdated({ type: 'spectator-promoted' });
+    });
+
+    // Handle the host kicking or banning us
+    this.socket.on('removed-from-room', (data) => {
+      if (data.roomCode !== this.roomCode) {
+        return;
+      }
+      dbg(`${data.reason} from ${data.roomCode}`);
+      this._clearRoomState();
+      if (this.onRemovedFromRoom) {
+        this.onRemovedFromRoom(data);
+      }
+    });
+
+    // Handle room property updates (privacy and host-controlled room settings)
     this.socket.on('room-updated', (data) => {
       if (data.roomCode === this.roomCode && data.updates) {
-        // Store room properties
-        if (!this.roomProperties) {
-          this.roomProperties = {};
-        }
-        Object.assign(this.roomProperties, data.updates);
+        this._applyRoomUpdates(data.updates);
         
         // Trigger callback if set
         if (this.onRoomUpdated) {
           this.onRoomUpdated(data.updates);
         }
+        
+        // A new game mode puts everyone on new teams
+        if (data.updates.teams) {
+          this._notifyTeamsUpdated({ type: 'teams-reassigned' });
+        }
       }
     });
   }
 
   /**
    * Create a new room
+   * The local display name and client ID are added to the game state.
    * @param {Object} gameState - Current game state {arena, gameMode, characterName}
-   * @param {Object} options - Room options (isPrivate: boolean)
+   * @param {Object} options - Room options (isPrivate: boolean, killLimit: number)
    * @returns {Promise<string>} Room code
    */
   async createRoom(gameState = {}, options = {}) {
@@ -371,20 +552,31 @@ export class MultiplayerManager {
         return;
       }
       
-      this.socket.emit('create-room', gameState, options, (response) => {
+      this.socket.emit('create-room', this._getIdentityState(gameState), options, (response) => {
         if (response.success) {
           this.roomCode = response.roomCode;
+          this.reconnectToken = response.reconnectToken || null;
+          this.stateSync.reset();
           this.isHost = true;
+          this.isSpectator = false;
           this.roomProperties = {
-            isPrivate: response.isPrivate || options.isPrivate || false
+            isPrivate: response.isPrivate || options.isPrivate || false,
+            hostId: response.hostId || this.localPlayerId,
+            spectatorIds: [],
+            spectatorNames: {},
+            mutedPlayerIds: [],
+            ...this._getMatchSettings(response)
           };
           this.connectedPlayers.set(this.localPlayerId, {
             id: this.localPlayerId,
             isLocal: true,
+            name: response.name || this.localName,
             characterName: gameState.characterName || 'lucy',
             arena: gameState.arena,
-            gameMode: gameState.gameMode
+            gameMode: gameState.gameMode,
+            team: response.team || null
           });
+          this._notifyMatchUpdated({ type: 'room-joined' });
           resolve(response.roomCode);
         } else {
           reject(new Error(response.error || 'Failed to create room'));
@@ -393,6 +585,16 @@ export class MultiplayerManager {
     });
   }
 
+  /**
+   * Add the local display name and client ID to a create/join game state
+   * @param {Object} gameState - Current game state
+   * @returns {Object} Game state sent to the server
+   * @private
+   */
+  _getIdentityState(gameState) {
+    return { ...gameState, name: this.localName, clientId: this.clientId };
+  }
+
   /**
    * Wait for connection to be established
    * @param {number} timeout - Timeout in milliseconds (default: 5000ms)
@@ -429,6 +631,7 @@ export class MultiplayerManager {
 
   /**
    * Join an existing room
+   * The local display name and client ID are added to the game state.
    * @param {string} roomCode - Room code to join
    * @param {Object} gameState - Current game state {arena, gameMode, characterName}
    * @returns {Promise<Object>} Response with existing players
@@ -449,44 +652,34 @@ export class MultiplayerManager {
         return;
       }
       
-      this.socket.emit('join-room', roomCode, gameState, (response) => {
+      this.socket.emit('join-room', roomCode, this._getIdentityState(gameState), (response) => {
         if (response.success) {
           this.roomCode = response.roomCode;
-          this.isHost = false;
-          this.roomProperties = {
-            isPrivate: response.isPrivate || false
-          };
-          this.connectedPlayers.set(this.localPlayerId, {
+          this.reconnectToken = response.reconnectToken || null;
+          this.stateSync.reset();
+          this.isHost = !!response.isHost;
+          this.isSpectator = !!response.isSpectator;
+          this.roomProperties = this._getJoinedRoomProperties(response);
+          const localPlayer = {
             id: this.localPlayerId,
             isLocal: true,
+            name: response.name || this.localName,
             characterName: gameState.characterName || 'lucy',
             arena: gameState.arena,
-            gameMode: gameState.gameMode
-          });
+            gameMode: gameState.gameMode,
+            team: response.team || null
+          };
           
-          // Trigger onPlayerJoined for existing players
-          if (response.existingPlayers && Array.isArray(response.existingPlayers)) {
-            response.existingPlayers.forEach(playerData => {
-              if (!this.connectedPlayers.has(playerData.playerId)) {
-                this.connectedPlayers.set(playerData.playerId, {
-                  id: playerData.playerId,
-                  isLocal: false,
-                  characterName: playerData.gameState?.characterName || 'lucy',
-                  arena: playerData.gameState?.arena,
-                  gameMode: playerData.gameState?.gameMode
-                });
-                
-                if (this.onPlayerJoined) {
-                  this.onPlayerJoined(playerData.playerId, {
-                    characterName: playerData.gameState?.characterName,
-                    arena: playerData.gameState?.arena,
-                    gameMode: playerData.gameState?.gameMode
-                  });
-                }
-              }
-            });
+          // Spectators are not players until the server gives them a slot
+          if (this.isSpectator) {
+            this.queuedLocalPlayer = localPlayer;
+          } else {
+            this.connectedPlayers.set(this.localPlayerId, localPlayer);
           }
           
+          this._addExistingPlayers(response.existingPlayers);
+          
+          this._notifyMatchUpdated({ type: 'room-joined' });
           resolve(response);
         } else {
           reject(new Error(response.error || 'Failed to join room'));
@@ -495,6 +688,125 @@ export class MultiplayerManager {
     });
   }
 
+  /**
+   * Get the room properties from a join/resume response
+   * @param {Object} response - Server response
+   * @returns {Object} Room properties
+   * @private
+   */
+  _getJoinedRoomProperties(response) {
+    return {
+      isPrivate: response.isPrivate || false,
+      hostId: response.hostId || null,
+      spectatorIds: response.spectatorIds || [],
+      spectatorNames: response.spectatorNames || {},
+      mutedPlayerIds: response.mutedPlayerIds || [],
+      ...this._getMatchSettings(response)
+    };
+  }
+
+  /**
+   * Add the players already in the room and trigger onPlayerJoined for each new one
+   * @param {Array<Object>} existingPlayers - Players from a join/resume response {playerId, gameState, team}
+   * @private
+   */
+  _addExistingPlayers(existingPlayers) {
+    if (!Array.isArray(existingPlayers)) {
+      return;
+    }
+    existingPlayers.forEach(playerData => {
+      if (!this.connectedPlayers.has(playerData.playerId)) {
+        this.connectedPlayers.set(playerData.playerId, {
+          id: playerData.playerId,
+          netId: playerData.netId || null,
+          isLocal: false,
+          name: playerData.gameState?.name || null,
+          characterName: playerData.gameState?.characterName || 'lucy',
+          arena: playerData.gameState?.arena,
+          gameMode: playerData.gameState?.gameMode,
+          team: playerData.team || null
+        });
+        
+        if (this.onPlayerJoined) {
+          this.onPlayerJoined(playerData.playerId, {
+            name: playerData.gameState?.name,
+            characterName: playerData.gameState?.characterName,
+            arena: playerData.gameState?.arena,
+            gameMode: playerData.gameState?.gameMode
+          });
+        }
+      }
+    });
+  }
+
+  /**
+   * Take our room slot back after the connection dropped
+   * Players who came and went while we were away are reconciled with the server's list.
+   * If the grace window ran out (or we were spectating) the room is gone for us.
+   * @param {string} previousId - Our socket ID before the connection dropped
+   * @private
+   */
+  _resumeRoom(previousId) {
+    const roomCode = this.roomCode;
+    const canResume = this.resumeDeadline !== null && Date.now() < this.resumeDeadline;
+    const lostRoom = () => {
+      dbg(`could not resume ${roomCode}`);
+      this._clearRoomState();
+      if (this.onRemovedFromRoom) {
+        this.onRemovedFromRoom({ roomCode, reason: 'disconnected' });
+      }
+    };
+    if (!canResume) {
+      lostRoom();
+      return;
+    }
+
+    this.socket.emit('resume-room', { roomCode, reconnectToken: this.reconnectToken }, (response) => {
+      this.resumeDeadline = null;
+      if (!response || !response.success || roomCode !== this.roomCode) {
+        lostRoom();
+        return;
+      }
+      dbg(`resumed ${roomCode} as ${this.localPlayerId}`);
+      this.reconnectToken = response.reconnectToken;
+      this.isHost = !!response.isHost;
+      this.roomProperties = this._getJoinedRoomProperties(response);
+
+      const localPlayer = this.connectedPlayers.get(previousId);
+      this.connectedPlayers.delete(previousId);
+      this.connectedPlayers.set(this.localPlayerId, { ...localPlayer, id: this.localPlayerId, team: response.team || null });
+      if (this.killCounts.has(previousId)) {
+        this.killCounts.set(this.localPlayerId, this.killCounts.get(previousId));
+        this.killCounts.delete(previousId);
+      }
+
+      const presentIds = new Set((response.existingPlayers || []).map(playerData => playerData.playerId));
+      for (const playerId of [...this.connectedPlayers.keys()]) {
+        if (playerId !== this.localPlayerId && !presentIds.has(playerId)) {
+          this.connectedPlayers.delete(playerId);
+          if (this.onPlayerLeft) {
+            this.onPlayerLeft(playerId);
+          }
+        }
+      }
+      this._addExistingPlayers(response.existingPlayers);
+
+      this._notifyTeamsUpdated({ type: 'room-resumed' });
+      this._notifyMatchUpdated({ type: 'room-resumed' });
+    });
+  }
+
+  /**
+   * Get how long the server keeps our room slot while we reconnect
+   * @returns {number|null} Whole seconds left, or null if no slot is being held
+   */
+  getResumeSecondsRemaining() {
+    if (this.resumeDeadline === null || !this.roomCode) {
+      return null;
+    }
+    return Math.max(0, Math.ceil((this.resumeDeadline - Date.now()) / 1000));
+  }
+
   /**
    * Leave the current room
    */
@@ -502,10 +814,26 @@ export class MultiplayerManager {
     if (this.roomCode && this.socket) {
       this.socket.emit('leave-room');
     }
-    
+    this._clearRoomState();
+  }
+
+  /**
+   * Forget the current room (after leaving it or being removed from it)
+   * @private
+   */
+  _clearRoomState() {
     this.roomCode = null;
+    this.reconnectToken = null;
+    this.resumeDeadline = null;
+    this.stateSync.reset();
     this.isHost = false;
+    this.isSpectator = false;
+    this.queuedLocalPlayer = null;
     this.connectedPlayers.clear();
+    this.killCounts.clear();
+    this.roomProperties = {};
+    this._notifyTeamsUpdated({ type: 'room-left' });
+    this._notifyMatchUpdated({ type: 'room-left' });
   }
 
   /**
@@ -532,11 +860,33 @@ export class MultiplayerManager {
 
   /**
    * Send player state update (position, rotation, animation)
+   * Sent as a compact binary delta against the last state the server acknowledged.
    * @param {Object} state - Player state
    */
   sendPlayerState(state) {
-    if (this.roomCode && this.socket) {
-      this.socket.emit('player-state', state);
+    // Dropped rather than buffered while reconnecting
+    if (this.roomCode && this.socket && this.socket.connected) {
+      this.socket.emit('player-state', this.stateSync.encodeUpload(state));
+    }
+  }
+
+  /**
+   * Acknowledge received player-state ticks without sending a state (spectators)
+   * Lets the server keep sending us deltas instead of full states.
+   */
+  sendStateAck() {
+    if (this.roomCode && this.socket && this.socket.connected) {
+      this.socket.emit('player-state', this.stateSync.encodeAck());
+    }
+  }
+
+  /**
+   * Send a batch of local player input commands for server reconciliation
+   * @param {Array<Object>} commands - Input commands {seq, dt, inputX, inputY, run, jump, teleport, x, z}
+   */
+  sendPlayerInput(commands) {
+    if (this.roomCode && this.socket && this.socket.connected) {
+      this.socket.emit('player-input', { commands });
     }
   }
 
@@ -570,6 +920,26 @@ export class MultiplayerManager {
     }
   }
 
+  /**
+   * Send an ability activation to the other players
+   * @param {Object} abilityData - Activation from Ability.serialize {ability, x, y, z}
+   */
+  sendAbilityActivate(abilityData) {
+    if (this.roomCode && this.socket) {
+      this.socket.emit('ability-activate', abilityData);
+    }
+  }
+
+  /**
+   * Send a status effect the local player put on another player or took themselves
+   * @param {Object} effectData - Effect data {type, targetId} or, for the local player, {type, sourceId, characterName}
+   */
+  sendStatusEffect(effectData) {
+    if (this.roomCode && this.socket) {
+      this.socket.emit('status-effect', effectData);
+    }
+  }
+
   /**
    * Send character change event
    * @param {string} characterName - New character name
@@ -616,6 +986,65 @@ export class MultiplayerManager {
     return this.localPlayerId;
   }
 
+  /**
+   * Get the local player's display name
+   * @returns {string} Display name
+   */
+  getLocalName() {
+    return this.localName;
+  }
+
+  /**
+   * Change the local player's display name
+   * The new name is saved and used the next time a room is created or joined.
+   * @param {string} name - Requested display name
+   * @returns {string|null} Error message, or null if the name was saved
+   */
+  setLocalName(name) {
+    const error = validatePlayerName(name);
+    if (error) {
+      return error;
+    }
+    this.localName = normalizePlayerName(name);
+    setPlayerName(this.localName);
+    return null;
+  }
+
+  /**
+   * Get a player's display name
+   * @param {string} playerId - Player ID
+   * @returns {string} Display name (shortened ID if the player sent no name)
+   */
+  getDisplayName(playerId) {
+    const name = this.connectedPlayers.get(playerId)?.name;
+    if (name) {
+      return name;
+    }
+    if (playerId === this.localPlayerId) {
+      return this.localName;
+    }
+    const spectatorName = this.getRoomProperties().spectatorNames?.[playerId];
+    if (spectatorName) {
+      return spectatorName;
+    }
+    return playerId ? playerId.substring(0, 8) : '';
+  }
+
+  /**
+   * Find a player by the short ID used in player-state packets
+   * @param {number} netId - Net ID
+   * @returns {string|null} Player ID, or null if nobody in the room has it
+   * @private
+   */
+  _getPlayerIdByNetId(netId) {
+    for (const [playerId, playerInfo] of this.connectedPlayers) {
+      if (playerInfo.netId === netId) {
+        return playerId;
+      }
+    }
+    return null;
+  }
+
   /**
    * Get connected players
    * @returns {Array<Object>} Array of connected players
@@ -665,6 +1094,38 @@ export class MultiplayerManager {
     this.onConnectionStateChange = callback;
   }
 
+  /**
+   * Set callback for server-validated damage dealt to the local player by another player
+   * @param {Function} callback - Callback function(damageData)
+   */
+  setLocalPlayerDamagedCallback(callback) {
+    this.onLocalPlayerDamaged = callback;
+  }
+
+  /**
+   * Set callback for other players' ability activations
+   * @param {Function} callback - Callback function(abilityData {playerId, ability, x, y, z})
+   */
+  setAbilityActivatedCallback(callback) {
+    this.onAbilityActivated = callback;
+  }
+
+  /**
+   * Set callback for players' status effect changes
+   * @param {Function} callback - Callback function(effectData {playerId, effects})
+   */
+  setStatusEffectsUpdatedCallback(callback) {
+    this.onStatusEffectsUpdated = callback;
+  }
+
+  /**
+   * Set callback for server acknowledgements of local input commands
+   * @param {Function} callback - Callback function(ack)
+   */
+  setInputAckCallback(callback) {
+    this.onInputAck = callback;
+  }
+
   /**
    * Set callback for room property updates
    * @param {Function} callback - Callback function(updates)
@@ -691,10 +1152,7 @@ export class MultiplayerManager {
       this.socket.emit('update-room', updates, (response) => {
         if (response && response.success) {
           // Update local room properties
-          if (!this.roomProperties) {
-            this.roomProperties = {};
-          }
-          Object.assign(this.roomProperties, response.updates);
+          this._applyRoomUpdates(response.updates);
           resolve(response);
         } else {
           reject(new Error(response?.error || 'Failed to update room'));
@@ -703,6 +1161,32 @@ export class MultiplayerManager {
     });
   }
 
+  /**
+   * Store room property updates from the server
+   * Team assignments are stored on the players rather than the room.
+   * @param {Object} updates - Room property updates (may include teams {playerId: teamId} and hostId)
+   * @private
+   */
+  _applyRoomUpdates(updates = {}) {
+    if (!this.roomProperties) {
+      this.roomProperties = {};
+    }
+    const { teams, ...properties } = updates;
+    Object.assign(this.roomProperties, properties);
+    // Host migration: the server picked a new host after the old one left
+    if (properties.hostId !== undefined) {
+      this.isHost = properties.hostId === this.localPlayerId;
+    }
+    if (teams) {
+      Object.entries(teams).forEach(([playerId, team]) => {
+        const playerInfo = this.connectedPlayers.get(playerId);
+        if (playerInfo) {
+          playerInfo.team = team;
+        }
+      });
+    }
+  }
+
   /**
    * Get room properties
    * @returns {Object} Room properties
@@ -711,6 +1195,458 @@ export class MultiplayerManager {
     return this.roomProperties || {};
   }
 
+  /**
+   * Get the room host's player ID
+   * @returns {string|null} Host player ID, or null if not in a room
+   */
+  getHostId() {
+    return this.getRoomProperties().hostId || null;
+  }
+
+  /**
+   * Get the host-controlled room settings
+   * @returns {Object} Room settings {gameMode, arena, killLimit, captureLimit, timeLimit, botCount, botDifficulty, maxPlayers}
+   */
+  getRoomSettings() {
+    return pickRoomSettings(this.getRoomProperties());
+  }
+
+  /**
+   * Check if the local player is spectating (the room was full when they joined)
+   * @returns {boolean} True while waiting in the queue for a player slot
+   */
+  isSpectating() {
+    return this.isSpectator;
+  }
+
+  /**
+   * Get the room's spectators in queue order
+   * @returns {Array<string>} Spectator player IDs (the first one gets the next free slot)
+   */
+  getSpectatorIds() {
+    return this.getRoomProperties().spectatorIds || [];
+  }
+
+  /**
+   * Check if a player or spectator is muted in room chat
+   * @param {string} playerId - Player ID
+   * @returns {boolean} True if the host muted them
+   */
+  isPlayerMuted(playerId) {
+    return (this.getRoomProperties().mutedPlayerIds || []).includes(playerId);
+  }
+
+  /**
+   * Get the local player's place in the spectator queue
+   * @returns {number|null} 1-based queue position, or null if not spectating
+   */
+  getQueuePosition() {
+    const index = this.getSpectatorIds().indexOf(this.localPlayerId);
+    return this.isSpectator && index !== -1 ? index + 1 : null;
+  }
+
+  /**
+   * Extract match settings from a create/join response
+   * @param {Object} response - Server response
+   * @returns {Object} Match settings {gameMode, arena, killLimit, captureLimit, timeLimit, botCount, botDifficulty, maxPlayers, teamScores, crystals, waves, match}
+   * @private
+   */
+  _getMatchSettings(response) {
+    return {
+      gameMode: response.gameMode || 'shooting',
+      arena: response.arena || null,
+      killLimit: response.killLimit || null,
+      captureLimit: response.captureLimit || null,
+      timeLimit: response.timeLimit || null,
+      botCount: response.botCount || 0,
+      botDifficulty: response.botDifficulty || null,
+      maxPlayers: response.maxPlayers || null,
+      teamScores: response.teamScores || {},
+      crystals: response.crystals || null,
+      waves: response.waves || null,
+      match: this._toLocalMatch(response.match)
+    };
+  }
+
+  /**
+   * Convert a server match state to local time
+   * The server sends seconds remaining; this stores when the phase ends on the local clock.
+   * Result standings get display names while everyone is still in the room.
+   * @param {Object|null} match - Server match state
+   * @returns {Object|null} Match state with phaseEndsAt (local timestamp or null)
+   * @private
+   */
+  _toLocalMatch(match) {
+    if (!match) {
+      return null;
+    }
+    const results = match.results ? {
+      ...match.results,
+      players: match.results.players.map(entry => ({ ...entry, name: this.getDisplayName(entry.playerId) }))
+    } : null;
+    return {
+      ...match,
+      results,
+      phaseEndsAt: match.secondsRemaining !== null ? Date.now() + match.secondsRemaining * 1000 : null
+    };
+  }
+
+  /**
+   * Notify listeners that team membership or scores changed
+   * @param {Object} event - Event data {type, ...}
+   * @private
+   */
+  _notifyTeamsUpdated(event) {
+    if (this.onTeamsUpdated) {
+      this.onTeamsUpdated(event);
+    }
+  }
+
+  /**
+   * Set callback for team membership and score changes
+   * @param {Function} callback - Callback function(event) where event.type is 'team-changed', 'teams-reassigned', 'team-score', 'team-match-won' or 'room-left'
+   */
+  setTeamsUpdatedCallback(callback) {
+    this.onTeamsUpdated = callback;
+  }
+
+  /**
+   * Get a player's team
+   * @param {string} playerId - Player ID ('local' for the local player)
+   * @returns {string|null} Team ID or null if not in a team mode
+   */
+  getPlayerTeam(playerId) {
+    const id = playerId === 'local' ? this.localPlayerId : playerId;
+    return this.connectedPlayers.get(id)?.team || null;
+  }
+
+  /**
+   * Get the local player's team
+   * @returns {string|null} Team ID or null if not in a team mode
+   */
+  getLocalTeam() {
+    return this.getPlayerTeam(this.localPlayerId);
+  }
+
+  /**
+   * Check if a player is on the local player's team
+   * @param {string} playerId - Player ID
+   * @returns {boolean} True if both players are on the same team
+   */
+  isTeammate(playerId) {
+    const localTeam = this.getLocalTeam();
+    return !!localTeam && localTeam === this.getPlayerTeam(playerId);
+  }
+
+  /**
+   * Get current team scores
+   * @returns {Object} Team scores {teamId: points}
+   */
+  getTeamScores() {
+    return this.roomProperties?.teamScores || {};
+  }
+
+  /**
+   * Get the team score needed to win a round in the current room
+   * @returns {number|null} Capture limit for crystal rooms, kill limit otherwise
+   */
+  getScoreLimit() {
+    const roomProperties = this.getRoomProperties();
+    return roomProperties.crystals ? roomProperties.captureLimit : roomProperties.killLimit;
+  }
+
+  /**
+   * Get crystal states (capture-the-crystal mode)
+   * @returns {Object|null} Crystal states {teamId: {state, carrierId, x, z}} or null
+   */
+  getCrystalStates() {
+    return this.roomProperties?.crystals || null;
+  }
+
+  /**
+   * Set callback for crystal state changes
+   * @param {Function} callback - Callback function(crystals, event)
+   */
+  setCrystalStateCallback(callback) {
+    this.onCrystalStateUpdated = callback;
+  }
+
+  /**
+   * Ask the server to pick up, return or capture a crystal
+   * The server validates the request and broadcasts the new crystal state.
+   * @param {string} action - 'pickup', 'return' or 'capture'
+   * @param {string|null} team - Crystal team (not needed for 'capture')
+   */
+  sendCrystalAction(action, team = null) {
+    if (this.roomCode && this.socket) {
+      this.socket.emit('crystal-action', { action, team }, (response) => {
+        if (response && !response.success) {
+          dbg(`crystal-action ${action} rejected: ${response.error}`);
+        }
+      });
+    }
+  }
+
+  /**
+   * Get wave state (wave co-op survival)
+   * @returns {Object|null} Wave state {wave, livesRemaining, intermissionRemaining} or null
+   */
+  getWaveState() {
+    return this.roomProperties?.waves || null;
+  }
+
+  /**
+   * Set callback for wave state changes
+   * @param {Function} callback - Callback function(waves, event)
+   */
+  setWaveStateCallback(callback) {
+    this.onWaveStateUpdated = callback;
+  }
+
+  /**
+   * Tell the server the local player has cleared a wave
+   * The next wave starts once everyone in the room has cleared it.
+   * @param {number} wave - Wave number
+   */
+  sendWaveCleared(wave) {
+    if (this.roomCode && this.socket) {
+      this.socket.emit('wave-cleared', { wave }, (response) => {
+        if (response && !response.success) {
+          dbg(`wave-cleared ${wave} rejected: ${response.error}`);
+        }
+      });
+    }
+  }
+
+  /**
+   * Get match lifecycle state
+   * @returns {Object|null} Match state {phase, phaseEndsAt, readyIds, playerCount, results} or null outside a room
+   */
+  getMatchState() {
+    return this.roomProperties?.match || null;
+  }
+
+  /**
+   * Set callback for match lifecycle changes
+   * Also called after joining a room ({type: 'room-joined'}) and with a null match after leaving it ({type: 'room-left'}).
+   * @param {Function} callback - Callback function(match, event)
+   */
+  setMatchStateCallback(callback) {
+    this.onMatchStateUpdated = callback;
+  }
+
+  /**
+   * Notify listeners that the match state changed
+   * @param {Object|null} event - Event data {type, ...}
+   * @private
+   */
+  _notifyMatchUpdated(event) {
+    if (this.onMatchStateUpdated) {
+      this.onMatchStateUpdated(this.getMatchState(), event);
+    }
+  }
+
+  /**
+   * Check if the local player is ready for the next match
+   * @returns {boolean} True if ready
+   */
+  isLocalReady() {
+    const match = this.getMatchState();
+    return !!match && match.readyIds.includes(this.localPlayerId);
+  }
+
+  /**
+   * Ask the server to start a match (host only)
+   * Starts a ready check; the countdown begins once everyone is ready.
+   */
+  sendMatchStart() {
+    if (this.roomCode && this.socket) {
+      this.socket.emit('match-start', (response) => {
+        if (response && !response.success) {
+          dbg(`match-start rejected: ${response.error}`);
+        }
+      });
+    }
+  }
+
+  /**
+   * Tell the server whether the local player is ready for the next match
+   * @param {boolean} ready - Ready state
+   */
+  sendMatchReady(ready) {
+    if (this.roomCode && this.socket) {
+      this.socket.emit('match-ready', { ready }, (response) => {
+        if (response && !response.success) {
+          dbg(`match-ready rejected: ${response.error}`);
+        }
+      });
+    }
+  }
+
+  /**
+   * Switch the local player to another team
+   * @param {string} team - Team ID
+   * @returns {Promise<string>} Promise resolving to the new team
+   */
+  switchTeam(team) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket || !this.socket.connected || !this.roomCode) {
+        reject(new Error('Not in a room'));
+        return;
+      }
+      this.socket.emit('switch-team', team, (response) => {
+        if (response && response.success) {
+          resolve(response.team);
+        } else {
+          reject(new Error(response?.error || 'Failed to switch team'));
+        }
+      });
+    });
+  }
+
+  /**
+   * Set callback for room chat messages
+   * @param {Function} callback - Callback function(message {playerId, name, text, quickChatId, team, isLocal})
+   */
+  setChatMessageCallback(callback) {
+    this.onChatMessage = callback;
+  }
+
+  /**
+   * Send a chat message to the room
+   * @param {string} text - Message text
+   * @returns {Promise<void>} Resolves once the server accepted the message
+   */
+  sendChatMessage(text) {
+    return this._emitChat({ text });
+  }
+
+  /**
+   * Send a quick-chat preset to the room
+   * @param {string} quickChatId - Preset ID from ChatConfig
+   * @returns {Promise<void>} Resolves once the server accepted the message
+   */
+  sendQuickChat(quickChatId) {
+    return this._emitChat({ quickChatId });
+  }
+
+  /**
+   * Emit a chat-message event
+   * @param {Object} data - Message {text} or {quickChatId}
+   * @returns {Promise<void>} Rejects with the server's reason (muted, rate limited, ...)
+   * @private
+   */
+  _emitChat(data) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket || !this.socket.connected || !this.roomCode) {
+        reject(new Error('Not in a room'));
+        return;
+      }
+      this.socket.emit('chat-message', data, (response) => {
+        if (response && response.success) {
+          resolve();
+        } else {
+          reject(new Error(response?.error || 'Failed to send message'));
+        }
+      });
+    });
+  }
+
+  /**
+   * Set callback for kill feed entries
+   * @param {Function} callback - Callback function(kill {killerId, killerName, victimId, victimName, abilityType})
+   */
+  setPlayerKilledCallback(callback) {
+    this.onPlayerKilled = callback;
+  }
+
+  /**
+   * Report a kill simulated on this client (a bot kill or an arena fall)
+   * @param {Object} kill - Kill {killerId, victimId, abilityType} ('local' means this player)
+   */
+  sendPlayerKilled(kill) {
+    if (this.roomCode && this.socket) {
+      const toPlayerId = (id) => (id === 'local' ? this.localPlayerId : id);
+      this.socket.emit('player-killed', {
+        killerId: toPlayerId(kill.killerId),
+        victimId: toPlayerId(kill.victimId),
+        abilityType: kill.abilityType
+      });
+    }
+  }
+
+  /**
+   * Get how many kills a player has in the kill feed since the match started
+   * @param {string} playerId - Player ID
+   * @returns {number} Kill count
+   */
+  getKillCount(playerId) {
+    return this.killCounts.get(playerId) || 0;
+  }
+
+  /**
+   * Set callback for the host removing the local player from the room
+   * @param {Function} callback - Callback function({roomCode, reason}) - reason is 'kicked' or 'banned'
+   */
+  setRemovedFromRoomCallback(callback) {
+    this.onRemovedFromRoom = callback;
+  }
+
+  /**
+   * Kick a player or spectator from the room (host only, they may rejoin)
+   * @param {string} playerId - Player ID
+   * @returns {Promise<void>} Resolves once the server removed them
+   */
+  kickPlayer(playerId) {
+    return this._emitModeration('kick-player', { playerId });
+  }
+
+  /**
+   * Ban a player or spectator from the room for as long as it exists (host only)
+   * @param {string} playerId - Player ID
+   * @returns {Promise<void>} Resolves once the server removed them
+   */
+  banPlayer(playerId) {
+    return this._emitModeration('ban-player', { playerId });
+  }
+
+  /**
+   * Mute or unmute a player or spectator in room chat (host only)
+   * @param {string} playerId - Player ID
+   * @param {boolean} muted - True to mute, false to unmute
+   * @returns {Promise<void>} Resolves once the server applied it
+   */
+  mutePlayer(playerId, muted) {
+    return this._emitModeration('mute-player', { playerId, muted });
+  }
+
+  /**
+   * Emit a host moderation event
+   * @param {string} event - 'kick-player', 'ban-player' or 'mute-player'
+   * @param {Object} data - Event data {playerId, ...}
+   * @returns {Promise<void>} Rejects with the server's reason
+   * @private
+   */
+  _emitModeration(event, data) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket || !this.socket.connected || !this.roomCode) {
+        reject(new Error('Not in a room'));
+        return;
+      }
+      if (!this.isHost) {
+        reject(new Error('Only the host can moderate players'));
+        return;
+      }
+      this.socket.emit(event, data, (response) => {
+        if (response && response.success) {
+          resolve();
+        } else {
+          reject(new Error(response?.error || 'Moderation failed'));
+        }
+      });
+    });
+  }
+
   /**
    * Fetch list of available rooms
    * @returns {Promise<Array>} Promise resolving to array of available rooms
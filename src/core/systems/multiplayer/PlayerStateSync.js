@@ -0,0 +1,96 @@
+/**
+ * PlayerStateSync.js
+ *
+ * Client side of the binary player-state protocol (see PlayerStateConfig).
+ * Keeps the states we uploaded until the server acknowledges one (our delta baseline),
+ * and the batches we decoded so the server can send deltas against the last tick we
+ * acknowledged.
+ */
+
+import {
+  getPlayerStateStats,
+  quantizePlayerState,
+  encodeStateUpload,
+  decodeStateBatch
+} from '../../../config/global/PlayerStateConfig.js';
+
+export class PlayerStateSync {
+  /**
+   * Create a new PlayerStateSync
+   */
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Start over (new room, or the server forgot us after a reconnect)
+   */
+  reset() {
+    this.seq = 0; // Last upload sequence number
+    this.ackedSeq = 0; // Last upload the server acknowledged
+    this.sentStates = new Map(); // seq -> quantised state, kept until acknowledged
+    this.lastTick = 0; // Last batch tick decoded (acknowledged in every upload)
+    this.snapshots = new Map(); // tick -> Map netId -> quantised state
+  }
+
+  /**
+   * Encode the local player's state as a delta against the last acknowledged upload
+   * @param {Object} state - Player state {x, y, z, rotation, currentAnimKey, lastFacing, isGrounded, isRunning, isRolling}
+   * @returns {ArrayBuffer} Upload packet
+   */
+  encodeUpload(state) {
+    const quantized = quantizePlayerState(state);
+    this.seq += 1;
+    const packet = encodeStateUpload({
+      seq: this.seq,
+      baseSeq: this.ackedSeq,
+      ackTick: this.lastTick,
+      state: quantized,
+      base: this.sentStates.get(this.ackedSeq) || null
+    });
+
+    this.sentStates.set(this.seq, quantized);
+    // Without acks the baseline falls out of the history and we send full states
+    this.sentStates.delete(this.seq - getPlayerStateStats().historySize);
+    return packet;
+  }
+
+  /**
+   * Encode an ack-only packet (spectators upload no state but still acknowledge ticks)
+   * @returns {ArrayBuffer} Upload packet
+   */
+  encodeAck() {
+    return encodeStateUpload({ seq: 0, baseSeq: 0, ackTick: this.lastTick, state: null, base: null });
+  }
+
+  /**
+   * Decode a batch of other players' states
+   * @param {ArrayBuffer} data - Batch packet
+   * @returns {Object|null} {tick, serverTime, states: Map netId -> quantised state}, or null for
+   *   stale, malformed or undecodable packets
+   */
+  decodeBatch(data) {
+    const batch = decodeStateBatch(data, (baseTick) => this.snapshots.get(baseTick) || null);
+    if (!batch || batch.tick <= this.lastTick) {
+      return null;
+    }
+
+    this.lastTick = batch.tick;
+    this.snapshots.set(batch.tick, batch.states);
+    for (const tick of this.snapshots.keys()) {
+      if (tick <= batch.tick - getPlayerStateStats().historySize) {
+        this.snapshots.delete(tick);
+      }
+    }
+
+    if (batch.ackSeq > this.ackedSeq && this.sentStates.has(batch.ackSeq)) {
+      this.ackedSeq = batch.ackSeq;
+      for (const seq of this.sentStates.keys()) {
+        if (seq < this.ackedSeq) {
+          this.sentStates.delete(seq);
+        }
+      }
+    }
+    return batch;
+  }
+}
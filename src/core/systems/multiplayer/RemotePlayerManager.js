@@ -9,9 +9,10 @@ import * as THREE from 'https://unpkg.com/three@0.160.1/build/three.module.js';
 import { loadCharacterAnimations, setCharacterAnimation, updateCharacterAnimation } from '../character/CharacterAnimation.js';
 import { getCharacterMovementStats } from '../../../config/character/CharacterStats.js';
 import { getRunningSmokeConfig } from '../../../config/abilities/base/SmokeParticleConfig.js';
-import { createSpriteAtPosition } from '../../../utils/SpriteUtils.js';
+import { createSpriteAtPosition, applyCharacterTint } from '../../../utils/SpriteUtils.js';
 import { HERALD_BLAST_ATTACK_CONFIG } from '../../../config/abilities/characters/herald/blast/AttackConfig.js';
 import { waitForAllAnimationsLoaded } from '../../../utils/TextureLoader.js';
+import { GAME_CONSTANTS } from '../../../config/global/GameConstants.js';
 
 export class RemotePlayerManager {
   /**
@@ -25,12 +26,34 @@ export class RemotePlayerManager {
     this.remotePlayers = new Map(); // Map<playerId, remotePlayerData>
     this.spawningPlayers = new Set(); // Set<playerId> - Track players currently being spawned to prevent duplicates
     this.movementStats = getCharacterMovementStats();
+    
+    // Snapshot interpolation
+    this.renderDelayMs = GAME_CONSTANTS.INTERPOLATION_RENDER_DELAY;
+    this.serverClockOffset = null; // Estimated serverTime - Date.now() (includes one-way latency)
+  }
+
+  /**
+   * Set how far in the past remote players are rendered
+   * Higher values absorb more jitter at the cost of added visual latency.
+   * @param {number} delayMs - Render delay in milliseconds
+   */
+  setRenderDelay(delayMs) {
+    this.renderDelayMs = Math.max(0, delayMs);
+  }
+
+  /**
+   * Get the current time on the server clock
+   * Falls back to the local clock until a snapshot has been received.
+   * @returns {number} Estimated server timestamp in milliseconds
+   */
+  getServerTime() {
+    return Date.now() + (this.serverClockOffset || 0);
   }
 
   /**
    * Spawn a remote player
    * @param {string} playerId - Remote player ID
-   * @param {string} characterName - Character name ('lucy' or 'herald')
+   * @param {string} characterName - Character name
    * @param {Object} initialPosition - Initial position {x, y, z}
    */
   async spawnRemotePlayer(playerId, characterName = 'lucy', initialPosition = { x: 0, y: 0, z: 0 }) {
@@ -90,6 +113,7 @@ export class RemotePlayerManager {
       playerId: playerId,
       characterName: characterName
     };
+    applyCharacterTint(playerMesh, characterName);
 
     // Load character animations
     const animations = await loadCharacterAnimations(characterName);
@@ -178,20 +202,15 @@ export class RemotePlayerManager {
         z: initialZ
       },
       // Interpolation state
-      targetPosition: {
-        x: initialX,
-        y: initialY,
-        z: initialZ
-      },
-      previousPosition: {
+      targetPosition: { // Newest received position
         x: initialX,
         y: initialY,
         z: initialZ
       },
-      interpolationTime: 0,
-      interpolationDuration: 0.2, // 200ms - 3x sync interval (66ms * 3) for ultra-smooth interpolation
-      smoothedVelocityX: 0,
-      smoothedVelocityZ: 0,
+      snapshots: [], // Jitter buffer of {time, x, y, z} sorted by server time
+      lastSeq: null,
+      snapshotVelocityX: 0, // Velocity between the two newest snapshots (for extrapolation)
+      snapshotVelocityZ: 0,
       rotation: 0,
       networkRotation: 0, // Store network rotation for reference
       targetRotation: 0, // For smooth rotation interpolation
@@ -302,7 +321,8 @@ export class RemotePlayerManager {
       this.particleManager.spawnCharacterSwapSmoke(mesh.position);
     }
     
-    // NOW set new texture and play spawn animation (seamless swap)
+    // NOW set new texture and tint and play spawn animation (seamless swap)
+    applyCharacterTint(mesh, characterName);
     // Play spawn animation first (like local player does)
     const spawnAnimKey = lastFacing === 'back' ? 'spawn_back' : 'spawn_front';
     const idleAnimKey = lastFacing === 'back' ? 'idle_back' : 'idle_front';
@@ -373,52 +393,17 @@ export class RemotePlayerManager {
     const mesh = remotePlayer.mesh;
     const now = Date.now();
     
-    // Store current position as previous position for interpolation
-    remotePlayer.previousPosition.x = remotePlayer.position.x;
-    remotePlayer.previousPosition.y = remotePlayer.position.y;
-    remotePlayer.previousPosition.z = remotePlayer.position.z;
-    
-    // Calculate velocity before updating target position
-    const timeSinceLastUpdate = (now - remotePlayer.lastUpdateTime) / 1000; // Convert to seconds
-    if (timeSinceLastUpdate > 0 && timeSinceLastUpdate < 1) {
-      // Calculate velocity from current position to new target position
-      const oldTargetX = remotePlayer.targetPosition.x;
-      const oldTargetZ = remotePlayer.targetPosition.z;
-      
-      // Update target position (where we want to interpolate to)
-      if (state.x !== undefined) remotePlayer.targetPosition.x = state.x;
-      if (state.y !== undefined) remotePlayer.targetPosition.y = state.y;
-      if (state.z !== undefined) remotePlayer.targetPosition.z = state.z;
-      
-      // Calculate velocity based on movement from old target to new target
-      const dx = remotePlayer.targetPosition.x - oldTargetX;
-      const dz = remotePlayer.targetPosition.z - oldTargetZ;
-      const newVelocityX = dx / timeSinceLastUpdate;
-      const newVelocityZ = dz / timeSinceLastUpdate;
-      
-      // Smooth velocity changes using exponential smoothing (0.7 = 70% old, 30% new for ultra-smooth movement)
-      remotePlayer.velocityX = newVelocityX;
-      remotePlayer.velocityZ = newVelocityZ;
-      remotePlayer.smoothedVelocityX = remotePlayer.smoothedVelocityX * 0.7 + newVelocityX * 0.3;
-      remotePlayer.smoothedVelocityZ = remotePlayer.smoothedVelocityZ * 0.7 + newVelocityZ * 0.3;
-    } else {
-      // Update target position
-      if (state.x !== undefined) remotePlayer.targetPosition.x = state.x;
-      if (state.y !== undefined) remotePlayer.targetPosition.y = state.y;
-      if (state.z !== undefined) remotePlayer.targetPosition.z = state.z;
+    // Drop duplicate and out-of-order packets (a large backwards jump means the sender restarted)
+    if (state.seq !== undefined && remotePlayer.lastSeq !== null &&
+        state.seq <= remotePlayer.lastSeq && remotePlayer.lastSeq - state.seq < 1000) {
+      return;
+    }
+    if (state.seq !== undefined) {
+      remotePlayer.lastSeq = state.seq;
     }
     
-    // Reset interpolation timer - start interpolating from current position to target
-    // Don't reset if we're very close to target (smooth transition)
-    const distanceToTarget = Math.sqrt(
-      Math.pow(remotePlayer.position.x - remotePlayer.targetPosition.x, 2) +
-      Math.pow(remotePlayer.position.z - remotePlayer.targetPosition.z, 2)
-    );
-
-    // If we're far from target, reset interpolation for more responsive movement
-    // Higher threshold (0.1) to reduce resets and maintain smoothness
-    if (distanceToTarget > 0.1) {
-      remotePlayer.interpolationTime = 0;
+    if (state.x !== undefined && state.z !== undefined) {
+      this._pushSnapshot(remotePlayer, state, now);
     }
 
     // Update rotation (billboard to camera while respecting network rotation)
@@ -455,6 +440,124 @@ export class RemotePlayerManager {
     remotePlayer.lastUpdateTime = now;
   }
 
+  /**
+   * Add a position snapshot to a remote player's jitter buffer
+   * @param {Object} remotePlayer - Remote player data
+   * @param {Object} state - Player state {x, y, z, serverTime}
+   * @param {number} now - Local receive time (Date.now())
+   * @private
+   */
+  _pushSnapshot(remotePlayer, state, now) {
+    let time;
+    if (Number.isFinite(state.serverTime)) {
+      this._updateClockOffset(state.serverTime, now);
+      time = state.serverTime;
+    } else {
+      // Server without timestamps: fall back to local receive time
+      time = now + (this.serverClockOffset || 0);
+    }
+    
+    const snapshot = {
+      time,
+      x: state.x,
+      y: state.y !== undefined ? state.y : remotePlayer.targetPosition.y,
+      z: state.z
+    };
+    
+    // Insert in time order (packets can arrive out of order without a sequence number)
+    const snapshots = remotePlayer.snapshots;
+    let index = snapshots.length;
+    while (index > 0 && snapshots[index - 1].time > time) {
+      index--;
+    }
+    snapshots.splice(index, 0, snapshot);
+    
+    if (snapshots.length > GAME_CONSTANTS.INTERPOLATION_BUFFER_SIZE) {
+      snapshots.shift();
+    }
+    
+    // Track newest position and velocity for extrapolation
+    const newest = snapshots[snapshots.length - 1];
+    const previous = snapshots[snapshots.length - 2];
+    if (previous && newest.time > previous.time) {
+      const seconds = (newest.time - previous.time) / 1000;
+      remotePlayer.snapshotVelocityX = (newest.x - previous.x) / seconds;
+      remotePlayer.snapshotVelocityZ = (newest.z - previous.z) / seconds;
+    }
+    remotePlayer.targetPosition.x = newest.x;
+    remotePlayer.targetPosition.y = newest.y;
+    remotePlayer.targetPosition.z = newest.z;
+  }
+
+  /**
+   * Update the estimated offset between the server clock and the local clock
+   * Shared by all remote players since every snapshot is stamped by the same server.
+   * @param {number} serverTime - Server timestamp of a snapshot
+   * @param {number} now - Local receive time
+   * @private
+   */
+  _updateClockOffset(serverTime, now) {
+    const sample = serverTime - now;
+    if (this.serverClockOffset === null || Math.abs(sample - this.serverClockOffset) > 1000) {
+      // First sample or clock jump - snap
+      this.serverClockOffset = sample;
+    } else {
+      // Low-pass filter so individual late packets don't shift the timeline
+      this.serverClockOffset += (sample - this.serverClockOffset) * 0.05;
+    }
+  }
+
+  /**
+   * Sample a remote player's position at a point in server time
+   * Interpolates between the two snapshots bracketing renderTime, or extrapolates
+   * (capped) from the newest snapshot when the buffer runs dry.
+   * @param {Object} remotePlayer - Remote player data
+   * @param {number} renderTime - Server time to sample at
+   * @returns {Object|null} Position {x, y, z} or null if no snapshots
+   * @private
+   */
+  _sampleSnapshots(remotePlayer, renderTime) {
+    const snapshots = remotePlayer.snapshots;
+    if (snapshots.length === 0) {
+      return null;
+    }
+    
+    // Discard snapshots that are fully behind render time (keep one before it)
+    while (snapshots.length >= 2 && snapshots[1].time <= renderTime) {
+      snapshots.shift();
+    }
+    
+    const from = snapshots[0];
+    if (renderTime <= from.time) {
+      // Render time hasn't reached the oldest snapshot yet - hold it
+      return { x: from.x, y: from.y, z: from.z };
+    }
+    
+    const to = snapshots[1];
+    if (to) {
+      const distance = Math.sqrt(Math.pow(to.x - from.x, 2) + Math.pow(to.z - from.z, 2));
+      if (distance > GAME_CONSTANTS.INTERPOLATION_TELEPORT_DISTANCE) {
+        // Teleport (respawn) - don't slide across the arena
+        return { x: from.x, y: from.y, z: from.z };
+      }
+      const t = (renderTime - from.time) / (to.time - from.time);
+      return {
+        x: from.x + (to.x - from.x) * t,
+        y: from.y + (to.y - from.y) * t,
+        z: from.z + (to.z - from.z) * t
+      };
+    }
+    
+    // Packets dropped - extrapolate horizontally from the newest snapshot, capped
+    const extrapolationMs = Math.min(renderTime - from.time, GAME_CONSTANTS.INTERPOLATION_MAX_EXTRAPOLATION);
+    const seconds = extrapolationMs / 1000;
+    return {
+      x: from.x + remotePlayer.snapshotVelocityX * seconds,
+      y: from.y, // Don't extrapolate Y
+      z: from.z + remotePlayer.snapshotVelocityZ * seconds
+    };
+  }
+
   /**
    * Remove a remote player
    * @param {string} playerId - Remote player ID
@@ -480,10 +583,11 @@ export class RemotePlayerManager {
    * @param {THREE.Camera} camera - Camera for billboarding (optional)
    */
   updateAnimations(dt, camera = null) {
+    // All remote players are rendered at the same point in (estimated) server time
+    const renderTime = Date.now() + (this.serverClockOffset || 0) - this.renderDelayMs;
+    
     for (const [playerId, remotePlayer] of this.remotePlayers) {
       const mesh = remotePlayer.mesh;
-      const now = Date.now();
-      const timeSinceUpdate = (now - remotePlayer.lastUpdateTime) / 1000; // Convert to seconds
       
       // Apply horizontal velocity from blast (if set)
       if (remotePlayer.velocityX !== undefined && remotePlayer.velocityZ !== undefined) {
@@ -559,68 +663,22 @@ export class RemotePlayerManager {
         }
       }
       
-      // Calculate distance to target
-      const dx = remotePlayer.targetPosition.x - remotePlayer.position.x;
-      const dy = remotePlayer.targetPosition.y - remotePlayer.position.y;
-      const dz = remotePlayer.targetPosition.z - remotePlayer.position.z;
-      const distanceToTarget = Math.sqrt(dx * dx + dz * dz);
-      
-      // Snap threshold - if very close, snap directly to avoid jitter
-      const snapThreshold = 0.005; // Tighter threshold for cleaner snapping
-
-      if (distanceToTarget < snapThreshold && Math.abs(dy) < snapThreshold) {
-        // Very close to target - snap directly
-        mesh.position.set(
-          remotePlayer.targetPosition.x,
-          remotePlayer.targetPosition.y,
-          remotePlayer.targetPosition.z
-        );
-        remotePlayer.position.x = remotePlayer.targetPosition.x;
-        remotePlayer.position.y = remotePlayer.targetPosition.y;
-        remotePlayer.position.z = remotePlayer.targetPosition.z;
-      } else if (timeSinceUpdate < 0.3) { // Increased window before extrapolation
-        // Use frame-based lerp for ultra-smooth movement
-        // Lerp factor adapts based on distance - closer targets move faster
-        const maxDistance = 5.0; // Maximum expected distance
-        const normalizedDistance = Math.min(distanceToTarget / maxDistance, 1.0);
-
-        // Smoother lerp factor: 0.15 to 0.25 based on distance for butter-smooth movement
-        // Much gentler than before, prevents jerky motion
-        const baseLerpFactor = 0.15;
-        const adaptiveLerpFactor = baseLerpFactor + (normalizedDistance * 0.1);
-
-        // Apply lerp directly - this gives smooth, frame-by-frame movement
-        const currentX = remotePlayer.position.x +
-          (remotePlayer.targetPosition.x - remotePlayer.position.x) * adaptiveLerpFactor;
-        const currentY = remotePlayer.position.y +
-          (remotePlayer.targetPosition.y - remotePlayer.position.y) * adaptiveLerpFactor;
-        const currentZ = remotePlayer.position.z +
-          (remotePlayer.targetPosition.z - remotePlayer.position.z) * adaptiveLerpFactor;
-
-        mesh.position.set(currentX, currentY, currentZ);
-        remotePlayer.position.x = currentX;
-        remotePlayer.position.y = currentY;
-        remotePlayer.position.z = currentZ;
-
-        // Update interpolation time for tracking
-        remotePlayer.interpolationTime += dt;
-      } else {
-        // Extrapolation: predict position based on smoothed velocity when updates are delayed
-        // Only extrapolate horizontal movement (X and Z), keep Y as-is
-        // Higher threshold (0.3s) to avoid premature extrapolation that causes overshoots
-        const extrapolationTime = Math.min(timeSinceUpdate - 0.15, 0.15); // Cap extrapolation at 150ms
-        
-        // Use smoothed velocity for more stable extrapolation
-        const extrapolatedX = remotePlayer.targetPosition.x + remotePlayer.smoothedVelocityX * extrapolationTime;
-        const extrapolatedZ = remotePlayer.targetPosition.z + remotePlayer.smoothedVelocityZ * extrapolationTime;
-        
-        mesh.position.set(
-          extrapolatedX,
-          remotePlayer.targetPosition.y, // Don't extrapolate Y
-          extrapolatedZ
-        );
-        remotePlayer.position.x = extrapolatedX;
-        remotePlayer.position.z = extrapolatedZ;
+      // Buffered snapshot interpolation
+      const sampled = this._sampleSnapshots(remotePlayer, renderTime);
+      if (sampled) {
+        const isKnockedBack = mesh.userData?.characterData?.isKnockedBack || false;
+        if (isKnockedBack) {
+          // Let local knockback physics lead, easing toward the network position
+          const knockbackLerpFactor = 0.15;
+          remotePlayer.position.x += (sampled.x - remotePlayer.position.x) * knockbackLerpFactor;
+          remotePlayer.position.y += (sampled.y - remotePlayer.position.y) * knockbackLerpFactor;
+          remotePlayer.position.z += (sampled.z - remotePlayer.position.z) * knockbackLerpFactor;
+        } else {
+          remotePlayer.position.x = sampled.x;
+          remotePlayer.position.y = sampled.y;
+          remotePlayer.position.z = sampled.z;
+        }
+        mesh.position.set(remotePlayer.position.x, remotePlayer.position.y, remotePlayer.position.z);
       }
       
       // Billboard remote players to camera (like local players) with smooth rotation
@@ -0,0 +1,254 @@
+/**
+ * SpectatorManager.js
+ *
+ * Spectator camera for the local player while they have no character to follow.
+ * Either follows a remote player (cycled with previous/next) or free-flies a focus
+ * point over the arena. Used by room spectators waiting for a player slot and by
+ * players waiting out the respawn timer after falling out of the arena.
+ */
+
+import * as THREE from 'https://unpkg.com/three@0.160.1/build/three.module.js';
+import { getSpectatorStats } from '../../../config/global/SpectatorConfig.js';
+
+export class SpectatorManager {
+  /**
+   * Create a new SpectatorManager
+   * @param {Object} sceneManager - Scene manager instance (owns the camera)
+   * @param {Object} inputManager - Input manager instance
+   * @param {Object} remotePlayerManager - Remote player manager instance (players to watch)
+   * @param {Object} multiplayerManager - Multiplayer manager instance (names and kills)
+   */
+  constructor(sceneManager, inputManager, remotePlayerManager, multiplayerManager) {
+    this.sceneManager = sceneManager;
+    this.inputManager = inputManager;
+    this.remotePlayerManager = remotePlayerManager;
+    this.multiplayerManager = multiplayerManager;
+
+    this.active = false;
+    this.reason = null; // 'spectator' (no player slot) or 'respawn' (waiting to respawn)
+    this.mode = 'follow'; // 'follow' or 'free-fly'
+    this.targetId = null;
+    this.freeFlyPosition = new THREE.Vector3();
+    this._lastFocus = new THREE.Vector3();
+  }
+
+  /**
+   * Start spectating
+   * Follows the preferred player if they can be watched, otherwise the first one,
+   * and free-flies if there is nobody to watch.
+   * @param {string} reason - 'spectator' or 'respawn'
+   * @param {string|null} preferredTargetId - Player to follow first (e.g. whoever knocked us out)
+   */
+  start(reason, preferredTargetId = null) {
+    if (this.active) {
+      this.reason = reason;
+      return;
+    }
+
+    this.active = true;
+    this.reason = reason;
+    this._lastFocus.copy(this._getCameraGroundPoint());
+    this.freeFlyPosition.set(this._lastFocus.x, getSpectatorStats().freeFly.height, this._lastFocus.z);
+
+    if (preferredTargetId && this._getTargetMesh(preferredTargetId)) {
+      this.mode = 'follow';
+      this.targetId = preferredTargetId;
+    } else {
+      this.targetId = null;
+      this.cycleTarget(1);
+    }
+  }
+
+  /**
+   * Stop spectating (the local character takes the camera back)
+   */
+  stop() {
+    this.active = false;
+    this.reason = null;
+    this.targetId = null;
+  }
+
+  /**
+   * Check if the spectator camera is active
+   * @returns {boolean} True while spectating
+   */
+  isActive() {
+    return this.active;
+  }
+
+  /**
+   * Get why the local player is spectating
+   * @returns {string|null} 'spectator', 'respawn', or null when not spectating
+   */
+  getReason() {
+    return this.reason;
+  }
+
+  /**
+   * Get the camera mode
+   * @returns {string} 'follow' or 'free-fly'
+   */
+  getMode() {
+    return this.mode;
+  }
+
+  /**
+   * Check if there is anyone to watch
+   * @returns {boolean} True if at least one remote player is in the arena
+   */
+  hasTargets() {
+    return this._getTargetIds().length > 0;
+  }
+
+  /**
+   * Follow the next or previous player (wraps around)
+   * Switches to free-fly if there is nobody to watch.
+   * @param {number} step - 1 for the next player, -1 for the previous one
+   */
+  cycleTarget(step) {
+    const targetIds = this._getTargetIds();
+    if (targetIds.length === 0) {
+      this.targetId = null;
+      this.mode = 'free-fly';
+      return;
+    }
+
+    const index = targetIds.indexOf(this.targetId);
+    if (index === -1) {
+      this.targetId = step > 0 ? targetIds[0] : targetIds[targetIds.length - 1];
+    } else {
+      this.targetId = targetIds[(index + step + targetIds.length) % targetIds.length];
+    }
+    this.mode = 'follow';
+  }
+
+  /**
+   * Switch between following a player and free-flying from the current view
+   */
+  toggleFreeFly() {
+    if (this.mode === 'free-fly') {
+      this.cycleTarget(1);
+      return;
+    }
+    this.mode = 'free-fly';
+    this.freeFlyPosition.set(this._lastFocus.x, getSpectatorStats().freeFly.height, this._lastFocus.z);
+  }
+
+  /**
+   * Get the followed player for the HUD
+   * @returns {Object|null} Target {id, name, health, maxHealth, kills}, or null when free-flying
+   */
+  getTarget() {
+    const mesh = this.mode === 'follow' ? this._getTargetMesh(this.targetId) : null;
+    if (!mesh) {
+      return null;
+    }
+    return {
+      id: this.targetId,
+      name: this.multiplayerManager ? this.multiplayerManager.getDisplayName(this.targetId) : this.targetId,
+      health: mesh.userData.health !== undefined ? mesh.userData.health : null,
+      maxHealth: mesh.userData.maxHealth || null,
+      kills: this.multiplayerManager ? this.multiplayerManager.getKillCount(this.targetId) : 0
+    };
+  }
+
+  /**
+   * Per-frame update: reads the spectator controls and moves the camera
+   * Controls pressed while not spectating are dropped so they don't fire later.
+   * @param {number} dt - Delta time in seconds
+   * @returns {boolean} True if the spectator camera moved the camera this frame
+   */
+  update(dt) {
+    const action = this.inputManager.consumeSpectatorAction();
+    if (!this.active) {
+      return false;
+    }
+
+    if (action === 'prev') {
+      this.cycleTarget(-1);
+    } else if (action === 'next') {
+      this.cycleTarget(1);
+    } else if (action === 'free-fly') {
+      this.toggleFreeFly();
+    }
+
+    // The followed player left or despawned
+    if (this.mode === 'follow' && !this._getTargetMesh(this.targetId)) {
+      this.cycleTarget(1);
+    }
+
+    const focus = this.mode === 'follow'
+      ? this._getTargetMesh(this.targetId).position
+      : this._updateFreeFly(dt);
+    this._lastFocus.copy(focus);
+    this.sceneManager.updateCamera(focus, false);
+    return true;
+  }
+
+  /**
+   * Move the free-fly focus point with the movement input, kept near the arena
+   * @param {number} dt - Delta time in seconds
+   * @returns {THREE.Vector3} Focus point
+   * @private
+   */
+  _updateFreeFly(dt) {
+    const freeFly = getSpectatorStats().freeFly;
+    const input = this.inputManager.getInputVector();
+    const speed = freeFly.speed * (this.inputManager.isRunning() ? freeFly.sprintMultiplier : 1);
+    const limit = this.sceneManager.getArenaSize() / 2 + freeFly.arenaMargin;
+
+    this.freeFlyPosition.x = THREE.MathUtils.clamp(this.freeFlyPosition.x + input.x * speed * dt, -limit, limit);
+    this.freeFlyPosition.z = THREE.MathUtils.clamp(this.freeFlyPosition.z - input.y * speed * dt, -limit, limit);
+    this.freeFlyPosition.y = freeFly.height;
+    return this.freeFlyPosition;
+  }
+
+  /**
+   * Get the IDs of remote players that can be watched
+   * @returns {Array<string>} Remote player IDs
+   * @private
+   */
+  _getTargetIds() {
+    if (!this.remotePlayerManager) {
+      return [];
+    }
+    const targetIds = [];
+    for (const [playerId, remotePlayer] of this.remotePlayerManager.getRemotePlayers()) {
+      if (remotePlayer && remotePlayer.mesh) {
+        targetIds.push(playerId);
+      }
+    }
+    return targetIds;
+  }
+
+  /**
+   * Get a remote player's mesh
+   * @param {string|null} playerId - Remote player ID
+   * @returns {THREE.Object3D|null} Mesh, or null if the player is not in the arena
+   * @private
+   */
+  _getTargetMesh(playerId) {
+    if (!playerId || !this.remotePlayerManager) {
+      return null;
+    }
+    const remotePlayer = this.remotePlayerManager.getRemotePlayer(playerId);
+    return remotePlayer && remotePlayer.mesh ? remotePlayer.mesh : null;
+  }
+
+  /**
+   * Get the point on the ground the camera is currently looking at
+   * Used to start free-fly from the current view.
+   * @returns {THREE.Vector3} Ground point
+   * @private
+   */
+  _getCameraGroundPoint() {
+    const camera = this.sceneManager.getCamera();
+    const direction = new THREE.Vector3();
+    camera.getWorldDirection(direction);
+    if (direction.y >= -0.01) {
+      return new THREE.Vector3(camera.position.x, 0, camera.position.z);
+    }
+    const distance = -camera.position.y / direction.y;
+    return camera.position.clone().addScaledVector(direction, distance);
+  }
+}
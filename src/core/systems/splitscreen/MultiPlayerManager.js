@@ -20,7 +20,7 @@ export class MultiPlayerManager {
 
   /**
    * Add a new player
-   * @param {string} characterName - Character name ('lucy' or 'herald')
+   * @param {string} characterName - Character name
    * @param {Object} collisionManager - Collision manager instance
    * @param {Object} particleManager - Particle manager instance
    * @param {string} footstepSoundPath - Optional custom footstep sound path
@@ -0,0 +1,245 @@
+/**
+ * StatusEffectManager.js
+ *
+ * Status effects on the local player, bots and remote players.
+ * Keeps each entity's running effects (rules in StatusEffects.js), mirrors their
+ * movement multiplier and stun onto the entity's userData (read by bots and the
+ * game loop), spawns overlay particles and shows icons above health bars.
+ * Damage ticks are returned to the caller, which decides who deals them.
+ */
+
+import {
+  applyStatusEffect,
+  updateStatusEffects,
+  absorbDamage,
+  getMovementMultiplier,
+  isStunned,
+  deserializeStatusEffects
+} from './StatusEffects.js';
+import { getStatusEffectConfig } from '../../../config/abilities/StatusEffectConfig.js';
+
+export class StatusEffectManager {
+  /**
+   * Create a new StatusEffectManager
+   * @param {Object} healthBarManager - Health bar manager for effect icons (optional)
+   */
+  constructor(healthBarManager = null) {
+    this.healthBarManager = healthBarManager;
+    this.entities = new Map(); // Entity mesh -> {effects: Map<type, effect>, particleTimers: Map<type, number>}
+  }
+
+  /**
+   * Get an entity's running effects
+   * @param {THREE.Object3D} entity - Entity mesh
+   * @returns {Map} Effects (type -> effect); empty if none
+   */
+  getEffects(entity) {
+    return this.entities.get(entity)?.effects || new Map();
+  }
+
+  /**
+   * Apply an effect to an entity
+   * @param {THREE.Object3D} entity - Entity mesh
+   * @param {string} type - Effect type
+   * @param {Object} options - Effect options {sourceId, duration, tickDamage, ...}
+   * @returns {boolean} True if the entity's effects changed
+   */
+  apply(entity, type, options = {}) {
+    if (!entity) {
+      return false;
+    }
+    const entry = this._getEntry(entity);
+    const changed = applyStatusEffect(entry.effects, type, options);
+    if (changed) {
+      this._refresh(entity, entry);
+    }
+    return changed;
+  }
+
+  /**
+   * Replace an entity's effects (from the server)
+   * @param {THREE.Object3D} entity - Entity mesh
+   * @param {Array<Object>} list - Effects in network form
+   */
+  setEffects(entity, list) {
+    if (!entity) {
+      return;
+    }
+    const entry = this._getEntry(entity);
+    entry.effects = deserializeStatusEffects(list);
+    this._refresh(entity, entry);
+  }
+
+  /**
+   * Let an entity's shields absorb damage
+   * @param {THREE.Object3D} entity - Entity mesh
+   * @param {number} damage - Incoming damage
+   * @returns {number} Damage left after shields
+   */
+  absorbDamage(entity, damage) {
+    const entry = this.entities.get(entity);
+    if (!entry) {
+      return damage;
+    }
+    const remaining = absorbDamage(entry.effects, damage);
+    if (remaining !== damage) {
+      this._refresh(entity, entry);
+    }
+    return remaining;
+  }
+
+  /**
+   * Get an entity's movement speed multiplier
+   * @param {THREE.Object3D} entity - Entity mesh
+   * @returns {number} Multiplier (1 = normal speed)
+   */
+  getMovementMultiplier(entity) {
+    const entry = this.entities.get(entity);
+    return entry ? getMovementMultiplier(entry.effects) : 1;
+  }
+
+  /**
+   * Check whether an entity is stunned (can't use abilities)
+   * @param {THREE.Object3D} entity - Entity mesh
+   * @returns {boolean} True if stunned
+   */
+  isStunned(entity) {
+    const entry = this.entities.get(entity);
+    return !!entry && isStunned(entry.effects);
+  }
+
+  /**
+   * Advance every entity's effects
+   * Dead or removed entities lose their effects.
+   * @param {number} dt - Delta time in seconds
+   * @param {Object} particleManager - Particle manager for overlays (optional)
+   * @returns {Array<Object>} Damage ticks [{entity, type, damage, sourceId}]
+   */
+  update(dt, particleManager = null) {
+    const ticks = [];
+
+    for (const [entity, entry] of this.entities) {
+      const userData = entity.userData;
+      if (!entity.parent || !userData || userData.isDying || userData.health <= 0) {
+        this.clear(entity);
+        continue;
+      }
+
+      const result = updateStatusEffects(entry.effects, dt);
+      result.ticks.forEach(tick => ticks.push({ entity, ...tick }));
+
+      if (result.expired.length > 0) {
+        result.expired.forEach(type => entry.particleTimers.delete(type));
+        this._refresh(entity, entry);
+      } else {
+        // Health bars may be created after the effect started
+        this._updateIcons(entity, entry);
+      }
+
+      if (particleManager) {
+        this._spawnParticles(dt, entity, entry, particleManager);
+      }
+
+      if (entry.effects.size === 0) {
+        this.clear(entity);
+      }
+    }
+
+    return ticks;
+  }
+
+  /**
+   * Remove an entity's effects
+   * @param {THREE.Object3D} entity - Entity mesh
+   */
+  clear(entity) {
+    if (!this.entities.has(entity)) {
+      return;
+    }
+    this.entities.delete(entity);
+    if (entity.userData) {
+      entity.userData.statusSpeedMultiplier = undefined;
+      entity.userData.isStunned = false;
+    }
+    if (this.healthBarManager) {
+      this.healthBarManager.setHealthBarStatusIcons(entity, []);
+    }
+  }
+
+  /**
+   * Remove every entity's effects
+   */
+  clearAll() {
+    for (const entity of [...this.entities.keys()]) {
+      this.clear(entity);
+    }
+  }
+
+  /**
+   * Get or create an entity's entry
+   * @param {THREE.Object3D} entity - Entity mesh
+   * @returns {Object} Entry {effects, particleTimers}
+   * @private
+   */
+  _getEntry(entity) {
+    let entry = this.entities.get(entity);
+    if (!entry) {
+      entry = { effects: new Map(), particleTimers: new Map() };
+      this.entities.set(entity, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Mirror an entity's effects onto its userData and health bar
+   * @param {THREE.Object3D} entity - Entity mesh
+   * @param {Object} entry - Entity entry
+   * @private
+   */
+  _refresh(entity, entry) {
+    if (entity.userData) {
+      entity.userData.statusSpeedMultiplier = getMovementMultiplier(entry.effects);
+      entity.userData.isStunned = isStunned(entry.effects);
+    }
+    this._updateIcons(entity, entry);
+  }
+
+  /**
+   * Show an entity's effects as icons above its health bar
+   * @param {THREE.Object3D} entity - Entity mesh
+   * @param {Object} entry - Entity entry
+   * @private
+   */
+  _updateIcons(entity, entry) {
+    if (!this.healthBarManager) {
+      return;
+    }
+    const icons = [];
+    entry.effects.forEach(effect => {
+      const config = getStatusEffectConfig(effect.type);
+      icons.push({ icon: config.icon, color: config.color });
+    });
+    this.healthBarManager.setHealthBarStatusIcons(entity, icons);
+  }
+
+  /**
+   * Spawn overlay particles for each running effect
+   * @param {number} dt - Delta time in seconds
+   * @param {THREE.Object3D} entity - Entity mesh
+   * @param {Object} entry - Entity entry
+   * @param {Object} particleManager - Particle manager
+   * @private
+   */
+  _spawnParticles(dt, entity, entry, particleManager) {
+    entry.effects.forEach(effect => {
+      const config = getStatusEffectConfig(effect.type);
+      const timer = (entry.particleTimers.get(effect.type) || 0) + dt;
+      if (timer < config.particleInterval) {
+        entry.particleTimers.set(effect.type, timer);
+        return;
+      }
+      entry.particleTimers.set(effect.type, 0);
+      particleManager.spawnStatusEffectParticle(entity.position, config.color, config.particle);
+    });
+  }
+}
@@ -0,0 +1,200 @@
+/**
+ * StatusEffects.js
+ *
+ * Status effect rules shared by the client and the server (no three.js).
+ * An entity's effects are a Map of effect type -> running effect
+ * {type, sourceId, timeLeft, tickInterval, tickTimer, tickDamage, speedMultiplier, absorb};
+ * these functions apply, advance and read them so every side simulates the same thing.
+ */
+
+import { getStatusEffectConfig } from '../../../config/abilities/StatusEffectConfig.js';
+import { getMeleeStats } from '../abilities/functions/CharacterAbilityStats.js';
+
+/**
+ * Get the options an effect is applied with when a character inflicts it
+ * Poison uses the character's melee poison stats; other effects use their config.
+ * @param {string} type - Effect type
+ * @param {string|null} characterName - Inflicting character (null for config values)
+ * @returns {Object} Options {duration, tickInterval, tickDamage, speedMultiplier}
+ */
+export function getStatusEffectOptions(type, characterName) {
+  if (type !== 'poison' || !characterName) {
+    return {};
+  }
+  const meleeStats = getMeleeStats(characterName);
+  return {
+    duration: meleeStats.poisonDuration,
+    tickInterval: meleeStats.poisonTickInterval,
+    tickDamage: meleeStats.poisonDamage,
+    speedMultiplier: meleeStats.slowSpeedMultiplier
+  };
+}
+
+/**
+ * Apply an effect following its stacking rule
+ * @param {Map} effects - Entity effects (type -> effect)
+ * @param {string} type - Effect type
+ * @param {Object} options - {sourceId, duration, tickInterval, tickDamage, speedMultiplier, absorb}; unset values come from the config
+ * @returns {boolean} True if the entity's effects changed
+ */
+export function applyStatusEffect(effects, type, options = {}) {
+  const config = getStatusEffectConfig(type);
+  if (!config) {
+    return false;
+  }
+
+  const incoming = createEffect(type, config, options);
+  if (!(incoming.timeLeft > 0)) {
+    return false;
+  }
+  const running = effects.get(type);
+  if (!running) {
+    effects.set(type, incoming);
+    return true;
+  }
+
+  switch (config.stacking) {
+    case 'refresh':
+      effects.set(type, incoming);
+      return true;
+    case 'extend':
+      running.timeLeft = Math.min(running.timeLeft + incoming.timeLeft, config.maxDuration ?? Infinity);
+      running.sourceId = incoming.sourceId;
+      return true;
+    default:
+      // 'ignore': the running effect is kept
+      return false;
+  }
+}
+
+/**
+ * Advance effects, collecting damage ticks and removing expired effects
+ * @param {Map} effects - Entity effects (type -> effect)
+ * @param {number} dt - Delta time in seconds
+ * @returns {Object} {ticks: [{type, damage, sourceId}], expired: [type]}
+ */
+export function updateStatusEffects(effects, dt) {
+  const ticks = [];
+  const expired = [];
+
+  for (const [type, effect] of effects) {
+    effect.timeLeft -= dt;
+
+    if (effect.tickInterval > 0 && effect.tickDamage > 0) {
+      effect.tickTimer += dt;
+      if (effect.tickTimer >= effect.tickInterval) {
+        effect.tickTimer = 0;
+        ticks.push({ type, damage: effect.tickDamage, sourceId: effect.sourceId });
+      }
+    }
+
+    if (effect.timeLeft <= 0) {
+      effects.delete(type);
+      expired.push(type);
+    }
+  }
+
+  return { ticks, expired };
+}
+
+/**
+ * Let shields absorb damage (a shield breaks when its absorb runs out)
+ * @param {Map} effects - Entity effects (type -> effect)
+ * @param {number} damage - Incoming damage
+ * @returns {number} Damage left after shields
+ */
+export function absorbDamage(effects, damage) {
+  let remaining = damage;
+  for (const [type, effect] of effects) {
+    if (remaining <= 0) break;
+    if (!(effect.absorb > 0)) continue;
+    const absorbed = Math.min(effect.absorb, remaining);
+    effect.absorb -= absorbed;
+    remaining -= absorbed;
+    if (effect.absorb <= 0) {
+      effects.delete(type);
+    }
+  }
+  return remaining;
+}
+
+/**
+ * Get the movement speed multiplier of all running effects
+ * @param {Map} effects - Entity effects (type -> effect)
+ * @returns {number} Multiplier (1 = normal speed, 0 = can't move)
+ */
+export function getMovementMultiplier(effects) {
+  let multiplier = 1;
+  effects.forEach(effect => {
+    multiplier *= effect.speedMultiplier;
+  });
+  return Math.max(0, multiplier);
+}
+
+/**
+ * Check whether any running effect blocks abilities (stun)
+ * @param {Map} effects - Entity effects (type -> effect)
+ * @returns {boolean} True if stunned
+ */
+export function isStunned(effects) {
+  for (const type of effects.keys()) {
+    if (getStatusEffectConfig(type)?.blocksAbilities) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Build the network form of an entity's effects
+ * @param {Map} effects - Entity effects (type -> effect)
+ * @returns {Array<Object>} Effects as plain objects
+ */
+export function serializeStatusEffects(effects) {
+  return [...effects.values()].map(effect => ({ ...effect }));
+}
+
+/**
+ * Read effects from their network form, dropping unknown or malformed entries
+ * @param {Array<Object>} list - Effects from serializeStatusEffects
+ * @returns {Map} Entity effects (type -> effect)
+ */
+export function deserializeStatusEffects(list) {
+  const effects = new Map();
+  if (!Array.isArray(list)) {
+    return effects;
+  }
+  list.forEach(data => {
+    const config = data && getStatusEffectConfig(data.type);
+    if (!config || !(data.timeLeft > 0)) {
+      return;
+    }
+    const effect = createEffect(data.type, config, data);
+    effect.tickTimer = Number.isFinite(data.tickTimer) ? data.tickTimer : 0;
+    effects.set(data.type, effect);
+  });
+  return effects;
+}
+
+/**
+ * Create a running effect
+ * @param {string} type - Effect type
+ * @param {Object} config - Effect configuration
+ * @param {Object} options - Values overriding the config
+ * @returns {Object} Effect
+ * @private
+ */
+function createEffect(type, config, options) {
+  const pick = (key, fallback) => (Number.isFinite(options[key]) ? options[key] : (config[key] ?? fallback));
+  const duration = pick('duration', 0);
+  return {
+    type,
+    sourceId: typeof options.sourceId === 'string' ? options.sourceId : null,
+    timeLeft: Number.isFinite(options.timeLeft) ? options.timeLeft : Math.min(duration, config.maxDuration ?? Infinity),
+    tickInterval: pick('tickInterval', 0),
+    tickTimer: 0,
+    tickDamage: pick('tickDamage', 0),
+    speedMultiplier: pick('speedMultiplier', 1),
+    absorb: pick('absorb', 0)
+  };
+}
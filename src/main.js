@@ -80,7 +80,7 @@ const getCurrentGameState = () => {
 
 // Handle auto-join room from URL
 if (config.roomCode) {
-  handleAutoJoinRoom(managers.multiplayerManager, uiComponents.roomManager, config.roomCode, getCurrentGameState);
+  handleAutoJoinRoom(managers.multiplayerManager, uiComponents.roomManager, config.roomCode, getCurrentGameState, uiComponents.applyRoomSettings);
 }
 
 // Start the game
@@ -0,0 +1,79 @@
+/**
+ * abilityHandler.js
+ *
+ * Relays ability activations (sword swings, blasts, projectile rings, barriers, traps,
+ * ultimates) so other clients run the same ability for the caster's avatar.
+ */
+
+import { rateLimiter } from './playerHandler.js';
+import { DAMAGE_VALIDATION, getAbilityRateLimit, getKnownPosition } from '../utils/damageValidation.js';
+import { addRoomBarrier, addRoomTrap } from '../utils/roomDeployables.js';
+import { getAbilitySlot } from '../../config/character/CharacterRegistry.js';
+
+/**
+ * Handle ability activation
+ * Rejects abilities the caster's character doesn't have, activations faster than
+ * the ability's cooldown allows and activations away from the caster (or from an
+ * unknown or stale caster position). Barriers and
+ * traps are also kept by the server (see roomDeployables); the last ultimate is kept
+ * on the player, since ground slam hits and bolt storm bolts are checked against it.
+ * The ultimate meter itself is client-side, so its cooldown is all the server bounds.
+ * @param {Object} socket - Socket instance
+ * @param {Map} rooms - Rooms map
+ * @param {Map} players - Players map
+ * @param {Object} data - Activation data {ability, x, y, z, directionX?, directionZ?}
+ */
+export function handleAbilityActivate(socket, rooms, players, data) {
+  const player = players.get(socket.id);
+  if (!player || !player.roomCode || !data || typeof data.ability !== 'string') return;
+  if (!rooms.has(player.roomCode)) return;
+
+  const now = Date.now();
+  const characterName = player.gameState?.characterName || 'lucy';
+  const rateLimit = getAbilityRateLimit(data.ability, characterName);
+  if (!rateLimit) return;
+
+  // Reject impossible activation rate
+  if (!rateLimiter.consume(socket.id, `ability:${data.ability}`, rateLimit)) {
+    return;
+  }
+
+  if (!Number.isFinite(data.x) || !Number.isFinite(data.y) || !Number.isFinite(data.z)) {
+    return;
+  }
+
+  // Reject activations away from the caster, or while the server doesn't know where they are
+  const casterPos = getKnownPosition(player, now);
+  if (!casterPos) {
+    return;
+  }
+  const dx = data.x - casterPos.x;
+  const dz = data.z - casterPos.z;
+  if (Math.sqrt(dx * dx + dz * dz) > DAMAGE_VALIDATION.positionTolerance * 2) {
+    return;
+  }
+
+  const activation = {
+    playerId: socket.id,
+    ability: data.ability,
+    x: data.x,
+    y: data.y,
+    z: data.z
+  };
+  if (Number.isFinite(data.directionX) && Number.isFinite(data.directionZ)) {
+    activation.directionX = data.directionX;
+    activation.directionZ = data.directionZ;
+  }
+
+  const room = rooms.get(player.roomCode);
+  if (data.ability === 'barrier') {
+    addRoomBarrier(room, socket.id, characterName, activation, now);
+  } else if (data.ability === 'trap') {
+    addRoomTrap(room, socket.id, characterName, activation, now);
+  }
+  if (getAbilitySlot(characterName, 'ultimate') === data.ability) {
+    player.lastUltimate = { ability: data.ability, x: data.x, z: data.z, at: now, hitIds: new Set() };
+  }
+
+  socket.to(player.roomCode).emit('ability-activate', activation);
+}
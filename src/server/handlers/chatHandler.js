@@ -0,0 +1,90 @@
+/**
+ * chatHandler.js
+ *
+ * Handles room chat.
+ * Messages are typed text or quick-chat presets (sent by ID so every client shows the
+ * same text). The server enforces the length limit and a per-socket rate limit, and
+ * drops messages from muted players. Kicked players are no longer in the room, so
+ * they cannot chat at all.
+ */
+
+import { getChatStats, getQuickChat, normalizeChatMessage } from '../../config/global/ChatConfig.js';
+import { rateLimiter } from './playerHandler.js';
+
+/**
+ * Check whether a player may chat in a room
+ * Mutes are stored by client ID so they survive a reload and rejoin.
+ * @param {Object} room - Room object
+ * @param {Object} player - Player record
+ * @returns {string|null} Error message, or null if the player may chat
+ */
+export function getChatBlockReason(room, player) {
+  if (player.clientId && room.mutedClientIds.has(player.clientId)) {
+    return 'You are muted in this room';
+  }
+  return null;
+}
+
+/**
+ * Handle a chat message or quick-chat preset
+ * @param {Object} socket - Socket instance
+ * @param {Map} rooms - Rooms map
+ * @param {Map} players - Players map
+ * @param {Object} data - Message {text} or {quickChatId}
+ * @param {Function} callback - Callback function
+ */
+export function handleChatMessage(socket, rooms, players, data, callback) {
+  const respond = (response) => {
+    if (typeof callback === 'function') {
+      callback(response);
+    }
+  };
+
+  // Spectators may chat too
+  const player = players.get(socket.id);
+  const roomCode = player ? player.roomCode || player.spectating : null;
+  const room = roomCode ? rooms.get(roomCode) : null;
+  if (!player || !room) {
+    respond({ success: false, error: 'Not in a room' });
+    return;
+  }
+
+  const blockReason = getChatBlockReason(room, player);
+  if (blockReason) {
+    respond({ success: false, error: blockReason });
+    return;
+  }
+
+  let text;
+  let quickChatId = null;
+  if (data?.quickChatId !== undefined) {
+    const preset = getQuickChat(data.quickChatId);
+    if (!preset) {
+      respond({ success: false, error: 'Unknown quick chat' });
+      return;
+    }
+    text = preset.text;
+    quickChatId = preset.id;
+  } else {
+    text = normalizeChatMessage(data?.text);
+    if (!text) {
+      respond({ success: false, error: 'Message is empty' });
+      return;
+    }
+  }
+
+  if (!rateLimiter.consume(socket.id, 'chat', getChatStats().rateLimit)) {
+    respond({ success: false, error: 'You are sending messages too quickly' });
+    return;
+  }
+
+  // Sender gets it too, so everyone sees messages in the server's order
+  socket.nsp.to(roomCode).emit('chat-message', {
+    playerId: socket.id,
+    name: player.name,
+    text,
+    quickChatId,
+    team: player.team || null
+  });
+  respond({ success: true });
+}
@@ -0,0 +1,277 @@
+/**
+ * crystalHandler.js
+ *
+ * Handles capture-the-crystal requests.
+ * The server owns crystal state: clients ask to pick up, return or capture a crystal
+ * when they touch it, and the server checks the request against the player's team,
+ * the crystal's state and the player's last-known position before broadcasting.
+ */
+
+import { getTeamScoring } from '../../config/gamemode/GameModeConfig.js';
+import { getArenaConfig } from '../../config/arena/ArenaConfig.js';
+import { getCrystalStats, getBasePosition, createCrystalStates } from '../../config/gamemode/CrystalConfig.js';
+import { DAMAGE_VALIDATION, getKnownPosition } from '../utils/damageValidation.js';
+import { isMatchLive } from '../utils/roomUtils.js';
+import { endMatch } from './matchHandler.js';
+
+const returnTimers = new Map(); // `${roomCode}:${teamId}` -> auto-return timeout
+
+/**
+ * Broadcast crystal state to everyone in the room
+ * @param {Object} nsp - Socket.io namespace
+ * @param {string} roomCode - Room code
+ * @param {Object} room - Room object
+ * @param {Object} event - What changed {type, team, playerId}
+ */
+function broadcastCrystals(nsp, roomCode, room, event) {
+  nsp.to(roomCode).emit('crystal-state', {
+    crystals: room.crystals,
+    event
+  });
+}
+
+/**
+ * Cancel a dropped crystal's auto-return
+ * @param {string} roomCode - Room code
+ * @param {string} teamId - Crystal team
+ */
+function clearReturnTimer(roomCode, teamId) {
+  const key = `${roomCode}:${teamId}`;
+  if (returnTimers.has(key)) {
+    clearTimeout(returnTimers.get(key));
+    returnTimers.delete(key);
+  }
+}
+
+/**
+ * Send a crystal back to its base
+ * @param {string} roomCode - Room code
+ * @param {Object} room - Room object
+ * @param {string} teamId - Crystal team
+ */
+function sendCrystalHome(roomCode, room, teamId) {
+  clearReturnTimer(roomCode, teamId);
+  room.crystals[teamId] = createCrystalStates()[teamId];
+}
+
+/**
+ * Get a player's distance to a crystal or base
+ * @param {Object} player - Player entry
+ * @param {Object} target - Position {x, z}
+ * @param {number} now - Current timestamp
+ * @returns {number} Distance, or Infinity if the player's position is unknown
+ */
+function distanceTo(player, target, now) {
+  const position = getKnownPosition(player, now);
+  if (!position || !target) {
+    return Infinity;
+  }
+  const dx = position.x - target.x;
+  const dz = position.z - target.z;
+  return Math.sqrt(dx * dx + dz * dz);
+}
+
+/**
+ * Get where a crystal currently rests
+ * @param {Object} room - Room object (its arena sets the base positions)
+ * @param {string} teamId - Crystal team
+ * @param {Object} crystal - Crystal state
+ * @returns {Object|null} Position {x, z}
+ */
+function getCrystalPosition(room, teamId, crystal) {
+  if (crystal.state === 'dropped') {
+    return { x: crystal.x, z: crystal.z };
+  }
+  const arenaSize = getArenaConfig(room.arena)?.size || 20;
+  return getBasePosition(teamId, arenaSize);
+}
+
+/**
+ * Handle a crystal request from a client
+ * Actions:
+ * - pickup: take the enemy crystal from its base or where it was dropped
+ * - return: send your own dropped crystal back to your base
+ * - capture: bring the enemy crystal to your base while your crystal is home
+ * @param {Object} socket - Socket instance
+ * @param {Map} rooms - Rooms map
+ * @param {Map} players - Players map
+ * @param {Object} data - Request {action, team}
+ * @param {Function} callback - Callback function
+ */
+export function handleCrystalAction(socket, rooms, players, data, callback) {
+  const respond = (response) => {
+    if (typeof callback === 'function') {
+      callback(response);
+    }
+  };
+
+  const player = players.get(socket.id);
+  const room = player ? rooms.get(player.roomCode) : null;
+  if (!player || !room) {
+    respond({ success: false, error: 'Not in a room' });
+    return;
+  }
+  if (!room.crystals || !player.team) {
+    respond({ success: false, error: 'Room has no crystals' });
+    return;
+  }
+  if (!isMatchLive(room)) {
+    respond({ success: false, error: 'Match not in progress' });
+    return;
+  }
+
+  const healthEntry = room.health.get(socket.id);
+  if (healthEntry && healthEntry.health <= 0) {
+    respond({ success: false, error: 'Dead players cannot touch crystals' });
+    return;
+  }
+
+  const now = Date.now();
+  const reach = getCrystalStats().touchRadius + DAMAGE_VALIDATION.positionTolerance;
+  const action = data?.action;
+  const teamId = data?.team;
+  const crystal = room.crystals[teamId];
+  const roomCode = player.roomCode;
+
+  switch (action) {
+    case 'pickup': {
+      if (!crystal || teamId === player.team || crystal.state === 'carried') {
+        respond({ success: false, error: 'Crystal cannot be picked up' });
+        return;
+      }
+      if (distanceTo(player, getCrystalPosition(room, teamId, crystal), now) > reach) {
+        respond({ success: false, error: 'Too far from crystal' });
+        return;
+      }
+      clearReturnTimer(roomCode, teamId);
+      room.crystals[teamId] = { state: 'carried', carrierId: socket.id, x: null, z: null, droppedAt: null };
+      broadcastCrystals(socket.nsp, roomCode, room, { type: 'pickup', team: teamId, playerId: socket.id });
+      respond({ success: true });
+      return;
+    }
+    case 'return': {
+      if (!crystal || teamId !== player.team || crystal.state !== 'dropped') {
+        respond({ success: false, error: 'Crystal cannot be returned' });
+        return;
+      }
+      if (distanceTo(player, getCrystalPosition(room, teamId, crystal), now) > reach) {
+        respond({ success: false, error: 'Too far from crystal' });
+        return;
+      }
+      sendCrystalHome(roomCode, room, teamId);
+      broadcastCrystals(socket.nsp, roomCode, room, { type: 'return', team: teamId, playerId: socket.id });
+      respond({ success: true });
+      return;
+    }
+    case 'capture': {
+      const carriedTeam = Object.keys(room.crystals).find(id => room.crystals[id].carrierId === socket.id);
+      if (!carriedTeam) {
+        respond({ success: false, error: 'Not carrying a crystal' });
+        return;
+      }
+      if (room.crystals[player.team]?.state !== 'home') {
+        respond({ success: false, error: 'Your crystal must be home to capture' });
+        return;
+      }
+      if (distanceTo(player, getCrystalPosition(room, player.team, room.crystals[player.team]), now) > reach) {
+        respond({ success: false, error: 'Too far from base' });
+        return;
+      }
+      sendCrystalHome(roomCode, room, carriedTeam);
+      recordCapture(socket, room, roomCode, player.team, carriedTeam);
+      broadcastCrystals(socket.nsp, roomCode, room, { type: 'capture', team: carriedTeam, playerId: socket.id });
+      respond({ success: true });
+      return;
+    }
+    default:
+      respond({ success: false, error: 'Unknown crystal action' });
+  }
+}
+
+/**
+ * Score a capture and end the round at the capture limit
+ * @param {Object} socket - Socket instance
+ * @param {Object} room - Room object
+ * @param {string} roomCode - Room code
+ * @param {string} scoringTeam - Team that captured
+ * @param {string} capturedTeam - Team whose crystal was captured
+ */
+function recordCapture(socket, room, roomCode, scoringTeam, capturedTeam) {
+  room.teamScores[scoringTeam]++;
+  socket.nsp.to(roomCode).emit('team-score', {
+    teamScores: room.teamScores,
+    scoringTeam,
+    carrierId: socket.id,
+    capturedTeam
+  });
+
+  if (room.teamScores[scoringTeam] >= room.captureLimit) {
+    console.log(`Room ${roomCode}: team ${scoringTeam} reached the capture limit (${room.captureLimit})`);
+    socket.nsp.to(roomCode).emit('team-match-won', {
+      winningTeam: scoringTeam,
+      teamScores: { ...room.teamScores },
+      captureLimit: room.captureLimit
+    });
+    endMatch(socket.nsp, room, roomCode, { reason: 'score-limit', winningTeam: scoringTeam });
+    Object.keys(room.teamScores).forEach(teamId => {
+      room.teamScores[teamId] = 0;
+      sendCrystalHome(roomCode, room, teamId);
+    });
+  }
+}
+
+/**
+ * Drop whatever crystal a player carries (on death, leaving or switching team)
+ * Dropped crystals return home automatically after a while.
+ * @param {Object} nsp - Socket.io namespace
+ * @param {Object} room - Room object
+ * @param {string} roomCode - Room code
+ * @param {string} socketId - Player socket ID
+ * @param {Object|null} position - Where the crystal falls {x, z} (home if unknown)
+ */
+export function dropCarriedCrystal(nsp, room, roomCode, socketId, position) {
+  if (!room || !room.crystals || getTeamScoring(room.gameMode) !== 'captures') {
+    return;
+  }
+
+  const teamId = Object.keys(room.crystals).find(id => room.crystals[id].carrierId === socketId);
+  if (!teamId) {
+    return;
+  }
+
+  if (!position || !Number.isFinite(position.x) || !Number.isFinite(position.z)) {
+    sendCrystalHome(roomCode, room, teamId);
+    broadcastCrystals(nsp, roomCode, room, { type: 'return', team: teamId, playerId: socketId });
+    return;
+  }
+
+  room.crystals[teamId] = {
+    state: 'dropped',
+    carrierId: null,
+    x: position.x,
+    z: position.z,
+    droppedAt: Date.now()
+  };
+  broadcastCrystals(nsp, roomCode, room, { type: 'drop', team: teamId, playerId: socketId });
+
+  clearReturnTimer(roomCode, teamId);
+  returnTimers.set(`${roomCode}:${teamId}`, setTimeout(() => {
+    returnTimers.delete(`${roomCode}:${teamId}`);
+    if (room.crystals[teamId]?.state === 'dropped') {
+      sendCrystalHome(roomCode, room, teamId);
+      broadcastCrystals(nsp, roomCode, room, { type: 'return', team: teamId, playerId: null });
+    }
+  }, getCrystalStats().autoReturnSeconds * 1000));
+}
+
+/**
+ * Cancel all auto-return timers for a room (when the room closes)
+ * @param {string} roomCode - Room code
+ * @param {Object} room - Room object
+ */
+export function clearCrystalTimers(roomCode, room) {
+  if (!room || !room.crystals) {
+    return;
+  }
+  Object.keys(room.crystals).forEach(teamId => clearReturnTimer(roomCode, teamId));
+}
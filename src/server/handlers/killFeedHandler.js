@@ -0,0 +1,104 @@
+/**
+ * killFeedHandler.js
+ *
+ * Handles the room-wide kill feed.
+ * Player deaths confirmed by the damage ledger are announced by the server itself.
+ * Kills the server cannot see - bots (simulated by each client) and players falling
+ * out of the arena - are reported by the client that made or suffered them and
+ * relayed to the room. Names always come from the server (player records, or the shared bot naming),
+ * never from the report.
+ */
+
+import { getKillFeedStats, getKillAbility, isBotId, getBotDisplayName } from '../../config/global/KillFeedConfig.js';
+import { rateLimiter } from './playerHandler.js';
+
+/**
+ * Get the feed name for a player or bot
+ * @param {Map} players - Players map
+ * @param {string|null} entityId - Player socket ID or bot ID
+ * @returns {string|null} Display name, or null if there is no entity
+ */
+function getFeedName(players, entityId) {
+  if (!entityId) {
+    return null;
+  }
+  if (isBotId(entityId)) {
+    return getBotDisplayName(entityId);
+  }
+  return players.get(entityId)?.name || null;
+}
+
+/**
+ * Announce a kill to everyone in the room
+ * @param {Object} nsp - Socket.io namespace
+ * @param {string} roomCode - Room code
+ * @param {Map} players - Players map
+ * @param {Object} kill - Kill {killerId, victimId, abilityType}
+ */
+export function emitPlayerKilled(nsp, roomCode, players, kill) {
+  const killerId = kill.killerId || null;
+  nsp.to(roomCode).emit('player-killed', {
+    killerId,
+    killerName: getFeedName(players, killerId),
+    victimId: kill.victimId,
+    victimName: getFeedName(players, kill.victimId),
+    abilityType: getKillAbility(kill.abilityType)
+  });
+}
+
+/**
+ * Handle a client reporting a kill the server did not simulate
+ * The reporter must be the killer or the victim, so nobody can credit kills to
+ * someone else: either the reporter killed a bot, or the reporter fell out of the
+ * arena (killed by a bot, another player in the room or nobody).
+ * @param {Object} socket - Socket instance
+ * @param {Map} rooms - Rooms map
+ * @param {Map} players - Players map
+ * @param {Object} data - Report {killerId, victimId, abilityType}
+ * @param {Function} callback - Callback function
+ */
+export function handlePlayerKilled(socket, rooms, players, data, callback) {
+  const respond = (response) => {
+    if (typeof callback === 'function') {
+      callback(response);
+    }
+  };
+
+  const player = players.get(socket.id);
+  const room = player ? rooms.get(player.roomCode) : null;
+  if (!player || !room) {
+    respond({ success: false, error: 'Not in a room' });
+    return;
+  }
+
+  const victimId = data?.victimId;
+  const abilityType = getKillAbility(data?.abilityType);
+  const isOwnFall = victimId === socket.id && abilityType === 'fallout';
+  if (!isBotId(victimId) && !isOwnFall) {
+    respond({ success: false, error: 'Victim must be a bot or yourself' });
+    return;
+  }
+  if (!abilityType) {
+    respond({ success: false, error: 'Unknown ability' });
+    return;
+  }
+
+  const killerId = data?.killerId || null;
+  if (!isOwnFall && killerId !== socket.id) {
+    respond({ success: false, error: 'Only your own kills and deaths can be reported' });
+    return;
+  }
+  const killerInRoom = killerId && players.get(killerId)?.roomCode === player.roomCode;
+  if (killerId && !isBotId(killerId) && !killerInRoom) {
+    respond({ success: false, error: 'Killer not in room' });
+    return;
+  }
+
+  if (!rateLimiter.consume(socket.id, 'kill-report', getKillFeedStats().rateLimit)) {
+    respond({ success: false, error: 'Too many kill reports' });
+    return;
+  }
+
+  emitPlayerKilled(socket.nsp, player.roomCode, players, { killerId, victimId, abilityType });
+  respond({ success: true });
+}
@@ -0,0 +1,320 @@
+/**
+ * matchHandler.js
+ *
+ * Handles the match lifecycle of a room.
+ * The server owns the match phase (lobby → ready-check → countdown → playing → results → lobby):
+ * the host starts a match, players ready up, and timed phases advance on their own.
+ * Every change is broadcast as 'match-state' so clients start and stop their modes in step.
+ */
+
+import { MATCH_PHASES, getMatchStats, getMatchSeconds } from '../../config/gamemode/MatchConfig.js';
+import { createTeamScores } from '../../config/gamemode/TeamConfig.js';
+import { createCrystalStates } from '../../config/gamemode/CrystalConfig.js';
+import { createRoomWaves, getWaveSnapshot, isMatchLive } from '../utils/roomUtils.js';
+
+const phaseTimers = new Map(); // roomCode -> timeout that ends the current phase
+
+/**
+ * Get the match state sent to clients
+ * Times are sent as seconds remaining so clients need no clock sync.
+ * @param {Object} room - Room object
+ * @param {number} now - Current timestamp
+ * @returns {Object} Match state {phase, secondsRemaining, readyIds, playerCount, results}
+ */
+export function getMatchSnapshot(room, now = Date.now()) {
+  const match = room.match;
+  return {
+    phase: match.phase,
+    secondsRemaining: match.endsAt !== null ? Math.max(0, match.endsAt - now) / 1000 : null,
+    readyIds: [...match.readyIds],
+    playerCount: room.socketIds.size,
+    results: match.results
+  };
+}
+
+/**
+ * Broadcast match state to everyone in the room
+ * Scores, crystals and waves are included because a new match resets them.
+ * @param {Object} nsp - Socket.io namespace
+ * @param {string} roomCode - Room code
+ * @param {Object} room - Room object
+ * @param {Object} event - What changed {type, playerId}
+ */
+function broadcastMatch(nsp, roomCode, room, event) {
+  nsp.to(roomCode).emit('match-state', {
+    match: getMatchSnapshot(room),
+    event,
+    teamScores: room.teamScores,
+    crystals: room.crystals,
+    waves: getWaveSnapshot(room)
+  });
+}
+
+/**
+ * Cancel the timer ending a room's current phase
+ * @param {string} roomCode - Room code
+ */
+export function clearMatchTimer(roomCode) {
+  if (phaseTimers.has(roomCode)) {
+    clearTimeout(phaseTimers.get(roomCode));
+    phaseTimers.delete(roomCode);
+  }
+}
+
+/**
+ * Move a room to another phase and broadcast it
+ * @param {Object} nsp - Socket.io namespace
+ * @param {Object} room - Room object
+ * @param {string} roomCode - Room code
+ * @param {string} phase - New phase
+ * @param {number|null} seconds - Phase length, or null if the phase waits for players
+ * @param {Object} event - What changed {type, playerId}
+ */
+function setPhase(nsp, room, roomCode, phase, seconds, event) {
+  clearMatchTimer(roomCode);
+  room.match.phase = phase;
+  room.match.endsAt = seconds !== null ? Date.now() + seconds * 1000 : null;
+  room.respawnedAt = Date.now(); // Clients move back to their spawns (see canTeleport)
+
+  if (seconds !== null) {
+    phaseTimers.set(roomCode, setTimeout(() => {
+      phaseTimers.delete(roomCode);
+      handlePhaseEnd(nsp, room, roomCode, phase);
+    }, seconds * 1000));
+  }
+
+  broadcastMatch(nsp, roomCode, room, event);
+}
+
+/**
+ * Advance a room whose timed phase ran out
+ * @param {Object} nsp - Socket.io namespace
+ * @param {Object} room - Room object
+ * @param {string} roomCode - Room code
+ * @param {string} phase - Phase that ended
+ */
+function handlePhaseEnd(nsp, room, roomCode, phase) {
+  if (room.match.phase !== phase || room.socketIds.size === 0) {
+    return;
+  }
+
+  switch (phase) {
+    case MATCH_PHASES.READY_CHECK:
+      room.match.readyIds.clear();
+      setPhase(nsp, room, roomCode, MATCH_PHASES.LOBBY, null, { type: 'ready-check-expired' });
+      break;
+    case MATCH_PHASES.COUNTDOWN:
+      startPlaying(nsp, room, roomCode);
+      break;
+    case MATCH_PHASES.PLAYING:
+      endMatch(nsp, room, roomCode, { reason: 'time' });
+      break;
+    case MATCH_PHASES.RESULTS:
+      room.match.readyIds.clear();
+      setPhase(nsp, room, roomCode, MATCH_PHASES.LOBBY, null, { type: 'lobby' });
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Start the countdown once everyone in a ready check is ready
+ * @param {Object} nsp - Socket.io namespace
+ * @param {Object} room - Room object
+ * @param {string} roomCode - Room code
+ */
+function checkAllReady(nsp, room, roomCode) {
+  if (room.match.phase !== MATCH_PHASES.READY_CHECK || room.socketIds.size === 0) {
+    return;
+  }
+  const everyoneReady = [...room.socketIds].every(id => room.match.readyIds.has(id));
+  if (everyoneReady) {
+    setPhase(nsp, room, roomCode, MATCH_PHASES.COUNTDOWN, getMatchStats().countdownSeconds, { type: 'countdown' });
+  }
+}
+
+/**
+ * Reset scores, crystals and waves and start playing
+ * @param {Object} nsp - Socket.io namespace
+ * @param {Object} room - Room object
+ * @param {string} roomCode - Room code
+ */
+function startPlaying(nsp, room, roomCode) {
+  const now = Date.now();
+  room.teamScores = createTeamScores();
+  if (room.crystals) {
+    // Any pending auto-return finds its crystal home and does nothing
+    room.crystals = createCrystalStates();
+  }
+  if (room.waves) {
+    room.waves = createRoomWaves(now);
+  }
+  room.match.stats.clear();
+  room.match.results = null;
+
+  console.log(`Room ${roomCode}: match started (${room.gameMode})`);
+  setPhase(nsp, room, roomCode, MATCH_PHASES.PLAYING, getMatchSeconds(room.gameMode, room.timeLimit), { type: 'match-started' });
+}
+
+/**
+ * Get the team with the highest score
+ * @param {Object} teamScores - Team scores {teamId: points}
+ * @returns {string|null} Leading team, or null on a tie
+ */
+function getLeadingTeam(teamScores) {
+  const ranked = Object.keys(teamScores).sort((a, b) => teamScores[b] - teamScores[a]);
+  if (ranked.length === 0 || (ranked.length > 1 && teamScores[ranked[0]] === teamScores[ranked[1]])) {
+    return null;
+  }
+  return ranked[0];
+}
+
+/**
+ * End the match and show results
+ * @param {Object} nsp - Socket.io namespace
+ * @param {Object} room - Room object
+ * @param {string} roomCode - Room code
+ * @param {Object} outcome - How the match ended {reason: 'time' | 'score-limit' | 'wave-lost', winningTeam, wave}
+ */
+export function endMatch(nsp, room, roomCode, outcome) {
+  if (!isMatchLive(room)) {
+    return;
+  }
+
+  const teamScores = { ...room.teamScores };
+  const players = [...room.socketIds].map(playerId => ({
+    playerId,
+    kills: room.match.stats.get(playerId)?.kills || 0,
+    deaths: room.match.stats.get(playerId)?.deaths || 0
+  })).sort((a, b) => b.kills - a.kills || a.deaths - b.deaths);
+
+  room.match.results = {
+    reason: outcome.reason,
+    winningTeam: outcome.winningTeam !== undefined ? outcome.winningTeam : getLeadingTeam(teamScores),
+    teamScores,
+    wave: outcome.wave || null,
+    players
+  };
+
+  console.log(`Room ${roomCode}: match over (${outcome.reason})`);
+  setPhase(nsp, room, roomCode, MATCH_PHASES.RESULTS, getMatchStats().resultsSeconds, { type: 'match-ended' });
+}
+
+/**
+ * Count a kill and a death towards the match results
+ * @param {Object} room - Room object
+ * @param {string|null} killerId - Killer socket ID (null for bots, hazards and falls)
+ * @param {string} victimId - Victim socket ID
+ */
+export function recordMatchDeath(room, killerId, victimId) {
+  if (!isMatchLive(room)) {
+    return;
+  }
+
+  const getStats = (id) => {
+    if (!room.match.stats.has(id)) {
+      room.match.stats.set(id, { kills: 0, deaths: 0 });
+    }
+    return room.match.stats.get(id);
+  };
+
+  getStats(victimId).deaths++;
+  if (killerId && killerId !== victimId) {
+    getStats(killerId).kills++;
+  }
+}
+
+/**
+ * Handle the host starting a match
+ * Goes straight to the countdown if everyone is already ready.
+ * @param {Object} socket - Socket instance
+ * @param {Map} rooms - Rooms map
+ * @param {Map} players - Players map
+ * @param {Function} callback - Callback function
+ */
+export function handleMatchStart(socket, rooms, players, callback) {
+  const respond = (response) => {
+    if (typeof callback === 'function') {
+      callback(response);
+    }
+  };
+
+  const player = players.get(socket.id);
+  const room = player ? rooms.get(player.roomCode) : null;
+  if (!player || !room) {
+    respond({ success: false, error: 'Not in a room' });
+    return;
+  }
+  if (!player.isHost) {
+    respond({ success: false, error: 'Only the host can start the match' });
+    return;
+  }
+  if (room.match.phase !== MATCH_PHASES.LOBBY) {
+    respond({ success: false, error: 'Match already started' });
+    return;
+  }
+
+  room.match.readyIds.add(socket.id);
+  setPhase(socket.nsp, room, player.roomCode, MATCH_PHASES.READY_CHECK, getMatchStats().readyCheckSeconds, {
+    type: 'ready-check',
+    playerId: socket.id
+  });
+  checkAllReady(socket.nsp, room, player.roomCode);
+  respond({ success: true });
+}
+
+/**
+ * Handle a player toggling ready (lobby and ready check only)
+ * @param {Object} socket - Socket instance
+ * @param {Map} rooms - Rooms map
+ * @param {Map} players - Players map
+ * @param {Object} data - Request {ready}
+ * @param {Function} callback - Callback function
+ */
+export function handleMatchReady(socket, rooms, players, data, callback) {
+  const respond = (response) => {
+    if (typeof callback === 'function') {
+      callback(response);
+    }
+  };
+
+  const player = players.get(socket.id);
+  const room = player ? rooms.get(player.roomCode) : null;
+  if (!player || !room) {
+    respond({ success: false, error: 'Not in a room' });
+    return;
+  }
+  if (room.match.phase !== MATCH_PHASES.LOBBY && room.match.phase !== MATCH_PHASES.READY_CHECK) {
+    respond({ success: false, error: 'Cannot change ready state now' });
+    return;
+  }
+
+  const ready = !!data?.ready;
+  if (ready) {
+    room.match.readyIds.add(socket.id);
+  } else {
+    room.match.readyIds.delete(socket.id);
+  }
+
+  broadcastMatch(socket.nsp, player.roomCode, room, { type: ready ? 'ready' : 'unready', playerId: socket.id });
+  checkAllReady(socket.nsp, room, player.roomCode);
+  respond({ success: true, ready });
+}
+
+/**
+ * Update the match when a player leaves a room that still has players
+ * The leaver may have been the last one the ready check was waiting for.
+ * @param {Object} nsp - Socket.io namespace
+ * @param {Object} room - Room object
+ * @param {string} roomCode - Room code
+ * @param {string} socketId - Player who left
+ */
+export function handleMatchPlayerLeft(nsp, room, roomCode, socketId) {
+  if (!room || !room.match) {
+    return;
+  }
+  room.match.readyIds.delete(socketId);
+  broadcastMatch(nsp, roomCode, room, { type: 'player-left', playerId: socketId });
+  checkAllReady(nsp, room, roomCode);
+}
@@ -4,66 +4,443 @@
  * Handles player state updates and requests.
  */
 
+import { RateLimiter } from '../utils/rateLimiter.js';
+import { isRegisteredCharacter } from '../../config/character/CharacterRegistry.js';
+import {
+  DAMAGE_VALIDATION,
+  ATTACKER_REPORTED_TYPES,
+  SERVER_SIMULATED_TYPES,
+  createHealthEntry,
+  getMaxHitDamage,
+  getKnownPosition,
+  validateMeleeHit,
+  validateSlamHit,
+  getHealthCeiling,
+  canRespawn
+} from '../utils/damageValidation.js';
+import {
+  MOVEMENT_VALIDATION,
+  createMovementState,
+  getMaxMoveSpeed,
+  isValidCommand,
+  applyMovementCommand,
+  creditMovementTime,
+  canTeleport
+} from '../utils/movementValidation.js';
+import { areTeammates, isFriendlyFire, isMatchLive } from '../utils/roomUtils.js';
+import { getTeamScoring } from '../../config/gamemode/GameModeConfig.js';
+import { dropCarriedCrystal } from './crystalHandler.js';
+import { loseWaveLife } from './waveHandler.js';
+import { endMatch, recordMatchDeath } from './matchHandler.js';
+import { emitPlayerKilled } from './killFeedHandler.js';
+import { isBotId } from '../../config/global/KillFeedConfig.js';
+import { applyStateUpload, buildStateBatches } from '../utils/stateSync.js';
+import { recordLatency, recordPosition, getRewindMs, getRewoundPosition } from '../utils/lagCompensation.js';
+import { absorbRoomDamage, clearRoomStatusEffects } from '../utils/roomStatusEffects.js';
+import { consumeRoomTrap } from '../utils/roomDeployables.js';
+
+// Shared per-socket rate limiter (cleared on disconnect)
+export const rateLimiter = new RateLimiter();
+
 /**
- * Handle player state update
+ * Handle a binary player-state upload (or a spectator's ack-only packet)
+ * The state is relayed with everyone else's on the next broadcast tick.
  * @param {Object} socket - Socket instance
  * @param {Map} players - Players map
- * @param {Object} state - Player state
+ * @param {ArrayBuffer|Buffer} data - Upload packet (see PlayerStateConfig)
  */
-export function handlePlayerState(socket, players, state) {
+export function handlePlayerState(socket, players, data) {
   const player = players.get(socket.id);
-  if (player && player.roomCode) {
-    socket.to(player.roomCode).emit('player-state', {
-      playerId: socket.id,
-      state: state
-    });
+  if (!player || (!player.roomCode && !player.spectating)) {
+    return;
+  }
+
+  const state = applyStateUpload(player, data);
+  if (state && player.roomCode) {
+    // Remember last-known position for damage validation - the server-reconciled
+    // position once the player sends inputs, so hit ranges can't be stretched by
+    // reporting a different position than the one movement allowed
+    const reconciled = player.movement;
+    player.lastState = {
+      x: reconciled ? reconciled.x : state.x,
+      y: state.y,
+      z: reconciled ? reconciled.z : state.z,
+      receivedAt: Date.now()
+    };
+    recordPosition(player, player.lastState);
+  } else if (state) {
+    // Spectators have no character to show
+    player.netState = null;
   }
 }
 
 /**
- * Handle projectile creation
- * @param {Object} socket - Socket instance
+ * Send every client one packet with the other players' states (one server tick)
+ * The tick timestamp gives all receivers one shared clock for snapshot interpolation.
+ * @param {Object} nsp - Socket.io namespace
+ * @param {Map} rooms - Rooms map
  * @param {Map} players - Players map
- * @param {Object} projectileData - Projectile data
  */
-export function handleProjectileCreate(socket, players, projectileData) {
-  const player = players.get(socket.id);
-  if (player && player.roomCode) {
-    socket.to(player.roomCode).emit('projectile-create', {
-      playerId: socket.id,
-      ...projectileData
+export function broadcastPlayerStates(nsp, rooms, players) {
+  const serverTime = Date.now();
+  rooms.forEach(room => {
+    buildStateBatches(room, players, serverTime).forEach(({ socketId, packet }) => {
+      const socket = nsp.sockets.get(socketId);
+      if (socket) {
+        // Volatile: a dropped tick is replaced by the next one (deltas only build on acked ticks)
+        socket.volatile.emit('player-states', packet);
+      }
     });
-  }
+  });
+}
+
+/**
+ * Handle a latency probe
+ * Acks immediately so the client can measure RTT; the client reports its smoothed RTT
+ * with each probe, which sets how far its hits are rewound.
+ * @param {Object} socket - Socket instance
+ * @param {Map} players - Players map
+ * @param {Object} data - Probe data {latency} (latency null until the first sample)
+ * @param {Function} ack - Acknowledgement callback
+ */
+export function handlePingProbe(socket, players, data, ack) {
+  recordLatency(players.get(socket.id), data?.latency);
+  if (typeof ack === 'function') ack();
 }
 
 /**
- * Handle projectile position update
+ * Handle a batch of local player input commands
+ * Advances the server's authoritative position and acknowledges the last command
+ * so the client can drop its history or rewind and replay.
  * @param {Object} socket - Socket instance
+ * @param {Map} rooms - Rooms map
  * @param {Map} players - Players map
- * @param {Object} updateData - Projectile update data
+ * @param {Object} data - Input batch {commands}
  */
-export function handleProjectileUpdate(socket, players, updateData) {
+export function handlePlayerInput(socket, rooms, players, data) {
   const player = players.get(socket.id);
-  if (player && player.roomCode) {
-    socket.to(player.roomCode).emit('projectile-update', {
-      playerId: socket.id,
-      ...updateData
+  if (!player || !player.roomCode || !data || !Array.isArray(data.commands)) {
+    return;
+  }
+  if (!rateLimiter.consume(socket.id, 'input', MOVEMENT_VALIDATION.inputEventLimit)) {
+    return;
+  }
+  
+  const now = Date.now();
+  const room = rooms.get(player.roomCode) || null;
+  const maxSpeed = getMaxMoveSpeed(player.gameState?.characterName);
+  const commands = data.commands.slice(0, MOVEMENT_VALIDATION.maxCommandsPerBatch);
+  let corrected = false;
+  let processed = false;
+  if (player.movement) {
+    creditMovementTime(player.movement, now);
+  }
+  
+  for (const command of commands) {
+    if (!isValidCommand(command)) {
+      continue;
+    }
+    
+    if (!player.movement) {
+      // First command after joining sets the starting position
+      player.movement = createMovementState(command.x, command.z, now);
+      player.movement.seq = command.seq;
+      processed = true;
+      continue;
+    }
+    
+    // Skip duplicates and commands older than the last one processed
+    if (command.seq <= player.movement.seq) {
+      continue;
+    }
+    
+    if (command.teleport && canTeleport(player, room, now) &&
+      rateLimiter.consume(socket.id, 'teleport', MOVEMENT_VALIDATION.teleportLimit)) {
+      // Respawns move the player outside normal movement (each known respawn allows one)
+      const { timeCredit } = player.movement;
+      player.movement = createMovementState(command.x, command.z, now);
+      player.movement.seq = command.seq;
+      player.movement.timeCredit = timeCredit;
+      player.respawnedAt = null;
+    } else if (applyMovementCommand(player.movement, command, maxSpeed)) {
+      corrected = true;
+    }
+    processed = true;
+  }
+  
+  if (processed) {
+    socket.emit('input-ack', {
+      seq: player.movement.seq,
+      x: player.movement.x,
+      z: player.movement.z,
+      corrected
     });
   }
 }
 
 /**
  * Handle player damage
+ * 
+ * Two kinds of reports are accepted:
+ * - Self-reports (no targetId): the victim reports damage it took. Bolt,
+ *   mortar and splash hits from another player are rejected (the server
+ *   simulates those). Reported damage is the damage before shields; reported
+ *   health is capped by the server ledger plus the maximum heal rate.
+ * - Attacker reports (targetId set): melee hits on another player, checked
+ *   against both players' last-known positions.
+ * 
+ * The server-tracked health is what gets broadcast.
  * @param {Object} socket - Socket instance
+ * @param {Map} rooms - Rooms map
  * @param {Map} players - Players map
- * @param {Object} damageData - Damage data
+ * @param {Object} damageData - Damage data {damage, health, maxHealth, targetId, attackerId, projectileId, attackType, isRespawn}
  */
-export function handlePlayerDamage(socket, players, damageData) {
+export function handlePlayerDamage(socket, rooms, players, damageData) {
   const player = players.get(socket.id);
-  if (player && player.roomCode) {
-    socket.to(player.roomCode).emit('player-damage', {
-      playerId: socket.id,
-      ...damageData
+  if (!player || !player.roomCode || !damageData) return;
+  
+  const room = rooms.get(player.roomCode);
+  if (!room) return;
+  
+  const reject = (reason) => {
+    socket.emit('damage-rejected', { reason, targetId: damageData.targetId || socket.id });
+  };
+  
+  const now = Date.now();
+  const damage = Number(damageData.damage);
+  if (!Number.isFinite(damage) || damage < 0) {
+    reject('invalid damage');
+    return;
+  }
+  
+  const targetId = damageData.targetId || socket.id;
+  const target = players.get(targetId);
+  if (!target || target.roomCode !== player.roomCode) {
+    reject('target not in room');
+    return;
+  }
+  
+  if (!room.health.has(targetId)) {
+    room.health.set(targetId, createHealthEntry());
+  }
+  const entry = room.health.get(targetId);
+  const attackType = damageData.attackType || null;
+  
+  if (targetId !== socket.id) {
+    if (isFriendlyFire(room, players, socket.id, targetId)) {
+      reject('friendly fire');
+      return;
+    }
+    
+    // Attacker report - only melee, traps and ground slams are simulated by the attacker
+    if (!ATTACKER_REPORTED_TYPES.has(attackType)) {
+      reject('attack type cannot be reported by attacker');
+      return;
+    }
+    if (!rateLimiter.consume(socket.id, 'damage:melee', DAMAGE_VALIDATION.meleeEventLimit)) {
+      reject('rate limited');
+      return;
+    }
+    const characterName = player.gameState?.characterName || 'lucy';
+    if (damage > getMaxHitDamage(attackType, characterName)) {
+      reject('damage too high');
+      return;
+    }
+    // The attacker swung at (or saw the target step on a trap, or slammed) where they saw the target
+    const victimPos = getRewoundPosition(target, getRewindMs(player), now);
+    let reason = null;
+    if (attackType === 'melee') {
+      reason = validateMeleeHit(characterName, getKnownPosition(player, now), victimPos);
+    } else if (attackType === 'groundSlam') {
+      reason = validateSlamHit(characterName, player.lastUltimate, victimPos, targetId, now);
+    }
+    if (reason) {
+      reject(reason);
+      return;
+    }
+    if (entry.health <= 0) {
+      reject('target already dead');
+      return;
+    }
+    // Each trap the server was told about hits once
+    if (attackType === 'trap' && !consumeRoomTrap(room, socket.id, victimPos, now)) {
+      reject('no trap there');
+      return;
+    }
+    if (attackType === 'groundSlam') {
+      player.lastUltimate.hitIds.add(targetId);
+    }
+    
+    entry.meleeHits.set(socket.id, now);
+    applyPlayerDamage(socket.nsp, room, player.roomCode, players, { attackerId: socket.id, targetId, damage, attackType });
+    return;
+  }
+  
+  // Self-report
+  let takenDamage = 0;
+  const attackerId = damageData.attackerId || null;
+  const attacker = attackerId && attackerId !== socket.id ? players.get(attackerId) : null;
+  const isPlayerAttack = !!attacker && attacker.roomCode === player.roomCode;
+  
+  if (isPlayerAttack && damage > 0 && isFriendlyFire(room, players, socket.id, attackerId)) {
+    reject('friendly fire');
+    return;
+  }
+  
+  if (damageData.isRespawn) {
+    if (!canRespawn(entry, player.lastState, now)) {
+      reject('respawn not allowed');
+      return;
+    }
+    entry.health = entry.maxHealth;
+    entry.diedAt = null;
+    entry.meleeHits.clear();
+    player.respawnedAt = now; // The move to the spawn point may now be a teleport
+    clearRoomStatusEffects(socket.nsp, room, player.roomCode, socket.id);
+  } else {
+    if (damage > 0) {
+      if (isPlayerAttack) {
+        if (SERVER_SIMULATED_TYPES.has(attackType)) {
+          reject('projectile hits are decided by the server');
+          return;
+        }
+        const characterName = attacker.gameState?.characterName || 'lucy';
+        if (damage > getMaxHitDamage(attackType, characterName)) {
+          reject('damage too high');
+          return;
+        }
+      } else if (damage > DAMAGE_VALIDATION.maxUnattributedDamage) {
+        reject('damage too high');
+        return;
+      }
+    }
+    
+    // Shields take the hit first (the client did the same with the shield the server sent it)
+    takenDamage = absorbRoomDamage(socket.nsp, room, player.roomCode, socket.id, damage);
+    
+    // Client health is trusted downward only; upward movement is bounded by heal rate
+    const ceiling = Math.max(0, getHealthCeiling(entry, now) - takenDamage);
+    const reportedHealth = Number(damageData.health);
+    const wasAlive = entry.health > 0;
+    entry.health = Number.isFinite(reportedHealth) ? Math.max(0, Math.min(reportedHealth, ceiling)) : ceiling;
+    if (wasAlive && entry.health <= 0) {
+      entry.diedAt = now;
+      clearRoomStatusEffects(socket.nsp, room, player.roomCode, socket.id);
+      recordMatchDeath(room, isPlayerAttack ? attackerId : null, socket.id);
+      if (isPlayerAttack) {
+        recordKill(socket.nsp, room, player.roomCode, players, attackerId, socket.id);
+      }
+      // Bots are client-side, so a bot killer is taken from the victim's report
+      const killerId = isPlayerAttack || isBotId(attackerId) ? attackerId : null;
+      emitPlayerKilled(socket.nsp, player.roomCode, players, { killerId, victimId: socket.id, abilityType: attackType });
+      dropCarriedCrystal(socket.nsp, room, player.roomCode, socket.id, player.lastState);
+      loseWaveLife(socket.nsp, room, player.roomCode, socket.id);
+    }
+  }
+  entry.updatedAt = now;
+  
+  socket.to(player.roomCode).emit('player-damage', {
+    playerId: socket.id,
+    attackerId: isPlayerAttack ? attackerId : null,
+    attackType,
+    damage: takenDamage,
+    health: entry.health,
+    maxHealth: entry.maxHealth
+  });
+}
+
+/**
+ * Apply damage the server decided or accepted from the attacker
+ * Used for attacker-reported melee, hits from the projectile simulation and status effect ticks.
+ * Shields absorb the damage first.
+ * Everyone in the room receives the result, including the victim, who applies it locally.
+ * @param {Object} nsp - Socket.io namespace
+ * @param {Object} room - Room object
+ * @param {string} roomCode - Room code
+ * @param {Map} players - Players map
+ * @param {Object} hit - Hit {attackerId, targetId, damage, attackType}
+ * @returns {boolean} True if the damage was applied (false if the target is gone or already dead)
+ */
+export function applyPlayerDamage(nsp, room, roomCode, players, hit) {
+  const { attackerId, targetId, attackType } = hit;
+  const target = players.get(targetId);
+  if (!target || target.roomCode !== roomCode) {
+    return false;
+  }
+  if (!room.health.has(targetId)) {
+    room.health.set(targetId, createHealthEntry());
+  }
+  const entry = room.health.get(targetId);
+  if (entry.health <= 0) {
+    return false;
+  }
+  
+  const now = Date.now();
+  const damage = absorbRoomDamage(nsp, room, roomCode, targetId, hit.damage);
+  entry.health = Math.max(0, entry.health - damage);
+  // Healing a self-report may claim starts from here (see getHealthCeiling)
+  entry.updatedAt = now;
+  if (entry.health <= 0) {
+    entry.diedAt = now;
+    clearRoomStatusEffects(nsp, room, roomCode, targetId);
+    recordMatchDeath(room, attackerId, targetId);
+    recordKill(nsp, room, roomCode, players, attackerId, targetId);
+    emitPlayerKilled(nsp, roomCode, players, { killerId: attackerId, victimId: targetId, abilityType: attackType });
+    dropCarriedCrystal(nsp, room, roomCode, targetId, target.lastState);
+    loseWaveLife(nsp, room, roomCode, targetId);
+  }
+  
+  nsp.to(roomCode).emit('player-damage', {
+    playerId: targetId,
+    attackerId,
+    attackType,
+    damage,
+    health: entry.health,
+    maxHealth: entry.maxHealth
+  });
+  return true;
+}
+
+/**
+ * Record a server-confirmed kill
+ * In kill-scored team modes the killer's team scores a point; reaching the room's
+ * kill limit wins the round and resets team scores.
+ * @param {Object} nsp - Socket.io namespace
+ * @param {Object} room - Room object
+ * @param {string} roomCode - Room code
+ * @param {Map} players - Players map
+ * @param {string} killerId - Killer socket ID
+ * @param {string} victimId - Victim socket ID
+ * @private
+ */
+function recordKill(nsp, room, roomCode, players, killerId, victimId) {
+  if (getTeamScoring(room.gameMode) !== 'kills' || !isMatchLive(room)) {
+    return;
+  }
+  
+  const team = players.get(killerId)?.team;
+  if (!team || areTeammates(players, killerId, victimId) || room.teamScores[team] === undefined) {
+    return;
+  }
+  
+  room.teamScores[team]++;
+  nsp.to(roomCode).emit('team-score', {
+    teamScores: room.teamScores,
+    scoringTeam: team,
+    killerId,
+    victimId
+  });
+  
+  if (room.teamScores[team] >= room.killLimit) {
+    console.log(`Room ${roomCode}: team ${team} reached the kill limit (${room.killLimit})`);
+    nsp.to(roomCode).emit('team-match-won', {
+      winningTeam: team,
+      teamScores: { ...room.teamScores },
+      killLimit: room.killLimit
+    });
+    endMatch(nsp, room, roomCode, { reason: 'score-limit', winningTeam: team });
+    Object.keys(room.teamScores).forEach(teamId => {
+      room.teamScores[teamId] = 0;
     });
   }
 }
@@ -76,6 +453,7 @@ export function handlePlayerDamage(socket, players, damageData) {
  */
 export function handleCharacterChange(socket, players, data) {
   const player = players.get(socket.id);
+  if (!data || !isRegisteredCharacter(data.characterName)) return;
   if (player && player.roomCode) {
     // Update player's game state
     if (player.gameState) {
@@ -98,13 +476,15 @@ export function handleCharacterChange(socket, players, data) {
  */
 export function handleRequestExistingPlayers(socket, rooms, players) {
   const player = players.get(socket.id);
-  if (player && player.roomCode) {
-    const room = rooms.get(player.roomCode);
+  const roomCode = player ? player.roomCode || player.spectating : null;
+  if (roomCode) {
+    const room = rooms.get(roomCode);
     if (room && room.socketIds) {
       const existingPlayers = Array.from(room.socketIds)
         .filter(id => id !== socket.id)
         .map(id => ({
           playerId: id,
+          netId: players.get(id)?.netId,
           gameState: players.get(id)?.gameState || {}
         }));
       
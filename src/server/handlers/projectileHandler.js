@@ -0,0 +1,149 @@
+/**
+ * projectileHandler.js
+ *
+ * Handles projectile creation and steering, and runs the room projectile simulation
+ * that decides bolt, mortar and splash hits between players.
+ */
+
+import { rateLimiter, applyPlayerDamage } from './playerHandler.js';
+import { DAMAGE_VALIDATION, getFireRateLimit, getBoltStormRateLimit, getKnownPosition } from '../utils/damageValidation.js';
+import { getBoltStormStats } from '../../core/systems/abilities/functions/CharacterAbilityStats.js';
+import { getRewindMs } from '../utils/lagCompensation.js';
+import {
+  PROJECTILE_SIMULATION,
+  createSimulatedProjectile,
+  steerSimulatedBolt,
+  addSimulatedProjectile,
+  stepRoomProjectiles
+} from '../utils/projectileSimulation.js';
+import { applyRoomStatusEffect, stepRoomStatusEffects } from '../utils/roomStatusEffects.js';
+import { getStatusEffectOptions } from '../../core/systems/statusEffects/StatusEffects.js';
+
+/**
+ * Check whether a player's bolt storm is still firing
+ * @param {Object} player - Player entry from players map
+ * @param {string} characterName - Player character name
+ * @param {number} now - Current timestamp
+ * @returns {boolean} True if the player's last ultimate is a bolt storm that hasn't ended
+ */
+function isBoltStormActive(player, characterName, now) {
+  const stormStats = getBoltStormStats(characterName);
+  const ultimate = player.lastUltimate;
+  return !!stormStats && !!ultimate && ultimate.ability === 'boltStorm'
+    && now - ultimate.at <= stormStats.duration * 1000 + DAMAGE_VALIDATION.projectileGraceMs;
+}
+
+/**
+ * Handle projectile creation
+ * Enforces per-character fire rate, rejects launches away from the shooter's known
+ * position (or with no known position) and adds the projectile to the room simulation,
+ * which checks its hits against targets rewound to the shooter's view. Bolt storm
+ * bolts have their own limit and are only accepted while the shooter's storm lasts.
+ * @param {Object} socket - Socket instance
+ * @param {Map} rooms - Rooms map
+ * @param {Map} players - Players map
+ * @param {Object} projectileData - Projectile data
+ */
+export function handleProjectileCreate(socket, rooms, players, projectileData) {
+  const player = players.get(socket.id);
+  if (!player || !player.roomCode || !projectileData) return;
+
+  const room = rooms.get(player.roomCode);
+  if (!room) return;
+
+  const now = Date.now();
+  const projectileType = projectileData.projectileType === 'mortar' ? 'mortar' : 'bolt';
+  const characterName = player.gameState?.characterName || 'lucy';
+
+  // Reject impossible fire rate
+  if (projectileType === 'bolt' && projectileData.ability === 'boltStorm') {
+    const stormLimit = getBoltStormRateLimit(characterName);
+    if (!stormLimit || !isBoltStormActive(player, characterName, now)
+      || !rateLimiter.consume(socket.id, 'projectile:boltStorm', stormLimit)) {
+      return;
+    }
+  } else if (!rateLimiter.consume(socket.id, `projectile:${projectileType}`, getFireRateLimit(projectileType, characterName))) {
+    return;
+  }
+
+  // Reject projectiles spawned away from the shooter, or fired while the server
+  // doesn't know where the shooter is
+  const startX = Number(projectileData.startX);
+  const startZ = Number(projectileData.startZ);
+  const shooterPos = getKnownPosition(player, now);
+  if (!shooterPos || !Number.isFinite(startX) || !Number.isFinite(startZ)) {
+    return;
+  }
+  const dx = startX - shooterPos.x;
+  const dz = startZ - shooterPos.z;
+  if (Math.sqrt(dx * dx + dz * dz) > DAMAGE_VALIDATION.positionTolerance * 2) {
+    return;
+  }
+
+  // Invalid launches are still relayed (for visuals) but can never hit anyone
+  const projectile = createSimulatedProjectile(socket.id, characterName, { ...projectileData, projectileType, startX, startZ }, getRewindMs(player));
+  if (projectile && !room.projectiles.has(projectile.userData.projectileId)) {
+    addSimulatedProjectile(room, projectile);
+  }
+
+  socket.to(player.roomCode).emit('projectile-create', {
+    playerId: socket.id,
+    ...projectileData,
+    startX,
+    startZ
+  });
+}
+
+/**
+ * Handle projectile position update
+ * The owner's bolt velocity steers the simulated bolt; positions are only relayed.
+ * @param {Object} socket - Socket instance
+ * @param {Map} rooms - Rooms map
+ * @param {Map} players - Players map
+ * @param {Object} updateData - Projectile update data {projectileId, x, y, z, velocityX, velocityZ}
+ */
+export function handleProjectileUpdate(socket, rooms, players, updateData) {
+  const player = players.get(socket.id);
+  if (!player || !player.roomCode || !updateData) return;
+
+  const projectile = rooms.get(player.roomCode)?.projectiles.get(updateData.projectileId);
+  if (projectile && projectile.userData.playerId === socket.id) {
+    steerSimulatedBolt(projectile, Number(updateData.velocityX), Number(updateData.velocityZ));
+  }
+
+  socket.to(player.roomCode).emit('projectile-update', {
+    playerId: socket.id,
+    ...updateData
+  });
+}
+
+/**
+ * Advance every room's projectile simulation and status effects by one tick
+ * Hits and status effect ticks go through the same damage path as accepted reports;
+ * despawns tell clients to remove their copy of the projectile (and where a mortar landed).
+ * @param {Object} nsp - Socket.io namespace
+ * @param {Map} rooms - Rooms map
+ * @param {Map} players - Players map
+ */
+export function simulateProjectiles(nsp, rooms, players) {
+  const now = Date.now();
+  const dt = PROJECTILE_SIMULATION.tickMs / 1000;
+  rooms.forEach((room, roomCode) => {
+    if (room.projectiles.size === 0 && room.splashAreas.length === 0 && room.statusEffects.size === 0) {
+      return;
+    }
+    const { hits, despawns } = stepRoomProjectiles(room, players, dt, now);
+    hits.push(...stepRoomStatusEffects(room, players, roomCode, dt));
+    hits.forEach(hit => {
+      if (applyPlayerDamage(nsp, room, roomCode, players, hit) && hit.statusEffect) {
+        applyRoomStatusEffect(nsp, room, roomCode, hit.targetId, hit.statusEffect, {
+          ...getStatusEffectOptions(hit.statusEffect, hit.characterName),
+          sourceId: hit.attackerId
+        });
+      }
+    });
+    despawns.forEach(despawn => {
+      nsp.to(roomCode).emit('projectile-despawn', despawn);
+    });
+  });
+}
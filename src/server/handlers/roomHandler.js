@@ -4,21 +4,220 @@
  * Handles room creation and joining.
  */
 
-import { generateRoomCode, getOrCreateRoom, getRoomSocketIds } from '../utils/roomUtils.js';
+import { randomUUID } from 'crypto';
+import { generateRoomCode, getOrCreateRoom, getRoomSocketIds, assignTeam, getWaveSnapshot, resetRoomModeState, reassignTeams, getRoomHostId, migrateHost, isPlayerNameTaken, isRoomFull, promoteSpectators, getMutedPlayerIds, getSpectatorNames, transferPlayerSlot, assignNetId } from '../utils/roomUtils.js';
+import { isTeamMode } from '../../config/gamemode/GameModeConfig.js';
+import { MATCH_PHASES } from '../../config/gamemode/MatchConfig.js';
+import { getRoomSettingsStats, validateRoomSettings, pickRoomSettings } from '../../config/gamemode/RoomSettingsConfig.js';
+import { validatePlayerName, normalizePlayerName } from '../../config/global/PlayerNameConfig.js';
+import { dropCarriedCrystal, clearCrystalTimers } from './crystalHandler.js';
+import { checkWaveCleared } from './waveHandler.js';
+import { getMatchSnapshot, clearMatchTimer, handleMatchPlayerLeft } from './matchHandler.js';
+import { clearRoomStatusEffects } from '../utils/roomStatusEffects.js';
+import { clearRoomDeployables } from '../utils/roomDeployables.js';
+
+const emptyRoomTimers = new Map(); // roomCode -> timeout deleting a room emptied by an arena change
+const heldSlots = new Map(); // socketId -> { socket, timer } for players whose connection dropped
+
+/**
+ * Get the match settings sent to clients on create/join
+ * @param {Object} room - Room object
+ * @returns {Object} Match settings {gameMode, arena, killLimit, captureLimit, timeLimit, botCount, botDifficulty, maxPlayers, teamScores, crystals, waves, match}
+ */
+function getMatchSettings(room) {
+  return {
+    ...pickRoomSettings(room),
+    teamScores: room.teamScores,
+    crystals: room.crystals,
+    waves: getWaveSnapshot(room),
+    match: getMatchSnapshot(room)
+  };
+}
+
+/**
+ * Get the room state sent to a player joining or resuming
+ * @param {Object} room - Room object
+ * @param {string} roomCode - Room code
+ * @param {Map} players - Players map
+ * @param {string} socketId - Socket ID of the arriving player
+ * @returns {Object} Room snapshot {roomCode, existingPlayers, isPrivate, spectatorIds, spectatorNames, mutedPlayerIds, hostId, ...match settings}
+ */
+function getRoomSnapshot(room, roomCode, players, socketId) {
+  const existingPlayers = Array.from(room.socketIds)
+    .filter(id => id !== socketId)
+    .map(id => ({
+      playerId: id,
+      netId: players.get(id)?.netId,
+      gameState: players.get(id)?.gameState || {},
+      team: players.get(id)?.team || null
+    }));
+
+  return {
+    roomCode,
+    existingPlayers,
+    isPrivate: room.isPrivate,
+    ...getSpectatorUpdates(room, players),
+    mutedPlayerIds: getMutedPlayerIds(room, players),
+    hostId: getRoomHostId(room, players),
+    ...getMatchSettings(room)
+  };
+}
+
+/**
+ * Validate the display name and client ID a player sends with create/join
+ * The client ID stays on the server; everyone else only sees the normalized name.
+ * @param {Object} gameState - Game state {name, clientId, characterName, arena, gameMode}
+ * @param {Object|null} room - Room being joined (null when creating)
+ * @param {Map} players - Players map
+ * @returns {Object} {gameState, name, clientId, error} - Game state to share, or an error message
+ */
+function resolvePlayerIdentity(gameState, room, players) {
+  const { clientId, ...sharedState } = gameState || {};
+  const error = validatePlayerName(sharedState.name);
+  if (error) {
+    return { error };
+  }
+  const name = normalizePlayerName(sharedState.name);
+  if (room && isPlayerNameTaken(room, players, name)) {
+    return { error: 'That name is already taken in this room' };
+  }
+  return {
+    gameState: { ...sharedState, name },
+    name,
+    clientId: typeof clientId === 'string' ? clientId.substring(0, 64) : null,
+    error: null
+  };
+}
+
+/**
+ * Get the spectator queue as sent to clients
+ * @param {Object} room - Room object
+ * @param {Map} players - Players map
+ * @returns {Object} {spectatorIds, spectatorNames} - Spectators in queue order and their names
+ */
+function getSpectatorUpdates(room, players) {
+  return {
+    spectatorIds: [...room.spectatorIds],
+    spectatorNames: getSpectatorNames(room, players)
+  };
+}
+
+/**
+ * Tell everyone in the room who is spectating (in queue order)
+ * @param {Object} nsp - Socket.io namespace
+ * @param {string} roomCode - Room code
+ * @param {Object} room - Room object
+ * @param {Map} players - Players map
+ */
+function broadcastSpectators(nsp, roomCode, room, players) {
+  nsp.to(roomCode).emit('room-updated', {
+    roomCode,
+    updates: getSpectatorUpdates(room, players)
+  });
+}
+
+/**
+ * Tell everyone in the room who is muted
+ * @param {Object} nsp - Socket.io namespace
+ * @param {string} roomCode - Room code
+ * @param {Object} room - Room object
+ * @param {Map} players - Players map
+ */
+function broadcastMutedPlayers(nsp, roomCode, room, players) {
+  nsp.to(roomCode).emit('room-updated', {
+    roomCode,
+    updates: { mutedPlayerIds: getMutedPlayerIds(room, players) }
+  });
+}
+
+/**
+ * Give free player slots to queued spectators and tell the room
+ * Promoted spectators arrive like any other joining player (player-joined), and
+ * are told themselves with spectator-promoted.
+ * @param {Object} nsp - Socket.io namespace
+ * @param {Object} room - Room object
+ * @param {string} roomCode - Room code
+ * @param {Map} players - Players map
+ * @returns {Array<string>} Socket IDs of the promoted spectators
+ */
+export function fillPlayerSlots(nsp, room, roomCode, players) {
+  const promotedIds = promoteSpectators(room, roomCode, players);
+  promotedIds.forEach(id => {
+    const player = players.get(id);
+    console.log(`Spectator ${id} took a player slot in room ${roomCode}`);
+    nsp.to(roomCode).emit('player-joined', {
+      playerId: id,
+      netId: player.netId,
+      gameState: player.gameState,
+      team: player.team
+    });
+    nsp.to(id).emit('spectator-promoted', {
+      roomCode,
+      team: player.team
+    });
+  });
+  if (promotedIds.length > 0) {
+    broadcastSpectators(nsp, roomCode, room, players);
+  }
+  return promotedIds;
+}
+
+/**
+ * Delete a room and cancel its timers
+ * @param {Map} rooms - Rooms map
+ * @param {string} roomCode - Room code
+ * @param {Object} room - Room object
+ */
+function deleteRoom(rooms, roomCode, room) {
+  clearCrystalTimers(roomCode, room);
+  clearMatchTimer(roomCode);
+  rooms.delete(roomCode);
+}
+
+/**
+ * Cancel the pending deletion of an emptied room
+ * @param {string} roomCode - Room code
+ */
+function clearEmptyRoomTimer(roomCode) {
+  if (emptyRoomTimers.has(roomCode)) {
+    clearTimeout(emptyRoomTimers.get(roomCode));
+    emptyRoomTimers.delete(roomCode);
+  }
+}
 
 /**
  * Handle room creation
+ * The room's game mode and arena come from the creator's current mode (if it is a combat mode) and arena.
  * @param {Object} socket - Socket instance
  * @param {Map} rooms - Rooms map
  * @param {Map} players - Players map
- * @param {Object} gameState - Game state
- * @param {Object} options - Room options (isPrivate)
+ * @param {Object} gameState - Game state {name, clientId, characterName, arena, gameMode}
+ * @param {Object} options - Room options (isPrivate, killLimit, captureLimit, timeLimit, botCount, botDifficulty, maxPlayers)
  * @param {Function} callback - Callback function
  */
 export function handleCreateRoom(socket, rooms, players, gameState, options, callback) {
+  releaseHeldSlots(rooms, players, gameState?.clientId);
+  const identity = resolvePlayerIdentity(gameState, null, players);
+  if (identity.error) {
+    if (callback) {
+      callback({ success: false, error: identity.error });
+    }
+    return;
+  }
+
   const isPrivate = options?.isPrivate || false;
   const roomCode = generateRoomCode();
-  const room = getOrCreateRoom(rooms, roomCode, isPrivate);
+  const room = getOrCreateRoom(rooms, roomCode, isPrivate, {
+    gameMode: gameState?.gameMode,
+    arena: gameState?.arena,
+    killLimit: options?.killLimit,
+    captureLimit: options?.captureLimit,
+    timeLimit: options?.timeLimit,
+    botCount: options?.botCount,
+    botDifficulty: options?.botDifficulty,
+    maxPlayers: options?.maxPlayers
+  });
+  const team = assignTeam(room, players);
   room.socketIds.add(socket.id);
   
   socket.join(roomCode);
@@ -26,33 +225,43 @@ export function handleCreateRoom(socket, rooms, players, gameState, options, cal
   players.set(socket.id, {
     roomCode,
     playerId: socket.id,
-    gameState: gameState || {},
-    isHost: true
+    netId: assignNetId(room),
+    clientId: identity.clientId,
+    name: identity.name,
+    gameState: identity.gameState,
+    reconnectToken: randomUUID(),
+    isHost: true,
+    team
   });
   
-  console.log(`Room created: ${roomCode} by ${socket.id} (${isPrivate ? 'private' : 'public'})`);
+  console.log(`Room created: ${roomCode} by ${socket.id} (${isPrivate ? 'private' : 'public'}, ${room.gameMode})`);
   
   if (callback) {
-    callback({ roomCode, success: true, isPrivate });
+    callback({ roomCode, success: true, isPrivate, team, hostId: socket.id, name: identity.name, reconnectToken: players.get(socket.id).reconnectToken, ...getMatchSettings(room) });
   }
   
   // Notify others in room (though initially empty)
   socket.to(roomCode).emit('player-joined', {
     playerId: socket.id,
-    gameState: gameState || {}
+    netId: players.get(socket.id).netId,
+    gameState: identity.gameState,
+    team
   });
 }
 
 /**
  * Handle room joining
+ * Once every player slot is taken, arrivals spectate and wait in the queue for a slot.
  * @param {Object} socket - Socket instance
  * @param {Map} rooms - Rooms map
  * @param {Map} players - Players map
  * @param {string} roomCode - Room code
- * @param {Object} gameState - Game state
+ * @param {Object} gameState - Game state {name, clientId, characterName, arena, gameMode}
  * @param {Function} callback - Callback function
  */
 export function handleJoinRoom(socket, rooms, players, roomCode, gameState, callback) {
+  // A reloaded page comes back as a new player - free the slot its old connection held
+  releaseHeldSlots(rooms, players, gameState?.clientId);
   const normalizedRoomCode = roomCode.toUpperCase();
   const room = rooms.get(normalizedRoomCode);
   
@@ -63,45 +272,96 @@ export function handleJoinRoom(socket, rooms, players, roomCode, gameState, call
     return;
   }
   
-  if (!room.socketIds.has(socket.id)) {
+  if (room.socketIds.has(socket.id) || room.spectatorIds.has(socket.id)) {
+    if (callback) {
+      callback({ success: false, error: 'Already in room' });
+    }
+    return;
+  }
+  
+  const identity = resolvePlayerIdentity(gameState, room, players);
+  if (identity.error) {
+    if (callback) {
+      callback({ success: false, error: identity.error });
+    }
+    return;
+  }
+  
+  if (identity.clientId && room.bannedClientIds.has(identity.clientId)) {
+    if (callback) {
+      callback({ success: false, error: 'You are banned from this room' });
+    }
+    return;
+  }
+  
+  const isSpectator = isRoomFull(room);
+  if (isSpectator && room.spectatorIds.size >= getRoomSettingsStats().maxSpectators) {
+    if (callback) {
+      callback({ success: false, error: 'Room is full' });
+    }
+    return;
+  }
+  
+  // Players rejoining a room emptied by an arena change: whoever arrives first takes over as host
+  const isHost = !isSpectator && !getRoomHostId(room, players);
+  clearEmptyRoomTimer(normalizedRoomCode);
+  const team = isSpectator ? null : assignTeam(room, players);
+  if (isSpectator) {
+    room.spectatorIds.add(socket.id);
+  } else {
     room.socketIds.add(socket.id);
-    socket.join(normalizedRoomCode);
-    
-    players.set(socket.id, {
+  }
+  socket.join(normalizedRoomCode);
+  
+  players.set(socket.id, {
+    roomCode: isSpectator ? null : normalizedRoomCode,
+    spectating: isSpectator ? normalizedRoomCode : null,
+    playerId: socket.id,
+    netId: assignNetId(room),
+    clientId: identity.clientId,
+    name: identity.name,
+    gameState: identity.gameState,
+    reconnectToken: randomUUID(),
+    isHost,
+    team
+  });
+  
+  if (isSpectator) {
+    console.log(`Player ${socket.id} is spectating room ${normalizedRoomCode} (queue ${room.spectatorIds.size})`);
+    socket.to(normalizedRoomCode).emit('room-updated', {
       roomCode: normalizedRoomCode,
-      playerId: socket.id,
-      gameState: gameState || {},
-      isHost: false
+      updates: getSpectatorUpdates(room, players)
     });
-    
-    console.log(`Player ${socket.id} joined room ${normalizedRoomCode}`);
+  } else {
+    console.log(`Player ${socket.id} joined room ${normalizedRoomCode}${team ? ` on team ${team}` : ''}`);
     
     // Notify others in room
     socket.to(normalizedRoomCode).emit('player-joined', {
       playerId: socket.id,
-      gameState: gameState || {}
+      netId: players.get(socket.id).netId,
+      gameState: identity.gameState,
+      team
+    });
+  }
+  
+  // Mutes outlast a reload - everyone else sees the new socket ID as muted
+  if (identity.clientId && room.mutedClientIds.has(identity.clientId)) {
+    socket.to(normalizedRoomCode).emit('room-updated', {
+      roomCode: normalizedRoomCode,
+      updates: { mutedPlayerIds: getMutedPlayerIds(room, players) }
+    });
+  }
+  
+  if (callback) {
+    callback({ 
+      success: true,
+      ...getRoomSnapshot(room, normalizedRoomCode, players, socket.id),
+      isHost,
+      isSpectator,
+      name: identity.name,
+      team,
+      reconnectToken: players.get(socket.id).reconnectToken
     });
-    
-    // Get existing players in room
-    const existingPlayers = Array.from(room.socketIds)
-      .filter(id => id !== socket.id)
-      .map(id => ({
-        playerId: id,
-        gameState: players.get(id)?.gameState || {}
-      }));
-    
-    if (callback) {
-      callback({ 
-        roomCode: normalizedRoomCode, 
-        success: true,
-        existingPlayers,
-        isPrivate: room.isPrivate
-      });
-    }
-  } else {
-    if (callback) {
-      callback({ success: false, error: 'Already in room' });
-    }
   }
 }
 
@@ -113,12 +373,46 @@ export function handleJoinRoom(socket, rooms, players, roomCode, gameState, call
  */
 export function handleLeaveRoom(socket, rooms, players) {
   const player = players.get(socket.id);
+  if (player && player.spectating) {
+    // Spectators only give up their place in the queue
+    const room = rooms.get(player.spectating);
+    players.delete(socket.id);
+    socket.leave(player.spectating);
+    if (room) {
+      room.spectatorIds.delete(socket.id);
+      broadcastSpectators(socket.nsp, player.spectating, room, players);
+    }
+    console.log(`Spectator ${socket.id} left room ${player.spectating}`);
+    return;
+  }
   if (player && player.roomCode) {
     const room = rooms.get(player.roomCode);
     if (room) {
+      dropCarriedCrystal(socket.nsp, room, player.roomCode, socket.id, player.lastState);
       room.socketIds.delete(socket.id);
-      if (room.socketIds.size === 0) {
-        rooms.delete(player.roomCode);
+      room.health.delete(socket.id);
+      clearRoomStatusEffects(null, room, player.roomCode, socket.id);
+      clearRoomDeployables(room, socket.id);
+      
+      // The freed slot goes to whoever has been spectating longest
+      fillPlayerSlots(socket.nsp, room, player.roomCode, players);
+      const rejoinMs = getRoomSettingsStats().arenaRejoinSeconds * 1000;
+      if (room.socketIds.size === 0 && room.arenaChangedAt !== null && Date.now() - room.arenaChangedAt < rejoinMs) {
+        // Everyone is reloading into the new arena - keep the room until they are back
+        const roomCode = player.roomCode;
+        clearEmptyRoomTimer(roomCode);
+        emptyRoomTimers.set(roomCode, setTimeout(() => {
+          emptyRoomTimers.delete(roomCode);
+          if (room.socketIds.size === 0) {
+            deleteRoom(rooms, roomCode, room);
+          }
+        }, rejoinMs));
+      } else if (room.socketIds.size === 0) {
+        deleteRoom(rooms, player.roomCode, room);
+      } else {
+        // The leaver may have been the last one still fighting the wave or readying up
+        checkWaveCleared(socket.nsp, room, player.roomCode);
+        handleMatchPlayerLeft(socket.nsp, room, player.roomCode, socket.id);
       }
     }
     
@@ -126,13 +420,208 @@ export function handleLeaveRoom(socket, rooms, players) {
       playerId: socket.id
     });
     
-    socket.leave(player.roomCode);
+    // Hand host-only controls (settings, start match) to the longest-present player
     players.delete(socket.id);
+    const newHostId = room && player.isHost ? migrateHost(room, players) : null;
+    if (newHostId) {
+      console.log(`Room ${player.roomCode}: host passed to ${newHostId}`);
+      socket.to(player.roomCode).emit('room-updated', {
+        roomCode: player.roomCode,
+        updates: { hostId: newHostId }
+      });
+    }
+    
+    socket.leave(player.roomCode);
     
     console.log(`Player ${socket.id} left room ${player.roomCode}`);
   }
 }
 
+/**
+ * Handle a dropped connection
+ * Players keep their slot, team and match stats for a grace window so the client can
+ * reconnect and resume with its reconnect token. Spectators just leave. A dropped host
+ * hands host to the longest-present connected player straight away and does not get it
+ * back on resume.
+ * @param {Object} socket - Socket instance
+ * @param {Map} rooms - Rooms map
+ * @param {Map} players - Players map
+ */
+export function handleDisconnect(socket, rooms, players) {
+  const player = players.get(socket.id);
+  const room = player && player.roomCode ? rooms.get(player.roomCode) : null;
+  if (!room || !player.reconnectToken) {
+    handleLeaveRoom(socket, rooms, players);
+    return;
+  }
+
+  // Nobody can pick up a crystal from a frozen player
+  dropCarriedCrystal(socket.nsp, room, player.roomCode, socket.id, player.lastState);
+  player.disconnectedAt = Date.now();
+  if (player.isHost) {
+    player.isHost = false;
+    const newHostId = migrateHost(room, players);
+    if (newHostId) {
+      console.log(`Room ${player.roomCode}: host passed to ${newHostId}`);
+      socket.to(player.roomCode).emit('room-updated', {
+        roomCode: player.roomCode,
+        updates: { hostId: newHostId }
+      });
+    }
+  }
+
+  const graceSeconds = getRoomSettingsStats().reconnectGraceSeconds;
+  heldSlots.set(socket.id, {
+    socket,
+    timer: setTimeout(() => {
+      heldSlots.delete(socket.id);
+      console.log(`Player ${socket.id} did not reconnect to room ${player.roomCode}`);
+      handleLeaveRoom(socket, rooms, players);
+    }, graceSeconds * 1000)
+  });
+  console.log(`Player ${socket.id} dropped from room ${player.roomCode} - holding their slot for ${graceSeconds}s`);
+}
+
+/**
+ * Give up the slots a client's dropped connections are holding
+ * @param {Map} rooms - Rooms map
+ * @param {Map} players - Players map
+ * @param {string} clientId - Persistent client ID
+ */
+function releaseHeldSlots(rooms, players, clientId) {
+  if (typeof clientId !== 'string') {
+    return;
+  }
+  for (const [socketId, held] of heldSlots) {
+    if (players.get(socketId)?.clientId === clientId.substring(0, 64)) {
+      clearTimeout(held.timer);
+      heldSlots.delete(socketId);
+      handleLeaveRoom(held.socket, rooms, players);
+    }
+  }
+}
+
+/**
+ * Handle a reconnected client taking back the slot its dropped connection held
+ * Everyone else sees the player leave under their old socket ID and join under the new one.
+ * Host stays with whoever took it over; the player only becomes host again if the room
+ * has none (everyone else dropped too).
+ * @param {Object} socket - Socket instance
+ * @param {Map} rooms - Rooms map
+ * @param {Map} players - Players map
+ * @param {Object} data - {roomCode, reconnectToken} from the create/join response
+ * @param {Function} callback - Callback function
+ */
+export function handleResumeRoom(socket, rooms, players, data, callback) {
+  const respond = (response) => {
+    if (typeof callback === 'function') {
+      callback(response);
+    }
+  };
+
+  const roomCode = typeof data?.roomCode === 'string' ? data.roomCode.toUpperCase() : null;
+  const room = roomCode ? rooms.get(roomCode) : null;
+  const previousId = [...heldSlots.keys()].find(id => {
+    const player = players.get(id);
+    return player && player.roomCode === roomCode && player.reconnectToken === data?.reconnectToken;
+  });
+  if (!room || !previousId || players.has(socket.id)) {
+    respond({ success: false, error: 'Reconnect window expired' });
+    return;
+  }
+
+  clearTimeout(heldSlots.get(previousId).timer);
+  heldSlots.delete(previousId);
+  transferPlayerSlot(room, players, previousId, socket.id);
+  const player = players.get(socket.id);
+  player.disconnectedAt = null;
+  player.reconnectToken = randomUUID();
+  player.sync = null; // The client starts its state history over
+  migrateHost(room, players);
+  socket.join(roomCode);
+
+  console.log(`Player ${previousId} reconnected to room ${roomCode} as ${socket.id}`);
+
+  socket.to(roomCode).emit('player-left', {
+    playerId: previousId
+  });
+  socket.to(roomCode).emit('player-joined', {
+    playerId: socket.id,
+    netId: player.netId,
+    previousId,
+    gameState: player.gameState,
+    team: player.team
+  });
+  if (player.isHost) {
+    socket.to(roomCode).emit('room-updated', {
+      roomCode,
+      updates: { hostId: socket.id }
+    });
+  }
+  if (player.clientId && room.mutedClientIds.has(player.clientId)) {
+    broadcastMutedPlayers(socket.nsp, roomCode, room, players);
+  }
+
+  respond({
+    success: true,
+    ...getRoomSnapshot(room, roomCode, players, socket.id),
+    previousId,
+    isHost: player.isHost,
+    isSpectator: false,
+    name: player.name,
+    team: player.team,
+    reconnectToken: player.reconnectToken
+  });
+}
+
+/**
+ * Handle a player switching to the other team (team modes only)
+ * @param {Object} socket - Socket instance
+ * @param {Map} rooms - Rooms map
+ * @param {Map} players - Players map
+ * @param {string} team - Requested team ID
+ * @param {Function} callback - Callback function
+ */
+export function handleSwitchTeam(socket, rooms, players, team, callback) {
+  const player = players.get(socket.id);
+  const room = player ? rooms.get(player.roomCode) : null;
+  if (!player || !room) {
+    if (callback) {
+      callback({ success: false, error: 'Not in a room' });
+    }
+    return;
+  }
+  
+  if (!isTeamMode(room.gameMode)) {
+    if (callback) {
+      callback({ success: false, error: 'Room is not a team mode' });
+    }
+    return;
+  }
+  
+  if (!Object.prototype.hasOwnProperty.call(room.teamScores, team)) {
+    if (callback) {
+      callback({ success: false, error: 'Unknown team' });
+    }
+    return;
+  }
+  
+  if (player.team !== team) {
+    dropCarriedCrystal(socket.nsp, room, player.roomCode, socket.id, player.lastState);
+  }
+  player.team = team;
+  
+  // Everyone (including the switcher) updates team colors and friendly fire rules
+  socket.nsp.to(player.roomCode).emit('team-changed', {
+    playerId: socket.id,
+    team
+  });
+  
+  if (callback) {
+    callback({ success: true, team });
+  }
+}
+
 /**
  * Handle listing available rooms
  * @param {Object} socket - Socket instance
@@ -143,14 +632,19 @@ export function handleLeaveRoom(socket, rooms, players) {
 export function handleListRooms(socket, rooms, players, callback) {
   const availableRooms = [];
   
+  const maxSpectators = getRoomSettingsStats().maxSpectators;
   for (const [roomCode, roomData] of rooms.entries()) {
     const playerCount = roomData.socketIds.size;
-    // Only include public rooms that have at least one player and aren't full (assuming max 4 players)
-    if (!roomData.isPrivate && playerCount > 0 && playerCount < 4) {
+    const spectatorCount = roomData.spectatorIds.size;
+    // Only include public rooms that have at least one player and room to play or watch
+    if (!roomData.isPrivate && playerCount > 0 && (playerCount < roomData.maxPlayers || spectatorCount < maxSpectators)) {
       availableRooms.push({
         roomCode,
         playerCount,
-        maxPlayers: 4
+        maxPlayers: roomData.maxPlayers,
+        spectatorCount,
+        gameMode: roomData.gameMode,
+        arena: roomData.arena
       });
     }
   }
@@ -161,11 +655,13 @@ export function handleListRooms(socket, rooms, players, callback) {
 }
 
 /**
- * Handle room property updates (e.g., privacy toggle)
+ * Handle room property updates (privacy and room settings)
+ * Settings are validated here and can only change in the lobby, so every client switches
+ * mode and arena together before the next match. A new game mode resets scores and teams.
  * @param {Object} socket - Socket instance
  * @param {Map} rooms - Rooms map
  * @param {Map} players - Players map
- * @param {Object} updates - Room property updates (isPrivate, etc.)
+ * @param {Object} updates - Room property updates (isPrivate, gameMode, arena, killLimit, captureLimit, timeLimit, botCount, botDifficulty, maxPlayers)
  * @param {Function} callback - Callback function
  */
 export function handleUpdateRoom(socket, rooms, players, updates, callback) {
@@ -193,11 +689,43 @@ export function handleUpdateRoom(socket, rooms, players, updates, callback) {
     return;
   }
 
+  const { settings, error } = validateRoomSettings(updates, room);
+  if (error) {
+    if (callback) {
+      callback({ success: false, error });
+    }
+    return;
+  }
+
+  if (Object.keys(settings).length > 0 && room.match.phase !== MATCH_PHASES.LOBBY) {
+    if (callback) {
+      callback({ success: false, error: 'Room settings can only change in the lobby' });
+    }
+    return;
+  }
+
   // Update room properties
   const updatedProperties = {};
   if (updates.hasOwnProperty('isPrivate')) {
-    room.isPrivate = updates.isPrivate;
-    updatedProperties.isPrivate = updates.isPrivate;
+    room.isPrivate = !!updates.isPrivate;
+    updatedProperties.isPrivate = room.isPrivate;
+  }
+
+  const modeChanged = settings.gameMode !== undefined && settings.gameMode !== room.gameMode;
+  if (settings.arena !== undefined && settings.arena !== room.arena) {
+    room.arenaChangedAt = Date.now();
+  }
+  Object.assign(room, settings);
+  Object.assign(updatedProperties, settings);
+
+  if (modeChanged) {
+    clearCrystalTimers(player.roomCode, room);
+    resetRoomModeState(room);
+    room.respawnedAt = Date.now(); // Clients respawn for the new mode (see canTeleport)
+    updatedProperties.teams = reassignTeams(room, players);
+    updatedProperties.teamScores = room.teamScores;
+    updatedProperties.crystals = room.crystals;
+    updatedProperties.waves = getWaveSnapshot(room);
   }
 
   console.log(`Room ${player.roomCode} updated by ${socket.id}:`, updatedProperties);
@@ -214,6 +742,11 @@ export function handleUpdateRoom(socket, rooms, players, updates, callback) {
     updates: updatedProperties
   });
 
+  // A bigger room lets queued spectators in
+  if (settings.maxPlayers !== undefined) {
+    fillPlayerSlots(socket.nsp, room, player.roomCode, players);
+  }
+
   if (callback) {
     callback({ 
       success: true, 
@@ -222,3 +755,151 @@ export function handleUpdateRoom(socket, rooms, players, updates, callback) {
   }
 }
 
+
+/**
+ * Find the player a host moderation action targets
+ * The host can act on anyone else in their room, playing or spectating.
+ * @param {Object} socket - Host's socket instance
+ * @param {Map} rooms - Rooms map
+ * @param {Map} players - Players map
+ * @param {string} targetId - Target socket ID
+ * @returns {Object} {room, roomCode, target, error} - Target and their room, or an error message
+ */
+function resolveModerationTarget(socket, rooms, players, targetId) {
+  const host = players.get(socket.id);
+  const room = host && host.roomCode ? rooms.get(host.roomCode) : null;
+  if (!room) {
+    return { error: 'Not in a room' };
+  }
+  if (!host.isHost) {
+    return { error: 'Only the host can moderate players' };
+  }
+  if (targetId === socket.id) {
+    return { error: 'You cannot moderate yourself' };
+  }
+  const target = players.get(targetId);
+  if (!target || (!room.socketIds.has(targetId) && !room.spectatorIds.has(targetId))) {
+    return { error: 'Player is not in this room' };
+  }
+  return { room, roomCode: host.roomCode, target, error: null };
+}
+
+/**
+ * Remove a player or spectator from the room as if they had left, and tell them why
+ * @param {Object} socket - Host's socket instance
+ * @param {Map} rooms - Rooms map
+ * @param {Map} players - Players map
+ * @param {string} roomCode - Room code
+ * @param {string} targetId - Target socket ID
+ * @param {string} reason - 'kicked' or 'banned'
+ */
+function removeFromRoom(socket, rooms, players, roomCode, targetId, reason) {
+  // Players waiting to reconnect are removed through their old socket
+  const held = heldSlots.get(targetId);
+  if (held) {
+    clearTimeout(held.timer);
+    heldSlots.delete(targetId);
+  }
+  const targetSocket = held ? held.socket : socket.nsp.sockets.get(targetId);
+  if (!targetSocket) {
+    return;
+  }
+  targetSocket.emit('removed-from-room', { roomCode, reason });
+  handleLeaveRoom(targetSocket, rooms, players);
+  console.log(`Player ${targetId} was ${reason} from room ${roomCode} by ${socket.id}`);
+}
+
+/**
+ * Handle the host kicking a player or spectator (they may rejoin)
+ * @param {Object} socket - Socket instance
+ * @param {Map} rooms - Rooms map
+ * @param {Map} players - Players map
+ * @param {Object} data - {playerId} - Player to kick
+ * @param {Function} callback - Callback function
+ */
+export function handleKickPlayer(socket, rooms, players, data, callback) {
+  const { roomCode, error } = resolveModerationTarget(socket, rooms, players, data?.playerId);
+  if (error) {
+    if (callback) {
+      callback({ success: false, error });
+    }
+    return;
+  }
+
+  removeFromRoom(socket, rooms, players, roomCode, data.playerId, 'kicked');
+
+  if (callback) {
+    callback({ success: true });
+  }
+}
+
+/**
+ * Handle the host banning a player or spectator
+ * Bans are stored by client ID and last as long as the room.
+ * @param {Object} socket - Socket instance
+ * @param {Map} rooms - Rooms map
+ * @param {Map} players - Players map
+ * @param {Object} data - {playerId} - Player to ban
+ * @param {Function} callback - Callback function
+ */
+export function handleBanPlayer(socket, rooms, players, data, callback) {
+  const { room, roomCode, target, error } = resolveModerationTarget(socket, rooms, players, data?.playerId);
+  if (error) {
+    if (callback) {
+      callback({ success: false, error });
+    }
+    return;
+  }
+
+  if (!target.clientId) {
+    if (callback) {
+      callback({ success: false, error: 'Player cannot be banned (no player ID)' });
+    }
+    return;
+  }
+
+  room.bannedClientIds.add(target.clientId);
+  removeFromRoom(socket, rooms, players, roomCode, data.playerId, 'banned');
+
+  if (callback) {
+    callback({ success: true });
+  }
+}
+
+/**
+ * Handle the host muting or unmuting a player or spectator in chat
+ * @param {Object} socket - Socket instance
+ * @param {Map} rooms - Rooms map
+ * @param {Map} players - Players map
+ * @param {Object} data - {playerId, muted} - Player to mute and whether to mute or unmute
+ * @param {Function} callback - Callback function
+ */
+export function handleMutePlayer(socket, rooms, players, data, callback) {
+  const { room, roomCode, target, error } = resolveModerationTarget(socket, rooms, players, data?.playerId);
+  if (error) {
+    if (callback) {
+      callback({ success: false, error });
+    }
+    return;
+  }
+
+  if (!target.clientId) {
+    if (callback) {
+      callback({ success: false, error: 'Player cannot be muted (no player ID)' });
+    }
+    return;
+  }
+
+  const muted = data.muted !== false;
+  if (muted) {
+    room.mutedClientIds.add(target.clientId);
+  } else {
+    room.mutedClientIds.delete(target.clientId);
+  }
+  console.log(`Player ${data.playerId} was ${muted ? 'muted' : 'unmuted'} in room ${roomCode} by ${socket.id}`);
+  broadcastMutedPlayers(socket.nsp, roomCode, room, players);
+
+  if (callback) {
+    callback({ success: true, muted });
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * statusEffectHandler.js
+ *
+ * Handles status effects reported by clients: effects a player's melee put on another
+ * player, and effects a player took from bots or gave itself. Accepted effects go into
+ * the room's status effect ledger, which tells everyone.
+ */
+
+import { rateLimiter } from './playerHandler.js';
+import { validateStatusEffect } from '../utils/damageValidation.js';
+import { isFriendlyFire } from '../utils/roomUtils.js';
+import { applyRoomStatusEffect } from '../utils/roomStatusEffects.js';
+import { getStatusEffectStats } from '../../config/abilities/StatusEffectConfig.js';
+import { isRegisteredCharacter } from '../../config/character/CharacterRegistry.js';
+import { isBotId } from '../../config/global/KillFeedConfig.js';
+import { getStatusEffectOptions } from '../../core/systems/statusEffects/StatusEffects.js';
+
+/**
+ * Handle a reported status effect
+ * @param {Object} socket - Socket instance
+ * @param {Map} rooms - Rooms map
+ * @param {Map} players - Players map
+ * @param {Object} data - Effect data {type, targetId, sourceId, characterName} - targetId is
+ *   left out for effects on the reporting player, whose sourceId (a bot) and characterName
+ *   (the bot's character) say where the effect came from
+ */
+export function handleStatusEffect(socket, rooms, players, data) {
+  const player = players.get(socket.id);
+  if (!player || !player.roomCode || !data || typeof data.type !== 'string') return;
+  const room = rooms.get(player.roomCode);
+  if (!room) return;
+
+  if (!rateLimiter.consume(socket.id, 'status-effect', getStatusEffectStats().rateLimit)) {
+    return;
+  }
+
+  const targetId = data.targetId || socket.id;
+  const target = players.get(targetId);
+  if (!target || target.roomCode !== player.roomCode) return;
+  const isSelf = targetId === socket.id;
+  if (!isSelf && isFriendlyFire(room, players, socket.id, targetId)) return;
+
+  const entry = room.health.get(targetId);
+  if (entry && entry.health <= 0) return;
+
+  const characterName = player.gameState?.characterName || 'lucy';
+  const reason = validateStatusEffect(characterName, data.type, isSelf, entry?.meleeHits.get(socket.id), Date.now());
+  if (reason) return;
+
+  let options;
+  if (!isSelf) {
+    options = { ...getStatusEffectOptions(data.type, characterName), sourceId: socket.id };
+  } else if (isBotId(data.sourceId)) {
+    const botCharacter = isRegisteredCharacter(data.characterName) ? data.characterName : null;
+    options = { ...getStatusEffectOptions(data.type, botCharacter), sourceId: data.sourceId };
+  } else {
+    options = { ...getStatusEffectOptions(data.type, characterName), sourceId: null };
+  }
+  applyRoomStatusEffect(socket.nsp, room, player.roomCode, targetId, data.type, options);
+}
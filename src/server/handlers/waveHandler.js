@@ -0,0 +1,127 @@
+/**
+ * waveHandler.js
+ *
+ * Handles wave co-op survival state.
+ * Bots are simulated by each client, so the server owns only what players share:
+ * the wave number, when the next wave starts and the shared life pool. A wave ends
+ * once every player in the room has reported clearing it, and every player death
+ * (confirmed by the damage ledger) spends a life from the pool. Waves only run while
+ * the room's match is being played; running out of lives ends the match.
+ */
+
+import { getWaveSnapshot, isMatchLive } from '../utils/roomUtils.js';
+import { getWaveStats } from '../../config/gamemode/WaveConfig.js';
+import { endMatch } from './matchHandler.js';
+
+/**
+ * Broadcast wave state to everyone in the room
+ * @param {Object} nsp - Socket.io namespace
+ * @param {string} roomCode - Room code
+ * @param {Object} room - Room object
+ * @param {Object} event - What changed {type, wave}
+ */
+function broadcastWaves(nsp, roomCode, room, event) {
+  nsp.to(roomCode).emit('wave-state', {
+    waves: getWaveSnapshot(room),
+    event
+  });
+}
+
+/**
+ * Start the next wave once every player in the room has cleared the current one
+ * Also called when a player leaves, since they may have been the last one fighting.
+ * @param {Object} nsp - Socket.io namespace
+ * @param {Object} room - Room object
+ * @param {string} roomCode - Room code
+ */
+export function checkWaveCleared(nsp, room, roomCode) {
+  if (!room || !room.waves || !isMatchLive(room) || room.socketIds.size === 0) {
+    return;
+  }
+
+  const waves = room.waves;
+  const everyoneCleared = [...room.socketIds].every(id => waves.clearedBy.has(id));
+  if (!everyoneCleared) {
+    return;
+  }
+
+  const clearedWave = waves.wave;
+  waves.wave++;
+  waves.startsAt = Date.now() + getWaveStats().intermissionSeconds * 1000;
+  waves.clearedBy.clear();
+  broadcastWaves(nsp, roomCode, room, { type: 'wave-cleared', wave: clearedWave });
+}
+
+/**
+ * Handle a client reporting that it cleared a wave
+ * @param {Object} socket - Socket instance
+ * @param {Map} rooms - Rooms map
+ * @param {Map} players - Players map
+ * @param {Object} data - Report {wave}
+ * @param {Function} callback - Callback function
+ */
+export function handleWaveCleared(socket, rooms, players, data, callback) {
+  const respond = (response) => {
+    if (typeof callback === 'function') {
+      callback(response);
+    }
+  };
+
+  const player = players.get(socket.id);
+  const room = player ? rooms.get(player.roomCode) : null;
+  if (!player || !room) {
+    respond({ success: false, error: 'Not in a room' });
+    return;
+  }
+  if (!room.waves) {
+    respond({ success: false, error: 'Room has no waves' });
+    return;
+  }
+  if (!isMatchLive(room)) {
+    respond({ success: false, error: 'Match not in progress' });
+    return;
+  }
+  if (data?.wave !== room.waves.wave) {
+    respond({ success: false, error: 'Not the current wave' });
+    return;
+  }
+  if (Date.now() < room.waves.startsAt) {
+    respond({ success: false, error: 'Wave has not started' });
+    return;
+  }
+
+  room.waves.clearedBy.add(socket.id);
+  checkWaveCleared(socket.nsp, room, player.roomCode);
+  respond({ success: true });
+}
+
+/**
+ * Spend a life from the shared pool when a player dies during a wave
+ * When the pool runs out the run is over and the match ends.
+ * @param {Object} nsp - Socket.io namespace
+ * @param {Object} room - Room object
+ * @param {string} roomCode - Room code
+ * @param {string} socketId - Player who died
+ */
+export function loseWaveLife(nsp, room, roomCode, socketId) {
+  if (!room || !room.waves || !isMatchLive(room)) {
+    return;
+  }
+
+  const now = Date.now();
+  if (now < room.waves.startsAt) {
+    // Deaths between waves are free
+    return;
+  }
+
+  room.waves.livesRemaining = Math.max(0, room.waves.livesRemaining - 1);
+  if (room.waves.livesRemaining > 0) {
+    broadcastWaves(nsp, roomCode, room, { type: 'life-lost', wave: room.waves.wave, playerId: socketId });
+    return;
+  }
+
+  const reachedWave = room.waves.wave;
+  console.log(`Room ${roomCode}: co-op run over at wave ${reachedWave}`);
+  broadcastWaves(nsp, roomCode, room, { type: 'game-over', wave: reachedWave, playerId: socketId });
+  endMatch(nsp, room, roomCode, { reason: 'wave-lost', winningTeam: null, wave: reachedWave });
+}
@@ -7,8 +7,18 @@
 
 import { createServer } from 'http';
 import { Server } from 'socket.io';
-import { handleCreateRoom, handleJoinRoom, handleLeaveRoom, handleListRooms, handleUpdateRoom } from './handlers/roomHandler.js';
-import { handlePlayerState, handleProjectileCreate, handleProjectileUpdate, handlePlayerDamage, handleCharacterChange, handleRequestExistingPlayers, rateLimiter } from './handlers/playerHandler.js';
+import { handleCreateRoom, handleJoinRoom, handleLeaveRoom, handleListRooms, handleUpdateRoom, handleSwitchTeam, handleKickPlayer, handleBanPlayer, handleMutePlayer, handleResumeRoom, handleDisconnect } from './handlers/roomHandler.js';
+import { handlePlayerState, handlePlayerInput, handlePingProbe, handlePlayerDamage, handleCharacterChange, handleRequestExistingPlayers, broadcastPlayerStates, rateLimiter } from './handlers/playerHandler.js';
+import { handleProjectileCreate, handleProjectileUpdate, simulateProjectiles } from './handlers/projectileHandler.js';
+import { handleAbilityActivate } from './handlers/abilityHandler.js';
+import { handleStatusEffect } from './handlers/statusEffectHandler.js';
+import { handleCrystalAction } from './handlers/crystalHandler.js';
+import { handleWaveCleared } from './handlers/waveHandler.js';
+import { handleMatchStart, handleMatchReady } from './handlers/matchHandler.js';
+import { handleChatMessage } from './handlers/chatHandler.js';
+import { handlePlayerKilled } from './handlers/killFeedHandler.js';
+import { getPlayerStateStats } from '../config/global/PlayerStateConfig.js';
+import { PROJECTILE_SIMULATION } from './utils/projectileSimulation.js';
 
 const PORT = process.env.PORT || 3001;
 
@@ -52,7 +62,17 @@ const io = new Server(httpServer, {
 
 // Store active rooms and players
 const rooms = new Map(); // roomCode -> Set of socketIds
-const players = new Map(); // socketId -> { roomCode, playerId, gameState }
+const players = new Map(); // socketId -> { roomCode, playerId, netId, clientId, name, gameState }
+
+// One player-state packet per client per tick
+setInterval(() => {
+  broadcastPlayerStates(io.of('/'), rooms, players);
+}, getPlayerStateStats().tickMs);
+
+// Bolts, mortars and splash areas are simulated here, so hits between players are decided by the server
+setInterval(() => {
+  simulateProjectiles(io.of('/'), rooms, players);
+}, PROJECTILE_SIMULATION.tickMs);
 
 io.on('connection', (socket) => {
   console.log(`Player connected: ${socket.id}`);
@@ -77,24 +97,79 @@ io.on('connection', (socket) => {
     handleLeaveRoom(socket, rooms, players);
   });
 
-  // Send player state update (position, rotation, animation)
-  socket.on('player-state', (state) => {
-    handlePlayerState(socket, players, state);
+  // Take back a room slot after the connection dropped
+  socket.on('resume-room', (data, callback) => {
+    handleResumeRoom(socket, rooms, players, data, callback);
+  });
+
+  // Start a match (host only)
+  socket.on('match-start', (callback) => {
+    handleMatchStart(socket, rooms, players, callback);
+  });
+
+  // Toggle ready for the next match
+  socket.on('match-ready', (data, callback) => {
+    handleMatchReady(socket, rooms, players, data, callback);
+  });
+
+  // Switch team (team modes)
+  socket.on('switch-team', (team, callback) => {
+    handleSwitchTeam(socket, rooms, players, team, callback);
+  });
+
+  // Pick up, return or capture a crystal (capture-the-crystal mode)
+  socket.on('crystal-action', (data, callback) => {
+    handleCrystalAction(socket, rooms, players, data, callback);
+  });
+
+  // Report clearing a wave (wave co-op survival)
+  socket.on('wave-cleared', (data, callback) => {
+    handleWaveCleared(socket, rooms, players, data, callback);
+  });
+
+  // Send a chat message or quick-chat preset to the room
+  socket.on('chat-message', (data, callback) => {
+    handleChatMessage(socket, rooms, players, data, callback);
+  });
+
+  // Report a kill the server did not simulate (bots, arena falls) for the kill feed
+  socket.on('player-killed', (data, callback) => {
+    handlePlayerKilled(socket, rooms, players, data, callback);
+  });
+
+  // Binary player state upload (position, rotation, animation) - relayed in the state tick
+  socket.on('player-state', (data) => {
+    handlePlayerState(socket, players, data);
+  });
+
+  // Send local player input commands (prediction and reconciliation)
+  socket.on('player-input', (inputData) => {
+    handlePlayerInput(socket, rooms, players, inputData);
   });
 
   // Send projectile creation (bolt or mortar)
   socket.on('projectile-create', (projectileData) => {
-    handleProjectileCreate(socket, players, projectileData);
+    handleProjectileCreate(socket, rooms, players, projectileData);
   });
   
   // Send projectile position update
   socket.on('projectile-update', (updateData) => {
-    handleProjectileUpdate(socket, players, updateData);
+    handleProjectileUpdate(socket, rooms, players, updateData);
+  });
+
+  // Send ability activation (sword swing, blast, projectile ring)
+  socket.on('ability-activate', (data) => {
+    handleAbilityActivate(socket, rooms, players, data);
+  });
+
+  // Send status effect (melee poison on another player, effects from bots or self-given)
+  socket.on('status-effect', (data) => {
+    handleStatusEffect(socket, rooms, players, data);
   });
 
   // Send player damage/health update
   socket.on('player-damage', (damageData) => {
-    handlePlayerDamage(socket, players, damageData);
+    handlePlayerDamage(socket, rooms, players, damageData);
   });
 
   // Handle character change
@@ -117,14 +192,27 @@ io.on('connection', (socket) => {
     handleUpdateRoom(socket, rooms, players, updates, callback);
   });
 
-  // Latency probe — ack immediately so client can measure RTT.
-  socket.on('ping-probe', (ack) => {
-    if (typeof ack === 'function') ack();
+  // Host moderation (kick, ban for the room's lifetime, chat mute)
+  socket.on('kick-player', (data, callback) => {
+    handleKickPlayer(socket, rooms, players, data, callback);
+  });
+
+  socket.on('ban-player', (data, callback) => {
+    handleBanPlayer(socket, rooms, players, data, callback);
+  });
+
+  socket.on('mute-player', (data, callback) => {
+    handleMutePlayer(socket, rooms, players, data, callback);
+  });
+
+  // Latency probe — ack immediately so client can measure RTT (and record the RTT it reports)
+  socket.on('ping-probe', (data, ack) => {
+    handlePingProbe(socket, players, data, ack);
   });
 
   // Handle disconnection
   socket.on('disconnect', () => {
-    handleLeaveRoom(socket, rooms, players);
+    handleDisconnect(socket, rooms, players);
     
     // Clean up rate limiter data
     rateLimiter.clear(socket.id);
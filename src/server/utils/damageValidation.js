@@ -0,0 +1,300 @@
+/**
+ * damageValidation.js
+ *
+ * Server-side plausibility checks for damage reports.
+ * Uses the shared ability configs so limits stay in sync with the client.
+ */
+
+import { getBoltStats, getMortarStats, getMeleeStats, getBlastStats, getMultiProjectileStats, getBarrierStats, getTrapStats, getBoltStormStats, getGroundSlamStats } from '../../core/systems/abilities/functions/CharacterAbilityStats.js';
+import { getCharacterHealthStats } from '../../config/character/CharacterStats.js';
+import { getRespawnStats } from '../../config/collision/CollisionStats.js';
+import { getCharacterNames, canCharacterInflict, canCharacterGrant } from '../../config/character/CharacterRegistry.js';
+import { getStatusEffectConfig } from '../../config/abilities/StatusEffectConfig.js';
+
+/**
+ * Damage validation limits
+ */
+export const DAMAGE_VALIDATION = {
+  positionTolerance: 1.5,         // Extra units allowed for latency between player-state packets
+  maxProjectileSpeed: 30,         // Upper bound for any bolt speed (units per second)
+  projectileGraceMs: 1000,        // Extra lifetime allowed for projectile hits
+  maxUnattributedDamage: 50,      // Cap for damage without a player attacker (bots, environment)
+  maxHealPerSecond: 15,           // Maximum healing rate (base 5 HP/s × 3 hold multiplier)
+  minRespawnDelayMs: 500,         // Minimum time between death and respawn report
+  stateStaleMs: 3000,             // Positions older than this are not used for range checks
+  fireRateSlack: 1.25,            // Multiplier on allowed fire rate to absorb jitter
+  meleeEventLimit: { capacity: 30, refillPerSecond: 15 } // Attacker-reported melee ticks and trap hits
+};
+
+/**
+ * Attack types that an attacker may report against another player
+ */
+export const ATTACKER_REPORTED_TYPES = new Set(['melee', 'trap', 'groundSlam']);
+
+/**
+ * Attack types the server simulates between players (never accepted from a report)
+ */
+export const SERVER_SIMULATED_TYPES = new Set(['bolt', 'mortar', 'splash']);
+
+/**
+ * Create a fresh health ledger entry
+ * @returns {Object} Health entry {health, maxHealth, updatedAt, diedAt, meleeHits}
+ */
+export function createHealthEntry() {
+  const healthStats = getCharacterHealthStats();
+  return {
+    health: healthStats.defaultHealth,
+    maxHealth: healthStats.maxHealth,
+    updatedAt: Date.now(),
+    diedAt: null,
+    meleeHits: new Map() // attackerId -> timestamp of last accepted melee hit
+  };
+}
+
+/**
+ * Get projectile fire rate limit for a character
+ * @param {string} projectileType - 'bolt' or 'mortar'
+ * @param {string} characterName - Character name
+ * @returns {Object} Rate limit {capacity, refillPerSecond}
+ */
+export function getFireRateLimit(projectileType, characterName) {
+  if (projectileType === 'mortar') {
+    const mortarStats = getMortarStats(characterName);
+    return {
+      capacity: 2,
+      refillPerSecond: DAMAGE_VALIDATION.fireRateSlack / mortarStats.cooldown
+    };
+  }
+
+  const boltStats = getBoltStats(characterName);
+  const boostMultiplier = boltStats.speedBoost?.cooldownMultiplier || 1;
+  const minCooldown = boltStats.cooldown * boostMultiplier;
+  return {
+    capacity: 4,
+    refillPerSecond: DAMAGE_VALIDATION.fireRateSlack / minCooldown
+  };
+}
+
+/**
+ * Get the fire rate limit for a bolt storm's bolts
+ * The whole storm may arrive in one burst; the storm window itself is checked by
+ * the caller (see projectileHandler).
+ * @param {string} characterName - Character name
+ * @returns {Object|null} Rate limit {capacity, refillPerSecond} or null if the character has no bolt storm
+ */
+export function getBoltStormRateLimit(characterName) {
+  const stormStats = getBoltStormStats(characterName);
+  if (!stormStats || !(stormStats.cooldown > 0)) {
+    return null;
+  }
+  return {
+    capacity: stormStats.boltCount,
+    refillPerSecond: DAMAGE_VALIDATION.fireRateSlack * stormStats.boltCount / stormStats.cooldown
+  };
+}
+
+/**
+ * Stats getters for abilities that clients announce with 'ability-activate'
+ */
+const RELAYED_ABILITY_STATS = {
+  melee: getMeleeStats,
+  blast: getBlastStats,
+  multiProjectile: getMultiProjectileStats,
+  barrier: getBarrierStats,
+  trap: getTrapStats,
+  boltStorm: getBoltStormStats,
+  groundSlam: getGroundSlamStats
+};
+
+/**
+ * Get the token bucket limit for an ability activation
+ * @param {string} ability - Ability name
+ * @param {string} characterName - Caster character name
+ * @returns {Object|null} Rate limit {capacity, refillPerSecond} or null if the character can't use it
+ */
+export function getAbilityRateLimit(ability, characterName) {
+  const getStats = Object.prototype.hasOwnProperty.call(RELAYED_ABILITY_STATS, ability)
+    ? RELAYED_ABILITY_STATS[ability]
+    : null;
+  const cooldown = getStats ? getStats(characterName)?.cooldown : 0;
+  if (!(cooldown > 0)) {
+    return null;
+  }
+  return {
+    capacity: 2,
+    refillPerSecond: DAMAGE_VALIDATION.fireRateSlack / cooldown
+  };
+}
+
+/**
+ * Get the maximum damage a single hit of an attack type can deal
+ * @param {string} attackType - Attack type (bolt, mortar, splash, melee, trap, groundSlam, poison)
+ * @param {string} characterName - Attacker character name
+ * @returns {number} Maximum damage per hit
+ */
+export function getMaxHitDamage(attackType, characterName) {
+  switch (attackType) {
+    case 'bolt': {
+      const multiProjectile = getMultiProjectileStats(characterName);
+      const meleeProjectileDamage = getMeleeStats(characterName).projectileDamage || 0;
+      return Math.max(getBoltStats(characterName).damage, multiProjectile?.damage || 0, meleeProjectileDamage);
+    }
+    case 'mortar':
+      return getMortarStats(characterName).damage;
+    case 'splash':
+      return getMortarStats(characterName).areaDamage;
+    case 'melee': {
+      const meleeStats = getMeleeStats(characterName);
+      return Math.max(meleeStats.initialDamage, meleeStats.damage);
+    }
+    case 'trap':
+      return getTrapStats(characterName)?.damage || 0;
+    case 'groundSlam':
+      return getGroundSlamStats(characterName)?.damage || 0;
+    case 'poison':
+      return Math.max(...getCharacterNames().map(name => getMeleeStats(name).poisonDamage || 0));
+    default:
+      return DAMAGE_VALIDATION.maxUnattributedDamage;
+  }
+}
+
+/**
+ * Horizontal distance between two positions
+ * @param {Object} a - Position {x, z}
+ * @param {Object} b - Position {x, z}
+ * @returns {number} Distance
+ */
+function distance2D(a, b) {
+  const dx = a.x - b.x;
+  const dz = a.z - b.z;
+  return Math.sqrt(dx * dx + dz * dz);
+}
+
+/**
+ * Get a usable last-known position, or null if unknown or stale
+ * @param {Object} player - Player entry from players map
+ * @param {number} now - Current timestamp
+ * @returns {Object|null} Position {x, y, z} or null
+ */
+export function getKnownPosition(player, now) {
+  const state = player?.lastState;
+  if (!state || now - state.receivedAt > DAMAGE_VALIDATION.stateStaleMs) {
+    return null;
+  }
+  return state;
+}
+
+/**
+ * Validate a melee hit reported by the attacker
+ * @param {string} characterName - Attacker character name
+ * @param {Object|null} attackerPos - Attacker last-known position
+ * @param {Object|null} victimPos - Victim last-known position
+ * @returns {string|null} Rejection reason or null if plausible
+ */
+export function validateMeleeHit(characterName, attackerPos, victimPos) {
+  if (!attackerPos || !victimPos) {
+    return 'unknown position';
+  }
+  const meleeStats = getMeleeStats(characterName);
+  if (distance2D(attackerPos, victimPos) > meleeStats.range + DAMAGE_VALIDATION.positionTolerance) {
+    return 'out of melee range';
+  }
+  return null;
+}
+
+/**
+ * Validate a ground slam hit reported by the attacker
+ * The slam must be the attacker's last relayed ultimate, recent enough for its
+ * knockback to still be landing, and around where they slammed. Each player can only
+ * be hit once per slam.
+ * @param {string} characterName - Attacker character name
+ * @param {Object|null} lastUltimate - Attacker's last ultimate {ability, x, z, at, hitIds}
+ * @param {Object|null} victimPos - Victim position where the attacker saw them
+ * @param {string} targetId - Victim socket ID
+ * @param {number} now - Current timestamp
+ * @returns {string|null} Rejection reason or null if plausible
+ */
+export function validateSlamHit(characterName, lastUltimate, victimPos, targetId, now) {
+  const slamStats = getGroundSlamStats(characterName);
+  if (!slamStats || !lastUltimate || lastUltimate.ability !== 'groundSlam') {
+    return 'no ground slam';
+  }
+  if (now - lastUltimate.at > slamStats.animationDuration * 1000 + DAMAGE_VALIDATION.projectileGraceMs) {
+    return 'ground slam too old';
+  }
+  if (!victimPos) {
+    return 'unknown position';
+  }
+  if (distance2D(lastUltimate, victimPos) > slamStats.radius + DAMAGE_VALIDATION.positionTolerance) {
+    return 'out of ground slam range';
+  }
+  if (lastUltimate.hitIds.has(targetId)) {
+    return 'already hit by this ground slam';
+  }
+  return null;
+}
+
+/**
+ * Validate a status effect reported by the player applying it
+ * Effects on another player must be ones the attacker's character inflicts and follow
+ * one of their melee hits (or trap or ground slam hits) on that player. Players may report harmful effects on
+ * themselves (from bots or their own attacks) but only the beneficial ones their
+ * character grants.
+ * @param {string} characterName - Reporting player's character name
+ * @param {string} type - Effect type
+ * @param {boolean} isSelf - Whether the effect is on the reporting player
+ * @param {number|undefined} lastMeleeHitAt - Timestamp of the reporter's last accepted melee, trap or ground slam hit on the target
+ * @param {number} now - Current timestamp
+ * @returns {string|null} Rejection reason or null if plausible
+ */
+export function validateStatusEffect(characterName, type, isSelf, lastMeleeHitAt, now) {
+  const config = getStatusEffectConfig(type);
+  if (!config) {
+    return 'unknown status effect';
+  }
+  if (isSelf) {
+    return config.beneficial && !canCharacterGrant(characterName, type) ? 'character cannot grant this effect' : null;
+  }
+  if (config.beneficial || !canCharacterInflict(characterName, type)) {
+    return 'character cannot inflict this effect';
+  }
+  if (!lastMeleeHitAt) {
+    return 'no melee hit to apply the effect from';
+  }
+  const windowMs = getMeleeStats(characterName).animationDuration * 1000 + DAMAGE_VALIDATION.projectileGraceMs;
+  if (now - lastMeleeHitAt > windowMs) {
+    return 'melee hit too old';
+  }
+  return null;
+}
+
+/**
+ * Compute the highest health a self-report may claim (bounded healing)
+ * Healing is counted from the last time the server changed the entry, and the dead
+ * don't heal: coming back goes through a respawn report (see canRespawn).
+ * @param {Object} entry - Health ledger entry
+ * @param {number} now - Current timestamp
+ * @returns {number} Maximum allowed health before applying new damage
+ */
+export function getHealthCeiling(entry, now) {
+  if (entry.health <= 0) {
+    return 0;
+  }
+  const elapsed = Math.max(0, (now - entry.updatedAt) / 1000);
+  return Math.min(entry.maxHealth, entry.health + elapsed * DAMAGE_VALIDATION.maxHealPerSecond);
+}
+
+/**
+ * Check whether a respawn report is allowed
+ * @param {Object} entry - Health ledger entry
+ * @param {Object|null} lastState - Last player-state received from the player
+ * @param {number} now - Current timestamp
+ * @returns {boolean} True if respawn to full health is allowed
+ */
+export function canRespawn(entry, lastState, now) {
+  if (entry.health <= 0) {
+    return entry.diedAt === null || now - entry.diedAt >= DAMAGE_VALIDATION.minRespawnDelayMs;
+  }
+  // Falling out of the arena respawns without a death
+  return !!lastState && lastState.y <= getRespawnStats().fallThreshold;
+}
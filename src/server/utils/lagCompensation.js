@@ -0,0 +1,96 @@
+/**
+ * lagCompensation.js
+ *
+ * Rewinds players to where a shooter saw them.
+ * Keeps a short position history per player (from player-state receive times) and
+ * the RTT each client measures with its ping-probe. A shooter sees others about one
+ * round trip plus the interpolation delay in the past, so hits are checked against
+ * targets rewound by that much, up to a cap.
+ */
+
+import { GAME_CONSTANTS } from '../../config/global/GameConstants.js';
+import { getKnownPosition } from './damageValidation.js';
+
+/**
+ * Lag compensation settings
+ */
+export const LAG_COMPENSATION = {
+  historyMs: 1000,    // Position history kept per player
+  maxRewindMs: 300,   // Longest rewind (players with worse pings lead their shots)
+  maxLatencyMs: 2000  // Reported RTTs above this are ignored
+};
+
+/**
+ * Record a player's reported round-trip time
+ * @param {Object} player - Player record
+ * @param {number} latency - RTT in milliseconds measured by the client
+ */
+export function recordLatency(player, latency) {
+  const rtt = Number(latency);
+  if (!player || !Number.isFinite(rtt) || rtt < 0 || rtt > LAG_COMPENSATION.maxLatencyMs) {
+    return;
+  }
+  player.latency = rtt;
+}
+
+/**
+ * Add a player's latest known position to their history
+ * @param {Object} player - Player record
+ * @param {Object} position - Position {x, y, z, receivedAt}
+ */
+export function recordPosition(player, position) {
+  if (!player.positionHistory) {
+    player.positionHistory = [];
+  }
+  const history = player.positionHistory;
+  history.push({ x: position.x, y: position.y, z: position.z, time: position.receivedAt });
+  while (history.length > 1 && position.receivedAt - history[0].time > LAG_COMPENSATION.historyMs) {
+    history.shift();
+  }
+}
+
+/**
+ * Get how far to rewind targets for a shooter's hits
+ * @param {Object} shooter - Shooter's player record
+ * @returns {number} Rewind in milliseconds (RTT plus interpolation delay, capped)
+ */
+export function getRewindMs(shooter) {
+  const rtt = shooter?.latency || 0;
+  return Math.min(LAG_COMPENSATION.maxRewindMs, rtt + GAME_CONSTANTS.INTERPOLATION_RENDER_DELAY);
+}
+
+/**
+ * Get where a player was a while ago, interpolated between history samples
+ * Falls back to the oldest sample if the history does not reach back far enough.
+ * @param {Object} player - Player record
+ * @param {number} rewindMs - How far to rewind
+ * @param {number} now - Current timestamp
+ * @returns {Object|null} Position {x, y, z}, or null if the player's position is unknown or stale
+ */
+export function getRewoundPosition(player, rewindMs, now) {
+  const current = getKnownPosition(player, now);
+  const history = player?.positionHistory;
+  if (!current || !history || history.length === 0 || rewindMs <= 0) {
+    return current;
+  }
+
+  const time = now - rewindMs;
+  if (time >= history[history.length - 1].time) {
+    return current;
+  }
+  for (let i = history.length - 1; i > 0; i--) {
+    const before = history[i - 1];
+    if (before.time <= time) {
+      const after = history[i];
+      const span = after.time - before.time;
+      const t = span > 0 ? (time - before.time) / span : 1;
+      return {
+        x: before.x + (after.x - before.x) * t,
+        y: before.y + (after.y - before.y) * t,
+        z: before.z + (after.z - before.z) * t
+      };
+    }
+  }
+  const oldest = history[0];
+  return { x: oldest.x, y: oldest.y, z: oldest.z };
+}
@@ -0,0 +1,143 @@
+/**
+ * movementValidation.js
+ *
+ * Server-side authority for local player movement.
+ * The server does not run arena collision, so it accepts each predicted position
+ * only as far as the character's top speed allows. A small distance budget absorbs
+ * knockback bursts and jitter; anything beyond it is clamped and the client is
+ * corrected through the input acknowledgement. The budget refills from the server's
+ * own clock: commands may not claim more frame time than has passed since the last
+ * input batch.
+ * Teleports (respawn moves) skip the budget, but only right after a respawn the
+ * server knows about.
+ */
+
+import { getCharacterMovementStatsFor } from '../../config/character/CharacterStats.js';
+import { getRespawnStats } from '../../config/collision/CollisionStats.js';
+
+/**
+ * Movement validation limits
+ */
+export const MOVEMENT_VALIDATION = {
+  speedSlack: 1.3,            // Multiplier on top speed to absorb frame timing differences
+  burstDistance: 4,           // Extra distance budget (units) for knockback and packet bunching
+  maxCommandDt: 0.1,          // Longest frame a single command may claim (seconds)
+  maxCommandsPerBatch: 60,    // Commands beyond this in one batch are ignored
+  maxTimeCredit: 0.5,         // Server time (seconds) a player may bank between batches (packet bunching)
+  inputEventLimit: { capacity: 30, refillPerSecond: 30 },   // player-input batches
+  teleportLimit: { capacity: 2, refillPerSecond: 0.2 },     // Client-declared teleports (respawns)
+  teleportWindowMs: 2000      // How long after a known respawn a teleport is accepted
+};
+
+/**
+ * Create authoritative movement state from a first accepted position
+ * @param {number} x - X position
+ * @param {number} z - Z position
+ * @param {number} now - Current timestamp
+ * @returns {Object} Movement state {seq, x, z, budget, timeCredit, creditedAt}
+ */
+export function createMovementState(x, z, now) {
+  return {
+    seq: 0,
+    x,
+    z,
+    budget: MOVEMENT_VALIDATION.burstDistance,
+    timeCredit: 0,             // Seconds of frame time commands may still claim
+    creditedAt: now            // When timeCredit was last topped up
+  };
+}
+
+/**
+ * Credit the server time that passed since the last input batch
+ * Commands in the batch spend it (see applyMovementCommand).
+ * @param {Object} movement - Movement state (mutated)
+ * @param {number} now - Current timestamp
+ */
+export function creditMovementTime(movement, now) {
+  const elapsed = Math.max(0, now - movement.creditedAt) / 1000;
+  movement.timeCredit = Math.min(MOVEMENT_VALIDATION.maxTimeCredit, movement.timeCredit + elapsed);
+  movement.creditedAt = now;
+}
+
+/**
+ * Get the fastest a character may move
+ * @param {string} characterName - Character name
+ * @returns {number} Maximum speed (units per second) including slack
+ */
+export function getMaxMoveSpeed(characterName) {
+  const movement = getCharacterMovementStatsFor(characterName);
+  return movement.moveSpeed * movement.runSpeedMultiplier * MOVEMENT_VALIDATION.speedSlack;
+}
+
+/**
+ * Check that an input command is well formed
+ * @param {Object} command - Input command
+ * @returns {boolean} True if usable
+ */
+export function isValidCommand(command) {
+  return !!command &&
+    Number.isInteger(command.seq) &&
+    Number.isFinite(command.dt) &&
+    Number.isFinite(command.x) &&
+    Number.isFinite(command.z);
+}
+
+/**
+ * Check whether the server knows of a respawn that allows a teleport now
+ * That is an accepted respawn report or the room moving everyone to their spawns
+ * (mode change, match phase change) within the teleport window, or the player
+ * being dead or fallen out of the arena, since their respawn report may arrive
+ * after the move.
+ * @param {Object} player - Player entry from players map
+ * @param {Object|null} room - Player's room
+ * @param {number} now - Current timestamp
+ * @returns {boolean} True if a teleport may be accepted
+ */
+export function canTeleport(player, room, now) {
+  const windowMs = MOVEMENT_VALIDATION.teleportWindowMs;
+  if (player.respawnedAt && now - player.respawnedAt <= windowMs) {
+    return true;
+  }
+  if (room && room.respawnedAt && now - room.respawnedAt <= windowMs) {
+    return true;
+  }
+  const entry = room ? room.health.get(player.playerId) : null;
+  if (entry && entry.health <= 0) {
+    return true;
+  }
+  return !!player.lastState && player.lastState.y <= getRespawnStats().fallThreshold;
+}
+
+/**
+ * Advance authoritative movement by one command
+ * Moves toward the predicted position, clamped by the distance budget. The command's
+ * frame time only refills the budget as far as the credited server time covers it.
+ * @param {Object} movement - Movement state (mutated)
+ * @param {Object} command - Input command {seq, dt, x, z}
+ * @param {number} maxSpeed - Maximum speed (units per second)
+ * @returns {boolean} True if the predicted position had to be clamped
+ */
+export function applyMovementCommand(movement, command, maxSpeed) {
+  const dt = Math.min(Math.max(command.dt, 0), MOVEMENT_VALIDATION.maxCommandDt, movement.timeCredit);
+  movement.timeCredit -= dt;
+  movement.budget = Math.min(MOVEMENT_VALIDATION.burstDistance, movement.budget + maxSpeed * dt);
+  movement.seq = command.seq;
+
+  const dx = command.x - movement.x;
+  const dz = command.z - movement.z;
+  const distance = Math.sqrt(dx * dx + dz * dz);
+
+  if (distance <= movement.budget) {
+    movement.budget -= distance;
+    movement.x = command.x;
+    movement.z = command.z;
+    return false;
+  }
+
+  // Too far - move only as far as the budget allows
+  const scale = movement.budget / distance;
+  movement.x += dx * scale;
+  movement.z += dz * scale;
+  movement.budget = 0;
+  return true;
+}
@@ -0,0 +1,403 @@
+/**
+ * projectileSimulation.js
+ *
+ * Headless projectile simulation for a room.
+ * Runs the client's own bolt and mortar physics (their three.js-free parts) so the
+ * server, not each client, decides hits, splash-area ticks, mortar poison and despawns
+ * (the poison itself runs in the room's status effects, see roomStatusEffects).
+ * Walls inside the arena are not modelled: bolts stop at the arena edge and at
+ * players' barriers (see roomDeployables), and mortars land on flat ground. Targets are rewound to where the shooter saw them (see
+ * lagCompensation).
+ */
+
+import { updatePosition } from '../../core/systems/abilities/functions/bolt/BoltPositionUpdate.js';
+import { checkBoltPlayerCollision, checkBoltBarrierCollision } from '../../core/systems/abilities/functions/bolt/BoltCollision.js';
+import { getBoltLaunchSpeeds } from '../../core/systems/abilities/functions/bolt/BoltLaunchSpeed.js';
+import {
+  calculateMortarTrajectory,
+  createMortarUserData,
+  stepMortarFlight,
+  checkMortarCollision,
+  checkMortarGroundCollision
+} from '../../core/systems/abilities/functions/mortar/MortarPhysics.js';
+import { getSplashTiming, getSplashRadiusFactor } from '../../core/systems/abilities/functions/mortar/SplashAreaAnimation.js';
+import { getBoltStats, getMortarStats, getBoltStormStats } from '../../core/systems/abilities/functions/CharacterAbilityStats.js';
+import { SPLASH_AREA_CONFIG } from '../../config/abilities/base/MortarAttackConfig.js';
+import { BOLT_ATTACK_CONFIG } from '../../config/abilities/base/BoltAttackConfig.js';
+import { getArenaConfig } from '../../config/arena/ArenaConfig.js';
+import { hasCharacterTrait } from '../../config/character/CharacterRegistry.js';
+import { getCharacterMovementStatsFor } from '../../config/character/CharacterStats.js';
+import { DAMAGE_VALIDATION, getKnownPosition } from './damageValidation.js';
+import { isFriendlyFire } from './roomUtils.js';
+import { getRewoundPosition } from './lagCompensation.js';
+import { getRoomBarriers } from './roomDeployables.js';
+
+/**
+ * Projectile simulation settings
+ */
+export const PROJECTILE_SIMULATION = {
+  tickMs: 33,                        // Simulation step
+  maxBoltStep: 0.25,                 // Longest bolt move per sub-step (keeps fast bolts from skipping players)
+  maxProjectilesPerRoom: 200,        // Live projectiles kept per room (oldest dropped first)
+  steerSlack: 1.5                    // Turn allowed over the bolt's own turn rate (frame timing, network jitter)
+};
+
+/**
+ * Create a simulated projectile from a projectile-create report
+ * @param {string} ownerId - Shooter socket ID
+ * @param {string} characterName - Shooter character name
+ * @param {Object} data - Projectile data {projectileType, projectileId, ability?, startX, startY, startZ, directionX, directionZ, targetX, targetZ}
+ * @param {number} rewindMs - How far in the past the shooter sees other players
+ * @returns {Object|null} Simulated projectile {position, userData}, or null if the launch is invalid
+ */
+export function createSimulatedProjectile(ownerId, characterName, data, rewindMs = 0) {
+  const startX = Number(data.startX);
+  const startY = Number(data.startY) || 0;
+  const startZ = Number(data.startZ);
+  if (!Number.isFinite(startX) || !Number.isFinite(startZ) || typeof data.projectileId !== 'string') {
+    return null;
+  }
+  const position = { x: startX, y: startY, z: startZ };
+
+  if (data.projectileType === 'mortar') {
+    const stats = getMortarStats(characterName);
+    const target = { x: Number(data.targetX), y: 0, z: Number(data.targetZ) };
+    if (!Number.isFinite(target.x) || !Number.isFinite(target.z)) {
+      return null;
+    }
+    const trajectory = calculateMortarTrajectory(position, target, stats.arcHeight);
+    if (!trajectory) {
+      return null;
+    }
+    const userData = createMortarUserData(ownerId, characterName, null, stats, trajectory.launchVelocity, target, null);
+    userData.projectileId = data.projectileId;
+    userData.rewindMs = rewindMs;
+    return { position, userData };
+  }
+
+  const directionX = Number(data.directionX);
+  const directionZ = Number(data.directionZ);
+  const length = Math.sqrt(directionX * directionX + directionZ * directionZ);
+  if (!(length > 0.001)) {
+    return null;
+  }
+  const stats = getBoltStats(characterName);
+  let { startSpeed } = getBoltLaunchSpeeds(characterName);
+  let { damage, lifetime } = stats;
+  let followStrength = stats.cursorFollowStrength || 0;
+  // Bolt storm bolts fly at the storm's speed and hit with its damage (see projectileHandler)
+  const stormStats = data.ability === 'boltStorm' ? getBoltStormStats(characterName) : null;
+  if (stormStats) {
+    startSpeed = stormStats.projectileSpeed;
+    damage = stormStats.damage;
+    lifetime = stormStats.lifetime;
+    followStrength = stormStats.homingStrength;
+  }
+  return {
+    position,
+    userData: {
+      type: 'projectile',
+      projectileId: data.projectileId,
+      playerId: ownerId,
+      characterName,
+      velocityX: (directionX / length) * startSpeed,
+      velocityZ: (directionZ / length) * startSpeed,
+      lifetime: 0,
+      maxLifetime: lifetime,
+      damage,
+      size: stats.size,
+      hasHit: false,
+      shooterY: startY,
+      rewindMs,
+      // Fastest the bolt can turn in rad/s (see BoltCursorFollowing) and its age when last steered
+      turnRate: followStrength * BOLT_ATTACK_CONFIG.cursorFollow.followSpeedMultiplier,
+      steeredAt: 0
+    }
+  };
+}
+
+/**
+ * Apply the owner's steering to a simulated bolt
+ * Bolts follow the owner's cursor and change speed with input, which only the owner
+ * knows; the server takes the reported velocity but caps its speed, and turns the bolt
+ * no further than its cursor following could have since the last update.
+ * @param {Object} projectile - Simulated projectile
+ * @param {number} velocityX - Reported X velocity
+ * @param {number} velocityZ - Reported Z velocity
+ */
+export function steerSimulatedBolt(projectile, velocityX, velocityZ) {
+  const data = projectile.userData;
+  if (data.type !== 'projectile' || !Number.isFinite(velocityX) || !Number.isFinite(velocityZ)) {
+    return;
+  }
+  const speed = Math.min(Math.sqrt(velocityX * velocityX + velocityZ * velocityZ), DAMAGE_VALIDATION.maxProjectileSpeed);
+  if (speed === 0) {
+    return;
+  }
+
+  const heading = Math.atan2(data.velocityZ, data.velocityX);
+  let turn = Math.atan2(velocityZ, velocityX) - heading;
+  turn = Math.atan2(Math.sin(turn), Math.cos(turn)); // Shortest way round, -PI..PI
+  const maxTurn = data.turnRate * (data.lifetime - data.steeredAt) * PROJECTILE_SIMULATION.steerSlack;
+  const newHeading = heading + Math.max(-maxTurn, Math.min(maxTurn, turn));
+  data.velocityX = Math.cos(newHeading) * speed;
+  data.velocityZ = Math.sin(newHeading) * speed;
+  data.steeredAt = data.lifetime;
+}
+
+/**
+ * Add a projectile to the room's simulation
+ * @param {Object} room - Room object
+ * @param {Object} projectile - Simulated projectile
+ */
+export function addSimulatedProjectile(room, projectile) {
+  room.projectiles.set(projectile.userData.projectileId, projectile);
+  if (room.projectiles.size > PROJECTILE_SIMULATION.maxProjectilesPerRoom) {
+    room.projectiles.delete(room.projectiles.keys().next().value);
+  }
+}
+
+/**
+ * Advance a room's projectiles and splash areas by one step
+ * @param {Object} room - Room object
+ * @param {Map} players - Players map
+ * @param {number} dt - Step length in seconds
+ * @param {number} now - Current timestamp
+ * @returns {Object} {hits: [{attackerId, targetId, damage, attackType, projectileId, statusEffect, characterName}],
+ *   despawns: [{projectileId, playerId, reason, x, y, z}]} - reason is 'hit', 'blocked', 'expired' or 'impact'
+ */
+export function stepRoomProjectiles(room, players, dt, now) {
+  const hits = [];
+  const despawns = [];
+  const targets = getTargets(room, players, now);
+  const arena = createArenaBounds(room.arena, getRoomBarriers(room, now));
+
+  for (const [projectileId, projectile] of room.projectiles) {
+    const result = projectile.userData.type === 'mortar'
+      ? stepMortar(room, projectile, dt, arena, targets, players, hits)
+      : stepBolt(room, projectile, dt, arena, targets, players, hits);
+    if (result) {
+      room.projectiles.delete(projectileId);
+      despawns.push({
+        projectileId,
+        playerId: projectile.userData.playerId,
+        reason: result.reason,
+        x: result.x ?? projectile.position.x,
+        y: result.y ?? projectile.position.y,
+        z: result.z ?? projectile.position.z
+      });
+    }
+  }
+
+  stepSplashAreas(room, dt, targets, players, hits);
+  return { hits, despawns };
+}
+
+/**
+ * Get the players projectiles can hit this step
+ * @param {Object} room - Room object
+ * @param {Map} players - Players map
+ * @param {number} now - Current timestamp
+ * @returns {Array<Object>} Targets [{playerId, size, getPosition(rewindMs)}]
+ * @private
+ */
+function getTargets(room, players, now) {
+  const targets = [];
+  room.socketIds.forEach(id => {
+    const player = players.get(id);
+    const position = getKnownPosition(player, now);
+    const entry = room.health.get(id);
+    if (!position || player.disconnectedAt || (entry && entry.health <= 0)) {
+      return;
+    }
+    const size = getCharacterMovementStatsFor(player.gameState?.characterName).playerSize;
+    targets.push({
+      playerId: id,
+      size,
+      getPosition: (rewindMs) => getRewoundPosition(player, rewindMs, now) || position
+    });
+  });
+  return targets;
+}
+
+/**
+ * Check whether a projectile owner may damage a target
+ * @param {Object} room - Room object
+ * @param {Map} players - Players map
+ * @param {string} ownerId - Projectile owner socket ID
+ * @param {string} targetId - Target socket ID
+ * @returns {boolean} True if the target can be hit
+ * @private
+ */
+function canHit(room, players, ownerId, targetId) {
+  return ownerId !== targetId && !isFriendlyFire(room, players, ownerId, targetId);
+}
+
+/**
+ * Advance a bolt in short sub-steps, checking walls and players after each
+ * @param {Object} room - Room object
+ * @param {Object} projectile - Simulated bolt
+ * @param {number} dt - Step length in seconds
+ * @param {Object} arena - Arena bounds
+ * @param {Array<Object>} targets - Targets from getTargets
+ * @param {Map} players - Players map
+ * @param {Array<Object>} hits - Hits this step (appended to)
+ * @returns {Object|null} Despawn {reason} or null while it keeps flying
+ * @private
+ */
+function stepBolt(room, projectile, dt, arena, targets, players, hits) {
+  const data = projectile.userData;
+  data.lifetime += dt;
+  if (data.lifetime >= data.maxLifetime) {
+    return { reason: 'expired' };
+  }
+
+  const speed = Math.sqrt(data.velocityX * data.velocityX + data.velocityZ * data.velocityZ);
+  const steps = Math.max(1, Math.ceil((speed * dt) / PROJECTILE_SIMULATION.maxBoltStep));
+  for (let i = 0; i < steps; i++) {
+    if (updatePosition(projectile, dt / steps, arena, null)) {
+      return { reason: 'blocked' };
+    }
+    for (const target of targets) {
+      if (!canHit(room, players, data.playerId, target.playerId)) {
+        continue;
+      }
+      const result = checkBoltPlayerCollision(projectile, target.getPosition(data.rewindMs), target.size, target.playerId);
+      if (result.hit) {
+        hits.push(createHit(data, target.playerId, result.damage, 'bolt', false));
+        return { reason: 'hit' };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Advance a mortar, checking for a player hit (one per mortar) and ground impact
+ * A mortar that hits a player keeps flying and still splashes at its target.
+ * @param {Object} room - Room object
+ * @param {Object} projectile - Simulated mortar
+ * @param {number} dt - Step length in seconds
+ * @param {Object} arena - Arena bounds
+ * @param {Array<Object>} targets - Targets from getTargets
+ * @param {Map} players - Players map
+ * @param {Array<Object>} hits - Hits this step (appended to)
+ * @returns {Object|null} Despawn {reason, x, y, z} or null while it keeps flying
+ * @private
+ */
+function stepMortar(room, projectile, dt, arena, targets, players, hits) {
+  const data = projectile.userData;
+  const result = stepMortarFlight(projectile, dt, arena);
+  if (result && result.impact) {
+    const { x, y, z } = result.impact;
+    const timing = getSplashTiming(data);
+    room.splashAreas.push({
+      projectileId: data.projectileId,
+      playerId: data.playerId,
+      characterName: data.characterName,
+      rewindMs: data.rewindMs,
+      x,
+      z,
+      initialRadius: data.splashRadius || 1.0,
+      damagePerTick: data.areaDamage || 10,
+      timing,
+      lifetime: 0,
+      lastTicks: new Map() // playerId -> last damage tick
+    });
+    return { reason: 'impact', x, y, z };
+  }
+  if (result) {
+    return { reason: 'expired' };
+  }
+
+  for (const target of targets) {
+    if (data.hasExploded) {
+      break;
+    }
+    if (!canHit(room, players, data.playerId, target.playerId)) {
+      continue;
+    }
+    // Mid-air explosions do not poison, direct hits near the ground do (as on the client)
+    const position = target.getPosition(data.rewindMs);
+    const airHit = checkMortarCollision(projectile, position, target.playerId);
+    const hit = airHit.hit ? airHit : checkMortarGroundCollision(projectile, position, target.playerId, arena);
+    if (hit.hit) {
+      hits.push(createHit(data, target.playerId, hit.damage, 'mortar', !airHit.hit));
+    }
+  }
+  return null;
+}
+
+/**
+ * Advance splash areas and damage players standing in them (once per damage tick)
+ * The shooter is left out: their own client reports self-inflicted splash damage.
+ * @param {Object} room - Room object
+ * @param {number} dt - Step length in seconds
+ * @param {Array<Object>} targets - Targets from getTargets
+ * @param {Map} players - Players map
+ * @param {Array<Object>} hits - Hits this step (appended to)
+ * @private
+ */
+function stepSplashAreas(room, dt, targets, players, hits) {
+  room.splashAreas = room.splashAreas.filter(splash => {
+    splash.lifetime += dt;
+    if (splash.lifetime >= splash.timing.duration) {
+      return false;
+    }
+    const radius = splash.initialRadius * getSplashRadiusFactor(splash.lifetime, splash.timing);
+    const tick = Math.floor(splash.lifetime * SPLASH_AREA_CONFIG.damage.ticksPerSecond);
+    targets.forEach(target => {
+      if (!canHit(room, players, splash.playerId, target.playerId) || splash.lastTicks.get(target.playerId) === tick) {
+        return;
+      }
+      const position = target.getPosition(splash.rewindMs);
+      const dx = position.x - splash.x;
+      const dz = position.z - splash.z;
+      if (Math.sqrt(dx * dx + dz * dz) < radius) {
+        splash.lastTicks.set(target.playerId, tick);
+        hits.push(createHit(splash, target.playerId, splash.damagePerTick, 'splash', true));
+      }
+    });
+    return true;
+  });
+}
+
+/**
+ * Build a hit, poisoning the target for characters whose mortars poison
+ * @param {Object} source - Projectile userData or splash area {playerId, characterName, projectileId}
+ * @param {string} targetId - Target socket ID
+ * @param {number} damage - Damage
+ * @param {string} attackType - 'bolt', 'mortar' or 'splash'
+ * @param {boolean} canPoison - Whether this kind of hit poisons
+ * @returns {Object} Hit
+ * @private
+ */
+function createHit(source, targetId, damage, attackType, canPoison) {
+  const poisons = canPoison && hasCharacterTrait(source.characterName, 'poisonMortar');
+  return {
+    attackerId: source.playerId,
+    targetId,
+    damage,
+    attackType,
+    projectileId: source.projectileId,
+    statusEffect: poisons ? 'poison' : null,
+    characterName: source.characterName
+  };
+}
+
+/**
+ * Stand-in for the client collision manager: the arena's outer edge, barriers and flat ground
+ * @param {string} arenaKey - Room arena
+ * @param {Array<Object>} barriers - Standing barriers (see roomDeployables)
+ * @returns {Object} {willCollide, getGroundHeight}
+ * @private
+ */
+function createArenaBounds(arenaKey, barriers) {
+  const halfSize = (getArenaConfig(arenaKey) || getArenaConfig('standard')).size / 2;
+  return {
+    willCollide: (position, size) => Math.abs(position.x) + size / 2 > halfSize ||
+      Math.abs(position.z) + size / 2 > halfSize ||
+      barriers.some(barrier => checkBoltBarrierCollision(position, size, barrier)),
+    getGroundHeight: () => 0
+  };
+}
@@ -0,0 +1,58 @@
+/**
+ * rateLimiter.js
+ *
+ * Token bucket rate limiting for socket events.
+ * Each socket gets one bucket per event key so a flood of one event
+ * (e.g. projectile-create) never starves another (e.g. player-state).
+ */
+
+export class RateLimiter {
+  constructor() {
+    this.buckets = new Map(); // socketId -> Map<key, { tokens, lastRefill }>
+  }
+
+  /**
+   * Try to consume tokens from a socket's bucket
+   * @param {string} socketId - Socket ID
+   * @param {string} key - Event key (bucket name)
+   * @param {Object} limit - Bucket limits
+   * @param {number} limit.capacity - Maximum tokens (burst size)
+   * @param {number} limit.refillPerSecond - Tokens restored per second
+   * @param {number} cost - Tokens to consume (default: 1)
+   * @returns {boolean} True if allowed, false if rate limited
+   */
+  consume(socketId, key, limit, cost = 1) {
+    const now = Date.now();
+    let socketBuckets = this.buckets.get(socketId);
+    if (!socketBuckets) {
+      socketBuckets = new Map();
+      this.buckets.set(socketId, socketBuckets);
+    }
+
+    let bucket = socketBuckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: limit.capacity, lastRefill: now };
+      socketBuckets.set(key, bucket);
+    }
+
+    // Refill based on elapsed time
+    const elapsed = (now - bucket.lastRefill) / 1000;
+    bucket.tokens = Math.min(limit.capacity, bucket.tokens + elapsed * limit.refillPerSecond);
+    bucket.lastRefill = now;
+
+    if (bucket.tokens < cost) {
+      return false;
+    }
+
+    bucket.tokens -= cost;
+    return true;
+  }
+
+  /**
+   * Remove all buckets for a socket
+   * @param {string} socketId - Socket ID
+   */
+  clear(socketId) {
+    this.buckets.delete(socketId);
+  }
+}
@@ -0,0 +1,120 @@
+/**
+ * roomDeployables.js
+ *
+ * Server copy of the barriers and traps players have placed in a room.
+ * Barriers stop simulated bolts (see projectileSimulation); traps are what a trap hit
+ * reported by its owner is checked against, and each one can only hit once.
+ * Both are added when their ability activation is relayed and expire on their own.
+ */
+
+import { getBarrierStats, getTrapStats } from '../../core/systems/abilities/functions/CharacterAbilityStats.js';
+import { getBarrierBounds } from '../../core/systems/abilities/functions/barrier/BarrierBounds.js';
+import { getWallStats } from '../../config/collision/CollisionStats.js';
+import { DAMAGE_VALIDATION } from './damageValidation.js';
+
+/**
+ * Place a barrier (replacing the owner's standing one, as the client does)
+ * @param {Object} room - Room object
+ * @param {string} ownerId - Caster socket ID
+ * @param {string} characterName - Caster character name
+ * @param {Object} data - Activation data {x, z, directionX, directionZ}
+ * @param {number} now - Current timestamp
+ */
+export function addRoomBarrier(room, ownerId, characterName, data, now) {
+  const stats = getBarrierStats(characterName);
+  const bounds = stats && Number.isFinite(data.directionX) && Number.isFinite(data.directionZ)
+    ? getBarrierBounds(data, { x: data.directionX, z: data.directionZ }, stats)
+    : null;
+  if (!bounds) {
+    return;
+  }
+  room.barriers = room.barriers.filter(barrier => barrier.ownerId !== ownerId);
+  room.barriers.push({
+    ownerId,
+    ...bounds,
+    height: getWallStats().height,
+    expiresAt: now + stats.duration * 1000
+  });
+}
+
+/**
+ * Place a trap, dropping the owner's oldest one past the limit
+ * @param {Object} room - Room object
+ * @param {string} ownerId - Caster socket ID
+ * @param {string} characterName - Caster character name
+ * @param {Object} data - Activation data {x, z}
+ * @param {number} now - Current timestamp
+ */
+export function addRoomTrap(room, ownerId, characterName, data, now) {
+  const stats = getTrapStats(characterName);
+  if (!stats) {
+    return;
+  }
+  room.traps.push({
+    ownerId,
+    x: data.x,
+    z: data.z,
+    triggerRadius: stats.triggerRadius,
+    armedAt: now + stats.armDelay * 1000,
+    expiresAt: now + stats.duration * 1000
+  });
+  const owned = room.traps.filter(trap => trap.ownerId === ownerId);
+  const excess = owned.length - Math.max(1, stats.maxActive || 1);
+  if (excess > 0) {
+    const dropped = new Set(owned.slice(0, excess));
+    room.traps = room.traps.filter(trap => !dropped.has(trap));
+  }
+}
+
+/**
+ * Get the barriers still standing
+ * @param {Object} room - Room object
+ * @param {number} now - Current timestamp
+ * @returns {Array<Object>} Barriers [{ownerId, x, z, sizeX, sizeZ, height, expiresAt}]
+ */
+export function getRoomBarriers(room, now) {
+  if (room.barriers.some(barrier => barrier.expiresAt <= now)) {
+    room.barriers = room.barriers.filter(barrier => barrier.expiresAt > now);
+  }
+  return room.barriers;
+}
+
+/**
+ * Find and use up the owner's trap a victim set off
+ * Arming and expiry get the projectile grace period, since the owner saw the victim
+ * step in a little earlier than the report arrives.
+ * @param {Object} room - Room object
+ * @param {string} ownerId - Trap owner socket ID
+ * @param {Object|null} victimPos - Victim position where the owner saw them {x, z}
+ * @param {number} now - Current timestamp
+ * @returns {Object|null} The trap, or null if none of the owner's traps could have been set off
+ */
+export function consumeRoomTrap(room, ownerId, victimPos, now) {
+  const graceMs = DAMAGE_VALIDATION.projectileGraceMs;
+  room.traps = room.traps.filter(trap => trap.expiresAt + graceMs > now);
+  if (!victimPos) {
+    return null;
+  }
+  const trap = room.traps.find(candidate => {
+    if (candidate.ownerId !== ownerId || candidate.armedAt - graceMs > now) {
+      return false;
+    }
+    const dx = victimPos.x - candidate.x;
+    const dz = victimPos.z - candidate.z;
+    return Math.sqrt(dx * dx + dz * dz) <= candidate.triggerRadius + DAMAGE_VALIDATION.positionTolerance;
+  });
+  if (trap) {
+    room.traps = room.traps.filter(candidate => candidate !== trap);
+  }
+  return trap || null;
+}
+
+/**
+ * Remove a player's barriers and traps (they left the room)
+ * @param {Object} room - Room object
+ * @param {string} ownerId - Player socket ID
+ */
+export function clearRoomDeployables(room, ownerId) {
+  room.barriers = room.barriers.filter(barrier => barrier.ownerId !== ownerId);
+  room.traps = room.traps.filter(trap => trap.ownerId !== ownerId);
+}
@@ -0,0 +1,131 @@
+/**
+ * roomStatusEffects.js
+ *
+ * Server ledger of each player's status effects in a room.
+ * Uses the shared rules in StatusEffects.js. Every change (an effect applied, a shield
+ * wearing down, effects cleared) is sent to the room as the player's full effect list;
+ * expiry is not sent since every side runs the same timers.
+ * Damage ticks from effects another player inflicted are dealt here; effects from bots
+ * or with no source are ticked by the victim's client, which reports the damage.
+ */
+
+import {
+  applyStatusEffect,
+  updateStatusEffects,
+  absorbDamage,
+  serializeStatusEffects
+} from '../../core/systems/statusEffects/StatusEffects.js';
+
+/**
+ * Send a player's effects to the room
+ * @param {Object} nsp - Socket.io namespace
+ * @param {Object} room - Room object
+ * @param {string} roomCode - Room code
+ * @param {string} playerId - Player socket ID
+ */
+export function emitStatusEffects(nsp, room, roomCode, playerId) {
+  const effects = room.statusEffects.get(playerId);
+  nsp.to(roomCode).emit('status-effects', {
+    playerId,
+    effects: effects ? serializeStatusEffects(effects) : []
+  });
+}
+
+/**
+ * Apply an effect to a living player
+ * @param {Object} nsp - Socket.io namespace
+ * @param {Object} room - Room object
+ * @param {string} roomCode - Room code
+ * @param {string} playerId - Player socket ID
+ * @param {string} type - Effect type
+ * @param {Object} options - Effect options {sourceId, duration, tickDamage, ...}
+ * @returns {boolean} True if the player's effects changed
+ */
+export function applyRoomStatusEffect(nsp, room, roomCode, playerId, type, options) {
+  const entry = room.health.get(playerId);
+  if (entry && entry.health <= 0) {
+    return false;
+  }
+  if (!room.statusEffects.has(playerId)) {
+    room.statusEffects.set(playerId, new Map());
+  }
+  const changed = applyStatusEffect(room.statusEffects.get(playerId), type, options);
+  if (changed) {
+    emitStatusEffects(nsp, room, roomCode, playerId);
+  }
+  return changed;
+}
+
+/**
+ * Let a player's shields absorb damage
+ * @param {Object} nsp - Socket.io namespace
+ * @param {Object} room - Room object
+ * @param {string} roomCode - Room code
+ * @param {string} playerId - Player socket ID
+ * @param {number} damage - Incoming damage
+ * @returns {number} Damage left after shields
+ */
+export function absorbRoomDamage(nsp, room, roomCode, playerId, damage) {
+  const effects = room.statusEffects.get(playerId);
+  if (!effects || !(damage > 0)) {
+    return damage;
+  }
+  const remaining = absorbDamage(effects, damage);
+  if (remaining !== damage) {
+    emitStatusEffects(nsp, room, roomCode, playerId);
+  }
+  return remaining;
+}
+
+/**
+ * Remove a player's effects (death, respawn or leaving)
+ * @param {Object|null} nsp - Socket.io namespace (null to skip telling the room, e.g. when the player left)
+ * @param {Object} room - Room object
+ * @param {string} roomCode - Room code
+ * @param {string} playerId - Player socket ID
+ */
+export function clearRoomStatusEffects(nsp, room, roomCode, playerId) {
+  if (!room.statusEffects.delete(playerId) || !nsp) {
+    return;
+  }
+  emitStatusEffects(nsp, room, roomCode, playerId);
+}
+
+/**
+ * Advance every player's effects by one step
+ * @param {Object} room - Room object
+ * @param {Map} players - Players map
+ * @param {string} roomCode - Room code
+ * @param {number} dt - Step length in seconds
+ * @returns {Array<Object>} Damage ticks from other players' effects, as hits {attackerId, targetId, damage, attackType, ...}
+ */
+export function stepRoomStatusEffects(room, players, roomCode, dt) {
+  const hits = [];
+  for (const [playerId, effects] of room.statusEffects) {
+    const entry = room.health.get(playerId);
+    if (entry && entry.health <= 0) {
+      room.statusEffects.delete(playerId);
+      continue;
+    }
+    const { ticks } = updateStatusEffects(effects, dt);
+    ticks.forEach(tick => {
+      const source = tick.sourceId && tick.sourceId !== playerId ? players.get(tick.sourceId) : null;
+      if (!source || source.roomCode !== roomCode) {
+        return;
+      }
+      hits.push({
+        attackerId: tick.sourceId,
+        targetId: playerId,
+        damage: tick.damage,
+        attackType: tick.type,
+        projectileId: null,
+        statusEffect: null,
+        characterName: null
+      });
+    });
+    if (effects.size === 0) {
+      room.statusEffects.delete(playerId);
+    }
+  }
+  return hits;
+}
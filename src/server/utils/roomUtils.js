@@ -4,6 +4,14 @@
  * Utility functions for room management.
  */
 
+import { isTeamMode, isCoopMode, getTeamScoring } from '../../config/gamemode/GameModeConfig.js';
+import { getTeamIds, createTeamScores } from '../../config/gamemode/TeamConfig.js';
+import { createCrystalStates } from '../../config/gamemode/CrystalConfig.js';
+import { createRoomSettings } from '../../config/gamemode/RoomSettingsConfig.js';
+import { getWaveStats } from '../../config/gamemode/WaveConfig.js';
+import { MATCH_PHASES } from '../../config/gamemode/MatchConfig.js';
+import { isSamePlayerName } from '../../config/global/PlayerNameConfig.js';
+
 /**
  * Generate a unique room code
  * @returns {string} Room code
@@ -14,21 +22,347 @@ export function generateRoomCode() {
 
 /**
  * Get or create room
- * @param {Map} rooms - Rooms map (roomCode -> { socketIds: Set, isPrivate: boolean })
+ * @param {Map} rooms - Rooms map (roomCode -> { socketIds: Set, spectatorIds: Set, isPrivate: boolean, health: Map, projectiles: Map, splashAreas: Array, statusEffects: Map, barriers: Array, traps: Array, gameMode, arena, killLimit, captureLimit, timeLimit, botCount, botDifficulty, maxPlayers, arenaChangedAt, respawnedAt, mutedClientIds: Set, bannedClientIds: Set, nextNetId, stateTick, stateHistory: Map, teamScores, crystals, waves, match })
  * @param {string} roomCode - Room code
  * @param {boolean} isPrivate - Whether room is private
- * @returns {Object} Room object with socketIds Set and isPrivate flag
+ * @param {Object} settings - Room settings {gameMode, arena, killLimit, captureLimit, timeLimit, botCount, botDifficulty, maxPlayers} (used when creating)
+ * @returns {Object} Room object with socketIds Set, isPrivate flag, health ledger, simulated projectiles and room settings
  */
-export function getOrCreateRoom(rooms, roomCode, isPrivate = false) {
+export function getOrCreateRoom(rooms, roomCode, isPrivate = false, settings = {}) {
   if (!rooms.has(roomCode)) {
-    rooms.set(roomCode, {
+    const room = {
       socketIds: new Set(),
-      isPrivate: isPrivate
-    });
+      spectatorIds: new Set(), // Spectators in join order - the queue for player slots
+      isPrivate: isPrivate,
+      health: new Map(), // socketId -> server-tracked health entry
+      projectiles: new Map(), // projectileId -> simulated bolt or mortar {position, userData}
+      splashAreas: [], // Simulated mortar splash areas
+      statusEffects: new Map(), // socketId -> Map of running status effects (see roomStatusEffects)
+      barriers: [], // Standing barriers (see roomDeployables)
+      traps: [], // Placed traps (see roomDeployables)
+      ...createRoomSettings(settings),
+      arenaChangedAt: null, // When the host last changed the arena (clients reload and rejoin)
+      respawnedAt: null, // When the room last sent everyone back to their spawns (mode or match phase change)
+      mutedClientIds: new Set(), // Client IDs that may not chat in this room
+      bannedClientIds: new Set(), // Client IDs the host banned - refused on join while the room exists
+      nextNetId: 1, // Short player IDs used in binary player-state packets
+      stateTick: 0, // Last player-state batch tick
+      stateHistory: new Map(), // tick -> Map netId -> quantised state (delta baselines)
+      match: createRoomMatch()
+    };
+    resetRoomModeState(room);
+    rooms.set(roomCode, room);
   }
   return rooms.get(roomCode);
 }
 
+/**
+ * Reset scores, crystals and waves for the room's game mode
+ * @param {Object} room - Room object
+ */
+export function resetRoomModeState(room) {
+  room.teamScores = createTeamScores();
+  room.crystals = getTeamScoring(room.gameMode) === 'captures' ? createCrystalStates() : null;
+  room.waves = isCoopMode(room.gameMode) ? createRoomWaves(Date.now()) : null;
+}
+
+/**
+ * Put every player in the room on a team for its game mode
+ * Teams are rebalanced in join order; non-team modes clear teams.
+ * @param {Object} room - Room object
+ * @param {Map} players - Players map
+ * @returns {Object} Team assignments {socketId: teamId|null}
+ */
+export function reassignTeams(room, players) {
+  const teams = {};
+  room.socketIds.forEach(id => {
+    const player = players.get(id);
+    if (player) {
+      player.team = null;
+    }
+  });
+  room.socketIds.forEach(id => {
+    const player = players.get(id);
+    if (player) {
+      player.team = assignTeam(room, players);
+      teams[id] = player.team;
+    }
+  });
+  return teams;
+}
+
+/**
+ * Create server wave state for a fresh co-op run
+ * @param {number} now - Current timestamp
+ * @returns {Object} Wave state {wave, livesRemaining, startsAt, clearedBy}
+ */
+export function createRoomWaves(now) {
+  const waveStats = getWaveStats();
+  return {
+    wave: 1,
+    livesRemaining: waveStats.sharedLives,
+    startsAt: now + waveStats.intermissionSeconds * 1000,
+    clearedBy: new Set() // Socket IDs that have cleared the current wave
+  };
+}
+
+/**
+ * Get the wave state sent to clients
+ * Times are sent as seconds remaining so clients need no clock sync.
+ * @param {Object} room - Room object
+ * @param {number} now - Current timestamp
+ * @returns {Object|null} Wave state {wave, livesRemaining, intermissionRemaining} or null outside co-op rooms
+ */
+export function getWaveSnapshot(room, now = Date.now()) {
+  if (!room || !room.waves) {
+    return null;
+  }
+  return {
+    wave: room.waves.wave,
+    livesRemaining: room.waves.livesRemaining,
+    intermissionRemaining: Math.max(0, room.waves.startsAt - now) / 1000
+  };
+}
+
+/**
+ * Create match lifecycle state for a room (starts in the lobby)
+ * @returns {Object} Match state {phase, endsAt, readyIds, stats, results}
+ */
+export function createRoomMatch() {
+  return {
+    phase: MATCH_PHASES.LOBBY,
+    endsAt: null, // When the current phase ends (null if it waits for players)
+    readyIds: new Set(), // Socket IDs that are ready to play
+    stats: new Map(), // socketId -> { kills, deaths } for the current match
+    results: null // Results of the last match
+  };
+}
+
+/**
+ * Check whether a room's match is in progress
+ * Scores, crystals and waves only count while a match is being played.
+ * @param {Object} room - Room object
+ * @returns {boolean} True while the match is playing
+ */
+export function isMatchLive(room) {
+  return !!room && !!room.match && room.match.phase === MATCH_PHASES.PLAYING;
+}
+
+/**
+ * Get the socket ID of a room's host
+ * @param {Object} room - Room object
+ * @param {Map} players - Players map
+ * @returns {string|null} Host socket ID, or null if nobody in the room hosts
+ */
+export function getRoomHostId(room, players) {
+  return [...room.socketIds].find(id => players.get(id)?.isHost) || null;
+}
+
+/**
+ * Make the longest-present connected player host when the room has none
+ * Socket IDs are kept in join order, so every server picks the same player. Slots held
+ * for a dropped connection are skipped - nobody could use the host controls.
+ * @param {Object} room - Room object
+ * @param {Map} players - Players map
+ * @returns {string|null} New host socket ID, or null if the room already has a host or nobody is connected
+ */
+export function migrateHost(room, players) {
+  if (getRoomHostId(room, players)) {
+    return null;
+  }
+  const nextHostId = [...room.socketIds].find(id => players.has(id) && !players.get(id).disconnectedAt);
+  if (!nextHostId) {
+    return null;
+  }
+  players.get(nextHostId).isHost = true;
+  return nextHostId;
+}
+
+/**
+ * Move a reconnecting player's slot from their old socket ID to their new one
+ * Keeps their place in join order (host migration), team, health, status effects, ready
+ * state, match stats and wave progress, and hands them their projectiles still in flight.
+ * @param {Object} room - Room object
+ * @param {Map} players - Players map
+ * @param {string} previousId - Socket ID before the connection dropped
+ * @param {string} playerId - New socket ID
+ */
+export function transferPlayerSlot(room, players, previousId, playerId) {
+  const swapId = (id) => (id === previousId ? playerId : id);
+  const player = players.get(previousId);
+  players.delete(previousId);
+  players.set(playerId, { ...player, playerId });
+
+  room.socketIds = new Set([...room.socketIds].map(swapId));
+  const moveEntry = (map) => {
+    if (map.has(previousId)) {
+      map.set(playerId, map.get(previousId));
+      map.delete(previousId);
+    }
+  };
+  moveEntry(room.health);
+  moveEntry(room.statusEffects);
+  moveEntry(room.match.stats);
+  room.projectiles.forEach(projectile => {
+    projectile.userData.playerId = swapId(projectile.userData.playerId);
+  });
+  room.splashAreas.forEach(splash => {
+    splash.playerId = swapId(splash.playerId);
+  });
+  [...room.barriers, ...room.traps].forEach(deployable => {
+    deployable.ownerId = swapId(deployable.ownerId);
+  });
+  room.statusEffects.forEach(effects => {
+    effects.forEach(effect => {
+      effect.sourceId = swapId(effect.sourceId);
+    });
+  });
+  if (room.match.readyIds.delete(previousId)) {
+    room.match.readyIds.add(playerId);
+  }
+  if (room.waves && room.waves.clearedBy.delete(previousId)) {
+    room.waves.clearedBy.add(playerId);
+  }
+}
+
+/**
+ * Check whether someone in the room (playing or spectating) already uses a display name
+ * @param {Object} room - Room object
+ * @param {Map} players - Players map
+ * @param {string} name - Display name
+ * @returns {boolean} True if the name is taken
+ */
+export function isPlayerNameTaken(room, players, name) {
+  return [...room.socketIds, ...room.spectatorIds].some(id => isSamePlayerName(players.get(id)?.name, name));
+}
+
+/**
+ * Get everyone in the room (playing or spectating) who is muted
+ * Mutes are stored by client ID; clients only know socket IDs.
+ * @param {Object} room - Room object
+ * @param {Map} players - Players map
+ * @returns {Array<string>} Socket IDs of muted players and spectators
+ */
+export function getMutedPlayerIds(room, players) {
+  return [...room.socketIds, ...room.spectatorIds].filter(id => {
+    const clientId = players.get(id)?.clientId;
+    return clientId && room.mutedClientIds.has(clientId);
+  });
+}
+
+/**
+ * Get the display names of the room's spectators
+ * @param {Object} room - Room object
+ * @param {Map} players - Players map
+ * @returns {Object} Names {socketId: name}
+ */
+export function getSpectatorNames(room, players) {
+  const names = {};
+  room.spectatorIds.forEach(id => {
+    names[id] = players.get(id)?.name || null;
+  });
+  return names;
+}
+
+/**
+ * Give a player arriving in the room its short ID for player-state packets
+ * @param {Object} room - Room object
+ * @returns {number} Net ID (1-65535, unique among the room's recent players)
+ */
+export function assignNetId(room) {
+  const netId = room.nextNetId;
+  room.nextNetId = netId >= 65535 ? 1 : netId + 1;
+  return netId;
+}
+
+/**
+ * Check whether every player slot in a room is taken
+ * @param {Object} room - Room object
+ * @returns {boolean} True if new arrivals must spectate
+ */
+export function isRoomFull(room) {
+  return room.socketIds.size >= room.maxPlayers;
+}
+
+/**
+ * Move queued spectators into free player slots, oldest first
+ * @param {Object} room - Room object
+ * @param {string} roomCode - Room code
+ * @param {Map} players - Players map
+ * @returns {Array<string>} Socket IDs of the promoted spectators
+ */
+export function promoteSpectators(room, roomCode, players) {
+  const promotedIds = [];
+  for (const id of [...room.spectatorIds]) {
+    if (isRoomFull(room)) {
+      break;
+    }
+    room.spectatorIds.delete(id);
+    const spectator = players.get(id);
+    if (!spectator) {
+      continue;
+    }
+    spectator.team = assignTeam(room, players);
+    spectator.roomCode = roomCode;
+    spectator.spectating = null;
+    room.socketIds.add(id);
+    promotedIds.push(id);
+  }
+  return promotedIds;
+}
+
+/**
+ * Pick the team with the fewest players for a new arrival
+ * @param {Object} room - Room object
+ * @param {Map} players - Players map
+ * @returns {string|null} Team ID, or null if the room is not a team mode
+ */
+export function assignTeam(room, players) {
+  if (!isTeamMode(room.gameMode)) {
+    return null;
+  }
+  
+  const counts = createTeamScores();
+  room.socketIds.forEach(id => {
+    const team = players.get(id)?.team;
+    if (team && counts[team] !== undefined) {
+      counts[team]++;
+    }
+  });
+  
+  // Ties go to the first team in config order
+  return getTeamIds().reduce((best, teamId) => (counts[teamId] < counts[best] ? teamId : best));
+}
+
+/**
+ * Check whether two players are on the same team in a team mode room
+ * @param {Map} players - Players map
+ * @param {string} playerIdA - First player socket ID
+ * @param {string} playerIdB - Second player socket ID
+ * @returns {boolean} True if damage between them is friendly fire
+ */
+export function areTeammates(players, playerIdA, playerIdB) {
+  const teamA = players.get(playerIdA)?.team;
+  const teamB = players.get(playerIdB)?.team;
+  return !!teamA && teamA === teamB;
+}
+
+/**
+ * Check if one player hitting another would be friendly fire
+ * Co-op rooms have no player-vs-player damage at all.
+ * @param {Object} room - Room object
+ * @param {Map} players - Players map
+ * @param {string} playerIdA - First socket ID
+ * @param {string} playerIdB - Second socket ID
+ * @returns {boolean} True if the damage must be rejected
+ */
+export function isFriendlyFire(room, players, playerIdA, playerIdB) {
+  if (isCoopMode(room.gameMode)) {
+    return true;
+  }
+  return isTeamMode(room.gameMode) && areTeammates(players, playerIdA, playerIdB);
+}
+
 /**
  * Get room socket IDs
  * @param {Map} rooms - Rooms map
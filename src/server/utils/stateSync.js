@@ -0,0 +1,113 @@
+/**
+ * stateSync.js
+ *
+ * Server side of the binary player-state protocol (see PlayerStateConfig).
+ * Decodes each client's delta uploads against the states it already sent, and builds
+ * one packet per client per tick with everyone else's state as a delta against the
+ * last tick that client acknowledged.
+ */
+
+import {
+  getPlayerStateStats,
+  dequantizePlayerState,
+  decodeStateUpload,
+  encodeStateBatch
+} from '../../config/global/PlayerStateConfig.js';
+
+/**
+ * Create a player's sync state
+ * Reset when a client reconnects, since it starts its own history over.
+ * @returns {Object} Sync state {uploads, lastSeq, ackTick}
+ */
+export function createPlayerSync() {
+  return {
+    uploads: new Map(), // seq -> quantised state (baselines for the client's deltas)
+    lastSeq: 0, // Last upload applied (acknowledged in every batch)
+    ackTick: 0 // Last batch tick the client acknowledged (our baseline for its deltas)
+  };
+}
+
+/**
+ * Apply a client's state upload
+ * Stores the quantised state as the player's current state and records the client's ack.
+ * @param {Object} player - Player record
+ * @param {ArrayBuffer|ArrayBufferView} data - Upload packet
+ * @returns {Object|null} Decoded state {x, y, z, rotation, ...}, or null for acks and rejected packets
+ */
+export function applyStateUpload(player, data) {
+  if (!player.sync) {
+    player.sync = createPlayerSync();
+  }
+  const sync = player.sync;
+  const upload = decodeStateUpload(data, (baseSeq) => sync.uploads.get(baseSeq) || null);
+  if (!upload) {
+    return null;
+  }
+
+  sync.ackTick = Math.max(sync.ackTick, upload.ackTick);
+  if (!upload.state || upload.seq <= sync.lastSeq) {
+    return null;
+  }
+
+  sync.uploads.set(upload.seq, upload.state);
+  sync.lastSeq = upload.seq;
+  const oldestSeq = upload.seq - getPlayerStateStats().historySize;
+  for (const seq of sync.uploads.keys()) {
+    if (seq <= oldestSeq) {
+      sync.uploads.delete(seq);
+    }
+  }
+
+  player.netState = upload.state;
+  return dequantizePlayerState(upload.state);
+}
+
+/**
+ * Snapshot a room's player states and build this tick's packet for everyone in it
+ * Players whose connection dropped are left out (receivers time their meshes out).
+ * @param {Object} room - Room object
+ * @param {Map} players - Players map
+ * @param {number} serverTime - Tick timestamp (shared clock for snapshot interpolation)
+ * @returns {Array<Object>} Packets [{socketId, packet}]
+ */
+export function buildStateBatches(room, players, serverTime) {
+  const snapshot = new Map();
+  room.socketIds.forEach(id => {
+    const player = players.get(id);
+    if (player && player.netState && !player.disconnectedAt) {
+      snapshot.set(player.netId, player.netState);
+    }
+  });
+  if (snapshot.size === 0) {
+    return [];
+  }
+
+  const tick = ++room.stateTick;
+  room.stateHistory.set(tick, snapshot);
+  room.stateHistory.delete(tick - getPlayerStateStats().historySize);
+
+  const batches = [];
+  [...room.socketIds, ...room.spectatorIds].forEach(id => {
+    const recipient = players.get(id);
+    if (!recipient || recipient.disconnectedAt) {
+      return;
+    }
+    const sync = recipient.sync;
+    const baseTick = sync && room.stateHistory.has(sync.ackTick) ? sync.ackTick : 0;
+    const baseSnapshot = baseTick ? room.stateHistory.get(baseTick) : null;
+    const entries = [];
+    snapshot.forEach((state, netId) => {
+      if (netId !== recipient.netId) {
+        entries.push({ netId, state, base: baseSnapshot ? baseSnapshot.get(netId) || null : null });
+      }
+    });
+    if (entries.length === 0) {
+      return;
+    }
+    batches.push({
+      socketId: id,
+      packet: encodeStateBatch({ tick, baseTick, serverTime, ackSeq: sync ? sync.lastSeq : 0, entries })
+    });
+  });
+  return batches;
+}
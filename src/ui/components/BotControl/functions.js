@@ -1,4 +1,5 @@
 import { getBotCount, setBotCount, getMaxBotCount } from '../../../utils/StorageUtils.js';
+import { getCharacterNames } from '../../../config/character/CharacterRegistry.js';
 
 export { getBotCount };
 
@@ -23,8 +24,9 @@ export async function spawnBot(botManager, healthBarManager, arenaSize, botCount
   const x = (Math.random() - 0.5) * halfArena * 2;
   const z = (Math.random() - 0.5) * halfArena * 2;
   
-  // Alternate between characters
-  const characterName = botCounter % 2 === 0 ? 'herald' : 'lucy';
+  // Cycle through the characters
+  const characterNames = getCharacterNames();
+  const characterName = characterNames[botCounter % characterNames.length];
   const botId = `bot_${botCounter}`;
 
   try {
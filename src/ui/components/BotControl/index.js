@@ -1,8 +1,9 @@
 import { getMaxBots, spawnBot, updateBotCount, saveBotCount, restoreSavedBots as restoreSavedBotsFn, getArenaSize } from './functions.js';
 import { getAvailableDifficulties, BOT_DIFFICULTY } from '../../../config/bot/BotDifficultyConfig.js';
 import { getLastBotDifficulty, setLastBotDifficulty } from '../../../utils/StorageUtils.js';
+import { allowsBots, isCoopMode } from '../../../config/gamemode/GameModeConfig.js';
 
-export function initBotControl({ mount, botManager, healthBarManager, arenaManager, sceneManager, learningManager, inputManager, gameModeManager, switchGameMode }) {
+export function initBotControl({ mount, botManager, healthBarManager, arenaManager, sceneManager, learningManager, inputManager, gameModeManager, switchGameMode, onBotCountRequest, onDifficultyRequest }) {
   const wrapper = document.createElement('div');
   wrapper.className = 'ui__bot-control';
 
@@ -79,7 +80,7 @@ export function initBotControl({ mount, botManager, healthBarManager, arenaManag
     difficultyButton.setAttribute('aria-label', `Bot difficulty: ${difficultyNames[currentDifficulty] || currentDifficulty}`);
   }
   
-  function setDifficulty(index) {
+  function setDifficulty(index, save = true) {
     if (index < 0) index = difficulties.length - 1;
     if (index >= difficulties.length) index = 0;
     currentDifficultyIndex = index;
@@ -92,7 +93,18 @@ export function initBotControl({ mount, botManager, healthBarManager, arenaManag
     if (learningManager) {
       learningManager.setDifficulty(difficulty);
     }
-    setLastBotDifficulty(difficulty);
+    if (save) {
+      setLastBotDifficulty(difficulty);
+    }
+  }
+
+  // Player picks a difficulty (rooms decide it for everyone)
+  function requestDifficulty(index) {
+    const wrapped = (index + difficulties.length) % difficulties.length;
+    if (onDifficultyRequest && onDifficultyRequest(difficulties[wrapped])) {
+      return;
+    }
+    setDifficulty(wrapped);
   }
   
   // Initialize difficulty
@@ -100,17 +112,17 @@ export function initBotControl({ mount, botManager, healthBarManager, arenaManag
   
   // Button click handler - cycles through difficulties
   difficultyButton.addEventListener('click', () => {
-    setDifficulty(currentDifficultyIndex + 1);
+    requestDifficulty(currentDifficultyIndex + 1);
   });
   
   // Keyboard navigation support
   difficultyButton.addEventListener('keydown', (e) => {
     if (e.key === 'ArrowLeft') {
       e.preventDefault();
-      setDifficulty(currentDifficultyIndex - 1);
+      requestDifficulty(currentDifficultyIndex - 1);
     } else if (e.key === 'ArrowRight' || e.key === 'Enter' || e.key === ' ') {
       e.preventDefault();
-      setDifficulty(currentDifficultyIndex + 1);
+      requestDifficulty(currentDifficultyIndex + 1);
     }
   });
   
@@ -139,13 +151,13 @@ export function initBotControl({ mount, botManager, healthBarManager, arenaManag
       
       if (dpadLeft || leftStickX < -stickThreshold) {
         buttonPressCooldown = true;
-        setDifficulty(currentDifficultyIndex - 1);
+        requestDifficulty(currentDifficultyIndex - 1);
         setTimeout(() => {
           buttonPressCooldown = false;
         }, 200);
       } else if (dpadRight || leftStickX > stickThreshold) {
         buttonPressCooldown = true;
-        setDifficulty(currentDifficultyIndex + 1);
+        requestDifficulty(currentDifficultyIndex + 1);
         setTimeout(() => {
           buttonPressCooldown = false;
         }, 200);
@@ -173,8 +185,13 @@ export function initBotControl({ mount, botManager, healthBarManager, arenaManag
   async function handleAddBot() {
     if (!botManager) return;
 
-    // Switch to shooting mode (Mystic Battle) when adding bots
-    if (switchGameMode && gameModeManager && gameModeManager.getMode() !== 'shooting') {
+    // Rooms decide the bot count for everyone
+    if (onBotCountRequest && onBotCountRequest(botManager.getAllBots().length + 1)) {
+      return;
+    }
+
+    // Switch to shooting mode (Mystic Battle) when adding bots outside a bot mode (co-op waves manage their own)
+    if (switchGameMode && gameModeManager && (!allowsBots(gameModeManager.getMode()) || isCoopMode(gameModeManager.getMode()))) {
       switchGameMode('shooting', true);
     }
 
@@ -195,14 +212,7 @@ export function initBotControl({ mount, botManager, healthBarManager, arenaManag
     }
   }
 
-  function handleRemoveBot() {
-    if (!botManager) return;
-
-    // Switch to shooting mode (Mystic Battle) when removing bots
-    if (switchGameMode && gameModeManager && gameModeManager.getMode() !== 'shooting') {
-      switchGameMode('shooting', true);
-    }
-
+  function removeLastBot() {
     const bots = botManager.getAllBots();
     if (bots.length > 0) {
       const bot = bots[bots.length - 1];
@@ -213,6 +223,39 @@ export function initBotControl({ mount, botManager, healthBarManager, arenaManag
       }
       
       botManager.removeBot(bot);
+    }
+  }
+
+  // Spawn or remove bots until the room's bot count is reached (not saved as the player's own count)
+  async function syncBotCount(count) {
+    if (!botManager) return;
+
+    const targetCount = Math.min(count, getMaxBots(arenaManager));
+    while (botManager.getAllBots().length > targetCount) {
+      removeLastBot();
+    }
+    while (botManager.getAllBots().length < targetCount) {
+      const bot = await spawnBot(botManager, healthBarManager, getArenaSize(sceneManager), botCounter++);
+      if (!bot) break;
+    }
+    updateBotCountFn();
+  }
+
+  function handleRemoveBot() {
+    if (!botManager) return;
+
+    // Rooms decide the bot count for everyone
+    if (onBotCountRequest && onBotCountRequest(Math.max(0, botManager.getAllBots().length - 1))) {
+      return;
+    }
+
+    // Switch to shooting mode (Mystic Battle) when removing bots outside a bot mode (co-op waves manage their own)
+    if (switchGameMode && gameModeManager && (!allowsBots(gameModeManager.getMode()) || isCoopMode(gameModeManager.getMode()))) {
+      switchGameMode('shooting', true);
+    }
+
+    if (botManager.getAllBots().length > 0) {
+      removeLastBot();
       saveBotCount(botManager, arenaManager);
       updateBotCountFn();
     }
@@ -235,11 +278,12 @@ export function initBotControl({ mount, botManager, healthBarManager, arenaManag
   return {
     updateBotCount: updateBotCountFn,
     restoreSavedBots,
+    syncBotCount,
     getDifficulty: () => difficulties[currentDifficultyIndex],
-    setDifficulty: (difficulty) => {
+    setDifficulty: (difficulty, save = true) => {
       const index = difficulties.indexOf(difficulty);
       if (index !== -1) {
-        setDifficulty(index);
+        setDifficulty(index, save);
       }
     }
   };
@@ -1,5 +1,9 @@
-export function toTitleCase(str) {
-  if (!str) return str;
-  return str.charAt(0).toUpperCase() + str.slice(1);
+import { getCharacterManifest } from '../../../config/character/CharacterRegistry.js';
+
+export function getCharacterCaption(name) {
+  return getCharacterManifest(name).displayName;
 }
 
+export function getCharacterPortraitSrc(name) {
+  return `${getCharacterManifest(name).sprites.basePath}idle_front.png`;
+}
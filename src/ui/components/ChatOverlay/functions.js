@@ -0,0 +1,66 @@
+import { getTeamConfig } from '../../../config/gamemode/TeamConfig.js';
+import { getChatStats } from '../../../config/global/ChatConfig.js';
+
+export function createMessageElement(message) {
+  const element = document.createElement('div');
+  element.className = 'ui__chat-message';
+  if (message.quickChatId) {
+    element.classList.add('ui__chat-message--quick');
+  }
+
+  const name = document.createElement('span');
+  name.className = 'ui__chat-name';
+  name.textContent = message.isLocal ? `${message.name} (You)` : message.name;
+  if (message.team) {
+    name.style.color = getTeamConfig(message.team).cssColor;
+  }
+  element.appendChild(name);
+
+  const text = document.createElement('span');
+  text.className = 'ui__chat-text';
+  text.textContent = message.text;
+  element.appendChild(text);
+
+  return element;
+}
+
+export function createSystemMessageElement(text) {
+  const element = document.createElement('div');
+  element.className = 'ui__chat-message ui__chat-message--system';
+  element.textContent = text;
+  return element;
+}
+
+export function appendToLog(log, element) {
+  log.appendChild(element);
+  while (log.children.length > getChatStats().historySize) {
+    log.removeChild(log.firstChild);
+  }
+  log.scrollTop = log.scrollHeight;
+
+  // Fade out while chat is closed (the open chat shows the whole log)
+  setTimeout(() => {
+    element.classList.add('is-faded');
+  }, getChatStats().messageSeconds * 1000);
+}
+
+export function createQuickChatWheel(onPick) {
+  const wheel = document.createElement('div');
+  wheel.className = 'ui__quick-chat is-hidden';
+
+  getChatStats().quickChat.forEach(preset => {
+    const option = document.createElement('button');
+    option.type = 'button';
+    option.className = `ui__quick-chat-option ui__quick-chat-option--${preset.direction}`;
+    option.textContent = preset.text;
+    option.addEventListener('click', () => onPick(preset));
+    wheel.appendChild(option);
+  });
+
+  const hint = document.createElement('div');
+  hint.className = 'ui__quick-chat-hint';
+  hint.textContent = 'D-pad';
+  wheel.appendChild(hint);
+
+  return wheel;
+}
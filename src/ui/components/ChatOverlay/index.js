@@ -0,0 +1,148 @@
+/**
+ * ChatOverlay.js
+ *
+ * UI component that shows the room chat log with a text input
+ * (Enter to type, Enter to send, Escape to cancel) and a quick-chat wheel for
+ * controllers: a D-pad press opens the wheel and a second press sends the preset
+ * in that direction.
+ */
+
+import { getChatStats, getQuickChatForDirection } from '../../../config/global/ChatConfig.js';
+import { createMessageElement, createSystemMessageElement, appendToLog, createQuickChatWheel } from './functions.js';
+
+export function initChatOverlay({ mount, multiplayerManager, inputManager, isMenuOpen }) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'ui__chat is-hidden';
+
+  const log = document.createElement('div');
+  log.className = 'ui__chat-log';
+  wrapper.appendChild(log);
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'ui__chat-input';
+  input.maxLength = getChatStats().maxLength;
+  input.placeholder = 'Say something... (Enter to send, Esc to cancel)';
+  wrapper.appendChild(input);
+
+  const wheel = createQuickChatWheel((preset) => sendQuickChat(preset));
+  wrapper.appendChild(wheel);
+
+  let isTyping = false;
+  let wheelOpenedAt = null;
+  let lastRoomCode = null;
+
+  function showError(error) {
+    appendToLog(log, createSystemMessageElement(error.message || 'Message not sent'));
+  }
+
+  function openInput() {
+    isTyping = true;
+    wrapper.classList.add('is-open');
+    inputManager.setInputBlocked(true);
+    input.value = '';
+    input.focus();
+  }
+
+  function closeInput() {
+    isTyping = false;
+    wrapper.classList.remove('is-open');
+    input.blur();
+    inputManager.setInputBlocked(false);
+  }
+
+  function closeWheel() {
+    wheelOpenedAt = null;
+    wheel.classList.add('is-hidden');
+  }
+
+  function sendQuickChat(preset) {
+    closeWheel();
+    multiplayerManager.sendQuickChat(preset.id).catch(showError);
+  }
+
+  // Enter opens chat while playing in a room
+  document.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter' || isTyping || e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+      return;
+    }
+    if (!multiplayerManager.isInRoom() || (isMenuOpen && isMenuOpen())) {
+      return;
+    }
+    e.preventDefault();
+    openInput();
+  });
+
+  // Keep Enter and Escape away from the game menu while typing
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      e.stopPropagation();
+      const text = input.value.trim();
+      closeInput();
+      if (text) {
+        multiplayerManager.sendChatMessage(text).catch(showError);
+      }
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      closeInput();
+    }
+  });
+  input.addEventListener('blur', () => {
+    if (isTyping) {
+      closeInput();
+    }
+  });
+
+  multiplayerManager.setChatMessageCallback((message) => {
+    appendToLog(log, createMessageElement(message));
+  });
+
+  mount.appendChild(wrapper);
+
+  // Public API
+  return {
+    /**
+     * Per-frame update: follows the room and drives the quick-chat wheel from the D-pad
+     */
+    update() {
+      const roomCode = multiplayerManager.isInRoom() ? multiplayerManager.getRoomCode() : null;
+      if (roomCode !== lastRoomCode) {
+        // New room, new conversation
+        lastRoomCode = roomCode;
+        log.innerHTML = '';
+        closeWheel();
+        if (isTyping) {
+          closeInput();
+        }
+        wrapper.classList.toggle('is-hidden', !roomCode);
+      }
+
+      const direction = inputManager.consumeQuickChatDirection();
+      if (!roomCode) {
+        return;
+      }
+
+      if (direction) {
+        if (wheelOpenedAt === null) {
+          wheelOpenedAt = performance.now();
+          wheel.classList.remove('is-hidden');
+        } else {
+          const preset = getQuickChatForDirection(direction);
+          if (preset) {
+            sendQuickChat(preset);
+          }
+        }
+      } else if (wheelOpenedAt !== null && performance.now() - wheelOpenedAt > getChatStats().wheelSeconds * 1000) {
+        closeWheel();
+      }
+    },
+    isTyping() {
+      return isTyping;
+    },
+    getWrapper() {
+      return wrapper;
+    }
+  };
+}
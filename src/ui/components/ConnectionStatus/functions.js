@@ -5,15 +5,16 @@
  * @param {HTMLElement} statusText - Status text element
  * @param {string} state - Connection state ('disconnected', 'connecting', 'connected', 'reconnecting')
  * @param {number|null} [latency] - Optional latency in ms to display alongside connected state
+ * @param {number|null} [resumeSeconds] - Seconds the server still holds our room slot while reconnecting
  */
-export function updateStatus(wrapper, statusIndicator, statusText, state, latency) {
+export function updateStatus(wrapper, statusIndicator, statusText, state, latency, resumeSeconds) {
   // Always strip prior quality classes; we'll re-add as needed.
   statusIndicator.classList.remove('is-connecting', 'is-reconnecting', 'is-connected', 'is-good', 'is-okay', 'is-bad');
 
   if (state === 'reconnecting') {
     wrapper.classList.remove('is-hidden');
     statusIndicator.classList.add('is-reconnecting');
-    statusText.textContent = 'Reconnecting...';
+    statusText.textContent = typeof resumeSeconds === 'number' ? `Reconnecting... ${resumeSeconds}s` : 'Reconnecting...';
     return;
   }
 
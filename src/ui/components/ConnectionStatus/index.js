@@ -29,7 +29,24 @@ export function initConnectionStatus({ mount, multiplayerManager }) {
     ? multiplayerManager.getLatency()
     : null;
 
-  const render = () => updateStatus(wrapper, statusIndicator, statusText, currentState, currentLatency);
+  let countdownTimer = null;
+
+  const render = () => {
+    const resumeSeconds = multiplayerManager && typeof multiplayerManager.getResumeSecondsRemaining === 'function'
+      ? multiplayerManager.getResumeSecondsRemaining()
+      : null;
+    updateStatus(wrapper, statusIndicator, statusText, currentState, currentLatency, resumeSeconds);
+  };
+
+  // Tick the room slot countdown once a second while reconnecting
+  const updateCountdown = () => {
+    if (currentState === 'reconnecting' && !countdownTimer) {
+      countdownTimer = setInterval(render, 1000);
+    } else if (currentState !== 'reconnecting' && countdownTimer) {
+      clearInterval(countdownTimer);
+      countdownTimer = null;
+    }
+  };
 
   // Set initial state
   if (multiplayerManager) {
@@ -38,6 +55,7 @@ export function initConnectionStatus({ mount, multiplayerManager }) {
     // Listen for connection state changes
     multiplayerManager.setConnectionStateChangeCallback((state) => {
       currentState = state;
+      updateCountdown();
       render();
     });
 
@@ -56,6 +74,7 @@ export function initConnectionStatus({ mount, multiplayerManager }) {
   return {
     update(state) {
       if (state !== undefined) currentState = state;
+      updateCountdown();
       render();
     },
     getWrapper() {
@@ -113,6 +113,20 @@ export function ControllerControls({ isShootingMode, controllerType = 'xbox' })
             <LegendKey className="ui__legend-key--char">Back</LegendKey>
           </LegendKeys>
         </LegendGroup>
+
+        <LegendGroup label="Quick Chat:">
+          <LegendKeys>
+            <LegendKey className="ui__legend-key--char">D-pad</LegendKey>
+          </LegendKeys>
+        </LegendGroup>
+
+        <LegendGroup label="Spectate:">
+          <LegendKeys>
+            <ControllerButton button="LB" controllerType={resolvedType} />
+            <ControllerButton button="RB" controllerType={resolvedType} className="ui__legend-key--controller-rb" />
+            <ControllerButton button="Y" controllerType={resolvedType} className="ui__legend-key--controller-y" />
+          </LegendKeys>
+        </LegendGroup>
       </LegendSection>
     </>
   );
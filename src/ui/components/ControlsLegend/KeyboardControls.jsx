@@ -115,6 +115,20 @@ export function KeyboardControls({ isShootingMode }) {
             <LegendKey className="ui__legend-key--char">Tab</LegendKey>
           </LegendKeys>
         </LegendGroup>
+
+        <LegendGroup label="Chat:">
+          <LegendKeys>
+            <LegendKey className="ui__legend-key--char">Enter</LegendKey>
+          </LegendKeys>
+        </LegendGroup>
+
+        <LegendGroup label="Spectate:">
+          <LegendKeys>
+            <LegendKey className="ui__legend-key--char">,</LegendKey>
+            <LegendKey className="ui__legend-key--char">.</LegendKey>
+            <LegendKey className="ui__legend-key--char">V</LegendKey>
+          </LegendKeys>
+        </LegendGroup>
       </LegendSection>
     </>
   );
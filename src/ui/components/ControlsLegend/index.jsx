@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { KeyboardControls } from './KeyboardControls.jsx';
 import { ControllerControls } from './ControllerControls.jsx';
+import { isCombatMode } from '../../../config/gamemode/GameModeConfig.js';
 
 export function ControlsLegend({ inputManager, gameModeManager }) {
   const [inputMode, setInputMode] = useState(() => inputManager?.getInputMode() || 'keyboard');
@@ -29,7 +30,7 @@ export function ControlsLegend({ inputManager, gameModeManager }) {
     return () => clearInterval(interval);
   }, [inputManager, gameModeManager]);
 
-  const isShootingMode = gameMode === 'shooting';
+  const isShootingMode = isCombatMode(gameMode);
 
   return (
     <div className="ui__legend-panel">
@@ -1,9 +1,10 @@
-import { getMeleeStats, getBlastStats } from '../../../core/systems/abilities/functions/CharacterAbilityStats.js';
+import { getMeleeStats } from '../../../core/systems/abilities/functions/CharacterAbilityStats.js';
 import { getCharacterColorCss } from '../../../config/abilities/CharacterColors.js';
+import { getCharacterManifest } from '../../../config/character/CharacterRegistry.js';
 import { getCharacterPhysicsStats } from '../../../config/character/PhysicsConfig.js';
 import { CONTROLLER_BUTTON_CONFIG } from '../XboxButton/helpers.js';
 
-const STATE_CLASSES = ['is-ready', 'is-cooling', 'is-active', 'is-empty'];
+const STATE_CLASSES = ['is-ready', 'is-cooling', 'is-active', 'is-empty', 'is-charged'];
 
 function getControllerType(inputManager) {
   if (!inputManager || typeof inputManager.getControllerType !== 'function') {
@@ -48,7 +49,7 @@ function show(row, visible) {
   row.item.style.display = visible ? '' : 'none';
 }
 
-export function updateCooldowns(projectileManager, characterManager, inputManager, rows) {
+export function updateCooldowns(projectileManager, characterManager, inputManager, rows, ultimateMeter = null) {
   if (!projectileManager || !characterManager) return;
   if (!rows || !rows.shot) return;
 
@@ -64,12 +65,10 @@ export function updateCooldowns(projectileManager, characterManager, inputManage
   const stats = projectileManager.getCharacterStats(characterName);
   const meleeStats = getMeleeStats(characterName);
   const characterColor = getCharacterColorCss(characterName);
-  const isHerald = characterName === 'herald';
+  const manifest = getCharacterManifest(characterName);
 
   if (rows.header) {
-    const displayName = characterName
-      ? characterName.charAt(0).toUpperCase() + characterName.slice(1)
-      : '';
+    const displayName = characterName ? manifest.displayName : '';
     if (rows.header.name.textContent !== displayName) {
       rows.header.name.textContent = displayName;
     }
@@ -78,7 +77,7 @@ export function updateCooldowns(projectileManager, characterManager, inputManage
   }
 
   // ---- Shot / Bolt ----
-  const shotName = isHerald ? 'Bolt' : 'Shot';
+  const shotName = manifest.labels.bolt;
   const shotKey = isControllerMode ? controllerLabel('RT') : 'LMB';
   setLabel(rows.shot, shotName, shotKey);
 
@@ -95,9 +94,25 @@ export function updateCooldowns(projectileManager, characterManager, inputManage
     setStatusText(rows.shot, total != null ? `${bulletInfo.current}/${total}` : 'Ready');
   }
 
-  // ---- Speed Boost ----
-  const speedBoostInfo = projectileManager.getSpeedBoostInfo(playerId, characterName);
-  if (speedBoostInfo) {
+  // ---- Speed Boost / Utility ----
+  const utilitySlot = manifest.slots.utility;
+  const speedBoostInfo = utilitySlot ? null : projectileManager.getSpeedBoostInfo(playerId, characterName);
+  if (utilitySlot) {
+    // Characters with a utility ability (Warden's trap) use LB for it instead of the speed boost
+    show(rows.speedBoost, true);
+    setLabel(rows.speedBoost, manifest.labels.utility || utilitySlot, isControllerMode ? controllerLabel('LB') : 'E');
+
+    const utilityCooldown = projectileManager.getUtilityAbilityCooldown(playerId);
+    const utilityMaxCooldown = manifest.abilities[utilitySlot]?.cooldown || 1.0;
+    const utilityPercent = utilityMaxCooldown > 0 ? Math.min(utilityCooldown / utilityMaxCooldown, 1.0) : 0;
+    if (utilityPercent > 0) {
+      applyFill(rows.speedBoost, 1 - utilityPercent, 'cooling', characterColor);
+      setStatusText(rows.speedBoost, 'Reloading');
+    } else {
+      applyFill(rows.speedBoost, 1, 'ready', characterColor);
+      setStatusText(rows.speedBoost, 'Ready');
+    }
+  } else if (speedBoostInfo) {
     show(rows.speedBoost, true);
     const sbKey = isControllerMode ? controllerLabel('LB') : 'E';
     setLabel(rows.speedBoost, 'Speed Boost', sbKey);
@@ -119,7 +134,7 @@ export function updateCooldowns(projectileManager, characterManager, inputManage
   }
 
   // ---- Mortar / Fireball ----
-  const mortarName = isHerald ? 'Fireball' : 'Mortar';
+  const mortarName = manifest.labels.mortar;
   const mortarKey = isControllerMode ? controllerLabel('RB') : 'RMB';
   setLabel(rows.mortar, mortarName, mortarKey);
 
@@ -135,28 +150,24 @@ export function updateCooldowns(projectileManager, characterManager, inputManage
   }
 
   // ---- Melee / Special ----
-  let meleeName = 'Melee';
-  if (characterName === 'herald') meleeName = 'Blast';
-  else if (characterName === 'lucy') meleeName = 'Multi-Projectile';
+  const meleeName = manifest.labels.special;
   const meleeKey = isControllerMode ? controllerLabel('B') : 'F';
   setLabel(rows.melee, meleeName, meleeKey);
 
   let meleeCooldown = 0;
   let meleeMaxCooldown = 1.5;
-  if (characterName === 'herald') {
-    const blastStats = getBlastStats(characterName);
-    if (blastStats) {
+  const specialSlot = manifest.slots.special;
+  if (specialSlot !== 'melee') {
+    // Other specials (Herald's blast, Warden's barrier) have their own cooldown
+    const specialStats = manifest.abilities[specialSlot];
+    if (specialStats) {
       meleeCooldown = projectileManager.getSpecialAbilityCooldown ? projectileManager.getSpecialAbilityCooldown(playerId) : 0;
-      meleeMaxCooldown = blastStats.cooldown || 5.0;
+      meleeMaxCooldown = specialStats.cooldown || 5.0;
     }
-  } else if (characterName === 'lucy') {
-    // Lucy's "Multi-Projectile" is fired by `_handleSwordSwing` in GameLoop,
-    // which gates on `meleeCooldownTimer` and writes back via setMeleeCooldown.
-    // The legacy multiProjectile config is unused at runtime, so the UI must
-    // read the melee cooldown to match what the game actually enforces.
-    meleeCooldown = projectileManager.meleeCharacterCooldowns.getCooldown(playerId);
-    meleeMaxCooldown = meleeStats?.cooldown || 1.5;
   } else {
+    // Melee-slot specials (e.g. Lucy's "Multi-Projectile") are the melee ability, whose
+    // cooldown GameLoop writes back via setMeleeCooldown, so the UI reads the melee
+    // cooldown to match what the game actually enforces.
     meleeCooldown = projectileManager.meleeCharacterCooldowns.getCooldown(playerId);
     meleeMaxCooldown = meleeStats.cooldown || 1.5;
   }
@@ -170,6 +181,26 @@ export function updateCooldowns(projectileManager, characterManager, inputManage
     setStatusText(rows.melee, 'Ready');
   }
 
+  // ---- Ultimate ----
+  const ultimateSlot = manifest.slots.ultimate;
+  if (rows.ultimate && ultimateSlot && ultimateMeter) {
+    show(rows.ultimate, true);
+    const ultimateKey = isControllerMode ? `${controllerLabel('LB')}+${controllerLabel('RB')}` : 'G';
+    setLabel(rows.ultimate, manifest.labels.ultimate || ultimateSlot, ultimateKey);
+
+    // Fills from damage, kills and objectives rather than over time
+    const ultimatePercent = ultimateMeter.getPercent();
+    if (ultimateMeter.isFull()) {
+      applyFill(rows.ultimate, 1, 'charged', characterColor);
+      setStatusText(rows.ultimate, 'Ready');
+    } else {
+      applyFill(rows.ultimate, ultimatePercent, 'cooling', characterColor);
+      setStatusText(rows.ultimate, `${Math.floor(ultimatePercent * 100)}%`);
+    }
+  } else if (rows.ultimate) {
+    show(rows.ultimate, false);
+  }
+
   // ---- Fly ----
   const flyKey = isControllerMode ? `Hold ${controllerLabel('A')}` : 'Hold Space';
   setLabel(rows.fly, 'Fly', flyKey);
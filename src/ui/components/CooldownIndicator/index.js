@@ -40,7 +40,7 @@ function createAbilityRow(name, defaultLabel, defaultKey) {
   return { item, label, bar, fill, status };
 }
 
-export function initCooldownIndicator({ mount, projectileManager, characterManager, inputManager }) {
+export function initCooldownIndicator({ mount, projectileManager, characterManager, inputManager, ultimateMeter = null }) {
   const defaultReturn = {
     container: null,
     shotFill: null,
@@ -48,11 +48,13 @@ export function initCooldownIndicator({ mount, projectileManager, characterManag
     meleeFill: null,
     speedBoostFill: null,
     flyFill: null,
+    ultimateFill: null,
     shotBar: null,
     mortarBar: null,
     meleeBar: null,
     speedBoostBar: null,
     flyBar: null,
+    ultimateBar: null,
     update: function() {},
     show: function() {},
     hide: function() {}
@@ -83,12 +85,14 @@ export function initCooldownIndicator({ mount, projectileManager, characterManag
   const speedBoost = createAbilityRow('speedBoost', 'Speed Boost', 'E');
   const mortar = createAbilityRow('mortar', 'Mortar', 'RMB');
   const melee = createAbilityRow('melee', 'Melee', 'B');
+  const ultimate = createAbilityRow('ultimate', 'Ultimate', 'G');
   const fly = createAbilityRow('fly', 'Fly', 'Hold A/Space');
 
   container.appendChild(shot.item);
   container.appendChild(speedBoost.item);
   container.appendChild(mortar.item);
   container.appendChild(melee.item);
+  container.appendChild(ultimate.item);
   container.appendChild(fly.item);
   mount.appendChild(container);
 
@@ -98,11 +102,12 @@ export function initCooldownIndicator({ mount, projectileManager, characterManag
     speedBoost,
     mortar,
     melee,
+    ultimate,
     fly,
   };
 
   if (projectileManager && characterManager) {
-    updateCooldowns(projectileManager, characterManager, inputManager, rows);
+    updateCooldowns(projectileManager, characterManager, inputManager, rows, ultimateMeter);
   }
 
   return {
@@ -112,13 +117,15 @@ export function initCooldownIndicator({ mount, projectileManager, characterManag
     meleeFill: melee.fill,
     speedBoostFill: speedBoost.fill,
     flyFill: fly.fill,
+    ultimateFill: ultimate.fill,
     shotBar: shot.bar,
     mortarBar: mortar.bar,
     meleeBar: melee.bar,
     speedBoostBar: speedBoost.bar,
     flyBar: fly.bar,
+    ultimateBar: ultimate.bar,
     update: function() {
-      updateCooldowns(projectileManager, characterManager, inputManager, rows);
+      updateCooldowns(projectileManager, characterManager, inputManager, rows, ultimateMeter);
     },
     show: function() {
       container.style.display = 'block';
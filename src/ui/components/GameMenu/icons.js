@@ -61,6 +61,12 @@ export const MenuIcons = {
     <path d="M19.07 4.93a10 10 0 0 1 0 14.14" />
   `),
 
+  // User — Player Name
+  playerName: wrap(`
+    <circle cx="12" cy="8" r="4" />
+    <path d="M4 21v-1a6 6 0 0 1 6-6h4a6 6 0 0 1 6 6v1" />
+  `),
+
   // Door — Rooms
   rooms: wrap(`
     <path d="M4 21V5a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v16" />
@@ -1,4 +1,4 @@
-export function updateDisplay(wrapper, modeLabel, primaryInfo, secondaryInfo, gameModeManager) {
+export function updateDisplay(wrapper, modeLabel, primaryInfo, secondaryInfo, matchInfo, restartButton, gameModeManager) {
   const info = gameModeManager.getDisplayInfo();
   
   // Hide entire panel if no mode info (free-play mode)
@@ -11,8 +11,13 @@ export function updateDisplay(wrapper, modeLabel, primaryInfo, secondaryInfo, ga
   modeLabel.textContent = info.mode;
   primaryInfo.textContent = info.primary || '';
   secondaryInfo.textContent = info.secondary || '';
+  matchInfo.textContent = info.match || '';
   
   primaryInfo.style.display = info.primary ? 'block' : 'none';
   secondaryInfo.style.display = info.secondary ? 'block' : 'none';
+  matchInfo.style.display = info.match ? 'block' : 'none';
+  
+  // Room matches are restarted by the server
+  restartButton.style.display = info.match ? 'none' : '';
 }
 
@@ -13,6 +13,9 @@ export function initGameModeDisplay({ mount, gameModeManager, characterManager =
   const secondaryInfo = document.createElement('div');
   secondaryInfo.className = 'ui__mode-secondary';
 
+  const matchInfo = document.createElement('div');
+  matchInfo.className = 'ui__mode-match';
+
   const restartButton = document.createElement('button');
   restartButton.className = 'ui__restart-button';
   restartButton.textContent = 'Restart';
@@ -27,15 +30,16 @@ export function initGameModeDisplay({ mount, gameModeManager, characterManager =
   wrapper.appendChild(modeLabel);
   wrapper.appendChild(primaryInfo);
   wrapper.appendChild(secondaryInfo);
+  wrapper.appendChild(matchInfo);
   wrapper.appendChild(restartButton);
 
   mount.appendChild(wrapper);
 
-  setInterval(() => updateDisplay(wrapper, modeLabel, primaryInfo, secondaryInfo, gameModeManager), 100);
+  setInterval(() => updateDisplay(wrapper, modeLabel, primaryInfo, secondaryInfo, matchInfo, restartButton, gameModeManager), 100);
 
   return {
     update() {
-      updateDisplay(wrapper, modeLabel, primaryInfo, secondaryInfo, gameModeManager);
+      updateDisplay(wrapper, modeLabel, primaryInfo, secondaryInfo, matchInfo, restartButton, gameModeManager);
     }
   };
 }
@@ -0,0 +1,63 @@
+import { getKillFeedStats, getKillAbility, getKillAbilityLabel, isBotId, getBotDisplayName } from '../../../config/global/KillFeedConfig.js';
+
+export function resolveLocalKill(kill, multiplayerManager) {
+  const getName = (entityId) => {
+    if (!entityId) {
+      return null;
+    }
+    if (entityId === 'local') {
+      return multiplayerManager.getLocalName();
+    }
+    return isBotId(entityId) ? getBotDisplayName(entityId) : multiplayerManager.getDisplayName(entityId);
+  };
+
+  return {
+    killerId: kill.killerId || null,
+    killerName: getName(kill.killerId),
+    victimId: kill.victimId,
+    victimName: getName(kill.victimId),
+    abilityType: getKillAbility(kill.abilityType)
+  };
+}
+
+export function createKillElement(kill, isLocalId) {
+  const element = document.createElement('div');
+  element.className = 'ui__kill-feed-entry';
+  if (isLocalId(kill.killerId) || isLocalId(kill.victimId)) {
+    element.classList.add('is-local');
+  }
+
+  if (kill.killerName && kill.killerId !== kill.victimId) {
+    const killer = document.createElement('span');
+    killer.className = 'ui__kill-feed-name';
+    killer.textContent = kill.killerName;
+    element.appendChild(killer);
+  }
+
+  const ability = document.createElement('span');
+  ability.className = 'ui__kill-feed-ability';
+  const label = getKillAbilityLabel(kill.abilityType);
+  ability.textContent = label ? `[${label}] →` : '✖';
+  element.appendChild(ability);
+
+  const victim = document.createElement('span');
+  victim.className = 'ui__kill-feed-name ui__kill-feed-name--victim';
+  victim.textContent = kill.victimName || '?';
+  element.appendChild(victim);
+
+  return element;
+}
+
+export function pushEntry(list, element) {
+  const stats = getKillFeedStats();
+  list.appendChild(element);
+  while (list.children.length > stats.maxEntries) {
+    list.removeChild(list.firstChild);
+  }
+
+  setTimeout(() => {
+    if (element.parentNode === list) {
+      list.removeChild(element);
+    }
+  }, stats.entrySeconds * 1000);
+}
@@ -0,0 +1,36 @@
+/**
+ * KillFeed.js
+ *
+ * UI component that lists recent kills ("Lucy [bolt] → Herald") in the top-left.
+ * In a room every entry comes from the server's player-killed event, so all players
+ * see the same feed; outside a room the game loop's own bot kills and falls are shown.
+ */
+
+import { resolveLocalKill, createKillElement, pushEntry } from './functions.js';
+
+export function initKillFeed({ mount, multiplayerManager, gameLoop }) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'ui__kill-feed';
+
+  const isLocalId = (entityId) => !!entityId && (entityId === 'local' || entityId === multiplayerManager.getLocalPlayerId());
+
+  function addKill(kill) {
+    pushEntry(wrapper, createKillElement(kill, isLocalId));
+  }
+
+  multiplayerManager.setPlayerKilledCallback(addKill);
+  gameLoop.setLocalKillCallback((kill) => addKill(resolveLocalKill(kill, multiplayerManager)));
+
+  mount.appendChild(wrapper);
+
+  // Public API
+  return {
+    addKill,
+    clear() {
+      wrapper.innerHTML = '';
+    },
+    getWrapper() {
+      return wrapper;
+    }
+  };
+}
@@ -122,10 +122,24 @@ export function updateMinimap(ctx, width, height, state, sceneManager, character
     }
   }
   
+  // Draw shrine zone (king of the hill) under the players - red ring when contested
+  if (entityManager && entityManager.hillZone) {
+    const zone = entityManager.hillZone;
+    const mapPos = worldToMap(zone.position.x, zone.position.z);
+    const contested = zone.userData.contested;
+    ctx.fillStyle = contested ? 'rgba(255, 107, 107, 0.25)' : 'rgba(255, 209, 102, 0.25)';
+    ctx.strokeStyle = contested ? '#ff6b6b' : '#ffd166';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.arc(mapPos.x, mapPos.y, zone.userData.radius * scale, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+  }
+  
   // Draw local player
   if (characterManager && characterManager.getPlayer) {
     const localPlayer = characterManager.getPlayer();
-    if (localPlayer && localPlayer.position) {
+    if (localPlayer && localPlayer.position && localPlayer.parent) {
       const mapPos = worldToMap(localPlayer.position.x, localPlayer.position.z);
       ctx.fillStyle = '#00ff00'; // Green for local player
       ctx.beginPath();
@@ -110,7 +110,8 @@ export function initMinimap({ mount, sceneManager, characterManager, remotePlaye
           botManager,
           projectileManager,
           arenaManager,
-          collisionManager
+          collisionManager,
+          entityManager
         );
       }
     }
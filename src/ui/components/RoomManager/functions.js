@@ -1,4 +1,12 @@
-export function createRoomUI(createButton, statusText, privacyToggle, handleCreateRoom) {
+import { getModeConfig, isTeamMode, isCombatMode, isCoopMode, allowsBots, getTeamScoring, getAllEnabledModes } from '../../../config/gamemode/GameModeConfig.js';
+import { getTeamIds, getTeamConfig, getKillLimitStats } from '../../../config/gamemode/TeamConfig.js';
+import { getCrystalStats } from '../../../config/gamemode/CrystalConfig.js';
+import { MATCH_PHASES, getMatchPhaseLabel } from '../../../config/gamemode/MatchConfig.js';
+import { getRoomSettingsStats } from '../../../config/gamemode/RoomSettingsConfig.js';
+import { getAllArenas, getArenaConfig, getArenaMaxBots } from '../../../config/arena/ArenaConfig.js';
+import { getAvailableDifficulties, getDifficultyConfig } from '../../../config/bot/BotDifficultyConfig.js';
+
+export function createRoomUI(createButton, statusText, privacyToggle, handleCreateRoom, killLimitInput = null) {
   const container = document.createElement('div');
   container.className = 'ui__room-container';
 
@@ -22,6 +30,27 @@ export function createRoomUI(createButton, statusText, privacyToggle, handleCrea
   privacyWrapper.appendChild(privacyLabel);
   container.appendChild(privacyWrapper);
 
+  // Kill limit (used by team modes)
+  if (killLimitInput) {
+    const killLimitStats = getKillLimitStats();
+    const killLimitLabel = document.createElement('label');
+    killLimitLabel.className = 'ui__kill-limit-label';
+
+    const killLimitText = document.createElement('span');
+    killLimitText.className = 'ui__privacy-text';
+    killLimitText.textContent = 'Team Kill Limit';
+
+    killLimitInput.type = 'number';
+    killLimitInput.className = 'ui__input ui__input--small';
+    killLimitInput.min = killLimitStats.min;
+    killLimitInput.max = killLimitStats.max;
+    killLimitInput.value = killLimitStats.default;
+
+    killLimitLabel.appendChild(killLimitText);
+    killLimitLabel.appendChild(killLimitInput);
+    container.appendChild(killLimitLabel);
+  }
+
   // Create room button
   createButton.type = 'button';
   createButton.className = 'ui__button ui__button--primary';
@@ -43,23 +72,12 @@ export function createRoomDisplayUI(roomCodeDisplay, leaveButton, multiplayerMan
 
   // Success notification (if just created)
   if (roomInfo.justCreated) {
-    const successNotification = document.createElement('div');
-    successNotification.className = 'ui__room-success';
-    successNotification.textContent = '✓ Room created successfully!';
-    container.appendChild(successNotification);
-    
-    // Auto-hide after 3 seconds
-    setTimeout(() => {
-      if (successNotification.parentNode) {
-        successNotification.style.opacity = '0';
-        successNotification.style.transition = 'opacity 0.3s';
-        setTimeout(() => {
-          if (successNotification.parentNode) {
-            successNotification.remove();
-          }
-        }, 300);
-      }
-    }, 3000);
+    container.appendChild(createRoomNotification('✓ Room created successfully!'));
+  }
+
+  // Host migration notification
+  if (roomInfo.justBecameHost) {
+    container.appendChild(createRoomNotification('👑 The host left - you are now the host'));
   }
 
   // Room status header
@@ -69,7 +87,8 @@ export function createRoomDisplayUI(roomCodeDisplay, leaveButton, multiplayerMan
   const roomCode = multiplayerManager.getRoomCode();
   const connectedPlayers = multiplayerManager.getConnectedPlayers();
   const playerCount = connectedPlayers.length;
-  const maxPlayers = 4;
+  const maxPlayers = multiplayerManager.getRoomSettings().maxPlayers || getRoomSettingsStats().maxPlayers.default;
+  const spectatorCount = multiplayerManager.getSpectatorIds().length;
   const isHost = multiplayerManager.isHost || false;
   const isPrivate = roomInfo.isPrivate || false;
 
@@ -108,9 +127,57 @@ export function createRoomDisplayUI(roomCodeDisplay, leaveButton, multiplayerMan
   // Player count
   const playerInfo = document.createElement('div');
   playerInfo.className = 'ui__room-info-item';
-  playerInfo.textContent = `👥 Players: ${playerCount}/${maxPlayers}`;
+  playerInfo.textContent = `👥 Players: ${formatPlayerCount(playerCount, maxPlayers, spectatorCount)}`;
   infoSection.appendChild(playerInfo);
 
+  // Spectators wait for a free slot in join order
+  if (multiplayerManager.isSpectating()) {
+    const queuePosition = multiplayerManager.getQueuePosition();
+    const spectatorInfo = document.createElement('div');
+    spectatorInfo.className = 'ui__room-info-item ui__room-spectating';
+    spectatorInfo.textContent = queuePosition
+      ? `👀 Room is full - spectating (#${queuePosition} in queue)`
+      : '👀 Room is full - spectating';
+    infoSection.appendChild(spectatorInfo);
+  }
+
+  // Who hosts the room (the host sees their own badge instead)
+  const hostId = multiplayerManager.getHostId();
+  if (!isHost && hostId) {
+    const hostInfo = document.createElement('div');
+    hostInfo.className = 'ui__room-info-item';
+    hostInfo.textContent = `👑 Host: ${multiplayerManager.getDisplayName(hostId)}`;
+    infoSection.appendChild(hostInfo);
+  }
+
+  // Game mode
+  const roomProperties = multiplayerManager.getRoomProperties();
+  const modeConfig = getModeConfig(roomProperties.gameMode);
+  if (modeConfig) {
+    const modeInfo = document.createElement('div');
+    modeInfo.className = 'ui__room-info-item';
+    modeInfo.textContent = `⚔ Mode: ${modeConfig.name}`;
+    infoSection.appendChild(modeInfo);
+  }
+
+  // Team and team scores (team modes only)
+  const localTeam = multiplayerManager.getLocalTeam();
+  if (isTeamMode(roomProperties.gameMode) && localTeam) {
+    const teamConfig = getTeamConfig(localTeam);
+    const teamInfo = document.createElement('div');
+    teamInfo.className = 'ui__room-info-item ui__room-team';
+    teamInfo.style.color = teamConfig.cssColor;
+    teamInfo.textContent = `🛡 Team: ${teamConfig.name}`;
+    infoSection.appendChild(teamInfo);
+
+    const teamScores = roomProperties.teamScores || {};
+    const scoreInfo = document.createElement('div');
+    scoreInfo.className = 'ui__room-info-item';
+    const scoreText = getTeamIds().map(teamId => `${getTeamConfig(teamId).name} ${teamScores[teamId] || 0}`).join(' – ');
+    scoreInfo.textContent = `🏆 ${scoreText} (first to ${multiplayerManager.getScoreLimit()})`;
+    infoSection.appendChild(scoreInfo);
+  }
+
   // Creation time (if available)
   if (roomInfo.createdAt) {
     const timeInfo = document.createElement('div');
@@ -122,6 +189,15 @@ export function createRoomDisplayUI(roomCodeDisplay, leaveButton, multiplayerMan
 
   container.appendChild(infoSection);
 
+  // Everyone in the room (the host gets moderation controls on each row)
+  container.appendChild(createPlayerListUI(multiplayerManager, roomInfo));
+
+  // Room settings (host edits them in the lobby)
+  container.appendChild(createRoomSettingsUI(multiplayerManager, roomInfo));
+
+  // Match lifecycle (phase, ready state, last results)
+  container.appendChild(createMatchUI(multiplayerManager, roomInfo));
+
   // Action buttons wrapper
   const actionsWrapper = document.createElement('div');
   actionsWrapper.className = 'ui__room-actions';
@@ -154,6 +230,17 @@ export function createRoomDisplayUI(roomCodeDisplay, leaveButton, multiplayerMan
     actionsWrapper.appendChild(hostControls);
   }
 
+  // Switch team button (team modes only)
+  if (isTeamMode(roomProperties.gameMode) && localTeam && roomInfo.onSwitchTeam) {
+    const otherTeam = getTeamIds().find(teamId => teamId !== localTeam);
+    const switchTeamButton = document.createElement('button');
+    switchTeamButton.type = 'button';
+    switchTeamButton.className = 'ui__button ui__button--small';
+    switchTeamButton.textContent = `Join ${getTeamConfig(otherTeam).name}`;
+    switchTeamButton.addEventListener('click', () => roomInfo.onSwitchTeam(otherTeam));
+    actionsWrapper.appendChild(switchTeamButton);
+  }
+
   // Copy button
   const copyButton = document.createElement('button');
   copyButton.type = 'button';
@@ -180,6 +267,249 @@ export function createRoomDisplayUI(roomCodeDisplay, leaveButton, multiplayerMan
   return container;
 }
 
+function formatPlayerCount(playerCount, maxPlayers, spectatorCount) {
+  const watching = spectatorCount > 0 ? ` (+${spectatorCount} watching)` : '';
+  return `${playerCount}/${maxPlayers}${watching}`;
+}
+
+function createPlayerListUI(multiplayerManager, roomInfo = {}) {
+  const container = document.createElement('div');
+  container.className = 'ui__room-info-section ui__room-players';
+
+  const localId = multiplayerManager.getLocalPlayerId();
+  const hostId = multiplayerManager.getHostId();
+  const canModerate = multiplayerManager.isHost && roomInfo.onKickPlayer && roomInfo.onBanPlayer && roomInfo.onMutePlayer;
+  const entries = [
+    ...multiplayerManager.getConnectedPlayers().map(player => ({ id: player.id, isSpectator: false })),
+    ...multiplayerManager.getSpectatorIds().map(id => ({ id, isSpectator: true }))
+  ];
+
+  entries.forEach(({ id, isSpectator }) => {
+    const row = document.createElement('div');
+    row.className = 'ui__room-player';
+
+    const isMuted = multiplayerManager.isPlayerMuted(id);
+    const badges = [
+      id === hostId ? '👑' : null,
+      isSpectator ? '👀' : null,
+      isMuted ? '🔇' : null
+    ].filter(Boolean).join(' ');
+    const name = document.createElement('span');
+    name.className = 'ui__room-player-name';
+    name.textContent = `${multiplayerManager.getDisplayName(id)}${id === localId ? ' (you)' : ''}${badges ? ` ${badges}` : ''}`;
+    row.appendChild(name);
+
+    if (canModerate && id !== localId) {
+      const controls = document.createElement('div');
+      controls.className = 'ui__room-player-controls';
+      controls.appendChild(createModerationButton(isMuted ? 'Unmute' : 'Mute', () => roomInfo.onMutePlayer(id, !isMuted)));
+      controls.appendChild(createModerationButton('Kick', () => roomInfo.onKickPlayer(id)));
+      controls.appendChild(createModerationButton('Ban', () => roomInfo.onBanPlayer(id)));
+      row.appendChild(controls);
+    }
+
+    container.appendChild(row);
+  });
+
+  return container;
+}
+
+function createModerationButton(text, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'ui__button ui__button--small ui__room-player-button';
+  button.textContent = text;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function createRoomNotification(text) {
+  const notification = document.createElement('div');
+  notification.className = 'ui__room-success';
+  notification.textContent = text;
+
+  // Auto-hide after 3 seconds
+  setTimeout(() => {
+    if (notification.parentNode) {
+      notification.style.opacity = '0';
+      notification.style.transition = 'opacity 0.3s';
+      setTimeout(() => {
+        if (notification.parentNode) {
+          notification.remove();
+        }
+      }, 300);
+    }
+  }, 3000);
+
+  return notification;
+}
+
+function createSettingLabel(text, control) {
+  const label = document.createElement('label');
+  label.className = 'ui__kill-limit-label';
+
+  const labelText = document.createElement('span');
+  labelText.className = 'ui__privacy-text';
+  labelText.textContent = text;
+
+  label.appendChild(labelText);
+  label.appendChild(control);
+  return label;
+}
+
+function createSettingSelect(options, value, onChange) {
+  const select = document.createElement('select');
+  select.className = 'ui__select';
+  options.forEach(option => {
+    const optionElement = document.createElement('option');
+    optionElement.value = option.value;
+    optionElement.textContent = option.label;
+    optionElement.selected = option.value === value;
+    select.appendChild(optionElement);
+  });
+  select.addEventListener('change', () => onChange(select.value));
+  return select;
+}
+
+function createSettingNumber(limits, value, onChange) {
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.className = 'ui__input ui__input--small';
+  input.min = limits.min;
+  input.max = limits.max;
+  if (limits.step) {
+    input.step = limits.step;
+  }
+  input.value = value;
+  input.addEventListener('change', () => onChange(Number(input.value)));
+  return input;
+}
+
+function createRoomSettingsUI(multiplayerManager, roomInfo = {}) {
+  const container = document.createElement('div');
+  container.className = 'ui__room-info-section ui__room-settings';
+
+  const settings = multiplayerManager.getRoomSettings();
+  const match = multiplayerManager.getMatchState();
+  const showsKillLimit = getTeamScoring(settings.gameMode) === 'kills';
+  const showsCaptureLimit = getTeamScoring(settings.gameMode) === 'captures';
+  const showsTimeLimit = !isCoopMode(settings.gameMode);
+  const showsBotCount = allowsBots(settings.gameMode) && !isCoopMode(settings.gameMode);
+  const showsDifficulty = allowsBots(settings.gameMode);
+  const canEdit = multiplayerManager.isHost && roomInfo.onUpdateSettings && (!match || match.phase === MATCH_PHASES.LOBBY);
+
+  // Everyone else sees a summary
+  if (!canEdit) {
+    const arenaConfig = getArenaConfig(settings.arena);
+    const details = [`🗺 ${arenaConfig ? arenaConfig.label : settings.arena}`];
+    if (showsTimeLimit && settings.timeLimit) {
+      details.push(`${Math.round(settings.timeLimit / 60)} min`);
+    }
+    if (showsBotCount && settings.botCount > 0) {
+      details.push(`${settings.botCount} bots`);
+    }
+    if (showsDifficulty && settings.botDifficulty) {
+      details.push(`${getDifficultyConfig(settings.botDifficulty).name} bots`);
+    }
+    const summary = document.createElement('div');
+    summary.className = 'ui__room-info-item';
+    summary.textContent = details.join(' · ');
+    container.appendChild(summary);
+    return container;
+  }
+
+  const update = (key) => (value) => roomInfo.onUpdateSettings({ [key]: value });
+
+  const modeOptions = getAllEnabledModes()
+    .filter(mode => isCombatMode(mode))
+    .map(mode => ({ value: mode, label: getModeConfig(mode).name }));
+  container.appendChild(createSettingLabel('Mode', createSettingSelect(modeOptions, settings.gameMode, update('gameMode'))));
+  container.appendChild(createSettingLabel('Arena', createSettingSelect(getAllArenas(), settings.arena, update('arena'))));
+
+  if (showsKillLimit) {
+    container.appendChild(createSettingLabel('Team Kill Limit', createSettingNumber(getKillLimitStats(), settings.killLimit, update('killLimit'))));
+  }
+  if (showsCaptureLimit) {
+    container.appendChild(createSettingLabel('Capture Limit', createSettingNumber(getCrystalStats().captureLimit, settings.captureLimit, update('captureLimit'))));
+  }
+  if (showsTimeLimit) {
+    // Shown in minutes, stored in seconds
+    const timeLimits = getRoomSettingsStats().timeLimit;
+    const minuteLimits = { min: timeLimits.min / 60, max: timeLimits.max / 60, step: timeLimits.step / 60 };
+    container.appendChild(createSettingLabel('Time Limit (min)', createSettingNumber(minuteLimits, Math.round(settings.timeLimit / 60), (minutes) => {
+      roomInfo.onUpdateSettings({ timeLimit: minutes * 60 });
+    })));
+  }
+  if (showsBotCount) {
+    const botLimits = { min: getRoomSettingsStats().botCount.min, max: getArenaMaxBots(settings.arena) };
+    container.appendChild(createSettingLabel('Bots', createSettingNumber(botLimits, settings.botCount, update('botCount'))));
+  }
+  container.appendChild(createSettingLabel('Max Players', createSettingNumber(getRoomSettingsStats().maxPlayers, settings.maxPlayers, update('maxPlayers'))));
+  if (showsDifficulty) {
+    const difficultyOptions = getAvailableDifficulties().map(difficulty => ({ value: difficulty, label: getDifficultyConfig(difficulty).name }));
+    container.appendChild(createSettingLabel('Bot Difficulty', createSettingSelect(difficultyOptions, settings.botDifficulty, update('botDifficulty'))));
+  }
+
+  return container;
+}
+
+function createMatchUI(multiplayerManager, roomInfo = {}) {
+  const container = document.createElement('div');
+  container.className = 'ui__room-info-section ui__room-match';
+
+  const match = multiplayerManager.getMatchState();
+  if (!match) {
+    return container;
+  }
+
+  const phaseInfo = document.createElement('div');
+  phaseInfo.className = 'ui__room-info-item';
+  phaseInfo.textContent = `🏁 Match: ${getMatchPhaseLabel(match.phase)} · Ready ${match.readyIds.length}/${match.playerCount}`;
+  container.appendChild(phaseInfo);
+
+  // Last match standings
+  if (match.phase === MATCH_PHASES.RESULTS && match.results) {
+    match.results.players.forEach((entry, index) => {
+      const name = entry.playerId === multiplayerManager.getLocalPlayerId() ? 'You' : entry.name;
+      const resultItem = document.createElement('div');
+      resultItem.className = 'ui__room-info-item';
+      resultItem.textContent = `${index + 1}. ${name} · ${entry.kills} kills / ${entry.deaths} deaths`;
+      container.appendChild(resultItem);
+    });
+  }
+
+  const actions = document.createElement('div');
+  actions.className = 'ui__room-actions';
+
+  // Host starts the ready check from the lobby
+  if (multiplayerManager.isHost && match.phase === MATCH_PHASES.LOBBY && roomInfo.onStartMatch) {
+    const startButton = document.createElement('button');
+    startButton.type = 'button';
+    startButton.className = 'ui__button ui__button--primary ui__button--small';
+    startButton.textContent = 'Start Match';
+    startButton.addEventListener('click', () => roomInfo.onStartMatch());
+    actions.appendChild(startButton);
+  }
+
+  // Ready toggle (lobby and ready check)
+  const canReady = (match.phase === MATCH_PHASES.LOBBY || match.phase === MATCH_PHASES.READY_CHECK) && !multiplayerManager.isSpectating();
+  if (canReady && roomInfo.onToggleReady) {
+    const isReady = multiplayerManager.isLocalReady();
+    const readyButton = document.createElement('button');
+    readyButton.type = 'button';
+    readyButton.className = isReady ? 'ui__button ui__button--small ui__button--success' : 'ui__button ui__button--small';
+    readyButton.textContent = isReady ? '✓ Ready' : 'Ready Up';
+    readyButton.addEventListener('click', () => roomInfo.onToggleReady(!isReady));
+    actions.appendChild(readyButton);
+  }
+
+  if (actions.childNodes.length > 0) {
+    container.appendChild(actions);
+  }
+
+  return container;
+}
+
 function getTimeAgo(timestamp) {
   const seconds = Math.floor((Date.now() - timestamp) / 1000);
   if (seconds < 60) return 'just now';
@@ -263,7 +593,11 @@ export function createRoomListUI(availableRooms, onRoomClick, refreshButton, onR
       
       const roomInfo = document.createElement('div');
       roomInfo.className = 'ui__room-item-info';
-      roomInfo.textContent = `${room.playerCount}/${room.maxPlayers} players`;
+      const roomModeConfig = getModeConfig(room.gameMode);
+      const playerCount = formatPlayerCount(room.playerCount, room.maxPlayers, room.spectatorCount || 0);
+      roomInfo.textContent = roomModeConfig
+        ? `👥 ${playerCount} · ${roomModeConfig.name}`
+        : `👥 ${playerCount}`;
       
       roomItem.appendChild(roomCode);
       roomItem.appendChild(roomInfo);
@@ -281,7 +615,7 @@ export function createRoomListUI(availableRooms, onRoomClick, refreshButton, onR
   return container;
 }
 
-export function handleCreateRoom(onRoomCreated, isPrivate = false) {
+export function handleCreateRoom(onRoomCreated, isPrivate = false, killLimit = null) {
   if (!onRoomCreated) return;
   
   // Generate a temporary room code for the callback
@@ -293,7 +627,7 @@ export function handleCreateRoom(onRoomCreated, isPrivate = false) {
   url.searchParams.set('room', tempRoomCode);
   window.history.pushState({}, '', url);
   
-  onRoomCreated(tempRoomCode, isPrivate);
+  onRoomCreated(tempRoomCode, isPrivate, killLimit);
 }
 
 export function handleJoinRoom(joinInput, onRoomJoined) {
@@ -316,8 +650,20 @@ export function handleJoinRoom(joinInput, onRoomJoined) {
 
 export function handleLeaveRoom(multiplayerManager) {
   multiplayerManager.leaveRoom();
-  
-  // Remove room from URL
+  clearRoomFromURL();
+}
+
+export function getRemovedFromRoomMessage(reason) {
+  if (reason === 'banned') {
+    return 'You were banned from the room by the host';
+  }
+  if (reason === 'disconnected') {
+    return 'Lost connection to the room';
+  }
+  return 'You were kicked from the room by the host';
+}
+
+export function clearRoomFromURL() {
   const url = new URL(window.location);
   url.searchParams.delete('room');
   window.history.pushState({}, '', url);
@@ -1,6 +1,7 @@
-import { createRoomUI, createRoomDisplayUI, createJoinUI, createRoomListUI, handleCreateRoom as handleCreateRoomFn, handleJoinRoom as handleJoinRoomFn, handleLeaveRoom as handleLeaveRoomFn, handleCopyLink as handleCopyLinkFn } from './functions.js';
+import { ROOM_SETTING_KEYS } from '../../../config/gamemode/RoomSettingsConfig.js';
+import { createRoomUI, createRoomDisplayUI, createJoinUI, createRoomListUI, handleCreateRoom as handleCreateRoomFn, handleJoinRoom as handleJoinRoomFn, handleLeaveRoom as handleLeaveRoomFn, handleCopyLink as handleCopyLinkFn, clearRoomFromURL, getRemovedFromRoomMessage } from './functions.js';
 
-export function initRoomManager({ mount, multiplayerManager, onRoomCreated, onRoomJoined }) {
+export function initRoomManager({ mount, multiplayerManager, onRoomCreated, onRoomJoined, onRoomSettingsChanged }) {
   const wrapper = document.createElement('div');
   wrapper.className = 'ui__room-manager';
   
@@ -11,21 +12,48 @@ export function initRoomManager({ mount, multiplayerManager, onRoomCreated, onRo
   let leaveButton = null;
   let statusText = null;
   let privacyToggle = null;
+  let killLimitInput = null;
   let availableRooms = [];
   let refreshButton = null;
   let roomInfo = {
     justCreated: false,
+    justBecameHost: false,
     isPrivate: false,
     createdAt: null,
-    onPrivacyToggle: null
+    onPrivacyToggle: null,
+    onSwitchTeam: null,
+    onStartMatch: null,
+    onToggleReady: null,
+    onUpdateSettings: null,
+    onKickPlayer: null,
+    onBanPlayer: null,
+    onMutePlayer: null
   };
 
   // Set up room update listener
   multiplayerManager.setRoomUpdatedCallback((updates) => {
     if (updates.hasOwnProperty('isPrivate')) {
       roomInfo.isPrivate = updates.isPrivate;
-      updateUI();
     }
+    // Host left and the server handed the room to us
+    if (updates.hostId && updates.hostId === multiplayerManager.getLocalPlayerId()) {
+      roomInfo.justBecameHost = true;
+      setTimeout(() => {
+        roomInfo.justBecameHost = false;
+      }, 3500); // Slightly longer than notification display time
+    }
+    // Mode, arena and bots follow the room settings
+    if (onRoomSettingsChanged && ROOM_SETTING_KEYS.some(key => updates.hasOwnProperty(key))) {
+      onRoomSettingsChanged(updates);
+    }
+    updateUI();
+  });
+
+  // The host kicked or banned us, or our connection dropped for too long - the room is already gone locally
+  multiplayerManager.setRemovedFromRoomCallback(({ reason }) => {
+    clearRoomFromURL();
+    updateUI();
+    alert(getRemovedFromRoomMessage(reason));
   });
 
   async function loadAvailableRooms() {
@@ -43,10 +71,11 @@ export function initRoomManager({ mount, multiplayerManager, onRoomCreated, onRo
 
   function handleCreateRoom() {
     const isPrivate = privacyToggle ? privacyToggle.checked : false;
+    const killLimit = killLimitInput ? parseInt(killLimitInput.value, 10) || null : null;
     roomInfo.justCreated = true;
     roomInfo.isPrivate = isPrivate;
     roomInfo.createdAt = Date.now();
-    handleCreateRoomFn(onRoomCreated, isPrivate);
+    handleCreateRoomFn(onRoomCreated, isPrivate, killLimit);
     // UI will update after room is created
   }
 
@@ -83,6 +112,68 @@ export function initRoomManager({ mount, multiplayerManager, onRoomCreated, onRo
     }
   }
 
+  async function handleSwitchTeam(team) {
+    try {
+      await multiplayerManager.switchTeam(team);
+      // UI will update via teams-updated callback
+    } catch (error) {
+      console.error('Failed to switch team:', error);
+      updateUI();
+    }
+  }
+
+  function handleStartMatch() {
+    multiplayerManager.sendMatchStart();
+    // UI will update via match-state event
+  }
+
+  function handleToggleReady(ready) {
+    multiplayerManager.sendMatchReady(ready);
+    // UI will update via match-state event
+  }
+
+  async function handleUpdateSettings(updates) {
+    try {
+      await multiplayerManager.updateRoom(updates);
+      // UI will update via room-updated event callback
+    } catch (error) {
+      console.error('Failed to update room settings:', error);
+      // Revert controls on error
+      updateUI();
+    }
+  }
+
+  async function handleKickPlayer(playerId) {
+    try {
+      await multiplayerManager.kickPlayer(playerId);
+      // player-left arrives before the reply, so the list is already current
+      updateUI();
+    } catch (error) {
+      console.error('Failed to kick player:', error);
+    }
+  }
+
+  async function handleBanPlayer(playerId) {
+    if (!confirm(`Ban ${multiplayerManager.getDisplayName(playerId)} from this room?`)) {
+      return;
+    }
+    try {
+      await multiplayerManager.banPlayer(playerId);
+      updateUI();
+    } catch (error) {
+      console.error('Failed to ban player:', error);
+    }
+  }
+
+  async function handleMutePlayer(playerId, muted) {
+    try {
+      await multiplayerManager.mutePlayer(playerId, muted);
+      // UI will update via room-updated event callback
+    } catch (error) {
+      console.error('Failed to mute player:', error);
+    }
+  }
+
   async function handleRefreshRooms() {
     await loadAvailableRooms();
     updateUI();
@@ -97,6 +188,13 @@ export function initRoomManager({ mount, multiplayerManager, onRoomCreated, onRo
       const roomProperties = multiplayerManager.getRoomProperties();
       roomInfo.isPrivate = roomProperties.isPrivate || false;
       roomInfo.onPrivacyToggle = multiplayerManager.isHost ? handlePrivacyToggle : null;
+      roomInfo.onSwitchTeam = handleSwitchTeam;
+      roomInfo.onStartMatch = handleStartMatch;
+      roomInfo.onToggleReady = handleToggleReady;
+      roomInfo.onUpdateSettings = multiplayerManager.isHost ? handleUpdateSettings : null;
+      roomInfo.onKickPlayer = multiplayerManager.isHost ? handleKickPlayer : null;
+      roomInfo.onBanPlayer = multiplayerManager.isHost ? handleBanPlayer : null;
+      roomInfo.onMutePlayer = multiplayerManager.isHost ? handleMutePlayer : null;
       
       // Show room display with room info
       const roomDisplay = createRoomDisplayUI(
@@ -126,6 +224,7 @@ export function initRoomManager({ mount, multiplayerManager, onRoomCreated, onRo
     } else {
       // Reset room info when not in room
       roomInfo.justCreated = false;
+      roomInfo.justBecameHost = false;
       roomInfo.isPrivate = false;
       roomInfo.createdAt = null;
       // Load available rooms
@@ -135,7 +234,8 @@ export function initRoomManager({ mount, multiplayerManager, onRoomCreated, onRo
       createButton = document.createElement('button');
       statusText = document.createElement('div');
       privacyToggle = document.createElement('input');
-      wrapper.appendChild(createRoomUI(createButton, statusText, privacyToggle, handleCreateRoom));
+      killLimitInput = document.createElement('input');
+      wrapper.appendChild(createRoomUI(createButton, statusText, privacyToggle, handleCreateRoom, killLimitInput));
       
       joinInput = document.createElement('input');
       joinButton = document.createElement('button');
@@ -17,6 +17,7 @@ export function getAllPlayers(multiplayerManager, botManager, playerStats) {
     const localPlayerId = multiplayerManager.getLocalPlayerId();
     if (localPlayerId && playerStats.has(localPlayerId)) {
       const stats = playerStats.get(localPlayerId);
+      stats.id = multiplayerManager.getDisplayName(localPlayerId);
       stats.isLocal = true;
       allPlayers.push({ playerId: localPlayerId, stats, isBot: false });
     }
@@ -27,12 +28,13 @@ export function getAllPlayers(multiplayerManager, botManager, playerStats) {
       if (player.id !== localPlayerId) {
         if (playerStats.has(player.id)) {
           const stats = playerStats.get(player.id);
+          stats.id = multiplayerManager.getDisplayName(player.id);
           stats.isLocal = false;
           allPlayers.push({ playerId: player.id, stats, isBot: false });
         } else {
           // Initialize remote player if not tracked yet
           playerStats.set(player.id, {
-            id: player.id.substring(0, 8),
+            id: multiplayerManager.getDisplayName(player.id),
             kills: 0,
             deaths: 0,
             isLocal: false
@@ -94,14 +96,18 @@ export function sortPlayers(allPlayers, calculateKDRatioFn, calculateScoreFn) {
   });
 }
 
-export function createPlayerRow(playerId, stats, calculateKDRatioFn, calculateScoreFn) {
+export function createPlayerRow(playerId, stats, calculateKDRatioFn, calculateScoreFn, teamConfig = null) {
   const row = document.createElement('tr');
   row.className = 'scoreboard__row';
   if (stats.isLocal) {
     row.classList.add('scoreboard__row--local');
   }
+  if (teamConfig) {
+    row.classList.add('scoreboard__row--team');
+    row.style.borderLeftColor = teamConfig.cssColor;
+  }
   
-  // Player ID
+  // Player name
   const playerCell = document.createElement('td');
   playerCell.className = 'scoreboard__cell scoreboard__cell--player';
   const playerIdSpan = document.createElement('span');
@@ -141,3 +147,30 @@ export function createPlayerRow(playerId, stats, calculateKDRatioFn, calculateSc
   return row;
 }
 
+
+export function groupPlayersByTeam(sortedPlayers, multiplayerManager, teamIds) {
+  const groups = new Map(teamIds.map(teamId => [teamId, []]));
+  sortedPlayers.forEach(entry => {
+    const team = multiplayerManager.getPlayerTeam(entry.playerId);
+    if (groups.has(team)) {
+      groups.get(team).push(entry);
+    }
+  });
+  return groups;
+}
+
+export function createTeamHeaderRow(teamConfig, teamScore, scoreLimit) {
+  const row = document.createElement('tr');
+  row.className = 'scoreboard__team-row';
+  row.style.color = teamConfig.cssColor;
+
+  const cell = document.createElement('td');
+  cell.className = 'scoreboard__cell scoreboard__cell--team';
+  cell.colSpan = 5;
+  cell.textContent = scoreLimit
+    ? `${teamConfig.name} — ${teamScore || 0} / ${scoreLimit}`
+    : `${teamConfig.name} — ${teamScore || 0}`;
+  row.appendChild(cell);
+
+  return row;
+}
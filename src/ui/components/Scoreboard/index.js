@@ -6,7 +6,8 @@
  * Can be toggled with Tab key (PC) or Back/Select/Options button (controller).
  */
 
-import { calculateKDRatio, calculateScore, getAllPlayers, sortPlayers, createPlayerRow } from './functions.js';
+import { calculateKDRatio, calculateScore, getAllPlayers, sortPlayers, createPlayerRow, groupPlayersByTeam, createTeamHeaderRow } from './functions.js';
+import { getTeamIds, getTeamConfig } from '../../../config/gamemode/TeamConfig.js';
 
 export class Scoreboard {
   /**
@@ -181,6 +182,22 @@ export class Scoreboard {
     // Sort players by score (descending), then by K/D ratio
     const sortedPlayers = sortPlayers(allPlayers, calculateKDRatio, calculateScore);
     
+    if (this._isTeamMatch()) {
+      // Team modes: one section per team, headed by the team score
+      const teamScores = this.multiplayerManager.getTeamScores();
+      const scoreLimit = this.multiplayerManager.getScoreLimit();
+      const groups = groupPlayersByTeam(sortedPlayers, this.multiplayerManager, getTeamIds());
+      groups.forEach((teamPlayers, teamId) => {
+        const teamConfig = getTeamConfig(teamId);
+        this.tbody.appendChild(createTeamHeaderRow(teamConfig, teamScores[teamId], scoreLimit));
+        teamPlayers.forEach(({ playerId, stats }) => {
+          const row = createPlayerRow(playerId, stats, calculateKDRatio, calculateScore, teamConfig);
+          this.tbody.appendChild(row);
+        });
+      });
+      return;
+    }
+    
     // Create rows for each player
     sortedPlayers.forEach(({ playerId, stats }) => {
       const row = createPlayerRow(playerId, stats, calculateKDRatio, calculateScore);
@@ -200,6 +217,16 @@ export class Scoreboard {
     }
   }
 
+  /**
+   * Check if the scoreboard should be grouped by team
+   * @returns {boolean} True when in a room playing a team mode
+   * @private
+   */
+  _isTeamMatch() {
+    return !!this.multiplayerManager && this.multiplayerManager.isInRoom() &&
+      !!this.gameModeManager && this.gameModeManager.isTeamMode();
+  }
+
   /**
    * Refresh scoreboard data from managers
    */
@@ -0,0 +1,61 @@
+export function createHudElements() {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'ui__spectator-hud is-hidden';
+
+  const title = document.createElement('div');
+  title.className = 'ui__spectator-hud-title';
+  wrapper.appendChild(title);
+
+  const target = document.createElement('div');
+  target.className = 'ui__spectator-hud-target';
+
+  const name = document.createElement('span');
+  name.className = 'ui__spectator-hud-name';
+  target.appendChild(name);
+
+  const health = document.createElement('div');
+  health.className = 'ui__spectator-hud-health';
+  const healthFill = document.createElement('div');
+  healthFill.className = 'ui__spectator-hud-health-fill';
+  health.appendChild(healthFill);
+  target.appendChild(health);
+
+  const kills = document.createElement('span');
+  kills.className = 'ui__spectator-hud-kills';
+  target.appendChild(kills);
+
+  wrapper.appendChild(target);
+
+  const hint = document.createElement('div');
+  hint.className = 'ui__spectator-hud-hint';
+  wrapper.appendChild(hint);
+
+  return { wrapper, title, name, health, healthFill, kills, hint };
+}
+
+export function getHudTitle(reason, queuePosition) {
+  if (reason === 'respawn') {
+    return 'Waiting to respawn';
+  }
+  return queuePosition ? `Spectating · #${queuePosition} in queue` : 'Spectating';
+}
+
+export function getHudHint(inputMode, mode) {
+  if (inputMode === 'controller') {
+    return mode === 'free-fly' ? 'Left stick: move · LB / RB: follow a player' : 'LB / RB: switch player · Y: free camera';
+  }
+  return mode === 'free-fly' ? 'WASD: move · , / .: follow a player' : ', / .: switch player · V: free camera';
+}
+
+export function getHealthPercent(health, maxHealth) {
+  if (health === null || !maxHealth) {
+    return null;
+  }
+  return Math.max(0, Math.min(100, (health / maxHealth) * 100));
+}
+
+export function setText(element, text) {
+  if (element.textContent !== text) {
+    element.textContent = text;
+  }
+}
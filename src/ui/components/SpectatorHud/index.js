@@ -0,0 +1,51 @@
+/**
+ * SpectatorHud.js
+ *
+ * UI component shown while the spectator camera is active (waiting for a player
+ * slot, or waiting to respawn). Shows who is being watched with their health and
+ * kills, or that the camera is free-flying, plus the controls to switch.
+ */
+
+import { createHudElements, getHudTitle, getHudHint, getHealthPercent, setText } from './functions.js';
+
+export function initSpectatorHud({ mount, spectatorManager, multiplayerManager, inputManager }) {
+  const elements = createHudElements();
+
+  mount.appendChild(elements.wrapper);
+
+  // Public API
+  return {
+    /**
+     * Per-frame update: follows the spectator camera's target
+     */
+    update() {
+      const isActive = spectatorManager.isActive();
+      elements.wrapper.classList.toggle('is-hidden', !isActive);
+      if (!isActive) {
+        return;
+      }
+
+      setText(elements.title, getHudTitle(spectatorManager.getReason(), multiplayerManager.getQueuePosition()));
+      setText(elements.hint, getHudHint(inputManager.getInputMode(), spectatorManager.getMode()));
+
+      const target = spectatorManager.getTarget();
+      if (!target) {
+        setText(elements.name, 'Free camera');
+        elements.health.style.display = 'none';
+        setText(elements.kills, '');
+        return;
+      }
+
+      setText(elements.name, target.name);
+      const healthPercent = getHealthPercent(target.health, target.maxHealth);
+      elements.health.style.display = healthPercent === null ? 'none' : '';
+      if (healthPercent !== null) {
+        elements.healthFill.style.width = `${healthPercent}%`;
+      }
+      setText(elements.kills, `${target.kills} ${target.kills === 1 ? 'kill' : 'kills'}`);
+    },
+    getWrapper() {
+      return elements.wrapper;
+    }
+  };
+}
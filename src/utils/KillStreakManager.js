@@ -69,9 +69,10 @@ export class KillStreakManager {
   /**
    * Create a kill streak display element
    * @param {number} streak - Current streak count
+   * @param {string|null} victimName - Display name of the player killed (optional)
    * @returns {HTMLElement} Kill streak element
    */
-  _createKillStreakElement(streak) {
+  _createKillStreakElement(streak, victimName = null) {
     this._initContainer();
     
     const element = document.createElement('div');
@@ -98,6 +99,20 @@ export class KillStreakManager {
     element.style.transition = 'none';
     element.style.userSelect = 'none';
     element.style.whiteSpace = 'nowrap';
+    element.style.textAlign = 'center';
+    
+    // Name the victim under the streak text
+    if (victimName) {
+      const victim = document.createElement('div');
+      victim.textContent = victimName;
+      victim.style.fontSize = '18px';
+      victim.style.fontWeight = '700';
+      victim.style.letterSpacing = '2px';
+      victim.style.textTransform = 'none';
+      victim.style.color = '#ffffff';
+      victim.style.textShadow = '0 2px 6px rgba(0, 0, 0, 0.8)';
+      element.appendChild(victim);
+    }
     
     this.container.appendChild(element);
     
@@ -134,8 +149,9 @@ export class KillStreakManager {
   /**
    * Register a kill
    * @param {number} currentTime - Current game time in seconds
+   * @param {string|null} victimName - Display name of the player killed (optional)
    */
-  registerKill(currentTime) {
+  registerKill(currentTime, victimName = null) {
     this._initContainer();
     
     // Check if kill is within streak window
@@ -152,7 +168,7 @@ export class KillStreakManager {
     this.lastKillTime = currentTime;
     
     // Create kill streak display
-    this._createKillStreakElement(this.currentStreak);
+    this._createKillStreakElement(this.currentStreak, victimName);
     
     // Store streak info for potential future use
     this.killStreaks.push({
@@ -385,6 +385,67 @@ export class ParticleManager {
     }
   }
 
+  /**
+   * Spawn a status effect overlay particle around a character (poison cloud, ...)
+   * @param {THREE.Vector3} position - Character position
+   * @param {number} color - Effect color (hex number)
+   * @param {string|null} effectType - Particle behaviour ('poison', 'fire' or null for a plain drifting mote)
+   */
+  spawnStatusEffectParticle(position, color, effectType = null) {
+    const size = 0.12 + Math.random() * 0.1;
+    const geometry = new THREE.PlaneGeometry(size, size);
+    
+    // Effect color with slight variation
+    const baseColor = new THREE.Color(color);
+    const particleColor = new THREE.Color(
+      baseColor.r + (Math.random() - 0.5) * 0.15,
+      baseColor.g + (Math.random() - 0.5) * 0.15,
+      baseColor.b + (Math.random() - 0.5) * 0.15
+    );
+    
+    const material = new THREE.MeshBasicMaterial({
+      color: particleColor,
+      transparent: true,
+      opacity: 0.5,
+      side: THREE.DoubleSide,
+      alphaTest: 0.05,
+      depthWrite: false
+    });
+
+    const particle = new THREE.Mesh(geometry, material);
+    
+    // Spread around the character's body
+    particle.position.set(
+      position.x + (Math.random() - 0.5) * 0.6,
+      position.y + (Math.random() - 0.3) * 0.6,
+      position.z + (Math.random() - 0.5) * 0.6
+    );
+    
+    particle.userData = {
+      velocity: new THREE.Vector3(
+        (Math.random() - 0.5) * 0.3,
+        0.3 + Math.random() * 0.4, // Drift upward
+        (Math.random() - 0.5) * 0.3
+      ),
+      lifetime: 0,
+      maxLifetime: 0.6 + Math.random() * 0.4,
+      initialSize: size,
+      initialOpacity: material.opacity,
+      effectType
+    };
+
+    this.scene.add(particle);
+    this.smokeParticles.push(particle);
+
+    // Remove oldest particles if we exceed max
+    if (this.smokeParticles.length > this.maxParticles) {
+      const oldest = this.smokeParticles.shift();
+      this.scene.remove(oldest);
+      oldest.geometry.dispose();
+      oldest.material.dispose();
+    }
+  }
+
   /**
    * Spawn sword swing particles at position (character-colored, circular burst)
    * @param {THREE.Vector3} position - Spawn position (character position)
@@ -755,7 +816,7 @@ export class ParticleManager {
    * @param {THREE.Vector3} velocity - Projectile velocity (for direction)
    * @param {number} characterColor - Character color (hex number)
    * @param {number} projectileSize - Size of the projectile (affects particle size)
-   * @param {string} characterName - Character name ('lucy' or 'herald') for config
+   * @param {string} characterName - Character name for config
    * @param {string} abilityName - Ability name ('bolt' or 'mortar') for config
    */
   spawnProjectileTrailParticle(position, velocity, characterColor, projectileSize = 0.1, characterName = 'lucy', abilityName = 'bolt') {
@@ -830,7 +891,7 @@ export class ParticleManager {
    * @param {number} characterColor - Character color (hex number)
    * @param {number} projectileSize - Size of the projectile (affects particle distribution)
    * @param {number} particleCount - Number of ambient particles (default: 6, overridden by config)
-   * @param {string} characterName - Character name ('lucy' or 'herald') for config
+   * @param {string} characterName - Character name for config
    * @param {string} abilityName - Ability name ('bolt' or 'mortar') for config
    * @returns {Array<THREE.Mesh>} Array of created ambient particles
    */
@@ -1,6 +1,7 @@
 import { getSoundEffectsVolume, getBackgroundCinematicVolume } from './StorageUtils.js';
 import { tryLoadAudio, tryLoadAudioWithFallback, getAudioPath, loadCustomAudio } from './AudioLoader.js';
 import { isSoundEnabled } from '../config/global/SoundConfig.js';
+import { getCharacterManifest, hasCharacterTrait } from '../config/character/CharacterRegistry.js';
 
 export class SoundManager {
   constructor(customFootstepPath = null, customObstacleFootstepPath = null, customJumpPath = null, customObstacleJumpPath = null) {
@@ -1246,16 +1247,16 @@ export class SoundManager {
 
   /**
    * Play mortar explosion sound - tries custom sound first, falls back to procedural
-   * For Herald, the sound loops until stopped
+   * For characters with looping explosions (Herald), the sound loops until stopped
    * @param {Object|THREE.Vector3} position - Optional sound position for distance-based volume
    * @param {string} characterName - Optional character name for character-specific mortar explosion sound
-   * @returns {Object|null} Sound control object with stop() method for Herald, null for others
+   * @returns {Object|null} Sound control object with stop() method for looping explosions, null for others
    */
   async playMortarExplosion(position = null, characterName = null) {
     if (!this.soundEnabled) return null;
     if (!isSoundEnabled('abilities', 'mortarExplosion')) return null;
     
-    const isHerald = characterName && characterName.toLowerCase() === 'herald';
+    const loopsExplosion = !!characterName && hasCharacterTrait(characterName.toLowerCase(), 'loopingMortarExplosion');
     
     // Try character-specific sound first (in characters folder, consistent with other character sounds)
     if (characterName) {
@@ -1293,8 +1294,8 @@ export class SoundManager {
           const adjustedVolume = this._getAdjustedVolume(this.soundEffectsVolume, position);
           characterAudio.volume = adjustedVolume;
           
-          // For Herald, loop the sound
-          if (isHerald) {
+          // Looping explosions (Herald): loop the sound
+          if (loopsExplosion) {
             characterAudio.loop = true;
             await characterAudio.play();
             // Return control object to stop the sound later
@@ -1327,8 +1328,8 @@ export class SoundManager {
           const adjustedVolume = this._getAdjustedVolume(this.soundEffectsVolume, position);
           characterAbilitiesAudio.volume = adjustedVolume;
           
-          // For Herald, loop the sound
-          if (isHerald) {
+          // Looping explosions (Herald): loop the sound
+          if (loopsExplosion) {
             characterAbilitiesAudio.loop = true;
             await characterAbilitiesAudio.play();
             return {
@@ -1360,8 +1361,8 @@ export class SoundManager {
         const adjustedVolume = this._getAdjustedVolume(this.soundEffectsVolume, position);
         genericAudio.volume = adjustedVolume;
         
-        // For Herald, loop the sound
-        if (isHerald) {
+        // Looping explosions (Herald): loop the sound
+        if (loopsExplosion) {
           genericAudio.loop = true;
           await genericAudio.play();
           return {
@@ -1671,11 +1672,7 @@ export class SoundManager {
       if (characterAudio) {
         try {
           characterAudio.currentTime = 0;
-          let volumeMultiplier = 1.0;
-          // Make Lucy's bolt sound quieter
-          if (characterName === 'lucy') {
-            volumeMultiplier = 0.6; // 60% volume for Lucy
-          }
+          const volumeMultiplier = this._getBoltVolumeMultiplier(characterName);
           const adjustedVolume = this._getAdjustedVolume(this.soundEffectsVolume * volumeMultiplier, position);
           characterAudio.volume = adjustedVolume;
           await characterAudio.play();
@@ -1691,11 +1688,7 @@ export class SoundManager {
       if (characterAbilitiesAudio) {
         try {
           characterAbilitiesAudio.currentTime = 0;
-          let volumeMultiplier = 1.0;
-          // Make Lucy's bolt sound quieter
-          if (characterName === 'lucy') {
-            volumeMultiplier = 0.6; // 60% volume for Lucy
-          }
+          const volumeMultiplier = this._getBoltVolumeMultiplier(characterName);
           const adjustedVolume = this._getAdjustedVolume(this.soundEffectsVolume * volumeMultiplier, position);
           characterAbilitiesAudio.volume = adjustedVolume;
           await characterAbilitiesAudio.play();
@@ -1712,11 +1705,8 @@ export class SoundManager {
     if (genericAudio) {
       try {
         genericAudio.currentTime = 0;
-        // Apply Lucy volume reduction even for generic sound if Lucy is shooting
-        let volumeMultiplier = 1.0;
-        if (characterName === 'lucy') {
-          volumeMultiplier = 0.6; // 60% volume for Lucy
-        }
+        // Apply the character's bolt volume even for the generic sound
+        const volumeMultiplier = this._getBoltVolumeMultiplier(characterName);
         const adjustedVolume = this._getAdjustedVolume(this.soundEffectsVolume * volumeMultiplier, position);
         genericAudio.volume = adjustedVolume;
         await genericAudio.play();
@@ -1731,6 +1721,16 @@ export class SoundManager {
     this._playBoltShotProcedural(position, characterName);
   }
 
+  /**
+   * Get a character's bolt shot volume multiplier (from its manifest)
+   * @param {string} characterName - Optional character name
+   * @returns {number} Volume multiplier
+   * @private
+   */
+  _getBoltVolumeMultiplier(characterName) {
+    return characterName ? getCharacterManifest(characterName).sounds.boltVolume : 1.0;
+  }
+
   /**
    * Procedural bolt shot sound
    * @param {Object|THREE.Vector3} position - Optional sound position for distance-based volume
@@ -1741,11 +1741,7 @@ export class SoundManager {
     if (!this._ensureAudioContext()) return;
 
     const now = this.audioContext.currentTime;
-    let volumeMultiplier = 1.0;
-    // Make Lucy's bolt sound quieter
-    if (characterName === 'lucy') {
-      volumeMultiplier = 0.6; // 60% volume for Lucy
-    }
+    const volumeMultiplier = this._getBoltVolumeMultiplier(characterName);
     const baseVolume = this.soundEffectsVolume * 0.5 * volumeMultiplier;
     const adjustedVolume = this._getAdjustedVolume(baseVolume, position);
     
@@ -2014,6 +2010,235 @@ export class SoundManager {
     oscillator.stop(now + 0.1);
   }
 
+  /**
+   * Play barrier raise sound - tries custom sound first, falls back to procedural
+   */
+  playBarrierRaise() {
+    if (!this.soundEnabled) return;
+    if (!isSoundEnabled('abilities', 'barrierRaise')) return;
+    const path = getAudioPath('abilities', 'barrier', 'barrier_raise');
+    this._playSoundWithFallback(path, () => {
+      this._playBarrierRaiseProcedural();
+    });
+  }
+
+  /**
+   * Procedural barrier raise sound (low rising rumble)
+   */
+  _playBarrierRaiseProcedural() {
+    if (!this.soundEnabled) return;
+    if (!this._ensureAudioContext()) return;
+
+    const now = this.audioContext.currentTime;
+    const oscillator = this.audioContext.createOscillator();
+    const gainNode = this.audioContext.createGain();
+
+    oscillator.connect(gainNode);
+    gainNode.connect(this.audioContext.destination);
+
+    oscillator.type = 'triangle';
+    oscillator.frequency.setValueAtTime(70, now);
+    oscillator.frequency.exponentialRampToValueAtTime(220, now + 0.25);
+
+    gainNode.gain.setValueAtTime(0, now);
+    gainNode.gain.linearRampToValueAtTime(this.soundEffectsVolume * 0.7, now + 0.05);
+    gainNode.gain.exponentialRampToValueAtTime(0.001, now + 0.35);
+
+    oscillator.start(now);
+    oscillator.stop(now + 0.35);
+  }
+
+  /**
+   * Play trap arm sound - tries custom sound first, falls back to procedural
+   */
+  playTrapArm() {
+    if (!this.soundEnabled) return;
+    if (!isSoundEnabled('abilities', 'trapArm')) return;
+    const path = getAudioPath('abilities', 'trap', 'trap_arm');
+    this._playSoundWithFallback(path, () => {
+      this._playTrapArmProcedural();
+    });
+  }
+
+  /**
+   * Procedural trap arm sound (two quick clicks)
+   */
+  _playTrapArmProcedural() {
+    if (!this.soundEnabled) return;
+    if (!this._ensureAudioContext()) return;
+
+    const now = this.audioContext.currentTime;
+    [0, 0.08].forEach((offset, index) => {
+      const oscillator = this.audioContext.createOscillator();
+      const gainNode = this.audioContext.createGain();
+
+      oscillator.connect(gainNode);
+      gainNode.connect(this.audioContext.destination);
+
+      oscillator.type = 'square';
+      oscillator.frequency.setValueAtTime(index === 0 ? 900 : 1200, now + offset);
+
+      gainNode.gain.setValueAtTime(0, now + offset);
+      gainNode.gain.linearRampToValueAtTime(this.soundEffectsVolume * 0.3, now + offset + 0.005);
+      gainNode.gain.exponentialRampToValueAtTime(0.001, now + offset + 0.05);
+
+      oscillator.start(now + offset);
+      oscillator.stop(now + offset + 0.05);
+    });
+  }
+
+  /**
+   * Play trap trigger sound - tries custom sound first, falls back to procedural
+   */
+  playTrapTrigger() {
+    if (!this.soundEnabled) return;
+    if (!isSoundEnabled('abilities', 'trapTrigger')) return;
+    const path = getAudioPath('abilities', 'trap', 'trap_trigger');
+    this._playSoundWithFallback(path, () => {
+      this._playTrapTriggerProcedural();
+    });
+  }
+
+  /**
+   * Procedural trap trigger sound (sharp snap)
+   */
+  _playTrapTriggerProcedural() {
+    if (!this.soundEnabled) return;
+    if (!this._ensureAudioContext()) return;
+
+    const now = this.audioContext.currentTime;
+    const oscillator = this.audioContext.createOscillator();
+    const gainNode = this.audioContext.createGain();
+
+    oscillator.connect(gainNode);
+    gainNode.connect(this.audioContext.destination);
+
+    oscillator.type = 'sawtooth';
+    oscillator.frequency.setValueAtTime(600, now);
+    oscillator.frequency.exponentialRampToValueAtTime(80, now + 0.12);
+
+    gainNode.gain.setValueAtTime(0, now);
+    gainNode.gain.linearRampToValueAtTime(this.soundEffectsVolume * 0.6, now + 0.003);
+    gainNode.gain.exponentialRampToValueAtTime(0.001, now + 0.12);
+
+    oscillator.start(now);
+    oscillator.stop(now + 0.12);
+  }
+
+  /**
+   * Play dash sound - tries custom sound first, falls back to procedural
+   */
+  playDash() {
+    if (!this.soundEnabled) return;
+    if (!isSoundEnabled('abilities', 'dash')) return;
+    const path = getAudioPath('abilities', 'dash', 'dash');
+    this._playSoundWithFallback(path, () => {
+      this._playDashProcedural();
+    });
+  }
+
+  /**
+   * Procedural dash sound (short falling whoosh)
+   */
+  _playDashProcedural() {
+    if (!this.soundEnabled) return;
+    if (!this._ensureAudioContext()) return;
+
+    const now = this.audioContext.currentTime;
+    const oscillator = this.audioContext.createOscillator();
+    const gainNode = this.audioContext.createGain();
+
+    oscillator.connect(gainNode);
+    gainNode.connect(this.audioContext.destination);
+
+    oscillator.type = 'sine';
+    oscillator.frequency.setValueAtTime(500, now);
+    oscillator.frequency.exponentialRampToValueAtTime(150, now + 0.2);
+
+    gainNode.gain.setValueAtTime(0, now);
+    gainNode.gain.linearRampToValueAtTime(this.soundEffectsVolume * 0.4, now + 0.02);
+    gainNode.gain.exponentialRampToValueAtTime(0.001, now + 0.2);
+
+    oscillator.start(now);
+    oscillator.stop(now + 0.2);
+  }
+
+  /**
+   * Play bolt storm sound - tries custom sound first, falls back to procedural
+   */
+  playBoltStorm() {
+    if (!this.soundEnabled) return;
+    if (!isSoundEnabled('abilities', 'boltStorm')) return;
+    const path = getAudioPath('abilities', 'boltStorm', 'bolt_storm');
+    this._playSoundWithFallback(path, () => {
+      this._playBoltStormProcedural();
+    });
+  }
+
+  /**
+   * Procedural bolt storm sound (rising shimmer)
+   */
+  _playBoltStormProcedural() {
+    if (!this.soundEnabled) return;
+    if (!this._ensureAudioContext()) return;
+
+    const now = this.audioContext.currentTime;
+    const oscillator = this.audioContext.createOscillator();
+    const gainNode = this.audioContext.createGain();
+
+    oscillator.connect(gainNode);
+    gainNode.connect(this.audioContext.destination);
+
+    oscillator.type = 'triangle';
+    oscillator.frequency.setValueAtTime(300, now);
+    oscillator.frequency.exponentialRampToValueAtTime(1200, now + 0.6);
+
+    gainNode.gain.setValueAtTime(0, now);
+    gainNode.gain.linearRampToValueAtTime(this.soundEffectsVolume * 0.5, now + 0.05);
+    gainNode.gain.exponentialRampToValueAtTime(0.001, now + 0.6);
+
+    oscillator.start(now);
+    oscillator.stop(now + 0.6);
+  }
+
+  /**
+   * Play ground slam sound - tries custom sound first, falls back to procedural
+   */
+  playGroundSlam() {
+    if (!this.soundEnabled) return;
+    if (!isSoundEnabled('abilities', 'groundSlam')) return;
+    const path = getAudioPath('abilities', 'groundSlam', 'ground_slam');
+    this._playSoundWithFallback(path, () => {
+      this._playGroundSlamProcedural();
+    });
+  }
+
+  /**
+   * Procedural ground slam sound (deep falling thud)
+   */
+  _playGroundSlamProcedural() {
+    if (!this.soundEnabled) return;
+    if (!this._ensureAudioContext()) return;
+
+    const now = this.audioContext.currentTime;
+    const oscillator = this.audioContext.createOscillator();
+    const gainNode = this.audioContext.createGain();
+
+    oscillator.connect(gainNode);
+    gainNode.connect(this.audioContext.destination);
+
+    oscillator.type = 'sawtooth';
+    oscillator.frequency.setValueAtTime(120, now);
+    oscillator.frequency.exponentialRampToValueAtTime(35, now + 0.5);
+
+    gainNode.gain.setValueAtTime(0, now);
+    gainNode.gain.linearRampToValueAtTime(this.soundEffectsVolume * 0.7, now + 0.02);
+    gainNode.gain.exponentialRampToValueAtTime(0.001, now + 0.5);
+
+    oscillator.start(now);
+    oscillator.stop(now + 0.5);
+  }
+
 
   /**
    * Play character swap sound - tries custom sound first, falls back to procedural
@@ -6,6 +6,7 @@
  */
 
 import * as THREE from 'https://unpkg.com/three@0.160.1/build/three.module.js';
+import { getCharacterManifest } from '../config/character/CharacterRegistry.js';
 
 /**
  * Sprite creation configuration
@@ -46,6 +47,18 @@ export function createSpriteMesh(height, options = {}) {
   return sprite;
 }
 
+/**
+ * Tint a sprite mesh with a character's sprite tint (sprites.tint in its manifest)
+ * Lets characters that share a sprite sheet look different; call it again after a character swap.
+ * @param {THREE.Mesh} sprite - Sprite mesh
+ * @param {string} characterName - Character name
+ */
+export function applyCharacterTint(sprite, characterName) {
+  if (sprite && sprite.material && sprite.material.color) {
+    sprite.material.color.setHex(getCharacterManifest(characterName).sprites.tint);
+  }
+}
+
 /**
  * Create a sprite mesh positioned at ground level
  * @param {number} height - Sprite height
@@ -1,9 +1,17 @@
 // localStorage utility functions for high scores and best times
 
 import { handleStorageError } from './ErrorHandler.js';
+import { getArenaMaxBots } from '../config/arena/ArenaConfig.js';
+import { validatePlayerName, normalizePlayerName, createDefaultPlayerName } from '../config/global/PlayerNameConfig.js';
 
 const STORAGE_KEY_PREFIX = 'hife_game_';
 
+// Stored record for a mode and arena ({highScore, bestTime, bestWave, lastWave}) - throws on storage errors
+function readModeRecord(mode, arena) {
+  const stored = localStorage.getItem(`${STORAGE_KEY_PREFIX}${mode}_${arena}`);
+  return stored ? JSON.parse(stored) : {};
+}
+
 export function getHighScore(mode, arena = 'standard') {
   try {
     const key = `${STORAGE_KEY_PREFIX}${mode}_${arena}`;
@@ -22,7 +30,7 @@ export function setHighScore(mode, score, arena = 'standard') {
     const key = `${STORAGE_KEY_PREFIX}${mode}_${arena}`;
     const current = getHighScore(mode, arena);
     if (score > current) {
-      localStorage.setItem(key, JSON.stringify({ highScore: score }));
+      localStorage.setItem(key, JSON.stringify({ ...readModeRecord(mode, arena), highScore: score }));
       return true;
     }
   } catch (e) {
@@ -54,9 +62,8 @@ export function setBestTime(mode, time, arena = 'standard') {
       : (!current || time > current);
     
     if (isBetter) {
-      const existing = getHighScore(mode, arena);
       localStorage.setItem(key, JSON.stringify({ 
-        highScore: existing,
+        ...readModeRecord(mode, arena),
         bestTime: time 
       }));
       return true;
@@ -66,6 +73,30 @@ export function setBestTime(mode, time, arena = 'standard') {
   }
 }
 
+export function getBestWave(mode, arena = 'standard') {
+  try {
+    return readModeRecord(mode, arena).bestWave || 0;
+  } catch (e) {
+    return handleStorageError(e, 'read', `bestWave_${mode}_${arena}`);
+  }
+}
+
+export function setWaveRecord(mode, wave, arena = 'standard') {
+  try {
+    const key = `${STORAGE_KEY_PREFIX}${mode}_${arena}`;
+    const record = readModeRecord(mode, arena);
+    const isBest = wave > (record.bestWave || 0);
+    localStorage.setItem(key, JSON.stringify({
+      ...record,
+      lastWave: wave,
+      bestWave: isBest ? wave : record.bestWave
+    }));
+    return isBest;
+  } catch (e) {
+    return handleStorageError(e, 'write', `bestWave_${mode}_${arena}`);
+  }
+}
+
 export function getAllHighScores() {
   const scores = {};
   const modes = ['collection', 'survival', 'time-trial', 'free-play'];
@@ -159,9 +190,7 @@ export function setBotCount(botCount, arena = 'standard') {
  * @returns {number} Maximum bot count
  */
 export function getMaxBotCount(arena = 'standard') {
-  // 20x20 arena (standard): max 10 bots
-  // 40x40 arena (large): max 25 bots
-  return arena === 'large' ? 25 : 10;
+  return getArenaMaxBots(arena);
 }
 
 /**
@@ -368,4 +397,63 @@ export function setControlsLegendVisible(visible) {
   }
 }
 
+/**
+ * Get the player's display name
+ * A random default name is created and saved the first time.
+ * @returns {string} Display name
+ */
+export function getPlayerName() {
+  try {
+    const key = `${STORAGE_KEY_PREFIX}player_name`;
+    const stored = localStorage.getItem(key);
+    if (stored && !validatePlayerName(stored)) {
+      return stored;
+    }
+    const name = createDefaultPlayerName();
+    localStorage.setItem(key, name);
+    return name;
+  } catch (e) {
+    handleStorageError(e, 'read', 'playerName');
+  }
+  return createDefaultPlayerName();
+}
 
+/**
+ * Save the player's display name
+ * @param {string} name - Display name (must pass validatePlayerName)
+ * @returns {boolean} True if saved successfully
+ */
+export function setPlayerName(name) {
+  try {
+    const key = `${STORAGE_KEY_PREFIX}player_name`;
+    if (!validatePlayerName(name)) {
+      localStorage.setItem(key, normalizePlayerName(name));
+      return true;
+    }
+  } catch (e) {
+    return handleStorageError(e, 'write', 'playerName');
+  }
+  return false;
+}
+
+/**
+ * Get the persistent client ID identifying this browser across reloads
+ * Created and saved the first time.
+ * @returns {string} Client ID
+ */
+export function getClientId() {
+  const createId = () => 'player_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+  try {
+    const key = `${STORAGE_KEY_PREFIX}client_id`;
+    const stored = localStorage.getItem(key);
+    if (stored) {
+      return stored;
+    }
+    const clientId = createId();
+    localStorage.setItem(key, clientId);
+    return clientId;
+  } catch (e) {
+    handleStorageError(e, 'read', 'clientId');
+  }
+  return createId();
+}